@@ -37,6 +37,9 @@ class BPMNGeneratorAgent {
     // Generate diagram elements (visual layout)
     const diagramElements = this.generateDiagramElements(nodes, connections, planeId);
 
+    // Error, message and signal definitions referenced by events
+    const errorDefinitions = this.generateErrorDefinitions(nodes) + this.generateMessageDefinitions(nodes);
+
     // Construct BPMN XML
     const xml = `<?xml version="1.0" encoding="UTF-8"?>
 <bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL"
@@ -49,7 +52,7 @@ class BPMNGeneratorAgent {
                    targetNamespace="http://bpmn.io/schema/bpmn"
                    exporter="Workflow++ Editor"
                    exporterVersion="1.0">
-  <bpmn:process id="${processId}" name="${this.escapeXML(metadata.name)}" isExecutable="true">
+${errorDefinitions}  <bpmn:process id="${processId}" name="${this.escapeXML(metadata.name)}" isExecutable="true">
 ${processElements}
   </bpmn:process>
   <bpmndi:BPMNDiagram id="${diagramId}">
@@ -119,7 +122,7 @@ ${diagramElements}
     switch (node.bpmnType) {
       case 'startEvent':
         return `    <bpmn:startEvent id="${id}" name="${name}">
-${outgoingXML}
+${outgoingXML}${this.generateStartEventDefinition(node)}
     </bpmn:startEvent>\n`;
 
       case 'endEvent':
@@ -131,35 +134,35 @@ ${incomingXML}
         return `    <bpmn:userTask id="${id}" name="${name}"${this.getUserTaskAttributes(node)}>
 ${incomingXML}
 ${outgoingXML}
-${this.generateTaskDocumentation(node)}
+${this.generateTaskDocumentation(node)}${this.generateLoopCharacteristics(node)}
     </bpmn:userTask>\n`;
 
       case 'scriptTask':
         return `    <bpmn:scriptTask id="${id}" name="${name}"${this.getScriptTaskAttributes(node)}>
 ${incomingXML}
 ${outgoingXML}
-${this.generateTaskDocumentation(node)}
+${this.generateTaskDocumentation(node)}${this.generateLoopCharacteristics(node)}
     </bpmn:scriptTask>\n`;
 
       case 'serviceTask':
         return `    <bpmn:serviceTask id="${id}" name="${name}">
 ${incomingXML}
 ${outgoingXML}
-${this.generateTaskDocumentation(node)}
+${this.generateTaskDocumentation(node)}${this.generateLoopCharacteristics(node)}
     </bpmn:serviceTask>\n`;
 
       case 'businessRuleTask':
-        return `    <bpmn:businessRuleTask id="${id}" name="${name}">
+        return `    <bpmn:businessRuleTask id="${id}" name="${name}"${this.getBusinessRuleTaskAttributes(node)}>
 ${incomingXML}
 ${outgoingXML}
-${this.generateTaskDocumentation(node)}
+${this.generateTaskDocumentation(node)}${this.generateLoopCharacteristics(node)}
     </bpmn:businessRuleTask>\n`;
 
       case 'sendTask':
         return `    <bpmn:sendTask id="${id}" name="${name}">
 ${incomingXML}
 ${outgoingXML}
-${this.generateTaskDocumentation(node)}
+${this.generateTaskDocumentation(node)}${this.generateLoopCharacteristics(node)}
     </bpmn:sendTask>\n`;
 
       case 'exclusiveGateway':
@@ -174,18 +177,43 @@ ${incomingXML}
 ${outgoingXML}
     </bpmn:parallelGateway>\n`;
 
+      case 'eventBasedGateway':
+        return `    <bpmn:eventBasedGateway id="${id}" name="${name}">
+${incomingXML}
+${outgoingXML}
+    </bpmn:eventBasedGateway>\n`;
+
+      case 'complexGateway':
+        return `    <bpmn:complexGateway id="${id}" name="${name}">
+${incomingXML}
+${outgoingXML}
+${this.generateActivationCondition(node)}    </bpmn:complexGateway>\n`;
+
       case 'intermediateCatchEvent':
         return `    <bpmn:intermediateCatchEvent id="${id}" name="${name}">
 ${incomingXML}
 ${outgoingXML}
-      <bpmn:timerEventDefinition />
+${this.generateCatchEventDefinition(node)}
     </bpmn:intermediateCatchEvent>\n`;
 
+      case 'intermediateThrowEvent':
+        return `    <bpmn:intermediateThrowEvent id="${id}" name="${name}">
+${incomingXML}
+${outgoingXML}
+${this.generateCompensateEventDefinition(node)}
+    </bpmn:intermediateThrowEvent>\n`;
+
+      case 'boundaryEvent':
+        return `    <bpmn:boundaryEvent id="${id}" name="${name}"${this.getBoundaryEventAttributes(node)}>
+${outgoingXML}
+${this.generateBoundaryEventDefinition(node)}
+    </bpmn:boundaryEvent>\n`;
+
       default:
         return `    <bpmn:task id="${id}" name="${name}">
 ${incomingXML}
 ${outgoingXML}
-    </bpmn:task>\n`;
+${this.generateLoopCharacteristics(node)}    </bpmn:task>\n`;
     }
   }
 
@@ -255,6 +283,8 @@ ${outgoingXML}
       'startEvent': { width: 36, height: 36 },
       'endEvent': { width: 36, height: 36 },
       'intermediateCatchEvent': { width: 36, height: 36 },
+      'intermediateThrowEvent': { width: 36, height: 36 },
+      'boundaryEvent': { width: 36, height: 36 },
       'userTask': { width: 100, height: 80 },
       'scriptTask': { width: 100, height: 80 },
       'serviceTask': { width: 100, height: 80 },
@@ -262,7 +292,9 @@ ${outgoingXML}
       'sendTask': { width: 100, height: 80 },
       'task': { width: 100, height: 80 },
       'exclusiveGateway': { width: 50, height: 50 },
-      'parallelGateway': { width: 50, height: 50 }
+      'parallelGateway': { width: 50, height: 50 },
+      'eventBasedGateway': { width: 50, height: 50 },
+      'complexGateway': { width: 50, height: 50 }
     };
 
     return dimensions[bpmnType] || { width: 100, height: 80 };
@@ -296,6 +328,134 @@ ${outgoingXML}
     return attrs;
   }
 
+  /**
+   * Get business rule task attributes (referenced decision table)
+   */
+  getBusinessRuleTaskAttributes(node) {
+    let attrs = '';
+    const decisionId = node.data.decisionId || node.data.decisionRef;
+    if (decisionId) {
+      attrs += ` camunda:decisionRef="${this.escapeXML(decisionId)}"`;
+    }
+    if (node.data.resultVariable) {
+      attrs += ` camunda:resultVariable="${this.escapeXML(node.data.resultVariable)}"`;
+    }
+    return attrs;
+  }
+
+  /**
+   * Get boundary event attributes (host activity and interrupting flag)
+   */
+  getBoundaryEventAttributes(node) {
+    const interrupting = node.data.eventType === 'error' || node.data.cancelActivity !== false;
+    return ` attachedToRef="${this.escapeXML(node.data.attachedTo)}" cancelActivity="${interrupting}"`;
+  }
+
+  /**
+   * Generate the timer, error or compensation definition of a boundary event
+   */
+  generateBoundaryEventDefinition(node) {
+    if (node.data.eventType === 'compensation') {
+      return '      <bpmn:compensateEventDefinition />';
+    }
+
+    if (node.data.eventType === 'error') {
+      const errorRef = node.data.errorCode ? ` errorRef="${this.getErrorId(node.data.errorCode)}"` : '';
+      return `      <bpmn:errorEventDefinition${errorRef} />`;
+    }
+
+    const duration = String(node.data.duration || '');
+    // R3/PT1H repeats, P.../PT... is a duration, anything else a date
+    const element = duration.startsWith('R') ? 'timeCycle' : duration.startsWith('P') ? 'timeDuration' : 'timeDate';
+
+    return `      <bpmn:timerEventDefinition>
+        <bpmn:${element} xsi:type="bpmn:tFormalExpression">${this.escapeXML(duration)}</bpmn:${element}>
+      </bpmn:timerEventDefinition>`;
+  }
+
+  /**
+   * Generate the compensation definition of a compensation throw event
+   * (without an activityRef every completed activity is compensated)
+   */
+  generateCompensateEventDefinition(node) {
+    const activityRef = node.data.activityRef ? ` activityRef="${this.escapeXML(node.data.activityRef)}"` : '';
+    return `      <bpmn:compensateEventDefinition${activityRef} waitForCompletion="true" />`;
+  }
+
+  /**
+   * Generate one bpmn:error per error code caught by boundary events
+   */
+  generateErrorDefinitions(nodes) {
+    const codes = new Set(nodes
+      .filter(n => n.bpmnType === 'boundaryEvent' && n.data.eventType === 'error' && n.data.errorCode)
+      .map(n => n.data.errorCode));
+
+    return [...codes].map(code =>
+      `  <bpmn:error id="${this.getErrorId(code)}" name="${this.escapeXML(code)}" errorCode="${this.escapeXML(code)}" />\n`
+    ).join('');
+  }
+
+  /**
+   * Get a valid XML id for an error code
+   */
+  getErrorId(errorCode) {
+    return this.getDefinitionId('Error', errorCode);
+  }
+
+  /**
+   * Get a valid XML id for a named error, message or signal definition
+   */
+  getDefinitionId(prefix, name) {
+    return `${prefix}_${String(name).replace(/[^A-Za-z0-9_-]/g, '_')}`;
+  }
+
+  /**
+   * Generate the message definition of a start event triggered by a message
+   */
+  generateStartEventDefinition(node) {
+    if (node.data.trigger !== 'message' || !node.data.messageName) {
+      return '';
+    }
+
+    return `\n      <bpmn:messageEventDefinition messageRef="${this.getDefinitionId('Message', node.data.messageName)}" />`;
+  }
+
+  /**
+   * Generate the timer, message or signal definition of an intermediate catch event
+   */
+  generateCatchEventDefinition(node) {
+    if (node.originalType === 'messageEvent' && node.data.messageName) {
+      return `      <bpmn:messageEventDefinition messageRef="${this.getDefinitionId('Message', node.data.messageName)}" />`;
+    }
+
+    if (node.originalType === 'signalEvent' && node.data.signalName) {
+      return `      <bpmn:signalEventDefinition signalRef="${this.getDefinitionId('Signal', node.data.signalName)}" />`;
+    }
+
+    return '      <bpmn:timerEventDefinition />';
+  }
+
+  /**
+   * Generate one bpmn:message / bpmn:signal per name used by catch and start events
+   */
+  generateMessageDefinitions(nodes) {
+    const messages = new Set(nodes
+      .filter(n => n.originalType === 'messageEvent' || (n.bpmnType === 'startEvent' && n.data.trigger === 'message'))
+      .map(n => n.data.messageName)
+      .filter(Boolean));
+    const signals = new Set(nodes
+      .filter(n => n.originalType === 'signalEvent')
+      .map(n => n.data.signalName)
+      .filter(Boolean));
+
+    return [
+      ...[...messages].map(name =>
+        `  <bpmn:message id="${this.getDefinitionId('Message', name)}" name="${this.escapeXML(name)}" />\n`),
+      ...[...signals].map(name =>
+        `  <bpmn:signal id="${this.getDefinitionId('Signal', name)}" name="${this.escapeXML(name)}" />\n`)
+    ].join('');
+  }
+
   /**
    * Generate task documentation
    */
@@ -307,6 +467,47 @@ ${outgoingXML}
     return '';
   }
 
+  /**
+   * Generate the multi-instance loop characteristics of an activity
+   */
+  generateLoopCharacteristics(node) {
+    const config = node.data.multiInstance;
+    if (!config || (!config.collection && !config.loopCardinality)) {
+      return '';
+    }
+
+    let attrs = ` isSequential="${config.mode === 'sequential'}"`;
+    if (config.collection) {
+      attrs += ` camunda:collection="\${${this.escapeXML(config.collection)}}"`;
+    }
+    if (config.elementVariable) {
+      attrs += ` camunda:elementVariable="${this.escapeXML(config.elementVariable)}"`;
+    }
+
+    let children = '';
+    if (!config.collection) {
+      children += `        <bpmn:loopCardinality xsi:type="bpmn:tFormalExpression">${this.escapeXML(config.loopCardinality)}</bpmn:loopCardinality>\n`;
+    }
+    if (config.completionCondition) {
+      children += `        <bpmn:completionCondition xsi:type="bpmn:tFormalExpression">\${${this.escapeXML(config.completionCondition)}}</bpmn:completionCondition>\n`;
+    }
+
+    return children
+      ? `      <bpmn:multiInstanceLoopCharacteristics${attrs}>\n${children}      </bpmn:multiInstanceLoopCharacteristics>\n`
+      : `      <bpmn:multiInstanceLoopCharacteristics${attrs} />\n`;
+  }
+
+  /**
+   * Generate the activation condition of a complex gateway
+   */
+  generateActivationCondition(node) {
+    if (!node.data.activationCondition) {
+      return '';
+    }
+
+    return `      <bpmn:activationCondition xsi:type="bpmn:tFormalExpression">\${${this.escapeXML(node.data.activationCondition)}}</bpmn:activationCondition>\n`;
+  }
+
   /**
    * Escape XML special characters
    */
@@ -169,7 +169,9 @@ class BPMNioCompatibilityAgent {
       'sendTask',
       'task',
       'exclusiveGateway',
-      'parallelGateway'
+      'parallelGateway',
+      'eventBasedGateway',
+      'complexGateway'
     ].includes(bpmnType);
   }
 
@@ -197,6 +199,8 @@ class BPMNioCompatibilityAgent {
       'startEvent': { width: 36, height: 36 },
       'endEvent': { width: 36, height: 36 },
       'intermediateCatchEvent': { width: 36, height: 36 },
+      'intermediateThrowEvent': { width: 36, height: 36 },
+      'boundaryEvent': { width: 36, height: 36 },
       'userTask': { width: 100, height: 80 },
       'scriptTask': { width: 100, height: 80 },
       'serviceTask': { width: 100, height: 80 },
@@ -204,7 +208,9 @@ class BPMNioCompatibilityAgent {
       'sendTask': { width: 100, height: 80 },
       'task': { width: 100, height: 80 },
       'exclusiveGateway': { width: 50, height: 50 },
-      'parallelGateway': { width: 50, height: 50 }
+      'parallelGateway': { width: 50, height: 50 },
+      'eventBasedGateway': { width: 50, height: 50 },
+      'complexGateway': { width: 50, height: 50 }
     };
 
     return dimensions[bpmnType] || { width: 100, height: 80 };
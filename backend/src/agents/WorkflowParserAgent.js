@@ -107,6 +107,14 @@ class WorkflowParserAgent {
         type: node.data?.gatewayType === 'parallel' ? 'parallelGateway' : 'exclusiveGateway',
         element: node.data?.gatewayType === 'parallel' ? 'bpmn:ParallelGateway' : 'bpmn:ExclusiveGateway'
       },
+      'eventGateway': {
+        type: 'eventBasedGateway',
+        element: 'bpmn:EventBasedGateway'
+      },
+      'complexGateway': {
+        type: 'complexGateway',
+        element: 'bpmn:ComplexGateway'
+      },
       'validation': {
         type: 'businessRuleTask',
         element: 'bpmn:BusinessRuleTask'
@@ -122,6 +130,22 @@ class WorkflowParserAgent {
       'timerEvent': {
         type: 'intermediateCatchEvent',
         element: 'bpmn:IntermediateCatchEvent'
+      },
+      'boundaryEvent': {
+        type: 'boundaryEvent',
+        element: 'bpmn:BoundaryEvent'
+      },
+      'messageEvent': {
+        type: 'intermediateCatchEvent',
+        element: 'bpmn:IntermediateCatchEvent'
+      },
+      'signalEvent': {
+        type: 'intermediateCatchEvent',
+        element: 'bpmn:IntermediateCatchEvent'
+      },
+      'compensationEvent': {
+        type: 'intermediateThrowEvent',
+        element: 'bpmn:IntermediateThrowEvent'
       }
     };
 
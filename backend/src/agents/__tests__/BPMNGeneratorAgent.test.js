@@ -0,0 +1,129 @@
+/**
+ * BPMN export: runtime node settings written as BPMN 2.0 elements
+ */
+
+const WorkflowParserAgent = require('../WorkflowParserAgent');
+const BPMNGeneratorAgent = require('../BPMNGeneratorAgent');
+
+/**
+ * Export a workflow as the AgentOrchestrator does: parse, then generate
+ */
+async function exportXml(nodes, connections = []) {
+  const parsed = await new WorkflowParserAgent().execute({ id: 'export', name: 'Export', nodes, connections });
+  return new BPMNGeneratorAgent().execute(parsed);
+}
+
+describe('BPMNGeneratorAgent', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('boundary events', () => {
+    const task = { id: 'review', type: 'userTask', data: { label: 'Review' } };
+
+    test('exports timers with their host, interrupting flag and timer definition', async () => {
+      const xml = await exportXml([
+        task,
+        { id: 'escalate', type: 'boundaryEvent', data: { label: 'Escalate', attachedTo: 'review', eventType: 'timer', duration: 'PT4H' } },
+        { id: 'remind', type: 'boundaryEvent', data: { label: 'Remind', attachedTo: 'review', eventType: 'timer', duration: 'R3/PT1H', cancelActivity: false } }
+      ]);
+
+      expect(xml).toContain('<bpmn:boundaryEvent id="escalate" name="Escalate" attachedToRef="review" cancelActivity="true">');
+      expect(xml).toContain('<bpmn:timeDuration xsi:type="bpmn:tFormalExpression">PT4H</bpmn:timeDuration>');
+      expect(xml).toContain('<bpmn:boundaryEvent id="remind" name="Remind" attachedToRef="review" cancelActivity="false">');
+      expect(xml).toContain('<bpmn:timeCycle xsi:type="bpmn:tFormalExpression">R3/PT1H</bpmn:timeCycle>');
+    });
+
+    test('exports error boundaries with one error definition per code', async () => {
+      const xml = await exportXml([
+        task,
+        { id: 'rejected', type: 'boundaryEvent', data: { attachedTo: 'review', eventType: 'error', errorCode: 'REJECTED', cancelActivity: false } },
+        { id: 'anyError', type: 'boundaryEvent', data: { attachedTo: 'review', eventType: 'error' } }
+      ]);
+
+      expect(xml.match(/<bpmn:error /g)).toHaveLength(1);
+      expect(xml).toMatch(/<bpmn:error id="(\w+)" name="REJECTED" errorCode="REJECTED" \/>/);
+      const errorId = xml.match(/<bpmn:error id="(\w+)"/)[1];
+      // Error boundaries always interrupt
+      expect(xml).toContain('id="rejected" name="Unnamed" attachedToRef="review" cancelActivity="true"');
+      expect(xml).toContain(`<bpmn:errorEventDefinition errorRef="${errorId}" />`);
+      expect(xml).toContain('<bpmn:errorEventDefinition />');
+    });
+  });
+
+  describe('message and signal events', () => {
+    test('export catch and start events with one message or signal definition per name', async () => {
+      const xml = await exportXml([
+        { id: 'start', type: 'startProcess', data: { label: 'Order placed', trigger: 'message', messageName: 'OrderPlaced' } },
+        { id: 'paid', type: 'messageEvent', data: { label: 'Paid', messageName: 'PaymentReceived' } },
+        { id: 'paidAgain', type: 'messageEvent', data: { label: 'Paid again', messageName: 'PaymentReceived' } },
+        { id: 'stop', type: 'signalEvent', data: { label: 'Stop', signalName: 'Shutdown' } }
+      ]);
+
+      const messageIds = [...xml.matchAll(/<bpmn:message id="(\w+)" name="(\w+)" \/>/g)].map(m => [m[2], m[1]]);
+      expect(messageIds.map(([name]) => name)).toEqual(['OrderPlaced', 'PaymentReceived']);
+      const ids = Object.fromEntries(messageIds);
+      expect(xml.match(new RegExp(`<bpmn:messageEventDefinition messageRef="${ids.PaymentReceived}" />`, 'g'))).toHaveLength(2);
+      expect(xml).toContain(`<bpmn:messageEventDefinition messageRef="${ids.OrderPlaced}" />`);
+
+      const signalId = xml.match(/<bpmn:signal id="(\w+)" name="Shutdown" \/>/)[1];
+      expect(xml).toContain(`<bpmn:signalEventDefinition signalRef="${signalId}" />`);
+    });
+  });
+
+  describe('gateways', () => {
+    test('export event-based gateways and complex gateways with their activation condition', async () => {
+      const xml = await exportXml([
+        { id: 'wait', type: 'eventGateway', data: { label: 'Wait' } },
+        { id: 'paid', type: 'messageEvent', data: { label: 'Paid', messageName: 'Paid' } },
+        { id: 'timeout', type: 'timerEvent', data: { label: 'Timeout', duration: 'P1D' } },
+        { id: 'join', type: 'complexGateway', data: { label: 'Join', activationCondition: 'nrOfArrivedTokens >= 1' } }
+      ], [
+        { id: 'c1', source: 'wait', target: 'paid' },
+        { id: 'c2', source: 'wait', target: 'timeout' },
+        { id: 'c3', source: 'paid', target: 'join' },
+        { id: 'c4', source: 'timeout', target: 'join' }
+      ]);
+
+      expect(xml).toMatch(/<bpmn:eventBasedGateway id="wait" name="Wait">\s*<bpmn:outgoing>c1<\/bpmn:outgoing>\s*<bpmn:outgoing>c2<\/bpmn:outgoing>\s*<\/bpmn:eventBasedGateway>/);
+      expect(xml).toMatch(/<bpmn:complexGateway id="join" name="Join">[\s\S]*?<bpmn:activationCondition xsi:type="bpmn:tFormalExpression">\$\{nrOfArrivedTokens &gt;= 1\}<\/bpmn:activationCondition>\s*<\/bpmn:complexGateway>/);
+    });
+  });
+
+  describe('compensation', () => {
+    test('exports compensation boundaries and throw events with their activity reference', async () => {
+      const xml = await exportXml([
+        { id: 'charge', type: 'scriptTask', data: { label: 'Charge' } },
+        { id: 'onCharge', type: 'boundaryEvent', data: { label: 'Undo charge', attachedTo: 'charge', eventType: 'compensation' } },
+        { id: 'refundOnly', type: 'compensationEvent', data: { label: 'Refund', activityRef: 'charge' } },
+        { id: 'rollback', type: 'compensationEvent', data: { label: 'Roll back' } }
+      ]);
+
+      expect(xml).toMatch(/<bpmn:boundaryEvent id="onCharge" name="Undo charge" attachedToRef="charge"[^>]*>\s*<bpmn:compensateEventDefinition \/>/);
+      expect(xml).toMatch(/<bpmn:intermediateThrowEvent id="refundOnly" name="Refund">\s*<bpmn:compensateEventDefinition activityRef="charge" waitForCompletion="true" \/>/);
+      expect(xml).toMatch(/<bpmn:intermediateThrowEvent id="rollback" name="Roll back">\s*<bpmn:compensateEventDefinition waitForCompletion="true" \/>/);
+    });
+  });
+
+  describe('multi-instance activities', () => {
+    test('export loop characteristics over a collection or a cardinality', async () => {
+      const xml = await exportXml([
+        { id: 'review', type: 'userTask', data: { label: 'Review', multiInstance: {
+          collection: 'reviewers', elementVariable: 'reviewer', completionCondition: 'count(results, true) >= 2'
+        } } },
+        { id: 'retry', type: 'scriptTask', data: { label: 'Retry', multiInstance: { mode: 'sequential', loopCardinality: '3' } } },
+        { id: 'once', type: 'scriptTask', data: { label: 'Once', multiInstance: { mode: 'sequential' } } }
+      ]);
+
+      expect(xml).toContain('<bpmn:multiInstanceLoopCharacteristics isSequential="false" camunda:collection="${reviewers}" camunda:elementVariable="reviewer">');
+      expect(xml).toContain('<bpmn:completionCondition xsi:type="bpmn:tFormalExpression">${count(results, true) &gt;= 2}</bpmn:completionCondition>');
+      expect(xml).toContain('<bpmn:multiInstanceLoopCharacteristics isSequential="true">');
+      expect(xml).toContain('<bpmn:loopCardinality xsi:type="bpmn:tFormalExpression">3</bpmn:loopCardinality>');
+      expect(xml.match(/<bpmn:multiInstanceLoopCharacteristics/g)).toHaveLength(2);
+    });
+  });
+});
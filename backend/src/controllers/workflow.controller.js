@@ -1,219 +1,213 @@
-const { v4: uuidv4 } = require('uuid');
 const bpmnConverter = require('../utils/bpmn-converter');
 const WorkflowValidator = require('../services/validation/WorkflowValidator');
+const workflowRepository = require('../database/WorkflowRepository');
+
+// Workflow repository error codes -> HTTP status
+const WORKFLOW_ERROR_STATUS = {
+  INVALID_WORKFLOW: 400,
+  WORKFLOW_NOT_FOUND: 404,
+  WORKFLOW_CONFLICT: 409,
+  WORKFLOW_PRECONDITION_FAILED: 412
+};
+
+// Fields a client may set on create/update
+const EDITABLE_FIELDS = [
+  'name', 'description', 'version', 'nodes', 'connections', 'metadata', 'tags', 'applicationId', 'retention'
+];
+
+// Send an error with the status its code maps to (500 otherwise)
+const sendWorkflowError = (res, error) => {
+  const status = WORKFLOW_ERROR_STATUS[error.code] || 500;
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    ...(error.currentRevision && { currentRevision: error.currentRevision })
+  });
+};
+
+// Pick the editable fields present in a request body
+const pickEditable = (body = {}) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined && body[field] !== null).map(field => [field, body[field]])
+);
 
-// In-memory storage (replace with database later)
-let workflows = [];
+// Revision an update or delete requires: If-Match header, or body.revision
+const expectedRevision = (req) => {
+  const ifMatch = workflowRepository.parseIfMatch(req.get('if-match'));
+  if (ifMatch !== null) {
+    return ifMatch;
+  }
+  return req.body?.revision !== undefined ? Number(req.body.revision) : null;
+};
+
+// Caller from the x-user-id header
+const requestUser = (req) => req.get('x-user-id') || null;
 
 // Create a new workflow
-const createWorkflow = (req, res) => {
+const createWorkflow = async (req, res) => {
   try {
-    const { name, nodes, connections, metadata } = req.body;
-
-    const workflow = {
-      id: uuidv4(),
-      name: name || 'Untitled Workflow',
-      version: '1.0',
-      nodes: nodes || [],
-      connections: connections || [],
-      metadata: {
-        ...metadata,
-        created: new Date().toISOString(),
-        modified: new Date().toISOString()
-      }
-    };
-
-    workflows.push(workflow);
+    const workflow = await workflowRepository.create(
+      { ...pickEditable(req.body), id: req.body.id },
+      requestUser(req)
+    );
 
+    res.set('ETag', workflowRepository.etag(workflow));
     res.status(201).json({
       success: true,
       data: workflow,
+      workflow,
       message: 'Workflow created successfully'
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendWorkflowError(res, error);
   }
 };
 
-// Get all workflows
-const getAllWorkflows = (req, res) => {
+// Get workflows - ?name=&tag=&applicationId=&includeDeleted=true&limit=&offset=
+const getAllWorkflows = async (req, res) => {
   try {
+    const { name, tag, applicationId, includeDeleted, limit, offset } = req.query;
+    const page = await workflowRepository.search({
+      name,
+      tag,
+      applicationId,
+      includeDeleted: includeDeleted === 'true',
+      limit,
+      offset
+    });
+
     res.status(200).json({
       success: true,
-      count: workflows.length,
-      data: workflows
+      count: page.workflows.length,
+      total: page.total,
+      limit: page.limit,
+      offset: page.offset,
+      data: page.workflows,
+      workflows: page.workflows
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendWorkflowError(res, error);
   }
 };
 
-// Get workflow by ID
-const getWorkflowById = (req, res) => {
+// Get workflow by ID (with its revision as ETag)
+const getWorkflowById = async (req, res) => {
   try {
-    const { id } = req.params;
-    const workflow = workflows.find(w => w.id === id);
-
-    if (!workflow) {
-      return res.status(404).json({
-        success: false,
-        message: 'Workflow not found'
-      });
-    }
+    const workflow = await workflowRepository.require(req.params.id, {
+      includeDeleted: req.query.includeDeleted === 'true'
+    });
 
+    res.set('ETag', workflowRepository.etag(workflow));
     res.status(200).json({
       success: true,
-      data: workflow
+      data: workflow,
+      workflow
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendWorkflowError(res, error);
   }
 };
 
-// Update workflow
-const updateWorkflow = (req, res) => {
+// Update workflow - If-Match must name the current revision when sent
+const updateWorkflow = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, nodes, connections, metadata } = req.body;
-
-    const workflowIndex = workflows.findIndex(w => w.id === id);
-
-    if (workflowIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Workflow not found'
-      });
-    }
-
-    workflows[workflowIndex] = {
-      ...workflows[workflowIndex],
-      name: name || workflows[workflowIndex].name,
-      nodes: nodes || workflows[workflowIndex].nodes,
-      connections: connections || workflows[workflowIndex].connections,
-      metadata: {
-        ...workflows[workflowIndex].metadata,
-        ...metadata,
-        modified: new Date().toISOString()
-      }
-    };
+    const workflow = await workflowRepository.update(req.params.id, pickEditable(req.body), {
+      expectedRevision: expectedRevision(req),
+      user: requestUser(req)
+    });
 
+    res.set('ETag', workflowRepository.etag(workflow));
     res.status(200).json({
       success: true,
-      data: workflows[workflowIndex],
+      data: workflow,
+      workflow,
       message: 'Workflow updated successfully'
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendWorkflowError(res, error);
   }
 };
 
-// Delete workflow
-const deleteWorkflow = (req, res) => {
+// Delete workflow (soft delete - restore with POST /:id/restore)
+const deleteWorkflow = async (req, res) => {
   try {
-    const { id } = req.params;
-    const workflowIndex = workflows.findIndex(w => w.id === id);
-
-    if (workflowIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Workflow not found'
-      });
-    }
-
-    workflows.splice(workflowIndex, 1);
+    await workflowRepository.remove(req.params.id, {
+      expectedRevision: expectedRevision(req),
+      user: requestUser(req)
+    });
 
     res.status(200).json({
       success: true,
       message: 'Workflow deleted successfully'
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
+    sendWorkflowError(res, error);
+  }
+};
+
+// Restore a deleted workflow
+const restoreWorkflow = async (req, res) => {
+  try {
+    const workflow = await workflowRepository.restore(req.params.id, { user: requestUser(req) });
+
+    res.set('ETag', workflowRepository.etag(workflow));
+    res.status(200).json({
+      success: true,
+      data: workflow,
+      workflow,
+      message: 'Workflow restored successfully'
     });
+  } catch (error) {
+    sendWorkflowError(res, error);
   }
 };
 
 // Export workflow
-const exportWorkflow = (req, res) => {
+const exportWorkflow = async (req, res) => {
   try {
-    const { id } = req.params;
-    const workflow = workflows.find(w => w.id === id);
-
-    if (!workflow) {
-      return res.status(404).json({
-        success: false,
-        message: 'Workflow not found'
-      });
-    }
+    const workflow = await workflowRepository.require(req.params.id);
 
     res.status(200).json({
       success: true,
       data: workflow
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendWorkflowError(res, error);
   }
 };
 
-// Import workflow
-const importWorkflow = (req, res) => {
+// Import workflow (always under a new ID)
+const importWorkflow = async (req, res) => {
   try {
     const workflowData = req.body;
 
-    // Generate new ID for imported workflow
-    const workflow = {
-      ...workflowData,
-      id: uuidv4(),
-      metadata: {
-        ...workflowData.metadata,
-        imported: new Date().toISOString(),
-        modified: new Date().toISOString()
-      }
-    };
-
-    workflows.push(workflow);
+    const workflow = await workflowRepository.create(
+      {
+        ...pickEditable(workflowData),
+        metadata: {
+          ...workflowData.metadata,
+          imported: new Date().toISOString()
+        }
+      },
+      requestUser(req)
+    );
 
+    res.set('ETag', workflowRepository.etag(workflow));
     res.status(201).json({
       success: true,
       data: workflow,
       message: 'Workflow imported successfully'
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendWorkflowError(res, error);
   }
 };
 
 // Convert workflow to BPMN XML
-const convertToBPMN = (req, res) => {
+const convertToBPMN = async (req, res) => {
   try {
-    const { id } = req.params;
-    const workflow = workflows.find(w => w.id === id);
-
-    if (!workflow) {
-      return res.status(404).json({
-        success: false,
-        message: 'Workflow not found'
-      });
-    }
+    const workflow = await workflowRepository.require(req.params.id);
 
     const bpmnXML = bpmnConverter.convertToBPMN(workflow);
 
@@ -224,25 +218,14 @@ const convertToBPMN = (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendWorkflowError(res, error);
   }
 };
 
 // Validate workflow structure
-const validateWorkflow = (req, res) => {
+const validateWorkflow = async (req, res) => {
   try {
-    const { id } = req.params;
-    const workflow = workflows.find(w => w.id === id);
-
-    if (!workflow) {
-      return res.status(404).json({
-        success: false,
-        message: 'Workflow not found'
-      });
-    }
+    const workflow = await workflowRepository.require(req.params.id);
 
     console.log(`[Validation] Validating workflow: ${workflow.id} (${workflow.name})`);
     const validator = new WorkflowValidator();
@@ -276,11 +259,10 @@ const validateWorkflow = (req, res) => {
       }
     });
   } catch (error) {
-    console.error('[Validation] Error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    if (!WORKFLOW_ERROR_STATUS[error.code]) {
+      console.error('[Validation] Error:', error);
+    }
+    sendWorkflowError(res, error);
   }
 };
 
@@ -290,6 +272,7 @@ module.exports = {
   getWorkflowById,
   updateWorkflow,
   deleteWorkflow,
+  restoreWorkflow,
   exportWorkflow,
   importWorkflow,
   convertToBPMN,
@@ -0,0 +1,140 @@
+/**
+ * Credential Database
+ * Stores encrypted credential records (secret values are encrypted by CredentialVault)
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+class CredentialDatabase {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../../data');
+    this.credentialsFile = path.join(this.dataDir, 'credentials.json');
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize database (create data directory and files)
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+
+      // Create credentials file if it doesn't exist
+      try {
+        await fs.access(this.credentialsFile);
+      } catch {
+        await fs.writeFile(this.credentialsFile, JSON.stringify([], null, 2), { mode: 0o600 });
+      }
+
+      this.initialized = true;
+      console.log('[CredentialDatabase] Initialized successfully');
+    } catch (error) {
+      console.error('[CredentialDatabase] Initialization failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a credential record (create or replace by name)
+   */
+  async saveCredential(credential) {
+    await this.initialize();
+
+    const credentials = await this.loadCredentials();
+    const existingIndex = credentials.findIndex(c => c.name === credential.name);
+    const now = new Date().toISOString();
+
+    if (existingIndex >= 0) {
+      credentials[existingIndex] = {
+        ...credential,
+        createdAt: credentials[existingIndex].createdAt,
+        updatedAt: now
+      };
+    } else {
+      credentials.push({
+        ...credential,
+        createdAt: now,
+        updatedAt: now
+      });
+    }
+
+    await fs.writeFile(this.credentialsFile, JSON.stringify(credentials, null, 2), { mode: 0o600 });
+    console.log(`[CredentialDatabase] Credential saved: ${credential.name}`);
+
+    return credentials[existingIndex >= 0 ? existingIndex : credentials.length - 1];
+  }
+
+  /**
+   * Get credential record by name
+   */
+  async getCredential(name) {
+    await this.initialize();
+
+    const credentials = await this.loadCredentials();
+    return credentials.find(c => c.name === name);
+  }
+
+  /**
+   * Get all credential records
+   */
+  async loadCredentials() {
+    await this.initialize();
+
+    try {
+      const data = await fs.readFile(this.credentialsFile, 'utf-8');
+      return JSON.parse(data);
+    } catch (error) {
+      console.error('[CredentialDatabase] Error loading credentials:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Read all credential records synchronously, unless the file is unchanged since a version
+   * Returns { version, credentials }, or null when the file still has that version
+   */
+  readIfChangedSync(version) {
+    let stats = null;
+    try {
+      stats = fsSync.statSync(this.credentialsFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const current = `${this.credentialsFile}:${stats ? `${stats.mtimeMs}:${stats.size}` : 'missing'}`;
+    if (current === version) {
+      return null;
+    }
+    if (!stats) {
+      return { version: current, credentials: [] };
+    }
+
+    try {
+      return { version: current, credentials: JSON.parse(fsSync.readFileSync(this.credentialsFile, 'utf-8')) };
+    } catch (error) {
+      console.error('[CredentialDatabase] Error loading credentials:', error);
+      return { version: current, credentials: [] };
+    }
+  }
+
+  /**
+   * Delete a credential record
+   */
+  async deleteCredential(name) {
+    await this.initialize();
+
+    const credentials = await this.loadCredentials();
+    const filteredCredentials = credentials.filter(c => c.name !== name);
+
+    await fs.writeFile(this.credentialsFile, JSON.stringify(filteredCredentials, null, 2), { mode: 0o600 });
+    console.log(`[CredentialDatabase] Credential deleted: ${name}`);
+
+    return { deleted: credentials.length !== filteredCredentials.length };
+  }
+}
+
+module.exports = new CredentialDatabase();
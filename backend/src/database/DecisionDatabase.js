@@ -0,0 +1,113 @@
+/**
+ * Decision Database
+ * Manages DMN decision table definitions referenced by business rule tasks
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class DecisionDatabase {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../../data');
+    this.decisionsFile = path.join(this.dataDir, 'decisions.json');
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize database (create data directory and files)
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+
+      // Create decisions file if it doesn't exist
+      try {
+        await fs.access(this.decisionsFile);
+      } catch {
+        await fs.writeFile(this.decisionsFile, JSON.stringify([], null, 2));
+      }
+
+      this.initialized = true;
+      console.log('[DecisionDatabase] Initialized successfully');
+    } catch (error) {
+      console.error('[DecisionDatabase] Initialization failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a decision table (each save of an existing table bumps its version)
+   */
+  async saveDecision(decision) {
+    await this.initialize();
+
+    const decisions = await this.loadDecisions();
+    const existingIndex = decisions.findIndex(d => d.id === decision.id);
+    const now = new Date().toISOString();
+
+    if (existingIndex >= 0) {
+      decisions[existingIndex] = {
+        ...decision,
+        version: (decisions[existingIndex].version || 1) + 1,
+        createdAt: decisions[existingIndex].createdAt,
+        updatedAt: now
+      };
+    } else {
+      decisions.push({
+        ...decision,
+        version: 1,
+        createdAt: now,
+        updatedAt: now
+      });
+    }
+
+    await fs.writeFile(this.decisionsFile, JSON.stringify(decisions, null, 2));
+    console.log(`[DecisionDatabase] Decision saved: ${decision.id}`);
+
+    return decisions[existingIndex >= 0 ? existingIndex : decisions.length - 1];
+  }
+
+  /**
+   * Get decision table by ID
+   */
+  async getDecision(decisionId) {
+    await this.initialize();
+
+    const decisions = await this.loadDecisions();
+    return decisions.find(d => d.id === decisionId);
+  }
+
+  /**
+   * Get all decision tables
+   */
+  async loadDecisions() {
+    await this.initialize();
+
+    try {
+      const data = await fs.readFile(this.decisionsFile, 'utf-8');
+      return JSON.parse(data);
+    } catch (error) {
+      console.error('[DecisionDatabase] Error loading decisions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete a decision table
+   */
+  async deleteDecision(decisionId) {
+    await this.initialize();
+
+    const decisions = await this.loadDecisions();
+    const filteredDecisions = decisions.filter(d => d.id !== decisionId);
+
+    await fs.writeFile(this.decisionsFile, JSON.stringify(filteredDecisions, null, 2));
+    console.log(`[DecisionDatabase] Decision deleted: ${decisionId}`);
+
+    return { deleted: decisions.length !== filteredDecisions.length };
+  }
+}
+
+module.exports = new DecisionDatabase();
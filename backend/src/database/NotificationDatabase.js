@@ -0,0 +1,172 @@
+/**
+ * Notification Database
+ * Manages notification message templates and the local in-app inbox
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Oldest inbox messages are dropped beyond this
+const MAX_INBOX_MESSAGES = 5000;
+
+class NotificationDatabase {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../../data');
+    this.templatesFile = path.join(this.dataDir, 'notification-templates.json');
+    this.inboxFile = path.join(this.dataDir, 'notifications.json');
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize database (create data directory and files)
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+
+      // Create templates and inbox files if they don't exist
+      for (const file of [this.templatesFile, this.inboxFile]) {
+        try {
+          await fs.access(file);
+        } catch {
+          await fs.writeFile(file, JSON.stringify([], null, 2));
+        }
+      }
+
+      this.initialized = true;
+      console.log('[NotificationDatabase] Initialized successfully');
+    } catch (error) {
+      console.error('[NotificationDatabase] Initialization failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read a JSON list file
+   */
+  async readList(file) {
+    await this.initialize();
+
+    try {
+      const data = await fs.readFile(file, 'utf-8');
+      return JSON.parse(data);
+    } catch (error) {
+      console.error(`[NotificationDatabase] Error loading ${path.basename(file)}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a message template
+   */
+  async saveTemplate(template) {
+    const templates = await this.readList(this.templatesFile);
+    const existingIndex = templates.findIndex(t => t.id === template.id);
+    const now = new Date().toISOString();
+
+    if (existingIndex >= 0) {
+      templates[existingIndex] = {
+        ...template,
+        createdAt: templates[existingIndex].createdAt,
+        updatedAt: now
+      };
+    } else {
+      templates.push({
+        ...template,
+        createdAt: now,
+        updatedAt: now
+      });
+    }
+
+    await fs.writeFile(this.templatesFile, JSON.stringify(templates, null, 2));
+    console.log(`[NotificationDatabase] Template saved: ${template.id}`);
+
+    return templates[existingIndex >= 0 ? existingIndex : templates.length - 1];
+  }
+
+  /**
+   * Get template by ID
+   */
+  async getTemplate(templateId) {
+    const templates = await this.readList(this.templatesFile);
+    return templates.find(t => t.id === templateId);
+  }
+
+  /**
+   * Get all templates
+   */
+  async loadTemplates() {
+    return await this.readList(this.templatesFile);
+  }
+
+  /**
+   * Delete a template
+   */
+  async deleteTemplate(templateId) {
+    const templates = await this.readList(this.templatesFile);
+    const filteredTemplates = templates.filter(t => t.id !== templateId);
+
+    await fs.writeFile(this.templatesFile, JSON.stringify(filteredTemplates, null, 2));
+    console.log(`[NotificationDatabase] Template deleted: ${templateId}`);
+
+    return { deleted: templates.length !== filteredTemplates.length };
+  }
+
+  /**
+   * Add messages to recipients' inboxes
+   */
+  async addInboxMessages(items) {
+    const inbox = await this.readList(this.inboxFile);
+    const now = new Date().toISOString();
+
+    const messages = items.map(item => ({
+      id: `notification_${uuidv4()}`,
+      ...item,
+      read: false,
+      readAt: null,
+      createdAt: now
+    }));
+
+    inbox.push(...messages);
+    await fs.writeFile(this.inboxFile, JSON.stringify(inbox.slice(-MAX_INBOX_MESSAGES), null, 2));
+
+    return messages;
+  }
+
+  /**
+   * Get inbox messages, newest first (filter by recipient or unread)
+   */
+  async loadInbox(filters = {}) {
+    const inbox = await this.readList(this.inboxFile);
+
+    return inbox
+      .filter(message => !filters.recipient || message.recipient === filters.recipient)
+      .filter(message => !filters.unread || !message.read)
+      .reverse();
+  }
+
+  /**
+   * Mark an inbox message as read
+   */
+  async markRead(messageId) {
+    const inbox = await this.readList(this.inboxFile);
+    const message = inbox.find(m => m.id === messageId);
+
+    if (!message) {
+      return null;
+    }
+
+    if (!message.read) {
+      message.read = true;
+      message.readAt = new Date().toISOString();
+      await fs.writeFile(this.inboxFile, JSON.stringify(inbox, null, 2));
+    }
+
+    return message;
+  }
+}
+
+module.exports = new NotificationDatabase();
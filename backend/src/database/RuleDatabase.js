@@ -0,0 +1,268 @@
+/**
+ * Rule Database
+ * Manages business rules in PostgreSQL (k1.rules), falling back to a JSON file
+ * when the platform database is unavailable
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const db = require('../config/database');
+
+// Saved versions kept per rule
+const MAX_VERSIONS = 50;
+
+class RuleDatabase {
+  constructor() {
+    this.dataDir = path.join(__dirname, '../../data');
+    this.rulesFile = path.join(this.dataDir, 'rules.json');
+    this.usePostgres = false;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize database (use k1.rules when reachable, otherwise the rules file)
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await db.query('SELECT 1 FROM k1.rules LIMIT 1');
+      this.usePostgres = true;
+      console.log('[RuleDatabase] PostgreSQL initialized successfully');
+    } catch (error) {
+      console.warn(`[RuleDatabase] PostgreSQL unavailable (${error.message}), using file storage`);
+
+      await fs.mkdir(this.dataDir, { recursive: true });
+      try {
+        await fs.access(this.rulesFile);
+      } catch {
+        await fs.writeFile(this.rulesFile, JSON.stringify([], null, 2));
+      }
+    }
+
+    this.initialized = true;
+  }
+
+  /**
+   * Save a rule as a new version
+   * @param {Object} rule - Rule definition (id, applicationId, name, conditions, actions, ...)
+   * @param {Object} options - author, changeDescription, applicationVersion
+   */
+  async saveRule(rule, options = {}) {
+    await this.initialize();
+
+    const existing = await this.getRule(rule.id);
+    const now = new Date().toISOString();
+    const version = existing ? existing.version + 1 : 1;
+    const applicationVersion = options.applicationVersion ||
+      await this.getApplicationVersion(rule.applicationId) ||
+      existing?.applicationVersion || null;
+
+    const definition = {
+      name: rule.name,
+      description: rule.description || '',
+      type: rule.type || 'validation',
+      conditions: rule.conditions || [],
+      actions: rule.actions || [],
+      priority: Number(rule.priority) || 0,
+      isActive: rule.isActive !== false
+    };
+
+    const saved = {
+      id: rule.id,
+      applicationId: rule.applicationId || null,
+      ...definition,
+      metadata: rule.metadata || {},
+      version,
+      applicationVersion,
+      versions: [
+        {
+          ...definition,
+          version,
+          applicationVersion,
+          author: options.author || 'system',
+          changeDescription: options.changeDescription || '',
+          savedAt: now
+        },
+        ...(existing?.versions || [])
+      ].slice(0, MAX_VERSIONS),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    if (this.usePostgres) {
+      await this.upsertRow(saved);
+    } else {
+      const rules = await this.loadRulesFile();
+      const index = rules.findIndex(r => r.id === saved.id);
+
+      if (index >= 0) {
+        rules[index] = saved;
+      } else {
+        rules.push(saved);
+      }
+
+      await fs.writeFile(this.rulesFile, JSON.stringify(rules, null, 2));
+    }
+
+    console.log(`[RuleDatabase] Rule saved: ${saved.id} (v${version})`);
+    return saved;
+  }
+
+  /**
+   * Get rule by ID
+   */
+  async getRule(ruleId) {
+    await this.initialize();
+
+    if (this.usePostgres) {
+      const result = await db.query('SELECT * FROM k1.rules WHERE id = $1', [ruleId]);
+      return result.rows[0] ? this.fromRow(result.rows[0]) : null;
+    }
+
+    const rules = await this.loadRulesFile();
+    return rules.find(r => r.id === ruleId) || null;
+  }
+
+  /**
+   * Get all rules (optionally of one application), highest priority first
+   */
+  async loadRules(filters = {}) {
+    await this.initialize();
+
+    let rules;
+    if (this.usePostgres) {
+      const result = filters.applicationId
+        ? await db.query('SELECT * FROM k1.rules WHERE application_id = $1', [filters.applicationId])
+        : await db.query('SELECT * FROM k1.rules');
+      rules = result.rows.map(row => this.fromRow(row));
+    } else {
+      rules = (await this.loadRulesFile())
+        .filter(r => !filters.applicationId || r.applicationId === filters.applicationId);
+    }
+
+    return rules
+      .filter(r => !filters.type || r.type === filters.type)
+      .sort((a, b) => b.priority - a.priority || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Delete a rule
+   */
+  async deleteRule(ruleId) {
+    await this.initialize();
+
+    if (this.usePostgres) {
+      const result = await db.query('DELETE FROM k1.rules WHERE id = $1', [ruleId]);
+      return { deleted: result.rowCount > 0 };
+    }
+
+    const rules = await this.loadRulesFile();
+    const filteredRules = rules.filter(r => r.id !== ruleId);
+
+    await fs.writeFile(this.rulesFile, JSON.stringify(filteredRules, null, 2));
+    console.log(`[RuleDatabase] Rule deleted: ${ruleId}`);
+
+    return { deleted: rules.length !== filteredRules.length };
+  }
+
+  /**
+   * Whether rules are stored in PostgreSQL (applicationId is then required)
+   */
+  async isPostgres() {
+    await this.initialize();
+    return this.usePostgres;
+  }
+
+  /**
+   * Read the rules file
+   */
+  async loadRulesFile() {
+    try {
+      const data = await fs.readFile(this.rulesFile, 'utf-8');
+      return JSON.parse(data);
+    } catch (error) {
+      console.error('[RuleDatabase] Error loading rules:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Current version of the application a rule belongs to (PostgreSQL only)
+   */
+  async getApplicationVersion(applicationId) {
+    if (!this.usePostgres || !applicationId) {
+      return null;
+    }
+
+    const result = await db.query('SELECT version FROM k1.applications WHERE id = $1', [applicationId]);
+    return result.rows[0]?.version || null;
+  }
+
+  /**
+   * Insert or update a k1.rules row
+   * Version history has no column of its own and is kept in metadata
+   */
+  async upsertRow(rule) {
+    const metadata = {
+      ...rule.metadata,
+      version: rule.version,
+      applicationVersion: rule.applicationVersion,
+      versions: rule.versions
+    };
+
+    await db.query(`
+      INSERT INTO k1.rules (
+        id, application_id, name, description, conditions, actions, type, priority, is_active, metadata
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (id) DO UPDATE SET
+        application_id = EXCLUDED.application_id,
+        name = EXCLUDED.name,
+        description = EXCLUDED.description,
+        conditions = EXCLUDED.conditions,
+        actions = EXCLUDED.actions,
+        type = EXCLUDED.type,
+        priority = EXCLUDED.priority,
+        is_active = EXCLUDED.is_active,
+        metadata = EXCLUDED.metadata
+    `, [
+      rule.id,
+      rule.applicationId,
+      rule.name,
+      rule.description,
+      JSON.stringify(rule.conditions),
+      JSON.stringify(rule.actions),
+      rule.type,
+      rule.priority,
+      rule.isActive,
+      JSON.stringify(metadata)
+    ]);
+  }
+
+  /**
+   * Convert a k1.rules row to a rule
+   */
+  fromRow(row) {
+    const { version, applicationVersion, versions, ...metadata } = row.metadata || {};
+
+    return {
+      id: row.id,
+      applicationId: row.application_id,
+      name: row.name,
+      description: row.description || '',
+      type: row.type || 'validation',
+      conditions: row.conditions || [],
+      actions: row.actions || [],
+      priority: row.priority || 0,
+      isActive: row.is_active,
+      metadata,
+      version: version || 1,
+      applicationVersion: applicationVersion || null,
+      versions: versions || [],
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new RuleDatabase();
@@ -1,43 +1,24 @@
 /**
  * Workflow Database Service
- * Simple file-based database for workflow instances
- * Can be replaced with PostgreSQL/MongoDB later
+ * Workflow definitions, instances, timers, tasks and subscriptions
+ * Delegates to the storage backend selected by WORKFLOW_STORAGE (see storage/index.js)
  */
 
-const fs = require('fs').promises;
-const path = require('path');
 const WorkflowInstance = require('../models/WorkflowInstance');
 const versionManager = require('../runtime/VersionManager');
+const { createWorkflowStore } = require('./storage');
+const { parseInstanceQuery, decodeCursor, MAX_LIMIT } = require('./storage/instanceQuery');
+
+// Upper bound of instances in one history export
+const MAX_EXPORT_ROWS = 10000;
 
 class WorkflowDatabase {
   constructor() {
-    this.dbPath = path.join(__dirname, '../../data');
-    this.instancesFile = path.join(this.dbPath, 'instances.json');
-    this.workflowsFile = path.join(this.dbPath, 'workflows.json');
-    this.ensureDatabase();
-  }
+    this.store = createWorkflowStore();
 
-  /**
-   * Ensure database directory and files exist
-   */
-  async ensureDatabase() {
-    try {
-      await fs.mkdir(this.dbPath, { recursive: true });
-
-      try {
-        await fs.access(this.instancesFile);
-      } catch {
-        await fs.writeFile(this.instancesFile, JSON.stringify([], null, 2));
-      }
-
-      try {
-        await fs.access(this.workflowsFile);
-      } catch {
-        await fs.writeFile(this.workflowsFile, JSON.stringify([], null, 2));
-      }
-    } catch (error) {
-      console.error('[Database] Error ensuring database:', error);
-    }
+    this.store.init().catch(error => {
+      console.error(`[Database] Error initializing ${this.store.name} storage:`, error);
+    });
   }
 
   /**
@@ -45,16 +26,7 @@ class WorkflowDatabase {
    */
   async saveWorkflow(workflow) {
     try {
-      const workflows = await this.loadWorkflows();
-      const existingIndex = workflows.findIndex(w => w.id === workflow.id);
-
-      if (existingIndex >= 0) {
-        workflows[existingIndex] = workflow;
-      } else {
-        workflows.push(workflow);
-      }
-
-      await fs.writeFile(this.workflowsFile, JSON.stringify(workflows, null, 2));
+      await this.store.saveWorkflow(workflow);
       console.log(`[Database] Workflow saved: ${workflow.id}`);
       return workflow;
     } catch (error) {
@@ -68,8 +40,7 @@ class WorkflowDatabase {
    */
   async loadWorkflows() {
     try {
-      const data = await fs.readFile(this.workflowsFile, 'utf8');
-      return JSON.parse(data);
+      return await this.store.loadWorkflows();
     } catch (error) {
       console.error('[Database] Error loading workflows:', error);
       return [];
@@ -80,8 +51,7 @@ class WorkflowDatabase {
    * Get workflow by ID
    */
   async getWorkflow(workflowId) {
-    const workflows = await this.loadWorkflows();
-    return workflows.find(w => w.id === workflowId);
+    return (await this.store.getWorkflow(workflowId)) || undefined;
   }
 
   /**
@@ -89,18 +59,9 @@ class WorkflowDatabase {
    */
   async saveInstance(instance) {
     try {
-      const instances = await this.loadInstances();
-      const existingIndex = instances.findIndex(i => i.id === instance.id);
-
       const instanceData = instance instanceof WorkflowInstance ? instance.toJSON() : instance;
 
-      if (existingIndex >= 0) {
-        instances[existingIndex] = instanceData;
-      } else {
-        instances.push(instanceData);
-      }
-
-      await fs.writeFile(this.instancesFile, JSON.stringify(instances, null, 2));
+      await this.store.saveInstance(instanceData);
       console.log(`[Database] Instance saved: ${instance.id} - Status: ${instance.status}`);
       return instanceData;
     } catch (error) {
@@ -114,8 +75,7 @@ class WorkflowDatabase {
    */
   async loadInstances() {
     try {
-      const data = await fs.readFile(this.instancesFile, 'utf8');
-      return JSON.parse(data);
+      return await this.store.loadInstances();
     } catch (error) {
       console.error('[Database] Error loading instances:', error);
       return [];
@@ -126,8 +86,7 @@ class WorkflowDatabase {
    * Get instance by ID
    */
   async getInstance(instanceId) {
-    const instances = await this.loadInstances();
-    const instanceData = instances.find(i => i.id === instanceId);
+    const instanceData = await this.store.getInstance(instanceId);
     return instanceData ? new WorkflowInstance(instanceData) : null;
   }
 
@@ -135,16 +94,43 @@ class WorkflowDatabase {
    * Get instances by status
    */
   async getInstancesByStatus(status) {
-    const instances = await this.loadInstances();
-    return instances.filter(i => i.status === status);
+    return this.store.loadInstances({ status });
   }
 
   /**
    * Get instances by workflow ID
    */
   async getInstancesByWorkflow(workflowId) {
-    const instances = await this.loadInstances();
-    return instances.filter(i => i.workflowId === workflowId);
+    return this.store.loadInstances({ workflowId });
+  }
+
+  /**
+   * Query instance history: filters, variable predicates, full-text search, sorting and cursor pagination
+   * Takes query parameters (see storage/instanceQuery.js); returns { instances, nextCursor } with instance summaries
+   */
+  async queryInstances(params = {}) {
+    return this.store.queryInstances(parseInstanceQuery(params));
+  }
+
+  /**
+   * All instances matching a history query (its cursor and limit are ignored), up to MAX_EXPORT_ROWS
+   * Returns { instances, truncated }
+   */
+  async exportInstances(params = {}) {
+    const query = parseInstanceQuery({ ...params, cursor: undefined, limit: String(MAX_LIMIT) });
+    const instances = [];
+
+    while (instances.length < MAX_EXPORT_ROWS) {
+      const page = await this.store.queryInstances(query);
+      instances.push(...page.instances);
+
+      if (!page.nextCursor) {
+        return { instances, truncated: false };
+      }
+      query.cursor = decodeCursor(page.nextCursor, query.sort);
+    }
+
+    return { instances: instances.slice(0, MAX_EXPORT_ROWS), truncated: true };
   }
 
   /**
@@ -152,9 +138,7 @@ class WorkflowDatabase {
    */
   async deleteInstance(instanceId) {
     try {
-      const instances = await this.loadInstances();
-      const filtered = instances.filter(i => i.id !== instanceId);
-      await fs.writeFile(this.instancesFile, JSON.stringify(filtered, null, 2));
+      await this.store.deleteInstance(instanceId);
       console.log(`[Database] Instance deleted: ${instanceId}`);
       return true;
     } catch (error) {
@@ -177,20 +161,186 @@ class WorkflowDatabase {
     return await this.getInstancesByStatus('RUNNING');
   }
 
+  // ============================================
+  // TIMER METHODS
+  // ============================================
+
+  /**
+   * Save timer record
+   */
+  async saveTimer(timer) {
+    try {
+      return await this.store.saveRecord('timers', timer);
+    } catch (error) {
+      console.error('[Database] Error saving timer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load all timers
+   */
+  async loadTimers() {
+    try {
+      return await this.store.loadRecords('timers');
+    } catch (error) {
+      console.error('[Database] Error loading timers:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get timer by ID
+   */
+  async getTimer(timerId) {
+    return this.store.getRecord('timers', timerId);
+  }
+
+  /**
+   * Get timers by instance ID
+   */
+  async getTimersByInstance(instanceId) {
+    return this.store.loadRecords('timers', { instanceId });
+  }
+
+  /**
+   * Delete timer record
+   */
+  async deleteTimer(timerId) {
+    try {
+      return await this.store.deleteRecord('timers', timerId);
+    } catch (error) {
+      console.error('[Database] Error deleting timer:', error);
+      throw error;
+    }
+  }
+
+  // ============================================
+  // USER TASK METHODS
+  // ============================================
+
+  /**
+   * Save user task
+   */
+  async saveTask(task) {
+    try {
+      return await this.store.saveRecord('tasks', task);
+    } catch (error) {
+      console.error('[Database] Error saving task:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load all user tasks
+   */
+  async loadTasks() {
+    try {
+      return await this.store.loadRecords('tasks');
+    } catch (error) {
+      console.error('[Database] Error loading tasks:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get user task by ID
+   */
+  async getTask(taskId) {
+    return this.store.getRecord('tasks', taskId);
+  }
+
+  /**
+   * Get user tasks by instance ID
+   */
+  async getTasksByInstance(instanceId) {
+    return this.store.loadRecords('tasks', { instanceId });
+  }
+
+  /**
+   * Delete user task
+   */
+  async deleteTask(taskId) {
+    try {
+      return await this.store.deleteRecord('tasks', taskId);
+    } catch (error) {
+      console.error('[Database] Error deleting task:', error);
+      throw error;
+    }
+  }
+
+  // ============================================
+  // MESSAGE SUBSCRIPTION METHODS
+  // ============================================
+
+  /**
+   * Save message or signal subscription
+   */
+  async saveSubscription(subscription) {
+    try {
+      return await this.store.saveRecord('subscriptions', subscription);
+    } catch (error) {
+      console.error('[Database] Error saving subscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load all subscriptions
+   */
+  async loadSubscriptions() {
+    try {
+      return await this.store.loadRecords('subscriptions');
+    } catch (error) {
+      console.error('[Database] Error loading subscriptions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get subscriptions by instance ID
+   */
+  async getSubscriptionsByInstance(instanceId) {
+    return this.store.loadRecords('subscriptions', { instanceId });
+  }
+
+  /**
+   * Delete subscription record
+   * Returns false when it was already removed, so only one caller consumes it
+   */
+  async deleteSubscription(subscriptionId) {
+    try {
+      return await this.store.deleteRecord('subscriptions', subscriptionId);
+    } catch (error) {
+      console.error('[Database] Error deleting subscription:', error);
+      throw error;
+    }
+  }
+
   // ============================================
   // VERSIONING METHODS
   // ============================================
 
+  /**
+   * Load persisted workflow versions into the version manager
+   */
+  async loadVersions() {
+    await this.store.init();
+    await versionManager.load(this.store);
+  }
+
   /**
    * Save workflow and create version
    */
   async saveWorkflowWithVersion(workflow, versionOptions = {}) {
     try {
-      // Save workflow definition
-      await this.saveWorkflow(workflow);
+      // Save workflow definition through the repository, so its revision and delete flag are kept
+      // (required here: the repository is built on this module)
+      const workflowRepository = require('./WorkflowRepository');
+      await workflowRepository.saveDefinition(workflow);
 
       // Create version
-      const version = versionManager.createVersion(workflow.id, workflow, versionOptions);
+      const version = await versionManager.createVersion(workflow.id, workflow, versionOptions);
 
       console.log(`[Database] Created version ${version.version} for workflow ${workflow.id}`);
 
@@ -0,0 +1,360 @@
+/**
+ * Workflow Repository
+ * Workflow definitions shared by the /api/workflows designer API and the runtime engine
+ * Adds revisions for optimistic concurrency, soft delete and search on top of WorkflowDatabase
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const workflowDatabase = require('./WorkflowDatabase');
+const distributedLockManager = require('../runtime/DistributedLockManager');
+const retentionManager = require('../runtime/RetentionManager');
+const { canonicalJson } = require('../utils/canonical-json');
+const { codedError } = require('../runtime/errors');
+
+// Fields the repository maintains; they are not part of the definition content
+const BOOKKEEPING_FIELDS = ['id', 'revision', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy', 'deletedAt', 'deletedBy', 'metadata'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+class WorkflowRepository {
+  /**
+   * ETag of a workflow revision
+   */
+  etag(workflow) {
+    return `"${workflow.revision || 1}"`;
+  }
+
+  /**
+   * Revision required by an If-Match header ('*' or a quoted revision); null when absent
+   */
+  parseIfMatch(header) {
+    if (!header) {
+      return null;
+    }
+    if (header.trim() === '*') {
+      return '*';
+    }
+
+    const revision = parseInt(header.replace(/^W\//, '').replace(/"/g, ''), 10);
+    if (!Number.isInteger(revision)) {
+      throw codedError(`Invalid If-Match header: ${header}`, 'INVALID_WORKFLOW');
+    }
+    return revision;
+  }
+
+  /**
+   * Get a workflow (soft-deleted ones only with includeDeleted)
+   */
+  async get(workflowId, options = {}) {
+    const workflow = await workflowDatabase.getWorkflow(workflowId);
+
+    if (!workflow || (workflow.deletedAt && !options.includeDeleted)) {
+      return null;
+    }
+    return workflow;
+  }
+
+  /**
+   * Get a workflow or throw WORKFLOW_NOT_FOUND
+   */
+  async require(workflowId, options = {}) {
+    const workflow = await this.get(workflowId, options);
+
+    if (!workflow) {
+      throw codedError(`Workflow ${workflowId} not found`, 'WORKFLOW_NOT_FOUND');
+    }
+    return workflow;
+  }
+
+  /**
+   * Search workflows by name (substring), tag and application, newest change first
+   * Returns one page: { workflows, total, limit, offset }
+   */
+  async search(query = {}) {
+    const name = query.name ? String(query.name).toLowerCase() : null;
+    const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+
+    const matches = (await workflowDatabase.loadWorkflows())
+      .filter(workflow => query.includeDeleted || !workflow.deletedAt)
+      .filter(workflow => !name || (workflow.name || '').toLowerCase().includes(name))
+      .filter(workflow => !query.tag || (workflow.tags || []).includes(query.tag))
+      .filter(workflow => !query.applicationId || workflow.applicationId === query.applicationId)
+      .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+
+    return {
+      workflows: matches.slice(offset, offset + limit),
+      total: matches.length,
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * All workflows that are not deleted (for the runtime)
+   */
+  async listActive() {
+    return (await workflowDatabase.loadWorkflows()).filter(workflow => !workflow.deletedAt);
+  }
+
+  /**
+   * Create a workflow at revision 1
+   */
+  async create(data, user = null) {
+    this.checkRetention(data.retention);
+
+    const now = new Date().toISOString();
+    const workflow = {
+      ...data,
+      id: data.id || uuidv4(),
+      name: data.name || 'Untitled Workflow',
+      version: data.version || '1.0',
+      nodes: data.nodes || [],
+      connections: data.connections || [],
+      tags: data.tags || [],
+      applicationId: data.applicationId || null,
+      metadata: {
+        ...data.metadata,
+        created: now,
+        modified: now
+      },
+      revision: 1,
+      createdAt: now,
+      updatedAt: now,
+      createdBy: user,
+      updatedBy: user,
+      deletedAt: null,
+      deletedBy: null
+    };
+
+    return this.withWorkflowLock(workflow.id, async () => {
+      if (await workflowDatabase.getWorkflow(workflow.id)) {
+        throw codedError(`Workflow ${workflow.id} already exists`, 'WORKFLOW_CONFLICT');
+      }
+      return workflowDatabase.saveWorkflow(workflow);
+    });
+  }
+
+  /**
+   * Update a workflow; expectedRevision (from If-Match) must match the stored revision
+   */
+  async update(workflowId, changes, options = {}) {
+    this.checkRetention(changes.retention);
+
+    return this.withWorkflowLock(workflowId, async () => {
+      const existing = await this.require(workflowId);
+      this.checkRevision(existing, options.expectedRevision);
+
+      const content = { ...changes };
+      BOOKKEEPING_FIELDS.forEach(field => delete content[field]);
+
+      const workflow = {
+        ...existing,
+        ...content,
+        metadata: {
+          ...existing.metadata,
+          ...changes.metadata,
+          modified: new Date().toISOString()
+        },
+        revision: (existing.revision || 1) + 1,
+        updatedAt: new Date().toISOString(),
+        updatedBy: options.user || null
+      };
+
+      return workflowDatabase.saveWorkflow(workflow);
+    });
+  }
+
+  /**
+   * Soft delete a workflow: it disappears from the API, running instances keep their definition
+   */
+  async remove(workflowId, options = {}) {
+    return this.withWorkflowLock(workflowId, async () => {
+      const existing = await this.require(workflowId);
+      this.checkRevision(existing, options.expectedRevision);
+
+      const now = new Date().toISOString();
+      return workflowDatabase.saveWorkflow({
+        ...existing,
+        revision: (existing.revision || 1) + 1,
+        updatedAt: now,
+        deletedAt: now,
+        deletedBy: options.user || null
+      });
+    });
+  }
+
+  /**
+   * Restore a soft-deleted workflow
+   */
+  async restore(workflowId, options = {}) {
+    return this.withWorkflowLock(workflowId, async () => {
+      const existing = await this.require(workflowId, { includeDeleted: true });
+
+      if (!existing.deletedAt) {
+        throw codedError(`Workflow ${workflowId} is not deleted`, 'WORKFLOW_CONFLICT');
+      }
+
+      return workflowDatabase.saveWorkflow({
+        ...existing,
+        revision: (existing.revision || 1) + 1,
+        updatedAt: new Date().toISOString(),
+        updatedBy: options.user || null,
+        deletedAt: null,
+        deletedBy: null
+      });
+    });
+  }
+
+  /**
+   * Store a definition the runtime received (e.g. a posted workflowDef) without a revision check
+   * The revision only moves when the content changed; unknown workflows are created
+   */
+  async saveDefinition(definition) {
+    if (!definition?.id) {
+      return definition;
+    }
+
+    return this.withWorkflowLock(definition.id, async () => {
+      const existing = await workflowDatabase.getWorkflow(definition.id);
+
+      if (!existing) {
+        return this.createDefinition(definition);
+      }
+
+      if (this.contentOf(existing) === this.contentOf({ ...existing, ...definition })) {
+        return existing;
+      }
+
+      return this.replaceDefinition(existing, definition);
+    });
+  }
+
+  /**
+   * Definition an unversioned instance runs (instances load it by workflow ID)
+   * A posted definition of an unknown workflow is stored; a known workflow runs its saved
+   * definition. Changed content replaces the saved definition only when it names the saved
+   * revision, so a stale copy cannot overwrite newer edits (WORKFLOW_PRECONDITION_FAILED).
+   * Deleted workflows do not start until they are restored (WORKFLOW_NOT_FOUND)
+   */
+  async resolveDefinition(definition) {
+    if (!definition?.id) {
+      return definition;
+    }
+
+    return this.withWorkflowLock(definition.id, async () => {
+      const existing = await workflowDatabase.getWorkflow(definition.id);
+
+      if (!existing) {
+        return this.createDefinition(definition);
+      }
+
+      if (existing.deletedAt) {
+        throw codedError(`Workflow ${existing.id} is deleted; restore it to start instances`, 'WORKFLOW_NOT_FOUND');
+      }
+
+      if (this.contentOf(existing) === this.contentOf({ ...existing, ...definition })) {
+        return existing;
+      }
+
+      const revision = definition.revision === undefined || definition.revision === null
+        ? null
+        : Number(definition.revision);
+      if (revision === null) {
+        const error = codedError(
+          `Workflow ${existing.id} differs from its saved revision ${existing.revision || 1}; ` +
+          'send that revision to run the changed definition',
+          'WORKFLOW_PRECONDITION_FAILED'
+        );
+        error.currentRevision = existing.revision || 1;
+        throw error;
+      }
+      this.checkRevision(existing, revision);
+
+      return this.replaceDefinition(existing, definition);
+    });
+  }
+
+  /**
+   * Store a definition as revision 1 of a new workflow
+   */
+  async createDefinition(definition) {
+    const now = new Date().toISOString();
+    return workflowDatabase.saveWorkflow({
+      ...definition,
+      revision: 1,
+      createdAt: definition.createdAt || now,
+      updatedAt: now,
+      deletedAt: null
+    });
+  }
+
+  /**
+   * Store a definition over a saved workflow as its next revision
+   */
+  async replaceDefinition(existing, definition) {
+    return workflowDatabase.saveWorkflow({
+      ...existing,
+      ...definition,
+      id: existing.id,
+      revision: (existing.revision || 1) + 1,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString(),
+      deletedAt: existing.deletedAt || null,
+      deletedBy: existing.deletedBy || null
+    });
+  }
+
+  /**
+   * Canonical definition content, without bookkeeping fields
+   */
+  contentOf(workflow) {
+    const content = { ...workflow };
+    BOOKKEEPING_FIELDS.forEach(field => delete content[field]);
+    return canonicalJson(content);
+  }
+
+  /**
+   * Throw WORKFLOW_PRECONDITION_FAILED when If-Match names another revision
+   */
+  checkRevision(workflow, expectedRevision) {
+    if (expectedRevision === null || expectedRevision === undefined || expectedRevision === '*') {
+      return;
+    }
+
+    if ((workflow.revision || 1) !== expectedRevision) {
+      const error = codedError(
+        `Workflow ${workflow.id} is at revision ${workflow.revision || 1}, not ${expectedRevision}`,
+        'WORKFLOW_PRECONDITION_FAILED'
+      );
+      error.currentRevision = workflow.revision || 1;
+      throw error;
+    }
+  }
+
+  /**
+   * Throw INVALID_WORKFLOW for an invalid retention policy (see RetentionManager)
+   */
+  checkRetention(retention) {
+    if (retention === undefined) {
+      return;
+    }
+
+    const errors = retentionManager.validatePolicy(retention);
+    if (errors.length > 0) {
+      throw codedError(`Invalid retention policy: ${errors.join('; ')}`, 'INVALID_WORKFLOW');
+    }
+  }
+
+  /**
+   * Run a read-check-write cycle on one workflow under its lock
+   */
+  async withWorkflowLock(workflowId, operation) {
+    return distributedLockManager.executeWithLock(`workflow_definition_${workflowId}`, operation, {
+      metadata: { operation: 'save_workflow', workflowId }
+    });
+  }
+}
+
+module.exports = new WorkflowRepository();
@@ -0,0 +1,131 @@
+/**
+ * Workflow Repository: revisions, soft delete and the definitions started instances run
+ */
+
+jest.mock('../WorkflowDatabase', () => require('../../runtime/__tests__/helpers/runtime').createMemoryDatabase());
+
+const { createRuntime, workflow } = require('../../runtime/__tests__/helpers/runtime');
+const workflowRepository = require('../WorkflowRepository');
+
+/**
+ * Definition with one task node labelled `label`
+ */
+function definition(id, label = 'Review') {
+  return workflow(id, [
+    { id: 'start', type: 'startProcess' },
+    { id: 'review', type: 'userTask', data: { label } },
+    { id: 'end', type: 'endEvent' }
+  ], [['start', 'review'], ['review', 'end']]);
+}
+
+describe('WorkflowRepository', () => {
+  let runtime;
+
+  beforeAll(() => {
+    runtime = createRuntime();
+  });
+
+  afterAll(async () => {
+    await runtime.cleanup();
+  });
+
+  describe('revisions', () => {
+    test('update and remove need the current revision', async () => {
+      const created = await workflowRepository.create(definition('revised'));
+      expect(created.revision).toBe(1);
+
+      const updated = await workflowRepository.update('revised', { name: 'Revised' }, { expectedRevision: 1 });
+      expect(updated).toMatchObject({ name: 'Revised', revision: 2 });
+
+      await expect(workflowRepository.update('revised', { name: 'Stale' }, { expectedRevision: 1 }))
+        .rejects.toMatchObject({ code: 'WORKFLOW_PRECONDITION_FAILED', currentRevision: 2 });
+      await expect(workflowRepository.remove('revised', { expectedRevision: 1 }))
+        .rejects.toMatchObject({ code: 'WORKFLOW_PRECONDITION_FAILED', currentRevision: 2 });
+    });
+
+    test('parses If-Match headers', () => {
+      expect(workflowRepository.parseIfMatch(undefined)).toBeNull();
+      expect(workflowRepository.parseIfMatch('*')).toBe('*');
+      expect(workflowRepository.parseIfMatch('W/"3"')).toBe(3);
+      expect(() => workflowRepository.parseIfMatch('"abc"')).toThrow(expect.objectContaining({ code: 'INVALID_WORKFLOW' }));
+    });
+  });
+
+  describe('soft delete', () => {
+    test('hides deleted workflows until they are restored', async () => {
+      await workflowRepository.create(definition('hidden'));
+      await workflowRepository.remove('hidden');
+
+      await expect(workflowRepository.get('hidden')).resolves.toBeNull();
+      await expect(workflowRepository.require('hidden')).rejects.toMatchObject({ code: 'WORKFLOW_NOT_FOUND' });
+      expect((await workflowRepository.search()).workflows.map(w => w.id)).not.toContain('hidden');
+      await expect(workflowRepository.get('hidden', { includeDeleted: true })).resolves.toMatchObject({ deletedAt: expect.any(String) });
+
+      const restored = await workflowRepository.restore('hidden');
+      expect(restored).toMatchObject({ deletedAt: null, revision: 3 });
+      await expect(workflowRepository.restore('hidden')).rejects.toMatchObject({ code: 'WORKFLOW_CONFLICT' });
+    });
+  });
+
+  describe('resolveDefinition', () => {
+    test('stores a workflow it does not know as revision 1', async () => {
+      const resolved = await workflowRepository.resolveDefinition(definition('posted'));
+
+      expect(resolved).toMatchObject({ id: 'posted', revision: 1 });
+      await expect(workflowRepository.get('posted')).resolves.toMatchObject({ revision: 1 });
+    });
+
+    test('runs the saved definition when the posted content is unchanged', async () => {
+      const saved = await workflowRepository.create(definition('unchanged'));
+
+      const resolved = await workflowRepository.resolveDefinition(definition('unchanged'));
+
+      expect(resolved).toEqual(saved);
+    });
+
+    test('refuses changed content without the saved revision', async () => {
+      await workflowRepository.create(definition('stale'));
+      await workflowRepository.update('stale', { nodes: definition('stale', 'Approve').nodes }, { expectedRevision: 1 });
+
+      const posted = definition('stale', 'Check');
+      await expect(workflowRepository.resolveDefinition(posted))
+        .rejects.toMatchObject({ code: 'WORKFLOW_PRECONDITION_FAILED', currentRevision: 2 });
+      await expect(workflowRepository.resolveDefinition({ ...posted, revision: 1 }))
+        .rejects.toMatchObject({ code: 'WORKFLOW_PRECONDITION_FAILED', currentRevision: 2 });
+      await expect(workflowRepository.get('stale')).resolves.toMatchObject({ revision: 2 });
+    });
+
+    test('replaces the saved definition when the posted one names its revision', async () => {
+      await workflowRepository.create(definition('edited'));
+
+      const resolved = await workflowRepository.resolveDefinition({ ...definition('edited', 'Approve'), revision: 1 });
+
+      expect(resolved).toMatchObject({ revision: 2, deletedAt: null });
+      expect(resolved.nodes.find(n => n.id === 'review').data.label).toBe('Approve');
+    });
+
+    test('refuses deleted workflows, changed or not', async () => {
+      await workflowRepository.create(definition('deleted'));
+      const removed = await workflowRepository.remove('deleted');
+
+      await expect(workflowRepository.resolveDefinition(definition('deleted')))
+        .rejects.toMatchObject({ code: 'WORKFLOW_NOT_FOUND' });
+      await expect(workflowRepository.resolveDefinition({ ...definition('deleted', 'Approve'), revision: removed.revision }))
+        .rejects.toMatchObject({ code: 'WORKFLOW_NOT_FOUND' });
+      await expect(workflowRepository.get('deleted', { includeDeleted: true })).resolves.toEqual(removed);
+    });
+  });
+
+  describe('starting instances', () => {
+    test('runs a posted definition and refuses it once the workflow is deleted', async () => {
+      const instance = await runtime.run(definition('started'));
+      expect(instance.workflowId).toBe('started');
+
+      await workflowRepository.remove('started');
+
+      await expect(runtime.engine.startWorkflow(definition('started'), {}, 'test'))
+        .rejects.toMatchObject({ code: 'WORKFLOW_NOT_FOUND' });
+      expect(await runtime.workflowDatabase.getInstancesByWorkflow('started')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Workflow Data Import
+ * Copies the JSON file data (workflows, instances, timers, tasks, subscriptions, versions) into a storage backend
+ * Usage: node src/database/importWorkflowData.js [sqlite|postgres] [data directory]
+ * The target defaults to WORKFLOW_STORAGE; records are upserted, so the import can be re-run
+ */
+
+require('dotenv').config();
+const path = require('path');
+const JsonFileStore = require('./storage/JsonFileStore');
+const { createWorkflowStore } = require('./storage');
+
+const RECORD_COLLECTIONS = ['timers', 'tasks', 'subscriptions', 'versionBindings'];
+
+async function importWorkflowData(targetType = process.env.WORKFLOW_STORAGE, dataPath) {
+  if (!targetType || targetType === 'json') {
+    throw new Error('Choose the target storage: sqlite or postgres (argument or WORKFLOW_STORAGE)');
+  }
+
+  const source = new JsonFileStore(dataPath ? { dbPath: path.resolve(dataPath) } : {});
+  const target = createWorkflowStore(targetType);
+  const counts = {};
+
+  console.log(`[Import] Importing JSON data from ${source.dbPath} into ${target.name} storage...`);
+
+  try {
+    await target.init();
+
+    const workflows = await source.loadWorkflows();
+    for (const workflow of workflows) {
+      await target.saveWorkflow(workflow);
+    }
+    counts.workflows = workflows.length;
+
+    const instances = await source.loadInstances();
+    for (const instance of instances) {
+      await target.saveInstance(instance);
+    }
+    counts.instances = instances.length;
+
+    const versions = await source.loadVersions();
+    for (const version of versions) {
+      await target.saveVersion(version);
+    }
+    counts.versions = versions.length;
+
+    for (const collection of RECORD_COLLECTIONS) {
+      const records = await source.loadRecords(collection);
+      for (const record of records) {
+        await target.saveRecord(collection, record);
+      }
+      counts[collection] = records.length;
+    }
+
+    Object.entries(counts).forEach(([collection, count]) => console.log(`  - ${collection}: ${count}`));
+    console.log('[Import] Import completed successfully!');
+    return counts;
+  } finally {
+    await target.close();
+  }
+}
+
+// Run import if called directly
+if (require.main === module) {
+  importWorkflowData(process.argv[2], process.argv[3])
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('[Import] Import failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { importWorkflowData };
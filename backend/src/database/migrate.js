@@ -1,36 +1,58 @@
 /**
  * Database Migration Runner
  * Executes SQL migrations for the k1 schema
+ * Usage: node src/database/migrate.js [migration files...] (default: all, in order)
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const db = require('../config/database');
 
-async function runMigration() {
+const MIGRATIONS = [
+  {
+    file: '001_create_k1_schema.sql',
+    tables: ['applications', 'workflows', 'data_models', 'forms', 'pages', 'mobile_ui', 'rules', 'apis', 'application_versions']
+  },
+  {
+    file: '002_create_workflow_runtime_tables.sql',
+    tables: [
+      'workflow_definitions', 'workflow_instances', 'workflow_instance_history', 'workflow_instance_tokens',
+      'workflow_timers', 'workflow_tasks', 'workflow_subscriptions'
+    ]
+  },
+  {
+    file: '003_create_workflow_version_tables.sql',
+    tables: ['workflow_versions', 'workflow_version_bindings']
+  },
+  {
+    file: '004_add_instance_history_indexes.sql',
+    tables: ['workflow_instances (history query columns and indexes)']
+  }
+];
+
+async function runMigration(files = MIGRATIONS.map(migration => migration.file)) {
   console.log('[Migration] Starting database migration...');
 
   try {
-    // Read the migration SQL file
-    const migrationPath = path.join(__dirname, 'migrations', '001_create_k1_schema.sql');
-    const sql = await fs.readFile(migrationPath, 'utf8');
-
-    console.log('[Migration] Executing k1 schema creation...');
-
-    // Execute the migration
-    await db.query(sql);
-
-    console.log('[Migration] ✓ k1 schema created successfully');
-    console.log('[Migration] Tables created:');
-    console.log('  - k1.applications');
-    console.log('  - k1.workflows');
-    console.log('  - k1.data_models');
-    console.log('  - k1.forms');
-    console.log('  - k1.pages');
-    console.log('  - k1.mobile_ui');
-    console.log('  - k1.rules');
-    console.log('  - k1.apis');
-    console.log('  - k1.application_versions');
+    for (const file of files) {
+      const migration = MIGRATIONS.find(m => m.file === file);
+      if (!migration) {
+        throw new Error(`Unknown migration: ${file}`);
+      }
+
+      // Read the migration SQL file
+      const migrationPath = path.join(__dirname, 'migrations', migration.file);
+      const sql = await fs.readFile(migrationPath, 'utf8');
+
+      console.log(`[Migration] Executing ${migration.file}...`);
+
+      // Execute the migration
+      await db.query(sql);
+
+      console.log(`[Migration] ✓ ${migration.file} applied`);
+      console.log('[Migration] Tables created:');
+      migration.tables.forEach(table => console.log(`  - k1.${table}`));
+    }
 
     console.log('[Migration] Migration completed successfully!');
 
@@ -47,7 +69,8 @@ async function runMigration() {
 
 // Run migration if called directly
 if (require.main === module) {
-  runMigration();
+  const files = process.argv.slice(2);
+  runMigration(files.length > 0 ? files : undefined);
 }
 
-module.exports = { runMigration };
+module.exports = { runMigration, MIGRATIONS };
@@ -0,0 +1,118 @@
+-- Migration: Create workflow runtime tables in the k1 schema
+-- Description: Storage for the runtime engine (WORKFLOW_STORAGE=postgres): workflow definitions,
+--              instances with their execution history and tokens, timers, user tasks and subscriptions
+-- Author: Workflow++ Team
+-- Date: 2026-10-19
+
+CREATE SCHEMA IF NOT EXISTS k1;
+
+-- ============================================================================
+-- Workflow Definitions Table
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS k1.workflow_definitions (
+    id VARCHAR(255) PRIMARY KEY,
+    seq BIGSERIAL,
+    name VARCHAR(255),
+
+    -- Full workflow definition as saved by the designer
+    definition JSONB NOT NULL,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================================================================
+-- Workflow Instances Table
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS k1.workflow_instances (
+    id VARCHAR(255) PRIMARY KEY,
+    seq BIGSERIAL,
+    workflow_id VARCHAR(255),
+    workflow_version INTEGER,
+    status VARCHAR(50),
+    parent_instance_id VARCHAR(255),
+
+    -- Instance state without history and tokens (process data, gateway states, children, ...)
+    state JSONB NOT NULL,
+
+    created_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_instances_workflow_id ON k1.workflow_instances(workflow_id);
+CREATE INDEX IF NOT EXISTS idx_workflow_instances_status ON k1.workflow_instances(status);
+CREATE INDEX IF NOT EXISTS idx_workflow_instances_parent ON k1.workflow_instances(parent_instance_id);
+
+-- ============================================================================
+-- Instance History Table (append-only execution history)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS k1.workflow_instance_history (
+    instance_id VARCHAR(255) NOT NULL REFERENCES k1.workflow_instances(id) ON DELETE CASCADE,
+    seq INTEGER NOT NULL,
+    action VARCHAR(100),
+    node_id VARCHAR(255),
+    entry JSONB NOT NULL,
+    recorded_at TIMESTAMP WITH TIME ZONE,
+    PRIMARY KEY (instance_id, seq)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_instance_history_action ON k1.workflow_instance_history(action);
+
+-- ============================================================================
+-- Instance Tokens Table
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS k1.workflow_instance_tokens (
+    instance_id VARCHAR(255) NOT NULL REFERENCES k1.workflow_instances(id) ON DELETE CASCADE,
+    token_id VARCHAR(255) NOT NULL,
+    seq INTEGER NOT NULL,
+    node_id VARCHAR(255),
+    status VARCHAR(50),
+    token JSONB NOT NULL,
+    PRIMARY KEY (instance_id, token_id)
+);
+
+-- ============================================================================
+-- Timers, User Tasks and Subscriptions Tables
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS k1.workflow_timers (
+    id VARCHAR(255) PRIMARY KEY,
+    seq BIGSERIAL,
+    instance_id VARCHAR(255),
+    data JSONB NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_timers_instance_id ON k1.workflow_timers(instance_id);
+
+CREATE TABLE IF NOT EXISTS k1.workflow_tasks (
+    id VARCHAR(255) PRIMARY KEY,
+    seq BIGSERIAL,
+    instance_id VARCHAR(255),
+    data JSONB NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_tasks_instance_id ON k1.workflow_tasks(instance_id);
+
+CREATE TABLE IF NOT EXISTS k1.workflow_subscriptions (
+    id VARCHAR(255) PRIMARY KEY,
+    seq BIGSERIAL,
+    instance_id VARCHAR(255),
+    data JSONB NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_subscriptions_instance_id ON k1.workflow_subscriptions(instance_id);
+
+-- ============================================================================
+-- Comments
+-- ============================================================================
+
+COMMENT ON TABLE k1.workflow_definitions IS 'Workflow definitions run by the runtime engine';
+COMMENT ON TABLE k1.workflow_instances IS 'Workflow instance state';
+COMMENT ON TABLE k1.workflow_instance_history IS 'Execution history of workflow instances';
+COMMENT ON TABLE k1.workflow_instance_tokens IS 'Execution tokens of workflow instances';
+COMMENT ON TABLE k1.workflow_timers IS 'Scheduled timers';
+COMMENT ON TABLE k1.workflow_tasks IS 'User tasks';
+COMMENT ON TABLE k1.workflow_subscriptions IS 'Message and signal subscriptions';
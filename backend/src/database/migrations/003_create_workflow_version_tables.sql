@@ -0,0 +1,47 @@
+-- Migration: Create workflow version tables in the k1 schema
+-- Description: Persisted VersionManager state (WORKFLOW_STORAGE=postgres): workflow versions with the
+--              content hash of published versions, and instance-to-version bindings
+-- Author: Workflow++ Team
+-- Date: 2026-10-19
+
+CREATE SCHEMA IF NOT EXISTS k1;
+
+-- ============================================================================
+-- Workflow Versions Table
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS k1.workflow_versions (
+    id VARCHAR(255) PRIMARY KEY,
+    workflow_id VARCHAR(255) NOT NULL,
+    version INTEGER NOT NULL,
+    status VARCHAR(50),
+
+    -- SHA-256 of the workflow definition, set when the version is published
+    content_hash VARCHAR(64),
+
+    -- Full version (workflow definition, metadata, stats)
+    data JSONB NOT NULL,
+
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT unique_workflow_version UNIQUE (workflow_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_versions_workflow_id ON k1.workflow_versions(workflow_id);
+
+-- ============================================================================
+-- Instance Version Bindings Table
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS k1.workflow_version_bindings (
+    id VARCHAR(255) PRIMARY KEY,
+    seq BIGSERIAL,
+    instance_id VARCHAR(255),
+    data JSONB NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================================================================
+-- Comments
+-- ============================================================================
+
+COMMENT ON TABLE k1.workflow_versions IS 'Workflow versions managed by the VersionManager';
+COMMENT ON TABLE k1.workflow_version_bindings IS 'Instances bound to a workflow version';
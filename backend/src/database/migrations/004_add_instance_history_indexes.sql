@@ -0,0 +1,43 @@
+-- Migration: Index workflow instances for history queries
+-- Description: Initiator and current node columns, sort/range indexes and a GIN index on the process
+--              variables, used by the instance history query API (GET /api/runtime/history)
+-- Author: Workflow++ Team
+-- Date: 2026-10-19
+
+-- ============================================================================
+-- Query Columns
+-- ============================================================================
+ALTER TABLE k1.workflow_instances ADD COLUMN IF NOT EXISTS initiator VARCHAR(255);
+ALTER TABLE k1.workflow_instances ADD COLUMN IF NOT EXISTS current_node_id VARCHAR(255);
+
+-- Fill the new columns of instances saved before this migration
+UPDATE k1.workflow_instances
+SET initiator = state->>'initiator',
+    current_node_id = state->>'currentNodeId'
+WHERE initiator IS NULL AND current_node_id IS NULL;
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_workflow_instances_version ON k1.workflow_instances(workflow_id, workflow_version);
+CREATE INDEX IF NOT EXISTS idx_workflow_instances_initiator ON k1.workflow_instances(initiator);
+CREATE INDEX IF NOT EXISTS idx_workflow_instances_current_node ON k1.workflow_instances(current_node_id);
+
+-- Sorting and cursor pagination: (sort column, id)
+CREATE INDEX IF NOT EXISTS idx_workflow_instances_created ON k1.workflow_instances(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_workflow_instances_updated ON k1.workflow_instances(updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_workflow_instances_completed ON k1.workflow_instances(completed_at);
+
+-- Equality predicates on process variables (containment: state->'processData' @> '{"region": "EU"}')
+CREATE INDEX IF NOT EXISTS idx_workflow_instances_process_data
+    ON k1.workflow_instances USING GIN ((state->'processData') jsonb_path_ops);
+
+-- Instances with an active token at a node
+CREATE INDEX IF NOT EXISTS idx_workflow_instance_tokens_node_id ON k1.workflow_instance_tokens(node_id, status);
+
+-- ============================================================================
+-- Comments
+-- ============================================================================
+
+COMMENT ON COLUMN k1.workflow_instances.initiator IS 'User or system that started the instance';
+COMMENT ON COLUMN k1.workflow_instances.current_node_id IS 'Node the instance last entered';
@@ -0,0 +1,272 @@
+/**
+ * JSON File Store
+ * Workflow storage backend keeping each collection in a JSON file under data/
+ * Every write rewrites the whole file, so it suits development and small setups
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { matchesInstance, compareInstances, isAfterCursor, toPage } = require('./instanceQuery');
+
+class JsonFileStore {
+  constructor(options = {}) {
+    this.name = 'json';
+    this.dbPath = options.dbPath || path.join(__dirname, '../../../data');
+    this.workflowsFile = path.join(this.dbPath, 'workflows.json');
+    this.instancesFile = path.join(this.dbPath, 'instances.json');
+    this.versionsFile = path.join(this.dbPath, 'versions.json');
+    this.files = {
+      timers: path.join(this.dbPath, 'timers.json'),
+      tasks: path.join(this.dbPath, 'tasks.json'),
+      subscriptions: path.join(this.dbPath, 'subscriptions.json'),
+      versionBindings: path.join(this.dbPath, 'version-bindings.json')
+    };
+
+    // Pending writes per file, so concurrent read-modify-write cycles don't drop records
+    this.fileQueues = new Map();
+    this.ready = null;
+  }
+
+  /**
+   * Ensure the data directory and the workflow and instance files exist
+   */
+  async init() {
+    if (!this.ready) {
+      this.ready = this.ensureFiles();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Create missing files (versions and record collections are created on first write)
+   */
+  async ensureFiles() {
+    try {
+      await fs.mkdir(this.dbPath, { recursive: true });
+
+      for (const file of [this.instancesFile, this.workflowsFile]) {
+        try {
+          await fs.access(file);
+        } catch {
+          await fs.writeFile(file, JSON.stringify([], null, 2));
+        }
+      }
+    } catch (error) {
+      console.error('[JsonFileStore] Error ensuring data files:', error);
+    }
+  }
+
+  /**
+   * Run a read-modify-write operation on a file after earlier ones finish
+   */
+  async withFileQueue(file, operation) {
+    const previous = this.fileQueues.get(file) || Promise.resolve();
+    const current = previous.catch(() => {}).then(operation);
+    this.fileQueues.set(file, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.fileQueues.get(file) === current) {
+        this.fileQueues.delete(file);
+      }
+    }
+  }
+
+  /**
+   * Read a JSON array file (missing files read as empty)
+   */
+  async readFile(file) {
+    try {
+      const data = await fs.readFile(file, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[JsonFileStore] Error reading ${path.basename(file)}:`, error);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Write a JSON array file through a temp file, so readers never see a partial write
+   */
+  async writeFile(file, records) {
+    const tempFile = `${file}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(records, null, 2));
+    await fs.rename(tempFile, file);
+  }
+
+  /**
+   * Insert or replace a record by id in a JSON array file
+   */
+  async upsert(file, record) {
+    await this.init();
+    return this.withFileQueue(file, async () => {
+      const records = await this.readFile(file);
+      const existingIndex = records.findIndex(r => r.id === record.id);
+
+      if (existingIndex >= 0) {
+        records[existingIndex] = record;
+      } else {
+        records.push(record);
+      }
+
+      await this.writeFile(file, records);
+      return record;
+    });
+  }
+
+  /**
+   * Remove a record by id from a JSON array file
+   * Returns false when it was not there
+   */
+  async remove(file, id) {
+    await this.init();
+    return this.withFileQueue(file, async () => {
+      const records = await this.readFile(file);
+      const filtered = records.filter(r => r.id !== id);
+      await this.writeFile(file, filtered);
+      return filtered.length !== records.length;
+    });
+  }
+
+  /**
+   * Save a workflow definition
+   */
+  async saveWorkflow(workflow) {
+    return this.upsert(this.workflowsFile, workflow);
+  }
+
+  /**
+   * Load all workflow definitions
+   */
+  async loadWorkflows() {
+    return this.readFile(this.workflowsFile);
+  }
+
+  /**
+   * Get a workflow definition by ID
+   */
+  async getWorkflow(workflowId) {
+    const workflows = await this.loadWorkflows();
+    return workflows.find(w => w.id === workflowId) || null;
+  }
+
+  /**
+   * Save instance data (history and tokens included)
+   */
+  async saveInstance(instanceData) {
+    return this.upsert(this.instancesFile, instanceData);
+  }
+
+  /**
+   * Load instances, optionally filtered by { status, workflowId }
+   */
+  async loadInstances(filter = {}) {
+    const instances = await this.readFile(this.instancesFile);
+    return instances.filter(i =>
+      (!filter.status || i.status === filter.status) &&
+      (!filter.workflowId || i.workflowId === filter.workflowId)
+    );
+  }
+
+  /**
+   * Query instances with a parsed instance query (see instanceQuery.js)
+   * There are no indexes here: the instances file is scanned and sorted in memory
+   */
+  async queryInstances(query) {
+    const instances = await this.readFile(this.instancesFile);
+    const matches = instances
+      .filter(instance => matchesInstance(instance, query))
+      .filter(instance => !query.cursor || isAfterCursor(instance, query))
+      .sort((a, b) => compareInstances(a, b, query.sort));
+
+    return toPage(query, matches.slice(0, query.limit + 1));
+  }
+
+  /**
+   * Get instance data by ID
+   */
+  async getInstance(instanceId) {
+    const instances = await this.readFile(this.instancesFile);
+    return instances.find(i => i.id === instanceId) || null;
+  }
+
+  /**
+   * Delete an instance
+   */
+  async deleteInstance(instanceId) {
+    return this.remove(this.instancesFile, instanceId);
+  }
+
+  /**
+   * Save a workflow version
+   */
+  async saveVersion(version) {
+    return this.upsert(this.versionsFile, version);
+  }
+
+  /**
+   * Load all workflow versions
+   */
+  async loadVersions() {
+    return this.readFile(this.versionsFile);
+  }
+
+  /**
+   * Delete a workflow version by its ID
+   */
+  async deleteVersion(versionId) {
+    return this.remove(this.versionsFile, versionId);
+  }
+
+  /**
+   * Save a timer, task, subscription or version binding record
+   */
+  async saveRecord(collection, record) {
+    return this.upsert(this.collectionFile(collection), record);
+  }
+
+  /**
+   * Load records of a collection, optionally filtered by { instanceId }
+   */
+  async loadRecords(collection, filter = {}) {
+    const records = await this.readFile(this.collectionFile(collection));
+    return filter.instanceId ? records.filter(r => r.instanceId === filter.instanceId) : records;
+  }
+
+  /**
+   * Get a record of a collection by ID
+   */
+  async getRecord(collection, id) {
+    const records = await this.readFile(this.collectionFile(collection));
+    return records.find(r => r.id === id) || null;
+  }
+
+  /**
+   * Delete a record of a collection
+   * Returns false when it was already removed, so only one caller consumes it
+   */
+  async deleteRecord(collection, id) {
+    return this.remove(this.collectionFile(collection), id);
+  }
+
+  /**
+   * Resolve the file of a record collection
+   */
+  collectionFile(collection) {
+    const file = this.files[collection];
+    if (!file) {
+      throw new Error(`Unknown storage collection: ${collection}`);
+    }
+    return file;
+  }
+
+  /**
+   * Nothing to release for file storage
+   */
+  async close() {}
+}
+
+module.exports = JsonFileStore;
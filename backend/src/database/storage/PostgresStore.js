@@ -0,0 +1,131 @@
+/**
+ * PostgreSQL Store
+ * Transactional workflow storage backend on the k1 schema
+ * Tables come from migrations/002_create_workflow_runtime_tables.sql and later migrations
+ */
+
+const SqlStore = require('./SqlStore');
+const { likePattern } = require('./instanceQuery');
+
+class PostgresStore extends SqlStore {
+  constructor(options = {}) {
+    super({ schema: 'k1', orderColumn: 'seq' });
+    this.name = 'postgres';
+    this.db = options.db || require('../../config/database');
+  }
+
+  /**
+   * Verify the connection and that the runtime and version tables exist
+   */
+  async setup() {
+    try {
+      await this.db.pool.query('SELECT initiator, current_node_id FROM k1.workflow_instances LIMIT 1');
+      await this.db.pool.query('SELECT 1 FROM k1.workflow_versions LIMIT 1');
+      console.log('[PostgresStore] Workflow storage initialized');
+    } catch (error) {
+      // 42P01: missing table, 42703: missing column
+      if (error.code === '42P01' || error.code === '42703') {
+        throw new Error('Workflow runtime tables are missing - run `npm run db:migrate` first');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Convert ? placeholders to $1, $2, ...
+   */
+  toPostgres(sql) {
+    let index = 0;
+    return sql.replace(/\?/g, () => `$${++index}`);
+  }
+
+  /**
+   * Condition of a process-variable predicate
+   * Equality uses JSONB containment so it can use the GIN index on the process data
+   */
+  variableMatch({ segments, operator, value }) {
+    const path = ['processData', ...segments];
+
+    if (operator === 'exists') {
+      return { sql: `i.state #> ?::text[] IS ${value ? 'NOT ' : ''}NULL`, params: [path] };
+    }
+    if (operator === 'eq') {
+      const contained = segments.reduceRight((nested, segment) => ({ [segment]: nested }), value);
+      return { sql: "i.state->'processData' @> ?::jsonb", params: [JSON.stringify(contained)] };
+    }
+    if (operator === 'contains') {
+      return {
+        sql: "jsonb_typeof(i.state #> ?::text[]) = 'string' AND (i.state #>> ?::text[]) ILIKE ?",
+        params: [path, path, likePattern(value)]
+      };
+    }
+
+    const comparison = { gt: '>', gte: '>=', lt: '<', lte: '<=' }[operator];
+    if (typeof value === 'number') {
+      // CASE guards the cast: AND does not guarantee the type check runs first
+      return {
+        sql: `(CASE WHEN jsonb_typeof(i.state #> ?::text[]) = 'number'
+                THEN (i.state #>> ?::text[])::numeric END) ${comparison} ?`,
+        params: [path, path, value]
+      };
+    }
+    return {
+      sql: `jsonb_typeof(i.state #> ?::text[]) = 'string' AND (i.state #>> ?::text[]) COLLATE "C" ${comparison} ?`,
+      params: [path, path, value]
+    };
+  }
+
+  /**
+   * Full-text condition over the string values of the process variables (keys and JSON syntax never match)
+   */
+  textCondition(pattern) {
+    return {
+      sql: `EXISTS (SELECT 1 FROM jsonb_path_query(i.state->'processData', 'strict $.**') AS leaf(value)
+             WHERE jsonb_typeof(leaf.value) = 'string' AND (leaf.value #>> '{}') ILIKE ?)`,
+      params: [pattern]
+    };
+  }
+
+  /**
+   * Run a query on the pool
+   */
+  async query(sql, params = []) {
+    const result = await this.db.pool.query(this.toPostgres(sql), params);
+    return { rows: result.rows, rowCount: result.rowCount };
+  }
+
+  /**
+   * Run callback(tx) inside a transaction on one pooled client
+   * (db.getClient() routes queries back through the pool, so they would not share the transaction)
+   */
+  async transaction(callback) {
+    const client = await this.db.pool.connect();
+    const tx = {
+      query: async (sql, params = []) => {
+        const result = await client.query(this.toPostgres(sql), params);
+        return { rows: result.rows, rowCount: result.rowCount };
+      }
+    };
+
+    try {
+      await client.query('BEGIN');
+      const result = await callback(tx);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Close the connection pool
+   */
+  async close() {
+    await this.db.close();
+  }
+}
+
+module.exports = PostgresStore;
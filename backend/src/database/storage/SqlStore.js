@@ -0,0 +1,447 @@
+/**
+ * SQL Store
+ * Shared logic of the relational workflow storage backends (PostgreSQL, SQLite)
+ * Instances are split into a state row, history rows and token rows, so a checkpoint
+ * appends new history entries instead of rewriting everything
+ */
+
+const { SORT_COLUMNS, likePattern, toPage } = require('./instanceQuery');
+
+// Record collections and their tables
+const RECORD_TABLES = {
+  timers: 'workflow_timers',
+  tasks: 'workflow_tasks',
+  subscriptions: 'workflow_subscriptions',
+  versionBindings: 'workflow_version_bindings'
+};
+
+class SqlStore {
+  /**
+   * options.schema prefixes table names (e.g. 'k1'); options.orderColumn keeps insertion order
+   */
+  constructor(options = {}) {
+    this.schema = options.schema || null;
+    this.orderColumn = options.orderColumn || 'seq';
+    this.ready = null;
+  }
+
+  /**
+   * Prepare the backend once (retried on the next call if it fails)
+   */
+  async init() {
+    if (!this.ready) {
+      this.ready = this.setup().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Qualified table name
+   */
+  table(name) {
+    return this.schema ? `${this.schema}.${name}` : name;
+  }
+
+  /**
+   * Parse a JSON column (PostgreSQL returns JSONB already parsed)
+   */
+  parseJson(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  /**
+   * Run a query outside a transaction
+   */
+  async run(sql, params = []) {
+    await this.init();
+    return this.query(sql, params);
+  }
+
+  // ============================================
+  // WORKFLOWS
+  // ============================================
+
+  /**
+   * Save a workflow definition
+   */
+  async saveWorkflow(workflow) {
+    const now = new Date().toISOString();
+    await this.run(
+      `INSERT INTO ${this.table('workflow_definitions')} (id, name, definition, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (id) DO UPDATE SET name = excluded.name, definition = excluded.definition, updated_at = excluded.updated_at`,
+      [workflow.id, workflow.name || null, JSON.stringify(workflow), workflow.createdAt || now, now]
+    );
+    return workflow;
+  }
+
+  /**
+   * Load all workflow definitions
+   */
+  async loadWorkflows() {
+    const { rows } = await this.run(
+      `SELECT definition FROM ${this.table('workflow_definitions')} ORDER BY ${this.orderColumn}`
+    );
+    return rows.map(row => this.parseJson(row.definition));
+  }
+
+  /**
+   * Get a workflow definition by ID
+   */
+  async getWorkflow(workflowId) {
+    const { rows } = await this.run(
+      `SELECT definition FROM ${this.table('workflow_definitions')} WHERE id = ?`,
+      [workflowId]
+    );
+    return rows.length > 0 ? this.parseJson(rows[0].definition) : null;
+  }
+
+  // ============================================
+  // INSTANCES
+  // ============================================
+
+  /**
+   * Save instance data in one transaction
+   * History is append-only: entries past the stored count are inserted, and a shorter
+   * history (e.g. after cleanup) replaces the stored one. Tokens are replaced as a set.
+   */
+  async saveInstance(instanceData) {
+    const { executionHistory = [], tokens = [], ...state } = instanceData;
+
+    await this.init();
+    await this.transaction(async tx => {
+      await tx.query(
+        `INSERT INTO ${this.table('workflow_instances')}
+           (id, workflow_id, workflow_version, status, parent_instance_id, initiator, current_node_id, state,
+            created_at, updated_at, completed_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO UPDATE SET
+           workflow_id = excluded.workflow_id,
+           workflow_version = excluded.workflow_version,
+           status = excluded.status,
+           parent_instance_id = excluded.parent_instance_id,
+           initiator = excluded.initiator,
+           current_node_id = excluded.current_node_id,
+           state = excluded.state,
+           updated_at = excluded.updated_at,
+           completed_at = excluded.completed_at`,
+        [
+          state.id,
+          state.workflowId,
+          state.workflowVersion ?? null,
+          state.status,
+          state.parent?.instanceId || null,
+          state.initiator || null,
+          state.currentNodeId || null,
+          JSON.stringify(state),
+          state.createdAt,
+          state.updatedAt,
+          state.completedAt || null
+        ]
+      );
+
+      const { rows } = await tx.query(
+        `SELECT COUNT(*) AS count FROM ${this.table('workflow_instance_history')} WHERE instance_id = ?`,
+        [state.id]
+      );
+      let stored = Number(rows[0].count);
+
+      if (stored > executionHistory.length) {
+        await tx.query(`DELETE FROM ${this.table('workflow_instance_history')} WHERE instance_id = ?`, [state.id]);
+        stored = 0;
+      }
+
+      for (let seq = stored; seq < executionHistory.length; seq++) {
+        const entry = executionHistory[seq];
+        await tx.query(
+          `INSERT INTO ${this.table('workflow_instance_history')} (instance_id, seq, action, node_id, entry, recorded_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [state.id, seq, entry.action || null, entry.nodeId || null, JSON.stringify(entry), entry.timestamp || null]
+        );
+      }
+
+      await tx.query(`DELETE FROM ${this.table('workflow_instance_tokens')} WHERE instance_id = ?`, [state.id]);
+
+      for (const [seq, token] of tokens.entries()) {
+        await tx.query(
+          `INSERT INTO ${this.table('workflow_instance_tokens')} (instance_id, token_id, seq, node_id, status, token)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [state.id, token.id, seq, token.position || null, token.status || null, JSON.stringify(token)]
+        );
+      }
+    });
+
+    return instanceData;
+  }
+
+  /**
+   * Load instances, optionally filtered by { status, workflowId }
+   */
+  async loadInstances(filter = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filter.status) {
+      conditions.push('i.status = ?');
+      params.push(filter.status);
+    }
+    if (filter.workflowId) {
+      conditions.push('i.workflow_id = ?');
+      params.push(filter.workflowId);
+    }
+
+    return this.selectInstances(conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params);
+  }
+
+  /**
+   * Query instances with a parsed instance query (see instanceQuery.js)
+   * Filters and keyset pagination run on indexed columns; variable predicates and the
+   * full-text search come from the backend's JSON functions (variableMatch, textCondition)
+   */
+  async queryInstances(query) {
+    const conditions = [];
+    const params = [];
+    const where = (sql, ...values) => {
+      conditions.push(sql);
+      params.push(...values);
+    };
+
+    if (query.workflowId) where('i.workflow_id = ?', query.workflowId);
+    if (query.workflowVersion !== null) where('i.workflow_version = ?', query.workflowVersion);
+    if (query.statuses.length > 0) where(`i.status IN (${query.statuses.map(() => '?').join(', ')})`, ...query.statuses);
+    if (query.initiator) where('i.initiator = ?', query.initiator);
+    if (query.currentNodeId) {
+      where(
+        `(i.current_node_id = ? OR EXISTS (
+           SELECT 1 FROM ${this.table('workflow_instance_tokens')} t
+           WHERE t.instance_id = i.id AND t.node_id = ? AND t.status = 'active'))`,
+        query.currentNodeId,
+        query.currentNodeId
+      );
+    }
+    if (query.createdAfter) where('i.created_at >= ?', query.createdAfter);
+    if (query.createdBefore) where('i.created_at < ?', query.createdBefore);
+    if (query.completedAfter) where('i.completed_at >= ?', query.completedAfter);
+    if (query.completedBefore) where('i.completed_at < ?', query.completedBefore);
+    if (query.updatedAfter) where('i.updated_at >= ?', query.updatedAfter);
+    if (query.updatedBefore) where('i.updated_at < ?', query.updatedBefore);
+
+    for (const predicate of query.variables) {
+      const condition = predicate.operator === 'ne'
+        ? this.negate(this.variableMatch({ ...predicate, operator: 'eq' }))
+        : this.variableMatch(predicate);
+      where(condition.sql, ...condition.params);
+    }
+    if (query.text) {
+      const condition = this.textCondition(likePattern(query.text));
+      where(condition.sql, ...condition.params);
+    }
+
+    const column = `i.${SORT_COLUMNS[query.sort.field]}`;
+    const direction = query.sort.direction === 'desc' ? 'DESC' : 'ASC';
+    if (query.cursor) {
+      const after = direction === 'DESC' ? '<' : '>';
+      where(
+        `(${column} ${after} ? OR (${column} = ? AND i.id ${after} ?))`,
+        query.cursor.value,
+        query.cursor.value,
+        query.cursor.id
+      );
+    }
+
+    const { rows } = await this.run(
+      `SELECT i.state FROM ${this.table('workflow_instances')} i
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY ${column} ${direction}, i.id ${direction}
+       LIMIT ?`,
+      [...params, query.limit + 1]
+    );
+
+    return toPage(query, rows.map(row => this.parseJson(row.state)));
+  }
+
+  /**
+   * Negate a condition; rows where it is NULL (e.g. a missing variable) match the negation
+   */
+  negate(condition) {
+    return { sql: `NOT COALESCE((${condition.sql}), FALSE)`, params: condition.params };
+  }
+
+  /**
+   * Get instance data by ID
+   */
+  async getInstance(instanceId) {
+    const [instance] = await this.selectInstances('WHERE i.id = ?', [instanceId]);
+    return instance || null;
+  }
+
+  /**
+   * Load instance rows matching a WHERE clause and attach their history and tokens
+   */
+  async selectInstances(where, params) {
+    const instances = this.table('workflow_instances');
+
+    const { rows } = await this.run(
+      `SELECT i.id, i.state FROM ${instances} i ${where} ORDER BY i.${this.orderColumn}`,
+      params
+    );
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const { rows: historyRows } = await this.run(
+      `SELECT h.instance_id, h.entry FROM ${this.table('workflow_instance_history')} h
+       JOIN ${instances} i ON i.id = h.instance_id ${where}
+       ORDER BY h.instance_id, h.seq`,
+      params
+    );
+    const { rows: tokenRows } = await this.run(
+      `SELECT t.instance_id, t.token FROM ${this.table('workflow_instance_tokens')} t
+       JOIN ${instances} i ON i.id = t.instance_id ${where}
+       ORDER BY t.instance_id, t.seq`,
+      params
+    );
+
+    const history = this.groupByInstance(historyRows, 'entry');
+    const tokens = this.groupByInstance(tokenRows, 'token');
+
+    return rows.map(row => ({
+      ...this.parseJson(row.state),
+      executionHistory: history.get(row.id) || [],
+      tokens: tokens.get(row.id) || []
+    }));
+  }
+
+  /**
+   * Group parsed JSON column values by instance_id
+   */
+  groupByInstance(rows, column) {
+    const groups = new Map();
+    for (const row of rows) {
+      if (!groups.has(row.instance_id)) {
+        groups.set(row.instance_id, []);
+      }
+      groups.get(row.instance_id).push(this.parseJson(row[column]));
+    }
+    return groups;
+  }
+
+  /**
+   * Delete an instance with its history and tokens
+   */
+  async deleteInstance(instanceId) {
+    await this.init();
+    return this.transaction(async tx => {
+      await tx.query(`DELETE FROM ${this.table('workflow_instance_history')} WHERE instance_id = ?`, [instanceId]);
+      await tx.query(`DELETE FROM ${this.table('workflow_instance_tokens')} WHERE instance_id = ?`, [instanceId]);
+      const { rowCount } = await tx.query(`DELETE FROM ${this.table('workflow_instances')} WHERE id = ?`, [instanceId]);
+      return rowCount > 0;
+    });
+  }
+
+  // ============================================
+  // VERSIONS
+  // ============================================
+
+  /**
+   * Save a workflow version
+   */
+  async saveVersion(version) {
+    await this.run(
+      `INSERT INTO ${this.table('workflow_versions')} (id, workflow_id, version, status, content_hash, data, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (id) DO UPDATE SET status = excluded.status, content_hash = excluded.content_hash,
+         data = excluded.data, updated_at = excluded.updated_at`,
+      [
+        version.id,
+        version.workflowId,
+        version.version,
+        version.status,
+        version.contentHash || null,
+        JSON.stringify(version),
+        new Date().toISOString()
+      ]
+    );
+    return version;
+  }
+
+  /**
+   * Load all workflow versions
+   */
+  async loadVersions() {
+    const { rows } = await this.run(
+      `SELECT data FROM ${this.table('workflow_versions')} ORDER BY workflow_id, version`
+    );
+    return rows.map(row => this.parseJson(row.data));
+  }
+
+  /**
+   * Delete a workflow version by its ID
+   */
+  async deleteVersion(versionId) {
+    const { rowCount } = await this.run(`DELETE FROM ${this.table('workflow_versions')} WHERE id = ?`, [versionId]);
+    return rowCount > 0;
+  }
+
+  // ============================================
+  // TIMERS, TASKS, SUBSCRIPTIONS AND VERSION BINDINGS
+  // ============================================
+
+  /**
+   * Save a timer, task, subscription or version binding record
+   */
+  async saveRecord(collection, record) {
+    await this.run(
+      `INSERT INTO ${this.recordTable(collection)} (id, instance_id, data, updated_at)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (id) DO UPDATE SET instance_id = excluded.instance_id, data = excluded.data, updated_at = excluded.updated_at`,
+      [record.id, record.instanceId || null, JSON.stringify(record), new Date().toISOString()]
+    );
+    return record;
+  }
+
+  /**
+   * Load records of a collection, optionally filtered by { instanceId }
+   */
+  async loadRecords(collection, filter = {}) {
+    const where = filter.instanceId ? 'WHERE instance_id = ?' : '';
+    const { rows } = await this.run(
+      `SELECT data FROM ${this.recordTable(collection)} ${where} ORDER BY ${this.orderColumn}`,
+      filter.instanceId ? [filter.instanceId] : []
+    );
+    return rows.map(row => this.parseJson(row.data));
+  }
+
+  /**
+   * Get a record of a collection by ID
+   */
+  async getRecord(collection, id) {
+    const { rows } = await this.run(`SELECT data FROM ${this.recordTable(collection)} WHERE id = ?`, [id]);
+    return rows.length > 0 ? this.parseJson(rows[0].data) : null;
+  }
+
+  /**
+   * Delete a record of a collection
+   * Returns false when it was already removed, so only one caller consumes it
+   */
+  async deleteRecord(collection, id) {
+    const { rowCount } = await this.run(`DELETE FROM ${this.recordTable(collection)} WHERE id = ?`, [id]);
+    return rowCount > 0;
+  }
+
+  /**
+   * Resolve the table of a record collection
+   */
+  recordTable(collection) {
+    const table = RECORD_TABLES[collection];
+    if (!table) {
+      throw new Error(`Unknown storage collection: ${collection}`);
+    }
+    return this.table(table);
+  }
+}
+
+module.exports = SqlStore;
@@ -0,0 +1,245 @@
+/**
+ * SQLite Store
+ * Embedded workflow storage backend for single-node setups (better-sqlite3)
+ * The database file is created with its tables on first use
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SqlStore = require('./SqlStore');
+const { likePattern } = require('./instanceQuery');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS workflow_definitions (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    definition TEXT NOT NULL,
+    created_at TEXT,
+    updated_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS workflow_instances (
+    id TEXT PRIMARY KEY,
+    workflow_id TEXT,
+    workflow_version INTEGER,
+    status TEXT,
+    parent_instance_id TEXT,
+    initiator TEXT,
+    current_node_id TEXT,
+    state TEXT NOT NULL,
+    created_at TEXT,
+    updated_at TEXT,
+    completed_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_workflow_instances_workflow_id ON workflow_instances(workflow_id);
+  CREATE INDEX IF NOT EXISTS idx_workflow_instances_status ON workflow_instances(status);
+
+  CREATE TABLE IF NOT EXISTS workflow_instance_history (
+    instance_id TEXT NOT NULL REFERENCES workflow_instances(id) ON DELETE CASCADE,
+    seq INTEGER NOT NULL,
+    action TEXT,
+    node_id TEXT,
+    entry TEXT NOT NULL,
+    recorded_at TEXT,
+    PRIMARY KEY (instance_id, seq)
+  );
+
+  CREATE TABLE IF NOT EXISTS workflow_instance_tokens (
+    instance_id TEXT NOT NULL REFERENCES workflow_instances(id) ON DELETE CASCADE,
+    token_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    node_id TEXT,
+    status TEXT,
+    token TEXT NOT NULL,
+    PRIMARY KEY (instance_id, token_id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_workflow_instance_tokens_node_id ON workflow_instance_tokens(node_id, status);
+
+  CREATE TABLE IF NOT EXISTS workflow_timers (id TEXT PRIMARY KEY, instance_id TEXT, data TEXT NOT NULL, updated_at TEXT);
+  CREATE INDEX IF NOT EXISTS idx_workflow_timers_instance_id ON workflow_timers(instance_id);
+
+  CREATE TABLE IF NOT EXISTS workflow_tasks (id TEXT PRIMARY KEY, instance_id TEXT, data TEXT NOT NULL, updated_at TEXT);
+  CREATE INDEX IF NOT EXISTS idx_workflow_tasks_instance_id ON workflow_tasks(instance_id);
+
+  CREATE TABLE IF NOT EXISTS workflow_subscriptions (id TEXT PRIMARY KEY, instance_id TEXT, data TEXT NOT NULL, updated_at TEXT);
+  CREATE INDEX IF NOT EXISTS idx_workflow_subscriptions_instance_id ON workflow_subscriptions(instance_id);
+
+  CREATE TABLE IF NOT EXISTS workflow_versions (
+    id TEXT PRIMARY KEY,
+    workflow_id TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    status TEXT,
+    content_hash TEXT,
+    data TEXT NOT NULL,
+    updated_at TEXT,
+    UNIQUE (workflow_id, version)
+  );
+
+  CREATE TABLE IF NOT EXISTS workflow_version_bindings (id TEXT PRIMARY KEY, instance_id TEXT, data TEXT NOT NULL, updated_at TEXT);
+`;
+
+// Instance history query indexes (created after HISTORY_COLUMNS exist)
+const HISTORY_INDEXES = `
+  CREATE INDEX IF NOT EXISTS idx_workflow_instances_version ON workflow_instances(workflow_id, workflow_version);
+  CREATE INDEX IF NOT EXISTS idx_workflow_instances_initiator ON workflow_instances(initiator);
+  CREATE INDEX IF NOT EXISTS idx_workflow_instances_current_node ON workflow_instances(current_node_id);
+  CREATE INDEX IF NOT EXISTS idx_workflow_instances_created ON workflow_instances(created_at, id);
+  CREATE INDEX IF NOT EXISTS idx_workflow_instances_updated ON workflow_instances(updated_at, id);
+  CREATE INDEX IF NOT EXISTS idx_workflow_instances_completed ON workflow_instances(completed_at);
+`;
+
+// Instance columns added for history queries, filled from the state of existing rows
+const HISTORY_COLUMNS = {
+  initiator: "json_extract(state, '$.initiator')",
+  current_node_id: "json_extract(state, '$.currentNodeId')"
+};
+
+// json_type() values per JavaScript type of a predicate value
+const JSON_TYPES = {
+  number: "('integer', 'real')",
+  string: "('text')"
+};
+
+class SqliteStore extends SqlStore {
+  constructor(options = {}) {
+    super({ orderColumn: 'rowid' });
+    this.name = 'sqlite';
+    this.filename = options.filename || process.env.WORKFLOW_SQLITE_FILE || path.join(__dirname, '../../../data/workflows.db');
+    this.db = null;
+
+    // One connection: operations run one after another so a transaction never interleaves with others
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Open the database file and create the tables
+   */
+  async setup() {
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    this.addHistoryColumns();
+    this.db.exec(HISTORY_INDEXES);
+
+    console.log(`[SqliteStore] Workflow storage initialized: ${this.filename}`);
+  }
+
+  /**
+   * Add the history query columns to a database created before they existed
+   */
+  addHistoryColumns() {
+    const existing = this.db.prepare('PRAGMA table_info(workflow_instances)').all().map(column => column.name);
+
+    for (const [column, value] of Object.entries(HISTORY_COLUMNS)) {
+      if (!existing.includes(column)) {
+        this.db.exec(`ALTER TABLE workflow_instances ADD COLUMN ${column} TEXT`);
+        this.db.exec(`UPDATE workflow_instances SET ${column} = ${value}`);
+        console.log(`[SqliteStore] Added column workflow_instances.${column}`);
+      }
+    }
+  }
+
+  /**
+   * Condition of a process-variable predicate (json_type keeps comparisons within one type)
+   */
+  variableMatch({ segments, operator, value }) {
+    const path = `$.processData.${segments.join('.')}`;
+
+    if (operator === 'exists') {
+      return { sql: `json_type(i.state, ?) IS ${value ? 'NOT ' : ''}NULL`, params: [path] };
+    }
+    if (typeof value === 'boolean') {
+      return { sql: 'json_type(i.state, ?) = ?', params: [path, String(value)] };
+    }
+    if (operator === 'contains') {
+      return {
+        sql: "json_type(i.state, ?) = 'text' AND json_extract(i.state, ?) LIKE ? ESCAPE '\\'",
+        params: [path, path, likePattern(value)]
+      };
+    }
+
+    const comparison = { eq: '=', gt: '>', gte: '>=', lt: '<', lte: '<=' }[operator];
+    return {
+      sql: `json_type(i.state, ?) IN ${JSON_TYPES[typeof value]} AND json_extract(i.state, ?) ${comparison} ?`,
+      params: [path, path, value]
+    };
+  }
+
+  /**
+   * Full-text condition over the string values of the process variables (case-insensitive for ASCII)
+   */
+  textCondition(pattern) {
+    return {
+      sql: `EXISTS (SELECT 1 FROM json_tree(i.state, '$.processData') AS leaf
+             WHERE leaf.type = 'text' AND leaf.value LIKE ? ESCAPE '\\')`,
+      params: [pattern]
+    };
+  }
+
+  /**
+   * Run an operation after the ones queued before it
+   */
+  serialize(operation) {
+    const current = this.queue.catch(() => {}).then(operation);
+    this.queue = current;
+    return current;
+  }
+
+  /**
+   * Execute a statement on the connection
+   */
+  execute(sql, params) {
+    const statement = this.db.prepare(sql);
+    const values = params.map(value => (value === undefined ? null : value));
+
+    if (statement.reader) {
+      return { rows: statement.all(values), rowCount: 0 };
+    }
+    const info = statement.run(values);
+    return { rows: [], rowCount: info.changes };
+  }
+
+  /**
+   * Run a query
+   */
+  async query(sql, params = []) {
+    return this.serialize(() => this.execute(sql, params));
+  }
+
+  /**
+   * Run callback(tx) inside a transaction
+   */
+  async transaction(callback) {
+    return this.serialize(async () => {
+      const tx = { query: async (sql, params = []) => this.execute(sql, params) };
+
+      this.db.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await callback(tx);
+        this.db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        this.db.exec('ROLLBACK');
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Close the database file
+   */
+  async close() {
+    await this.queue.catch(() => {});
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.ready = null;
+    }
+  }
+}
+
+module.exports = SqliteStore;
@@ -0,0 +1,247 @@
+/**
+ * Storage backends: every backend stores the same data and returns the same instance query results
+ * JSON and SQLite run on temporary files; PostgreSQL runs when TEST_POSTGRES is set
+ * (connection from the DB_* variables, schema migrated with `npm run db:migrate`)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorkflowStore } = require('..');
+const { parseInstanceQuery } = require('../instanceQuery');
+
+const WORKFLOW_ID = 'storage-parity-test';
+
+function instance(id, minute, fields) {
+  const timestamp = `2026-01-01T10:${String(minute).padStart(2, '0')}:00.000Z`;
+  return {
+    id,
+    workflowId: WORKFLOW_ID,
+    workflowName: 'Storage parity',
+    workflowVersion: 1,
+    status: 'RUNNING',
+    initiator: null,
+    currentNodeId: 'start',
+    processData: {},
+    error: null,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    completedAt: null,
+    executionHistory: [{ action: 'WORKFLOW_STARTED', nodeId: 'start', timestamp }],
+    tokens: [],
+    ...fields
+  };
+}
+
+// updatedAt ties (p1/p2, p3/p4) exercise the ID tie-break of cursors
+const INSTANCES = [
+  instance('p1', 1, {
+    status: 'COMPLETED',
+    initiator: 'alice',
+    currentNodeId: 'end',
+    completedAt: '2026-01-01T11:00:00.000Z',
+    updatedAt: '2026-01-01T11:00:00.000Z',
+    processData: { amount: 1500, region: 'EU', vip: true, customer: { name: 'Ann Lee', tier: 'gold' }, tags: ['rush'] }
+  }),
+  instance('p2', 2, {
+    initiator: 'bob',
+    currentNodeId: 'review',
+    updatedAt: '2026-01-01T11:00:00.000Z',
+    processData: { amount: 200, region: 'US', vip: false, customer: { name: 'Bob Stone', tier: 'silver' } }
+  }),
+  instance('p3', 3, {
+    initiator: 'alice',
+    updatedAt: '2026-01-01T12:00:00.000Z',
+    processData: { amount: '500', region: 'eu-west', customer: { name: 'Cara', tier: null } }
+  }),
+  instance('p4', 4, {
+    status: 'FAILED',
+    initiator: 'carol',
+    error: 'Service unavailable',
+    updatedAt: '2026-01-01T12:00:00.000Z',
+    processData: { comment: '100% done_ok', attempts: 3 }
+  }),
+  instance('p5', 5, {
+    initiator: 'bob',
+    tokens: [{ id: 'token-1', position: 'review', status: 'active' }, { id: 'token-2', position: 'audit', status: 'completed' }],
+    processData: { amount: 1000, customer: { name: 'Dan' } }
+  }),
+  instance('p6', 6, {
+    status: 'COMPLETED',
+    completedAt: '2026-01-01T13:00:00.000Z',
+    processData: {}
+  })
+];
+
+// Query parameters (as in ?...) and the instance IDs they match, in the default -createdAt order
+const QUERIES = [
+  [{}, ['p6', 'p5', 'p4', 'p3', 'p2', 'p1']],
+  [{ status: 'running,failed' }, ['p5', 'p4', 'p3', 'p2']],
+  [{ status: 'RUNNING', initiator: 'alice' }, ['p3']],
+  [{ currentNodeId: 'review' }, ['p5', 'p2']],
+  [{ completedAfter: '2026-01-01T12:00:00.000Z' }, ['p6']],
+  [{ updatedBefore: '2026-01-01T12:00:00.000Z' }, ['p6', 'p5', 'p2', 'p1']],
+  [{ variables: { amount: { gte: '1000' } } }, ['p5', 'p1']],
+  [{ variables: { amount: { lt: '1000' } } }, ['p2']],
+  [{ variables: { amount: '"500"' } }, ['p3']],
+  [{ variables: { amount: '500' } }, []],
+  [{ variables: { amount: { ne: '200' } } }, ['p6', 'p5', 'p4', 'p3', 'p1']],
+  [{ variables: { vip: 'true' } }, ['p1']],
+  [{ variables: { vip: { ne: 'true' } } }, ['p6', 'p5', 'p4', 'p3', 'p2']],
+  [{ variables: { amount: { exists: 'false' } } }, ['p6', 'p4']],
+  [{ variables: { 'customer.tier': { exists: 'true' } } }, ['p3', 'p2', 'p1']],
+  [{ variables: { 'customer.tier': 'gold' } }, ['p1']],
+  [{ variables: { 'customer.name': { contains: 'AN' } } }, ['p5', 'p1']],
+  [{ variables: { region: { contains: 'eu' }, amount: { exists: 'true' } } }, ['p3', 'p1']],
+  [{ variables: { comment: { contains: '100%' } } }, ['p4']],
+  [{ q: 'ann' }, ['p1']],
+  [{ q: 'RUSH' }, ['p1']],
+  [{ q: '100%' }, ['p4']],
+  [{ q: '_' }, ['p4']],
+  [{ q: 'customer' }, []],
+  [{ q: '1500' }, []],
+  [{ sort: 'updatedAt' }, ['p5', 'p6', 'p1', 'p2', 'p3', 'p4']],
+  [{ sort: '-updatedAt', variables: { amount: { exists: 'true' } } }, ['p3', 'p2', 'p1', 'p5']],
+  [{ sort: 'status' }, ['p1', 'p6', 'p4', 'p2', 'p3', 'p5']]
+];
+
+const BACKENDS = [
+  ['json', dir => ({ dbPath: dir })],
+  ['sqlite', dir => ({ filename: path.join(dir, 'workflows.db') })],
+  ...(process.env.TEST_POSTGRES ? [['postgres', () => ({})]] : [])
+];
+
+/**
+ * Run a query and follow its cursors until the last page
+ */
+async function queryAll(store, params) {
+  const ids = [];
+  let cursor;
+  do {
+    const page = await store.queryInstances(parseInstanceQuery({ ...params, workflowId: WORKFLOW_ID, cursor }));
+    ids.push(...page.instances.map(summary => summary.id));
+    cursor = page.nextCursor || undefined;
+  } while (cursor);
+  return ids;
+}
+
+describe.each(BACKENDS)('%s storage', (type, options) => {
+  let dir;
+  let store;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), `storage-${type}-`));
+    store = createWorkflowStore(type, options(dir));
+    await store.init();
+    for (const data of INSTANCES) {
+      await store.saveInstance(data);
+    }
+  });
+
+  afterAll(async () => {
+    for (const data of INSTANCES) {
+      await store.deleteInstance(data.id);
+    }
+    if (store.close) {
+      await store.close();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test.each(QUERIES)('query %j', async (params, expected) => {
+    const page = await store.queryInstances(parseInstanceQuery({ ...params, workflowId: WORKFLOW_ID }));
+
+    expect(page.instances.map(summary => summary.id)).toEqual(expected);
+    expect(page.nextCursor).toBeNull();
+  });
+
+  test.each(QUERIES)('paged query %j', async (params, expected) => {
+    await expect(queryAll(store, { ...params, limit: '2' })).resolves.toEqual(expected);
+  });
+
+  test('returns summaries without history or tokens', async () => {
+    const page = await store.queryInstances(parseInstanceQuery({ workflowId: WORKFLOW_ID, limit: '1' }));
+
+    expect(page.instances).toEqual([{
+      id: 'p6',
+      workflowId: WORKFLOW_ID,
+      workflowName: 'Storage parity',
+      workflowVersion: 1,
+      status: 'COMPLETED',
+      initiator: null,
+      currentNodeId: 'start',
+      processData: {},
+      error: null,
+      createdAt: '2026-01-01T10:06:00.000Z',
+      updatedAt: '2026-01-01T10:06:00.000Z',
+      completedAt: '2026-01-01T13:00:00.000Z'
+    }]);
+    expect(typeof page.nextCursor).toBe('string');
+  });
+
+  test('rejects a cursor from another sort order', async () => {
+    const page = await store.queryInstances(parseInstanceQuery({ workflowId: WORKFLOW_ID, limit: '1' }));
+
+    expect(() => parseInstanceQuery({ sort: 'updatedAt', cursor: page.nextCursor }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_QUERY' }));
+  });
+
+  test('loads instances with their history and tokens', async () => {
+    const loaded = await store.getInstance('p5');
+
+    expect(loaded).toEqual(INSTANCES[4]);
+  });
+
+  test('appends history and replaces tokens on checkpoints', async () => {
+    const data = instance('p7', 7, { tokens: [{ id: 'token-1', position: 'start', status: 'active' }] });
+    await store.saveInstance(data);
+
+    const checkpoint = {
+      ...data,
+      status: 'COMPLETED',
+      executionHistory: [...data.executionHistory, { action: 'WORKFLOW_COMPLETED', nodeId: 'end', timestamp: data.createdAt }],
+      tokens: []
+    };
+    await store.saveInstance(checkpoint);
+
+    await expect(store.getInstance('p7')).resolves.toEqual(checkpoint);
+    await expect(store.deleteInstance('p7')).resolves.toBe(true);
+    await expect(store.getInstance('p7')).resolves.toBeNull();
+  });
+
+  test('stores workflows and versions', async () => {
+    const workflow = { id: `${WORKFLOW_ID}-definition`, name: 'Storage parity', nodes: [{ id: 'start' }], edges: [] };
+    const version = { id: `${WORKFLOW_ID}-v1`, workflowId: workflow.id, version: 1, status: 'DRAFT', definition: workflow };
+
+    await store.saveWorkflow(workflow);
+    await store.saveVersion(version);
+    await store.saveVersion({ ...version, status: 'PUBLISHED', contentHash: 'abc' });
+
+    await expect(store.getWorkflow(workflow.id)).resolves.toEqual(workflow);
+    expect((await store.loadVersions()).filter(stored => stored.workflowId === workflow.id))
+      .toEqual([{ ...version, status: 'PUBLISHED', contentHash: 'abc' }]);
+    await expect(store.deleteVersion(version.id)).resolves.toBe(true);
+    await expect(store.deleteVersion(version.id)).resolves.toBe(false);
+  });
+
+  test('stores records by collection and instance', async () => {
+    const timer = { id: `${WORKFLOW_ID}-timer`, instanceId: 'p5', dueAt: '2026-01-02T00:00:00.000Z', status: 'SCHEDULED' };
+    const task = { id: `${WORKFLOW_ID}-task`, instanceId: 'p5', status: 'CREATED' };
+
+    await store.saveRecord('timers', timer);
+    await store.saveRecord('tasks', task);
+    await store.saveRecord('tasks', { ...task, status: 'CLAIMED' });
+
+    await expect(store.loadRecords('timers', { instanceId: 'p5' })).resolves.toEqual([timer]);
+    await expect(store.loadRecords('tasks', { instanceId: 'p5' })).resolves.toEqual([{ ...task, status: 'CLAIMED' }]);
+    await expect(store.loadRecords('tasks', { instanceId: 'p4' })).resolves.toEqual([]);
+    await expect(store.getRecord('timers', timer.id)).resolves.toEqual(timer);
+
+    await expect(store.deleteRecord('timers', timer.id)).resolves.toBe(true);
+    await expect(store.deleteRecord('timers', timer.id)).resolves.toBe(false);
+    await expect(store.deleteRecord('tasks', task.id)).resolves.toBe(true);
+    await expect(store.getRecord('timers', timer.id)).resolves.toBeNull();
+  });
+});
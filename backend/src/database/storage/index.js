@@ -0,0 +1,39 @@
+/**
+ * Workflow Storage
+ * Creates the storage backend behind WorkflowDatabase, chosen by WORKFLOW_STORAGE:
+ * json (default, files under data/), sqlite (embedded, WORKFLOW_SQLITE_FILE) or postgres (k1 schema)
+ *
+ * Every backend implements:
+ *   init(), close()
+ *   saveWorkflow(workflow), loadWorkflows(), getWorkflow(id)
+ *   saveInstance(data), loadInstances({ status, workflowId }), getInstance(id), deleteInstance(id)
+ *   queryInstances(query) - query parsed by instanceQuery.js, returns { instances, nextCursor }
+ *   saveVersion(version), loadVersions(), deleteVersion(versionId)
+ *   saveRecord(collection, record), loadRecords(collection, { instanceId }), getRecord(collection, id),
+ *   deleteRecord(collection, id) - collection is timers, tasks, subscriptions or versionBindings
+ */
+
+// Backends are required on demand, so unused drivers never load
+const STORAGE_BACKENDS = {
+  json: () => require('./JsonFileStore'),
+  sqlite: () => require('./SqliteStore'),
+  postgres: () => require('./PostgresStore')
+};
+
+/**
+ * Create a storage backend by type
+ */
+function createWorkflowStore(type = process.env.WORKFLOW_STORAGE || 'json', options = {}) {
+  const loadBackend = STORAGE_BACKENDS[type];
+  if (!loadBackend) {
+    throw new Error(`Unknown workflow storage "${type}" (expected ${Object.keys(STORAGE_BACKENDS).join(', ')})`);
+  }
+
+  const Store = loadBackend();
+  return new Store(options);
+}
+
+module.exports = {
+  createWorkflowStore,
+  STORAGE_BACKENDS: Object.keys(STORAGE_BACKENDS)
+};
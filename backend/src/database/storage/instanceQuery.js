@@ -0,0 +1,357 @@
+/**
+ * Instance Query
+ * Instance history queries shared by the storage backends: parsing and validation of the
+ * filters, process-variable predicates, full-text search over variables, sorting and cursors
+ * SQL backends translate a parsed query to indexed WHERE clauses; the JSON backend evaluates it in memory
+ */
+
+const { codedError } = require('../../runtime/errors');
+
+// Sortable fields and their columns
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  status: 'status',
+  workflowId: 'workflow_id'
+};
+
+const VARIABLE_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'contains', 'exists'];
+
+// Variable names: identifiers, dots for nested values (customer.address.city)
+const VARIABLE_PATH = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/;
+
+// Fields of the instance summaries a query returns
+const SUMMARY_FIELDS = [
+  'id', 'workflowId', 'workflowName', 'workflowVersion', 'status', 'initiator', 'currentNodeId',
+  'processData', 'error', 'createdAt', 'updatedAt', 'completedAt'
+];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Create an error for an invalid query (400 in the runtime API)
+ */
+function queryError(message) {
+  return codedError(message, 'INVALID_QUERY');
+}
+
+/**
+ * Read a list parameter: repeated (?status=A&status=B) or comma-separated (?status=A,B)
+ */
+function listParam(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read a single string parameter
+ */
+function stringParam(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    throw queryError(`${name} must be a single value`);
+  }
+  return value;
+}
+
+/**
+ * Read a date parameter as an ISO timestamp
+ */
+function dateParam(value, name) {
+  const text = stringParam(value, name);
+  if (text === null) {
+    return null;
+  }
+
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) {
+    throw queryError(`${name} must be a date, got: ${text}`);
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Type a predicate value from the query string: numbers and booleans, strings otherwise
+ * Double quotes keep a value a string ("500")
+ */
+function typedValue(raw) {
+  if (/^".*"$/.test(raw)) {
+    return raw.slice(1, -1);
+  }
+  if (/^-?\d+(\.\d+)?$/.test(raw)) {
+    return Number(raw);
+  }
+  if (raw === 'true' || raw === 'false') {
+    return raw === 'true';
+  }
+  return raw;
+}
+
+/**
+ * Parse the variable predicates of ?variables[amount][gte]=1000&variables[region]=EU
+ */
+function parseVariables(variables) {
+  if (variables === undefined || variables === null || variables === '') {
+    return [];
+  }
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    throw queryError('variables must look like variables[name][operator]=value');
+  }
+
+  const predicates = [];
+  for (const [path, condition] of Object.entries(variables)) {
+    if (!VARIABLE_PATH.test(path)) {
+      throw queryError(`Invalid variable name: ${path}`);
+    }
+
+    const operators = typeof condition === 'object' && !Array.isArray(condition) ? condition : { eq: condition };
+    for (const [operator, raw] of Object.entries(operators)) {
+      if (!VARIABLE_OPERATORS.includes(operator)) {
+        throw queryError(`Unknown operator "${operator}" for variable ${path} (use ${VARIABLE_OPERATORS.join(', ')})`);
+      }
+      if (typeof raw !== 'string') {
+        throw queryError(`Variable ${path} ${operator} takes a single value`);
+      }
+
+      const value = operator === 'contains' ? raw : typedValue(raw);
+      if (operator === 'exists' && typeof value !== 'boolean') {
+        throw queryError(`Variable ${path} exists takes true or false`);
+      }
+      if (['gt', 'gte', 'lt', 'lte', 'contains'].includes(operator) && typeof value === 'boolean') {
+        throw queryError(`Variable ${path} ${operator} takes a number or a string`);
+      }
+
+      predicates.push({ path, segments: path.split('.'), operator, value });
+    }
+  }
+  return predicates;
+}
+
+/**
+ * Encode the position after an instance as an opaque cursor
+ */
+function encodeCursor(query, instance) {
+  const payload = { s: query.sort.field, d: query.sort.direction, v: instance[query.sort.field] ?? '', id: instance.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor; it must come from a query with the same sort
+ */
+function decodeCursor(cursor, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw queryError('Invalid cursor');
+  }
+
+  if (!payload || typeof payload.id !== 'string' || payload.v === undefined) {
+    throw queryError('Invalid cursor');
+  }
+  if (payload.s !== sort.field || payload.d !== sort.direction) {
+    throw queryError('The cursor belongs to a query with another sort order');
+  }
+  return { value: payload.v, id: payload.id };
+}
+
+/**
+ * Parse and validate query parameters (e.g. req.query) into a query for the storage backends
+ */
+function parseInstanceQuery(params = {}) {
+  const sortParam = stringParam(params.sort, 'sort') || '-createdAt';
+  const sortField = sortParam.replace(/^[-+]/, '');
+  if (!SORT_COLUMNS[sortField]) {
+    throw queryError(`Cannot sort by ${sortField} (use ${Object.keys(SORT_COLUMNS).join(', ')})`);
+  }
+  const sort = { field: sortField, direction: sortParam.startsWith('-') ? 'desc' : 'asc' };
+
+  const limitParam = stringParam(params.limit, 'limit');
+  const limit = limitParam === null ? DEFAULT_LIMIT : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw queryError(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  const versionParam = stringParam(params.workflowVersion, 'workflowVersion');
+  const workflowVersion = versionParam === null ? null : Number(versionParam);
+  if (workflowVersion !== null && !Number.isInteger(workflowVersion)) {
+    throw queryError(`workflowVersion must be a version number, got: ${versionParam}`);
+  }
+
+  const text = stringParam(params.q, 'q');
+  const cursor = stringParam(params.cursor, 'cursor');
+
+  return {
+    workflowId: stringParam(params.workflowId, 'workflowId'),
+    workflowVersion,
+    statuses: listParam(params.status).map(status => status.toUpperCase()),
+    initiator: stringParam(params.initiator, 'initiator'),
+    currentNodeId: stringParam(params.currentNodeId, 'currentNodeId'),
+    createdAfter: dateParam(params.createdAfter, 'createdAfter'),
+    createdBefore: dateParam(params.createdBefore, 'createdBefore'),
+    completedAfter: dateParam(params.completedAfter, 'completedAfter'),
+    completedBefore: dateParam(params.completedBefore, 'completedBefore'),
+    updatedAfter: dateParam(params.updatedAfter, 'updatedAfter'),
+    updatedBefore: dateParam(params.updatedBefore, 'updatedBefore'),
+    variables: parseVariables(params.variables),
+    text: text && text.trim() ? text.trim() : null,
+    sort,
+    limit,
+    cursor: cursor ? decodeCursor(cursor, sort) : null
+  };
+}
+
+/**
+ * Escape a value for a LIKE pattern (ESCAPE '\') and match it anywhere
+ */
+function likePattern(value) {
+  return `%${String(value).replace(/[\\%_]/g, match => `\\${match}`)}%`;
+}
+
+/**
+ * Value of a process variable by its path segments (undefined when missing)
+ */
+function variableValue(processData, segments) {
+  let value = processData;
+  for (const segment of segments) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Evaluate a variable predicate; comparisons only match values of the predicate's type
+ */
+function matchesVariable(processData, predicate) {
+  const actual = variableValue(processData || {}, predicate.segments);
+  const { operator, value } = predicate;
+
+  switch (operator) {
+    case 'exists':
+      return (actual !== undefined) === value;
+    case 'eq':
+      return actual === value;
+    case 'ne':
+      return actual !== value;
+    case 'contains':
+      return typeof actual === 'string' && actual.toLowerCase().includes(value.toLowerCase());
+    default: {
+      if (typeof actual !== typeof value) {
+        return false;
+      }
+      if (operator === 'gt') return actual > value;
+      if (operator === 'gte') return actual >= value;
+      if (operator === 'lt') return actual < value;
+      return actual <= value;
+    }
+  }
+}
+
+/**
+ * Whether a string value anywhere in the process data contains the search text (keys never match)
+ */
+function matchesText(value, text) {
+  if (typeof value === 'string') {
+    return value.toLowerCase().includes(text);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.values(value).some(item => matchesText(item, text));
+  }
+  return false;
+}
+
+/**
+ * Evaluate a parsed query's filters on instance data (JSON backend)
+ * currentNodeId matches the instance's current node or the position of an active token
+ */
+function matchesInstance(instance, query) {
+  if (query.workflowId && instance.workflowId !== query.workflowId) return false;
+  if (query.workflowVersion !== null && instance.workflowVersion !== query.workflowVersion) return false;
+  if (query.statuses.length > 0 && !query.statuses.includes(instance.status)) return false;
+  if (query.initiator && instance.initiator !== query.initiator) return false;
+
+  if (query.currentNodeId && instance.currentNodeId !== query.currentNodeId &&
+      !(instance.tokens || []).some(token => token.status === 'active' && token.position === query.currentNodeId)) {
+    return false;
+  }
+
+  if (query.createdAfter && !(instance.createdAt >= query.createdAfter)) return false;
+  if (query.createdBefore && !(instance.createdAt < query.createdBefore)) return false;
+  if (query.completedAfter && !(instance.completedAt && instance.completedAt >= query.completedAfter)) return false;
+  if (query.completedBefore && !(instance.completedAt && instance.completedAt < query.completedBefore)) return false;
+  if (query.updatedAfter && !(instance.updatedAt >= query.updatedAfter)) return false;
+  if (query.updatedBefore && !(instance.updatedAt < query.updatedBefore)) return false;
+
+  if (!query.variables.every(predicate => matchesVariable(instance.processData, predicate))) {
+    return false;
+  }
+
+  if (query.text && !matchesText(instance.processData, query.text.toLowerCase())) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Compare two instances in the query's sort order (ties broken by ID)
+ */
+function compareInstances(a, b, sort) {
+  const left = [a[sort.field] ?? '', a.id];
+  const right = [b[sort.field] ?? '', b.id];
+  const order = left[0] < right[0] ? -1 : left[0] > right[0] ? 1 : left[1] < right[1] ? -1 : left[1] > right[1] ? 1 : 0;
+  return sort.direction === 'desc' ? -order : order;
+}
+
+/**
+ * Whether an instance comes after the query's cursor
+ */
+function isAfterCursor(instance, query) {
+  return compareInstances(instance, { [query.sort.field]: query.cursor.value, id: query.cursor.id }, query.sort) > 0;
+}
+
+/**
+ * Summary of an instance as returned by queries (no history, tokens or engine state)
+ */
+function summarizeInstance(instance) {
+  const summary = {};
+  SUMMARY_FIELDS.forEach(field => {
+    summary[field] = instance[field] ?? null;
+  });
+  return summary;
+}
+
+/**
+ * Build a result page from up to limit + 1 matching instances in sort order
+ */
+function toPage(query, instances) {
+  const page = instances.slice(0, query.limit);
+  const hasMore = instances.length > query.limit;
+
+  return {
+    instances: page.map(summarizeInstance),
+    nextCursor: hasMore ? encodeCursor(query, page[page.length - 1]) : null
+  };
+}
+
+module.exports = {
+  SORT_COLUMNS,
+  MAX_LIMIT,
+  parseInstanceQuery,
+  decodeCursor,
+  likePattern,
+  matchesInstance,
+  compareInstances,
+  isAfterCursor,
+  toPage
+};
@@ -8,7 +8,8 @@ class WorkflowInstance {
     this.id = data.id || `instance_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     this.workflowId = data.workflowId;
     this.workflowName = data.workflowName;
-    this.status = data.status || 'PENDING'; // PENDING, RUNNING, COMPLETED, FAILED, PAUSED
+    this.workflowVersion = data.workflowVersion ?? null; // Version the instance runs on (null: the saved workflow)
+    this.status = data.status || 'PENDING'; // PENDING, RUNNING, COMPLETED, FAILED, PAUSED, SUSPENDED, CANCELLED
     this.currentNodeId = data.currentNodeId || null;
     this.processData = data.processData || {};
     this.executionHistory = data.executionHistory || [];
@@ -17,6 +18,14 @@ class WorkflowInstance {
     this.completedAt = data.completedAt || null;
     this.error = data.error || null;
     this.initiator = data.initiator || 'system';
+    this.tokens = data.tokens || []; // Persisted token state, restored when resuming after a restart
+    this.gatewayStates = data.gatewayStates || {};
+    this.parent = data.parent || null; // { instanceId, tokenId, nodeId, depth } when started by a call activity
+    this.children = data.children || []; // Child instances started by call activities
+    this.suspendedJobs = data.suspendedJobs || []; // Token steps held while SUSPENDED, queued again on resume
+    this.notifications = data.notifications || []; // Delivery records of sendTask/notification nodes
+    this.compensations = data.compensations || []; // Completed activities with a compensation handler
+    this.compensation = data.compensation || null; // Compensation run in progress
   }
 
   /**
@@ -53,6 +62,17 @@ class WorkflowInstance {
   fail(error) {
     this.status = 'FAILED';
     this.error = error;
+    this.suspendedJobs = [];
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Mark as cancelled
+   */
+  cancel() {
+    this.status = 'CANCELLED';
+    this.suspendedJobs = [];
+    this.completedAt = new Date().toISOString();
     this.updatedAt = new Date().toISOString();
   }
 
@@ -64,6 +84,7 @@ class WorkflowInstance {
       id: this.id,
       workflowId: this.workflowId,
       workflowName: this.workflowName,
+      workflowVersion: this.workflowVersion,
       status: this.status,
       currentNodeId: this.currentNodeId,
       processData: this.processData,
@@ -72,7 +93,15 @@ class WorkflowInstance {
       updatedAt: this.updatedAt,
       completedAt: this.completedAt,
       error: this.error,
-      initiator: this.initiator
+      initiator: this.initiator,
+      tokens: this.tokens,
+      gatewayStates: this.gatewayStates,
+      parent: this.parent,
+      children: this.children,
+      suspendedJobs: this.suspendedJobs,
+      notifications: this.notifications,
+      compensations: this.compensations,
+      compensation: this.compensation
     };
   }
 }
@@ -0,0 +1,131 @@
+/**
+ * Credential API Routes
+ * Endpoints for managing vault credentials - secret values are write-only and never returned
+ */
+
+const express = require('express');
+const router = express.Router();
+const credentialVault = require('../runtime/CredentialVault');
+
+// Error codes from the credential vault and their HTTP statuses
+const CREDENTIAL_ERROR_STATUS = {
+  INVALID_CREDENTIAL: 400,
+  CREDENTIAL_NOT_FOUND: 404,
+  CREDENTIAL_CONFLICT: 409,
+  VAULT_LOCKED: 503
+};
+
+/**
+ * Send a credential error with the status its code maps to (500 otherwise)
+ */
+function sendCredentialError(res, error, label) {
+  const status = CREDENTIAL_ERROR_STATUS[error.code] || 500;
+
+  if (status === 500) {
+    console.error(`[Credential API] ${label} error:`, error.message);
+  }
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+}
+
+/**
+ * GET /api/credentials
+ * Get all credentials (names and metadata, no values)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const credentials = await credentialVault.listCredentials();
+
+    res.status(200).json({
+      success: true,
+      credentials,
+      count: credentials.length
+    });
+
+  } catch (error) {
+    sendCredentialError(res, error, 'Get credentials');
+  }
+});
+
+/**
+ * GET /api/credentials/:name
+ * Get a credential's metadata
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const credential = await credentialVault.getCredential(req.params.name);
+
+    res.status(200).json({
+      success: true,
+      credential
+    });
+
+  } catch (error) {
+    sendCredentialError(res, error, 'Get credential');
+  }
+});
+
+/**
+ * POST /api/credentials
+ * Create a credential
+ * Body: { name, value, description, type }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const credential = await credentialVault.saveCredential(req.body, { create: true });
+
+    res.status(201).json({
+      success: true,
+      credential
+    });
+
+  } catch (error) {
+    sendCredentialError(res, error, 'Create credential');
+  }
+});
+
+/**
+ * PUT /api/credentials/:name
+ * Update a credential - omit value to keep the stored secret
+ * Body: { value, description, type }
+ */
+router.put('/:name', async (req, res) => {
+  try {
+    const credential = await credentialVault.saveCredential({
+      ...req.body,
+      name: req.params.name
+    });
+
+    res.status(200).json({
+      success: true,
+      credential
+    });
+
+  } catch (error) {
+    sendCredentialError(res, error, 'Update credential');
+  }
+});
+
+/**
+ * DELETE /api/credentials/:name
+ * Delete a credential
+ */
+router.delete('/:name', async (req, res) => {
+  try {
+    await credentialVault.deleteCredential(req.params.name);
+
+    res.status(200).json({
+      success: true,
+      message: 'Credential deleted successfully'
+    });
+
+  } catch (error) {
+    sendCredentialError(res, error, 'Delete credential');
+  }
+});
+
+module.exports = router;
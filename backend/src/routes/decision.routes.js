@@ -0,0 +1,210 @@
+/**
+ * Decision API Routes
+ * Endpoints for managing, testing and importing/exporting DMN decision tables
+ */
+
+const express = require('express');
+const router = express.Router();
+const decisionDatabase = require('../database/DecisionDatabase');
+const decisionEngine = require('../runtime/DecisionEngine');
+const { convertToDMN, parseDMN } = require('../utils/dmn-converter');
+
+// Error codes from the decision engine and their HTTP statuses
+const DECISION_ERROR_STATUS = {
+  INVALID_DECISION: 400,
+  EXPRESSION_SYNTAX: 400,
+  DECISION_NOT_FOUND: 404,
+  DECISION_HIT_POLICY_VIOLATION: 422,
+  EXPRESSION_EVALUATION: 422
+};
+
+// DMN documents may be posted as raw XML instead of { xml } JSON
+const xmlBody = express.text({ type: ['application/xml', 'text/xml'], limit: '10mb' });
+
+/**
+ * Send a decision error with the status its code maps to (500 otherwise)
+ */
+function sendDecisionError(res, error, label) {
+  const status = DECISION_ERROR_STATUS[error.code] || 500;
+
+  if (status === 500) {
+    console.error(`[Decision API] ${label} error:`, error);
+  }
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+}
+
+/**
+ * GET /api/decisions
+ * Get all decision tables
+ */
+router.get('/', async (req, res) => {
+  try {
+    const decisions = await decisionDatabase.loadDecisions();
+
+    res.status(200).json({
+      success: true,
+      decisions,
+      count: decisions.length
+    });
+
+  } catch (error) {
+    sendDecisionError(res, error, 'Get decisions');
+  }
+});
+
+/**
+ * POST /api/decisions/import
+ * Import the decision tables of a DMN XML document
+ */
+router.post('/import', xmlBody, async (req, res) => {
+  try {
+    const xml = typeof req.body === 'string' ? req.body : req.body?.xml;
+    const decisions = parseDMN(xml);
+
+    // Validate everything before saving anything
+    decisions.forEach(decision => decisionEngine.validate(decision));
+
+    const saved = [];
+    for (const decision of decisions) {
+      saved.push(await decisionDatabase.saveDecision(decision));
+    }
+
+    res.status(201).json({
+      success: true,
+      decisions: saved,
+      count: saved.length
+    });
+
+  } catch (error) {
+    sendDecisionError(res, error, 'Import DMN');
+  }
+});
+
+/**
+ * GET /api/decisions/:id
+ * Get decision table by ID
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const decision = await decisionEngine.getDecision(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      decision
+    });
+
+  } catch (error) {
+    sendDecisionError(res, error, 'Get decision');
+  }
+});
+
+/**
+ * GET /api/decisions/:id/export
+ * Export a decision table as DMN XML
+ */
+router.get('/:id/export', async (req, res) => {
+  try {
+    const decision = await decisionEngine.getDecision(req.params.id);
+
+    res.set('Content-Disposition', `attachment; filename="${decision.id}.dmn"`);
+    res.type('application/xml').send(convertToDMN(decision));
+
+  } catch (error) {
+    sendDecisionError(res, error, 'Export DMN');
+  }
+});
+
+/**
+ * POST /api/decisions
+ * Create or replace a decision table
+ */
+router.post('/', async (req, res) => {
+  try {
+    const decision = decisionEngine.validate(req.body);
+    const saved = await decisionDatabase.saveDecision(decision);
+
+    res.status(201).json({
+      success: true,
+      decision: saved
+    });
+
+  } catch (error) {
+    sendDecisionError(res, error, 'Save decision');
+  }
+});
+
+/**
+ * PUT /api/decisions/:id
+ * Update a decision table
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    await decisionEngine.getDecision(req.params.id);
+
+    const decision = decisionEngine.validate({ ...req.body, id: req.params.id });
+    const saved = await decisionDatabase.saveDecision(decision);
+
+    res.status(200).json({
+      success: true,
+      decision: saved
+    });
+
+  } catch (error) {
+    sendDecisionError(res, error, 'Update decision');
+  }
+});
+
+/**
+ * POST /api/decisions/:id/evaluate
+ * Evaluate a decision table against sample data
+ * Body: { processData, variables }
+ */
+router.post('/:id/evaluate', async (req, res) => {
+  try {
+    const { processData = {}, variables = {} } = req.body || {};
+    const decision = await decisionEngine.getDecision(req.params.id);
+    const evaluation = decisionEngine.evaluate(decision, { processData, variables });
+
+    res.status(200).json({
+      success: true,
+      ...evaluation,
+      variables: decisionEngine.toVariables(decision, evaluation)
+    });
+
+  } catch (error) {
+    sendDecisionError(res, error, 'Evaluate decision');
+  }
+});
+
+/**
+ * DELETE /api/decisions/:id
+ * Delete a decision table
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await decisionDatabase.deleteDecision(req.params.id);
+
+    if (!result.deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Decision not found',
+        code: 'DECISION_NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Decision deleted successfully'
+    });
+
+  } catch (error) {
+    sendDecisionError(res, error, 'Delete decision');
+  }
+});
+
+module.exports = router;
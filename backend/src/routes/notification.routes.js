@@ -0,0 +1,223 @@
+/**
+ * Notification API Routes
+ * Endpoints for notification channels, message templates and the in-app inbox
+ */
+
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const notificationService = require('../runtime/NotificationService');
+const notificationDatabase = require('../database/NotificationDatabase');
+const { codedError } = require('../runtime/errors');
+
+// Error codes from the notification service and their HTTP statuses
+const NOTIFICATION_ERROR_STATUS = {
+  INVALID_NOTIFICATION: 400,
+  INVALID_NOTIFICATION_TEMPLATE: 400,
+  NOTIFICATION_CHANNEL_NOT_FOUND: 404,
+  NOTIFICATION_TEMPLATE_NOT_FOUND: 404,
+  NOTIFICATION_NOT_FOUND: 404,
+  NOTIFICATION_TEMPLATE_CONFLICT: 409
+};
+
+/**
+ * Send a notification error with the status its code maps to (500 otherwise)
+ */
+function sendNotificationError(res, error, label) {
+  const status = NOTIFICATION_ERROR_STATUS[error.code] || 500;
+
+  if (status === 500) {
+    console.error(`[Notification API] ${label} error:`, error);
+  }
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+}
+
+/**
+ * GET /api/notifications/channels
+ * Get the notification channels and the outbound transport in use
+ */
+router.get('/channels', (req, res) => {
+  res.status(200).json({
+    success: true,
+    channels: notificationService.listChannels(),
+    transport: notificationService.getTransport()
+  });
+});
+
+/**
+ * POST /api/notifications/send
+ * Send a notification directly (e.g. to test a channel)
+ * Body: { channel, recipients, subject, body, format, url, headers }
+ */
+router.post('/send', async (req, res) => {
+  try {
+    const { channel, recipients, subject, body, format, url, headers } = req.body || {};
+    notificationService.getChannel(channel);
+
+    const delivery = await notificationService.send({ channel, recipients, subject, body, format, url, headers });
+
+    res.status(200).json({
+      success: delivery.status === 'SENT',
+      delivery
+    });
+
+  } catch (error) {
+    sendNotificationError(res, error, 'Send notification');
+  }
+});
+
+/**
+ * GET /api/notifications/templates
+ * Get all message templates
+ */
+router.get('/templates', async (req, res) => {
+  try {
+    const templates = await notificationDatabase.loadTemplates();
+
+    res.status(200).json({
+      success: true,
+      templates,
+      count: templates.length
+    });
+
+  } catch (error) {
+    sendNotificationError(res, error, 'Get templates');
+  }
+});
+
+/**
+ * GET /api/notifications/templates/:id
+ * Get a message template
+ */
+router.get('/templates/:id', async (req, res) => {
+  try {
+    const template = await notificationService.getTemplate(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    sendNotificationError(res, error, 'Get template');
+  }
+});
+
+/**
+ * POST /api/notifications/templates
+ * Create a message template
+ * Body: { id, name, channel, recipient, subject, body, format } - ${...} placeholders are filled from process data
+ */
+router.post('/templates', async (req, res) => {
+  try {
+    const template = { ...req.body, id: req.body?.id || `template_${uuidv4()}` };
+    notificationService.validateTemplate(template);
+
+    if (await notificationDatabase.getTemplate(template.id)) {
+      throw codedError(`Notification template ${template.id} already exists`, 'NOTIFICATION_TEMPLATE_CONFLICT');
+    }
+
+    const saved = await notificationDatabase.saveTemplate(template);
+
+    res.status(201).json({
+      success: true,
+      template: saved
+    });
+
+  } catch (error) {
+    sendNotificationError(res, error, 'Create template');
+  }
+});
+
+/**
+ * PUT /api/notifications/templates/:id
+ * Update a message template
+ */
+router.put('/templates/:id', async (req, res) => {
+  try {
+    const existing = await notificationService.getTemplate(req.params.id);
+    const template = { ...existing, ...req.body, id: existing.id };
+    notificationService.validateTemplate(template);
+
+    const saved = await notificationDatabase.saveTemplate(template);
+
+    res.status(200).json({
+      success: true,
+      template: saved
+    });
+
+  } catch (error) {
+    sendNotificationError(res, error, 'Update template');
+  }
+});
+
+/**
+ * DELETE /api/notifications/templates/:id
+ * Delete a message template
+ */
+router.delete('/templates/:id', async (req, res) => {
+  try {
+    await notificationService.getTemplate(req.params.id);
+    await notificationDatabase.deleteTemplate(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+
+  } catch (error) {
+    sendNotificationError(res, error, 'Delete template');
+  }
+});
+
+/**
+ * GET /api/notifications/inbox
+ * Get in-app messages, newest first (filter by recipient, ?unread=true)
+ */
+router.get('/inbox', async (req, res) => {
+  try {
+    const messages = await notificationDatabase.loadInbox({
+      recipient: req.query.recipient,
+      unread: req.query.unread === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      messages,
+      count: messages.length,
+      unread: messages.filter(message => !message.read).length
+    });
+
+  } catch (error) {
+    sendNotificationError(res, error, 'Get inbox');
+  }
+});
+
+/**
+ * POST /api/notifications/inbox/:id/read
+ * Mark an in-app message as read
+ */
+router.post('/inbox/:id/read', async (req, res) => {
+  try {
+    const message = await notificationDatabase.markRead(req.params.id);
+
+    if (!message) {
+      throw codedError(`Notification ${req.params.id} not found`, 'NOTIFICATION_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      message
+    });
+
+  } catch (error) {
+    sendNotificationError(res, error, 'Mark notification read');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,314 @@
+/**
+ * Rule API Routes
+ * Endpoints for authoring, testing and versioning business rules
+ */
+
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const ruleDatabase = require('../database/RuleDatabase');
+const ruleEngine = require('../runtime/RuleEngine');
+const { codedError } = require('../runtime/errors');
+
+// Error codes from the rule engine and their HTTP statuses
+const RULE_ERROR_STATUS = {
+  INVALID_RULE: 400,
+  EXPRESSION_SYNTAX: 400,
+  RULE_NOT_FOUND: 404,
+  RULE_CONFLICT: 409,
+  RULE_IN_USE: 409,
+  EXPRESSION_EVALUATION: 422
+};
+
+/**
+ * Send a rule error with the status its code maps to (500 otherwise)
+ */
+function sendRuleError(res, error, label) {
+  const status = RULE_ERROR_STATUS[error.code] || 500;
+
+  if (status === 500) {
+    console.error(`[Rule API] ${label} error:`, error);
+  }
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    ...(error.references && { references: error.references })
+  });
+}
+
+/**
+ * Get a stored rule (throws RULE_NOT_FOUND)
+ */
+async function requireRule(ruleId) {
+  const rule = await ruleDatabase.getRule(ruleId);
+
+  if (!rule) {
+    throw codedError(`Rule ${ruleId} not found`, 'RULE_NOT_FOUND');
+  }
+
+  return rule;
+}
+
+/**
+ * Validate and save a rule from a request body
+ * k1.rules rows belong to an application, so PostgreSQL storage needs applicationId
+ */
+async function saveRuleFromBody(rule, body) {
+  ruleEngine.validate(rule);
+
+  if (!rule.applicationId && await ruleDatabase.isPostgres()) {
+    throw codedError('Invalid rule: applicationId is required', 'INVALID_RULE');
+  }
+
+  return await ruleDatabase.saveRule(rule, {
+    author: body.author,
+    changeDescription: body.changeDescription,
+    applicationVersion: body.applicationVersion
+  });
+}
+
+/**
+ * Drop the version history from a rule for list responses
+ */
+function summarize({ versions, ...rule }) {
+  return rule;
+}
+
+/**
+ * GET /api/rules
+ * Get all rules (filter by applicationId or type)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { applicationId, type } = req.query;
+    const rules = (await ruleDatabase.loadRules({ applicationId, type })).map(summarize);
+
+    res.status(200).json({
+      success: true,
+      rules,
+      count: rules.length
+    });
+
+  } catch (error) {
+    sendRuleError(res, error, 'Get rules');
+  }
+});
+
+/**
+ * GET /api/rules/operators
+ * Get the condition operators available in the rule builder
+ */
+router.get('/operators', (req, res) => {
+  res.status(200).json({
+    success: true,
+    operators: ruleEngine.getOperators()
+  });
+});
+
+/**
+ * POST /api/rules/test
+ * Test an unsaved rule against sample data
+ * Body: { rule, data }
+ */
+router.post('/test', (req, res) => {
+  try {
+    const { rule, data = {} } = req.body || {};
+    ruleEngine.validate(rule);
+
+    res.status(200).json({
+      success: true,
+      ...ruleEngine.testRule(rule, data)
+    });
+
+  } catch (error) {
+    sendRuleError(res, error, 'Test rule');
+  }
+});
+
+/**
+ * GET /api/rules/:id
+ * Get rule by ID (with its version history)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await requireRule(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      rule
+    });
+
+  } catch (error) {
+    sendRuleError(res, error, 'Get rule');
+  }
+});
+
+/**
+ * POST /api/rules
+ * Create a rule
+ * Body: rule fields, plus author, changeDescription and applicationVersion for its first version
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { author, changeDescription, applicationVersion, ...rule } = req.body || {};
+    rule.id = rule.id || `rule_${uuidv4()}`;
+
+    if (await ruleDatabase.getRule(rule.id)) {
+      throw codedError(`Rule ${rule.id} already exists`, 'RULE_CONFLICT');
+    }
+
+    const saved = await saveRuleFromBody(rule, req.body);
+
+    res.status(201).json({
+      success: true,
+      rule: saved
+    });
+
+  } catch (error) {
+    sendRuleError(res, error, 'Create rule');
+  }
+});
+
+/**
+ * PUT /api/rules/:id
+ * Update a rule, saving it as a new version
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await requireRule(req.params.id);
+    const { author, changeDescription, applicationVersion, versions, ...changes } = req.body || {};
+
+    const saved = await saveRuleFromBody({
+      ...summarize(existing),
+      ...changes,
+      id: existing.id
+    }, req.body);
+
+    res.status(200).json({
+      success: true,
+      rule: saved
+    });
+
+  } catch (error) {
+    sendRuleError(res, error, 'Update rule');
+  }
+});
+
+/**
+ * DELETE /api/rules/:id
+ * Delete a rule - refused while workflows reference it unless ?force=true
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await requireRule(req.params.id);
+
+    const references = await ruleEngine.findWorkflowReferences(req.params.id);
+    if (references.length > 0 && req.query.force !== 'true') {
+      const error = codedError(`Rule ${req.params.id} is used by ${references.length} workflow node(s)`, 'RULE_IN_USE');
+      error.references = references;
+      throw error;
+    }
+
+    await ruleDatabase.deleteRule(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Rule deleted successfully'
+    });
+
+  } catch (error) {
+    sendRuleError(res, error, 'Delete rule');
+  }
+});
+
+/**
+ * POST /api/rules/:id/test
+ * Test a stored rule against sample data
+ * Body: { data }
+ */
+router.post('/:id/test', async (req, res) => {
+  try {
+    const rule = await requireRule(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      ...ruleEngine.testRule(rule, req.body?.data || {})
+    });
+
+  } catch (error) {
+    sendRuleError(res, error, 'Test rule');
+  }
+});
+
+/**
+ * GET /api/rules/:id/references
+ * Get the workflow nodes that use a rule
+ */
+router.get('/:id/references', async (req, res) => {
+  try {
+    await requireRule(req.params.id);
+    const references = await ruleEngine.findWorkflowReferences(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      references,
+      count: references.length
+    });
+
+  } catch (error) {
+    sendRuleError(res, error, 'Get rule references');
+  }
+});
+
+/**
+ * GET /api/rules/:id/versions
+ * Get the saved versions of a rule, newest first
+ */
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const rule = await requireRule(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      currentVersion: rule.version,
+      versions: rule.versions,
+      count: rule.versions.length
+    });
+
+  } catch (error) {
+    sendRuleError(res, error, 'Get rule versions');
+  }
+});
+
+/**
+ * POST /api/rules/:id/versions/:version/restore
+ * Restore an earlier version of a rule (saved as a new version)
+ */
+router.post('/:id/versions/:version/restore', async (req, res) => {
+  try {
+    const rule = await requireRule(req.params.id);
+    const version = rule.versions.find(v => v.version === parseInt(req.params.version));
+
+    if (!version) {
+      throw codedError(`Rule ${rule.id} has no version ${req.params.version}`, 'RULE_NOT_FOUND');
+    }
+
+    const { version: number, applicationVersion, author, changeDescription, savedAt, ...definition } = version;
+    const saved = await saveRuleFromBody({ ...summarize(rule), ...definition }, {
+      author: req.body?.author,
+      changeDescription: req.body?.changeDescription || `Restored version ${number}`
+    });
+
+    res.status(200).json({
+      success: true,
+      rule: saved
+    });
+
+  } catch (error) {
+    sendRuleError(res, error, 'Restore rule version');
+  }
+});
+
+module.exports = router;
@@ -7,15 +7,84 @@ const express = require('express');
 const router = express.Router();
 const runtimeEngine = require('../runtime/WorkflowRuntimeEngine');
 const workflowDatabase = require('../database/WorkflowDatabase');
+const workflowRepository = require('../database/WorkflowRepository');
 const eventManager = require('../runtime/EventManager');
+const jobQueue = require('../runtime/JobQueue');
+const taskService = require('../runtime/TaskService');
+const connectorRegistry = require('../runtime/ConnectorRegistry');
+const retentionManager = require('../runtime/RetentionManager');
+const { toCsv } = require('../utils/csv');
+
+// Task, message and instance API error codes -> HTTP status
+const API_ERROR_STATUS = {
+  USER_REQUIRED: 400,
+  INVALID_TASK_UPDATE: 400,
+  INVALID_MESSAGE: 400,
+  INVALID_COMPENSATION: 400,
+  INVALID_MIGRATION: 400,
+  INVALID_MODIFICATION: 400,
+  INVALID_QUERY: 400,
+  TASK_FORBIDDEN: 403,
+  TASK_NOT_FOUND: 404,
+  MESSAGE_NOT_CORRELATED: 404,
+  INSTANCE_NOT_FOUND: 404,
+  VERSION_NOT_FOUND: 404,
+  WORKFLOW_NOT_FOUND: 404,
+  TASK_CONFLICT: 409,
+  MESSAGE_AMBIGUOUS: 409,
+  INSTANCE_CONFLICT: 409,
+  VERSION_INTEGRITY_FAILED: 409,
+  RETENTION_IN_PROGRESS: 409,
+  WORKFLOW_PRECONDITION_FAILED: 412,
+  VALIDATION_FAILED: 422
+};
+
+// Columns of instance history CSV exports
+const HISTORY_EXPORT_COLUMNS = [
+  'id', 'workflowId', 'workflowName', 'workflowVersion', 'status', 'initiator', 'currentNodeId',
+  'createdAt', 'updatedAt', 'completedAt', 'error', 'processData'
+];
+
+/**
+ * Resolve the calling user: the user an authentication middleware put on the
+ * request, or else the x-user-id header. Groups never come from the request;
+ * TaskService resolves them from its configured directory
+ */
+function getRequestUser(req) {
+  const id = req.user?.id || req.get('x-user-id');
+  return taskService.resolveUser(id);
+}
+
+/**
+ * Send a task, message or instance API error with the status matching its code
+ */
+function sendApiError(res, error, label) {
+  const status = API_ERROR_STATUS[error.code] || 500;
+
+  if (status === 500) {
+    console.error(`[Runtime API] ${label} error:`, error);
+  }
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    ...(error.fieldErrors && { fieldErrors: error.fieldErrors })
+  });
+}
 
 /**
  * POST /api/runtime/start
  * Start a new workflow instance
+ * Body: { workflowDef } or { workflowId } of a saved workflow, inputData, initiator
+ * A posted workflowDef of a saved workflow runs the saved definition; changed content needs
+ * workflowDef.revision to name the saved revision (412 otherwise) and is saved as the next one
+ * Response: instance, workflowRevision (saved revision of the definition)
  */
 router.post('/start', async (req, res) => {
   try {
-    const { workflowDef, inputData, initiator } = req.body;
+    const { workflowId, inputData, initiator } = req.body;
+    const workflowDef = req.body.workflowDef || (workflowId && await workflowRepository.require(workflowId));
 
     if (!workflowDef || !workflowDef.nodes) {
       return res.status(400).json({
@@ -25,43 +94,16 @@ router.post('/start', async (req, res) => {
     }
 
     const instance = await runtimeEngine.startWorkflow(workflowDef, inputData || {}, initiator || 'system');
+    const workflow = instance.workflowId && await workflowDatabase.getWorkflow(instance.workflowId);
 
     res.status(200).json({
       success: true,
-      instance
-    });
-
-  } catch (error) {
-    console.error('[Runtime API] Start workflow error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-/**
- * POST /api/runtime/complete-task/:instanceId
- * Complete a human task and continue workflow
- */
-router.post('/complete-task/:instanceId', async (req, res) => {
-  try {
-    const { instanceId } = req.params;
-    const taskData = req.body;
-
-    const instance = await runtimeEngine.completeTask(instanceId, taskData);
-
-    res.status(200).json({
-      success: true,
-      instance
+      instance,
+      workflowRevision: workflow?.revision || null
     });
 
   } catch (error) {
-    console.error('[Runtime API] Complete task error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    sendApiError(res, error, 'Start workflow');
   }
 });
 
@@ -120,13 +162,183 @@ router.post('/recover/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/runtime/instance/:id/cancel
+ * Cancel a running, paused or suspended instance
+ * Body: { reason }
+ */
+router.post('/instance/:id/cancel', async (req, res) => {
+  try {
+    const instance = await runtimeEngine.cancelInstance(req.params.id, req.body.reason || undefined, getRequestUser(req));
+
+    res.status(200).json({
+      success: true,
+      instance
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Cancel instance');
+  }
+});
+
+/**
+ * POST /api/runtime/instance/:id/suspend
+ * Suspend a running or paused instance until it is resumed
+ * Body: { reason }
+ */
+router.post('/instance/:id/suspend', async (req, res) => {
+  try {
+    const instance = await runtimeEngine.suspendInstance(req.params.id, req.body.reason || undefined, getRequestUser(req));
+
+    res.status(200).json({
+      success: true,
+      instance
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Suspend instance');
+  }
+});
+
+/**
+ * POST /api/runtime/instance/:id/resume
+ * Resume a suspended instance
+ * Body: { reason }
+ */
+router.post('/instance/:id/resume', async (req, res) => {
+  try {
+    const instance = await runtimeEngine.resumeInstance(req.params.id, req.body.reason || undefined, getRequestUser(req));
+
+    res.status(200).json({
+      success: true,
+      instance
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Resume instance');
+  }
+});
+
+/**
+ * POST /api/runtime/instance/:id/compensate
+ * Run the compensation handlers of completed activities in reverse order
+ * (a failed instance ends as CANCELLED once it is compensated)
+ * Body: { activityId, reason } - without activityId all completed activities are compensated
+ */
+router.post('/instance/:id/compensate', async (req, res) => {
+  try {
+    const instance = await runtimeEngine.compensateInstance(req.params.id, {
+      activityId: req.body.activityId || null,
+      reason: req.body.reason || undefined
+    }, getRequestUser(req));
+
+    res.status(200).json({
+      success: true,
+      instance
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Compensate instance');
+  }
+});
+
+/**
+ * POST /api/runtime/instance/:id/modify
+ * Cancel, move or start tokens, re-run a node or set variables by hand
+ * Body: { operations: [{ type: 'cancel' | 'move' | 'start' | 'rerun' | 'setVariables',
+ *   tokenId, nodeId, toNodeId, variables }], reason }
+ */
+router.post('/instance/:id/modify', async (req, res) => {
+  try {
+    const { instance, operations } = await runtimeEngine.modifyInstance(req.params.id, {
+      operations: req.body.operations,
+      reason: req.body.reason || undefined
+    }, getRequestUser(req));
+
+    res.status(200).json({
+      success: true,
+      instance,
+      operations
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Modify instance');
+  }
+});
+
+/**
+ * POST /api/runtime/migrations/preview
+ * Preview moving the instances of a workflow version to another version
+ * Body: { workflowId, sourceVersion, targetVersion, nodeMapping, instanceIds }
+ */
+router.post('/migrations/preview', async (req, res) => {
+  try {
+    const { workflowId, sourceVersion, targetVersion, nodeMapping, instanceIds } = req.body || {};
+    const preview = await runtimeEngine.previewMigration({ workflowId, sourceVersion, targetVersion, nodeMapping, instanceIds });
+
+    res.status(200).json({
+      success: true,
+      ...preview
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Preview migration');
+  }
+});
+
+/**
+ * POST /api/runtime/migrations
+ * Move the instances of a workflow version to another version
+ * Body: { workflowId, sourceVersion, targetVersion, nodeMapping, instanceIds, variables }
+ * - nodeMapping: { sourceNodeId: targetNodeId } for nodes renamed in the target
+ */
+router.post('/migrations', async (req, res) => {
+  try {
+    const { workflowId, sourceVersion, targetVersion, nodeMapping, instanceIds, variables } = req.body || {};
+    const migration = await runtimeEngine.migrateInstances(
+      { workflowId, sourceVersion, targetVersion, nodeMapping, instanceIds, variables },
+      getRequestUser(req)
+    );
+
+    res.status(200).json({
+      success: migration.summary.failed === 0,
+      ...migration
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Migrate instances');
+  }
+});
+
 /**
  * GET /api/runtime/tasks
- * Get all pending tasks
+ * Get pending user tasks
+ * Query: status, assignee, candidateUser, candidateGroups, instanceId, overdue,
+ * mine=true (assigned to the caller), claimable=true (caller may claim)
  */
 router.get('/tasks', async (req, res) => {
   try {
-    const tasks = await runtimeEngine.getPendingTasks();
+    const { status, assignee, candidateUser, candidateGroups, instanceId, overdue, mine, claimable } = req.query;
+    const filters = { status, assignee, candidateUser, candidateGroups, instanceId, overdue: overdue === 'true' };
+
+    if (mine === 'true' || claimable === 'true') {
+      const user = getRequestUser(req);
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          error: 'User identity is required (x-user-id header)'
+        });
+      }
+
+      if (mine === 'true') {
+        filters.assignee = user.id;
+      } else {
+        filters.candidateUser = user.id;
+        filters.candidateGroups = user.groups;
+      }
+    }
+
+    const tasks = await runtimeEngine.getPendingTasks(filters);
 
     res.status(200).json({
       success: true,
@@ -143,6 +355,233 @@ router.get('/tasks', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/runtime/tasks/:taskId
+ * Get a user task
+ */
+router.get('/tasks/:taskId', async (req, res) => {
+  try {
+    const task = await taskService.getTask(req.params.taskId);
+
+    res.status(200).json({
+      success: true,
+      task
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Get task');
+  }
+});
+
+/**
+ * POST /api/runtime/tasks/:taskId/claim
+ * Claim an open task for the calling user
+ */
+router.post('/tasks/:taskId/claim', async (req, res) => {
+  try {
+    const task = await taskService.claim(req.params.taskId, getRequestUser(req));
+
+    res.status(200).json({
+      success: true,
+      task
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Claim task');
+  }
+});
+
+/**
+ * POST /api/runtime/tasks/:taskId/unclaim
+ * Release a task claimed by the calling user
+ */
+router.post('/tasks/:taskId/unclaim', async (req, res) => {
+  try {
+    const task = await taskService.unclaim(req.params.taskId, getRequestUser(req));
+
+    res.status(200).json({
+      success: true,
+      task
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Unclaim task');
+  }
+});
+
+/**
+ * POST /api/runtime/tasks/:taskId/delegate
+ * Delegate a claimed task to another user
+ * Body: { to }
+ */
+router.post('/tasks/:taskId/delegate', async (req, res) => {
+  try {
+    const task = await taskService.delegate(req.params.taskId, getRequestUser(req), req.body.to);
+
+    res.status(200).json({
+      success: true,
+      task
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Delegate task');
+  }
+});
+
+/**
+ * POST /api/runtime/tasks/:taskId/assign
+ * Assign or reassign a task (null assignee returns it to the pool)
+ * Body: { assignee }
+ */
+router.post('/tasks/:taskId/assign', async (req, res) => {
+  try {
+    const task = await taskService.assign(req.params.taskId, getRequestUser(req), req.body.assignee);
+
+    res.status(200).json({
+      success: true,
+      task
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Assign task');
+  }
+});
+
+/**
+ * PATCH /api/runtime/tasks/:taskId
+ * Update task priority or due date
+ * Body: { priority, dueDate } - dueDate is an ISO date or duration (P2D)
+ */
+router.patch('/tasks/:taskId', async (req, res) => {
+  try {
+    const { priority, dueDate } = req.body;
+    const task = await taskService.update(req.params.taskId, getRequestUser(req), { priority, dueDate });
+
+    res.status(200).json({
+      success: true,
+      task
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Update task');
+  }
+});
+
+/**
+ * POST /api/runtime/tasks/:taskId/complete
+ * Complete a task claimed by the calling user and continue the workflow
+ * Body: { data }
+ */
+router.post('/tasks/:taskId/complete', async (req, res) => {
+  try {
+    const task = await runtimeEngine.completeUserTask(
+      req.params.taskId,
+      req.body.data || {},
+      getRequestUser(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      task
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Complete task');
+  }
+});
+
+/**
+ * POST /api/runtime/tasks/:taskId/error
+ * Raise a business error from a claimed task, caught by an error boundary event
+ * Body: { errorCode, message }
+ */
+router.post('/tasks/:taskId/error', async (req, res) => {
+  try {
+    const task = await runtimeEngine.throwTaskError(
+      req.params.taskId,
+      { errorCode: req.body.errorCode, message: req.body.message },
+      getRequestUser(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      task
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Raise task error');
+  }
+});
+
+/**
+ * POST /api/runtime/messages
+ * Correlate a message to the instances waiting for it, or start instances
+ * whose start event is triggered by it
+ * Body: { messageName, correlationKeys: { key: value }, variables, all }
+ */
+router.post('/messages', async (req, res) => {
+  try {
+    const { messageName, correlationKeys, variables, all } = req.body;
+
+    const result = await runtimeEngine.correlateMessage(messageName, {
+      correlationKeys: correlationKeys || {},
+      variables: variables || {},
+      all: all === true
+    });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Correlate message');
+  }
+});
+
+/**
+ * POST /api/runtime/signals
+ * Broadcast a signal to every instance waiting for it
+ * Body: { signalName, variables }
+ */
+router.post('/signals', async (req, res) => {
+  try {
+    const { signalName, variables } = req.body;
+
+    const result = await runtimeEngine.broadcastSignal(signalName, variables || {});
+
+    res.status(200).json({
+      success: true,
+      ...result,
+      count: result.delivered.length
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Broadcast signal');
+  }
+});
+
+/**
+ * GET /api/runtime/subscriptions
+ * Get waiting message and signal subscriptions (optionally filter by instanceId, type, name)
+ */
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const { instanceId, type, name } = req.query;
+
+    const subscriptions = await runtimeEngine.messageCorrelator.listSubscriptions({ instanceId, type, name });
+
+    res.status(200).json({
+      success: true,
+      subscriptions,
+      count: subscriptions.length
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Get subscriptions');
+  }
+});
+
 /**
  * GET /api/runtime/instances
  * Get all instances (optionally filter by status)
@@ -173,6 +612,114 @@ router.get('/instances', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/runtime/history
+ * Query instance history, newest first by default
+ * Query: workflowId, workflowVersion, status (comma-separated), initiator, currentNodeId,
+ *        createdAfter/createdBefore, completedAfter/completedBefore, updatedAfter/updatedBefore
+ *        (after inclusive, before exclusive),
+ *        variables[name][op]=value (op: eq, ne, gt, gte, lt, lte, contains, exists; variables[name]=value is eq),
+ *        q (full-text search over process variables), sort (createdAt, updatedAt, status, workflowId; - for
+ *        descending), limit (max 500), cursor (nextCursor of the previous page)
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const { instances, nextCursor } = await workflowDatabase.queryInstances(req.query);
+
+    res.status(200).json({
+      success: true,
+      instances,
+      count: instances.length,
+      nextCursor
+    });
+  } catch (error) {
+    sendApiError(res, error, 'Query history');
+  }
+});
+
+/**
+ * GET /api/runtime/history/export
+ * Export all instances matching a history query (same filters as /history) as a download
+ * Query: format (csv or json, default csv); X-Export-Truncated tells when the export limit was reached
+ */
+router.get('/history/export', async (req, res) => {
+  try {
+    const { format = 'csv', ...params } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported export format: ${format} (use csv or json)`,
+        code: 'INVALID_QUERY'
+      });
+    }
+
+    const { instances, truncated } = await workflowDatabase.exportInstances(params);
+    const filename = `instance-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('X-Export-Truncated', String(truncated));
+
+    if (format === 'json') {
+      return res.status(200).json(instances);
+    }
+    res.type('text/csv').status(200).send(toCsv(instances, HISTORY_EXPORT_COLUMNS));
+  } catch (error) {
+    sendApiError(res, error, 'Export history');
+  }
+});
+
+/**
+ * GET /api/runtime/retention
+ * Retention defaults, workflow policies and the last archive run
+ */
+router.get('/retention', async (req, res) => {
+  try {
+    const retention = await retentionManager.getStatus();
+
+    res.status(200).json({
+      success: true,
+      retention
+    });
+  } catch (error) {
+    sendApiError(res, error, 'Get retention');
+  }
+});
+
+/**
+ * POST /api/runtime/retention/preview
+ * List the instances, snapshots, event histories and locks a retention run would archive or remove
+ */
+router.post('/retention/preview', async (req, res) => {
+  try {
+    const report = await retentionManager.preview();
+
+    res.status(200).json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    sendApiError(res, error, 'Preview retention');
+  }
+});
+
+/**
+ * POST /api/runtime/retention/run
+ * Archive and delete expired data now (409 while another run is in progress)
+ */
+router.post('/retention/run', async (req, res) => {
+  try {
+    const report = await retentionManager.run();
+
+    res.status(200).json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    sendApiError(res, error, 'Run retention');
+  }
+});
+
 /**
  * GET /api/runtime/instance/:id/tokens
  * Get detailed token information for an instance
@@ -198,6 +745,61 @@ router.get('/instance/:id/tokens', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/runtime/instance/:id/timers
+ * Get scheduled timers for an instance
+ */
+router.get('/instance/:id/timers', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const timers = await runtimeEngine.timerScheduler.getInstanceTimers(id);
+
+    res.status(200).json({
+      success: true,
+      instanceId: id,
+      timers,
+      count: timers.length
+    });
+
+  } catch (error) {
+    console.error('[Runtime API] Get instance timers error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/runtime/instance/:id/timers/:timerId
+ * Cancel a scheduled timer
+ */
+router.delete('/instance/:id/timers/:timerId', async (req, res) => {
+  try {
+    const { id, timerId } = req.params;
+    const { reason } = req.body || {};
+
+    const timer = await runtimeEngine.cancelTimer(id, timerId, reason || undefined, getRequestUser(req));
+
+    if (!timer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Timer not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Timer cancelled',
+      timer
+    });
+
+  } catch (error) {
+    sendApiError(res, error, 'Cancel timer');
+  }
+});
+
 /**
  * POST /api/runtime/instance/:id/snapshot
  * Create a state snapshot for an instance
@@ -482,6 +1084,51 @@ router.delete('/events/history/:instanceId', (req, res) => {
   }
 });
 
+/**
+ * GET /api/runtime/jobs/stats
+ * Get job queue statistics
+ */
+router.get('/jobs/stats', async (req, res) => {
+  try {
+    const stats = await jobQueue.getStats();
+
+    res.status(200).json({
+      success: true,
+      stats
+    });
+
+  } catch (error) {
+    console.error('[Runtime API] Get job stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/runtime/connectors
+ * Get the connectors service tasks can use, with their config fields
+ */
+router.get('/connectors', async (req, res) => {
+  try {
+    const connectors = await connectorRegistry.list();
+
+    res.status(200).json({
+      success: true,
+      connectors,
+      count: connectors.length
+    });
+
+  } catch (error) {
+    console.error('[Runtime API] Get connectors error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/runtime/health
  * Runtime engine health check
@@ -496,6 +1143,10 @@ router.get('/health', (req, res) => {
       agents: ['Execution', 'State', 'Validation', 'Notification', 'Recovery'],
       gateways: ['Parallel (AND)', 'Inclusive (OR)', 'Exclusive (XOR)'],
       tokens: true,
+      timers: true,
+      jobQueue: true,
+      userTasks: true,
+      connectors: true,
       stateManagement: {
         snapshots: true,
         transactions: true,
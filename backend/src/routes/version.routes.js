@@ -204,17 +204,17 @@ router.get('/:workflowId/latest-published', (req, res) => {
  * POST /api/versions/:workflowId/:version/publish
  * Publish a version
  */
-router.post('/:workflowId/:version/publish', (req, res) => {
+router.post('/:workflowId/:version/publish', async (req, res) => {
   try {
     const { workflowId, version } = req.params;
-    const { setAsDefault } = req.body;
+    const { setAsDefault, author } = req.body;
 
     const versionNumber = parseInt(version);
 
-    const publishedVersion = workflowDatabase.publishWorkflowVersion(
+    const publishedVersion = await workflowDatabase.publishWorkflowVersion(
       workflowId,
       versionNumber,
-      { setAsDefault: setAsDefault || false }
+      { setAsDefault: setAsDefault || false, author: author || req.get('x-user-id') || 'system' }
     );
 
     res.json({
@@ -234,12 +234,12 @@ router.post('/:workflowId/:version/publish', (req, res) => {
  * PUT /api/versions/:workflowId/:version/set-default
  * Set a version as the default
  */
-router.put('/:workflowId/:version/set-default', (req, res) => {
+router.put('/:workflowId/:version/set-default', async (req, res) => {
   try {
     const { workflowId, version } = req.params;
     const versionNumber = parseInt(version);
 
-    const updatedVersion = workflowDatabase.setDefaultWorkflowVersion(
+    const updatedVersion = await workflowDatabase.setDefaultWorkflowVersion(
       workflowId,
       versionNumber
     );
@@ -261,14 +261,14 @@ router.put('/:workflowId/:version/set-default', (req, res) => {
  * POST /api/versions/:workflowId/:version/deprecate
  * Deprecate a version
  */
-router.post('/:workflowId/:version/deprecate', (req, res) => {
+router.post('/:workflowId/:version/deprecate', async (req, res) => {
   try {
     const { workflowId, version } = req.params;
     const { reason } = req.body;
 
     const versionNumber = parseInt(version);
 
-    const deprecatedVersion = workflowDatabase.deprecateWorkflowVersion(
+    const deprecatedVersion = await workflowDatabase.deprecateWorkflowVersion(
       workflowId,
       versionNumber,
       reason || ''
@@ -287,16 +287,52 @@ router.post('/:workflowId/:version/deprecate', (req, res) => {
   }
 });
 
+/**
+ * GET /api/versions/:workflowId/:version/verify
+ * Check a published version against its content hash
+ */
+router.get('/:workflowId/:version/verify', (req, res) => {
+  try {
+    const { workflowId, version } = req.params;
+    const versionNumber = parseInt(version);
+
+    const versionData = versionManager.getVersion(workflowId, versionNumber);
+
+    if (!versionData) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${versionNumber} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        version: versionNumber,
+        status: versionData.status,
+        publishedBy: versionData.metadata.publishedBy || null,
+        publishedAt: versionData.metadata.publishedAt,
+        ...versionManager.verifyVersion(versionData)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/versions/:workflowId/:version/archive
  * Archive a version
  */
-router.post('/:workflowId/:version/archive', (req, res) => {
+router.post('/:workflowId/:version/archive', async (req, res) => {
   try {
     const { workflowId, version } = req.params;
     const versionNumber = parseInt(version);
 
-    const archivedVersion = workflowDatabase.archiveWorkflowVersion(
+    const archivedVersion = await workflowDatabase.archiveWorkflowVersion(
       workflowId,
       versionNumber
     );
@@ -318,12 +354,12 @@ router.post('/:workflowId/:version/archive', (req, res) => {
  * DELETE /api/versions/:workflowId/:version
  * Delete a version
  */
-router.delete('/:workflowId/:version', (req, res) => {
+router.delete('/:workflowId/:version', async (req, res) => {
   try {
     const { workflowId, version } = req.params;
     const versionNumber = parseInt(version);
 
-    const result = workflowDatabase.deleteWorkflowVersion(
+    const result = await workflowDatabase.deleteWorkflowVersion(
       workflowId,
       versionNumber
     );
@@ -349,14 +385,14 @@ router.delete('/:workflowId/:version', (req, res) => {
  * POST /api/versions/:workflowId/:version/clone
  * Clone a version to create a new draft
  */
-router.post('/:workflowId/:version/clone', (req, res) => {
+router.post('/:workflowId/:version/clone', async (req, res) => {
   try {
     const { workflowId, version } = req.params;
     const { author, changeDescription, tags } = req.body;
 
     const versionNumber = parseInt(version);
 
-    const newVersion = workflowDatabase.cloneWorkflowVersion(
+    const newVersion = await workflowDatabase.cloneWorkflowVersion(
       workflowId,
       versionNumber,
       {
@@ -436,7 +472,7 @@ router.post('/:workflowId/:version/export', (req, res) => {
  * POST /api/versions/:workflowId/import
  * Import a version
  */
-router.post('/:workflowId/import', (req, res) => {
+router.post('/:workflowId/import', async (req, res) => {
   try {
     const { workflowId } = req.params;
     const { versionData, author, tags } = req.body;
@@ -448,7 +484,7 @@ router.post('/:workflowId/import', (req, res) => {
       });
     }
 
-    const importedVersion = versionManager.importVersion(
+    const importedVersion = await versionManager.importVersion(
       workflowId,
       versionData,
       {
@@ -8,6 +8,7 @@ router.get('/', workflowController.getAllWorkflows);
 router.get('/:id', workflowController.getWorkflowById);
 router.put('/:id', workflowController.updateWorkflow);
 router.delete('/:id', workflowController.deleteWorkflow);
+router.post('/:id/restore', workflowController.restoreWorkflow);
 
 // Workflow export/import
 router.post('/:id/export', workflowController.exportWorkflow);
@@ -0,0 +1,278 @@
+/**
+ * Connector Registry
+ * Connectors that service tasks call to reach external systems. Built-in connectors
+ * (HTTP, SQL, file, transform) are registered at startup; third-party connectors are
+ * loaded from manifests (connectors/<name>/connector.json) without changing the runtime.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const expressionEvaluator = require('./ExpressionEvaluator');
+const { codedError } = require('./errors');
+
+const CONNECTORS_DIR = process.env.CONNECTORS_DIR || path.join(__dirname, '../../connectors');
+const MANIFEST_FILE = 'connector.json';
+
+// A whole-value template "{{ expr }}" keeps the expression's type; embedded ones are joined as text
+const TEMPLATE_PATTERN = /\{\{\s*([\s\S]+?)\s*\}\}/g;
+const WHOLE_TEMPLATE_PATTERN = /^\{\{\s*((?:(?!\}\})[\s\S])+?)\s*\}\}$/;
+
+class ConnectorRegistry {
+  constructor() {
+    this.connectors = new Map();
+    this.manifestsLoaded = false;
+
+    for (const connector of [
+      require('./connectors/HttpConnector'),
+      require('./connectors/SqlConnector'),
+      require('./connectors/FileConnector'),
+      require('./connectors/TransformConnector')
+    ]) {
+      this.register(connector, { builtIn: true });
+    }
+  }
+
+  /**
+   * Register a connector - an object with a type and execute(config, context)
+   * A connector with the same type replaces the existing one
+   */
+  register(connector, options = {}) {
+    if (!connector || typeof connector.type !== 'string' || !connector.type) {
+      throw codedError('Invalid connector: type is required', 'INVALID_CONNECTOR');
+    }
+    if (typeof connector.execute !== 'function') {
+      throw codedError(`Invalid connector ${connector.type}: execute(config, context) is required`, 'INVALID_CONNECTOR');
+    }
+
+    if (this.connectors.has(connector.type)) {
+      console.warn(`[ConnectorRegistry] Replacing connector ${connector.type}`);
+    }
+
+    this.connectors.set(connector.type, {
+      connector,
+      builtIn: !!options.builtIn,
+      source: options.source || null
+    });
+
+    return connector;
+  }
+
+  /**
+   * Load third-party connectors from manifests in the connectors directory
+   * Manifest: { type, name, version, description, main, configSchema, rawFields }
+   * main exports an object with execute(config, context), or a class creating one
+   */
+  async loadManifests(directory = CONNECTORS_DIR) {
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const loaded = [];
+    for (const entry of entries.filter(item => item.isDirectory())) {
+      const manifestPath = path.join(directory, entry.name, MANIFEST_FILE);
+
+      try {
+        const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+        if (!manifest.type) {
+          throw new Error('type is required');
+        }
+
+        const exported = require(path.resolve(directory, entry.name, manifest.main || 'index.js'));
+        const implementation = typeof exported === 'function' ? new exported(manifest) : exported;
+
+        // Manifest fields describe the connector; the module supplies execute()
+        const connector = Object.assign(Object.create(implementation), {
+          type: manifest.type,
+          name: manifest.name || implementation.name || manifest.type,
+          version: manifest.version || implementation.version || null,
+          description: manifest.description || implementation.description || '',
+          configSchema: manifest.configSchema || implementation.configSchema || [],
+          rawFields: manifest.rawFields || implementation.rawFields || []
+        });
+
+        this.register(connector, { source: manifestPath });
+        loaded.push(manifest.type);
+      } catch (error) {
+        if (error.code === 'ENOENT' && error.path === manifestPath) continue;
+        console.error(`[ConnectorRegistry] Failed to load connector from ${manifestPath}:`, error.message);
+      }
+    }
+
+    if (loaded.length > 0) {
+      console.log(`[ConnectorRegistry] Loaded connectors: ${loaded.join(', ')}`);
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Load the manifests once, on first use
+   */
+  async initialize() {
+    if (!this.manifestsLoaded) {
+      this.manifestsLoaded = true;
+      await this.loadManifests();
+    }
+  }
+
+  /**
+   * Get a connector by type (throws CONNECTOR_NOT_FOUND)
+   */
+  get(type) {
+    const entry = this.connectors.get(type);
+
+    if (!entry) {
+      throw codedError(
+        `Connector "${type}" is not registered (available: ${[...this.connectors.keys()].join(', ')})`,
+        'CONNECTOR_NOT_FOUND'
+      );
+    }
+
+    return entry.connector;
+  }
+
+  /**
+   * Describe the registered connectors for the designer
+   */
+  async list() {
+    await this.initialize();
+
+    return [...this.connectors.values()].map(({ connector, builtIn }) => ({
+      type: connector.type,
+      name: connector.name || connector.type,
+      version: connector.version || null,
+      description: connector.description || '',
+      configSchema: connector.configSchema || [],
+      builtIn
+    }));
+  }
+
+  /**
+   * Run the connector configured on a service task node
+   * data: { connector, connectorConfig, inputMapping, outputMapping, resultVariable }
+   * secrets (resolved by the ExecutionAgent) are available to templates as secrets.name
+   * @returns {Object} variables to merge into process data
+   */
+  async execute(node, instance, secrets = {}) {
+    await this.initialize();
+
+    const data = node.data || {};
+    const connector = this.get(data.connector);
+    const processData = instance.processData || {};
+
+    const input = this.mapInputs(processData, data.inputMapping);
+    const config = this.renderConfig(connector, data.connectorConfig || {}, {
+      processData,
+      variables: { ...input, secrets }
+    });
+
+    console.log(`[ConnectorRegistry] Running ${connector.type} connector for ${node.id}`);
+
+    let result;
+    try {
+      result = await connector.execute(config, {
+        input,
+        processData,
+        instanceId: instance.id,
+        nodeId: node.id
+      });
+    } catch (error) {
+      const failure = codedError(`Connector ${connector.type} failed: ${error.message}`, error.code || 'CONNECTOR_ERROR');
+      failure.details = error.details;
+      throw failure;
+    }
+
+    return this.mapOutputs(result, data.outputMapping, data.resultVariable);
+  }
+
+  /**
+   * Build connector input from process data
+   * Mapping keys are expressions over process data, values the input names: { "customer.email": "email" }
+   * Without a mapping the connector gets all process data
+   */
+  mapInputs(processData, mapping) {
+    if (!mapping || Object.keys(mapping).length === 0) {
+      return { ...processData };
+    }
+
+    const input = {};
+    for (const [from, to] of Object.entries(mapping)) {
+      if (to) {
+        input[to] = expressionEvaluator.evaluate(from, { processData });
+      }
+    }
+
+    return input;
+  }
+
+  /**
+   * Map a connector result into process data variables
+   * Mapping keys are expressions over the result: { "body.id": "customerId" }
+   * Without a mapping the whole result goes under resultVariable (default connectorResult)
+   */
+  mapOutputs(result, mapping, resultVariable) {
+    if (!mapping || Object.keys(mapping).length === 0) {
+      return { [resultVariable || 'connectorResult']: result ?? null };
+    }
+
+    const variables = {};
+    const context = { variables: result && typeof result === 'object' ? result : { result } };
+
+    for (const [from, to] of Object.entries(mapping)) {
+      if (to) {
+        variables[to] = expressionEvaluator.evaluate(from, context) ?? null;
+      }
+    }
+
+    return variables;
+  }
+
+  /**
+   * Render the {{ expression }} templates in a connector config
+   * Fields the connector lists in rawFields (e.g. SQL text) are passed through untouched
+   */
+  renderConfig(connector, config, context) {
+    const rawFields = new Set(connector.rawFields || []);
+    const rendered = {};
+
+    for (const [key, value] of Object.entries(config)) {
+      rendered[key] = rawFields.has(key) ? value : this.renderTemplate(value, context);
+    }
+
+    return rendered;
+  }
+
+  /**
+   * Render templates in a string, or recursively in an array or object
+   */
+  renderTemplate(value, context) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.renderTemplate(item, context));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.renderTemplate(item, context)]));
+    }
+
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    const whole = value.match(WHOLE_TEMPLATE_PATTERN);
+    if (whole) {
+      return expressionEvaluator.evaluate(whole[1], context);
+    }
+
+    return value.replace(TEMPLATE_PATTERN, (match, expression) => {
+      const result = expressionEvaluator.evaluate(expression, context);
+      if (result === null || result === undefined) return '';
+      return typeof result === 'object' ? JSON.stringify(result) : String(result);
+    });
+  }
+}
+
+module.exports = new ConnectorRegistry();
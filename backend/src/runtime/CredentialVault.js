@@ -0,0 +1,292 @@
+/**
+ * Credential Vault
+ * Encrypts credentials at rest (AES-256-GCM, master key from CREDENTIALS_MASTER_KEY) and
+ * resolves {{ secrets.name }} references for the ExecutionAgent at execution time.
+ * Stored values are redacted from history and events - in every process, whether or
+ * not it resolved them.
+ */
+
+const crypto = require('crypto');
+const credentialDatabase = require('../database/CredentialDatabase');
+const { codedError } = require('./errors');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_SALT = 'wfpp-credential-vault';
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// secrets.name or secrets["name"] inside node configuration (quotes may be JSON-escaped)
+const REFERENCE_PATTERN = /\bsecrets(?:\.([A-Za-z_][A-Za-z0-9_]*)|\[\s*\\?['"]([A-Za-z_][A-Za-z0-9_]*)\\?['"]\s*\])/g;
+const REDACTED = '[REDACTED]';
+// Shorter values would redact ordinary text
+const MIN_REDACT_LENGTH = 4;
+
+const isPlainObject = value => value !== null && typeof value === 'object' &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+/**
+ * String parts of a credential value long enough to redact
+ */
+function secretStrings(value) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    return String(value).length >= MIN_REDACT_LENGTH ? [String(value)] : [];
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).flatMap(secretStrings);
+  }
+  return [];
+}
+
+/**
+ * Replace secrets in strings (deep), returning a copy
+ */
+function replaceSecrets(value, secrets) {
+  if (typeof value === 'string') {
+    let redacted = value;
+    for (const secret of secrets) {
+      if (redacted.includes(secret)) {
+        redacted = redacted.split(secret).join(REDACTED);
+      }
+    }
+    return redacted;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => replaceSecrets(item, secrets));
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceSecrets(item, secrets)]));
+  }
+
+  return value;
+}
+
+class CredentialVault {
+  constructor() {
+    this.key = null;
+
+    // Decrypted stored values to redact (longest first), and the credentials file version they were read from
+    this.redactionValues = [];
+    this.redactionVersion = null;
+  }
+
+  /**
+   * Encryption key from the master key - 64 hex characters are used as is, anything else is derived
+   */
+  getKey() {
+    if (!this.key) {
+      const masterKey = process.env.CREDENTIALS_MASTER_KEY;
+      if (!masterKey) {
+        throw codedError('Credential vault is locked: CREDENTIALS_MASTER_KEY is not set', 'VAULT_LOCKED');
+      }
+
+      this.key = /^[0-9a-f]{64}$/i.test(masterKey)
+        ? Buffer.from(masterKey, 'hex')
+        : crypto.scryptSync(masterKey, KEY_SALT, 32);
+    }
+
+    return this.key;
+  }
+
+  /**
+   * Encrypt a value - the credential name is bound as additional data so records cannot be swapped
+   */
+  encrypt(name, value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.getKey(), iv);
+    cipher.setAAD(Buffer.from(name));
+
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt a credential record (throws CREDENTIAL_DECRYPT_FAILED with a wrong key or tampered record)
+   */
+  decrypt(record) {
+    const key = this.getKey();
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(record.secret.iv, 'base64'));
+      decipher.setAAD(Buffer.from(record.name));
+      decipher.setAuthTag(Buffer.from(record.secret.tag, 'base64'));
+
+      const text = Buffer.concat([
+        decipher.update(Buffer.from(record.secret.data, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+
+      return JSON.parse(text);
+    } catch (error) {
+      throw codedError(`Credential ${record.name} could not be decrypted - check CREDENTIALS_MASTER_KEY`, 'CREDENTIAL_DECRYPT_FAILED');
+    }
+  }
+
+  /**
+   * Create or update a credential
+   * The value is only replaced when one is given, so metadata can change without re-entering it
+   * @returns {Object} the credential description (never the value)
+   */
+  async saveCredential(credential, options = {}) {
+    const { name, value, description, type } = credential || {};
+
+    if (!name || !NAME_PATTERN.test(name)) {
+      throw codedError('Invalid credential: name must be letters, digits and underscores, not starting with a digit', 'INVALID_CREDENTIAL');
+    }
+
+    const existing = await credentialDatabase.getCredential(name);
+    if (options.create && existing) {
+      throw codedError(`Credential ${name} already exists`, 'CREDENTIAL_CONFLICT');
+    }
+    if (!options.create && !existing) {
+      throw codedError(`Credential ${name} not found`, 'CREDENTIAL_NOT_FOUND');
+    }
+
+    const hasValue = value !== undefined && value !== null && value !== '';
+    if (!existing && !hasValue) {
+      throw codedError('Invalid credential: value is required', 'INVALID_CREDENTIAL');
+    }
+
+    const saved = await credentialDatabase.saveCredential({
+      name,
+      description: description ?? existing?.description ?? '',
+      type: type || existing?.type || 'secret',
+      secret: hasValue ? this.encrypt(name, value) : existing.secret
+    });
+    this.redactionVersion = null;
+
+    return this.describe(saved);
+  }
+
+  /**
+   * Describe all credentials (names and metadata only)
+   */
+  async listCredentials() {
+    const credentials = await credentialDatabase.loadCredentials();
+    return credentials.map(record => this.describe(record));
+  }
+
+  /**
+   * Describe one credential (throws CREDENTIAL_NOT_FOUND)
+   */
+  async getCredential(name) {
+    return this.describe(await this.requireRecord(name));
+  }
+
+  /**
+   * Delete a credential (throws CREDENTIAL_NOT_FOUND)
+   */
+  async deleteCredential(name) {
+    await this.requireRecord(name);
+    const result = await credentialDatabase.deleteCredential(name);
+    this.redactionVersion = null;
+    return result;
+  }
+
+  /**
+   * Decrypt the named credentials for execution
+   * @returns {Object} name -> value
+   */
+  async resolve(names) {
+    const secrets = {};
+
+    for (const name of names) {
+      secrets[name] = this.decrypt(await this.requireRecord(name));
+    }
+
+    return secrets;
+  }
+
+  /**
+   * Resolve the credentials referenced anywhere in a value (e.g. node data)
+   * @returns {Object} name -> value for the referenced credentials
+   */
+  async resolveReferences(value) {
+    const names = this.findReferences(value);
+    return names.length > 0 ? await this.resolve(names) : {};
+  }
+
+  /**
+   * Names of the credentials referenced as secrets.name in a value
+   */
+  findReferences(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value ?? null);
+    const names = new Set();
+
+    for (const match of text.matchAll(REFERENCE_PATTERN)) {
+      names.add(match[1] || match[2]);
+    }
+
+    return [...names];
+  }
+
+  /**
+   * Replace stored secret values in strings (deep) with [REDACTED]
+   * Returns a copy - the input is never changed
+   */
+  redact(value) {
+    const secrets = this.getRedactionValues();
+    return secrets.length === 0 ? value : replaceSecrets(value, secrets);
+  }
+
+  /**
+   * Values of all stored credentials, longest first
+   * Decrypted from the credentials file and cached until the file changes, so a
+   * credential another process stored (or resolved before a restart) is redacted too.
+   * Redaction runs synchronously inside logging and event paths, hence the sync read
+   */
+  getRedactionValues() {
+    if (!process.env.CREDENTIALS_MASTER_KEY) {
+      return [];
+    }
+
+    const changed = credentialDatabase.readIfChangedSync(this.redactionVersion);
+    if (changed) {
+      const strings = changed.credentials.flatMap(record => {
+        try {
+          return secretStrings(this.decrypt(record));
+        } catch (error) {
+          console.warn(`[CredentialVault] Cannot redact credential ${record.name}: ${error.message}`);
+          return [];
+        }
+      });
+
+      this.redactionValues = [...new Set(strings)].sort((a, b) => b.length - a.length);
+      this.redactionVersion = changed.version;
+    }
+
+    return this.redactionValues;
+  }
+
+  /**
+   * Get a stored credential record (throws CREDENTIAL_NOT_FOUND)
+   */
+  async requireRecord(name) {
+    const record = await credentialDatabase.getCredential(name);
+
+    if (!record) {
+      throw codedError(`Credential ${name} not found`, 'CREDENTIAL_NOT_FOUND');
+    }
+
+    return record;
+  }
+
+  /**
+   * Public view of a credential record
+   */
+  describe(record) {
+    return {
+      name: record.name,
+      description: record.description || '',
+      type: record.type || 'secret',
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt
+    };
+  }
+}
+
+module.exports = new CredentialVault();
@@ -0,0 +1,440 @@
+/**
+ * Decision Engine
+ * Evaluates DMN-style decision tables: input expressions, unary tests per rule,
+ * output entries and the UNIQUE / FIRST / PRIORITY / COLLECT hit policies
+ */
+
+const decisionDatabase = require('../database/DecisionDatabase');
+const expressionEvaluator = require('./ExpressionEvaluator');
+const { codedError } = require('./errors');
+
+const HIT_POLICIES = ['UNIQUE', 'FIRST', 'PRIORITY', 'COLLECT'];
+const AGGREGATIONS = ['SUM', 'MIN', 'MAX', 'COUNT'];
+
+// [low..high], (low..high) and ]low..high[ - a bracket facing away from the bound excludes it
+const RANGE_PATTERN = /^([[(\]])\s*(.+?)\s*\.\.\s*(.+?)\s*([\])[])$/s;
+const COMPARISON_PATTERN = /^(<=|>=|!=|<|>|=)(?!=)\s*(.+)$/s;
+const NEGATION_PATTERN = /^not\s*\(([\s\S]*)\)$/;
+
+const isNil = value => value === null || value === undefined;
+
+class DecisionEngine {
+  /**
+   * Evaluate a stored decision table by ID
+   */
+  async evaluateDecision(decisionId, context = {}) {
+    const decision = await this.getDecision(decisionId);
+    return this.evaluate(decision, context);
+  }
+
+  /**
+   * Get a stored decision table
+   */
+  async getDecision(decisionId) {
+    const decision = await decisionDatabase.getDecision(decisionId);
+
+    if (!decision) {
+      throw codedError(`Decision ${decisionId} not found`, 'DECISION_NOT_FOUND');
+    }
+
+    return decision;
+  }
+
+  /**
+   * Evaluate a decision table against process data and token variables
+   * @returns {Object} decisionId, hitPolicy, matchedRules (rule IDs) and result - an
+   *   output object (or null) for single-hit policies, a list of output objects for
+   *   COLLECT, or a number for COLLECT with an aggregation
+   */
+  evaluate(decision, context = {}) {
+    const hitPolicy = this.getHitPolicy(decision);
+    const inputValues = (decision.inputs || []).map(input => this.evaluateInput(input, context));
+
+    const matched = (decision.rules || []).filter(rule =>
+      inputValues.every((value, index) => this.matchesEntry(rule.inputEntries?.[index], value, context))
+    );
+
+    if (hitPolicy === 'UNIQUE' && matched.length > 1) {
+      throw codedError(
+        `Decision ${decision.id} has a UNIQUE hit policy but rules ${matched.map(r => r.id).join(', ')} all matched`,
+        'DECISION_HIT_POLICY_VIOLATION'
+      );
+    }
+
+    const hits = hitPolicy === 'PRIORITY' ? this.sortByPriority(decision, matched, context) : matched;
+    const outputs = hits.map(rule => this.evaluateOutputs(decision, rule, context));
+
+    let result;
+    if (hitPolicy === 'COLLECT') {
+      result = decision.aggregation ? this.aggregate(decision.aggregation, outputs, decision) : outputs;
+    } else {
+      result = outputs[0] || null;
+    }
+
+    const matchedRules = (hitPolicy === 'COLLECT' ? hits : hits.slice(0, 1)).map(rule => rule.id);
+    console.log(`[DecisionEngine] ${decision.id} (${hitPolicy}) matched ${matched.length} rule(s)`);
+
+    return {
+      decisionId: decision.id,
+      decisionName: decision.name || decision.id,
+      hitPolicy,
+      matchedRules,
+      result
+    };
+  }
+
+  /**
+   * Turn an evaluation into process variables keyed by output name
+   * No match sets the outputs to null so values from an earlier pass don't linger;
+   * a non-aggregated COLLECT gives each output a list of values
+   */
+  toVariables(decision, evaluation) {
+    const names = (decision.outputs || []).map(output => output.name);
+
+    if (this.getHitPolicy(decision) !== 'COLLECT') {
+      return Object.fromEntries(names.map(name => [name, evaluation.result ? evaluation.result[name] ?? null : null]));
+    }
+
+    if (decision.aggregation) {
+      return { [names[0]]: evaluation.result };
+    }
+
+    return Object.fromEntries(names.map(name => [name, evaluation.result.map(output => output[name] ?? null)]));
+  }
+
+  /**
+   * Check a decision table definition (throws INVALID_DECISION)
+   */
+  validate(decision) {
+    const fail = message => {
+      throw codedError(`Invalid decision${decision?.id ? ` ${decision.id}` : ''}: ${message}`, 'INVALID_DECISION');
+    };
+
+    if (!decision || typeof decision !== 'object') fail('a decision table object is required');
+    if (!decision.id || typeof decision.id !== 'string') fail('id is required');
+    if (!HIT_POLICIES.includes(this.getHitPolicy(decision))) {
+      fail(`hit policy must be one of: ${HIT_POLICIES.join(', ')}`);
+    }
+
+    if (decision.aggregation) {
+      if (this.getHitPolicy(decision) !== 'COLLECT') fail('an aggregation requires the COLLECT hit policy');
+      if (!AGGREGATIONS.includes(decision.aggregation)) fail(`aggregation must be one of: ${AGGREGATIONS.join(', ')}`);
+      if ((decision.outputs || []).length !== 1) fail('an aggregation requires exactly one output');
+    }
+
+    const inputs = Array.isArray(decision.inputs) ? decision.inputs : fail('inputs must be a list');
+    const outputs = Array.isArray(decision.outputs) && decision.outputs.length > 0
+      ? decision.outputs
+      : fail('at least one output is required');
+    const rules = Array.isArray(decision.rules) ? decision.rules : fail('rules must be a list');
+
+    const check = (expression, where) => {
+      try {
+        expressionEvaluator.parse(expression);
+      } catch (error) {
+        fail(`${where}: ${error.message}`);
+      }
+    };
+
+    inputs.forEach((input, index) => {
+      if (!input.expression) fail(`input ${index + 1} needs an expression`);
+      check(String(input.expression), `input ${input.label || index + 1}`);
+    });
+
+    const names = new Set();
+    outputs.forEach((output, index) => {
+      if (!output.name) fail(`output ${index + 1} needs a name`);
+      if (names.has(output.name)) fail(`output name ${output.name} is used twice`);
+      names.add(output.name);
+    });
+
+    const ids = new Set();
+    rules.forEach((rule, index) => {
+      const where = `rule ${rule.id || index + 1}`;
+
+      if (!rule.id) fail(`${where} needs an id`);
+      if (ids.has(rule.id)) fail(`rule id ${rule.id} is used twice`);
+      ids.add(rule.id);
+
+      if ((rule.inputEntries || []).length !== inputs.length) fail(`${where} needs ${inputs.length} input entries`);
+      if ((rule.outputEntries || []).length !== outputs.length) fail(`${where} needs ${outputs.length} output entries`);
+
+      rule.inputEntries.forEach(entry => {
+        try {
+          this.compileEntry(entry);
+        } catch (error) {
+          fail(`${where}: ${error.message}`);
+        }
+      });
+
+      rule.outputEntries.forEach(entry => {
+        if (typeof entry === 'string' && entry.trim() !== '') check(entry, where);
+      });
+    });
+
+    return decision;
+  }
+
+  /**
+   * Normalized hit policy of a table (UNIQUE by default, as in DMN)
+   */
+  getHitPolicy(decision) {
+    return String(decision.hitPolicy || 'UNIQUE').toUpperCase();
+  }
+
+  /**
+   * Evaluate an input expression
+   */
+  evaluateInput(input, context) {
+    return expressionEvaluator.evaluate(String(input.expression), context);
+  }
+
+  /**
+   * Evaluate the output entries of a matched rule into { outputName: value }
+   * Entries are expressions, so text outputs are quoted: "approved"
+   */
+  evaluateOutputs(decision, rule, context) {
+    return Object.fromEntries((decision.outputs || []).map((output, index) => {
+      const entry = rule.outputEntries?.[index];
+
+      if (typeof entry !== 'string') {
+        return [output.name, entry ?? null];
+      }
+
+      return [output.name, entry.trim() === '' ? null : expressionEvaluator.evaluate(entry, context) ?? null];
+    }));
+  }
+
+  /**
+   * Whether an input value satisfies a rule's input entry
+   */
+  matchesEntry(entry, value, context) {
+    const compiled = this.compileEntry(entry);
+
+    if (compiled.any) {
+      return true;
+    }
+
+    const matches = compiled.tests.some(test => this.matchesTest(test, value, context));
+    return compiled.negate ? !matches : matches;
+  }
+
+  /**
+   * Parse an input entry into unary tests (throws EXPRESSION_SYNTAX errors)
+   * Supported: "-" or empty (any value), not(...), comma-separated alternatives,
+   * ranges like [1..10], comparisons like >= 18, and expressions compared for
+   * equality - a list value matches any of its items and a boolean value is
+   * used as the test itself
+   */
+  compileEntry(entry) {
+    if (isNil(entry) || typeof entry !== 'string') {
+      return isNil(entry) ? { any: true } : { negate: false, tests: [{ kind: 'literal', value: entry }] };
+    }
+
+    let text = entry.trim();
+    if (text === '' || text === '-') {
+      return { any: true };
+    }
+
+    const negation = NEGATION_PATTERN.exec(text);
+    if (negation) {
+      text = negation[1].trim();
+    }
+
+    const tests = this.splitTests(text).map(test => {
+      const range = RANGE_PATTERN.exec(test);
+      if (range) {
+        return {
+          kind: 'range',
+          low: this.parseTestExpression(range[2]),
+          high: this.parseTestExpression(range[3]),
+          lowInclusive: range[1] === '[',
+          highInclusive: range[4] === ']'
+        };
+      }
+
+      const comparison = COMPARISON_PATTERN.exec(test);
+      if (comparison) {
+        return { kind: 'compare', operator: comparison[1], expression: this.parseTestExpression(comparison[2]) };
+      }
+
+      return { kind: 'value', expression: this.parseTestExpression(test) };
+    });
+
+    return { negate: !!negation, tests };
+  }
+
+  /**
+   * Syntax-check the expression part of a unary test
+   */
+  parseTestExpression(expression) {
+    expressionEvaluator.parse(expression);
+    return expression;
+  }
+
+  /**
+   * Check one unary test against an input value
+   */
+  matchesTest(test, value, context) {
+    switch (test.kind) {
+      case 'literal':
+        return this.valuesEqual(test.value, value);
+
+      case 'range': {
+        const low = this.compare(value, expressionEvaluator.evaluate(test.low, context));
+        const high = this.compare(value, expressionEvaluator.evaluate(test.high, context));
+        if (low === null || high === null) return false;
+        return (test.lowInclusive ? low >= 0 : low > 0) && (test.highInclusive ? high <= 0 : high < 0);
+      }
+
+      case 'compare': {
+        const expected = expressionEvaluator.evaluate(test.expression, context);
+        if (test.operator === '=') return this.valuesEqual(expected, value);
+        if (test.operator === '!=') return !this.valuesEqual(expected, value);
+
+        const order = this.compare(value, expected);
+        if (order === null) return false;
+        return { '<': order < 0, '<=': order <= 0, '>': order > 0, '>=': order >= 0 }[test.operator];
+      }
+
+      default: {
+        const expected = expressionEvaluator.evaluate(test.expression, context);
+
+        if (Array.isArray(expected)) {
+          return expected.some(item => this.valuesEqual(item, value));
+        }
+        if (typeof expected === 'boolean' && typeof value !== 'boolean') {
+          return expected;
+        }
+        return this.valuesEqual(expected, value);
+      }
+    }
+  }
+
+  /**
+   * Order two values: numbers (and numeric strings) numerically, dates by time,
+   * other values as text; null when either is missing
+   */
+  compare(a, b) {
+    if (isNil(a) || isNil(b)) {
+      return null;
+    }
+
+    if (a instanceof Date || b instanceof Date) {
+      const left = new Date(a).getTime();
+      const right = new Date(b).getTime();
+      return isNaN(left) || isNaN(right) ? null : Math.sign(left - right);
+    }
+
+    const left = Number(a);
+    const right = Number(b);
+    if (a !== '' && b !== '' && !isNaN(left) && !isNaN(right)) {
+      return Math.sign(left - right);
+    }
+
+    return String(a).localeCompare(String(b));
+  }
+
+  /**
+   * Equality used by unary tests (form posts often carry numbers as strings)
+   */
+  valuesEqual(expected, actual) {
+    if (isNil(expected) || isNil(actual)) {
+      return isNil(expected) && isNil(actual);
+    }
+
+    if (typeof expected === 'object' || typeof actual === 'object') {
+      return JSON.stringify(expected) === JSON.stringify(actual);
+    }
+
+    return this.compare(expected, actual) === 0 && (typeof expected !== 'boolean' || expected === actual);
+  }
+
+  /**
+   * Order matched rules for the PRIORITY hit policy
+   * Outputs with a list of allowed values rank rules by where their value appears in
+   * that list (earlier wins); without any, a rule's numeric priority decides (higher wins)
+   */
+  sortByPriority(decision, rules, context) {
+    const ranked = (decision.outputs || []).filter(output => Array.isArray(output.outputValues) && output.outputValues.length > 0);
+
+    const rank = rule => {
+      if (ranked.length === 0) {
+        return [-(Number(rule.priority) || 0)];
+      }
+
+      const values = this.evaluateOutputs(decision, rule, context);
+      return ranked.map(output => {
+        const index = output.outputValues.findIndex(allowed => this.valuesEqual(allowed, values[output.name]));
+        return index === -1 ? output.outputValues.length : index;
+      });
+    };
+
+    return rules
+      .map((rule, order) => ({ rule, order, rank: rank(rule) }))
+      .sort((a, b) => {
+        const difference = a.rank.map((value, index) => value - b.rank[index]).find(value => value !== 0);
+        return difference || a.order - b.order;
+      })
+      .map(entry => entry.rule);
+  }
+
+  /**
+   * Aggregate the single output of COLLECT hits
+   */
+  aggregate(aggregation, outputs, decision) {
+    if (aggregation === 'COUNT') {
+      return outputs.length;
+    }
+
+    const name = decision.outputs[0].name;
+    const values = outputs.map(output => Number(output[name])).filter(value => !isNaN(value));
+
+    if (values.length === 0) {
+      return aggregation === 'SUM' ? 0 : null;
+    }
+
+    if (aggregation === 'SUM') return values.reduce((total, value) => total + value, 0);
+    return aggregation === 'MIN' ? Math.min(...values) : Math.max(...values);
+  }
+
+  /**
+   * Split comma-separated unary tests, ignoring commas inside quotes, brackets and calls
+   */
+  splitTests(text) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (quote) {
+        if (ch === '\\') {
+          current += ch + (text[++i] ?? '');
+          continue;
+        }
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if ('([{'.includes(ch)) {
+        depth++;
+      } else if (')]}'.includes(ch)) {
+        // Ranges may open with "]" or close with "[", so never go negative
+        depth = Math.max(0, depth - 1);
+      } else if (ch === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+        continue;
+      }
+
+      current += ch;
+    }
+
+    parts.push(current.trim());
+    return parts.filter(Boolean);
+  }
+}
+
+module.exports = new DecisionEngine();
@@ -320,33 +320,49 @@ class DistributedLockManager {
     }
   }
 
+  /**
+   * List lock files whose lock has expired: [{ lockKey, file, owner, expiresAt }]
+   */
+  async listExpiredLocks() {
+    const expired = [];
+
+    for (const file of await fs.readdir(this.lockDir)) {
+      if (!file.endsWith('.lock')) {
+        continue;
+      }
+
+      try {
+        const lock = JSON.parse(await fs.readFile(path.join(this.lockDir, file), 'utf8'));
+
+        if (new Date(lock.expiresAt) <= new Date()) {
+          expired.push({ lockKey: lock.lockKey, file, owner: lock.instanceId, expiresAt: lock.expiresAt });
+        }
+      } catch (error) {
+        // Ignore errors for individual files (e.g. released while reading)
+        console.warn(`[DistributedLockManager] Error checking lock file ${file}:`, error.message);
+      }
+    }
+
+    return expired;
+  }
+
   /**
    * Clean up expired locks
    */
   async cleanupExpiredLocks() {
     try {
-      const files = await fs.readdir(this.lockDir);
+      const expired = await this.listExpiredLocks();
       let cleaned = 0;
 
-      for (const file of files) {
-        if (file.endsWith('.lock')) {
-          const lockFile = path.join(this.lockDir, file);
-
-          try {
-            const lockContent = await fs.readFile(lockFile, 'utf8');
-            const lock = JSON.parse(lockContent);
-
-            // Check if expired
-            if (new Date(lock.expiresAt) <= new Date()) {
-              await fs.unlink(lockFile);
-              cleaned++;
-              this.stats.locksExpired++;
-              console.log(`[DistributedLockManager] Cleaned expired lock: ${lock.lockKey}`);
-            }
-          } catch (error) {
-            // Ignore errors for individual files
-            console.warn(`[DistributedLockManager] Error checking lock file ${file}:`, error.message);
-          }
+      for (const lock of expired) {
+        try {
+          await fs.unlink(path.join(this.lockDir, lock.file));
+          cleaned++;
+          this.stats.locksExpired++;
+          console.log(`[DistributedLockManager] Cleaned expired lock: ${lock.lockKey}`);
+        } catch (error) {
+          // Already removed or re-acquired by its owner
+          console.warn(`[DistributedLockManager] Error removing lock file ${lock.file}:`, error.message);
         }
       }
 
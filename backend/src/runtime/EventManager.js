@@ -4,6 +4,7 @@
  */
 
 const EventEmitter = require('events');
+const credentialVault = require('./CredentialVault');
 
 class EventManager extends EventEmitter {
   constructor() {
@@ -38,7 +39,7 @@ class EventManager extends EventEmitter {
     const event = {
       type: eventType,
       timestamp: new Date(),
-      data
+      data: credentialVault.redact(data) // Resolved credentials never leave in events
     };
 
     // Store in history
@@ -105,6 +106,26 @@ class EventManager extends EventEmitter {
     });
   }
 
+  /**
+   * Workflow Suspended Event
+   */
+  emitWorkflowSuspended(instanceId, reason) {
+    return this.emitWorkflowEvent('workflow.suspended', {
+      instanceId,
+      reason
+    });
+  }
+
+  /**
+   * Workflow Cancelled Event
+   */
+  emitWorkflowCancelled(instanceId, reason) {
+    return this.emitWorkflowEvent('workflow.cancelled', {
+      instanceId,
+      reason
+    });
+  }
+
   /**
    * Workflow Resumed Event
    */
@@ -114,6 +135,16 @@ class EventManager extends EventEmitter {
     });
   }
 
+  /**
+   * Workflow Migrated Event (moved to another workflow version)
+   */
+  emitWorkflowMigrated(instanceId, details) {
+    return this.emitWorkflowEvent('workflow.migrated', {
+      instanceId,
+      ...details
+    });
+  }
+
   /**
    * Node Execution Started Event
    */
@@ -182,6 +213,16 @@ class EventManager extends EventEmitter {
     });
   }
 
+  /**
+   * Compensation Event (started/activity_compensated/completed)
+   */
+  emitCompensationEvent(instanceId, action, details) {
+    return this.emitWorkflowEvent('compensation.' + action, {
+      instanceId,
+      ...details
+    });
+  }
+
   /**
    * Variable Update Event
    */
@@ -278,6 +319,17 @@ class EventManager extends EventEmitter {
     return filtered;
   }
 
+  /**
+   * Instances with event history: [{ instanceId, count, lastEventAt }]
+   */
+  getHistorySummaries() {
+    return Array.from(this.eventHistory.entries()).map(([instanceId, events]) => ({
+      instanceId,
+      count: events.length,
+      lastEventAt: events.length > 0 ? new Date(events[events.length - 1].timestamp).toISOString() : null
+    }));
+  }
+
   /**
    * Clear history for an instance
    */
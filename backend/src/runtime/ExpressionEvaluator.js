@@ -0,0 +1,684 @@
+/**
+ * Expression Evaluator
+ * Safe expression language for gateway and connection conditions.
+ * Expressions are parsed into an AST and interpreted - never compiled to JavaScript.
+ */
+
+const { codedError } = require('./errors');
+
+const MAX_EXPRESSION_LENGTH = 4000;
+const MAX_DEPTH = 64;
+const MAX_CACHE_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FORBIDDEN_PROPERTIES = new Set(['__proto__', 'constructor', 'prototype']);
+const KEYWORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+
+// Longest operators first so "===" wins over "=="
+const OPERATORS = [
+  '===', '!==', '==', '!=', '<=', '>=', '&&', '||', '?.', '??',
+  '<', '>', '+', '-', '*', '/', '%', '!', '(', ')', '[', ']', ',', '.', '?', ':'
+];
+
+/**
+ * Create an expression error with a code (and source position for syntax errors)
+ */
+function expressionError(message, code, position) {
+  const error = codedError(message, code);
+  if (position !== undefined) {
+    error.position = position;
+  }
+  return error;
+}
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+const isNil = value => value === null || value === undefined;
+
+/**
+ * Coerce a value to a Date (null when not a valid date)
+ */
+function toDate(value) {
+  if (isNil(value) || value === '') return null;
+  const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+const toText = value => (isNil(value) ? '' : String(value));
+
+/**
+ * Equality of == and != - explicit rules instead of JavaScript's coercion:
+ * null and a missing value equal each other only; numbers, numeric strings and booleans
+ * compare as numbers ("5" == 5, true == 1); booleans equal "true" / "false";
+ * anything else (including "" == 0) compares strictly
+ */
+function looseEquals(left, right) {
+  if (isNil(left) || isNil(right)) return isNil(left) && isNil(right);
+  if (typeof left === typeof right) return left === right;
+
+  if (typeof left === 'boolean' && typeof right === 'string') return String(left) === right.trim().toLowerCase();
+  if (typeof right === 'boolean' && typeof left === 'string') return String(right) === left.trim().toLowerCase();
+
+  const isScalar = value => typeof value === 'number' || typeof value === 'boolean' ||
+    (typeof value === 'string' && value.trim() !== '');
+  return isScalar(left) && isScalar(right) && Number(left) === Number(right);
+}
+const toNumbers = values => values.flat().map(Number).filter(n => !isNaN(n));
+
+/**
+ * Helper functions callable from expressions, e.g. lower(name), daysBetween(a, b)
+ */
+const FUNCTIONS = {
+  // Strings
+  lower: s => (isNil(s) ? s : String(s).toLowerCase()),
+  upper: s => (isNil(s) ? s : String(s).toUpperCase()),
+  trim: s => (isNil(s) ? s : String(s).trim()),
+  length: x => (isNil(x) ? 0 : (typeof x === 'string' || Array.isArray(x) ? x.length : Object.keys(x).length)),
+  contains: (x, part) => (Array.isArray(x) ? x.includes(part) : toText(x).includes(toText(part))),
+  startsWith: (s, prefix) => toText(s).startsWith(toText(prefix)),
+  endsWith: (s, suffix) => toText(s).endsWith(toText(suffix)),
+  substring: (s, start, end) => toText(s).substring(start, end),
+  replace: (s, search, replacement) => toText(s).split(toText(search)).join(toText(replacement)),
+  concat: (...parts) => parts.map(toText).join(''),
+  string: x => toText(x),
+
+  // Null handling
+  exists: x => !isNil(x),
+  isEmpty: x => isNil(x) || x === '' || (Array.isArray(x) && x.length === 0) ||
+    (typeof x === 'object' && !(x instanceof Date) && Object.keys(x).length === 0),
+  coalesce: (...values) => values.find(v => !isNil(v)),
+
+  // Numbers
+  number: x => (isNil(x) || x === '' ? null : Number(x)),
+  abs: x => Math.abs(x),
+  round: (x, digits = 0) => {
+    const factor = Math.pow(10, digits);
+    return Math.round(Number(x) * factor) / factor;
+  },
+  floor: x => Math.floor(x),
+  ceil: x => Math.ceil(x),
+  min: (...values) => Math.min(...toNumbers(values)),
+  max: (...values) => Math.max(...toNumbers(values)),
+  sum: (...values) => toNumbers(values).reduce((total, n) => total + n, 0),
+  avg: (...values) => {
+    const numbers = toNumbers(values);
+    return numbers.length ? numbers.reduce((total, n) => total + n, 0) / numbers.length : null;
+  },
+
+  // Lists - count(results, true) counts matching items, count(list) the non-null ones
+  count: (list, value) => {
+    if (!Array.isArray(list)) return 0;
+    return list.filter(item => (value === undefined ? !isNil(item) : item === value)).length;
+  },
+
+  // Dates
+  now: () => new Date(),
+  today: () => {
+    const date = new Date();
+    date.setUTCHours(0, 0, 0, 0);
+    return date;
+  },
+  date: x => toDate(x),
+  addDays: (d, days) => {
+    const date = toDate(d);
+    return date ? new Date(date.getTime() + Number(days) * DAY_MS) : null;
+  },
+  addHours: (d, hours) => {
+    const date = toDate(d);
+    return date ? new Date(date.getTime() + Number(hours) * 60 * 60 * 1000) : null;
+  },
+  daysBetween: (a, b) => {
+    const from = toDate(a);
+    const to = toDate(b);
+    return from && to ? Math.floor((to.getTime() - from.getTime()) / DAY_MS) : null;
+  },
+  year: d => (toDate(d) ? toDate(d).getUTCFullYear() : null),
+  month: d => (toDate(d) ? toDate(d).getUTCMonth() + 1 : null),
+  day: d => (toDate(d) ? toDate(d).getUTCDate() : null),
+  isBefore: (a, b) => !!(toDate(a) && toDate(b) && toDate(a) < toDate(b)),
+  isAfter: (a, b) => !!(toDate(a) && toDate(b) && toDate(a) > toDate(b))
+};
+
+/**
+ * Whitelisted methods callable on values, e.g. status.toLowerCase()
+ */
+const METHODS = {
+  toLowerCase: { types: ['string'], fn: s => s.toLowerCase() },
+  toUpperCase: { types: ['string'], fn: s => s.toUpperCase() },
+  trim: { types: ['string'], fn: s => s.trim() },
+  startsWith: { types: ['string'], fn: (s, prefix) => s.startsWith(toText(prefix)) },
+  endsWith: { types: ['string'], fn: (s, suffix) => s.endsWith(toText(suffix)) },
+  substring: { types: ['string'], fn: (s, start, end) => s.substring(start, end) },
+  includes: { types: ['string', 'array'], fn: (x, part) => x.includes(part) },
+  indexOf: { types: ['string', 'array'], fn: (x, part) => x.indexOf(part) },
+  slice: { types: ['string', 'array'], fn: (x, start, end) => x.slice(start, end) },
+  join: { types: ['array'], fn: (a, separator = ',') => a.join(toText(separator)) },
+  toString: { types: ['string', 'number', 'boolean'], fn: x => String(x) }
+};
+
+/**
+ * Recursive descent parser producing a plain-object AST
+ */
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = this.tokenize(source);
+    this.index = 0;
+    this.depth = 0;
+  }
+
+  tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+      const ch = source[i];
+
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+
+      const start = i;
+
+      if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+        const match = /^(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+        tokens.push({ type: 'number', value: parseFloat(match[0]), position: start });
+        i += match[0].length;
+        continue;
+      }
+
+      if (ch === '"' || ch === "'") {
+        let value = '';
+        i++;
+
+        while (i < source.length && source[i] !== ch) {
+          if (source[i] === '\\' && i + 1 < source.length) {
+            const escaped = source[i + 1];
+            value += { n: '\n', t: '\t', r: '\r' }[escaped] || escaped;
+            i += 2;
+          } else {
+            value += source[i++];
+          }
+        }
+
+        if (i >= source.length) {
+          throw expressionError('Unterminated string', 'EXPRESSION_SYNTAX', start);
+        }
+
+        i++;
+        tokens.push({ type: 'string', value, position: start });
+        continue;
+      }
+
+      if (/[A-Za-z_$]/.test(ch)) {
+        const match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(source.slice(i));
+        const word = match[0];
+
+        if (hasOwn(KEYWORD_OPERATORS, word)) {
+          tokens.push({ type: 'operator', value: KEYWORD_OPERATORS[word], position: start });
+        } else if (word === 'in') {
+          tokens.push({ type: 'operator', value: 'in', position: start });
+        } else {
+          tokens.push({ type: 'identifier', value: word, position: start });
+        }
+
+        i += word.length;
+        continue;
+      }
+
+      const operator = OPERATORS.find(op => source.startsWith(op, i));
+      if (operator) {
+        tokens.push({ type: 'operator', value: operator, position: start });
+        i += operator.length;
+        continue;
+      }
+
+      throw expressionError(`Unexpected character "${ch}"`, 'EXPRESSION_SYNTAX', start);
+    }
+
+    tokens.push({ type: 'eof', value: null, position: source.length });
+    return tokens;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  match(...operators) {
+    const token = this.peek();
+    if (token.type === 'operator' && operators.includes(token.value)) {
+      this.index++;
+      return token;
+    }
+    return null;
+  }
+
+  expect(operator) {
+    const token = this.next();
+    if (token.type !== 'operator' || token.value !== operator) {
+      throw this.unexpected(token, `Expected "${operator}"`);
+    }
+    return token;
+  }
+
+  unexpected(token, message = 'Unexpected token') {
+    const found = token.type === 'eof' ? 'end of expression' : `"${token.value}"`;
+    return expressionError(`${message}: found ${found} at position ${token.position}`,
+      'EXPRESSION_SYNTAX', token.position);
+  }
+
+  parse() {
+    const ast = this.parseExpression();
+    const token = this.peek();
+
+    if (token.type !== 'eof') {
+      throw this.unexpected(token, 'Expected end of expression');
+    }
+
+    return ast;
+  }
+
+  parseExpression() {
+    if (++this.depth > MAX_DEPTH) {
+      throw expressionError('Expression is nested too deeply', 'EXPRESSION_SYNTAX', this.peek().position);
+    }
+
+    const node = this.parseConditional();
+    this.depth--;
+    return node;
+  }
+
+  parseConditional() {
+    const test = this.parseBinary(0);
+
+    if (this.match('?')) {
+      const consequent = this.parseExpression();
+      this.expect(':');
+      const alternate = this.parseExpression();
+      return { type: 'Conditional', test, consequent, alternate };
+    }
+
+    return test;
+  }
+
+  parseBinary(level) {
+    const levels = [
+      ['||', '??'],
+      ['&&'],
+      ['==', '!=', '===', '!=='],
+      ['<', '<=', '>', '>=', 'in'],
+      ['+', '-'],
+      ['*', '/', '%']
+    ];
+
+    if (level >= levels.length) {
+      return this.parseUnary();
+    }
+
+    let left = this.parseBinary(level + 1);
+    let token;
+
+    while ((token = this.match(...levels[level]))) {
+      const right = this.parseBinary(level + 1);
+      const type = ['||', '??', '&&'].includes(token.value) ? 'Logical' : 'Binary';
+      left = { type, operator: token.value, left, right };
+    }
+
+    return left;
+  }
+
+  parseUnary() {
+    const token = this.match('!', '-', '+');
+
+    if (token) {
+      if (++this.depth > MAX_DEPTH) {
+        throw expressionError('Expression is nested too deeply', 'EXPRESSION_SYNTAX', token.position);
+      }
+      const argument = this.parseUnary();
+      this.depth--;
+      return { type: 'Unary', operator: token.value, argument };
+    }
+
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+
+    for (;;) {
+      if (this.match('.', '?.')) {
+        const name = this.next();
+        if (name.type !== 'identifier') {
+          throw this.unexpected(name, 'Expected property name');
+        }
+        this.checkProperty(name.value, name.position);
+
+        if (this.peek().type === 'operator' && this.peek().value === '(') {
+          if (!hasOwn(METHODS, name.value)) {
+            throw expressionError(`Unknown method "${name.value}"`, 'EXPRESSION_SYNTAX', name.position);
+          }
+          node = { type: 'MethodCall', object: node, method: name.value, arguments: this.parseArguments() };
+        } else {
+          node = { type: 'Member', object: node, property: name.value, computed: false };
+        }
+      } else if (this.match('[')) {
+        const property = this.parseExpression();
+        this.expect(']');
+
+        if (property.type === 'Literal') {
+          this.checkProperty(String(property.value), this.peek().position);
+        }
+
+        node = { type: 'Member', object: node, property, computed: true };
+      } else if (this.peek().type === 'operator' && this.peek().value === '(') {
+        throw this.unexpected(this.peek(), 'Only helper functions and whitelisted methods can be called');
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'Literal', value: token.value };
+
+      case 'identifier':
+        if (token.value === 'true') return { type: 'Literal', value: true };
+        if (token.value === 'false') return { type: 'Literal', value: false };
+        if (token.value === 'null') return { type: 'Literal', value: null };
+        if (token.value === 'undefined') return { type: 'Literal', value: undefined };
+
+        if (this.peek().type === 'operator' && this.peek().value === '(') {
+          if (!hasOwn(FUNCTIONS, token.value)) {
+            throw expressionError(`Unknown function "${token.value}"`, 'EXPRESSION_SYNTAX', token.position);
+          }
+          return { type: 'Call', callee: token.value, arguments: this.parseArguments() };
+        }
+
+        this.checkProperty(token.value, token.position);
+        return { type: 'Identifier', name: token.value };
+
+      case 'operator':
+        if (token.value === '(') {
+          const expression = this.parseExpression();
+          this.expect(')');
+          return expression;
+        }
+
+        if (token.value === '[') {
+          const elements = [];
+          if (!this.match(']')) {
+            do {
+              elements.push(this.parseExpression());
+            } while (this.match(','));
+            this.expect(']');
+          }
+          return { type: 'Array', elements };
+        }
+
+        throw this.unexpected(token, 'Expected a value');
+
+      default:
+        throw this.unexpected(token, 'Expected a value');
+    }
+  }
+
+  parseArguments() {
+    this.expect('(');
+    const args = [];
+
+    if (!this.match(')')) {
+      do {
+        args.push(this.parseExpression());
+      } while (this.match(','));
+      this.expect(')');
+    }
+
+    return args;
+  }
+
+  checkProperty(name, position) {
+    if (FORBIDDEN_PROPERTIES.has(name)) {
+      throw expressionError(`Access to "${name}" is not allowed`, 'EXPRESSION_SYNTAX', position);
+    }
+  }
+}
+
+class ExpressionEvaluator {
+  constructor() {
+    // Parsed ASTs: expression source -> AST
+    this.cache = new Map();
+  }
+
+  /**
+   * Parse an expression into an AST (throws EXPRESSION_SYNTAX errors)
+   */
+  parse(expression) {
+    if (typeof expression !== 'string') {
+      throw expressionError('Expression must be a string', 'EXPRESSION_SYNTAX', 0);
+    }
+
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+      throw expressionError(`Expression exceeds ${MAX_EXPRESSION_LENGTH} characters`, 'EXPRESSION_SYNTAX', 0);
+    }
+
+    if (this.cache.has(expression)) {
+      return this.cache.get(expression);
+    }
+
+    const ast = new Parser(expression).parse();
+
+    if (this.cache.size >= MAX_CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(expression, ast);
+
+    return ast;
+  }
+
+  /**
+   * Check expression syntax without evaluating it
+   */
+  validate(expression) {
+    try {
+      const ast = this.parse(expression);
+      return { valid: true, error: null, position: null, references: this.getReferences(ast) };
+    } catch (error) {
+      return { valid: false, error: error.message, position: error.position ?? null, references: [] };
+    }
+  }
+
+  /**
+   * Collect the root variable names an AST reads
+   */
+  getReferences(ast) {
+    const references = new Set();
+
+    const visit = node => {
+      if (!node || typeof node !== 'object') return;
+
+      if (node.type === 'Identifier') {
+        references.add(node.name);
+        return;
+      }
+
+      Object.values(node).forEach(value => {
+        if (Array.isArray(value)) {
+          value.forEach(visit);
+        } else if (value && typeof value === 'object') {
+          visit(value);
+        }
+      });
+    };
+
+    visit(ast);
+    return Array.from(references);
+  }
+
+  /**
+   * Evaluate an expression against process data and token variables
+   */
+  evaluate(expression, context = {}) {
+    const ast = this.parse(expression);
+    const data = { ...(context.processData || {}), ...(context.variables || {}) };
+
+    return this.evaluateNode(ast, data);
+  }
+
+  /**
+   * Evaluate a condition to a boolean - empty conditions are true
+   */
+  evaluateCondition(condition, context = {}) {
+    if (condition === undefined || condition === null || String(condition).trim() === '') {
+      return true;
+    }
+
+    return Boolean(this.evaluate(String(condition), context));
+  }
+
+  /**
+   * Interpret an AST node
+   */
+  evaluateNode(node, data) {
+    switch (node.type) {
+      case 'Literal':
+        return node.value;
+
+      case 'Array':
+        return node.elements.map(element => this.evaluateNode(element, data));
+
+      case 'Identifier':
+        if (node.name === 'processData') return data;
+        return hasOwn(data, node.name) ? data[node.name] : undefined;
+
+      case 'Member': {
+        const object = this.evaluateNode(node.object, data);
+        const property = node.computed ? this.evaluateNode(node.property, data) : node.property;
+        return this.getProperty(object, property);
+      }
+
+      case 'Call': {
+        const args = node.arguments.map(arg => this.evaluateNode(arg, data));
+        return FUNCTIONS[node.callee](...args);
+      }
+
+      case 'MethodCall': {
+        const target = this.evaluateNode(node.object, data);
+        if (isNil(target)) return undefined;
+
+        const method = METHODS[node.method];
+        const targetType = Array.isArray(target) ? 'array' : typeof target;
+        if (!method.types.includes(targetType)) {
+          throw expressionError(`Method "${node.method}" is not available on ${targetType} values`, 'EXPRESSION_EVALUATION');
+        }
+
+        const args = node.arguments.map(arg => this.evaluateNode(arg, data));
+        return method.fn(target, ...args);
+      }
+
+      case 'Unary': {
+        const value = this.evaluateNode(node.argument, data);
+        if (node.operator === '!') return !value;
+        if (node.operator === '-') return -value;
+        return +value;
+      }
+
+      case 'Logical': {
+        const left = this.evaluateNode(node.left, data);
+        if (node.operator === '&&') return left ? this.evaluateNode(node.right, data) : left;
+        if (node.operator === '||') return left ? left : this.evaluateNode(node.right, data);
+        return isNil(left) ? this.evaluateNode(node.right, data) : left;
+      }
+
+      case 'Binary':
+        return this.evaluateBinary(
+          node.operator,
+          this.evaluateNode(node.left, data),
+          this.evaluateNode(node.right, data)
+        );
+
+      case 'Conditional':
+        return this.evaluateNode(node.test, data)
+          ? this.evaluateNode(node.consequent, data)
+          : this.evaluateNode(node.alternate, data);
+
+      default:
+        throw expressionError(`Unsupported expression node: ${node.type}`, 'EXPRESSION_EVALUATION');
+    }
+  }
+
+  /**
+   * Apply a binary operator (dates compare by value)
+   */
+  evaluateBinary(operator, left, right) {
+    if (left instanceof Date && right instanceof Date) {
+      left = left.getTime();
+      right = right.getTime();
+    }
+
+    switch (operator) {
+      case '==': return looseEquals(left, right);
+      case '!=': return !looseEquals(left, right);
+      case '===': return left === right;
+      case '!==': return left !== right;
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      case '>=': return left >= right;
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/': return left / right;
+      case '%': return left % right;
+      case 'in':
+        if (Array.isArray(right)) return right.includes(left);
+        if (typeof right === 'string') return right.includes(toText(left));
+        if (right && typeof right === 'object') return hasOwn(right, left);
+        return false;
+      default:
+        throw expressionError(`Unsupported operator: ${operator}`, 'EXPRESSION_EVALUATION');
+    }
+  }
+
+  /**
+   * Null-safe own-property access
+   */
+  getProperty(object, property) {
+    if (isNil(object) || isNil(property)) {
+      return undefined;
+    }
+
+    const key = String(property);
+    if (FORBIDDEN_PROPERTIES.has(key)) {
+      throw expressionError(`Access to "${key}" is not allowed`, 'EXPRESSION_EVALUATION');
+    }
+
+    if (typeof object === 'string' || Array.isArray(object)) {
+      if (key === 'length') return object.length;
+      return /^\d+$/.test(key) ? object[Number(key)] : undefined;
+    }
+
+    if (typeof object === 'object' && !(object instanceof Date) && hasOwn(object, key)) {
+      return object[key];
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Names of the available helper functions
+   */
+  getFunctionNames() {
+    return Object.keys(FUNCTIONS);
+  }
+}
+
+module.exports = new ExpressionEvaluator();
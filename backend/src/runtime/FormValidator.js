@@ -0,0 +1,293 @@
+/**
+ * Form Validator
+ * Validates user task submissions against form field definitions and maps
+ * declared fields into process data
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^https?:\/\/[^\s]+$/i;
+
+const NUMBER_TYPES = ['number', 'currency', 'slider', 'rating'];
+const BOOLEAN_TYPES = ['boolean', 'checkbox', 'switch', 'toggle', 'consent'];
+const DATE_TYPES = ['date', 'datetime', 'datetime-local'];
+const MULTI_VALUE_TYPES = ['multiselect', 'tags'];
+
+// Display-only or client-computed components - never taken from a submission
+const NON_INPUT_TYPES = ['label', 'section', 'card', 'Progress Bar', 'timer', 'calculated'];
+
+class FormValidator {
+  /**
+   * Validate a submission
+   * @returns {Object} { valid, errors: [{ field, label, rule, message }], values }
+   *   values holds the coerced values of the declared fields that were submitted
+   */
+  validate(fields = [], submission = {}) {
+    const errors = [];
+    const values = {};
+    const data = submission || {};
+
+    for (const field of fields) {
+      const key = this.getFieldKey(field);
+
+      if (!key || NON_INPUT_TYPES.includes(field.type) || field.readonly) {
+        continue;
+      }
+
+      // Conditional fields only apply when their controlling field matches
+      if (field.conditional?.field && data[field.conditional.field] !== field.conditional.value) {
+        continue;
+      }
+
+      const rules = this.getRules(field);
+      const raw = data[key];
+
+      if (this.isEmpty(raw)) {
+        if (rules.required) {
+          errors.push(this.fieldError(field, key, 'required', `${this.getLabel(field, key)} is required`));
+        }
+        continue;
+      }
+
+      const { value, error } = this.coerce(field, raw);
+      if (error) {
+        errors.push(this.fieldError(field, key, 'type', `${this.getLabel(field, key)} ${error}`));
+        continue;
+      }
+
+      const ruleError = this.checkRules(field, key, value, rules);
+      if (ruleError) {
+        errors.push(ruleError);
+        continue;
+      }
+
+      values[key] = value;
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      values
+    };
+  }
+
+  /**
+   * Map validated values into process variables
+   * Without a mapping every declared field keeps its own name; with one, only
+   * mapped fields are written ({ formField: processVariable })
+   */
+  mapOutput(values, outputMapping = null) {
+    if (!outputMapping || Object.keys(outputMapping).length === 0) {
+      return { ...values };
+    }
+
+    const output = {};
+    for (const [fieldKey, variable] of Object.entries(outputMapping)) {
+      if (variable && Object.prototype.hasOwnProperty.call(values, fieldKey)) {
+        output[variable] = values[fieldKey];
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Field key used in submissions (same lookup as the form renderers)
+   */
+  getFieldKey(field) {
+    return field.name || field.fieldName || field.id;
+  }
+
+  /**
+   * Human-readable field label for messages
+   */
+  getLabel(field, key) {
+    return field.label || key;
+  }
+
+  /**
+   * Collect rules from the field and its validation block
+   * Supports both { pattern, minLength } objects and ["minLength:2"] rule lists
+   */
+  getRules(field) {
+    const validation = field.validation || {};
+    const rules = {
+      required: !!(field.required || validation.required),
+      min: field.min ?? validation.min,
+      max: field.max ?? validation.max,
+      minLength: field.minLength ?? validation.minLength,
+      maxLength: field.maxLength ?? validation.maxLength,
+      pattern: field.pattern || validation.pattern,
+      minDate: field.minDate,
+      maxDate: field.maxDate,
+      maxSelections: field.maxSelections
+    };
+
+    for (const rule of validation.rules || []) {
+      if (typeof rule !== 'string') {
+        continue;
+      }
+
+      const separator = rule.indexOf(':');
+      const name = separator === -1 ? rule : rule.substring(0, separator);
+      const arg = separator === -1 ? null : rule.substring(separator + 1);
+
+      if (name === 'required') {
+        rules.required = true;
+      } else if (['min', 'max', 'minLength', 'maxLength'].includes(name)) {
+        rules[name] = parseFloat(arg);
+      } else if (name === 'pattern') {
+        rules.pattern = arg;
+      } else if (name === 'email') {
+        rules.email = true;
+      }
+    }
+
+    return rules;
+  }
+
+  /**
+   * Coerce a submitted value to the field's type (form posts often send strings)
+   */
+  coerce(field, raw) {
+    const type = field.type;
+
+    if (NUMBER_TYPES.includes(type)) {
+      const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+      return typeof value === 'number' && Number.isFinite(value)
+        ? { value }
+        : { error: 'must be a number' };
+    }
+
+    if (BOOLEAN_TYPES.includes(type)) {
+      if (typeof raw === 'boolean') return { value: raw };
+      if (raw === 'true') return { value: true };
+      if (raw === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    }
+
+    if (DATE_TYPES.includes(type)) {
+      return typeof raw === 'string' && !isNaN(new Date(raw).getTime())
+        ? { value: raw }
+        : { error: 'must be a valid date' };
+    }
+
+    if (MULTI_VALUE_TYPES.includes(type)) {
+      return Array.isArray(raw) ? { value: raw } : { error: 'must be a list' };
+    }
+
+    if (type === 'email') {
+      return typeof raw === 'string' && EMAIL_PATTERN.test(raw)
+        ? { value: raw }
+        : { error: 'must be a valid email address' };
+    }
+
+    if (type === 'url') {
+      return typeof raw === 'string' && URL_PATTERN.test(raw)
+        ? { value: raw }
+        : { error: 'must be a valid URL' };
+    }
+
+    return { value: raw };
+  }
+
+  /**
+   * Check length, range, pattern and option rules; returns the first failure
+   */
+  checkRules(field, key, value, rules) {
+    const label = this.getLabel(field, key);
+    const fail = (rule, message) => this.fieldError(field, key, rule, message);
+
+    if (typeof value === 'string') {
+      if (rules.minLength != null && value.length < rules.minLength) {
+        return fail('minLength', `${label} must be at least ${rules.minLength} characters`);
+      }
+      if (rules.maxLength != null && value.length > rules.maxLength) {
+        return fail('maxLength', `${label} must be at most ${rules.maxLength} characters`);
+      }
+      if (rules.pattern && !this.matchesPattern(rules.pattern, value)) {
+        return fail('pattern', `${label} has an invalid format`);
+      }
+      if (rules.email && !EMAIL_PATTERN.test(value)) {
+        return fail('email', `${label} must be a valid email address`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (rules.min != null && value < rules.min) {
+        return fail('min', `${label} must be at least ${rules.min}`);
+      }
+      if (rules.max != null && value > rules.max) {
+        return fail('max', `${label} must be at most ${rules.max}`);
+      }
+    }
+
+    if (DATE_TYPES.includes(field.type)) {
+      const date = new Date(value);
+      if (rules.minDate && this.isDate(rules.minDate) && date < new Date(rules.minDate)) {
+        return fail('minDate', `${label} must be on or after ${rules.minDate}`);
+      }
+      if (rules.maxDate && this.isDate(rules.maxDate) && date > new Date(rules.maxDate)) {
+        return fail('maxDate', `${label} must be on or before ${rules.maxDate}`);
+      }
+    }
+
+    if (Array.isArray(field.options) && field.options.length > 0) {
+      const allowed = field.options.map(option => (option && typeof option === 'object' ? option.value : option));
+      const selected = Array.isArray(value) ? value : [value];
+
+      if (selected.some(item => !allowed.includes(item))) {
+        return fail('options', `${label} must be one of: ${allowed.join(', ')}`);
+      }
+    }
+
+    if (Array.isArray(value) && rules.maxSelections != null && value.length > rules.maxSelections) {
+      return fail('maxSelections', `${label} allows at most ${rules.maxSelections} selections`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Test a pattern; an invalid pattern in the form definition never blocks a submission
+   */
+  matchesPattern(pattern, value) {
+    try {
+      return new RegExp(pattern).test(value);
+    } catch (error) {
+      console.warn(`[FormValidator] Ignoring invalid pattern ${pattern}: ${error.message}`);
+      return true;
+    }
+  }
+
+  /**
+   * Whether a value is a parseable absolute date (minDate may also be a keyword like "today")
+   */
+  isDate(value) {
+    return !isNaN(new Date(value).getTime());
+  }
+
+  /**
+   * Whether a submitted value counts as missing
+   */
+  isEmpty(value) {
+    return value === undefined || value === null ||
+      (typeof value === 'string' && value.trim() === '') ||
+      (Array.isArray(value) && value.length === 0);
+  }
+
+  /**
+   * Build a per-field error (the form's own error message wins if it defines one)
+   */
+  fieldError(field, key, rule, message) {
+    const custom = field.validation?.errorMessage || field.validation?.message;
+
+    return {
+      field: key,
+      label: this.getLabel(field, key),
+      rule,
+      message: custom || message
+    };
+  }
+}
+
+module.exports = new FormValidator();
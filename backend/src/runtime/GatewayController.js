@@ -1,9 +1,13 @@
 /**
  * Gateway Controller
- * Handles workflow gateway logic for parallel and inclusive execution
+ * Handles workflow gateway logic for parallel, inclusive, event-based and complex execution
  */
 
 const tokenManager = require('./TokenManager');
+const expressionEvaluator = require('./ExpressionEvaluator');
+
+// Catch events an event-based gateway can wait for
+const EVENT_GATEWAY_TARGET_TYPES = ['messageEvent', 'signalEvent', 'timerEvent'];
 
 class GatewayController {
   constructor() {
@@ -327,6 +331,144 @@ class GatewayController {
     };
   }
 
+  /**
+   * Process Event-Based Gateway
+   * The token waits at the gateway for whichever catch event behind it occurs first
+   */
+  async processEventBasedGateway(gateway, token, workflow, instance) {
+    const outgoingFlows = this.getOutgoingFlows(gateway.id, workflow);
+
+    if (outgoingFlows.length === 0) {
+      throw new Error(`Event-based gateway ${gateway.id} has no outgoing flows`);
+    }
+
+    const events = outgoingFlows.map(flow => {
+      const target = (workflow.nodes || []).find(n => n.id === flow.targetId);
+
+      if (!target || !EVENT_GATEWAY_TARGET_TYPES.includes(target.type)) {
+        throw new Error(`Event-based gateway ${gateway.id} must lead to message, signal or timer events (${flow.targetId} is ${target?.type || 'missing'})`);
+      }
+
+      return { nodeId: target.id, eventType: target.type };
+    });
+
+    console.log(`[GatewayController] Event-based gateway at ${gateway.id}, waiting for ${events.length} events`);
+
+    return {
+      type: 'event',
+      gateway: gateway.id,
+      token: token,
+      events
+    };
+  }
+
+  /**
+   * Process Complex Gateway Join
+   * Fires once its activation condition holds - at the latest when all expected tokens
+   * arrived. Tokens arriving after it fired are consumed.
+   */
+  async processComplexGatewayJoin(gateway, token, workflow, instance) {
+    const incomingFlows = this.getIncomingFlows(gateway.id, workflow);
+
+    if (incomingFlows.length === 0) {
+      throw new Error(`Complex gateway ${gateway.id} has no incoming flows`);
+    }
+
+    // Initialize gateway state if needed (a complex or inclusive split may have set the expected count)
+    if (!this.gatewayStates.has(instance.id)) {
+      this.gatewayStates.set(instance.id, new Map());
+    }
+
+    const instanceGateways = this.gatewayStates.get(instance.id);
+
+    if (!instanceGateways.has(gateway.id)) {
+      instanceGateways.set(gateway.id, {
+        expectedTokens: incomingFlows.length,
+        arrivedTokens: [],
+        timestamp: new Date()
+      });
+    }
+
+    const gatewayState = instanceGateways.get(gateway.id);
+
+    // Register token arrival
+    if (!gatewayState.arrivedTokens.includes(token.id)) {
+      gatewayState.arrivedTokens.push(token.id);
+    }
+
+    const arrived = gatewayState.arrivedTokens.length;
+    const expected = gatewayState.expectedTokens;
+
+    console.log(`[GatewayController] Complex join at ${gateway.id}: ${arrived}/${expected} tokens arrived`);
+
+    // Already fired - the late token ends here
+    if (gatewayState.fired) {
+      tokenManager.completeToken(instance.id, token.id);
+
+      if (arrived >= expected) {
+        instanceGateways.delete(gateway.id);
+      }
+
+      return {
+        type: 'consumed',
+        gateway: gateway.id,
+        token: token,
+        arrived,
+        expected
+      };
+    }
+
+    const condition = gateway.data?.activationCondition;
+    const activated = arrived >= expected || (!!condition && await this.evaluateCondition(
+      condition,
+      { ...token.variables, nrOfArrivedTokens: arrived, nrOfExpectedTokens: expected },
+      instance
+    ));
+
+    if (!activated) {
+      return {
+        type: 'wait',
+        gateway: gateway.id,
+        waiting: true,
+        arrived,
+        expected
+      };
+    }
+
+    const outgoingFlows = this.getOutgoingFlows(gateway.id, workflow);
+
+    if (outgoingFlows.length === 0) {
+      throw new Error(`Complex gateway ${gateway.id} has no outgoing flow after join`);
+    }
+
+    const targetNodeId = outgoingFlows[0].targetId;
+
+    // Merge the tokens that arrived so far
+    const mergedToken = tokenManager.mergeTokens(
+      instance.id,
+      gatewayState.arrivedTokens,
+      targetNodeId
+    );
+
+    if (arrived >= expected) {
+      instanceGateways.delete(gateway.id);
+    } else {
+      // Keep counting so the remaining tokens are consumed and the state is reset
+      gatewayState.fired = true;
+    }
+
+    console.log(`[GatewayController] Complex join fired at ${gateway.id} with ${arrived}/${expected} tokens, merged into token ${mergedToken.id}`);
+
+    return {
+      type: 'join',
+      gateway: gateway.id,
+      token: mergedToken,
+      nextNode: targetNodeId,
+      arrived,
+      expected
+    };
+  }
+
   /**
    * Evaluate a flow condition
    */
@@ -337,24 +479,15 @@ class GatewayController {
     }
 
     try {
-      // Simple expression evaluation
-      // Support: variable == value, variable > value, variable < value, etc.
-
-      // Replace variable references with actual values
-      let expression = condition;
-      for (const [key, value] of Object.entries(variables)) {
-        const regex = new RegExp(`\\b${key}\\b`, 'g');
-        const replacementValue = typeof value === 'string' ? `"${value}"` : value;
-        expression = expression.replace(regex, replacementValue);
-      }
-
-      // Evaluate expression safely
-      // In production, use a proper expression parser
-      const result = eval(expression);
+      // Token variables take precedence over instance process data
+      const result = expressionEvaluator.evaluateCondition(condition, {
+        processData: instance?.processData || {},
+        variables: variables || {}
+      });
 
       console.log(`[GatewayController] Condition "${condition}" evaluated to ${result}`);
 
-      return Boolean(result);
+      return result;
     } catch (error) {
       console.error(`[GatewayController] Error evaluating condition "${condition}":`, error);
       return false;
@@ -441,7 +574,7 @@ class GatewayController {
     // Return first gateway in common nodes
     for (const nodeId of commonNodes) {
       const node = workflow.nodes.find(n => n.id === nodeId);
-      if (node && (node.type === 'gateway' || node.type === 'parallelGateway' || node.type === 'inclusiveGateway')) {
+      if (node && ['gateway', 'parallelGateway', 'inclusiveGateway', 'complexGateway'].includes(node.type)) {
         return node;
       }
     }
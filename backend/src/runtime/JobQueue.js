@@ -0,0 +1,356 @@
+/**
+ * Job Queue
+ * Persistent queue of token steps, processed by polling workers
+ * One file per job under data/jobs, named by sequence, job and instance, so the
+ * instances with work are known from the directory listing alone. Jobs of an
+ * instance run one at a time under the instance's distributed lock, so several
+ * backend processes can share the queue. A job runs once: retries belong to
+ * the engine (node retry policies, recovering failed instances)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const distributedLockManager = require('./DistributedLockManager');
+
+class JobQueue {
+  constructor() {
+    // Job storage directory
+    this.jobDir = path.join(__dirname, '../../data/jobs');
+
+    // Callback that executes a job (registered by the runtime engine)
+    this.handler = null;
+
+    // Instances this process is currently working on
+    this.activeInstances = new Set();
+
+    // Configuration
+    this.config = {
+      pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 500,
+      concurrency: parseInt(process.env.JOB_WORKER_CONCURRENCY, 10) || 4,
+      lockAcquireTimeout: 50
+    };
+
+    this.started = false;
+    this.polling = false;
+    this.pollTimer = null;
+    this.sequence = 0;
+
+    this.stats = {
+      enqueued: 0,
+      completed: 0,
+      failed: 0,
+      lockMisses: 0
+    };
+  }
+
+  /**
+   * Register the callback that executes a job
+   */
+  setHandler(handler) {
+    this.handler = handler;
+  }
+
+  /**
+   * Create the job directory and start polling
+   */
+  async start() {
+    if (this.started) {
+      return;
+    }
+
+    await fs.mkdir(this.jobDir, { recursive: true });
+    this.started = true;
+
+    const pending = await this.listJobFiles();
+    console.log(`[JobQueue] Started with ${pending.length} pending jobs (concurrency ${this.config.concurrency})`);
+
+    this.schedulePoll(0);
+  }
+
+  /**
+   * Persist a new job and wake the workers
+   * @param {Object} job - type, instanceId and optional tokenId, nodeId, payload
+   */
+  async enqueue({ type, instanceId, tokenId = null, nodeId = null, payload = {} }) {
+    const now = Date.now();
+
+    const job = {
+      id: uuidv4(),
+      // Sortable key so jobs run in enqueue order
+      sequence: `${now.toString().padStart(15, '0')}-${(this.sequence++ % 1e6).toString().padStart(6, '0')}`,
+      type,
+      instanceId,
+      tokenId,
+      nodeId,
+      payload,
+      createdAt: new Date(now).toISOString()
+    };
+
+    await fs.mkdir(this.jobDir, { recursive: true });
+    await this.writeJob(job);
+
+    this.stats.enqueued++;
+    console.log(`[JobQueue] Enqueued ${type} job ${job.id} for ${instanceId}${nodeId ? ` at ${nodeId}` : ''}`);
+
+    this.schedulePoll(0);
+
+    return job;
+  }
+
+  /**
+   * List pending job files in execution order, without reading them
+   * @returns {Array} { file, instanceId } per job
+   */
+  async listJobFiles(instanceId = null) {
+    let files;
+    try {
+      files = await fs.readdir(this.jobDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return files
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => ({ file, instanceId: this.parseJobFileName(file) }))
+      .filter(entry => entry.instanceId && (!instanceId || entry.instanceId === instanceId));
+  }
+
+  /**
+   * List pending jobs in execution order (only the files of instanceId when given)
+   */
+  async listJobs(instanceId = null) {
+    const jobs = [];
+
+    for (const { file } of await this.listJobFiles(instanceId)) {
+      const job = await this.readJob(file);
+      if (job) {
+        jobs.push(job);
+      }
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Read the first pending job of an instance (null when it has none)
+   */
+  async nextJob(instanceId) {
+    for (const { file } of await this.listJobFiles(instanceId)) {
+      const job = await this.readJob(file);
+      if (job) {
+        return job;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read a job file (null when another worker removed it in the meantime)
+   */
+  async readJob(file) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.jobDir, file), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[JobQueue] Skipping unreadable job file ${file}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Delete all pending jobs of an instance
+   */
+  async removeInstanceJobs(instanceId) {
+    const jobs = await this.listJobs(instanceId);
+
+    for (const job of jobs) {
+      await this.removeJob(job);
+    }
+
+    return jobs.length;
+  }
+
+  /**
+   * Arm the next poll (immediately when work was just added)
+   */
+  schedulePoll(delay = this.config.pollInterval) {
+    if (!this.started) {
+      return;
+    }
+
+    if (this.pollTimer) {
+      if (delay > 0) {
+        return;
+      }
+      clearTimeout(this.pollTimer);
+    }
+
+    this.pollTimer = setTimeout(() => {
+      this.pollTimer = null;
+      this.poll().catch(error => {
+        console.error('[JobQueue] Poll failed:', error);
+      });
+    }, delay);
+
+    if (this.pollTimer.unref) {
+      this.pollTimer.unref();
+    }
+  }
+
+  /**
+   * Hand instances with pending jobs to free workers
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+
+    this.polling = true;
+
+    try {
+      const jobs = await this.listJobFiles();
+      const instanceIds = [...new Set(jobs.map(j => j.instanceId))];
+
+      for (const instanceId of instanceIds) {
+        if (this.activeInstances.size >= this.config.concurrency) {
+          break;
+        }
+
+        if (!this.activeInstances.has(instanceId)) {
+          this.processInstance(instanceId).catch(error => {
+            console.error(`[JobQueue] Worker failed for ${instanceId}:`, error);
+          });
+        }
+      }
+    } finally {
+      this.polling = false;
+      this.schedulePoll();
+    }
+  }
+
+  /**
+   * Drain the jobs of one instance while holding its lock
+   */
+  async processInstance(instanceId) {
+    this.activeInstances.add(instanceId);
+    const lockKey = `instance_${instanceId}`;
+
+    try {
+      const lock = await distributedLockManager.acquireLock(lockKey, {
+        acquireTimeout: this.config.lockAcquireTimeout,
+        metadata: { operation: 'job_worker' }
+      });
+
+      if (!lock.success) {
+        // Another process is working on this instance
+        this.stats.lockMisses++;
+        return;
+      }
+
+      try {
+        let job;
+        // Re-read after every job: the handler may have enqueued follow-ups
+        while ((job = await this.nextJob(instanceId))) {
+          await this.runJob(job);
+        }
+      } finally {
+        await distributedLockManager.releaseLock(lockKey);
+      }
+    } finally {
+      this.activeInstances.delete(instanceId);
+    }
+  }
+
+  /**
+   * Execute a single job and remove it once handled
+   * A failed job is not run again: the engine has failed its instance (or left
+   * its token in place, where recovery and the stranded-token scan find it),
+   * and running it again could repeat side effects of a failed step
+   */
+  async runJob(job) {
+    try {
+      if (!this.handler) {
+        throw new Error('No job handler registered');
+      }
+
+      await this.handler(job);
+      this.stats.completed++;
+    } catch (error) {
+      console.error(`[JobQueue] ${job.type} job ${job.id} for ${job.instanceId} failed, dropping it:`, error);
+      this.stats.failed++;
+    }
+
+    await this.removeJob(job);
+  }
+
+  /**
+   * Write a job file
+   */
+  async writeJob(job) {
+    await fs.writeFile(this.getJobFilePath(job), JSON.stringify(job, null, 2));
+  }
+
+  /**
+   * Delete a job file
+   */
+  async removeJob(job) {
+    try {
+      await fs.unlink(this.getJobFilePath(job));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Get job file path: <sequence>_<job id>_<instance id>.json (sequence first so
+   * directory order is queue order; the instance id is URI-encoded)
+   */
+  getJobFilePath(job) {
+    return path.join(this.jobDir, `${job.sequence}_${job.id}_${encodeURIComponent(job.instanceId)}.json`);
+  }
+
+  /**
+   * Instance id of a job file name (null for files that are not jobs)
+   */
+  parseJobFileName(file) {
+    const match = file.match(/^[^_]+_[^_]+_(.+)\.json$/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  /**
+   * Get queue statistics
+   */
+  async getStats() {
+    const pending = await this.listJobFiles();
+
+    return {
+      ...this.stats,
+      pending: pending.length,
+      activeInstances: this.activeInstances.size,
+      workerId: distributedLockManager.instanceId
+    };
+  }
+
+  /**
+   * Stop polling (pending jobs stay on disk for the next start)
+   */
+  shutdown() {
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.started = false;
+    console.log('[JobQueue] Shutdown complete');
+  }
+}
+
+module.exports = new JobQueue();
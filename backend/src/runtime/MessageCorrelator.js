@@ -0,0 +1,179 @@
+/**
+ * Message Correlator
+ * Persisted message and signal subscriptions of parked tokens, and matching
+ * of incoming messages to them by name and correlation keys
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const workflowDatabase = require('../database/WorkflowDatabase');
+const expressionEvaluator = require('./ExpressionEvaluator');
+const { codedError } = require('./errors');
+
+const SUBSCRIPTION_TYPES = ['message', 'signal'];
+
+class MessageCorrelator {
+  /**
+   * Subscribe a parked token to a message or signal
+   * @param {Object} subscription - instanceId, tokenId, nodeId, type ('message' | 'signal'),
+   *   name, correlationKeys ({ key: value }), outputMapping
+   */
+  async subscribe({ instanceId, tokenId, nodeId, type, name, correlationKeys = {}, outputMapping = null }) {
+    if (!SUBSCRIPTION_TYPES.includes(type)) {
+      throw new Error(`Unknown subscription type: ${type}`);
+    }
+
+    if (!name) {
+      throw new Error(`A ${type} name is required to subscribe node ${nodeId}`);
+    }
+
+    const subscription = {
+      id: uuidv4(),
+      instanceId,
+      tokenId,
+      nodeId,
+      type,
+      name,
+      correlationKeys,
+      outputMapping,
+      createdAt: new Date().toISOString()
+    };
+
+    await workflowDatabase.saveSubscription(subscription);
+    console.log(`[MessageCorrelator] ${instanceId} token ${tokenId} subscribed to ${type} ${name}`);
+
+    return subscription;
+  }
+
+  /**
+   * Resolve a node's correlation keys against the token's data
+   * Accepts a list of variable names (["orderId"], or "orderId, customerId")
+   * or a { key: expression } object
+   */
+  resolveCorrelationKeys(correlationKeys, context = {}) {
+    if (!correlationKeys) {
+      return {};
+    }
+
+    const expressions = typeof correlationKeys === 'object' && !Array.isArray(correlationKeys)
+      ? correlationKeys
+      : Object.fromEntries(this.toList(correlationKeys).map(key => [key, key]));
+
+    const resolved = {};
+    for (const [key, expression] of Object.entries(expressions)) {
+      const value = expressionEvaluator.evaluate(String(expression), context);
+
+      if (value === undefined || value === null) {
+        console.warn(`[MessageCorrelator] Correlation key ${key} (${expression}) has no value`);
+      }
+      resolved[key] = value ?? null;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Find subscriptions for a message or signal
+   * A subscription matches when every one of its correlation keys is given
+   * with an equal value; keys the subscription doesn't use are ignored
+   */
+  async findSubscriptions(type, name, correlationKeys = {}) {
+    const subscriptions = await workflowDatabase.loadSubscriptions();
+
+    return subscriptions
+      .filter(s => s.type === type && s.name === name)
+      .filter(s => Object.entries(s.correlationKeys || {})
+        .every(([key, value]) => this.keyMatches(value, correlationKeys[key])))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Remove a subscription that is being correlated
+   * Returns false when another message already consumed it
+   */
+  async consume(subscription) {
+    return await workflowDatabase.deleteSubscription(subscription.id);
+  }
+
+  /**
+   * List subscriptions (optionally by instance, type or name)
+   */
+  async listSubscriptions(filters = {}) {
+    const subscriptions = filters.instanceId
+      ? await workflowDatabase.getSubscriptionsByInstance(filters.instanceId)
+      : await workflowDatabase.loadSubscriptions();
+
+    return subscriptions
+      .filter(s => !filters.type || s.type === filters.type)
+      .filter(s => !filters.name || s.name === filters.name);
+  }
+
+  /**
+   * Cancel the subscriptions of an instance, optionally only those of one token
+   */
+  async cancelInstanceSubscriptions(instanceId, tokenId = null) {
+    const subscriptions = (await workflowDatabase.getSubscriptionsByInstance(instanceId))
+      .filter(s => !tokenId || s.tokenId === tokenId);
+
+    for (const subscription of subscriptions) {
+      await workflowDatabase.deleteSubscription(subscription.id);
+    }
+
+    if (subscriptions.length > 0) {
+      console.log(`[MessageCorrelator] Cancelled ${subscriptions.length} subscription(s) of ${instanceId}`);
+    }
+
+    return subscriptions.length;
+  }
+
+  /**
+   * Point the subscriptions of an instance at the nodes they map to (after
+   * the instance moved to another workflow version)
+   * @param {Function} mapNodeId - old node ID -> new node ID
+   */
+  async remapInstanceSubscriptions(instanceId, mapNodeId) {
+    const subscriptions = await workflowDatabase.getSubscriptionsByInstance(instanceId);
+
+    for (const subscription of subscriptions) {
+      subscription.nodeId = mapNodeId(subscription.nodeId);
+      await workflowDatabase.saveSubscription(subscription);
+    }
+
+    return subscriptions.length;
+  }
+
+  /**
+   * Validate the name of an incoming message or signal
+   */
+  requireName(type, name) {
+    if (!name || typeof name !== 'string') {
+      throw codedError(`A ${type} name is required`, 'INVALID_MESSAGE');
+    }
+  }
+
+  /**
+   * Compare a subscribed key with a message value (HTTP callers often send numbers as strings)
+   */
+  keyMatches(expected, actual) {
+    if (actual === undefined) {
+      return false;
+    }
+
+    if (expected === null || actual === null) {
+      return expected === actual;
+    }
+
+    return typeof expected === 'object' || typeof actual === 'object'
+      ? JSON.stringify(expected) === JSON.stringify(actual)
+      : String(expected) === String(actual);
+  }
+
+  /**
+   * Normalize an array or comma-separated string into a list of names
+   */
+  toList(value) {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+  }
+}
+
+module.exports = new MessageCorrelator();
@@ -0,0 +1,195 @@
+/**
+ * Notification Service
+ * Delivers notifications from sendTask/notification nodes through pluggable channels
+ * (email, webhook, slack, inbox). NOTIFICATION_TRANSPORT=console|file keeps outbound
+ * channels offline: messages are logged or appended to an outbox file instead of sent.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const notificationDatabase = require('../database/NotificationDatabase');
+const credentialVault = require('./CredentialVault');
+const { codedError } = require('./errors');
+
+const TRANSPORTS = ['live', 'console', 'file'];
+const OUTBOX_FILE = process.env.NOTIFICATION_OUTBOX_FILE || path.join(__dirname, '../../data/outbox.jsonl');
+
+class NotificationService {
+  constructor() {
+    this.channels = new Map();
+
+    for (const channel of [
+      require('./notifications/EmailChannel'),
+      require('./notifications/WebhookChannel'),
+      require('./notifications/SlackChannel'),
+      require('./notifications/InboxChannel')
+    ]) {
+      this.register(channel);
+    }
+  }
+
+  /**
+   * Register a channel - an object with a type and deliver(message)
+   * Outbound channels (outbound: true) follow NOTIFICATION_TRANSPORT
+   */
+  register(channel) {
+    if (!channel || !channel.type || typeof channel.deliver !== 'function') {
+      throw codedError('Invalid channel: type and deliver(message) are required', 'INVALID_NOTIFICATION');
+    }
+
+    this.channels.set(channel.type, channel);
+    return channel;
+  }
+
+  /**
+   * Get a channel by type (throws NOTIFICATION_CHANNEL_NOT_FOUND)
+   */
+  getChannel(type) {
+    const channel = this.channels.get(type);
+
+    if (!channel) {
+      throw codedError(
+        `Notification channel "${type}" is not available (one of: ${[...this.channels.keys()].join(', ')})`,
+        'NOTIFICATION_CHANNEL_NOT_FOUND'
+      );
+    }
+
+    return channel;
+  }
+
+  /**
+   * Describe the registered channels
+   */
+  listChannels() {
+    return [...this.channels.values()].map(channel => ({
+      type: channel.type,
+      name: channel.name || channel.type,
+      outbound: channel.outbound !== false
+    }));
+  }
+
+  /**
+   * Delivery mode for outbound channels: live (default), console or file
+   */
+  getTransport() {
+    const transport = process.env.NOTIFICATION_TRANSPORT || 'live';
+    return TRANSPORTS.includes(transport) ? transport : 'live';
+  }
+
+  /**
+   * Normalize recipients given as a list or comma/semicolon-separated text
+   */
+  normalizeRecipients(recipients) {
+    const list = Array.isArray(recipients) ? recipients : String(recipients ?? '').split(/[,;]/);
+    return list.map(recipient => String(recipient).trim()).filter(Boolean);
+  }
+
+  /**
+   * Deliver a notification - failures are recorded on the returned delivery, never thrown
+   * message: { channel, recipients, subject, body, format, url, headers, instanceId, nodeId }
+   * @returns {Object} delivery record (status SENT or FAILED)
+   */
+  async send(message) {
+    const delivery = {
+      id: `delivery_${uuidv4()}`,
+      channel: message.channel,
+      recipients: this.normalizeRecipients(message.recipients),
+      subject: message.subject || '',
+      status: 'PENDING',
+      transport: null,
+      error: null,
+      errorCode: null,
+      details: null,
+      instanceId: message.instanceId || null,
+      nodeId: message.nodeId || null,
+      sentAt: null
+    };
+
+    try {
+      const channel = this.getChannel(message.channel);
+      const transport = channel.outbound !== false ? this.getTransport() : 'live';
+      const outgoing = { ...message, recipients: delivery.recipients };
+
+      if (transport === 'live') {
+        const { transport: used, ...details } = await channel.deliver(outgoing) || {};
+        delivery.transport = used || channel.type;
+        delivery.details = details;
+      } else {
+        await this.writeOffline(transport, delivery, outgoing);
+        delivery.transport = transport;
+      }
+
+      delivery.status = 'SENT';
+      delivery.sentAt = new Date().toISOString();
+      console.log(`[NotificationService] ${delivery.channel} notification ${delivery.id} sent via ${delivery.transport}`);
+    } catch (error) {
+      delivery.status = 'FAILED';
+      delivery.error = credentialVault.redact(error.message);
+      delivery.errorCode = error.code || 'NOTIFICATION_FAILED';
+      console.error(`[NotificationService] ${delivery.channel} notification ${delivery.id} failed:`, delivery.error);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Log the message, or append it to the outbox file, instead of sending it
+   */
+  async writeOffline(transport, delivery, message) {
+    const entry = credentialVault.redact({
+      id: delivery.id,
+      channel: delivery.channel,
+      recipients: delivery.recipients,
+      subject: message.subject || '',
+      body: message.body || '',
+      format: message.format || 'text',
+      url: message.url || null,
+      instanceId: delivery.instanceId,
+      nodeId: delivery.nodeId,
+      createdAt: new Date().toISOString()
+    });
+
+    if (transport === 'console') {
+      console.log(`[NotificationService] (console) ${entry.channel} to ${entry.recipients.join(', ') || entry.url}: ${entry.subject}\n${entry.body}`);
+      return;
+    }
+
+    await fs.mkdir(path.dirname(OUTBOX_FILE), { recursive: true });
+    await fs.appendFile(OUTBOX_FILE, `${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Get a stored template (throws NOTIFICATION_TEMPLATE_NOT_FOUND)
+   */
+  async getTemplate(templateId) {
+    const template = await notificationDatabase.getTemplate(templateId);
+
+    if (!template) {
+      throw codedError(`Notification template ${templateId} not found`, 'NOTIFICATION_TEMPLATE_NOT_FOUND');
+    }
+
+    return template;
+  }
+
+  /**
+   * Check a template definition (throws INVALID_NOTIFICATION_TEMPLATE)
+   */
+  validateTemplate(template) {
+    const fail = message => {
+      throw codedError(`Invalid notification template: ${message}`, 'INVALID_NOTIFICATION_TEMPLATE');
+    };
+
+    if (!template || typeof template !== 'object') fail('a template object is required');
+    if (!template.name || typeof template.name !== 'string') fail('name is required');
+    if (typeof template.body !== 'string' || !template.body.trim()) fail('body is required');
+    if (template.subject !== undefined && typeof template.subject !== 'string') fail('subject must be text');
+    if (template.channel && !this.channels.has(template.channel)) {
+      fail(`unknown channel "${template.channel}" (one of: ${[...this.channels.keys()].join(', ')})`);
+    }
+
+    return template;
+  }
+}
+
+module.exports = new NotificationService();
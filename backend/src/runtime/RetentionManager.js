@@ -0,0 +1,529 @@
+/**
+ * Retention Manager
+ * Retention policies for finished instances, state snapshots, event history and lock files
+ * A background run moves expired data into compressed archive files (gzipped JSON lines under
+ * data/archive) and then deletes it; previews report what a run would archive
+ *
+ * Policies come from RETENTION_* environment variables; a workflow's `retention` field overrides them:
+ *   completedInstanceDays - COMPLETED and CANCELLED instances, counted from completedAt
+ *   failedInstanceDays    - FAILED instances, counted from updatedAt
+ *   snapshotDays          - snapshot files (the latest snapshot of an unfinished instance is kept)
+ *   eventDays             - in-memory event history of finished instances, counted from the last event
+ * null keeps the data forever.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const workflowDatabase = require('../database/WorkflowDatabase');
+const stateManager = require('./StateManager');
+const eventManager = require('./EventManager');
+const distributedLockManager = require('./DistributedLockManager');
+const { codedError } = require('./errors');
+
+const gzip = promisify(zlib.gzip);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const POLICY_FIELDS = ['completedInstanceDays', 'failedInstanceDays', 'snapshotDays', 'eventDays'];
+
+// Instance retention rules: the policy field, the statuses it covers and the timestamp it counts from
+const INSTANCE_RULES = [
+  { field: 'completedInstanceDays', statuses: ['COMPLETED', 'CANCELLED'], before: 'completedBefore', at: 'completedAt' },
+  { field: 'failedInstanceDays', statuses: ['FAILED'], before: 'updatedBefore', at: 'updatedAt' }
+];
+
+const FINISHED_STATUSES = ['COMPLETED', 'CANCELLED', 'FAILED'];
+
+/**
+ * Read a non-negative number (days, minutes) from the environment (unset: fallback)
+ */
+function envNumber(name, fallback = null) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    console.warn(`[RetentionManager] Ignoring ${name}=${value}: expected a non-negative number`);
+    return fallback;
+  }
+  return number;
+}
+
+class RetentionManager {
+  constructor() {
+    // Policy applied to workflows without a retention field (and to instances of unknown workflows)
+    this.defaults = {
+      completedInstanceDays: envNumber('RETENTION_COMPLETED_INSTANCE_DAYS'),
+      failedInstanceDays: envNumber('RETENTION_FAILED_INSTANCE_DAYS'),
+      snapshotDays: envNumber('RETENTION_SNAPSHOT_DAYS'),
+      eventDays: envNumber('RETENTION_EVENT_DAYS', 7)
+    };
+
+    this.archiveDir = process.env.RETENTION_ARCHIVE_DIR || path.join(__dirname, '../../data/archive');
+
+    // Configuration
+    this.config = {
+      interval: envNumber('RETENTION_INTERVAL_MINUTES', 60) * 60 * 1000, // 0 disables background runs
+      batchSize: parseInt(process.env.RETENTION_BATCH_SIZE, 10) || 500, // Max items of each kind per run
+      pageSize: 200
+    };
+
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Validate a workflow's retention policy; returns error messages (empty when valid)
+   */
+  validatePolicy(retention) {
+    if (retention === null || typeof retention !== 'object' || Array.isArray(retention)) {
+      return ['retention must be an object'];
+    }
+
+    const errors = [];
+    for (const [field, days] of Object.entries(retention)) {
+      if (!POLICY_FIELDS.includes(field)) {
+        errors.push(`Unknown retention field: ${field} (use ${POLICY_FIELDS.join(', ')})`);
+      } else if (days !== null && (typeof days !== 'number' || !Number.isFinite(days) || days < 0)) {
+        errors.push(`retention.${field} must be a number of days or null`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Effective policy of a workflow: its retention fields over the defaults
+   */
+  policyFor(workflow) {
+    return { ...this.defaults, ...(workflow?.retention || {}) };
+  }
+
+  /**
+   * Start background runs every config.interval
+   */
+  start() {
+    if (this.timer || this.config.interval <= 0) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => {
+        if (error.code === 'RETENTION_IN_PROGRESS') {
+          console.log(`[RetentionManager] Skipping run: ${error.message}`);
+        } else {
+          console.error('[RetentionManager] Run failed:', error);
+        }
+      });
+    }, this.config.interval);
+
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    console.log(`[RetentionManager] Started (every ${this.config.interval / 60000} minutes)`);
+  }
+
+  /**
+   * Stop background runs
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Defaults, workflow overrides and the last run
+   */
+  async getStatus() {
+    const workflows = await workflowDatabase.loadWorkflows();
+
+    return {
+      defaults: this.defaults,
+      workflows: workflows
+        .filter(workflow => workflow.retention)
+        .map(workflow => ({ workflowId: workflow.id, name: workflow.name, retention: this.policyFor(workflow) })),
+      intervalMinutes: this.config.interval / 60000,
+      batchSize: this.config.batchSize,
+      archiveDir: this.archiveDir,
+      running: this.running,
+      lastRun: this.lastRun
+    };
+  }
+
+  /**
+   * Report what a run would archive and delete, without changing anything
+   */
+  async preview(options = {}) {
+    const startedAt = new Date();
+    const plan = await this.plan(options.now || startedAt);
+    return this.report(plan, { dryRun: true, startedAt, archiveFile: null });
+  }
+
+  /**
+   * Archive and delete expired data
+   * Only one run at a time across processes (retention_run lock)
+   */
+  async run(options = {}) {
+    if (this.running) {
+      throw codedError('A retention run is already in progress', 'RETENTION_IN_PROGRESS');
+    }
+
+    this.running = true;
+    try {
+      const lock = await distributedLockManager.acquireLock('retention_run', {
+        acquireTimeout: 100,
+        metadata: { operation: 'retention_run' }
+      });
+      if (!lock.success) {
+        throw codedError('A retention run is already in progress on another node', 'RETENTION_IN_PROGRESS');
+      }
+
+      try {
+        const startedAt = new Date();
+        const plan = await this.plan(options.now || startedAt);
+        const archiveFile = await this.archive(plan, startedAt);
+        await this.purge(plan);
+
+        this.lastRun = this.report(plan, { dryRun: false, startedAt, archiveFile });
+        console.log(
+          `[RetentionManager] Archived ${plan.instances.length - plan.skipped.length} instances, ` +
+          `${plan.snapshots.length} snapshots, ${plan.events.length} event histories; ` +
+          `removed ${plan.locks.length} expired locks`
+        );
+        return this.lastRun;
+      } finally {
+        await distributedLockManager.releaseLock('retention_run');
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Find expired instances, snapshots, event histories and lock files
+   */
+  async plan(now) {
+    const workflows = new Map((await workflowDatabase.loadWorkflows()).map(workflow => [workflow.id, workflow]));
+    const policyOf = workflowId => this.policyFor(workflows.get(workflowId));
+
+    // Instance status lookups shared by the snapshot and event checks
+    const statuses = new Map();
+    const statusOf = async instanceId => {
+      if (!statuses.has(instanceId)) {
+        const instance = await workflowDatabase.getInstance(instanceId);
+        statuses.set(instanceId, instance ? { status: instance.status, workflowId: instance.workflowId } : null);
+      }
+      return statuses.get(instanceId);
+    };
+
+    const instances = await this.findInstances(workflows, now);
+    const archived = new Set(instances.map(instance => instance.id));
+
+    return {
+      instances,
+      snapshots: await this.findSnapshots(policyOf, statusOf, archived, now),
+      events: await this.findEvents(policyOf, statusOf, archived, now),
+      locks: await distributedLockManager.listExpiredLocks().catch(() => []),
+      skipped: []
+    };
+  }
+
+  /**
+   * Finished instances past their workflow's retention, oldest first
+   * Workflows with their own policy are queried separately from the defaults
+   */
+  async findInstances(workflows, now) {
+    const overridden = [...workflows.values()].filter(workflow => workflow.retention);
+    const overriddenIds = new Set(overridden.map(workflow => workflow.id));
+    const scopes = [
+      { workflowId: null, policy: this.defaults },
+      ...overridden.map(workflow => ({ workflowId: workflow.id, policy: this.policyFor(workflow) }))
+    ];
+
+    const expired = [];
+    for (const scope of scopes) {
+      for (const rule of INSTANCE_RULES) {
+        const days = scope.policy[rule.field];
+        if (days === null || days === undefined) {
+          continue;
+        }
+
+        const params = {
+          status: rule.statuses.join(','),
+          [rule.before]: new Date(now.getTime() - days * DAY_MS).toISOString(),
+          sort: 'createdAt',
+          limit: String(this.config.pageSize),
+          ...(scope.workflowId && { workflowId: scope.workflowId })
+        };
+
+        let cursor = null;
+        do {
+          const page = await workflowDatabase.queryInstances({ ...params, cursor });
+
+          for (const instance of page.instances) {
+            if (!scope.workflowId && overriddenIds.has(instance.workflowId)) {
+              continue;
+            }
+
+            expired.push({
+              id: instance.id,
+              workflowId: instance.workflowId,
+              status: instance.status,
+              updatedAt: instance.updatedAt,
+              expiredAt: instance[rule.at],
+              retentionDays: days
+            });
+            if (expired.length >= this.config.batchSize) {
+              return expired;
+            }
+          }
+          cursor = page.nextCursor;
+        } while (cursor);
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Snapshot files past their workflow's retention, plus all snapshots of archived instances
+   */
+  async findSnapshots(policyOf, statusOf, archived, now) {
+    let files;
+    try {
+      files = await stateManager.listSnapshotFiles();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const byInstance = new Map();
+    for (const file of files) {
+      if (!byInstance.has(file.instanceId)) {
+        byInstance.set(file.instanceId, []);
+      }
+      byInstance.get(file.instanceId).push(file);
+    }
+
+    const expired = [];
+    for (const [instanceId, snapshots] of byInstance) {
+      snapshots.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+      let candidates = snapshots;
+      if (!archived.has(instanceId)) {
+        const days = policyOf(snapshots[0].workflowId).snapshotDays;
+        if (days === null || days === undefined) {
+          continue;
+        }
+
+        const cutoff = new Date(now.getTime() - days * DAY_MS).toISOString();
+        candidates = snapshots.filter(snapshot => snapshot.timestamp < cutoff);
+
+        // An unfinished instance keeps its latest snapshot for rollback
+        if (candidates.length === snapshots.length) {
+          const instance = await statusOf(instanceId);
+          if (instance && !FINISHED_STATUSES.includes(instance.status)) {
+            candidates = candidates.slice(0, -1);
+          }
+        }
+      }
+
+      for (const snapshot of candidates) {
+        expired.push(snapshot);
+        if (expired.length >= this.config.batchSize) {
+          return expired;
+        }
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * In-memory event histories of finished (or removed) instances whose last event is past retention
+   * Archived instances are left out: their events go into the archive with the instance
+   */
+  async findEvents(policyOf, statusOf, archived, now) {
+    const expired = [];
+
+    for (const summary of eventManager.getHistorySummaries()) {
+      if (archived.has(summary.instanceId)) {
+        continue;
+      }
+
+      const instance = await statusOf(summary.instanceId);
+      if (instance && !FINISHED_STATUSES.includes(instance.status)) {
+        continue;
+      }
+
+      const days = policyOf(instance?.workflowId).eventDays;
+      if (days === null || days === undefined ||
+          !summary.lastEventAt || summary.lastEventAt >= new Date(now.getTime() - days * DAY_MS).toISOString()) {
+        continue;
+      }
+
+      expired.push(summary);
+      if (expired.length >= this.config.batchSize) {
+        break;
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Write the planned data to a gzipped JSON lines archive; returns its file name (null when empty)
+   */
+  async archive(plan, archivedAt) {
+    const lines = [];
+    const stamp = archivedAt.toISOString();
+
+    for (const item of plan.instances) {
+      const instance = await workflowDatabase.getInstance(item.id);
+      if (!instance) {
+        continue;
+      }
+
+      const [tasks, timers, subscriptions] = await Promise.all([
+        workflowDatabase.getTasksByInstance(item.id),
+        workflowDatabase.getTimersByInstance(item.id),
+        workflowDatabase.getSubscriptionsByInstance(item.id)
+      ]);
+
+      // Purge only deletes the instance if it is unchanged since it was archived
+      item.updatedAt = instance.updatedAt;
+      item.records = { tasks, timers, subscriptions };
+
+      lines.push({
+        type: 'instance',
+        archivedAt: stamp,
+        instance: instance.toJSON(),
+        tasks,
+        timers,
+        subscriptions,
+        events: eventManager.getHistory(item.id)
+      });
+    }
+
+    for (const item of plan.snapshots) {
+      const snapshot = await stateManager.loadSnapshotFromDisk(item.id);
+      if (snapshot) {
+        lines.push({ type: 'snapshot', archivedAt: stamp, snapshot });
+      }
+    }
+
+    for (const item of plan.events) {
+      lines.push({ type: 'events', archivedAt: stamp, instanceId: item.instanceId, events: eventManager.getHistory(item.instanceId) });
+    }
+
+    if (lines.length === 0) {
+      return null;
+    }
+
+    await fs.mkdir(this.archiveDir, { recursive: true });
+    const fileName = `retention-${stamp.replace(/[:.]/g, '-')}.jsonl.gz`;
+    const filePath = path.join(this.archiveDir, fileName);
+    const content = await gzip(lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+
+    // Write then rename, so an archive file is never partial
+    await fs.writeFile(`${filePath}.tmp`, content);
+    await fs.rename(`${filePath}.tmp`, filePath);
+
+    console.log(`[RetentionManager] Wrote archive ${fileName} (${lines.length} records)`);
+    return fileName;
+  }
+
+  /**
+   * Delete archived data and expired lock files
+   * An instance changed since it was archived (e.g. recovered) is kept and reported as skipped
+   */
+  async purge(plan) {
+    for (const item of plan.instances) {
+      if (!item.records) {
+        plan.skipped.push(item.id);
+        continue;
+      }
+
+      const deleted = await distributedLockManager.executeWithLock(`instance_${item.id}`, async () => {
+        const current = await workflowDatabase.getInstance(item.id);
+        if (!current || current.updatedAt !== item.updatedAt) {
+          return false;
+        }
+
+        for (const task of item.records.tasks) {
+          await workflowDatabase.deleteTask(task.id);
+        }
+        for (const timer of item.records.timers) {
+          await workflowDatabase.deleteTimer(timer.id);
+        }
+        for (const subscription of item.records.subscriptions) {
+          await workflowDatabase.deleteSubscription(subscription.id);
+        }
+        await workflowDatabase.deleteInstance(item.id);
+        return true;
+      }, { metadata: { operation: 'retention_purge', instanceId: item.id } });
+
+      if (deleted) {
+        eventManager.clearHistory(item.id);
+      } else {
+        plan.skipped.push(item.id);
+      }
+    }
+
+    // Snapshots and events of a skipped instance stay (their archived copies are kept too)
+    const skipped = new Set(plan.skipped);
+    plan.snapshots = plan.snapshots.filter(item => !skipped.has(item.instanceId));
+    plan.events = plan.events.filter(item => !skipped.has(item.instanceId));
+
+    for (const item of plan.snapshots) {
+      await stateManager.deleteSnapshot(item.id, item.instanceId);
+    }
+
+    for (const item of plan.events) {
+      eventManager.clearHistory(item.instanceId);
+    }
+
+    await distributedLockManager.cleanupExpiredLocks();
+  }
+
+  /**
+   * Summary of a run or preview
+   */
+  report(plan, { dryRun, startedAt, archiveFile }) {
+    const skipped = new Set(plan.skipped);
+
+    return {
+      dryRun,
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      archiveFile,
+      instances: {
+        count: plan.instances.length - skipped.size,
+        items: plan.instances
+          .filter(item => !skipped.has(item.id))
+          .map(({ id, workflowId, status, expiredAt, retentionDays }) => ({ id, workflowId, status, expiredAt, retentionDays })),
+        skipped: [...skipped]
+      },
+      snapshots: {
+        count: plan.snapshots.length,
+        items: plan.snapshots.map(({ id, instanceId, timestamp }) => ({ id, instanceId, timestamp }))
+      },
+      events: {
+        count: plan.events.length,
+        items: plan.events.map(({ instanceId, count, lastEventAt }) => ({ instanceId, count, lastEventAt }))
+      },
+      locks: {
+        count: plan.locks.length,
+        items: plan.locks.map(({ lockKey, expiresAt }) => ({ lockKey, expiresAt }))
+      }
+    };
+  }
+}
+
+module.exports = new RetentionManager();
@@ -0,0 +1,279 @@
+/**
+ * Rule Engine
+ * Evaluates business rules authored in the rule builder: nested all/any condition
+ * groups over process data, and actions that run when a rule's conditions hold
+ */
+
+const ruleDatabase = require('../database/RuleDatabase');
+const workflowRepository = require('../database/WorkflowRepository');
+const expressionEvaluator = require('./ExpressionEvaluator');
+const decisionEngine = require('./DecisionEngine');
+const { codedError } = require('./errors');
+
+const isNil = value => value === null || value === undefined;
+const isEmpty = value => isNil(value) || value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+/**
+ * Compare two values in order - missing values never satisfy a comparison
+ */
+const ordered = (actual, expected, test) => {
+  const order = decisionEngine.compare(actual, expected);
+  return order !== null && test(order);
+};
+
+/**
+ * Condition operators: (actual field value, configured value) -> boolean
+ */
+const OPERATORS = {
+  equals: (actual, expected) => decisionEngine.valuesEqual(expected, actual),
+  notEquals: (actual, expected) => !decisionEngine.valuesEqual(expected, actual),
+  greaterThan: (actual, expected) => ordered(actual, expected, order => order > 0),
+  greaterThanOrEqual: (actual, expected) => ordered(actual, expected, order => order >= 0),
+  lessThan: (actual, expected) => ordered(actual, expected, order => order < 0),
+  lessThanOrEqual: (actual, expected) => ordered(actual, expected, order => order <= 0),
+  contains: (actual, expected) => (Array.isArray(actual)
+    ? actual.some(item => decisionEngine.valuesEqual(expected, item))
+    : !isNil(actual) && String(actual).includes(String(expected))),
+  notContains: (actual, expected) => !OPERATORS.contains(actual, expected),
+  in: (actual, expected) => toArray(expected).some(item => decisionEngine.valuesEqual(item, actual)),
+  notIn: (actual, expected) => !OPERATORS.in(actual, expected),
+  isEmpty: actual => isEmpty(actual),
+  isNotEmpty: actual => !isEmpty(actual),
+  matches: (actual, expected) => !isNil(actual) && new RegExp(expected).test(String(actual))
+};
+
+const ACTION_TYPES = ['setVariable', 'raiseError'];
+
+/**
+ * Normalize a list value given as an array or comma-separated text
+ */
+function toArray(value) {
+  if (Array.isArray(value)) return value;
+  if (isNil(value) || value === '') return [];
+  return String(value).split(',').map(item => item.trim());
+}
+
+class RuleEngine {
+  /**
+   * Load stored rules by ID (throws RULE_NOT_FOUND)
+   */
+  async getRules(ruleIds) {
+    const rules = [];
+
+    for (const ruleId of ruleIds) {
+      const rule = await ruleDatabase.getRule(ruleId);
+      if (!rule) {
+        throw codedError(`Rule ${ruleId} not found`, 'RULE_NOT_FOUND');
+      }
+      rules.push(rule);
+    }
+
+    return rules;
+  }
+
+  /**
+   * Evaluate rules in priority order (highest first); inactive rules are skipped
+   * Variables set by one rule's actions are visible to the rules after it
+   * @returns {Object} validationPassed, results (per rule) and variables (set by actions)
+   */
+  evaluateRules(rules, context = {}) {
+    const variables = {};
+    const results = [];
+
+    const sorted = rules
+      .filter(rule => rule.isActive !== false)
+      .map((rule, order) => ({ rule, order }))
+      .sort((a, b) => (Number(b.rule.priority) || 0) - (Number(a.rule.priority) || 0) || a.order - b.order)
+      .map(entry => entry.rule);
+
+    for (const rule of sorted) {
+      const ruleContext = {
+        processData: context.processData,
+        variables: { ...(context.variables || {}), ...variables }
+      };
+      const result = this.evaluateRule(rule, ruleContext);
+
+      Object.assign(variables, result.variables);
+      results.push({ ruleId: rule.id || null, rule: rule.name || rule.id, passed: result.passed });
+    }
+
+    return {
+      validationPassed: results.every(result => result.passed),
+      results,
+      variables
+    };
+  }
+
+  /**
+   * Evaluate one rule; when its conditions hold its actions run
+   * A raiseError action throws an error with its code, which error boundary events catch
+   */
+  evaluateRule(rule, context = {}) {
+    const passed = this.evaluateConditions(this.getConditions(rule), context);
+    const variables = {};
+
+    if (passed) {
+      for (const action of rule.actions || []) {
+        const actionContext = {
+          processData: context.processData,
+          variables: { ...(context.variables || {}), ...variables }
+        };
+
+        if (action.type === 'raiseError') {
+          throw codedError(
+            action.message || `Rule ${rule.name || rule.id} raised ${action.errorCode || 'RULE_ERROR'}`,
+            action.errorCode || 'RULE_ERROR'
+          );
+        }
+
+        variables[action.variable] = action.expression
+          ? expressionEvaluator.evaluate(String(action.expression), actionContext)
+          : action.value ?? null;
+      }
+    }
+
+    return { passed, variables };
+  }
+
+  /**
+   * Conditions of a rule - a builder condition list, or an inline condition expression
+   */
+  getConditions(rule) {
+    if (rule.conditions && (!Array.isArray(rule.conditions) || rule.conditions.length > 0)) {
+      return rule.conditions;
+    }
+
+    const expression = rule.condition || rule.expression;
+    return expression ? [{ expression }] : [];
+  }
+
+  /**
+   * Evaluate a condition, a list of conditions (all must hold) or an all/any group
+   */
+  evaluateConditions(condition, context) {
+    if (Array.isArray(condition)) {
+      return condition.every(item => this.evaluateConditions(item, context));
+    }
+
+    if (condition.all) {
+      return condition.all.every(item => this.evaluateConditions(item, context));
+    }
+
+    if (condition.any) {
+      return condition.any.some(item => this.evaluateConditions(item, context));
+    }
+
+    if (condition.expression) {
+      return expressionEvaluator.evaluateCondition(condition.expression, context);
+    }
+
+    const actual = expressionEvaluator.evaluate(String(condition.field), context);
+    return OPERATORS[condition.operator](actual, condition.value);
+  }
+
+  /**
+   * Check a rule definition (throws INVALID_RULE)
+   */
+  validate(rule) {
+    const fail = message => {
+      throw codedError(`Invalid rule${rule?.id ? ` ${rule.id}` : ''}: ${message}`, 'INVALID_RULE');
+    };
+
+    if (!rule || typeof rule !== 'object') fail('a rule object is required');
+    if (!rule.name || typeof rule.name !== 'string') fail('name is required');
+    if (!Array.isArray(rule.conditions || [])) fail('conditions must be a list');
+    if (!Array.isArray(rule.actions || [])) fail('actions must be a list');
+
+    const parse = (expression, where) => {
+      try {
+        expressionEvaluator.parse(String(expression));
+      } catch (error) {
+        fail(`${where}: ${error.message}`);
+      }
+    };
+
+    const visit = (condition, where) => {
+      if (Array.isArray(condition)) {
+        condition.forEach((item, index) => visit(item, `${where}.${index + 1}`));
+      } else if (!condition || typeof condition !== 'object') {
+        fail(`${where} must be an object`);
+      } else if (condition.all || condition.any) {
+        const items = condition.all || condition.any;
+        if (!Array.isArray(items)) fail(`${where} group must hold a list of conditions`);
+        visit(items, where);
+      } else if (condition.expression) {
+        parse(condition.expression, where);
+      } else {
+        if (!condition.field) fail(`${where} needs a field`);
+        if (!OPERATORS[condition.operator]) {
+          fail(`${where} has unknown operator "${condition.operator}" (one of: ${Object.keys(OPERATORS).join(', ')})`);
+        }
+        parse(condition.field, where);
+
+        if (condition.operator === 'matches') {
+          try {
+            new RegExp(condition.value);
+          } catch (error) {
+            fail(`${where}: ${error.message}`);
+          }
+        }
+      }
+    };
+
+    visit(rule.conditions || [], 'condition');
+
+    (rule.actions || []).forEach((action, index) => {
+      const where = `action ${index + 1}`;
+
+      if (!ACTION_TYPES.includes(action?.type)) fail(`${where} type must be one of: ${ACTION_TYPES.join(', ')}`);
+      if (action.type === 'setVariable') {
+        if (!action.variable) fail(`${where} needs a variable`);
+        if (action.expression) parse(action.expression, where);
+      }
+    });
+
+    return rule;
+  }
+
+  /**
+   * Run a rule against sample data without stopping at a raised error
+   * @returns {Object} passed, variables and raisedError ({ code, message } or null)
+   */
+  testRule(rule, data = {}) {
+    try {
+      return { ...this.evaluateRule(rule, { processData: data }), raisedError: null };
+    } catch (error) {
+      if (error.code === 'EXPRESSION_SYNTAX' || error.code === 'EXPRESSION_EVALUATION') {
+        throw error;
+      }
+      return { passed: true, variables: {}, raisedError: { code: error.code, message: error.message } };
+    }
+  }
+
+  /**
+   * Find the workflow nodes that reference a stored rule in data.rules
+   */
+  async findWorkflowReferences(ruleId) {
+    const workflows = await workflowRepository.listActive();
+
+    return workflows.flatMap(workflow => (workflow.nodes || [])
+      .filter(node => (node.data?.rules || []).some(entry => (typeof entry === 'string' ? entry : entry?.id) === ruleId))
+      .map(node => ({
+        workflowId: workflow.id,
+        workflowName: workflow.name,
+        nodeId: node.id,
+        nodeLabel: node.data?.label || node.id
+      })));
+  }
+
+  /**
+   * Names of the condition operators
+   */
+  getOperators() {
+    return Object.keys(OPERATORS);
+  }
+}
+
+module.exports = new RuleEngine();
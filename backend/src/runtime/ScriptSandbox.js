@@ -0,0 +1,116 @@
+/**
+ * Script Sandbox
+ * Runs script task code in an isolated vm context inside a worker thread,
+ * with CPU-time and memory limits
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { codedError } = require('./errors');
+
+class ScriptSandbox {
+  constructor() {
+    this.workerFile = path.join(__dirname, 'ScriptWorker.js');
+
+    // Default limits (overridable per node or via environment)
+    this.defaults = {
+      timeout: parseInt(process.env.SCRIPT_TIMEOUT_MS, 10) || 1000, // CPU time per script
+      memoryLimitMb: parseInt(process.env.SCRIPT_MEMORY_MB, 10) || 32, // Worker heap size
+      terminateGrace: 1000 // Extra wall-clock time before the worker is killed
+    };
+
+    this.stats = {
+      executions: 0,
+      failures: 0,
+      timeouts: 0,
+      memoryExceeded: 0
+    };
+  }
+
+  /**
+   * Run a script body with processData in scope; resolves with its return value
+   */
+  run(script, processData = {}, options = {}) {
+    const timeout = options.timeout || this.defaults.timeout;
+    const memoryLimitMb = options.memoryLimitMb || this.defaults.memoryLimitMb;
+
+    this.stats.executions++;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+
+      const worker = new Worker(this.workerFile, {
+        workerData: {
+          script,
+          data: JSON.stringify(processData ?? {}),
+          timeout
+        },
+        resourceLimits: {
+          maxOldGenerationSizeMb: memoryLimitMb,
+          maxYoungGenerationSizeMb: Math.max(4, Math.ceil(memoryLimitMb / 4)),
+          stackSizeMb: 4
+        },
+        stdout: true,
+        stderr: true
+      });
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(watchdog);
+        worker.terminate().catch(() => {});
+
+        if (error) {
+          this.stats.failures++;
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      // Backstop for anything the vm timeout cannot interrupt
+      const watchdog = setTimeout(() => {
+        this.stats.timeouts++;
+        finish(codedError(`Script exceeded ${timeout}ms time limit`, 'SCRIPT_TIMEOUT'));
+      }, timeout + this.defaults.terminateGrace);
+
+      worker.once('message', message => {
+        if (message.error) {
+          if (message.error.code === 'SCRIPT_TIMEOUT') {
+            this.stats.timeouts++;
+          }
+          finish(codedError(message.error.message, message.error.code));
+          return;
+        }
+
+        if (message.logs && message.logs.length > 0) {
+          message.logs.forEach(line => console.log(`[ScriptSandbox] ${line}`));
+        }
+
+        finish(null, message.hasResult ? message.result : undefined);
+      });
+
+      worker.once('error', error => {
+        if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+          this.stats.memoryExceeded++;
+          finish(codedError(`Script exceeded ${memoryLimitMb}MB memory limit`, 'SCRIPT_MEMORY_LIMIT'));
+          return;
+        }
+        finish(codedError(error.message, error.code || 'SCRIPT_ERROR'));
+      });
+
+      worker.once('exit', exitCode => {
+        finish(codedError(`Script worker exited unexpectedly (code ${exitCode})`, 'SCRIPT_ERROR'));
+      });
+    });
+  }
+
+  /**
+   * Get sandbox statistics
+   */
+  getStats() {
+    return { ...this.stats, limits: { ...this.defaults } };
+  }
+}
+
+module.exports = new ScriptSandbox();
@@ -0,0 +1,58 @@
+/**
+ * Script Worker
+ * Worker-thread entry point for ScriptSandbox. The script runs in a fresh vm
+ * context with string code generation disabled; process data is parsed inside
+ * that context and only a JSON string crosses back out, so no host objects
+ * are reachable from the script.
+ */
+
+const vm = require('vm');
+const { parentPort, workerData } = require('worker_threads');
+
+const { script, data, timeout } = workerData;
+
+const source = `(function () {
+  const __logs = [];
+  const __format = value => (typeof value === 'string' ? value : JSON.stringify(value));
+  const console = {
+    log: (...args) => { __logs.push(args.map(__format).join(' ')); },
+    info: (...args) => { __logs.push(args.map(__format).join(' ')); },
+    warn: (...args) => { __logs.push('WARN ' + args.map(__format).join(' ')); },
+    error: (...args) => { __logs.push('ERROR ' + args.map(__format).join(' ')); }
+  };
+
+  try {
+    const processData = JSON.parse(${JSON.stringify(data)});
+    const result = (function (processData, console) {
+${script}
+    })(processData, console);
+
+    return JSON.stringify({ hasResult: result !== undefined, result: result === undefined ? null : result, logs: __logs });
+  } catch (error) {
+    const message = error && error.message ? error.message : String(error);
+    const code = error && error.code ? String(error.code) : 'SCRIPT_ERROR';
+    return JSON.stringify({ error: { message, code }, logs: __logs });
+  }
+})()`;
+
+try {
+  // Null-prototype sandbox: nothing in the context leads back to the worker's own Function
+  const context = vm.createContext(Object.create(null), {
+    name: 'scriptTask',
+    codeGeneration: { strings: false, wasm: false }
+  });
+
+  const output = new vm.Script(source, { filename: 'scriptTask.js' })
+    .runInContext(context, { timeout });
+
+  parentPort.postMessage(JSON.parse(output));
+} catch (error) {
+  const timedOut = error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+
+  parentPort.postMessage({
+    error: {
+      message: timedOut ? `Script exceeded ${timeout}ms time limit` : (error && error.message) || String(error),
+      code: timedOut ? 'SCRIPT_TIMEOUT' : 'SCRIPT_ERROR'
+    }
+  });
+}
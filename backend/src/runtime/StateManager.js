@@ -425,6 +425,51 @@ class StateManager {
     }
   }
 
+  /**
+   * List the snapshot files on disk without keeping their state: [{ id, instanceId, workflowId, timestamp }]
+   */
+  async listSnapshotFiles() {
+    const entries = [];
+
+    for (const file of await fs.readdir(this.snapshotDir)) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+
+      try {
+        const snapshot = JSON.parse(await fs.readFile(path.join(this.snapshotDir, file), 'utf8'));
+        entries.push({
+          id: snapshot.id,
+          instanceId: snapshot.instanceId,
+          workflowId: snapshot.state?.instance?.workflowId || null,
+          timestamp: new Date(snapshot.timestamp).toISOString()
+        });
+      } catch (error) {
+        console.warn(`[StateManager] Skipping unreadable snapshot file ${file}:`, error.message);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Delete a snapshot from memory and disk
+   */
+  async deleteSnapshot(snapshotId, instanceId) {
+    const snapshots = this.snapshots.get(instanceId);
+
+    if (snapshots) {
+      const remaining = snapshots.filter(s => s.id !== snapshotId);
+      if (remaining.length > 0) {
+        this.snapshots.set(instanceId, remaining);
+      } else {
+        this.snapshots.delete(instanceId);
+      }
+    }
+
+    await this.deleteSnapshotFile(snapshotId);
+  }
+
   /**
    * Load snapshots from disk on startup
    */
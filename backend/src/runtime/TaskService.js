@@ -0,0 +1,473 @@
+/**
+ * Task Service
+ * User task inbox: candidates, claiming, delegation, assignment and completion rules
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const workflowDatabase = require('../database/WorkflowDatabase');
+const timerScheduler = require('./TimerScheduler');
+const distributedLockManager = require('./DistributedLockManager');
+const { codedError } = require('./errors');
+
+// Lowest to highest - used for sorting the inbox
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const ACTIVE_STATUSES = ['OPEN', 'CLAIMED'];
+
+// Groups whose members may assign any task
+const ADMIN_GROUPS = (process.env.TASK_ADMIN_GROUPS || 'admin')
+  .split(',')
+  .map(group => group.trim())
+  .filter(Boolean);
+
+// Group memberships of task users, as JSON: { "alice": ["sales", "managers"] }
+const USER_GROUPS = parseUserGroups(process.env.TASK_USER_GROUPS);
+
+/**
+ * Parse the TASK_USER_GROUPS directory (invalid JSON leaves every user without groups)
+ */
+function parseUserGroups(value) {
+  if (!value) {
+    return {};
+  }
+
+  try {
+    const directory = JSON.parse(value);
+    return Object.fromEntries(Object.entries(directory).map(([id, groups]) => [id, toList(groups)]));
+  } catch (error) {
+    console.error('[TaskService] Ignoring invalid TASK_USER_GROUPS:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Normalize an array or comma-separated string into a list of ids
+ */
+function toList(value) {
+  if (!value) {
+    return [];
+  }
+
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+class TaskService {
+  constructor() {
+    this.userGroups = USER_GROUPS;
+  }
+
+  /**
+   * Resolve a user ID to the user with the groups configured for it
+   */
+  resolveUser(userId) {
+    return userId ? { id: userId, groups: this.userGroups[userId] || [] } : null;
+  }
+
+  /**
+   * Create the inbox entry for a user task a token is parked at
+   */
+  async createTask(instance, node, token, output = {}) {
+    const data = node.data || {};
+    const now = new Date();
+
+    const assignee = [data.assignee, data.assignedTo]
+      .find(value => value && value !== 'unassigned') || null;
+
+    const task = {
+      id: output.taskId || uuidv4(),
+      instanceId: instance.id,
+      workflowId: instance.workflowId,
+      workflowName: instance.workflowName,
+      nodeId: node.id,
+      tokenId: token.id,
+      name: output.taskName || data.label || 'User Task',
+      instructions: output.instructions || null,
+      formId: data.formId || null,
+      fields: output.fields || [],
+      status: assignee ? 'CLAIMED' : 'OPEN',
+      assignee,
+      owner: null,
+      candidateUsers: toList(data.candidateUsers),
+      candidateGroups: toList(data.candidateGroups),
+      priority: this.normalizePriority(data.priority),
+      dueDate: this.resolveDueDate(data.dueDate || data.dueIn, now),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      claimedAt: assignee ? now.toISOString() : null,
+      completedAt: null,
+      completedBy: null,
+      history: [{ action: 'CREATED', userId: null, at: now.toISOString(), assignee }]
+    };
+
+    await workflowDatabase.saveTask(task);
+    console.log(`[TaskService] Created task ${task.id} (${task.name}) for ${instance.id} at ${node.id}`);
+
+    return task;
+  }
+
+  /**
+   * Get task by ID
+   */
+  async getTask(taskId) {
+    const task = await workflowDatabase.getTask(taskId);
+
+    if (!task) {
+      throw codedError(`Task ${taskId} not found`, 'TASK_NOT_FOUND');
+    }
+
+    return task;
+  }
+
+  /**
+   * Get the open or claimed task of a parked token
+   */
+  async findActiveTaskForToken(instanceId, tokenId) {
+    const tasks = await workflowDatabase.getTasksByInstance(instanceId);
+    return tasks.find(t => t.tokenId === tokenId && ACTIVE_STATUSES.includes(t.status)) || null;
+  }
+
+  /**
+   * List tasks, most urgent first
+   * @param {Object} filters - status ('all' for every status), assignee,
+   *   candidateUser/candidateGroups (tasks that user may claim), instanceId, overdue
+   */
+  async listTasks(filters = {}) {
+    const tasks = await workflowDatabase.loadTasks();
+    const now = new Date();
+    const statuses = filters.status ? toList(filters.status.toUpperCase()) : ACTIVE_STATUSES;
+    const candidate = filters.candidateUser || filters.candidateGroups
+      ? { id: filters.candidateUser, groups: toList(filters.candidateGroups) }
+      : null;
+
+    return tasks
+      .filter(task => statuses.includes('ALL') || statuses.includes(task.status))
+      .filter(task => !filters.instanceId || task.instanceId === filters.instanceId)
+      .filter(task => !filters.assignee || task.assignee === filters.assignee)
+      .filter(task => !candidate || (task.status === 'OPEN' && this.isCandidate(task, candidate)))
+      .filter(task => !filters.overdue || (task.dueDate && new Date(task.dueDate) < now))
+      .sort((a, b) => this.compareTasks(a, b));
+  }
+
+  /**
+   * Claim an open task
+   */
+  async claim(taskId, user) {
+    this.requireUser(user);
+
+    return await this.withTaskLock(taskId, async () => {
+      const task = await this.getTask(taskId);
+
+      if (task.status === 'CLAIMED' && task.assignee === user.id) {
+        return task;
+      }
+
+      if (task.status !== 'OPEN') {
+        throw codedError(
+          task.status === 'CLAIMED' ? `Task ${taskId} is already claimed by ${task.assignee}` : `Task ${taskId} is ${task.status}`,
+          'TASK_CONFLICT'
+        );
+      }
+
+      if (!this.isCandidate(task, user)) {
+        throw codedError(`User ${user.id} is not a candidate for task ${taskId}`, 'TASK_FORBIDDEN');
+      }
+
+      task.status = 'CLAIMED';
+      task.assignee = user.id;
+      task.claimedAt = new Date().toISOString();
+
+      return await this.record(task, 'CLAIMED', user);
+    });
+  }
+
+  /**
+   * Release a claimed task back to its candidates
+   */
+  async unclaim(taskId, user) {
+    this.requireUser(user);
+
+    return await this.withTaskLock(taskId, async () => {
+      const task = await this.getTask(taskId);
+
+      this.requireAssignee(task, user);
+
+      task.status = 'OPEN';
+      task.assignee = null;
+      task.owner = null;
+      task.claimedAt = null;
+
+      return await this.record(task, 'UNCLAIMED', user);
+    });
+  }
+
+  /**
+   * Hand a claimed task to another user; the delegating user becomes its owner
+   */
+  async delegate(taskId, user, toUserId) {
+    this.requireUser(user);
+
+    if (!toUserId) {
+      throw codedError('A user to delegate to is required', 'INVALID_TASK_UPDATE');
+    }
+
+    return await this.withTaskLock(taskId, async () => {
+      const task = await this.getTask(taskId);
+      this.requireAssignee(task, user);
+
+      task.owner = task.owner || user.id;
+      task.assignee = toUserId;
+
+      return await this.record(task, 'DELEGATED', user, { to: toUserId });
+    });
+  }
+
+  /**
+   * Assign (or reassign) a task directly, bypassing candidate rules
+   * Only the task's owner (the user who delegated it) or a member of an admin group may assign
+   * A null assignee returns the task to the open pool
+   */
+  async assign(taskId, user, assigneeId) {
+    this.requireUser(user);
+
+    return await this.withTaskLock(taskId, async () => {
+      const task = await this.getTask(taskId);
+      this.requireActive(task);
+
+      if (!this.isAdmin(user) && task.owner !== user.id) {
+        throw codedError(
+          `User ${user.id} may not assign task ${taskId} (owner or ${ADMIN_GROUPS.join(', ')} group only)`,
+          'TASK_FORBIDDEN'
+        );
+      }
+
+      const previous = task.assignee;
+      task.assignee = assigneeId || null;
+      task.status = assigneeId ? 'CLAIMED' : 'OPEN';
+      task.claimedAt = assigneeId ? new Date().toISOString() : null;
+      task.owner = null;
+
+      return await this.record(task, 'ASSIGNED', user, { from: previous, to: task.assignee });
+    });
+  }
+
+  /**
+   * Update priority and due date
+   */
+  async update(taskId, user, { priority, dueDate } = {}) {
+    this.requireUser(user);
+
+    return await this.withTaskLock(taskId, async () => {
+      const task = await this.getTask(taskId);
+      this.requireActive(task);
+
+      const changes = {};
+
+      if (priority !== undefined) {
+        if (!PRIORITIES.includes(priority)) {
+          throw codedError(`Priority must be one of: ${PRIORITIES.join(', ')}`, 'INVALID_TASK_UPDATE');
+        }
+        task.priority = changes.priority = priority;
+      }
+
+      if (dueDate !== undefined) {
+        task.dueDate = changes.dueDate = dueDate === null ? null : this.resolveDueDate(dueDate, new Date());
+        if (dueDate !== null && !task.dueDate) {
+          throw codedError(`Invalid due date: ${dueDate}`, 'INVALID_TASK_UPDATE');
+        }
+      }
+
+      return await this.record(task, 'UPDATED', user, changes);
+    });
+  }
+
+  /**
+   * Check that a user may complete a task - it must be claimed by them
+   */
+  assertCanComplete(task, user) {
+    this.requireUser(user);
+
+    if (task.status === 'OPEN') {
+      throw codedError(`Task ${task.id} must be claimed before it can be completed`, 'TASK_CONFLICT');
+    }
+
+    this.requireAssignee(task, user);
+  }
+
+  /**
+   * Mark a task completed
+   */
+  async markCompleted(task, user, data = {}) {
+    task.status = 'COMPLETED';
+    task.completedAt = new Date().toISOString();
+    task.completedBy = user?.id || null;
+
+    return await this.record(task, 'COMPLETED', user, { fields: Object.keys(data) });
+  }
+
+  /**
+   * Cancel the open tasks of an instance (when it ends), optionally only those of one token
+   */
+  async cancelInstanceTasks(instanceId, reason, tokenId = null) {
+    const tasks = (await workflowDatabase.getTasksByInstance(instanceId))
+      .filter(t => ACTIVE_STATUSES.includes(t.status) && (!tokenId || t.tokenId === tokenId));
+
+    for (const task of tasks) {
+      task.status = 'CANCELLED';
+      await this.record(task, 'CANCELLED', null, { reason });
+    }
+
+    return tasks.length;
+  }
+
+  /**
+   * Reopen cancelled tasks of tokens that are still parked (after recovering an instance)
+   */
+  async reopenTokenTasks(instanceId, tokenIds) {
+    const tasks = (await workflowDatabase.getTasksByInstance(instanceId))
+      .filter(t => t.status === 'CANCELLED' && tokenIds.includes(t.tokenId));
+
+    for (const task of tasks) {
+      task.status = task.assignee ? 'CLAIMED' : 'OPEN';
+      await this.record(task, 'REOPENED', null);
+    }
+
+    return tasks.length;
+  }
+
+  /**
+   * Point the open tasks of an instance at the nodes they map to (after the
+   * instance moved to another workflow version)
+   * @param {Function} mapNodeId - old node ID -> new node ID
+   */
+  async remapInstanceTasks(instanceId, mapNodeId) {
+    const tasks = (await workflowDatabase.getTasksByInstance(instanceId))
+      .filter(t => ACTIVE_STATUSES.includes(t.status) && mapNodeId(t.nodeId) !== t.nodeId);
+
+    for (const task of tasks) {
+      const fromNodeId = task.nodeId;
+      task.nodeId = mapNodeId(fromNodeId);
+      await this.record(task, 'MIGRATED', null, { fromNodeId, toNodeId: task.nodeId });
+    }
+
+    return tasks.length;
+  }
+
+  /**
+   * Whether a user may claim a task (tasks without candidates are open to everyone)
+   */
+  isCandidate(task, user) {
+    if (task.candidateUsers.length === 0 && task.candidateGroups.length === 0) {
+      return true;
+    }
+
+    const groups = user.groups || [];
+    return task.candidateUsers.includes(user.id) ||
+      task.candidateGroups.some(group => groups.includes(group));
+  }
+
+  /**
+   * Whether a user belongs to an admin group
+   */
+  isAdmin(user) {
+    return (user.groups || []).some(group => ADMIN_GROUPS.includes(group));
+  }
+
+  /**
+   * Run a read-check-write cycle on one task under its lock, so concurrent
+   * claims or completions cannot both pass their checks
+   */
+  async withTaskLock(taskId, operation) {
+    return distributedLockManager.executeWithLock(`task_${taskId}`, operation, {
+      metadata: { operation: 'update_task', taskId }
+    });
+  }
+
+  /**
+   * Append a history entry and persist the task
+   */
+  async record(task, action, user, details = {}) {
+    const now = new Date().toISOString();
+
+    task.updatedAt = now;
+    task.history.push({ action, userId: user?.id || null, at: now, ...details });
+
+    await workflowDatabase.saveTask(task);
+    console.log(`[TaskService] Task ${task.id} ${action.toLowerCase()}${user ? ` by ${user.id}` : ''}`);
+
+    return task;
+  }
+
+  /**
+   * Require an identified user
+   */
+  requireUser(user) {
+    if (!user || !user.id) {
+      throw codedError('User identity is required (x-user-id header)', 'USER_REQUIRED');
+    }
+  }
+
+  /**
+   * Require an open or claimed task
+   */
+  requireActive(task) {
+    if (!ACTIVE_STATUSES.includes(task.status)) {
+      throw codedError(`Task ${task.id} is ${task.status}`, 'TASK_CONFLICT');
+    }
+  }
+
+  /**
+   * Require the task to be claimed by the user
+   */
+  requireAssignee(task, user) {
+    this.requireActive(task);
+
+    if (task.status !== 'CLAIMED' || task.assignee !== user.id) {
+      throw codedError(`Task ${task.id} is not claimed by ${user.id}`, 'TASK_FORBIDDEN');
+    }
+  }
+
+  /**
+   * Normalize a priority, defaulting to medium
+   */
+  normalizePriority(priority) {
+    const value = typeof priority === 'string' ? priority.toLowerCase() : null;
+    return PRIORITIES.includes(value) ? value : 'medium';
+  }
+
+  /**
+   * Resolve a due date from an ISO date or a duration (P2D, 3d) relative to a start
+   */
+  resolveDueDate(value, from) {
+    if (!value) {
+      return null;
+    }
+
+    try {
+      return timerScheduler.parseExpression(String(value), from).dueAt.toISOString();
+    } catch (error) {
+      console.warn(`[TaskService] Ignoring invalid due date: ${value}`);
+      return null;
+    }
+  }
+
+  /**
+   * Order tasks by priority (highest first), then due date, then age
+   */
+  compareTasks(a, b) {
+    const byPriority = PRIORITIES.indexOf(b.priority) - PRIORITIES.indexOf(a.priority);
+    if (byPriority !== 0) {
+      return byPriority;
+    }
+
+    if (a.dueDate !== b.dueDate) {
+      if (!a.dueDate) return 1;
+      if (!b.dueDate) return -1;
+      return new Date(a.dueDate) - new Date(b.dueDate);
+    }
+
+    return new Date(a.createdAt) - new Date(b.createdAt);
+  }
+}
+
+module.exports = new TaskService();
@@ -191,6 +191,8 @@ class TimeoutManager {
       parallelGateway: 'gatewayEvaluation',
       inclusiveGateway: 'gatewayEvaluation',
       exclusiveGateway: 'gatewayEvaluation',
+      eventGateway: 'gatewayEvaluation',
+      complexGateway: 'gatewayEvaluation',
       llmTask: 'llmCall',
       apiCall: 'httpCall',
       httpRequest: 'httpCall'
@@ -0,0 +1,525 @@
+/**
+ * Timer Scheduler
+ * Durable timers for timer events (ISO-8601 durations, dates and cycles)
+ * Timers live in the workflow storage. Every process re-reads them periodically
+ * and arms them locally; the one that claims a timer's lock fires it
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const workflowDatabase = require('../database/WorkflowDatabase');
+const distributedLockManager = require('./DistributedLockManager');
+
+// Largest delay setTimeout accepts (~24.8 days); longer timers are re-armed
+const MAX_TIMEOUT_MS = 2147483647;
+
+// Shortest interval between repetitions of a timer cycle
+const MIN_CYCLE_INTERVAL_MS = 1000;
+
+// How often stored timers are re-read, to arm those other processes scheduled
+const SYNC_INTERVAL_MS = parseInt(process.env.TIMER_SYNC_INTERVAL_MS, 10) || 5000;
+
+const DURATION_PATTERN = /^P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)W)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
+const SHORTHAND_PATTERN = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)$/;
+const SHORTHAND_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+class TimerScheduler {
+  constructor() {
+    // Timers armed in this process: timerId -> stored record as last read
+    this.timers = new Map();
+
+    // Armed setTimeout handles: timerId -> handle
+    this.handles = new Map();
+
+    // Callback invoked when a timer fires (registered by the runtime engine)
+    this.handler = null;
+
+    this.started = false;
+    this.syncTimer = null;
+
+    this.stats = {
+      scheduled: 0,
+      fired: 0,
+      cancelled: 0
+    };
+  }
+
+  /**
+   * Register the callback invoked when a timer fires
+   */
+  setHandler(handler) {
+    this.handler = handler;
+  }
+
+  /**
+   * Arm the stored timers and keep re-reading them
+   */
+  async start() {
+    if (this.started) {
+      return;
+    }
+
+    this.started = true;
+
+    await this.sync();
+    this.scheduleSync();
+
+    console.log(`[TimerScheduler] Started with ${this.timers.size} pending timers`);
+  }
+
+  /**
+   * Arm the next re-read of the stored timers
+   */
+  scheduleSync() {
+    if (!this.started) {
+      return;
+    }
+
+    this.syncTimer = setTimeout(() => {
+      this.syncTimer = null;
+      this.sync()
+        .catch(error => {
+          console.error('[TimerScheduler] Timer sync failed:', error);
+        })
+        .finally(() => this.scheduleSync());
+    }, SYNC_INTERVAL_MS);
+
+    if (this.syncTimer.unref) {
+      this.syncTimer.unref();
+    }
+  }
+
+  /**
+   * Match the armed timers to the stored ones: arm timers scheduled or
+   * rescheduled by other processes and drop those cancelled or fired elsewhere
+   */
+  async sync() {
+    const stored = (await workflowDatabase.loadTimers()).filter(t => t.status === 'SCHEDULED');
+    const storedIds = new Set(stored.map(t => t.id));
+
+    // Timers without a handle are being fired here; fire() re-reads them under their lock
+    for (const timerId of this.timers.keys()) {
+      if (!storedIds.has(timerId) && this.handles.has(timerId)) {
+        this.disarm(timerId);
+        this.timers.delete(timerId);
+      }
+    }
+
+    for (const timer of stored) {
+      const local = this.timers.get(timer.id);
+      const changed = local && this.handles.has(timer.id) &&
+        (local.dueAt !== timer.dueAt || local.fireCount !== timer.fireCount);
+
+      if (!local || changed) {
+        this.timers.set(timer.id, timer);
+        this.arm(timer);
+      }
+    }
+
+    return this.timers.size;
+  }
+
+  /**
+   * Schedule a new durable timer
+   */
+  async schedule({ instanceId, tokenId, nodeId, expression, kind = 'catch', dueAt = null, payload = {} }) {
+    const parsed = this.parseExpression(expression);
+
+    const timer = {
+      id: uuidv4(),
+      instanceId,
+      tokenId,
+      nodeId,
+      kind,
+      expression,
+      type: parsed.type,
+      interval: parsed.interval,
+      repeat: parsed.repeat,
+      dueAt: (dueAt ? new Date(dueAt) : parsed.dueAt).toISOString(),
+      fireCount: 0,
+      status: 'SCHEDULED',
+      payload,
+      createdAt: new Date().toISOString()
+    };
+
+    this.timers.set(timer.id, timer);
+    await workflowDatabase.saveTimer(timer);
+    this.arm(timer);
+
+    this.stats.scheduled++;
+    console.log(`[TimerScheduler] Scheduled ${timer.type} timer ${timer.id} for ${nodeId} at ${timer.dueAt}`);
+
+    return timer;
+  }
+
+  /**
+   * Arm an in-process timeout for a timer record
+   */
+  arm(timer) {
+    this.disarm(timer.id);
+
+    const delay = Math.max(0, new Date(timer.dueAt).getTime() - Date.now());
+    const handle = setTimeout(() => {
+      this.handles.delete(timer.id);
+
+      if (delay > MAX_TIMEOUT_MS) {
+        // Not due yet - wait for the next slice
+        this.arm(timer);
+        return;
+      }
+
+      this.fire(timer.id).catch(error => {
+        console.error(`[TimerScheduler] Error firing timer ${timer.id}:`, error);
+      });
+    }, Math.min(delay, MAX_TIMEOUT_MS));
+
+    if (handle.unref) {
+      handle.unref();
+    }
+
+    this.handles.set(timer.id, handle);
+  }
+
+  /**
+   * Clear the in-process timeout for a timer
+   */
+  disarm(timerId) {
+    const handle = this.handles.get(timerId);
+    if (handle) {
+      clearTimeout(handle);
+      this.handles.delete(timerId);
+    }
+  }
+
+  /**
+   * Fire a timer and reschedule cycles
+   * Runs under the timer's lock and re-reads the stored record first, so a timer
+   * another process already fired, rescheduled or cancelled is not fired again
+   */
+  async fire(timerId) {
+    const local = this.timers.get(timerId);
+
+    if (!local || local.status !== 'SCHEDULED') {
+      return;
+    }
+
+    const lockKey = `timer_${timerId}`;
+    const lock = await distributedLockManager.acquireLock(lockKey, {
+      metadata: { operation: 'fire_timer', timerId }
+    });
+
+    if (!lock.success) {
+      // Another process is still firing it - check again
+      this.arm(local);
+      return;
+    }
+
+    try {
+      const timer = await workflowDatabase.getTimer(timerId);
+
+      if (!timer || timer.status !== 'SCHEDULED') {
+        // Fired to completion or cancelled elsewhere
+        this.disarm(timerId);
+        this.timers.delete(timerId);
+        return;
+      }
+
+      this.timers.set(timerId, timer);
+
+      if (timer.fireCount !== local.fireCount || timer.dueAt !== local.dueAt) {
+        // Another process fired this repetition - wait for the next one
+        this.arm(timer);
+        return;
+      }
+
+      await this.fireClaimed(timer);
+    } finally {
+      await distributedLockManager.releaseLock(lockKey);
+    }
+  }
+
+  /**
+   * Run the handler for a claimed timer, then reschedule its next cycle or remove it
+   */
+  async fireClaimed(timer) {
+    timer.fireCount++;
+    timer.lastFiredAt = new Date().toISOString();
+    this.stats.fired++;
+
+    console.log(`[TimerScheduler] Timer ${timer.id} fired (${timer.fireCount}) for ${timer.nodeId}`);
+
+    // The record stays persisted until the handler returns, so a crash
+    // mid-handler re-fires the timer on restart
+    if (this.handler) {
+      try {
+        await this.handler({ ...timer });
+      } catch (error) {
+        console.error(`[TimerScheduler] Timer handler failed for ${timer.id}:`, error);
+      }
+    }
+
+    // The handler may have cancelled the timer
+    if (timer.status !== 'SCHEDULED') {
+      return;
+    }
+
+    const hasNextCycle = timer.type === 'cycle' &&
+      (timer.repeat === null || timer.fireCount < timer.repeat) &&
+      this.cycleLength(timer.interval, new Date(timer.dueAt)) >= MIN_CYCLE_INTERVAL_MS;
+
+    if (hasNextCycle) {
+      let next = this.addDuration(new Date(timer.dueAt), this.parseDuration(timer.interval));
+      if (next.getTime() <= Date.now()) {
+        // Missed repetitions while offline - continue from now
+        next = this.addDuration(new Date(), this.parseDuration(timer.interval));
+      }
+
+      timer.dueAt = next.toISOString();
+      await workflowDatabase.saveTimer(timer);
+      this.arm(timer);
+      return;
+    }
+
+    timer.status = 'FIRED';
+    this.timers.delete(timer.id);
+    await workflowDatabase.deleteTimer(timer.id);
+  }
+
+  /**
+   * Cancel a scheduled timer (other processes drop it on their next sync)
+   */
+  async cancelTimer(timerId) {
+    const timer = this.timers.get(timerId) || await this.getTimer(timerId);
+
+    if (!timer) {
+      return null;
+    }
+
+    this.disarm(timerId);
+    timer.status = 'CANCELLED';
+    timer.cancelledAt = new Date().toISOString();
+    this.timers.delete(timerId);
+    await workflowDatabase.deleteTimer(timerId);
+
+    this.stats.cancelled++;
+    console.log(`[TimerScheduler] Cancelled timer ${timerId}`);
+
+    return timer;
+  }
+
+  /**
+   * Cancel all timers for an instance (optionally only those of one token)
+   */
+  async cancelInstanceTimers(instanceId, tokenId = null) {
+    const timers = (await this.getInstanceTimers(instanceId))
+      .filter(t => !tokenId || t.tokenId === tokenId);
+
+    for (const timer of timers) {
+      await this.cancelTimer(timer.id);
+    }
+
+    return timers.length;
+  }
+
+  /**
+   * Point the timers of an instance at the nodes they map to (after the
+   * instance moved to another workflow version); due dates are kept
+   * @param {Function} mapNodeId - old node ID -> new node ID
+   */
+  async remapInstanceTimers(instanceId, mapNodeId) {
+    const timers = await this.getInstanceTimers(instanceId);
+
+    for (const timer of timers) {
+      if (this.timers.has(timer.id)) {
+        this.timers.set(timer.id, timer);
+      }
+
+      timer.nodeId = mapNodeId(timer.nodeId);
+      for (const field of ['attachedTo', 'gatewayId']) {
+        if (timer.payload?.[field]) {
+          timer.payload[field] = mapNodeId(timer.payload[field]);
+        }
+      }
+      await workflowDatabase.saveTimer(timer);
+    }
+
+    return timers.length;
+  }
+
+  /**
+   * Get a scheduled timer by ID
+   */
+  async getTimer(timerId) {
+    const timer = await workflowDatabase.getTimer(timerId);
+    return timer && timer.status === 'SCHEDULED' ? timer : null;
+  }
+
+  /**
+   * Get the scheduled timers of an instance, whichever process scheduled them
+   */
+  async getInstanceTimers(instanceId) {
+    return (await workflowDatabase.getTimersByInstance(instanceId))
+      .filter(t => t.status === 'SCHEDULED')
+      .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+  }
+
+  /**
+   * Parse a timer expression into its type and first due date
+   * Supports ISO-8601 durations (PT1H), dates (2025-01-01T09:00:00Z),
+   * repeating intervals (R3/PT10M, R/2025-01-01T09:00:00Z/P1D) and
+   * shorthand durations (30s, 5m, 1h, 2d)
+   */
+  parseExpression(expression, from = new Date()) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw new Error('Timer expression is required');
+    }
+
+    const value = expression.trim();
+
+    // Repeating interval: R[n]/[start/]duration
+    if (/^R\d*\//i.test(value)) {
+      const parts = value.split('/');
+      const repeatPart = parts[0].substring(1);
+      const repeat = repeatPart === '' ? null : parseInt(repeatPart, 10);
+      const interval = parts[parts.length - 1];
+      const duration = this.parseDuration(interval);
+
+      if (parts.length < 2 || parts.length > 3 || !duration) {
+        throw new Error(`Invalid timer cycle: ${expression}`);
+      }
+
+      if (repeat !== null && repeat < 1) {
+        throw new Error(`Timer cycle must repeat at least once: ${expression}`);
+      }
+
+      if (this.cycleLength(interval, from) < MIN_CYCLE_INTERVAL_MS) {
+        throw new Error(`Timer cycle interval must be at least ${MIN_CYCLE_INTERVAL_MS / 1000}s: ${expression}`);
+      }
+
+      let dueAt;
+      if (parts.length === 3) {
+        dueAt = this.parseDate(parts[1]);
+        if (!dueAt) {
+          throw new Error(`Invalid timer cycle start: ${expression}`);
+        }
+      } else {
+        dueAt = this.addDuration(from, duration);
+      }
+
+      return { type: 'cycle', dueAt, interval, repeat };
+    }
+
+    const duration = this.parseDuration(value);
+    if (duration) {
+      return { type: 'duration', dueAt: this.addDuration(from, duration), interval: null, repeat: null };
+    }
+
+    const date = this.parseDate(value);
+    if (date) {
+      return { type: 'date', dueAt: date, interval: null, repeat: null };
+    }
+
+    throw new Error(`Invalid timer expression: ${expression}`);
+  }
+
+  /**
+   * Parse an ISO-8601 or shorthand duration into its components
+   */
+  parseDuration(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const shorthand = value.trim().match(SHORTHAND_PATTERN);
+    if (shorthand) {
+      return { milliseconds: parseFloat(shorthand[1]) * SHORTHAND_UNITS[shorthand[2]] };
+    }
+
+    const match = value.trim().toUpperCase().match(DURATION_PATTERN);
+    if (!match || value.trim().toUpperCase() === 'P' || /T$/i.test(value.trim())) {
+      return null;
+    }
+
+    const [, years, months, weeks, days, hours, minutes, seconds] = match.map(v => (v ? parseFloat(v) : 0));
+
+    return { years, months, weeks, days, hours, minutes, seconds };
+  }
+
+  /**
+   * Milliseconds between two repetitions of a cycle, starting at a date
+   */
+  cycleLength(interval, from) {
+    const duration = this.parseDuration(interval);
+    return duration ? this.addDuration(from, duration).getTime() - from.getTime() : 0;
+  }
+
+  /**
+   * Parse an ISO-8601 date-time
+   */
+  parseDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}/.test(value)) {
+      return null;
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Add a parsed duration to a date
+   */
+  addDuration(date, duration) {
+    const result = new Date(date.getTime());
+
+    if (duration.milliseconds) {
+      result.setTime(result.getTime() + duration.milliseconds);
+      return result;
+    }
+
+    if (duration.years) result.setUTCFullYear(result.getUTCFullYear() + duration.years);
+    if (duration.months) result.setUTCMonth(result.getUTCMonth() + duration.months);
+
+    const ms = ((duration.weeks || 0) * 7 * 24 * 60 * 60 +
+      (duration.days || 0) * 24 * 60 * 60 +
+      (duration.hours || 0) * 60 * 60 +
+      (duration.minutes || 0) * 60 +
+      (duration.seconds || 0)) * 1000;
+
+    result.setTime(result.getTime() + ms);
+    return result;
+  }
+
+  /**
+   * Get scheduler statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.timers.size,
+      armed: this.handles.size
+    };
+  }
+
+  /**
+   * Disarm all timers (persisted records are kept for the next start)
+   */
+  shutdown() {
+    if (this.syncTimer) {
+      clearTimeout(this.syncTimer);
+      this.syncTimer = null;
+    }
+    for (const timerId of this.handles.keys()) {
+      this.disarm(timerId);
+    }
+    this.started = false;
+    console.log('[TimerScheduler] Shutdown complete');
+  }
+}
+
+module.exports = new TimerScheduler();
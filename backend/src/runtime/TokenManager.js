@@ -84,6 +84,38 @@ class TokenManager {
     return childTokens;
   }
 
+  /**
+   * Create an extra token next to a running one (non-interrupting boundary event)
+   */
+  spawnToken(instanceId, sourceTokenId, nodeId) {
+    const sourceToken = this.getToken(instanceId, sourceTokenId);
+
+    if (!sourceToken) {
+      throw new Error(`Token ${sourceTokenId} not found`);
+    }
+
+    const token = {
+      id: uuidv4(),
+      instanceId,
+      position: nodeId,
+      status: 'active',
+      parentTokenId: sourceToken.id,
+      childTokens: [],
+      variables: { ...sourceToken.variables },
+      createdAt: new Date(),
+      history: [{
+        nodeId,
+        timestamp: new Date(),
+        status: 'created_from_boundary'
+      }]
+    };
+
+    this.tokens.get(instanceId).push(token);
+    console.log(`[TokenManager] Spawned token ${token.id} at ${nodeId} from ${sourceTokenId}`);
+
+    return token;
+  }
+
   /**
    * Merge multiple tokens into one (for parallel gateway join)
    */
@@ -161,6 +193,31 @@ class TokenManager {
     return token;
   }
 
+  /**
+   * Put a token at the matching node of another workflow version
+   * Unlike moveToken the token keeps its status (a parked token stays parked)
+   */
+  migrateToken(instanceId, tokenId, newNodeId) {
+    const token = this.getToken(instanceId, tokenId);
+
+    if (!token) {
+      throw new Error(`Token ${tokenId} not found`);
+    }
+
+    const fromNodeId = token.position;
+    token.position = newNodeId;
+    token.history.push({
+      nodeId: newNodeId,
+      timestamp: new Date(),
+      status: 'migrated',
+      fromNodeId
+    });
+
+    console.log(`[TokenManager] Migrated token ${tokenId} from ${fromNodeId} to ${newNodeId}`);
+
+    return token;
+  }
+
   /**
    * Update token variables
    */
@@ -194,6 +251,103 @@ class TokenManager {
     return token;
   }
 
+  /**
+   * Mark token as cancelled (its work was abandoned, e.g. an unfinished multi-instance iteration)
+   */
+  cancelToken(instanceId, tokenId, reason) {
+    const token = this.getToken(instanceId, tokenId);
+
+    if (!token) {
+      throw new Error(`Token ${tokenId} not found`);
+    }
+
+    token.status = 'cancelled';
+    token.completedAt = new Date();
+    delete token.waitingFor;
+    token.history.push({
+      nodeId: token.position,
+      timestamp: new Date(),
+      status: 'cancelled',
+      reason
+    });
+
+    console.log(`[TokenManager] Cancelled token ${tokenId} at ${token.position}`);
+
+    return token;
+  }
+
+  /**
+   * Park token at its position while it waits (timer, human task, message)
+   */
+  parkToken(instanceId, tokenId, waitingFor) {
+    const token = this.getToken(instanceId, tokenId);
+
+    if (!token) {
+      throw new Error(`Token ${tokenId} not found`);
+    }
+
+    token.status = 'waiting';
+    token.waitingFor = waitingFor;
+    token.history.push({
+      nodeId: token.position,
+      timestamp: new Date(),
+      status: 'waiting',
+      waitingFor
+    });
+
+    console.log(`[TokenManager] Parked token ${tokenId} at ${token.position} (${waitingFor})`);
+
+    return token;
+  }
+
+  /**
+   * Reactivate a parked token
+   */
+  resumeToken(instanceId, tokenId) {
+    const token = this.getToken(instanceId, tokenId);
+
+    if (!token) {
+      throw new Error(`Token ${tokenId} not found`);
+    }
+
+    token.status = 'active';
+    delete token.waitingFor;
+    delete token.error;
+    token.history.push({
+      nodeId: token.position,
+      timestamp: new Date(),
+      status: 'resumed'
+    });
+
+    console.log(`[TokenManager] Resumed token ${tokenId} at ${token.position}`);
+
+    return token;
+  }
+
+  /**
+   * Mark token as failed at its current position (kept for recovery)
+   */
+  failToken(instanceId, tokenId, error) {
+    const token = this.getToken(instanceId, tokenId);
+
+    if (!token) {
+      throw new Error(`Token ${tokenId} not found`);
+    }
+
+    token.status = 'failed';
+    token.error = error;
+    token.history.push({
+      nodeId: token.position,
+      timestamp: new Date(),
+      status: 'failed',
+      error
+    });
+
+    console.log(`[TokenManager] Failed token ${tokenId} at ${token.position}`);
+
+    return token;
+  }
+
   /**
    * Get specific token
    */
@@ -207,6 +361,13 @@ class TokenManager {
     return instanceTokens.find(t => t.id === tokenId);
   }
 
+  /**
+   * Check whether tokens are loaded for an instance
+   */
+  hasInstanceTokens(instanceId) {
+    return this.tokens.has(instanceId);
+  }
+
   /**
    * Get all tokens for instance
    */
@@ -222,6 +383,14 @@ class TokenManager {
     return tokens.filter(t => t.status === 'active');
   }
 
+  /**
+   * Get all parked tokens for instance
+   */
+  getWaitingTokens(instanceId) {
+    const tokens = this.tokens.get(instanceId) || [];
+    return tokens.filter(t => t.status === 'waiting');
+  }
+
   /**
    * Get tokens at specific position
    */
@@ -247,9 +416,12 @@ class TokenManager {
     return {
       total: tokens.length,
       active: tokens.filter(t => t.status === 'active').length,
+      waiting: tokens.filter(t => t.status === 'waiting').length,
+      failed: tokens.filter(t => t.status === 'failed').length,
       completed: tokens.filter(t => t.status === 'completed').length,
       split: tokens.filter(t => t.status === 'split').length,
-      merged: tokens.filter(t => t.status === 'merged').length
+      merged: tokens.filter(t => t.status === 'merged').length,
+      cancelled: tokens.filter(t => t.status === 'cancelled').length
     };
   }
 
@@ -1,9 +1,13 @@
 /**
  * Version Manager
  * Manages workflow versioning, including version creation, publishing, and lifecycle
+ * Versions and instance bindings are persisted to the workflow storage once load() attached it
  */
 
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { canonicalJson } = require('../utils/canonical-json');
+const { codedError } = require('./errors');
 
 class VersionManager {
   constructor() {
@@ -29,12 +33,159 @@ class VersionManager {
       draftVersions: 0,
       activeInstances: new Map() // version -> instance count
     };
+
+    // Workflow storage backend (set by load), and pending writes so they land in order
+    this.store = null;
+    this.persistQueue = Promise.resolve();
+  }
+
+  /**
+   * Load persisted versions and instance bindings from a storage backend
+   * Later changes are written back to the same store
+   */
+  async load(store) {
+    const [versions, bindings] = await Promise.all([
+      store.loadVersions(),
+      store.loadRecords('versionBindings')
+    ]);
+
+    this.store = store;
+    this.versions.clear();
+    this.defaultVersions.clear();
+    this.publishedVersions.clear();
+    this.versionMetadata.clear();
+    this.instanceVersions.clear();
+    this.stats = {
+      totalVersions: 0,
+      publishedVersions: 0,
+      draftVersions: 0,
+      activeInstances: new Map()
+    };
+
+    for (const version of versions.sort((a, b) => a.version - b.version)) {
+      if (!this.versions.has(version.workflowId)) {
+        this.versions.set(version.workflowId, []);
+      }
+      this.versions.get(version.workflowId).push(version);
+      this.versionMetadata.set(version.id, version.metadata);
+
+      this.stats.totalVersions++;
+      if (version.metadata.publishedAt) {
+        this.stats.publishedVersions++;
+      } else {
+        this.stats.draftVersions++;
+      }
+
+      if (version.status === 'PUBLISHED') {
+        if (!this.publishedVersions.has(version.workflowId)) {
+          this.publishedVersions.set(version.workflowId, []);
+        }
+        this.publishedVersions.get(version.workflowId).push(version.version);
+      }
+
+      if (version.metadata.isDefault) {
+        this.defaultVersions.set(version.workflowId, version.version);
+      }
+
+      if (!this.verifyVersion(version).valid) {
+        console.warn(`[VersionManager] Version ${version.version} of workflow ${version.workflowId} does not match its content hash`);
+      }
+    }
+
+    for (const binding of bindings) {
+      this.instanceVersions.set(binding.instanceId, {
+        workflowId: binding.workflowId,
+        version: binding.version,
+        boundAt: binding.boundAt
+      });
+
+      const version = this.getVersion(binding.workflowId, binding.version);
+      if (version) {
+        this.stats.activeInstances.set(version.id, (this.stats.activeInstances.get(version.id) || 0) + 1);
+      }
+    }
+
+    console.log(`[VersionManager] Loaded ${versions.length} versions and ${bindings.length} instance bindings`);
+  }
+
+  /**
+   * Queue a write to the store (no-op until load attached one)
+   * The returned promise rejects when the write fails; later writes still run
+   */
+  persist(operation) {
+    if (!this.store) {
+      return Promise.resolve();
+    }
+
+    const store = this.store;
+    const write = this.persistQueue.then(() => operation(store));
+    this.persistQueue = write.catch(error => console.error('[VersionManager] Error persisting version data:', error));
+
+    return write;
+  }
+
+  /**
+   * Let a queued write run without waiting for it (instance bindings and stats);
+   * failures are only logged
+   */
+  background(write) {
+    write.catch(() => {});
+  }
+
+  /**
+   * Persist a version as it is now
+   */
+  persistVersion(version) {
+    const snapshot = this.deepClone(version);
+    return this.persist(store => store.saveVersion(snapshot));
+  }
+
+  /**
+   * Wait until queued writes are stored
+   */
+  async flush() {
+    await this.persistQueue;
+  }
+
+  /**
+   * SHA-256 of a workflow definition
+   */
+  computeContentHash(workflow) {
+    return crypto.createHash('sha256').update(canonicalJson(workflow)).digest('hex');
+  }
+
+  /**
+   * Check a version against the content hash recorded when it was published
+   * Drafts have no hash and are always valid; a version that was published without one
+   * lost it after publishing (versions are only persisted with their hash) and is invalid
+   */
+  verifyVersion(version) {
+    if (!version.contentHash) {
+      const published = !!version.metadata?.publishedAt || ['PUBLISHED', 'DEPRECATED'].includes(version.status);
+      return { valid: !published, expectedHash: null, actualHash: published ? this.computeContentHash(version.workflow) : null };
+    }
+
+    const actualHash = this.computeContentHash(version.workflow);
+    return {
+      valid: actualHash === version.contentHash,
+      expectedHash: version.contentHash,
+      actualHash
+    };
+  }
+
+  /**
+   * Throw when a published version was changed after publishing
+   */
+  assertVersionIntegrity(version) {
+    if (!this.verifyVersion(version).valid) {
+      throw codedError(`Version ${version.version} of workflow ${version.workflowId} was modified after publishing`, 'VERSION_INTEGRITY_FAILED');
+    }
   }
 
   /**
    * Create a new version of a workflow
    */
-  createVersion(workflowId, workflowData, options = {}) {
+  async createVersion(workflowId, workflowData, options = {}) {
     const {
       author = 'system',
       changeDescription = '',
@@ -82,6 +233,12 @@ class VersionManager {
 
     // Add to versions
     versions.push(version);
+    try {
+      await this.persistVersion(version);
+    } catch (error) {
+      versions.splice(versions.indexOf(version), 1);
+      throw new Error(`Version ${versionNumber} of workflow ${workflowId} was not created: ${error.message}`);
+    }
 
     // Store metadata
     this.versionMetadata.set(version.id, version.metadata);
@@ -92,7 +249,7 @@ class VersionManager {
 
     // If this is the first version, set it as default
     if (versionNumber === 1) {
-      this.setDefaultVersion(workflowId, versionNumber);
+      await this.setDefaultVersion(workflowId, versionNumber);
     }
 
     console.log(`[VersionManager] Created version ${versionNumber} for workflow ${workflowId}`);
@@ -102,9 +259,11 @@ class VersionManager {
 
   /**
    * Publish a version (make it available for execution)
+   * The published content is immutable: its hash, author and time are recorded
+   * Resolves once the published version is stored; a failed write leaves it unpublished
    */
-  publishVersion(workflowId, versionNumber, options = {}) {
-    const { setAsDefault = false } = options;
+  async publishVersion(workflowId, versionNumber, options = {}) {
+    const { setAsDefault = false, author = 'system' } = options;
 
     const version = this.getVersion(workflowId, versionNumber);
 
@@ -117,11 +276,32 @@ class VersionManager {
       return version;
     }
 
+    const previous = {
+      status: version.status,
+      contentHash: version.contentHash,
+      publishedAt: version.metadata.publishedAt,
+      publishedBy: version.metadata.publishedBy,
+      updatedAt: version.metadata.updatedAt
+    };
+
     // Update version status
     version.status = 'PUBLISHED';
+    version.contentHash = this.computeContentHash(version.workflow);
     version.metadata.publishedAt = new Date();
+    version.metadata.publishedBy = author;
     version.metadata.updatedAt = new Date();
 
+    try {
+      await this.persistVersion(version);
+    } catch (error) {
+      version.status = previous.status;
+      version.contentHash = previous.contentHash;
+      version.metadata.publishedAt = previous.publishedAt;
+      version.metadata.publishedBy = previous.publishedBy;
+      version.metadata.updatedAt = previous.updatedAt;
+      throw new Error(`Version ${versionNumber} of workflow ${workflowId} was not published: ${error.message}`);
+    }
+
     // Track published versions
     if (!this.publishedVersions.has(workflowId)) {
       this.publishedVersions.set(workflowId, []);
@@ -134,7 +314,7 @@ class VersionManager {
 
     // Set as default if requested
     if (setAsDefault) {
-      this.setDefaultVersion(workflowId, versionNumber);
+      await this.setDefaultVersion(workflowId, versionNumber);
     }
 
     console.log(`[VersionManager] Published version ${versionNumber} for workflow ${workflowId}`);
@@ -145,7 +325,7 @@ class VersionManager {
   /**
    * Set a version as the default version
    */
-  setDefaultVersion(workflowId, versionNumber) {
+  async setDefaultVersion(workflowId, versionNumber) {
     const version = this.getVersion(workflowId, versionNumber);
 
     if (!version) {
@@ -156,8 +336,9 @@ class VersionManager {
     const currentDefault = this.defaultVersions.get(workflowId);
     if (currentDefault) {
       const oldDefault = this.getVersion(workflowId, currentDefault);
-      if (oldDefault) {
+      if (oldDefault && oldDefault !== version) {
         oldDefault.metadata.isDefault = false;
+        await this.persistVersion(oldDefault);
       }
     }
 
@@ -165,6 +346,7 @@ class VersionManager {
     this.defaultVersions.set(workflowId, versionNumber);
     version.metadata.isDefault = true;
     version.metadata.updatedAt = new Date();
+    await this.persistVersion(version);
 
     console.log(`[VersionManager] Set version ${versionNumber} as default for workflow ${workflowId}`);
 
@@ -174,7 +356,7 @@ class VersionManager {
   /**
    * Deprecate a version (mark as no longer recommended)
    */
-  deprecateVersion(workflowId, versionNumber, reason = '') {
+  async deprecateVersion(workflowId, versionNumber, reason = '') {
     const version = this.getVersion(workflowId, versionNumber);
 
     if (!version) {
@@ -189,6 +371,7 @@ class VersionManager {
     version.metadata.deprecatedAt = new Date();
     version.metadata.deprecationReason = reason;
     version.metadata.updatedAt = new Date();
+    await this.persistVersion(version);
 
     console.log(`[VersionManager] Deprecated version ${versionNumber} for workflow ${workflowId}: ${reason}`);
 
@@ -198,7 +381,7 @@ class VersionManager {
   /**
    * Archive a version (soft delete)
    */
-  archiveVersion(workflowId, versionNumber) {
+  async archiveVersion(workflowId, versionNumber) {
     const version = this.getVersion(workflowId, versionNumber);
 
     if (!version) {
@@ -216,6 +399,7 @@ class VersionManager {
     version.status = 'ARCHIVED';
     version.metadata.archivedAt = new Date();
     version.metadata.updatedAt = new Date();
+    await this.persistVersion(version);
 
     console.log(`[VersionManager] Archived version ${versionNumber} for workflow ${workflowId}`);
 
@@ -225,7 +409,7 @@ class VersionManager {
   /**
    * Delete a version (hard delete)
    */
-  deleteVersion(workflowId, versionNumber) {
+  async deleteVersion(workflowId, versionNumber) {
     const version = this.getVersion(workflowId, versionNumber);
 
     if (!version) {
@@ -240,11 +424,16 @@ class VersionManager {
       throw new Error(`Cannot delete default version. Set a new default version first.`);
     }
 
+    if (version.metadata.publishedAt) {
+      throw new Error(`Cannot delete published version ${versionNumber}. Published versions are immutable; archive it instead.`);
+    }
+
     const versions = this.versions.get(workflowId);
     const index = versions.findIndex(v => v.version === versionNumber);
 
     if (index !== -1) {
-      versions.splice(index, 1);
+      await this.persist(store => store.deleteVersion(version.id));
+      versions.splice(versions.indexOf(version), 1);
       this.versionMetadata.delete(version.id);
 
       // Update statistics
@@ -455,11 +644,13 @@ class VersionManager {
    * Bind an instance to a specific version
    */
   bindInstanceToVersion(instanceId, workflowId, versionNumber) {
-    this.instanceVersions.set(instanceId, {
+    const binding = {
       workflowId,
       version: versionNumber,
       boundAt: new Date()
-    });
+    };
+    this.instanceVersions.set(instanceId, binding);
+    this.background(this.persist(store => store.saveRecord('versionBindings', { id: instanceId, instanceId, ...binding })));
 
     // Update version statistics
     const version = this.getVersion(workflowId, versionNumber);
@@ -472,6 +663,7 @@ class VersionManager {
         this.stats.activeInstances.set(version.id, 0);
       }
       this.stats.activeInstances.set(version.id, this.stats.activeInstances.get(version.id) + 1);
+      this.background(this.persistVersion(version));
     }
 
     console.log(`[VersionManager] Bound instance ${instanceId} to version ${versionNumber}`);
@@ -502,9 +694,11 @@ class VersionManager {
       // Update global stats
       const currentCount = this.stats.activeInstances.get(version.id) || 0;
       this.stats.activeInstances.set(version.id, Math.max(0, currentCount - 1));
+      this.background(this.persistVersion(version));
     }
 
     this.instanceVersions.delete(instanceId);
+    this.background(this.persist(store => store.deleteRecord('versionBindings', instanceId)));
 
     console.log(`[VersionManager] Unbound instance ${instanceId} (${status})`);
   }
@@ -534,7 +728,7 @@ class VersionManager {
   /**
    * Clone a version to create a new draft
    */
-  cloneVersion(workflowId, versionNumber, options = {}) {
+  async cloneVersion(workflowId, versionNumber, options = {}) {
     const sourceVersion = this.getVersion(workflowId, versionNumber);
 
     if (!sourceVersion) {
@@ -568,7 +762,7 @@ class VersionManager {
   /**
    * Import version from export
    */
-  importVersion(workflowId, versionData, options = {}) {
+  async importVersion(workflowId, versionData, options = {}) {
     return this.createVersion(workflowId, versionData.workflow, {
       ...options,
       author: versionData.metadata.author || 'imported',
@@ -625,6 +819,11 @@ class VersionManager {
    * Clear all versions for a workflow
    */
   clearWorkflowVersions(workflowId) {
+    for (const version of this.versions.get(workflowId) || []) {
+      this.versionMetadata.delete(version.id);
+      this.background(this.persist(store => store.deleteVersion(version.id)));
+    }
+
     this.versions.delete(workflowId);
     this.defaultVersions.delete(workflowId);
     this.publishedVersions.delete(workflowId);
@@ -633,7 +832,7 @@ class VersionManager {
   }
 
   /**
-   * Reset all version data
+   * Reset all version data (in memory; persisted versions are kept)
    */
   reset() {
     this.versions.clear();
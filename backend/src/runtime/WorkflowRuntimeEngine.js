@@ -5,6 +5,7 @@
 
 const WorkflowInstance = require('../models/WorkflowInstance');
 const workflowDatabase = require('../database/WorkflowDatabase');
+const workflowRepository = require('../database/WorkflowRepository');
 const ExecutionAgent = require('./agents/ExecutionAgent');
 const tokenManager = require('./TokenManager');
 const gatewayController = require('./GatewayController');
@@ -15,7 +16,55 @@ const timeoutManager = require('./TimeoutManager');
 const performanceMonitor = require('./PerformanceMonitor');
 const distributedLockManager = require('./DistributedLockManager');
 const versionManager = require('./VersionManager');
+const timerScheduler = require('./TimerScheduler');
+const jobQueue = require('./JobQueue');
+const taskService = require('./TaskService');
+const formValidator = require('./FormValidator');
+const messageCorrelator = require('./MessageCorrelator');
+const expressionEvaluator = require('./ExpressionEvaluator');
 const Anthropic = require('@anthropic-ai/sdk');
+const { v4: uuidv4 } = require('uuid');
+const { codedError } = require('./errors');
+
+// Maximum nesting of call activities (guards against workflows calling themselves)
+const MAX_CALL_DEPTH = 10;
+
+// Maximum iterations of one multi-instance activity
+const MAX_LOOP_INSTANCES = 1000;
+
+// Default process data variable for the results of a multi-instance activity
+const DEFAULT_LOOP_RESULT_VARIABLE = 'multiInstanceResults';
+
+// Instances in these states have not ended (a suspended one holds its jobs)
+const ACTIVE_STATUSES = ['RUNNING', 'PAUSED', 'SUSPENDED'];
+
+// Instances in these states run no further jobs
+const ENDED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED'];
+
+// Job types held back while an instance is suspended
+const HELD_JOB_TYPES = ['start', 'execute', 'continue'];
+
+// Instances that can move to another version: none of their steps is in flight
+const MIGRATABLE_STATUSES = ['PAUSED', 'SUSPENDED', 'FAILED'];
+
+// Token states that still hold a position in the workflow
+const OPEN_TOKEN_STATUSES = ['active', 'waiting', 'failed'];
+
+// Operations of an instance modification
+const MODIFICATION_TYPES = ['cancel', 'move', 'start', 'rerun', 'setVariables'];
+
+/**
+ * Create the error of an instance modification that cannot be applied
+ */
+function modificationError(message) {
+  return codedError(message, 'INVALID_MODIFICATION');
+}
+
+// Catch event node types -> the subscription that resumes their token
+const CATCH_EVENT_TYPES = {
+  messageEvent: { type: 'message', nameField: 'messageName' },
+  signalEvent: { type: 'signal', nameField: 'signalName' }
+};
 
 class WorkflowRuntimeEngine {
   constructor() {
@@ -28,6 +77,10 @@ class WorkflowRuntimeEngine {
     this.timeoutManager = timeoutManager;
     this.performanceMonitor = performanceMonitor;
     this.distributedLockManager = distributedLockManager;
+    this.timerScheduler = timerScheduler;
+    this.jobQueue = jobQueue;
+    this.taskService = taskService;
+    this.messageCorrelator = messageCorrelator;
     this.anthropic = new Anthropic({
       apiKey: process.env.ANTHROPIC_API_KEY
     });
@@ -36,6 +89,20 @@ class WorkflowRuntimeEngine {
 
     // Initialize state manager
     this.stateManager.initialize();
+
+    // Resume parked tokens when their timers fire
+    this.timerScheduler.setHandler(timer => this.handleTimer(timer));
+
+    // Queued token steps are executed by JobQueue workers
+    this.jobQueue.setHandler(job => this.runJob(job));
+  }
+
+  /**
+   * Start job workers and re-queue tokens stranded by a previous shutdown
+   */
+  async startWorkers() {
+    await this.jobQueue.start();
+    await this.requeueStrandedTokens();
   }
 
   /**
@@ -44,8 +111,9 @@ class WorkflowRuntimeEngine {
    * @param {Object} inputData - Initial process data
    * @param {String} initiator - Who started the workflow
    * @param {Number} version - Optional version number to use (uses default if not specified)
+   * @param {Object} options - parent link when started by a call activity
    */
-  async startWorkflow(workflowDef, inputData = {}, initiator = 'system', version = null) {
+  async startWorkflow(workflowDef, inputData = {}, initiator = 'system', version = null, options = {}) {
     console.log(`[Runtime] Starting workflow: ${workflowDef?.name || 'Unknown'}`);
 
     // Acquire distributed lock for workflow instance creation
@@ -76,18 +144,28 @@ class WorkflowRuntimeEngine {
           }
         }
 
+        // Refuse published versions whose content no longer matches their hash
+        if (workflowVersion) {
+          versionManager.assertVersionIntegrity(workflowVersion);
+        } else {
+          // Instances without a version load the saved definition: store a new workflow,
+          // or run the saved one (changed content needs the saved revision)
+          actualWorkflowDef = await workflowRepository.resolveDefinition(actualWorkflowDef);
+        }
+
         // Create instance
         const instance = new WorkflowInstance({
           workflowId: actualWorkflowDef.id,
           workflowName: actualWorkflowDef.name,
+          workflowVersion: workflowVersion ? workflowVersion.version : null,
           status: 'RUNNING',
           processData: inputData,
-          initiator
+          initiator,
+          parent: options.parent || null
         });
 
         // Save to database
         await workflowDatabase.saveInstance(instance);
-        await workflowDatabase.saveWorkflow(actualWorkflowDef);
 
         // Bind instance to version
         if (workflowVersion) {
@@ -99,11 +177,9 @@ class WorkflowRuntimeEngine {
           console.log(`[Runtime] Instance ${instance.id} bound to version ${workflowVersion.version}`);
         }
 
-        // Start execution
+        // Queue execution - a worker picks it up, so the caller returns right away
         this.runningInstances.set(instance.id, instance);
-
-        // Execute asynchronously
-        setImmediate(() => this.executeWorkflow(instance.id, actualWorkflowDef));
+        await this.jobQueue.enqueue({ type: 'start', instanceId: instance.id });
 
         return instance.toJSON();
       },
@@ -118,33 +194,177 @@ class WorkflowRuntimeEngine {
   }
 
   /**
-   * Main workflow execution loop
+   * Execute one queued job (called by JobQueue workers under the instance lock)
+   */
+  async runJob(job) {
+    const instance = await this.loadInstanceState(job.instanceId);
+
+    if (!instance) {
+      console.warn(`[Runtime] Skipping ${job.type} job ${job.id}: instance ${job.instanceId} not found`);
+      return;
+    }
+
+    if (ENDED_STATUSES.includes(instance.status)) {
+      console.log(`[Runtime] Skipping ${job.type} job ${job.id}: instance ${instance.id} is ${instance.status}`);
+      this.runningInstances.delete(instance.id);
+      this.tokenManager.clearInstanceTokens(instance.id);
+      this.gatewayController.clearInstanceState(instance.id);
+      return;
+    }
+
+    // Token steps wait while the instance is suspended; terminate and cancel still run
+    if (instance.status === 'SUSPENDED' && HELD_JOB_TYPES.includes(job.type)) {
+      await this.holdJob(instance, job);
+      return;
+    }
+
+    try {
+      const workflow = await this.loadWorkflow(instance);
+      if (!workflow) {
+        throw new Error(`Workflow ${instance.workflowId} not found`);
+      }
+
+      switch (job.type) {
+        case 'start':
+          await this.executeWorkflow(instance, workflow);
+          break;
+
+        case 'execute':
+          await this.executeTokenJob(job, instance, workflow);
+          break;
+
+        case 'continue':
+          await this.continueTokenJob(job, instance, workflow);
+          break;
+
+        case 'terminate':
+          // Parent instance ended early (see terminateChildren)
+          await this.failInstance(instance.id, job.payload.reason);
+          return;
+
+        case 'cancel':
+          // Parent instance was cancelled
+          await this.endCancelledInstance(instance, job.payload.reason, null);
+          return;
+
+        default:
+          console.warn(`[Runtime] Ignoring unknown job type: ${job.type}`);
+          return;
+      }
+    } catch (error) {
+      console.error(`[Runtime] Instance ${instance.id} failed in ${job.type} job:`, error);
+      await this.failInstance(instance.id, error.message);
+      return;
+    }
+
+    if (instance.status === 'RUNNING') {
+      await this.checkWorkflowCompletion(instance);
+    }
+  }
+
+  /**
+   * Reload an instance with its tokens and gateway states from the database
+   * Jobs always start from persisted state, which another process may have advanced
+   */
+  async loadInstanceState(instanceId) {
+    const instance = await workflowDatabase.getInstance(instanceId);
+
+    if (!instance) {
+      return null;
+    }
+
+    this.runningInstances.set(instance.id, instance);
+    this.tokenManager.importTokens(instance.id, instance.tokens || []);
+    this.gatewayController.importStates(instance.id, instance.gatewayStates || {});
+
+    return instance;
+  }
+
+  /**
+   * Load the workflow definition an instance runs on: its bound version, or
+   * the saved workflow when it has none (or the version is no longer known)
+   */
+  async loadWorkflow(instance) {
+    const version = instance.workflowVersion !== null && instance.workflowVersion !== undefined
+      ? versionManager.getVersion(instance.workflowId, instance.workflowVersion)
+      : null;
+
+    return version ? version.workflow : await workflowDatabase.getWorkflow(instance.workflowId);
+  }
+
+  /**
+   * Queue the next step of a token
+   */
+  async enqueueToken(instance, token, nodeId) {
+    return await this.jobQueue.enqueue({
+      type: 'execute',
+      instanceId: instance.id,
+      tokenId: token.id,
+      nodeId
+    });
+  }
+
+  /**
+   * Queue active tokens of running instances that have no pending job
+   * (left behind when a process stopped between saving state and enqueuing)
+   */
+  async requeueStrandedTokens() {
+    const instances = await workflowDatabase.getInstancesByStatus('RUNNING');
+    let requeued = 0;
+
+    for (const instance of instances) {
+      const instanceJobs = await this.jobQueue.listJobs(instance.id);
+
+      if (instanceJobs.some(j => j.type === 'start')) {
+        continue;
+      }
+
+      const strandedTokens = (instance.tokens || [])
+        .filter(t => t.status === 'active' && !instanceJobs.some(j => j.tokenId === t.id));
+
+      for (const token of strandedTokens) {
+        await this.enqueueToken(instance, token, token.position);
+        requeued++;
+      }
+    }
+
+    if (requeued > 0) {
+      console.log(`[Runtime] Re-queued ${requeued} stranded tokens`);
+    }
+
+    return requeued;
+  }
+
+  /**
+   * Start a workflow instance: place the initial token on the start node
    */
-  async executeWorkflow(instanceId, workflowDef) {
+  async executeWorkflow(instance, workflow) {
     // Start workflow performance monitoring
-    const workflowPerfId = this.performanceMonitor.startOperation(`workflow_${instanceId}`, {
-      instanceId,
-      workflowId: workflowDef?.id
+    const workflowPerfId = this.performanceMonitor.startOperation(`workflow_${instance.id}`, {
+      instanceId: instance.id,
+      workflowId: workflow.id
     });
 
     const workflowStartTime = Date.now();
-    let workflow = null;
 
     try {
-      const instance = await this.getInstance(instanceId);
-      workflow = workflowDef || await workflowDatabase.getWorkflow(instance.workflowId);
+      // A re-delivered start job must not place a second token
+      if (this.tokenManager.getInstanceTokens(instance.id).length > 0) {
+        console.log(`[Runtime] Instance ${instance.id} already started`);
+        return;
+      }
 
-      console.log(`[Runtime] Executing workflow ${instanceId}`);
+      console.log(`[Runtime] Executing workflow ${instance.id}`);
 
       // Emit workflow started event
-      eventManager.emitWorkflowStarted(instanceId, instance.workflowId, instance.workflowName);
+      eventManager.emitWorkflowStarted(instance.id, instance.workflowId, instance.workflowName);
 
       // Create initial snapshot
-      await this.createSnapshot(instanceId, 'workflow_start');
+      await this.createSnapshot(instance.id, 'workflow_start');
 
-      // Set workflow timeout (if configured)
+      // Set workflow timeout (if configured) - cleared when the instance ends
       const workflowTimeout = workflow.data?.timeout || this.timeoutManager.defaultTimeouts.workflowExecution;
-      const timeoutId = this.timeoutManager.startWorkflowTimeout(instanceId, workflowTimeout);
+      this.timeoutManager.startWorkflowTimeout(instance.id, workflowTimeout);
 
       // Find start node
       const startNode = workflow.nodes.find(n => n.type === 'startProcess');
@@ -152,37 +372,106 @@ class WorkflowRuntimeEngine {
         throw new Error('No start node found in workflow');
       }
 
-      // Create initial token
+      // Create initial token and queue its first step
       const initialToken = this.tokenManager.createInitialToken(instance.id, startNode.id);
-
-      // Execute from start with token-based execution
-      await this.executeWithToken(startNode, initialToken, instance, workflow);
-
-      // Clear workflow timeout
-      this.timeoutManager.clearWorkflowTimeout(timeoutId);
+      await this.saveState(instance);
+      await this.enqueueToken(instance, initialToken, startNode.id);
 
     } catch (error) {
-      console.error(`[Runtime] Workflow ${instanceId} failed:`, error);
-
       // End performance monitoring on error
-      const perfMetrics = this.performanceMonitor.endOperation(workflowPerfId);
+      this.performanceMonitor.endOperation(workflowPerfId);
       const workflowDuration = Date.now() - workflowStartTime;
 
       // Record failed workflow execution
-      const instance = await this.getInstance(instanceId);
-      this.performanceMonitor.recordWorkflowExecution(instance.workflowId, instanceId, {
+      this.performanceMonitor.recordWorkflowExecution(instance.workflowId, instance.id, {
         duration: workflowDuration,
         status: 'FAILED',
-        nodeCount: workflow?.nodes?.length || 0,
+        nodeCount: workflow.nodes?.length || 0,
         error: error.message
       });
 
-      await this.failInstance(instanceId, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Run the node a token is queued at
+   */
+  async executeTokenJob(job, instance, workflow) {
+    const token = this.tokenManager.getToken(instance.id, job.tokenId);
+
+    if (!token || token.status !== 'active' || token.position !== job.nodeId) {
+      console.log(`[Runtime] Skipping stale execute job ${job.id} for token ${job.tokenId}`);
+      return;
+    }
+
+    const node = workflow.nodes.find(n => n.id === job.nodeId);
+    if (!node) {
+      throw new Error(`Node ${job.nodeId} not found in workflow ${workflow.id}`);
+    }
+
+    await this.executeWithToken(node, token, instance, workflow);
+  }
+
+  /**
+   * Resume the parked token a continue job refers to
+   */
+  async continueTokenJob(job, instance, workflow) {
+    let token;
+
+    if (job.tokenId) {
+      token = this.tokenManager.getToken(instance.id, job.tokenId);
+    } else if (this.tokenManager.getInstanceTokens(instance.id).length === 0) {
+      // Instance paused before tokens were persisted: adopt its current node
+      const node = workflow.nodes.find(n => n.id === job.nodeId);
+      token = this.tokenManager.createInitialToken(instance.id, job.nodeId);
+      this.tokenManager.parkToken(instance.id, token.id, node?.type || 'unknown');
+    }
+
+    // The first event behind an event-based gateway decides the path
+    if (token?.status === 'waiting' && token.eventGateway?.events.includes(job.nodeId)) {
+      await this.takeGatewayEvent(token, instance, job.nodeId);
+    }
+
+    if (!token || token.status !== 'waiting' || token.position !== job.nodeId) {
+      console.log(`[Runtime] Skipping stale continue job ${job.id}: token is no longer waiting at ${job.nodeId}`);
+      return;
+    }
+
+    if (job.payload.boundaryEventId) {
+      const boundary = workflow.nodes.find(n => n.id === job.payload.boundaryEventId);
+      if (!boundary) {
+        throw new Error(`Boundary event ${job.payload.boundaryEventId} not found in workflow ${workflow.id}`);
+      }
+
+      await this.triggerBoundaryEvent(boundary, token, instance, workflow, job.payload);
+      return;
+    }
+
+    if (job.payload.error) {
+      const boundary = this.findErrorBoundary(workflow, token.position, job.payload.errorCode);
+      if (boundary) {
+        const error = codedError(job.payload.error, job.payload.errorCode);
+        await this.triggerBoundaryEvent(boundary, token, instance, workflow, { ...job.payload, action: 'BOUNDARY_ERROR', error });
+        return;
+      }
+
+      // The awaited work failed - fail the token so the instance can be recovered
+      instance.addHistoryEntry({
+        nodeId: token.position,
+        tokenId: token.id,
+        action: job.payload.action,
+        result: job.payload.result
+      });
+      this.tokenManager.failToken(instance.id, token.id, job.payload.error);
+      throw new Error(job.payload.error);
     }
+
+    await this.resumeWaitingToken(instance, token, workflow, job.payload);
   }
 
   /**
-   * Execute node with token (supports parallel execution)
+   * Execute one node with a token; the token's next step is queued as a new job
    */
   async executeWithToken(node, token, instance, workflow) {
     console.log(`[Runtime] Executing node: ${node.id} (${node.type}) with token ${token.id}`);
@@ -191,6 +480,18 @@ class WorkflowRuntimeEngine {
     instance.updateState({ currentNodeId: node.id });
     await this.saveState(instance);
 
+    // A token arriving at a multi-instance activity forks one token per iteration
+    // (a compensation handler runs once for the activity run it undoes)
+    if (this.getLoopConfig(node) && !this.isIterationOf(token, node) && !token.compensation) {
+      await this.startMultiInstance(node, token, instance, workflow);
+      return;
+    }
+
+    // An interrupting timer boundary also bounds a node that runs synchronously
+    const timerBoundary = this.getBoundaryEvents(workflow, node.id)
+      .find(b => b.data?.eventType === 'timer' && b.data?.cancelActivity !== false);
+    const boundaryTimeout = timerBoundary ? this.getBoundaryTimeout(timerBoundary) : null;
+
     // Handle different node types
     try {
       // Check for gateway nodes
@@ -212,10 +513,29 @@ class WorkflowRuntimeEngine {
       let execResult;
       const executionStartTime = Date.now();
 
+      // Iterations see their element and loopCounter in process data
+      if (this.isIterationOf(token, node)) {
+        instance.processData = {
+          ...instance.processData,
+          ...token.iteration.variables
+        };
+      }
+
+      // Compensation handlers see the variables of the activity run they undo
+      if (token.compensation) {
+        instance.processData = {
+          ...instance.processData,
+          ...token.variables
+        };
+      }
+
       try {
         // Get retry and timeout policies from node configuration
         const retryPolicy = this.retryManager.createPolicyFromNode(node);
         const timeoutConfig = this.timeoutManager.createConfigFromNode(node);
+        if (boundaryTimeout && boundaryTimeout < timeoutConfig.timeout) {
+          timeoutConfig.timeout = boundaryTimeout;
+        }
 
         // Execute with timeout and retry logic
         const retryResult = await this.timeoutManager.executeWithTimeout(
@@ -281,6 +601,10 @@ class WorkflowRuntimeEngine {
 
         // Emit variable update event
         eventManager.emitVariableUpdate(instance.id, execResult.output, node.id);
+
+        if (execResult.status !== 'WAITING') {
+          this.recordIterationOutput(node, token, execResult.output);
+        }
       }
 
       // Save state checkpoint
@@ -289,466 +613,2356 @@ class WorkflowRuntimeEngine {
       // Handle execution status
       console.log(`[Runtime] DEBUG: About to check status for ${node.id}, execResult.status = ${execResult.status}, type = ${typeof execResult.status}`);
       if (execResult.status === 'WAITING') {
-        // Node is waiting (human task, timer, etc.)
+        // Node is waiting (human task, timer, etc.) - park the token here
         console.log(`[Runtime] Node ${node.id} is waiting for input`);
-        instance.updateState({ status: 'PAUSED' });
-        await this.saveState(instance);
+        this.tokenManager.parkToken(instance.id, token.id, node.type);
+
+        if (node.type === 'timerEvent') {
+          const timer = await this.timerScheduler.schedule({
+            instanceId: instance.id,
+            tokenId: token.id,
+            nodeId: node.id,
+            expression: execResult.output.duration,
+            dueAt: execResult.output.waitUntil
+          });
+
+          instance.addHistoryEntry({
+            nodeId: node.id,
+            nodeType: node.type,
+            tokenId: token.id,
+            action: 'TIMER_SCHEDULED',
+            result: { timerId: timer.id, type: timer.type, dueAt: timer.dueAt }
+          });
+        }
+
+        if (node.type === 'userTask') {
+          const task = await this.taskService.createTask(instance, node, token, execResult.output);
+
+          instance.addHistoryEntry({
+            nodeId: node.id,
+            nodeType: node.type,
+            tokenId: token.id,
+            action: 'TASK_CREATED',
+            result: { taskId: task.id, assignee: task.assignee, candidateGroups: task.candidateGroups }
+          });
+        }
+
+        if (node.type === 'callActivity') {
+          await this.startCallActivity(node, token, instance, execResult.output);
+        }
+
+        if (CATCH_EVENT_TYPES[node.type]) {
+          await this.subscribeToken(node, token, instance);
+        }
 
-        // Emit workflow paused event
-        eventManager.emitWorkflowPaused(instance.id, `Waiting for ${node.type} at ${node.id}`);
+        if (node.type === 'compensationEvent') {
+          await this.startCompensation(instance, workflow, {
+            activityId: execResult.output.activityRef,
+            throwTokenId: token.id,
+            reason: `Compensation event ${node.id}`
+          });
+        }
+
+        await this.armBoundaryTimers(node, token, instance, workflow);
+
+        await this.saveState(instance);
         return;
       }
 
       if (execResult.status === 'FAILED') {
         // Emit node failed event
         eventManager.emitNodeFailed(instance.id, node.id, node.type, new Error(execResult.error));
-        throw new Error(`Node ${node.id} failed: ${execResult.error}`);
+        throw codedError(`Node ${node.id} failed: ${execResult.error}`, execResult.errorCode);
       }
 
       // Emit node completed event
       eventManager.emitNodeCompleted(instance.id, node.id, node.type, execResult);
 
-      // Move token to next node
-      const nextNode = await this.determineNextNode(node, instance, workflow);
+      await this.advanceToken(node, token, instance, workflow);
 
-      if (nextNode) {
-        // Move token
-        this.tokenManager.moveToken(instance.id, token.id, nextNode.id);
-
-        // Continue execution
-        await this.executeWithToken(nextNode, token, instance, workflow);
-      } else {
-        // End of workflow path - complete token
-        this.tokenManager.completeToken(instance.id, token.id);
-
-        // Check if all tokens are complete
-        await this.checkWorkflowCompletion(instance);
+    } catch (error) {
+      const timedOut = timerBoundary && error.code === 'TIMEOUT' && error.timeoutMs === boundaryTimeout;
+      const boundary = timedOut ? timerBoundary : this.findErrorBoundary(workflow, node.id, error.code);
+
+      if (boundary) {
+        await this.triggerBoundaryEvent(boundary, token, instance, workflow, {
+          action: timedOut ? 'BOUNDARY_TIMER_FIRED' : 'BOUNDARY_ERROR',
+          error,
+          result: { errorCode: error.code || null, error: error.message }
+        });
+        return;
       }
 
-    } catch (error) {
       console.error(`[Runtime] Node ${node.id} execution failed:`, error);
-      this.tokenManager.completeToken(instance.id, token.id);
+      this.tokenManager.failToken(instance.id, token.id, error.message);
       throw error;
     }
   }
 
   /**
-   * Handle gateway node execution
+   * Move a token past a finished node and queue its next step
    */
-  async handleGateway(gateway, token, instance, workflow) {
-    const gatewayType = this.getGatewayType(gateway);
-
-    console.log(`[Runtime] Processing ${gatewayType} gateway: ${gateway.id}`);
-
-    let result;
-
-    switch (gatewayType) {
-      case 'parallel':
-      case 'parallelGateway':
-        result = await this.handleParallelGateway(gateway, token, instance, workflow);
-        break;
-
-      case 'inclusive':
-      case 'inclusiveGateway':
-        result = await this.handleInclusiveGateway(gateway, token, instance, workflow);
-        break;
+  async advanceToken(node, token, instance, workflow) {
+    // A finished compensation handler hands over to the next one
+    if (token.compensation) {
+      await this.completeCompensationStep(node, token, instance, workflow);
+      return;
+    }
 
-      case 'exclusive':
-      case 'exclusiveGateway':
-      case 'decision':
-        result = await this.handleExclusiveGateway(gateway, token, instance, workflow);
-        break;
+    this.recordCompensation(node, token, instance, workflow);
 
-      default:
-        console.warn(`[Runtime] Unknown gateway type: ${gatewayType}, treating as exclusive`);
-        result = await this.handleExclusiveGateway(gateway, token, instance, workflow);
+    // A finished iteration reports to its multi-instance activity instead of moving on
+    if (this.isIterationOf(token, node)) {
+      await this.completeIteration(node, token, instance, workflow);
+      return;
     }
 
-    // Emit gateway event
-    const action = result.type === 'split' ? 'split' : (result.type === 'join' ? 'join' : 'evaluated');
-    eventManager.emitGatewayEvent(instance.id, gateway.id, gatewayType, action, result);
+    const nextNode = await this.determineNextNode(node, instance, workflow);
 
-    // Log gateway result
-    instance.addHistoryEntry({
-      nodeId: gateway.id,
-      nodeType: gatewayType,
-      tokenId: token.id,
-      action: 'GATEWAY',
-      result
-    });
+    if (nextNode) {
+      // Move token - state is saved before queuing so a crash never loses the move
+      this.tokenManager.moveToken(instance.id, token.id, nextNode.id);
+      await this.saveState(instance);
 
-    await this.saveState(instance);
+      await this.enqueueToken(instance, token, nextNode.id);
+    } else {
+      // End of workflow path - complete token (the job checks for instance completion)
+      this.tokenManager.completeToken(instance.id, token.id);
+      await this.saveState(instance);
+    }
   }
 
   /**
-   * Handle Parallel Gateway (AND)
+   * Multi-instance settings of an activity (null when it runs once)
+   * { mode: 'parallel'|'sequential', collection, loopCardinality, elementVariable,
+   *   completionCondition, outputVariable, resultVariable }
    */
-  async handleParallelGateway(gateway, token, instance, workflow) {
-    const incomingFlows = this.gatewayController.getIncomingFlows(gateway.id, workflow);
-
-    // Determine if this is split or join
-    const isSplit = incomingFlows.length === 1;
+  getLoopConfig(node) {
+    const config = node.data?.multiInstance;
+    return config && (config.collection || config.loopCardinality) ? config : null;
+  }
 
-    if (isSplit) {
-      // PARALLEL SPLIT
-      const result = await this.gatewayController.processParallelGatewaySplit(
-        gateway, token, workflow, instance
-      );
+  /**
+   * Whether a token is an iteration of this multi-instance activity
+   */
+  isIterationOf(token, node) {
+    return !!token.iteration && token.iteration.nodeId === node.id;
+  }
 
-      // Execute all child tokens in parallel
-      const executionPromises = result.tokens.map((childToken, index) => {
-        const nextNode = workflow.nodes.find(n => n.id === result.nextNodes[index]);
-        return this.executeWithToken(nextNode, childToken, instance, workflow);
-      });
+  /**
+   * Items to iterate: the collection expression's list, or 0..loopCardinality-1
+   */
+  resolveLoopItems(node, config, token, instance) {
+    const context = { processData: instance.processData, variables: token.variables };
+    let items;
 
-      // Wait for all parallel paths to complete
-      await Promise.all(executionPromises);
+    if (config.collection) {
+      items = expressionEvaluator.evaluate(String(config.collection), context);
+      items = items === null || items === undefined ? [] : items;
 
-      return result;
+      if (!Array.isArray(items)) {
+        throw codedError(`Multi-instance collection "${config.collection}" of ${node.id} is not a list`, 'INVALID_MULTI_INSTANCE');
+      }
     } else {
-      // PARALLEL JOIN
-      const result = await this.gatewayController.processParallelGatewayJoin(
-        gateway, token, workflow, instance
-      );
+      const cardinality = Number(expressionEvaluator.evaluate(String(config.loopCardinality), context));
 
-      if (result.type === 'wait') {
-        // Not all tokens arrived yet - just return
-        return result;
+      if (!Number.isInteger(cardinality) || cardinality < 0) {
+        throw codedError(`Multi-instance cardinality "${config.loopCardinality}" of ${node.id} is not a whole number`, 'INVALID_MULTI_INSTANCE');
       }
 
-      // All tokens arrived - continue with merged token
-      const nextNode = workflow.nodes.find(n => n.id === result.nextNode);
-      await this.executeWithToken(nextNode, result.token, instance, workflow);
+      items = Array.from({ length: cardinality }, (_, i) => i);
+    }
 
-      return result;
+    if (items.length > MAX_LOOP_INSTANCES) {
+      throw codedError(`Multi-instance activity ${node.id} exceeds ${MAX_LOOP_INSTANCES} iterations (${items.length})`, 'INVALID_MULTI_INSTANCE');
     }
+
+    return items;
   }
 
   /**
-   * Handle Inclusive Gateway (OR)
+   * Start a multi-instance activity: the arriving token is forked into one
+   * iteration token per item (all at once when parallel, one after another when
+   * sequential) and waits, split, until the iterations complete
    */
-  async handleInclusiveGateway(gateway, token, instance, workflow) {
-    const incomingFlows = this.gatewayController.getIncomingFlows(gateway.id, workflow);
-
-    // Determine if this is split or join
-    const isSplit = incomingFlows.length === 1;
+  async startMultiInstance(node, token, instance, workflow) {
+    const config = this.getLoopConfig(node);
+    const items = this.resolveLoopItems(node, config, token, instance);
+    const sequential = config.mode === 'sequential';
 
-    if (isSplit) {
-      // INCLUSIVE SPLIT
-      const result = await this.gatewayController.processInclusiveGatewaySplit(
-        gateway, token, workflow, instance
-      );
-
-      // Execute all activated paths in parallel
-      const executionPromises = result.tokens.map((childToken, index) => {
-        const nextNode = workflow.nodes.find(n => n.id === result.nextNodes[index]);
-        return this.executeWithToken(nextNode, childToken, instance, workflow);
-      });
-
-      await Promise.all(executionPromises);
+    token.loop = {
+      nodeId: node.id,
+      mode: sequential ? 'sequential' : 'parallel',
+      items,
+      total: items.length,
+      completed: 0,
+      results: items.map(() => null),
+      tokenIds: [],
+      startedAt: new Date().toISOString()
+    };
 
-      return result;
+    eventManager.emitNodeStarted(instance.id, node.id, node.type);
+    instance.addHistoryEntry({
+      nodeId: node.id,
+      nodeType: node.type,
+      tokenId: token.id,
+      action: 'MULTI_INSTANCE_STARTED',
+      result: { mode: token.loop.mode, instances: items.length }
+    });
+
+    console.log(`[Runtime] Multi-instance ${node.id}: ${items.length} ${token.loop.mode} iterations`);
+
+    if (items.length === 0) {
+      await this.finishMultiInstance(node, token, instance, workflow);
+      return;
+    }
+
+    const indexes = sequential ? [0] : items.map((_, index) => index);
+    const iterations = this.forkIterations(node, token, instance, indexes);
+    await this.saveState(instance);
+
+    for (const iteration of iterations) {
+      await this.enqueueToken(instance, iteration, node.id);
+    }
+  }
+
+  /**
+   * Fork iteration tokens of a multi-instance activity at the given item indexes
+   */
+  forkIterations(node, parent, instance, indexes) {
+    const elementVariable = this.getLoopConfig(node).elementVariable;
+    const iterations = this.tokenManager.forkToken(instance.id, parent.id, indexes.map(() => node.id));
+
+    iterations.forEach((iteration, i) => {
+      const index = indexes[i];
+      const variables = { loopCounter: index };
+      if (elementVariable) {
+        variables[elementVariable] = parent.loop.items[index];
+      }
+
+      iteration.iteration = { nodeId: node.id, index, variables, output: {} };
+      this.tokenManager.updateTokenVariables(instance.id, iteration.id, variables);
+      parent.loop.tokenIds.push(iteration.id);
+    });
+
+    return iterations;
+  }
+
+  /**
+   * Keep the output of an iteration for the activity's result list
+   */
+  recordIterationOutput(node, token, output) {
+    if (this.isIterationOf(token, node)) {
+      token.iteration.output = { ...token.iteration.output, ...output };
+    }
+  }
+
+  /**
+   * Record a finished iteration; start the next sequential one, or finish the
+   * activity when all iterations are done or its completion condition holds
+   */
+  async completeIteration(node, token, instance, workflow) {
+    const config = this.getLoopConfig(node) || {};
+    const parent = this.tokenManager.getToken(instance.id, token.parentTokenId);
+    const loop = parent.loop;
+    const { index, output } = token.iteration;
+
+    loop.results[index] = config.outputVariable ? (output[config.outputVariable] ?? null) : output;
+    loop.completed++;
+    this.tokenManager.completeToken(instance.id, token.id);
+
+    const pending = loop.tokenIds
+      .map(id => this.tokenManager.getToken(instance.id, id))
+      .filter(t => t && ['active', 'waiting'].includes(t.status));
+
+    instance.addHistoryEntry({
+      nodeId: node.id,
+      nodeType: node.type,
+      tokenId: token.id,
+      action: 'ITERATION_COMPLETED',
+      result: { index, completed: loop.completed, total: loop.total }
+    });
+
+    // e.g. count(results, true) >= 2 - results holds each iteration's output so far
+    const conditionMet = !!config.completionCondition && expressionEvaluator.evaluateCondition(config.completionCondition, {
+      processData: instance.processData,
+      variables: {
+        results: loop.results,
+        nrOfInstances: loop.total,
+        nrOfCompletedInstances: loop.completed,
+        nrOfActiveInstances: pending.length
+      }
+    });
+
+    if (conditionMet || loop.completed >= loop.total) {
+      await this.finishMultiInstance(node, parent, instance, workflow, { conditionMet });
+      return;
+    }
+
+    if (loop.mode === 'sequential') {
+      const [next] = this.forkIterations(node, parent, instance, [loop.tokenIds.length]);
+      await this.saveState(instance);
+      await this.enqueueToken(instance, next, node.id);
+      return;
+    }
+
+    await this.saveState(instance);
+  }
+
+  /**
+   * End a multi-instance activity: cancel unfinished iterations, merge the
+   * iteration tokens into one that carries the result list on
+   */
+  async finishMultiInstance(node, parent, instance, workflow, { conditionMet = false } = {}) {
+    const config = this.getLoopConfig(node) || {};
+    const loop = parent.loop;
+    const resultVariable = config.resultVariable || DEFAULT_LOOP_RESULT_VARIABLE;
+    const cancelled = await this.cancelIterations(instance, loop, 'Multi-instance completion condition met');
+
+    const completedIds = loop.tokenIds.filter(id => this.tokenManager.getToken(instance.id, id)?.status === 'completed');
+    const token = completedIds.length > 0
+      ? this.tokenManager.mergeTokens(instance.id, completedIds, node.id)
+      : parent;
+
+    // Iteration variables do not outlive the activity
+    const scoped = ['loopCounter', config.elementVariable].filter(Boolean);
+    for (const name of scoped) {
+      delete token.variables[name];
+      delete instance.processData[name];
+    }
+
+    const output = { [resultVariable]: loop.results };
+    this.tokenManager.updateTokenVariables(instance.id, token.id, output);
+    instance.processData = {
+      ...instance.processData,
+      ...output
+    };
+    loop.completedAt = new Date().toISOString();
+
+    instance.addHistoryEntry({
+      nodeId: node.id,
+      nodeType: node.type,
+      tokenId: token.id,
+      action: 'MULTI_INSTANCE_COMPLETED',
+      result: { instances: loop.total, completed: loop.completed, cancelled, conditionMet, resultVariable }
+    });
+
+    eventManager.emitVariableUpdate(instance.id, output, node.id);
+    eventManager.emitNodeCompleted(instance.id, node.id, node.type, { status: 'COMPLETED', output });
+
+    await this.advanceToken(node, token, instance, workflow);
+  }
+
+  /**
+   * Cancel the iterations of a multi-instance activity that have not finished
+   * (their tasks, timers, subscriptions and called instances end with them)
+   */
+  async cancelIterations(instance, loop, reason) {
+    const pending = loop.tokenIds
+      .map(id => this.tokenManager.getToken(instance.id, id))
+      .filter(t => t && ['active', 'waiting', 'failed'].includes(t.status));
+
+    for (const iteration of pending) {
+      await this.timerScheduler.cancelInstanceTimers(instance.id, iteration.id);
+      await this.taskService.cancelInstanceTasks(instance.id, reason, iteration.id);
+      await this.messageCorrelator.cancelInstanceSubscriptions(instance.id, iteration.id);
+      await this.terminateChildren(instance, reason, iteration.id);
+      this.tokenManager.cancelToken(instance.id, iteration.id, reason);
+    }
+
+    return pending.length;
+  }
+
+  /**
+   * End all iterations of the multi-instance activity an iteration token belongs
+   * to; returns the activity's waiting token, which takes the boundary event
+   */
+  async interruptMultiInstance(token, instance, reason) {
+    const parent = this.tokenManager.getToken(instance.id, token.parentTokenId);
+
+    await this.cancelIterations(instance, parent.loop, reason);
+    parent.loop.completedAt = new Date().toISOString();
+
+    return parent;
+  }
+
+  /**
+   * Load an active instance, its workflow and its persisted tokens for resuming
+   */
+  async loadForResume(instanceId) {
+    const instance = await this.getInstance(instanceId);
+
+    if (!instance) {
+      throw new Error(`Instance ${instanceId} not found`);
+    }
+
+    if (!['RUNNING', 'PAUSED'].includes(instance.status)) {
+      throw codedError(`Instance ${instanceId} is ${instance.status} and cannot be resumed`, 'INSTANCE_CONFLICT');
+    }
+
+    const workflow = await this.loadWorkflow(instance);
+    if (!workflow) {
+      throw new Error(`Workflow ${instance.workflowId} not found`);
+    }
+
+    this.restoreRuntimeState(instance);
+
+    return { instance, workflow };
+  }
+
+  /**
+   * Queue a job that continues a parked token
+   * Shared by task completion, timers and any other resume path; with an
+   * error (and errorCode) the token fails or takes a matching error boundary,
+   * with a boundaryEventId it takes that boundary event
+   */
+  async enqueueContinue(instanceId, token, { action, output = null, result = {}, error = null, errorCode = null, boundaryEventId = null }) {
+    return await this.jobQueue.enqueue({
+      type: 'continue',
+      instanceId,
+      tokenId: token.id,
+      nodeId: token.position,
+      payload: { action, output, result, error, errorCode, boundaryEventId }
+    });
+  }
+
+  /**
+   * Continue a parked token past the node it waits at
+   */
+  async resumeWaitingToken(instance, token, workflow, { action, output = null, result = {} }) {
+    const node = workflow.nodes.find(n => n.id === token.position);
+
+    if (!node) {
+      throw new Error(`Node ${token.position} not found in workflow ${workflow.id}`);
+    }
+
+    console.log(`[Runtime] Resuming token ${token.id} at ${node.id} (${action})`);
+
+    this.tokenManager.resumeToken(instance.id, token.id);
+    await this.cancelBoundaryTimers(instance.id, token.id);
+
+    if (output && Object.keys(output).length > 0) {
+      this.tokenManager.updateTokenVariables(instance.id, token.id, output);
+      instance.processData = {
+        ...instance.processData,
+        ...output
+      };
+      eventManager.emitVariableUpdate(instance.id, output, node.id);
+      this.recordIterationOutput(node, token, output);
+    }
+
+    const wasPaused = instance.status === 'PAUSED';
+    instance.updateState({ status: 'RUNNING' });
+    instance.addHistoryEntry({
+      nodeId: node.id,
+      nodeType: node.type,
+      tokenId: token.id,
+      action,
+      result
+    });
+    await this.saveState(instance);
+
+    if (wasPaused) {
+      eventManager.emitWorkflowResumed(instance.id);
+    }
+    eventManager.emitNodeCompleted(instance.id, node.id, node.type, { status: 'COMPLETED', output });
+
+    await this.advanceToken(node, token, instance, workflow);
+  }
+
+  /**
+   * Start the child instance of a call activity; the token stays parked until it ends
+   */
+  async startCallActivity(node, token, instance, { calledWorkflowId, calledVersion }) {
+    const depth = (instance.parent?.depth || 0) + 1;
+
+    if (depth > MAX_CALL_DEPTH) {
+      throw new Error(`Call activity ${node.id} exceeds the maximum nesting depth of ${MAX_CALL_DEPTH}`);
+    }
+
+    const workflowDef = await workflowRepository.get(calledWorkflowId) ||
+      versionManager.getDefaultVersion(calledWorkflowId)?.workflow;
+
+    if (!workflowDef) {
+      throw new Error(`Called workflow ${calledWorkflowId} not found`);
+    }
+
+    const child = await this.startWorkflow(
+      workflowDef,
+      this.mapVariables(instance.processData, node.data?.inputMapping),
+      `instance:${instance.id}`,
+      calledVersion,
+      { parent: { instanceId: instance.id, tokenId: token.id, nodeId: node.id, depth } }
+    );
+
+    instance.children.push({
+      instanceId: child.id,
+      workflowId: child.workflowId,
+      workflowName: child.workflowName,
+      nodeId: node.id,
+      tokenId: token.id,
+      startedAt: child.createdAt
+    });
+
+    instance.addHistoryEntry({
+      nodeId: node.id,
+      nodeType: node.type,
+      tokenId: token.id,
+      action: 'CALL_ACTIVITY_STARTED',
+      result: { childInstanceId: child.id, workflowId: child.workflowId, version: calledVersion }
+    });
+
+    console.log(`[Runtime] Call activity ${node.id} of ${instance.id} started child ${child.id}`);
+
+    return child;
+  }
+
+  /**
+   * Continue the parent token waiting on a child instance that ended
+   * A failed child fails the parent token unless the call activity sets
+   * onChildFailure to 'continue'
+   */
+  async notifyParent(child) {
+    if (!child.parent) {
+      return;
+    }
+
+    const parent = await workflowDatabase.getInstance(child.parent.instanceId);
+    if (!parent || !ACTIVE_STATUSES.includes(parent.status)) {
+      return;
+    }
+
+    const workflow = await this.loadWorkflow(parent);
+    const nodeData = workflow?.nodes.find(n => n.id === child.parent.nodeId)?.data || {};
+    const token = { id: child.parent.tokenId, position: child.parent.nodeId };
+    const result = { childInstanceId: child.id, status: child.status };
+
+    // The continue job skips the token if it no longer waits on this child
+    if (child.status === 'COMPLETED') {
+      await this.enqueueContinue(parent.id, token, {
+        action: 'CALL_ACTIVITY_COMPLETED',
+        output: this.mapVariables(child.processData, nodeData.outputMapping),
+        result
+      });
+      return;
+    }
+
+    result.error = child.error || `Instance ${child.status.toLowerCase()}`;
+
+    if (nodeData.onChildFailure === 'continue') {
+      await this.enqueueContinue(parent.id, token, {
+        action: 'CALL_ACTIVITY_FAILED',
+        output: nodeData.errorVariable ? { [nodeData.errorVariable]: result.error } : null,
+        result
+      });
     } else {
-      // INCLUSIVE JOIN
-      const result = await this.gatewayController.processInclusiveGatewayJoin(
+      await this.enqueueContinue(parent.id, token, {
+        action: 'CALL_ACTIVITY_FAILED',
+        result,
+        error: `Called instance ${child.id} failed: ${result.error}`,
+        errorCode: 'CALL_ACTIVITY_FAILED'
+      });
+    }
+  }
+
+  /**
+   * Queue termination of running child instances when their parent ends early
+   * Call activities with terminateWithParent set to false leave their child
+   * running; with a tokenId only that token's (interrupted) call activity ends.
+   * A cancelled parent queues 'cancel' jobs instead, so its children are
+   * cancelled rather than failed
+   */
+  async terminateChildren(instance, reason, tokenId = null, jobType = 'terminate') {
+    if (!instance.children?.length) {
+      return 0;
+    }
+
+    const workflow = await this.loadWorkflow(instance);
+    let terminated = 0;
+
+    for (const link of instance.children) {
+      const nodeData = workflow?.nodes.find(n => n.id === link.nodeId)?.data || {};
+      if (tokenId ? link.tokenId !== tokenId : nodeData.terminateWithParent === false) {
+        continue;
+      }
+
+      const child = await workflowDatabase.getInstance(link.instanceId);
+      if (!child || !ACTIVE_STATUSES.includes(child.status)) {
+        continue;
+      }
+
+      // Runs under the child's lock, like its own steps
+      await this.jobQueue.enqueue({ type: jobType, instanceId: child.id, payload: { reason } });
+      terminated++;
+    }
+
+    return terminated;
+  }
+
+  /**
+   * Copy variables through a { source: target } mapping (all variables without one)
+   */
+  mapVariables(source = {}, mapping = null) {
+    if (!mapping || Object.keys(mapping).length === 0) {
+      return { ...source };
+    }
+
+    const target = {};
+    for (const [from, to] of Object.entries(mapping)) {
+      if (to && Object.prototype.hasOwnProperty.call(source, from)) {
+        target[to] = source[from];
+      }
+    }
+
+    return target;
+  }
+
+  /**
+   * Get the boundary events attached to a node
+   */
+  getBoundaryEvents(workflow, nodeId) {
+    return workflow.nodes.filter(n => n.type === 'boundaryEvent' && n.data?.attachedTo === nodeId);
+  }
+
+  /**
+   * Find the error boundary that catches an error code (one without a code catches all)
+   */
+  findErrorBoundary(workflow, nodeId, errorCode) {
+    const boundaries = this.getBoundaryEvents(workflow, nodeId).filter(b => b.data?.eventType === 'error');
+
+    return boundaries.find(b => b.data.errorCode && b.data.errorCode === errorCode) ||
+      boundaries.find(b => !b.data.errorCode) ||
+      null;
+  }
+
+  /**
+   * Milliseconds until a timer boundary fires
+   */
+  getBoundaryTimeout(boundary) {
+    try {
+      const { dueAt } = this.timerScheduler.parseExpression(boundary.data.duration);
+      return Math.max(dueAt.getTime() - Date.now(), 1);
+    } catch (error) {
+      console.warn(`[Runtime] Ignoring boundary ${boundary.id} with invalid duration: ${boundary.data.duration}`);
+      return null;
+    }
+  }
+
+  /**
+   * Schedule the timer boundaries of an activity a token is parked at
+   */
+  async armBoundaryTimers(node, token, instance, workflow) {
+    const boundaries = this.getBoundaryEvents(workflow, node.id).filter(b => b.data?.eventType === 'timer');
+
+    for (const boundary of boundaries) {
+      const timer = await this.timerScheduler.schedule({
+        instanceId: instance.id,
+        tokenId: token.id,
+        nodeId: boundary.id,
+        expression: boundary.data.duration,
+        kind: 'boundary',
+        payload: { attachedTo: node.id }
+      });
+
+      instance.addHistoryEntry({
+        nodeId: boundary.id,
+        nodeType: boundary.type,
+        tokenId: token.id,
+        action: 'TIMER_SCHEDULED',
+        result: { timerId: timer.id, type: timer.type, dueAt: timer.dueAt, attachedTo: node.id }
+      });
+    }
+  }
+
+  /**
+   * Cancel the boundary timers of a token leaving its activity
+   */
+  async cancelBoundaryTimers(instanceId, tokenId) {
+    const timers = (await this.timerScheduler.getInstanceTimers(instanceId))
+      .filter(t => t.kind === 'boundary' && t.tokenId === tokenId);
+
+    for (const timer of timers) {
+      await this.timerScheduler.cancelTimer(timer.id);
+    }
+  }
+
+  /**
+   * Take a boundary event: an interrupting one moves the token off its activity
+   * (cancelling the activity's task, timers and child instance), a
+   * non-interrupting one starts an extra token on the boundary path
+   * Error boundaries always interrupt
+   */
+  async triggerBoundaryEvent(boundary, token, instance, workflow, { action, error = null, result = {} }) {
+    const interrupting = boundary.data?.eventType === 'error' || boundary.data?.cancelActivity !== false;
+    const attachedTo = token.position;
+    let boundaryToken = token;
+
+    console.log(`[Runtime] Boundary event ${boundary.id} on ${attachedTo} triggered (${interrupting ? 'interrupting' : 'non-interrupting'})`);
+
+    if (interrupting) {
+      const reason = `Interrupted by boundary event ${boundary.id}`;
+
+      // Interrupting a multi-instance activity ends all of its iterations
+      if (token.iteration) {
+        token = await this.interruptMultiInstance(token, instance, reason);
+        boundaryToken = token;
+      }
+
+      await this.cancelBoundaryTimers(instance.id, token.id);
+      await this.taskService.cancelInstanceTasks(instance.id, reason, token.id);
+      await this.terminateChildren(instance, reason, token.id);
+
+      if (token.status !== 'active') {
+        this.tokenManager.resumeToken(instance.id, token.id);
+      }
+      this.tokenManager.moveToken(instance.id, token.id, boundary.id);
+    } else {
+      boundaryToken = this.tokenManager.spawnToken(instance.id, token.id, boundary.id);
+    }
+
+    const output = error && boundary.data?.errorVariable
+      ? { [boundary.data.errorVariable]: { code: error.code || null, message: error.message, nodeId: attachedTo } }
+      : null;
+
+    if (output) {
+      this.tokenManager.updateTokenVariables(instance.id, boundaryToken.id, output);
+      instance.processData = {
+        ...instance.processData,
+        ...output
+      };
+      eventManager.emitVariableUpdate(instance.id, output, boundary.id);
+    }
+
+    const wasPaused = instance.status === 'PAUSED';
+    instance.updateState({ status: 'RUNNING', currentNodeId: boundary.id });
+    instance.addHistoryEntry({
+      nodeId: boundary.id,
+      nodeType: boundary.type,
+      tokenId: boundaryToken.id,
+      action,
+      result: { ...result, attachedTo, interrupting }
+    });
+
+    if (wasPaused) {
+      eventManager.emitWorkflowResumed(instance.id);
+    }
+    eventManager.emitNodeCompleted(instance.id, boundary.id, boundary.type, { status: 'COMPLETED', output });
+
+    await this.advanceToken(boundary, boundaryToken, instance, workflow);
+  }
+
+  /**
+   * Get the compensation handler of an activity: the node its compensation
+   * boundary event is connected to
+   */
+  getCompensationHandler(workflow, nodeId) {
+    const boundary = this.getBoundaryEvents(workflow, nodeId).find(b => b.data?.eventType === 'compensation');
+    if (!boundary) {
+      return null;
+    }
+
+    const connections = workflow.connections || workflow.edges || [];
+    const connection = connections.find(c => c.source === boundary.id);
+
+    return connection ? workflow.nodes.find(n => n.id === connection.target) || null : null;
+  }
+
+  /**
+   * Remember a completed activity that has a compensation handler
+   * (each iteration of a multi-instance activity is compensated on its own)
+   */
+  recordCompensation(node, token, instance, workflow) {
+    if (this.getLoopConfig(node) && !this.isIterationOf(token, node)) {
+      return;
+    }
+
+    const handler = this.getCompensationHandler(workflow, node.id);
+    if (!handler) {
+      return;
+    }
+
+    const iteration = this.isIterationOf(token, node) ? token.iteration : null;
+
+    instance.compensations.push({
+      id: uuidv4(),
+      nodeId: node.id,
+      handlerId: handler.id,
+      tokenId: token.id,
+      variables: iteration ? { ...iteration.variables } : {},
+      output: iteration ? { ...iteration.output } : {},
+      status: 'COMPLETED',
+      completedAt: new Date().toISOString(),
+      compensatedAt: null
+    });
+  }
+
+  /**
+   * Start compensating completed activities (all, or only activityId) in reverse order
+   * of completion; the handlers run one at a time as tokens of the instance. A token
+   * parked at a compensation event (throwTokenId) continues once all have run.
+   */
+  async startCompensation(instance, workflow, { activityId = null, throwTokenId = null, reason = null, endInstance = false, user = null }) {
+    if (instance.compensation) {
+      throw codedError(`Instance ${instance.id} is already compensating`, 'INSTANCE_CONFLICT');
+    }
+
+    const records = instance.compensations
+      .filter(r => r.status === 'COMPLETED' && (!activityId || r.nodeId === activityId))
+      .reverse();
+
+    instance.compensation = {
+      id: uuidv4(),
+      activityId,
+      reason,
+      pending: records.map(r => r.id),
+      compensated: [],
+      current: null,
+      throwTokenId,
+      nodeId: instance.currentNodeId,
+      endInstance,
+      requestedBy: user?.id || null,
+      startedAt: new Date().toISOString()
+    };
+
+    const activities = records.map(r => r.nodeId);
+
+    instance.updateState({ status: 'RUNNING' });
+    instance.addHistoryEntry({
+      nodeId: instance.compensation.nodeId,
+      tokenId: throwTokenId,
+      action: 'COMPENSATION_STARTED',
+      result: { compensationId: instance.compensation.id, activityId, activities, reason }
+    });
+    eventManager.emitCompensationEvent(instance.id, 'started', {
+      compensationId: instance.compensation.id,
+      activityId,
+      activities,
+      reason
+    });
+
+    console.log(`[Runtime] Compensating ${activities.length} activities of instance ${instance.id}`);
+
+    await this.compensateNext(instance, workflow);
+  }
+
+  /**
+   * Run the handler of the next activity to compensate, or finish the compensation
+   */
+  async compensateNext(instance, workflow) {
+    const run = instance.compensation;
+    const recordId = run.pending.shift();
+
+    if (!recordId) {
+      await this.finishCompensation(instance);
+      return;
+    }
+
+    const record = instance.compensations.find(r => r.id === recordId);
+    const token = this.tokenManager.createInitialToken(instance.id, record.handlerId);
+
+    token.compensation = { compensationId: run.id, recordId, activityId: record.nodeId };
+    this.tokenManager.updateTokenVariables(instance.id, token.id, { ...record.output, ...record.variables });
+    record.status = 'COMPENSATING';
+    run.current = { recordId, tokenId: token.id };
+
+    await this.saveState(instance);
+    await this.enqueueToken(instance, token, record.handlerId);
+  }
+
+  /**
+   * Record a finished compensation handler and continue with the next activity
+   */
+  async completeCompensationStep(node, token, instance, workflow) {
+    const run = instance.compensation;
+    const record = instance.compensations.find(r => r.id === token.compensation.recordId);
+
+    this.tokenManager.completeToken(instance.id, token.id);
+    record.status = 'COMPENSATED';
+    record.compensatedAt = new Date().toISOString();
+    run.compensated.push(record.nodeId);
+    run.current = null;
+
+    // Iteration variables do not outlive the handler
+    for (const name of Object.keys(record.variables)) {
+      delete instance.processData[name];
+    }
+
+    instance.addHistoryEntry({
+      nodeId: record.nodeId,
+      tokenId: token.id,
+      action: 'ACTIVITY_COMPENSATED',
+      result: { compensationId: run.id, handlerId: node.id, completedAt: record.completedAt }
+    });
+    eventManager.emitCompensationEvent(instance.id, 'activity_compensated', {
+      compensationId: run.id,
+      activityId: record.nodeId,
+      handlerId: node.id
+    });
+
+    await this.compensateNext(instance, workflow);
+  }
+
+  /**
+   * End a compensation run: continue the throwing token, or end an instance
+   * that was compensated after it failed
+   */
+  async finishCompensation(instance) {
+    const run = instance.compensation;
+    const result = { compensationId: run.id, activityId: run.activityId, compensated: run.compensated };
+
+    instance.compensation = null;
+    eventManager.emitCompensationEvent(instance.id, 'completed', result);
+
+    console.log(`[Runtime] Compensation ${run.id} of instance ${instance.id} completed (${run.compensated.length} activities)`);
+
+    // The throw event's token records the completion when it continues
+    if (run.throwTokenId) {
+      await this.saveState(instance);
+      const token = this.tokenManager.getToken(instance.id, run.throwTokenId);
+      await this.enqueueContinue(instance.id, token, { action: 'COMPENSATION_COMPLETED', result });
+      return;
+    }
+
+    instance.addHistoryEntry({
+      nodeId: run.nodeId,
+      action: 'COMPENSATION_COMPLETED',
+      result
+    });
+
+    if (run.endInstance) {
+      await this.endCancelledInstance(instance, run.reason, run.requestedBy ? { id: run.requestedBy } : null);
+      return;
+    }
+
+    await this.saveState(instance);
+  }
+
+  /**
+   * Compensate the completed activities of an instance (all, or only activityId)
+   * A failed instance is rolled back this way and then ends as CANCELLED
+   */
+  async compensateInstance(instanceId, { activityId = null, reason = 'Compensated by user' } = {}, user = null) {
+    return await this.controlInstance(instanceId, 'compensate_instance', async instance => {
+      this.requireInstanceStatus(instance, ['RUNNING', 'PAUSED', 'FAILED'], 'compensated');
+
+      const workflow = await this.loadWorkflow(instance);
+      if (!workflow) {
+        throw new Error(`Workflow ${instance.workflowId} not found`);
+      }
+
+      if (activityId && !this.getCompensationHandler(workflow, activityId)) {
+        throw codedError(`Activity ${activityId} has no compensation handler`, 'INVALID_COMPENSATION');
+      }
+
+      const failed = instance.status === 'FAILED';
+      if (failed) {
+        // The failed steps are abandoned - the instance ends once it is rolled back
+        for (const token of this.tokenManager.getInstanceTokens(instance.id).filter(t => t.status === 'failed')) {
+          this.tokenManager.cancelToken(instance.id, token.id, reason);
+        }
+      }
+
+      await this.startCompensation(instance, workflow, { activityId, reason, endInstance: failed, user });
+
+      // Nothing to compensate: settle back to PAUSED (tokens parked) or keep running
+      if (!failed && !instance.compensation) {
+        await this.checkWorkflowCompletion(instance);
+      }
+
+      return instance.toJSON();
+    });
+  }
+
+  /**
+   * Resume the token parked at a timer event when its timer fires
+   */
+  async handleTimer(timer) {
+    if (timer.kind === 'boundary') {
+      // Cycles keep firing for non-interrupting boundaries (reminders)
+      await this.enqueueContinue(timer.instanceId, { id: timer.tokenId, position: timer.payload.attachedTo }, {
+        action: 'BOUNDARY_TIMER_FIRED',
+        result: { timerId: timer.id, dueAt: timer.dueAt, fireCount: timer.fireCount },
+        boundaryEventId: timer.nodeId
+      });
+      return;
+    }
+
+    // A catch event continues once, even when its timer is a cycle
+    if (timer.type === 'cycle') {
+      await this.timerScheduler.cancelTimer(timer.id);
+    }
+
+    console.log(`[Runtime] Timer ${timer.id} fired for ${timer.instanceId} at ${timer.nodeId}`);
+
+    // The continue job skips tokens that have already moved on
+    await this.enqueueContinue(timer.instanceId, { id: timer.tokenId, position: timer.nodeId }, {
+      action: 'TIMER_FIRED',
+      result: { timerId: timer.id, dueAt: timer.dueAt, fireCount: timer.fireCount }
+    });
+  }
+
+  /**
+   * Cancel a scheduled timer of an instance under the instance lock
+   * The token parked at a timer catch event moves on as if the timer had
+   * fired; a cancelled boundary or event-based gateway timer only stops
+   * that event, the token keeps waiting at its activity or gateway
+   */
+  async cancelTimer(instanceId, timerId, reason = 'Cancelled by user', user = null) {
+    return await this.controlInstance(instanceId, 'cancel_timer', async instance => {
+      const timer = await this.timerScheduler.getTimer(timerId);
+
+      if (!timer || timer.instanceId !== instance.id) {
+        return null;
+      }
+
+      const cancelled = await this.timerScheduler.cancelTimer(timerId);
+
+      const result = { timerId, reason, cancelledBy: user?.id || null };
+      instance.addHistoryEntry({
+        nodeId: timer.nodeId,
+        tokenId: timer.tokenId,
+        action: 'TIMER_CANCELLED',
+        result
+      });
+      await this.saveState(instance);
+
+      if (timer.kind !== 'boundary' && !timer.payload?.gatewayId) {
+        await this.enqueueContinue(instance.id, { id: timer.tokenId, position: timer.nodeId }, {
+          action: 'TIMER_CANCELLED',
+          result
+        });
+      }
+
+      return cancelled;
+    });
+  }
+
+  /**
+   * Subscribe a token parked at a message or signal catch event
+   * Correlation keys are resolved against the token's variables and process data
+   */
+  async subscribeToken(node, token, instance) {
+    const { type, nameField } = CATCH_EVENT_TYPES[node.type];
+    const variables = this.tokenManager.getToken(instance.id, token.id)?.variables || {};
+
+    const subscription = await this.messageCorrelator.subscribe({
+      instanceId: instance.id,
+      tokenId: token.id,
+      nodeId: node.id,
+      type,
+      name: node.data[nameField],
+      correlationKeys: type === 'message'
+        ? this.messageCorrelator.resolveCorrelationKeys(node.data.correlationKeys, { processData: instance.processData, variables })
+        : {},
+      outputMapping: node.data.outputMapping || null
+    });
+
+    instance.addHistoryEntry({
+      nodeId: node.id,
+      nodeType: node.type,
+      tokenId: token.id,
+      action: 'SUBSCRIBED',
+      result: { subscriptionId: subscription.id, type, name: subscription.name, correlationKeys: subscription.correlationKeys }
+    });
+
+    return subscription;
+  }
+
+  /**
+   * Correlate a message to the tokens waiting for it
+   * Without a waiting token the message starts workflows whose start event is
+   * triggered by it
+   * @param {Object} options - correlationKeys, variables (the payload), all
+   *   (deliver to every match instead of rejecting ambiguous messages)
+   */
+  async correlateMessage(messageName, { correlationKeys = {}, variables = {}, all = false } = {}) {
+    this.messageCorrelator.requireName('message', messageName);
+
+    const subscriptions = await this.messageCorrelator.findSubscriptions('message', messageName, correlationKeys);
+
+    if (subscriptions.length === 0) {
+      const started = await this.startByMessage(messageName, { ...correlationKeys, ...variables });
+
+      if (started.length === 0) {
+        throw codedError(`No instance or start event is waiting for message ${messageName} with ${JSON.stringify(correlationKeys)}`, 'MESSAGE_NOT_CORRELATED');
+      }
+
+      return { messageName, correlated: [], started };
+    }
+
+    if (subscriptions.length > 1 && !all) {
+      throw codedError(
+        `Message ${messageName} matches ${subscriptions.length} waiting instances ` +
+        `(${subscriptions.map(s => s.instanceId).join(', ')}); add correlation keys or set all`,
+        'MESSAGE_AMBIGUOUS'
+      );
+    }
+
+    const correlated = await this.deliver(subscriptions, 'MESSAGE_RECEIVED', variables, { messageName, correlationKeys });
+
+    console.log(`[Runtime] Message ${messageName} correlated to ${correlated.length} token(s)`);
+
+    return { messageName, correlated, started: [] };
+  }
+
+  /**
+   * Broadcast a signal to every token waiting for it
+   */
+  async broadcastSignal(signalName, variables = {}) {
+    this.messageCorrelator.requireName('signal', signalName);
+
+    const subscriptions = await this.messageCorrelator.findSubscriptions('signal', signalName);
+    const delivered = await this.deliver(subscriptions, 'SIGNAL_RECEIVED', variables, { signalName });
+
+    console.log(`[Runtime] Signal ${signalName} delivered to ${delivered.length} token(s)`);
+
+    return { signalName, delivered };
+  }
+
+  /**
+   * Consume subscriptions and queue the continue jobs of their tokens
+   * A subscription consumed by a concurrent message is skipped
+   */
+  async deliver(subscriptions, action, variables, result) {
+    const delivered = [];
+
+    for (const subscription of subscriptions) {
+      if (!await this.messageCorrelator.consume(subscription)) {
+        continue;
+      }
+
+      await this.enqueueContinue(subscription.instanceId, { id: subscription.tokenId, position: subscription.nodeId }, {
+        action,
+        output: this.mapVariables(variables, subscription.outputMapping),
+        result
+      });
+
+      delivered.push({
+        instanceId: subscription.instanceId,
+        tokenId: subscription.tokenId,
+        nodeId: subscription.nodeId
+      });
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Start an instance of every workflow with a start event triggered by a message
+   */
+  async startByMessage(messageName, inputData) {
+    const workflows = (await workflowRepository.listActive()).filter(workflow =>
+      (workflow.nodes || []).some(n =>
+        n.type === 'startProcess' && n.data?.trigger === 'message' && n.data?.messageName === messageName
+      )
+    );
+
+    const started = [];
+    for (const workflow of workflows) {
+      const instance = await this.startWorkflow(workflow, inputData, `message:${messageName}`);
+      started.push({ instanceId: instance.id, workflowId: workflow.id, workflowName: workflow.name });
+    }
+
+    return started;
+  }
+
+  /**
+   * Load persisted tokens and gateway states if this process has none
+   */
+  restoreRuntimeState(instance) {
+    if (this.tokenManager.hasInstanceTokens(instance.id) || !instance.tokens?.length) {
+      return;
+    }
+
+    this.tokenManager.importTokens(instance.id, instance.tokens);
+    this.gatewayController.importStates(instance.id, instance.gatewayStates || {});
+  }
+
+  /**
+   * Handle gateway node execution
+   */
+  async handleGateway(gateway, token, instance, workflow) {
+    const gatewayType = this.getGatewayType(gateway);
+
+    console.log(`[Runtime] Processing ${gatewayType} gateway: ${gateway.id}`);
+
+    let result;
+
+    switch (gatewayType) {
+      case 'parallel':
+      case 'parallelGateway':
+        result = await this.handleParallelGateway(gateway, token, instance, workflow);
+        break;
+
+      case 'inclusive':
+      case 'inclusiveGateway':
+        result = await this.handleInclusiveGateway(gateway, token, instance, workflow);
+        break;
+
+      case 'exclusive':
+      case 'exclusiveGateway':
+      case 'decision':
+        result = await this.handleExclusiveGateway(gateway, token, instance, workflow);
+        break;
+
+      case 'eventBased':
+      case 'eventGateway':
+      case 'eventBasedGateway':
+        result = await this.gatewayController.processEventBasedGateway(gateway, token, workflow, instance);
+        break;
+
+      case 'complex':
+      case 'complexGateway':
+        result = await this.handleComplexGateway(gateway, token, instance, workflow);
+        break;
+
+      default:
+        console.warn(`[Runtime] Unknown gateway type: ${gatewayType}, treating as exclusive`);
+        result = await this.handleExclusiveGateway(gateway, token, instance, workflow);
+    }
+
+    // Emit gateway event
+    const action = result.type === 'split' ? 'split' : (result.type === 'join' ? 'join' : 'evaluated');
+    eventManager.emitGatewayEvent(instance.id, gateway.id, gatewayType, action, result);
+
+    // Log gateway result
+    instance.addHistoryEntry({
+      nodeId: gateway.id,
+      nodeType: gatewayType,
+      tokenId: token.id,
+      action: 'GATEWAY',
+      result
+    });
+
+    if (result.type === 'wait') {
+      // Park the arriving token until the join is complete
+      this.tokenManager.parkToken(instance.id, token.id, 'join');
+    }
+
+    if (result.type === 'event') {
+      // Park the token at the gateway until the first of its events occurs
+      this.tokenManager.parkToken(instance.id, token.id, 'eventGateway');
+      token.eventGateway = {
+        gatewayId: gateway.id,
+        events: result.events.map(event => event.nodeId)
+      };
+      await this.armEventGateway(token, instance, workflow);
+    }
+
+    await this.saveState(instance);
+
+    // Queue the outgoing tokens (a consumed token ends at a complex join that already fired)
+    if (result.type === 'split') {
+      for (let i = 0; i < result.tokens.length; i++) {
+        await this.enqueueToken(instance, result.tokens[i], result.nextNodes[i]);
+      }
+    } else if (!['wait', 'event', 'consumed'].includes(result.type)) {
+      await this.enqueueToken(instance, result.token, result.nextNode);
+    }
+  }
+
+  /**
+   * Handle Parallel Gateway (AND)
+   */
+  async handleParallelGateway(gateway, token, instance, workflow) {
+    const incomingFlows = this.gatewayController.getIncomingFlows(gateway.id, workflow);
+
+    // Determine if this is split or join
+    const isSplit = incomingFlows.length === 1;
+
+    if (isSplit) {
+      // PARALLEL SPLIT - one child token per outgoing flow
+      return await this.gatewayController.processParallelGatewaySplit(
+        gateway, token, workflow, instance
+      );
+    }
+
+    // PARALLEL JOIN - waits until all incoming tokens arrived, then merges them
+    return await this.gatewayController.processParallelGatewayJoin(
+      gateway, token, workflow, instance
+    );
+  }
+
+  /**
+   * Handle Inclusive Gateway (OR)
+   */
+  async handleInclusiveGateway(gateway, token, instance, workflow) {
+    const incomingFlows = this.gatewayController.getIncomingFlows(gateway.id, workflow);
+
+    // Determine if this is split or join
+    const isSplit = incomingFlows.length === 1;
+
+    if (isSplit) {
+      // INCLUSIVE SPLIT - child tokens for every activated path
+      return await this.gatewayController.processInclusiveGatewaySplit(
+        gateway, token, workflow, instance
+      );
+    }
+
+    // INCLUSIVE JOIN - waits for the tokens the split activated
+    return await this.gatewayController.processInclusiveGatewayJoin(
+      gateway, token, workflow, instance
+    );
+  }
+
+  /**
+   * Handle Exclusive Gateway (XOR)
+   */
+  async handleExclusiveGateway(gateway, token, instance, workflow) {
+    // Moves the token onto the selected path
+    return await this.gatewayController.processExclusiveGateway(
+      gateway, token, workflow, instance
+    );
+  }
+
+  /**
+   * Handle Complex Gateway
+   */
+  async handleComplexGateway(gateway, token, instance, workflow) {
+    const incomingFlows = this.gatewayController.getIncomingFlows(gateway.id, workflow);
+
+    if (incomingFlows.length === 1) {
+      // COMPLEX SPLIT - like an inclusive split: every path whose condition holds
+      return await this.gatewayController.processInclusiveGatewaySplit(
         gateway, token, workflow, instance
       );
+    }
+
+    // COMPLEX JOIN - fires once the activation condition holds
+    return await this.gatewayController.processComplexGatewayJoin(
+      gateway, token, workflow, instance
+    );
+  }
+
+  /**
+   * Arm the events behind an event-based gateway for the token waiting there:
+   * message/signal subscriptions and timers, all delivered as continue jobs for the event node
+   */
+  async armEventGateway(token, instance, workflow) {
+    for (const nodeId of token.eventGateway.events) {
+      const event = workflow.nodes.find(n => n.id === nodeId);
+
+      if (!event) {
+        continue;
+      }
+
+      if (CATCH_EVENT_TYPES[event.type]) {
+        await this.subscribeToken(event, token, instance);
+        continue;
+      }
+
+      const timer = await this.timerScheduler.schedule({
+        instanceId: instance.id,
+        tokenId: token.id,
+        nodeId: event.id,
+        expression: event.data?.duration || event.data?.timerDefinition || '1h',
+        payload: { gatewayId: token.eventGateway.gatewayId }
+      });
+
+      instance.addHistoryEntry({
+        nodeId: event.id,
+        nodeType: event.type,
+        tokenId: token.id,
+        action: 'TIMER_SCHEDULED',
+        result: { timerId: timer.id, dueAt: timer.dueAt, gatewayId: token.eventGateway.gatewayId }
+      });
+    }
+  }
+
+  /**
+   * Continue an event-based gateway with the event that occurred first:
+   * the other events are disarmed and the token moves onto the event node
+   */
+  async takeGatewayEvent(token, instance, eventNodeId) {
+    const { gatewayId } = token.eventGateway;
+
+    await this.timerScheduler.cancelInstanceTimers(instance.id, token.id);
+    await this.messageCorrelator.cancelInstanceSubscriptions(instance.id, token.id);
+
+    delete token.eventGateway;
+    this.tokenManager.moveToken(instance.id, token.id, eventNodeId);
+
+    instance.addHistoryEntry({
+      nodeId: gatewayId,
+      nodeType: 'eventGateway',
+      tokenId: token.id,
+      action: 'EVENT_GATEWAY_TRIGGERED',
+      result: { eventNodeId }
+    });
+
+    console.log(`[Runtime] Event-based gateway ${gatewayId} continues with ${eventNodeId}`);
+  }
+
+  /**
+   * Check if node is a gateway
+   */
+  isGatewayNode(node) {
+    const gatewayTypes = [
+      'gateway', 'decision',
+      'parallelGateway', 'parallel',
+      'inclusiveGateway', 'inclusive',
+      'exclusiveGateway', 'exclusive',
+      'eventGateway', 'eventBasedGateway',
+      'complexGateway', 'complex'
+    ];
+    return gatewayTypes.includes(node.type);
+  }
+
+  /**
+   * Get gateway type from node
+   */
+  getGatewayType(node) {
+    // Check node data for explicit gateway type
+    if (node.data?.gatewayType) {
+      return node.data.gatewayType;
+    }
+
+    // Use node type directly
+    return node.type;
+  }
+
+  /**
+   * Check if workflow is complete (all tokens done)
+   */
+  async checkWorkflowCompletion(instance) {
+    const activeTokens = this.tokenManager.getActiveTokens(instance.id);
+    const waitingTokens = this.tokenManager.getWaitingTokens(instance.id);
+
+    if (activeTokens.length === 0 && waitingTokens.length === 0) {
+      // All tokens complete - workflow is done
+      await this.completeInstance(instance);
+    } else if (activeTokens.length === 0) {
+      // Only parked tokens remain
+      instance.updateState({ status: 'PAUSED' });
+      await this.saveState(instance);
+
+      // Emit workflow paused event
+      const positions = waitingTokens.map(t => `${t.waitingFor} at ${t.position}`).join(', ');
+      eventManager.emitWorkflowPaused(instance.id, `Waiting for ${positions}`);
+    }
+  }
+
+  /**
+   * Determine next node using connections and LLM intelligence
+   */
+  async determineNextNode(currentNode, instance, workflow) {
+    const connections = workflow.connections || workflow.edges || [];
+    const outgoingConnections = connections.filter(c => c.source === currentNode.id);
+
+    if (outgoingConnections.length === 0) {
+      // No outgoing connections - end of workflow
+      return null;
+    }
+
+    if (outgoingConnections.length === 1) {
+      // Single connection - straightforward
+      const nextNodeId = outgoingConnections[0].target;
+      return workflow.nodes.find(n => n.id === nextNodeId);
+    }
+
+    // Conditional connections - take the first whose condition holds
+    if (outgoingConnections.some(c => c.condition)) {
+      for (const connection of outgoingConnections) {
+        if (!connection.condition || connection.isDefault) {
+          continue;
+        }
+
+        if (await this.gatewayController.evaluateCondition(connection.condition, {}, instance)) {
+          return workflow.nodes.find(n => n.id === connection.target);
+        }
+      }
 
-      if (result.type === 'wait') {
-        // Not all expected tokens arrived yet
-        return result;
+      const fallback = outgoingConnections.find(c => c.isDefault) ||
+        outgoingConnections.find(c => !c.condition);
+
+      if (!fallback) {
+        throw new Error(`No condition matched on outgoing connections of ${currentNode.id} and no default connection`);
       }
 
-      // All expected tokens arrived - continue
-      const nextNode = workflow.nodes.find(n => n.id === result.nextNode);
-      await this.executeWithToken(nextNode, result.token, instance, workflow);
+      return workflow.nodes.find(n => n.id === fallback.target);
+    }
 
-      return result;
+    // Multiple connections - decision point
+    if (currentNode.type === 'decision') {
+      const nextNodeId = await this.evaluateDecision(currentNode, instance, outgoingConnections, workflow);
+      return workflow.nodes.find(n => n.id === nextNodeId);
     }
+
+    // Default: take first connection
+    const nextNodeId = outgoingConnections[0].target;
+    return workflow.nodes.find(n => n.id === nextNodeId);
   }
 
   /**
-   * Handle Exclusive Gateway (XOR)
+   * Evaluate decision gateway using LLM intelligence
    */
-  async handleExclusiveGateway(gateway, token, instance, workflow) {
-    const result = await this.gatewayController.processExclusiveGateway(
-      gateway, token, workflow, instance
+  async evaluateDecision(decisionNode, instance, connections, workflow) {
+    if (!this.useLLM) {
+      // Fallback: take first path
+      return connections[0].target;
+    }
+
+    try {
+      // Use LLM to evaluate decision
+      const prompt = this.buildDecisionPrompt(decisionNode, instance, connections, workflow);
+
+      const message = await this.anthropic.messages.create({
+        model: 'claude-sonnet-4-5-20250929',
+        max_tokens: 1024,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      });
+
+      const response = message.content[0].text;
+
+      // Extract decision from LLM response
+      const decision = this.parseDecisionResponse(response, connections);
+      console.log(`[Runtime] LLM Decision: ${decision}`);
+
+      return decision;
+
+    } catch (error) {
+      console.error('[Runtime] LLM decision failed, using fallback:', error);
+      return connections[0].target;
+    }
+  }
+
+  /**
+   * Build prompt for LLM decision making
+   */
+  buildDecisionPrompt(decisionNode, instance, connections, workflow) {
+    const nextNodes = connections.map(c => {
+      const node = workflow.nodes.find(n => n.id === c.target);
+      return {
+        nodeId: c.target,
+        label: node?.data?.label || c.target,
+        description: node?.data?.description
+      };
+    });
+
+    return `You are a workflow execution engine making a routing decision.
+
+Decision Node: ${decisionNode.data?.label || decisionNode.id}
+Condition: ${decisionNode.data?.condition || 'Not specified'}
+Gateway Type: ${decisionNode.data?.gatewayType || 'exclusive'}
+
+Current Process Data:
+${JSON.stringify(instance.processData, null, 2)}
+
+Available Paths:
+${nextNodes.map((n, i) => `${i + 1}. ${n.label} (ID: ${n.nodeId})`).join('\n')}
+
+Based on the process data and condition, which path should be taken?
+Respond with ONLY the nodeId of the chosen path.`;
+  }
+
+  /**
+   * Parse LLM decision response
+   */
+  parseDecisionResponse(response, connections) {
+    // Look for node ID in response
+    for (const conn of connections) {
+      if (response.includes(conn.target)) {
+        return conn.target;
+      }
+    }
+    // Fallback to first connection
+    return connections[0].target;
+  }
+
+  /**
+   * Complete a user task from the inbox and continue its token
+   * Only the user who claimed the task may complete it; runs under the task's lock
+   * so a task is completed (and its token continued) once
+   */
+  async completeUserTask(taskId, taskData, user) {
+    this.taskService.requireUser(user);
+
+    return await this.taskService.withTaskLock(taskId, async () => {
+      const task = await this.taskService.getTask(taskId);
+      this.taskService.assertCanComplete(task, user);
+
+      const { instance, workflow } = await this.loadForResume(task.instanceId);
+      const node = workflow.nodes.find(n => n.id === task.nodeId);
+      if (!node) {
+        throw new Error(`Node ${task.nodeId} not found in workflow ${workflow.id}`);
+      }
+
+      const output = await this.prepareTaskOutput(node, task.fields, taskData);
+
+      console.log(`[Runtime] User ${user.id} completing task ${taskId} for instance: ${instance.id}`);
+
+      // Completed before the token moves on: a failed save leaves the task open and the token parked
+      const completed = await this.taskService.markCompleted(task, user, output);
+
+      await this.enqueueContinue(instance.id, { id: task.tokenId, position: task.nodeId }, {
+        action: 'TASK_COMPLETED',
+        output,
+        result: { taskId, completedBy: user.id, output }
+      });
+
+      return completed;
+    });
+  }
+
+  /**
+   * Raise a business error from a claimed user task
+   * The task's error boundary takes the token down its recovery path
+   */
+  async throwTaskError(taskId, { errorCode, message }, user) {
+    this.taskService.requireUser(user);
+
+    return await this.taskService.withTaskLock(taskId, async () => {
+      const task = await this.taskService.getTask(taskId);
+      this.taskService.assertCanComplete(task, user);
+
+      const { workflow } = await this.loadForResume(task.instanceId);
+
+      if (!this.findErrorBoundary(workflow, task.nodeId, errorCode)) {
+        throw codedError(`No error boundary on ${task.nodeId} catches ${errorCode || 'errors'}`, 'INVALID_TASK_UPDATE');
+      }
+
+      console.log(`[Runtime] User ${user.id} raised ${errorCode || 'an error'} on task ${taskId}`);
+
+      // The boundary event cancels the task when the continue job runs
+      await this.enqueueContinue(task.instanceId, { id: task.tokenId, position: task.nodeId }, {
+        action: 'TASK_ERROR',
+        result: { taskId, errorCode, raisedBy: user.id },
+        error: message || errorCode || 'Task error',
+        errorCode
+      });
+
+      return task;
+    });
+  }
+
+  /**
+   * Validate a task submission against its form and map it into process variables
+   * Throws a VALIDATION_FAILED error carrying per-field errors
+   */
+  async prepareTaskOutput(node, fields, submission) {
+    const formFields = fields?.length ? fields : (await this.executionAgent.resolveTaskForm(node)).fields;
+    const result = formValidator.validate(formFields, submission);
+
+    if (!result.valid) {
+      const error = codedError(`Task submission is invalid: ${result.errors.map(e => e.message).join('; ')}`, 'VALIDATION_FAILED');
+      error.fieldErrors = result.errors;
+      throw error;
+    }
+
+    return formValidator.mapOutput(result.values, node.data?.outputMapping);
+  }
+
+  /**
+   * Cancel an instance on request: it stops where it is, and its pending
+   * jobs, timers, tasks, subscriptions and child instances end with it
+   */
+  async cancelInstance(instanceId, reason = 'Cancelled by user', user = null) {
+    return await this.controlInstance(instanceId, 'cancel_instance', async instance => {
+      this.requireInstanceStatus(instance, ['PENDING', ...ACTIVE_STATUSES], 'cancelled');
+
+      await this.endCancelledInstance(instance, reason, user);
+
+      return instance.toJSON();
+    });
+  }
+
+  /**
+   * Suspend an instance: its token steps are held until it is resumed
+   * Timers and messages that arrive meanwhile are held as well; waiting
+   * user tasks stay open but cannot be completed
+   */
+  async suspendInstance(instanceId, reason = 'Suspended by user', user = null) {
+    return await this.controlInstance(instanceId, 'suspend_instance', async instance => {
+      this.requireInstanceStatus(instance, ['RUNNING', 'PAUSED'], 'suspended');
+
+      console.log(`[Runtime] Suspending instance: ${instanceId}`);
+
+      const previousStatus = instance.status;
+      instance.updateState({ status: 'SUSPENDED' });
+      instance.addHistoryEntry({
+        nodeId: instance.currentNodeId,
+        action: 'SUSPENDED',
+        result: { reason, suspendedBy: user?.id || null, previousStatus }
+      });
+
+      // Hold already queued steps now, so the instance shows them right away
+      for (const job of await this.jobQueue.listJobs(instanceId)) {
+        if (HELD_JOB_TYPES.includes(job.type)) {
+          await this.holdJob(instance, job);
+        }
+      }
+
+      await this.saveState(instance);
+      this.timeoutManager.clearInstanceTimeouts(instanceId);
+
+      eventManager.emitWorkflowSuspended(instanceId, reason);
+
+      return instance.toJSON();
+    });
+  }
+
+  /**
+   * Resume a suspended instance by queuing the steps held while it was suspended
+   */
+  async resumeInstance(instanceId, reason = 'Resumed by user', user = null) {
+    return await this.controlInstance(instanceId, 'resume_instance', async instance => {
+      this.requireInstanceStatus(instance, ['SUSPENDED'], 'resumed');
+
+      console.log(`[Runtime] Resuming instance: ${instanceId}`);
+
+      const heldJobs = instance.suspendedJobs;
+      instance.updateState({ status: 'RUNNING', suspendedJobs: [] });
+      instance.addHistoryEntry({
+        nodeId: instance.currentNodeId,
+        action: 'RESUMED',
+        result: { reason, resumedBy: user?.id || null, heldJobs: heldJobs.length }
+      });
+      await this.saveState(instance);
+
+      eventManager.emitWorkflowResumed(instanceId);
+
+      for (const job of heldJobs) {
+        await this.jobQueue.enqueue(job);
+      }
+
+      // Nothing to run: settle back to PAUSED (tokens parked) or complete
+      if (heldJobs.length === 0) {
+        await this.checkWorkflowCompletion(instance);
+      }
+
+      return instance.toJSON();
+    });
+  }
+
+  /**
+   * Run an administrative operation on an instance under its lock
+   * The lock keeps job workers off the instance and is released afterwards
+   */
+  async controlInstance(instanceId, operation, fn) {
+    return await this.distributedLockManager.executeWithLock(
+      `instance_${instanceId}`,
+      async () => {
+        const instance = await this.loadInstanceState(instanceId);
+
+        if (!instance) {
+          throw codedError(`Instance ${instanceId} not found`, 'INSTANCE_NOT_FOUND');
+        }
+
+        return await fn(instance);
+      },
+      {
+        metadata: {
+          operation,
+          instanceId
+        }
+      }
     );
+  }
+
+  /**
+   * Require an instance to be in one of the given states
+   */
+  requireInstanceStatus(instance, statuses, action) {
+    if (!statuses.includes(instance.status)) {
+      throw codedError(`Instance ${instance.id} is ${instance.status} and cannot be ${action}`, 'INSTANCE_CONFLICT');
+    }
+  }
+
+  /**
+   * Keep a job of a suspended instance on the instance until it is resumed
+   */
+  async holdJob(instance, job) {
+    const { type, instanceId, tokenId, nodeId, payload } = job;
 
-    // Continue execution on selected path
-    const nextNode = workflow.nodes.find(n => n.id === result.nextNode);
-    await this.executeWithToken(nextNode, result.token, instance, workflow);
+    instance.suspendedJobs.push({ type, instanceId, tokenId, nodeId, payload });
+    await this.saveState(instance);
+    await this.jobQueue.removeJob(job);
 
-    return result;
+    console.log(`[Runtime] Holding ${type} job ${job.id}: instance ${instance.id} is SUSPENDED`);
   }
 
   /**
-   * Check if node is a gateway
+   * Recover failed instance by re-queuing its failed (and interrupted) tokens
    */
-  isGatewayNode(node) {
-    const gatewayTypes = [
-      'gateway', 'decision',
-      'parallelGateway', 'parallel',
-      'inclusiveGateway', 'inclusive',
-      'exclusiveGateway', 'exclusive'
-    ];
-    return gatewayTypes.includes(node.type);
+  async recoverInstance(instanceId) {
+    return await this.distributedLockManager.executeWithLock(
+      `instance_${instanceId}`,
+      async () => {
+        const instance = await this.loadInstanceState(instanceId);
+
+        if (!instance) {
+          throw new Error(`Instance ${instanceId} not found`);
+        }
+
+        console.log(`[Runtime] Recovering instance: ${instanceId}`);
+
+        if (instance.status !== 'FAILED') {
+          throw new Error('Can only recover FAILED instances');
+        }
+
+        const workflow = await this.loadWorkflow(instance);
+
+        let tokens = this.tokenManager.getInstanceTokens(instance.id)
+          .filter(t => t.status === 'failed' || t.status === 'active');
+
+        // Call activities whose child was terminated with the instance start a new child
+        for (const token of this.tokenManager.getWaitingTokens(instance.id)) {
+          if (token.waitingFor === 'callActivity' && await this.isChildTerminated(instance, token)) {
+            tokens.push(token);
+          }
+        }
+
+        // Instances failed before tokens were persisted: restart at the current node
+        if (tokens.length === 0) {
+          if (!instance.currentNodeId || !workflow.nodes.some(n => n.id === instance.currentNodeId)) {
+            throw new Error('Cannot find recovery point');
+          }
+          tokens = [this.tokenManager.createInitialToken(instance.id, instance.currentNodeId)];
+        }
+
+        // Reset to running
+        instance.updateState({ status: 'RUNNING', error: null });
+        instance.addHistoryEntry({
+          nodeId: instance.currentNodeId,
+          action: 'RECOVER',
+          result: { tokens: tokens.map(t => ({ id: t.id, position: t.position })) }
+        });
+        tokens.forEach(t => this.tokenManager.resumeToken(instance.id, t.id));
+
+        // Timer boundaries and message subscriptions of parked tokens were cancelled when the instance failed
+        for (const token of this.tokenManager.getWaitingTokens(instance.id)) {
+          const node = workflow.nodes.find(n => n.id === token.position);
+          if (node) {
+            await this.armBoundaryTimers(node, token, instance, workflow);
+          }
+          if (node && CATCH_EVENT_TYPES[node.type]) {
+            await this.subscribeToken(node, token, instance);
+          }
+          if (token.eventGateway) {
+            await this.armEventGateway(token, instance, workflow);
+          }
+        }
+
+        await this.saveState(instance);
+
+        // Tasks of parked user tasks were cancelled when the instance failed
+        const waitingTokenIds = this.tokenManager.getWaitingTokens(instance.id).map(t => t.id);
+        await this.taskService.reopenTokenTasks(instance.id, waitingTokenIds);
+
+        eventManager.emitWorkflowResumed(instance.id);
+
+        for (const token of tokens) {
+          await this.enqueueToken(instance, token, token.position);
+        }
+
+        return instance.toJSON();
+      },
+      {
+        metadata: {
+          operation: 'recover_instance',
+          instanceId
+        }
+      }
+    );
   }
 
   /**
-   * Get gateway type from node
+   * Whether the latest child a call activity token waits on has failed
    */
-  getGatewayType(node) {
-    // Check node data for explicit gateway type
-    if (node.data?.gatewayType) {
-      return node.data.gatewayType;
+  async isChildTerminated(instance, token) {
+    const link = [...(instance.children || [])].reverse().find(c => c.tokenId === token.id);
+    const child = link && await workflowDatabase.getInstance(link.instanceId);
+
+    return !child || child.status === 'FAILED';
+  }
+
+  /**
+   * Resolve a migration request: the source and target versions and a
+   * function mapping source node IDs to target node IDs (unmapped IDs stay)
+   */
+  resolveMigration({ workflowId, sourceVersion, targetVersion, nodeMapping = {} }) {
+    if (!workflowId || sourceVersion === undefined || sourceVersion === null ||
+        targetVersion === undefined || targetVersion === null) {
+      throw codedError('workflowId, sourceVersion and targetVersion are required', 'INVALID_MIGRATION');
+    }
+
+    const [source, target] = [sourceVersion, targetVersion].map(number => {
+      const version = versionManager.getVersion(workflowId, Number(number));
+      if (!version) {
+        throw codedError(`Version ${number} not found for workflow ${workflowId}`, 'VERSION_NOT_FOUND');
+      }
+      return version;
+    });
+
+    if (source.version === target.version) {
+      throw codedError('Source and target version are the same', 'INVALID_MIGRATION');
+    }
+
+    const mapping = nodeMapping || {};
+    const unknown = [
+      ...Object.keys(mapping).filter(id => !source.workflow.nodes.some(n => n.id === id)),
+      ...Object.values(mapping).filter(id => !target.workflow.nodes.some(n => n.id === id))
+    ];
+    if (unknown.length > 0) {
+      throw codedError(`Node mapping references unknown nodes: ${unknown.join(', ')}`, 'INVALID_MIGRATION');
     }
 
-    // Use node type directly
-    return node.type;
+    const mapNodeId = nodeId => Object.prototype.hasOwnProperty.call(mapping, nodeId) ? mapping[nodeId] : nodeId;
+
+    return { source, target, mapNodeId };
   }
 
   /**
-   * Check if workflow is complete (all tokens done)
+   * Instances of a workflow that run on a version (optionally only some IDs)
    */
-  async checkWorkflowCompletion(instance) {
-    const activeTokens = this.tokenManager.getActiveTokens(instance.id);
+  async findVersionInstances(workflowId, versionNumber, instanceIds = null) {
+    const instances = await workflowDatabase.getInstancesByWorkflow(workflowId);
 
-    if (activeTokens.length === 0) {
-      // All tokens complete - workflow is done
-      await this.completeInstance(instance);
-    }
+    return instances
+      .filter(i => !ENDED_STATUSES.includes(i.status) || i.status === 'FAILED')
+      .filter(i => (i.workflowVersion ?? versionManager.getInstanceVersion(i.id)?.version) === versionNumber)
+      .filter(i => !instanceIds || instanceIds.includes(i.id));
   }
 
   /**
-   * Execute a single node (legacy method for backward compatibility)
+   * Check whether an instance can move to the target version and where each
+   * of its tokens would go; returns the per-instance report
    */
-  async executeNode(node, instance, workflow) {
-    console.log(`[Runtime] Executing node: ${node.id} (${node.type})`);
-
-    // Update current node
-    instance.updateState({ currentNodeId: node.id });
-    await this.saveState(instance);
-
-    // Execute node using ExecutionAgent
-    const execResult = await this.executionAgent.execute(node, instance, workflow);
+  planMigration(instance, { source, target, mapNodeId }) {
+    const targetNodes = new Map(target.workflow.nodes.map(n => [n.id, n]));
+    const report = {
+      instanceId: instance.id,
+      status: instance.status,
+      migratable: true,
+      tokens: [],
+      gateways: [],
+      errors: [],
+      warnings: []
+    };
 
-    // Add to execution history
-    instance.addHistoryEntry({
-      nodeId: node.id,
-      nodeType: node.type,
-      action: 'EXECUTE',
-      result: execResult
-    });
+    if (!MIGRATABLE_STATUSES.includes(instance.status)) {
+      report.errors.push(`Instance is ${instance.status}; suspend it so no step is in flight`);
+    }
 
-    // Update process data if needed
-    if (execResult.output) {
-      instance.processData = {
-        ...instance.processData,
-        ...execResult.output
-      };
+    if (instance.compensation) {
+      report.errors.push('Instance is running a compensation');
     }
 
-    // Save state checkpoint
-    await this.saveState(instance);
+    for (const token of (instance.tokens || []).filter(t => OPEN_TOKEN_STATUSES.includes(t.status))) {
+      const to = mapNodeId(token.position);
+      const fromNode = source.workflow.nodes.find(n => n.id === token.position);
+      const toNode = targetNodes.get(to);
 
-    // Handle execution status
-    if (execResult.status === 'WAITING') {
-      // Node is waiting (human task, timer, etc.)
-      console.log(`[Runtime] Node ${node.id} is waiting for input`);
-      instance.updateState({ status: 'PAUSED' });
-      await this.saveState(instance);
-      return;
-    }
+      report.tokens.push({ tokenId: token.id, status: token.status, from: token.position, to });
 
-    if (execResult.status === 'FAILED') {
-      throw new Error(`Node ${node.id} failed: ${execResult.error}`);
+      if (!toNode) {
+        report.errors.push(`Token ${token.id} at ${token.position} has no node ${to} in version ${target.version}`);
+      } else if (token.status === 'waiting' && fromNode && fromNode.type !== toNode.type) {
+        report.errors.push(`Token ${token.id} waits at a ${fromNode.type}, but ${to} is a ${toNode.type} in version ${target.version}`);
+      }
     }
 
-    // Find next node
-    const nextNode = await this.determineNextNode(node, instance, workflow);
+    for (const gatewayId of Object.keys(instance.gatewayStates || {})) {
+      const to = mapNodeId(gatewayId);
+      report.gateways.push({ from: gatewayId, to });
 
-    if (nextNode) {
-      // Continue execution
-      await this.executeNode(nextNode, instance, workflow);
-    } else {
-      // End of workflow
-      await this.completeInstance(instance);
+      if (!targetNodes.has(to)) {
+        report.warnings.push(`Gateway state of ${gatewayId} is dropped: version ${target.version} has no node ${to}`);
+      }
     }
+
+    report.migratable = report.errors.length === 0;
+    return report;
   }
 
   /**
-   * Determine next node using connections and LLM intelligence
+   * Preview a migration: the instances on the source version and whether
+   * each of them can move
+   * @param {Object} options - workflowId, sourceVersion, targetVersion,
+   *   nodeMapping ({ sourceNodeId: targetNodeId }), instanceIds
    */
-  async determineNextNode(currentNode, instance, workflow) {
-    const connections = workflow.connections || workflow.edges || [];
-    const outgoingConnections = connections.filter(c => c.source === currentNode.id);
+  async previewMigration(options) {
+    const migration = this.resolveMigration(options);
+    const instances = await this.findVersionInstances(options.workflowId, migration.source.version, options.instanceIds);
+    const reports = instances.map(instance => this.planMigration(instance, migration));
 
-    if (outgoingConnections.length === 0) {
-      // No outgoing connections - end of workflow
-      return null;
-    }
+    return {
+      workflowId: options.workflowId,
+      sourceVersion: migration.source.version,
+      targetVersion: migration.target.version,
+      instances: reports,
+      summary: {
+        total: reports.length,
+        migratable: reports.filter(r => r.migratable).length,
+        blocked: reports.filter(r => !r.migratable).length
+      }
+    };
+  }
 
-    if (outgoingConnections.length === 1) {
-      // Single connection - straightforward
-      const nextNodeId = outgoingConnections[0].target;
-      return workflow.nodes.find(n => n.id === nextNodeId);
-    }
+  /**
+   * Move the instances of a source version to a target version
+   * Each instance migrates on its own under its lock; one that cannot move
+   * is reported and left on the source version
+   * @param {Object} options - as previewMigration, plus variables merged into
+   *   the process data of every migrated instance
+   */
+  async migrateInstances(options, user = null) {
+    const migration = this.resolveMigration(options);
+    const instances = await this.findVersionInstances(options.workflowId, migration.source.version, options.instanceIds);
+    const reports = [];
 
-    // Multiple connections - decision point
-    if (currentNode.type === 'decision') {
-      const nextNodeId = await this.evaluateDecision(currentNode, instance, outgoingConnections, workflow);
-      return workflow.nodes.find(n => n.id === nextNodeId);
+    for (const { id } of instances) {
+      try {
+        reports.push(await this.migrateInstance(id, migration, options.variables, user));
+      } catch (error) {
+        console.error(`[Runtime] Migration of instance ${id} failed:`, error);
+        reports.push({ instanceId: id, migratable: false, migrated: false, errors: [error.message], warnings: [] });
+      }
     }
 
-    // Default: take first connection
-    const nextNodeId = outgoingConnections[0].target;
-    return workflow.nodes.find(n => n.id === nextNodeId);
+    return {
+      workflowId: options.workflowId,
+      sourceVersion: migration.source.version,
+      targetVersion: migration.target.version,
+      instances: reports,
+      summary: {
+        total: reports.length,
+        migrated: reports.filter(r => r.migrated).length,
+        failed: reports.filter(r => !r.migrated).length
+      }
+    };
   }
 
   /**
-   * Evaluate decision gateway using LLM intelligence
+   * Migrate one instance: tokens, gateway states, stored node references,
+   * timers, subscriptions and open tasks follow the node mapping
    */
-  async evaluateDecision(decisionNode, instance, connections, workflow) {
-    if (!this.useLLM) {
-      // Fallback: take first path
-      return connections[0].target;
-    }
+  async migrateInstance(instanceId, migration, variables = null, user = null) {
+    const { source, target, mapNodeId } = migration;
 
-    try {
-      // Use LLM to evaluate decision
-      const prompt = this.buildDecisionPrompt(decisionNode, instance, connections, workflow);
+    return await this.controlInstance(instanceId, 'migrate_instance', async instance => {
+      const report = this.planMigration({ ...instance, tokens: this.tokenManager.getInstanceTokens(instance.id) }, migration);
+      report.migrated = false;
 
-      const message = await this.anthropic.messages.create({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 1024,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
+      if (!report.migratable) {
+        return report;
+      }
+
+      const targetNodeIds = new Set(target.workflow.nodes.map(n => n.id));
+
+      for (const token of this.tokenManager.getInstanceTokens(instance.id)) {
+        if (OPEN_TOKEN_STATUSES.includes(token.status) && mapNodeId(token.position) !== token.position) {
+          this.tokenManager.migrateToken(instance.id, token.id, mapNodeId(token.position));
+        }
+        if (token.eventGateway) {
+          token.eventGateway.gatewayId = mapNodeId(token.eventGateway.gatewayId);
+          token.eventGateway.events = token.eventGateway.events.map(mapNodeId);
+        }
+        for (const field of ['loop', 'iteration']) {
+          if (token[field]) {
+            token[field].nodeId = mapNodeId(token[field].nodeId);
+          }
+        }
+      }
+
+      const gatewayStates = {};
+      for (const [gatewayId, state] of Object.entries(this.gatewayController.exportStates(instance.id))) {
+        if (targetNodeIds.has(mapNodeId(gatewayId))) {
+          gatewayStates[mapNodeId(gatewayId)] = state.splitGatewayId
+            ? { ...state, splitGatewayId: mapNodeId(state.splitGatewayId) }
+            : state;
+        }
+      }
+      this.gatewayController.clearInstanceState(instance.id);
+      this.gatewayController.importStates(instance.id, gatewayStates);
+
+      instance.currentNodeId = instance.currentNodeId && mapNodeId(instance.currentNodeId);
+      instance.children.forEach(link => { link.nodeId = mapNodeId(link.nodeId); });
+      instance.compensations.forEach(record => {
+        record.nodeId = mapNodeId(record.nodeId);
+        record.handlerId = this.getCompensationHandler(target.workflow, record.nodeId)?.id || record.handlerId;
+      });
+      instance.suspendedJobs.forEach(job => {
+        job.nodeId = job.nodeId && mapNodeId(job.nodeId);
+        if (job.payload?.boundaryEventId) {
+          job.payload.boundaryEventId = mapNodeId(job.payload.boundaryEventId);
+        }
       });
 
-      const response = message.content[0].text;
+      if (variables && typeof variables === 'object') {
+        Object.assign(instance.processData, variables);
+      }
 
-      // Extract decision from LLM response
-      const decision = this.parseDecisionResponse(response, connections);
-      console.log(`[Runtime] LLM Decision: ${decision}`);
+      // Timers of nodes the target version dropped (e.g. a removed boundary) are cancelled
+      for (const timer of await this.timerScheduler.getInstanceTimers(instance.id)) {
+        if (!targetNodeIds.has(mapNodeId(timer.nodeId))) {
+          await this.timerScheduler.cancelTimer(timer.id);
+          report.warnings.push(`Timer ${timer.id} of ${timer.nodeId} is cancelled: version ${target.version} has no node ${mapNodeId(timer.nodeId)}`);
+        }
+      }
+      await this.timerScheduler.remapInstanceTimers(instance.id, mapNodeId);
+      await this.messageCorrelator.remapInstanceSubscriptions(instance.id, mapNodeId);
+      await this.taskService.remapInstanceTasks(instance.id, mapNodeId);
+
+      instance.workflowVersion = target.version;
+      versionManager.unbindInstance(instance.id, 'MIGRATED');
+      versionManager.bindInstanceToVersion(instance.id, instance.workflowId, target.version);
+
+      const result = {
+        fromVersion: source.version,
+        toVersion: target.version,
+        tokens: report.tokens,
+        variables: variables ? Object.keys(variables) : [],
+        migratedBy: user?.id || null
+      };
+      instance.addHistoryEntry({
+        nodeId: instance.currentNodeId,
+        action: 'MIGRATED',
+        result
+      });
+      await this.saveState(instance);
 
-      return decision;
+      eventManager.emitWorkflowMigrated(instance.id, result);
+      console.log(`[Runtime] Migrated instance ${instance.id} from version ${source.version} to ${target.version}`);
 
-    } catch (error) {
-      console.error('[Runtime] LLM decision failed, using fallback:', error);
-      return connections[0].target;
-    }
+      report.status = instance.status;
+      report.migrated = true;
+      return report;
+    });
   }
 
   /**
-   * Build prompt for LLM decision making
+   * Modify an instance by hand, e.g. to repair one that is stuck or took a
+   * wrong path. Operations are checked first, then applied in order under
+   * the instance lock:
+   * - { type: 'cancel', tokenId | nodeId } - cancel the token (or every token at a node)
+   * - { type: 'move', tokenId | nodeId, toNodeId } - cancel the token's work and run it at another node
+   * - { type: 'start', nodeId } - start a new token at a node
+   * - { type: 'rerun', nodeId } - run a node this instance already ran again
+   * - { type: 'setVariables', variables } - merge variables into the process data
    */
-  buildDecisionPrompt(decisionNode, instance, connections, workflow) {
-    const nextNodes = connections.map(c => {
-      const node = workflow.nodes.find(n => n.id === c.target);
-      return {
-        nodeId: c.target,
-        label: node?.data?.label || c.target,
-        description: node?.data?.description
-      };
-    });
+  async modifyInstance(instanceId, { operations = [], reason = 'Modified by user' } = {}, user = null) {
+    return await this.controlInstance(instanceId, 'modify_instance', async instance => {
+      this.requireInstanceStatus(instance, [...ACTIVE_STATUSES, 'FAILED'], 'modified');
 
-    return `You are a workflow execution engine making a routing decision.
+      if (!Array.isArray(operations) || operations.length === 0) {
+        throw modificationError('At least one operation is required');
+      }
 
-Decision Node: ${decisionNode.data?.label || decisionNode.id}
-Condition: ${decisionNode.data?.condition || 'Not specified'}
-Gateway Type: ${decisionNode.data?.gatewayType || 'exclusive'}
+      const workflow = await this.loadWorkflow(instance);
+      if (!workflow) {
+        throw new Error(`Workflow ${instance.workflowId} not found`);
+      }
 
-Current Process Data:
-${JSON.stringify(instance.processData, null, 2)}
+      const steps = operations.map(operation => this.resolveModification(instance, workflow, operation));
+      const context = { reason, modifiedBy: user?.id || null, started: [] };
+      const results = [];
 
-Available Paths:
-${nextNodes.map((n, i) => `${i + 1}. ${n.label} (ID: ${n.nodeId})`).join('\n')}
+      console.log(`[Runtime] Modifying instance ${instanceId}: ${operations.map(o => o.type).join(', ')}`);
 
-Based on the process data and condition, which path should be taken?
-Respond with ONLY the nodeId of the chosen path.`;
+      for (const step of steps) {
+        results.push(await this.applyModification(instance, step, context));
+      }
+
+      // A failed instance runs again once none of its tokens has failed;
+      // until then started tokens wait for recover
+      const stillFailed = instance.status === 'FAILED' &&
+        this.tokenManager.getInstanceTokens(instance.id).some(t => t.status === 'failed');
+
+      if (instance.status === 'FAILED' && !stillFailed) {
+        instance.updateState({ status: 'RUNNING', error: null });
+        eventManager.emitWorkflowResumed(instance.id);
+      } else if (instance.status === 'PAUSED' && context.started.length > 0) {
+        instance.updateState({ status: 'RUNNING' });
+      }
+
+      await this.saveState(instance);
+
+      if (!stillFailed) {
+        for (const token of context.started) {
+          await this.enqueueToken(instance, token, token.position);
+        }
+      }
+
+      // Cancelling the last open tokens completes (or pauses) the instance
+      if (['RUNNING', 'PAUSED'].includes(instance.status) && context.started.length === 0 &&
+          steps.some(step => step.type === 'cancel')) {
+        await this.checkWorkflowCompletion(instance);
+      }
+
+      return { instance: instance.toJSON(), operations: results };
+    });
   }
 
   /**
-   * Parse LLM decision response
+   * Check one modification operation and resolve the tokens and node it targets
    */
-  parseDecisionResponse(response, connections) {
-    // Look for node ID in response
-    for (const conn of connections) {
-      if (response.includes(conn.target)) {
-        return conn.target;
+  resolveModification(instance, workflow, operation = {}) {
+    const { type } = operation;
+
+    if (!MODIFICATION_TYPES.includes(type)) {
+      throw modificationError(`Unknown modification type: ${type}`);
+    }
+
+    if (type === 'setVariables') {
+      if (!operation.variables || typeof operation.variables !== 'object' || Array.isArray(operation.variables)) {
+        throw modificationError('setVariables needs a variables object');
       }
+      return { type, variables: operation.variables };
     }
-    // Fallback to first connection
-    return connections[0].target;
-  }
 
-  /**
-   * Complete human task and continue workflow
-   */
-  async completeTask(instanceId, taskData) {
-    const instance = await this.getInstance(instanceId);
-    const workflow = await workflowDatabase.getWorkflow(instance.workflowId);
+    const nodeId = type === 'move' ? operation.toNodeId : operation.nodeId;
+    const node = nodeId ? workflow.nodes.find(n => n.id === nodeId) : null;
 
-    console.log(`[Runtime] Completing task for instance: ${instanceId}`);
+    if (type !== 'cancel') {
+      if (!node) {
+        throw modificationError(`Node ${nodeId} not found in workflow ${workflow.id}`);
+      }
+      if (node.type === 'boundaryEvent') {
+        throw modificationError(`Cannot start at boundary event ${node.id}; start at the node it leads to`);
+      }
+      if (type === 'rerun' && !instance.executionHistory.some(h => h.nodeId === node.id)) {
+        throw modificationError(`Node ${node.id} has not run in instance ${instance.id}; use start instead`);
+      }
+    }
 
-    // Merge task data into process data
-    instance.processData = {
-      ...instance.processData,
-      ...taskData
-    };
+    if (type === 'start' || type === 'rerun') {
+      return { type, node };
+    }
 
-    instance.updateState({ status: 'RUNNING' });
-    await this.saveState(instance);
+    const tokens = this.findModificationTokens(instance, operation);
+    return { type, node, tokens };
+  }
 
-    // Get current node and continue
-    const currentNode = workflow.nodes.find(n => n.id === instance.currentNodeId);
-    const nextNode = await this.determineNextNode(currentNode, instance, workflow);
+  /**
+   * Find the open tokens a cancel or move operation targets: one token by
+   * ID, or every token at a node (a multi-instance activity's iterations
+   * follow its own token)
+   */
+  findModificationTokens(instance, { tokenId, nodeId }) {
+    const open = this.tokenManager.getInstanceTokens(instance.id)
+      .filter(t => OPEN_TOKEN_STATUSES.includes(t.status));
+
+    const tokens = tokenId
+      ? open.filter(t => t.id === tokenId)
+      : open.filter(t => nodeId && t.position === nodeId && !t.iteration);
+
+    if (tokens.length === 0) {
+      throw modificationError(tokenId
+        ? `Token ${tokenId} is not an open token of instance ${instance.id}`
+        : `No open token at node ${nodeId} in instance ${instance.id}`);
+    }
 
-    if (nextNode) {
-      await this.executeNode(nextNode, instance, workflow);
-    } else {
-      await this.completeInstance(instance);
+    for (const token of tokens) {
+      if (token.iteration) {
+        throw modificationError(`Token ${token.id} is an iteration of ${token.iteration.nodeId}; modify the multi-instance activity instead`);
+      }
+      if (token.compensation) {
+        throw modificationError(`Token ${token.id} runs a compensation handler and cannot be modified`);
+      }
     }
 
-    return instance.toJSON();
+    return tokens;
   }
 
   /**
-   * Recover failed instance
+   * Apply one checked modification and record it in the history
    */
-  async recoverInstance(instanceId) {
-    const instance = await this.getInstance(instanceId);
-    const workflow = await workflowDatabase.getWorkflow(instance.workflowId);
+  async applyModification(instance, step, context) {
+    const { reason, modifiedBy } = context;
 
-    console.log(`[Runtime] Recovering instance: ${instanceId}`);
+    if (step.type === 'setVariables') {
+      Object.assign(instance.processData, step.variables);
+      instance.addHistoryEntry({
+        nodeId: instance.currentNodeId,
+        action: 'VARIABLES_SET',
+        result: { variables: Object.keys(step.variables), reason, modifiedBy }
+      });
+      eventManager.emitVariableUpdate(instance.id, step.variables, 'modification');
 
-    if (instance.status !== 'FAILED') {
-      throw new Error('Can only recover FAILED instances');
+      return { type: step.type, variables: Object.keys(step.variables) };
     }
 
-    // Reset to running
-    instance.updateState({ status: 'RUNNING', error: null });
-    await this.saveState(instance);
+    if (step.type === 'start' || step.type === 'rerun') {
+      const token = this.tokenManager.createInitialToken(instance.id, step.node.id);
+      context.started.push(token);
+
+      instance.addHistoryEntry({
+        nodeId: step.node.id,
+        nodeType: step.node.type,
+        tokenId: token.id,
+        action: step.type === 'rerun' ? 'NODE_RERUN' : 'TOKEN_STARTED',
+        result: { reason, modifiedBy }
+      });
+      eventManager.emitTokenEvent(instance.id, token.id, 'started', { nodeId: step.node.id, reason });
+
+      return { type: step.type, nodeId: step.node.id, tokenId: token.id };
+    }
 
-    // Resume from last checkpoint (currentNodeId)
-    const currentNode = workflow.nodes.find(n => n.id === instance.currentNodeId);
+    const moved = [];
+    for (const token of step.tokens) {
+      const from = token.position;
+      await this.releaseToken(instance, token, `${reason} (${step.type})`);
 
-    if (currentNode) {
-      await this.executeNode(currentNode, instance, workflow);
-    } else {
-      throw new Error('Cannot find recovery point');
+      if (step.type === 'cancel') {
+        this.tokenManager.cancelToken(instance.id, token.id, reason);
+      } else {
+        if (token.status !== 'active') {
+          this.tokenManager.resumeToken(instance.id, token.id);
+        }
+        this.tokenManager.moveToken(instance.id, token.id, step.node.id);
+        context.started.push(token);
+      }
+
+      instance.addHistoryEntry({
+        nodeId: from,
+        tokenId: token.id,
+        action: step.type === 'cancel' ? 'TOKEN_CANCELLED' : 'TOKEN_MOVED',
+        result: { from, to: step.node?.id || null, reason, modifiedBy }
+      });
+      eventManager.emitTokenEvent(instance.id, token.id, step.type === 'cancel' ? 'cancelled' : 'moved', { from, to: step.node?.id || null, reason });
+
+      moved.push({ tokenId: token.id, from, to: step.node?.id || null });
+    }
+
+    return { type: step.type, tokens: moved };
+  }
+
+  /**
+   * Abandon what a token is doing at its node: iterations, timers, user
+   * tasks, subscriptions, called children and its place at a join
+   */
+  async releaseToken(instance, token, reason) {
+    if (token.loop) {
+      await this.cancelIterations(instance, token.loop, reason);
+      delete token.loop;
     }
 
-    return instance.toJSON();
+    await this.timerScheduler.cancelInstanceTimers(instance.id, token.id);
+    await this.taskService.cancelInstanceTasks(instance.id, reason, token.id);
+    await this.messageCorrelator.cancelInstanceSubscriptions(instance.id, token.id);
+    await this.terminateChildren(instance, reason, token.id);
+    delete token.eventGateway;
+
+    const joinState = this.gatewayController.getGatewayState(instance.id, token.position);
+    if (joinState?.arrivedTokens) {
+      joinState.arrivedTokens = joinState.arrivedTokens.filter(id => id !== token.id);
+    }
   }
 
   /**
    * Save instance state to database
    */
   async saveState(instance) {
+    // Persist token and gateway state so resumes survive a restart
+    if (this.tokenManager.hasInstanceTokens(instance.id)) {
+      instance.tokens = this.tokenManager.exportTokens(instance.id);
+      instance.gatewayStates = this.gatewayController.exportStates(instance.id);
+    }
+
     await workflowDatabase.saveInstance(instance);
   }
 
@@ -776,7 +2990,7 @@ Respond with ONLY the nodeId of the chosen path.`;
     this.runningInstances.delete(instance.id);
 
     // Record workflow performance metrics
-    const workflow = await workflowDatabase.getWorkflow(instance.workflowId);
+    const workflow = await this.loadWorkflow(instance);
     this.performanceMonitor.recordWorkflowExecution(instance.workflowId, instance.id, {
       duration,
       status: 'COMPLETED',
@@ -800,6 +3014,14 @@ Respond with ONLY the nodeId of the chosen path.`;
     // Clear retry data
     this.retryManager.clearInstanceRetries(instance.id);
 
+    // Cancel pending timers, open user tasks and message subscriptions
+    await this.timerScheduler.cancelInstanceTimers(instance.id);
+    await this.taskService.cancelInstanceTasks(instance.id, 'Instance completed');
+    await this.messageCorrelator.cancelInstanceSubscriptions(instance.id);
+
+    // Continue the parent call activity
+    await this.notifyParent(instance);
+
     // Send completion notification
     await this.sendNotification(instance, 'COMPLETED');
   }
@@ -833,10 +3055,65 @@ Respond with ONLY the nodeId of the chosen path.`;
     // Clear retry data
     this.retryManager.clearInstanceRetries(instanceId);
 
+    // Cancel pending timers, open user tasks and message subscriptions
+    await this.timerScheduler.cancelInstanceTimers(instanceId);
+    await this.taskService.cancelInstanceTasks(instanceId, 'Instance failed');
+    await this.messageCorrelator.cancelInstanceSubscriptions(instanceId);
+
+    // Propagate to called children and the calling parent
+    await this.terminateChildren(instance, `Parent instance ${instanceId} failed`);
+    await this.notifyParent(instance);
+
     // Send failure notification
     await this.sendNotification(instance, 'FAILED');
   }
 
+  /**
+   * Mark an instance cancelled and release everything it holds
+   */
+  async endCancelledInstance(instance, reason, user) {
+    console.log(`[Runtime] Cancelling instance: ${instance.id}`);
+
+    instance.cancel();
+    instance.addHistoryEntry({
+      nodeId: instance.currentNodeId,
+      action: 'CANCELLED',
+      result: { reason, cancelledBy: user?.id || null }
+    });
+    await this.saveState(instance);
+    this.runningInstances.delete(instance.id);
+
+    // Emit workflow cancelled event
+    eventManager.emitWorkflowCancelled(instance.id, reason);
+
+    // Unbind instance from version
+    versionManager.unbindInstance(instance.id, 'CANCELLED');
+
+    // Stop token advancement: drop queued steps and clean up tokens
+    await this.jobQueue.removeInstanceJobs(instance.id);
+    this.tokenManager.clearInstanceTokens(instance.id);
+    this.gatewayController.clearInstanceState(instance.id);
+
+    // Clear timeout data
+    this.timeoutManager.clearInstanceTimeouts(instance.id);
+    this.timeoutManager.clearTimeoutHistory(instance.id);
+
+    // Clear retry data
+    this.retryManager.clearInstanceRetries(instance.id);
+
+    // Cancel pending timers, open user tasks and message subscriptions
+    await this.timerScheduler.cancelInstanceTimers(instance.id);
+    await this.taskService.cancelInstanceTasks(instance.id, `Instance cancelled: ${reason}`);
+    await this.messageCorrelator.cancelInstanceSubscriptions(instance.id);
+
+    // Cancel called children and continue the calling parent
+    await this.terminateChildren(instance, `Parent instance ${instance.id} cancelled`, null, 'cancel');
+    await this.notifyParent(instance);
+
+    // Send cancellation notification
+    await this.sendNotification(instance, 'CANCELLED');
+  }
+
   /**
    * Send notification
    */
@@ -852,21 +3129,10 @@ Respond with ONLY the nodeId of the chosen path.`;
   }
 
   /**
-   * Get pending tasks
+   * Get pending user tasks (see TaskService.listTasks for filters)
    */
-  async getPendingTasks() {
-    const pausedInstances = await workflowDatabase.getInstancesByStatus('PAUSED');
-
-    return pausedInstances.map(inst => {
-      const lastHistory = inst.executionHistory[inst.executionHistory.length - 1];
-      return {
-        instanceId: inst.id,
-        workflowName: inst.workflowName,
-        taskData: lastHistory?.result?.output,
-        currentNode: inst.currentNodeId,
-        createdAt: inst.createdAt
-      };
-    });
+  async getPendingTasks(filters = {}) {
+    return await this.taskService.listTasks(filters);
   }
 
   /**
@@ -879,19 +3145,46 @@ Respond with ONLY the nodeId of the chosen path.`;
     }
 
     // Include token information
+    if (ACTIVE_STATUSES.includes(instance.status)) {
+      this.restoreRuntimeState(instance);
+    }
     const tokenStats = this.tokenManager.getTokenStats(instanceId);
     const activeTokens = this.tokenManager.getActiveTokens(instanceId);
+    const waitingTokens = this.tokenManager.getWaitingTokens(instanceId);
+
+    // Current status of instances started by call activities
+    const children = [];
+    for (const link of instance.children || []) {
+      const child = await workflowDatabase.getInstance(link.instanceId);
+      children.push({ ...link, status: child?.status || 'UNKNOWN', error: child?.error || null });
+    }
 
     return {
       ...instance.toJSON(),
+      children,
       tokens: {
         stats: tokenStats,
         active: activeTokens.map(t => ({
           id: t.id,
           position: t.position,
           status: t.status
+        })),
+        waiting: waitingTokens.map(t => ({
+          id: t.id,
+          position: t.position,
+          waitingFor: t.waitingFor
         }))
-      }
+      },
+      timers: (await this.timerScheduler.getInstanceTimers(instanceId)).map(t => ({
+        id: t.id,
+        nodeId: t.nodeId,
+        tokenId: t.tokenId,
+        type: t.type,
+        expression: t.expression,
+        dueAt: t.dueAt,
+        fireCount: t.fireCount,
+        status: t.status
+      }))
     };
   }
 
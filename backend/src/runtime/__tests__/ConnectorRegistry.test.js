@@ -0,0 +1,124 @@
+/**
+ * Connector Registry: templated configs, input and output mapping, errors and manifest connectors
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const connectorsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'connectors-test-'));
+process.env.CONNECTORS_DIR = connectorsDir;
+
+const connectorRegistry = require('../ConnectorRegistry');
+
+/**
+ * Service task node running a connector
+ */
+function serviceTask(data) {
+  return { id: 'call', type: 'serviceTask', data };
+}
+
+describe('ConnectorRegistry', () => {
+  let received;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    connectorRegistry.register({
+      type: 'capture',
+      rawFields: ['raw'],
+      execute: async (config, context) => {
+        received = { config, context };
+        if (config.fail) {
+          throw Object.assign(new Error('upstream down'), { code: 'UPSTREAM', details: { retry: true } });
+        }
+        return { body: { id: 42, name: config.name }, status: 201 };
+      }
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(connectorsDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('renders templates, keeping the type of whole-value templates', async () => {
+    const instance = { id: 'i1', processData: { first: 'Ann', last: 'Lee', items: [1, 2, 3] } };
+
+    await connectorRegistry.execute(serviceTask({
+      connector: 'capture',
+      connectorConfig: {
+        name: '{{ first }} {{ last }}',
+        total: '{{ sum(items) }}',
+        nested: { list: ['{{ items }}'] },
+        raw: '{{ first }}'
+      }
+    }), instance, { token: 's3cret' });
+
+    expect(received.config).toEqual({ name: 'Ann Lee', total: 6, nested: { list: [[1, 2, 3]] }, raw: '{{ first }}' });
+    expect(received.context).toMatchObject({ instanceId: 'i1', nodeId: 'call', input: instance.processData });
+  });
+
+  test('exposes secrets to templates but not to the connector input', async () => {
+    await connectorRegistry.execute(serviceTask({
+      connector: 'capture',
+      connectorConfig: { name: '{{ secrets.token }}' }
+    }), { id: 'i1', processData: {} }, { token: 's3cret' });
+
+    expect(received.config.name).toBe('s3cret');
+    expect(received.context.input).toEqual({});
+  });
+
+  test('maps inputs and outputs through expressions', async () => {
+    const output = await connectorRegistry.execute(serviceTask({
+      connector: 'capture',
+      connectorConfig: { name: '{{ customerName }}' },
+      inputMapping: { 'customer.name': 'customerName' },
+      outputMapping: { 'body.id': 'customerId', status: 'httpStatus' }
+    }), { id: 'i1', processData: { customer: { name: 'Bo' }, other: 1 } });
+
+    expect(received.context.input).toEqual({ customerName: 'Bo' });
+    expect(output).toEqual({ customerId: 42, httpStatus: 201 });
+  });
+
+  test('stores the whole result under the result variable without an output mapping', async () => {
+    const output = await connectorRegistry.execute(serviceTask({ connector: 'capture', resultVariable: 'crm' }), { id: 'i1', processData: {} });
+
+    expect(output).toEqual({ crm: { body: { id: 42, name: undefined }, status: 201 } });
+  });
+
+  test('keeps the code and details of connector errors', async () => {
+    await expect(connectorRegistry.execute(serviceTask({ connector: 'capture', connectorConfig: { fail: true } }), { id: 'i1', processData: {} }))
+      .rejects.toMatchObject({ message: 'Connector capture failed: upstream down', code: 'UPSTREAM', details: { retry: true } });
+  });
+
+  test('rejects unknown connectors and invalid registrations', async () => {
+    await expect(connectorRegistry.execute(serviceTask({ connector: 'ftp' }), { id: 'i1', processData: {} }))
+      .rejects.toMatchObject({ code: 'CONNECTOR_NOT_FOUND' });
+    expect(() => connectorRegistry.register({ execute: async () => {} })).toThrow(expect.objectContaining({ code: 'INVALID_CONNECTOR' }));
+    expect(() => connectorRegistry.register({ type: 'x' })).toThrow(expect.objectContaining({ code: 'INVALID_CONNECTOR' }));
+  });
+
+  test('loads third-party connectors from manifests', async () => {
+    const dir = path.join(connectorsDir, 'crm');
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'connector.json'), JSON.stringify({
+      type: 'crm',
+      name: 'CRM',
+      version: '1.2.0',
+      configSchema: [{ name: 'customerId', type: 'text' }]
+    }));
+    fs.writeFileSync(path.join(dir, 'index.js'), 'module.exports = { execute: async config => ({ customer: config.customerId }) };');
+    fs.mkdirSync(path.join(connectorsDir, 'broken'));
+    fs.writeFileSync(path.join(connectorsDir, 'broken', 'connector.json'), '{ not json');
+
+    await expect(connectorRegistry.loadManifests()).resolves.toEqual(['crm']);
+
+    const listed = (await connectorRegistry.list()).find(c => c.type === 'crm');
+    expect(listed).toMatchObject({ name: 'CRM', version: '1.2.0', builtIn: false, configSchema: [{ name: 'customerId', type: 'text' }] });
+    await expect(connectorRegistry.execute(serviceTask({ connector: 'crm', connectorConfig: { customerId: '{{ id }}' } }), { id: 'i1', processData: { id: 'c-9' } }))
+      .resolves.toEqual({ connectorResult: { customer: 'c-9' } });
+  });
+});
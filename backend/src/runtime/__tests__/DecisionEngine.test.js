@@ -0,0 +1,248 @@
+/**
+ * Decision tables: unary tests, hit policies, business rule tasks writing their
+ * outputs back as process variables, and the decisions API
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => require('./helpers/runtime').createMemoryDatabase());
+
+const { createRuntime, workflow } = require('./helpers/runtime');
+const decisionEngine = require('../DecisionEngine');
+const decisionDatabase = require('../../database/DecisionDatabase');
+
+/**
+ * One-input, one-output table with a rule per [inputEntry, outputEntry, priority]
+ */
+function table(hitPolicy, rules, fields = {}) {
+  return {
+    id: 'discount',
+    hitPolicy,
+    inputs: [{ label: 'Amount', expression: 'amount' }],
+    outputs: [{ name: 'discount' }],
+    rules: rules.map(([input, output, priority], index) => ({
+      id: `r${index + 1}`,
+      inputEntries: [input],
+      outputEntries: [output],
+      priority
+    })),
+    ...fields
+  };
+}
+
+const evaluate = (decision, processData) => decisionEngine.evaluate(decision, { processData });
+
+// Loan approval by age and score, with a text output
+const LOAN_DECISION = {
+  id: 'loan',
+  name: 'Loan approval',
+  hitPolicy: 'FIRST',
+  inputs: [{ label: 'Age', expression: 'applicant.age' }, { label: 'Score', expression: 'score' }],
+  outputs: [{ name: 'verdict' }, { name: 'limit' }],
+  rules: [
+    { id: 'minor', inputEntries: ['< 18', '-'], outputEntries: ['"rejected"', '0'] },
+    { id: 'good', inputEntries: ['>= 18', '[700..850]'], outputEntries: ['"approved"', 'score * 10'] },
+    { id: 'other', inputEntries: ['-', '-'], outputEntries: ['"review"', ''] }
+  ]
+};
+
+describe('DecisionEngine', () => {
+  let runtime;
+
+  beforeAll(async () => {
+    runtime = createRuntime();
+    await decisionDatabase.saveDecision(LOAN_DECISION);
+  });
+
+  afterAll(async () => {
+    await runtime.cleanup();
+  });
+
+  describe('unary tests', () => {
+    const matches = (entry, value) => decisionEngine.matchesEntry(entry, value, { processData: { limit: 100 } });
+
+    test('accept any value for "-" or an empty entry', () => {
+      expect([matches('-', 1), matches('', null), matches(undefined, 'x')]).toEqual([true, true, true]);
+    });
+
+    test('compare, range-check and negate against the input value', () => {
+      expect([matches('>= 18', 18), matches('>= 18', 17), matches('!= "gold"', 'silver')]).toEqual([true, false, true]);
+      expect([matches('[1..10]', 10), matches('[1..10[', 10), matches(']1..10]', 1)]).toEqual([true, false, false]);
+      expect([matches('not("gold", "silver")', 'bronze'), matches('not("gold", "silver")', 'gold')]).toEqual([true, false]);
+    });
+
+    test('match alternatives, lists and expressions over process data', () => {
+      expect([matches('"gold", "silver"', 'silver'), matches('["a", "b"]', 'b')]).toEqual([true, true]);
+      expect([matches('< limit', 99), matches('< limit', 100)]).toEqual([true, false]);
+      // Form posts carry numbers as strings
+      expect(matches('5', '5')).toBe(true);
+    });
+  });
+
+  describe('hit policies', () => {
+    const rules = [['>= 100', '5', 1], ['>= 500', '10', 3], ['>= 1000', '20', 2]];
+
+    test('UNIQUE returns the only matching rule and refuses overlaps', () => {
+      expect(evaluate(table('UNIQUE', rules), { amount: 200 })).toMatchObject({ matchedRules: ['r1'], result: { discount: 5 } });
+      expect(() => evaluate(table('UNIQUE', rules), { amount: 600 })).toThrow(expect.objectContaining({ code: 'DECISION_HIT_POLICY_VIOLATION' }));
+    });
+
+    test('FIRST returns the first matching rule in table order', () => {
+      expect(evaluate(table('FIRST', rules), { amount: 1200 })).toMatchObject({ matchedRules: ['r1'], result: { discount: 5 } });
+    });
+
+    test('PRIORITY ranks by output values, or by rule priority without them', () => {
+      expect(evaluate(table('PRIORITY', rules), { amount: 1200 })).toMatchObject({ matchedRules: ['r2'], result: { discount: 10 } });
+
+      const ranked = table('PRIORITY', rules, { outputs: [{ name: 'discount', outputValues: [20, 10, 5] }] });
+      expect(evaluate(ranked, { amount: 1200 })).toMatchObject({ matchedRules: ['r3'], result: { discount: 20 } });
+    });
+
+    test('COLLECT lists every match, or aggregates them', () => {
+      expect(evaluate(table('COLLECT', rules), { amount: 600 })).toMatchObject({
+        matchedRules: ['r1', 'r2'],
+        result: [{ discount: 5 }, { discount: 10 }]
+      });
+      expect(evaluate(table('COLLECT', rules, { aggregation: 'SUM' }), { amount: 1200 }).result).toBe(35);
+      expect(evaluate(table('COLLECT', rules, { aggregation: 'MAX' }), { amount: 600 }).result).toBe(10);
+      expect(evaluate(table('COLLECT', rules, { aggregation: 'COUNT' }), { amount: 50 }).result).toBe(0);
+    });
+
+    test('no match gives a null result and null variables', () => {
+      const decision = table('FIRST', rules);
+      const evaluation = evaluate(decision, { amount: 50 });
+
+      expect(evaluation).toMatchObject({ matchedRules: [], result: null });
+      expect(decisionEngine.toVariables(decision, evaluation)).toEqual({ discount: null });
+    });
+  });
+
+  describe('validate', () => {
+    test('accepts a well-formed table', () => {
+      expect(decisionEngine.validate(LOAN_DECISION)).toBe(LOAN_DECISION);
+    });
+
+    test.each([
+      ['an unknown hit policy', { ...LOAN_DECISION, hitPolicy: 'ANY' }, /hit policy/],
+      ['an aggregation outside COLLECT', { ...LOAN_DECISION, aggregation: 'SUM' }, /COLLECT/],
+      ['a rule with missing entries', { ...LOAN_DECISION, rules: [{ id: 'short', inputEntries: ['-'], outputEntries: ['1', '2'] }] }, /2 input entries/],
+      ['a duplicate rule id', { ...LOAN_DECISION, rules: [LOAN_DECISION.rules[0], LOAN_DECISION.rules[0]] }, /used twice/],
+      ['a broken unary test', { ...LOAN_DECISION, rules: [{ id: 'bad', inputEntries: ['>= (', '-'], outputEntries: ['1', '2'] }] }, /rule bad/]
+    ])('rejects %s', (_, decision, message) => {
+      expect(() => decisionEngine.validate(decision)).toThrow(expect.objectContaining({ code: 'INVALID_DECISION', message: expect.stringMatching(message) }));
+    });
+  });
+
+  describe('business rule tasks', () => {
+    /**
+     * Workflow running one rule node, then ending
+     */
+    const ruleFlow = (id, node) => workflow(id, [
+      { id: 'start', type: 'startProcess' },
+      { id: 'rules', ...node },
+      { id: 'end', type: 'endEvent' }
+    ], [['start', 'rules'], ['rules', 'end']]);
+
+    test('write the outputs of the referenced table as process variables', async () => {
+      const instance = await runtime.run(ruleFlow('loan-check', { type: 'businessRuleTask', data: { decisionId: 'loan' } }), {
+        applicant: { age: 30 },
+        score: 720
+      });
+
+      expect(instance.status).toBe('COMPLETED');
+      expect(instance.processData).toMatchObject({ verdict: 'approved', limit: 7200 });
+    });
+
+    test('keep the whole evaluation under resultVariable', async () => {
+      const instance = await runtime.run(ruleFlow('loan-result', {
+        type: 'businessRuleTask',
+        data: { decisionId: 'loan', resultVariable: 'loanDecision' }
+      }), { applicant: { age: 16 }, score: 800 });
+
+      expect(instance.processData.loanDecision).toEqual({ verdict: 'rejected', limit: 0 });
+      expect(instance.processData).not.toHaveProperty('verdict');
+    });
+
+    test('pass validation steps when a rule of their table matched', async () => {
+      const decision = table('FIRST', [['>= 100', 'true']], { id: 'minimum' });
+      await decisionDatabase.saveDecision(decision);
+      const flow = ruleFlow('minimum-check', { type: 'validation', data: { decisionId: 'minimum' } });
+
+      expect((await runtime.run(flow, { amount: 150 })).processData.validationPassed).toBe(true);
+      expect((await runtime.run(flow, { amount: 50 })).processData.validationPassed).toBe(false);
+    });
+
+    test('evaluate inline rules by their conditions', async () => {
+      const instance = await runtime.run(ruleFlow('inline-rules', {
+        type: 'businessRuleTask',
+        data: { rules: [{ name: 'adult', condition: 'applicant.age >= 18' }, { name: 'vip', condition: 'score > 900' }] }
+      }), { applicant: { age: 30 }, score: 720 });
+
+      expect(instance.processData).toMatchObject({
+        validationPassed: false,
+        results: [{ rule: 'adult', passed: true }, { rule: 'vip', passed: false }]
+      });
+    });
+
+    test('fail the instance when the referenced table does not exist', async () => {
+      const instance = await runtime.run(ruleFlow('missing-table', { type: 'businessRuleTask', data: { decisionId: 'nope' } }));
+
+      expect(instance.status).toBe('FAILED');
+      expect(instance.error).toContain('Decision nope not found');
+    });
+  });
+
+  describe('API', () => {
+    let api;
+
+    beforeAll(async () => {
+      api = await runtime.serve('/api/decisions', require('../../routes/decision.routes'));
+    });
+
+    afterAll(async () => {
+      await api.close();
+    });
+
+    /**
+     * Call the decisions API with a JSON body
+     */
+    async function request(method, route, body) {
+      const response = await fetch(`${api.url}${route}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    }
+
+    test('saves, evaluates and versions decision tables', async () => {
+      const decision = table('COLLECT', [['>= 100', '5'], ['>= 500', '10']], { id: 'api-discount', aggregation: 'SUM' });
+
+      await expect(request('POST', '/', decision)).resolves.toMatchObject({ status: 201, body: { decision: { version: 1 } } });
+      await expect(request('POST', '/api-discount/evaluate', { processData: { amount: 600 } })).resolves.toMatchObject({
+        status: 200,
+        body: { matchedRules: ['r1', 'r2'], result: 15, variables: { discount: 15 } }
+      });
+      await expect(request('PUT', '/api-discount', { ...decision, aggregation: 'MAX' }))
+        .resolves.toMatchObject({ status: 200, body: { decision: { version: 2, aggregation: 'MAX' } } });
+    });
+
+    test('answers invalid and unknown tables with 400 and 404', async () => {
+      await expect(request('POST', '/', { id: 'broken', outputs: [] }))
+        .resolves.toMatchObject({ status: 400, body: { code: 'INVALID_DECISION' } });
+      await expect(request('POST', '/nope/evaluate', {}))
+        .resolves.toMatchObject({ status: 404, body: { code: 'DECISION_NOT_FOUND' } });
+    });
+
+    test('exports tables as DMN and imports DMN documents', async () => {
+      const exported = await fetch(`${api.url}/loan/export`);
+      expect(exported.headers.get('content-type')).toContain('xml');
+      const xml = (await exported.text()).replace(/"loan"/g, '"loan-copy"');
+
+      const response = await fetch(`${api.url}/import`, { method: 'POST', headers: { 'Content-Type': 'application/xml' }, body: xml });
+
+      expect(response.status).toBe(201);
+      expect((await response.json()).decisions).toEqual([expect.objectContaining({ id: 'loan-copy', version: 1 })]);
+      await expect(request('POST', '/loan-copy/evaluate', { processData: { applicant: { age: 40 }, score: 700 } }))
+        .resolves.toMatchObject({ body: { variables: { verdict: 'approved', limit: 7000 } } });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Expression language: evaluation, and the property guards that keep
+ * expressions away from prototypes and constructors
+ */
+
+const expressionEvaluator = require('../ExpressionEvaluator');
+
+const context = {
+  processData: {
+    amount: 1500,
+    status: 'Approved',
+    count: '5',
+    customer: { address: { city: 'Berlin' } },
+    tags: ['vip', 'eu']
+  },
+  variables: { item: { sku: 'A-1' } }
+};
+
+const evaluate = expression => expressionEvaluator.evaluate(expression, context);
+
+describe('ExpressionEvaluator', () => {
+  describe('evaluation', () => {
+    test('evaluates comparisons, logic and helpers', () => {
+      expect(evaluate('amount > 1000 and lower(status) == "approved"')).toBe(true);
+      expect(evaluate('processData.customer.address.city')).toBe('Berlin');
+      expect(evaluate('"vip" in tags')).toBe(true);
+      expect(evaluate('item.sku')).toBe('A-1');
+      expect(evaluate('amount > 1000 ? "high" : "low"')).toBe('high');
+    });
+
+    test('reads missing paths as null', () => {
+      expect(evaluate('customer.phone.number == null')).toBe(true);
+      expect(evaluate('missing.deeply.nested')).toBeUndefined();
+    });
+
+    test('applies the explicit loose-equality rules', () => {
+      expect(evaluate('count == 5')).toBe(true);
+      expect(evaluate('count === 5')).toBe(false);
+      expect(evaluate('true == "true"')).toBe(true);
+      expect(evaluate('true == 1')).toBe(true);
+      expect(evaluate('"" == 0')).toBe(false);
+      expect(evaluate('null == 0')).toBe(false);
+      expect(evaluate('missing == null')).toBe(true);
+      expect(evaluate('tags == "vip,eu"')).toBe(false);
+    });
+
+    test('treats empty conditions as true', () => {
+      expect(expressionEvaluator.evaluateCondition('', context)).toBe(true);
+      expect(expressionEvaluator.evaluateCondition('amount < 10', context)).toBe(false);
+    });
+  });
+
+  describe('escape attempts', () => {
+    test.each([
+      'constructor',
+      'processData.constructor',
+      'processData.__proto__',
+      'this.constructor.constructor',
+      'lower.constructor',
+      'tags.constructor.prototype',
+      'customer.__proto__.polluted'
+    ])('rejects %s when parsing', expression => {
+      expect(() => expressionEvaluator.parse(expression)).toThrow(expect.objectContaining({ code: 'EXPRESSION_SYNTAX' }));
+    });
+
+    test.each([
+      'processData["constructor"]',
+      'processData["__proto__"]',
+      'status["constructor"]',
+      'tags["constructor"]["constructor"]("return process")()'
+    ])('rejects literal computed access in %s when parsing', expression => {
+      expect(() => expressionEvaluator.parse(expression)).toThrow(expect.objectContaining({ code: 'EXPRESSION_SYNTAX' }));
+    });
+
+    test.each([
+      'customer["__pro" + "to__"]',
+      'processData[lower("CONSTRUCTOR")]',
+      'tags[key]'
+    ])('rejects computed access in %s when evaluating', expression => {
+      const data = { ...context, variables: { key: 'constructor' } };
+      expect(() => expressionEvaluator.evaluate(expression, data))
+        .toThrow(expect.objectContaining({ code: 'EXPRESSION_EVALUATION' }));
+    });
+
+    test('only reads own properties', () => {
+      expect(evaluate('processData.toString')).toBeUndefined();
+      expect(evaluate('processData.hasOwnProperty')).toBeUndefined();
+      expect(evaluate('status.toUpperCase')).toBeUndefined();
+    });
+
+    test('cannot call anything but helper functions', () => {
+      expect(() => evaluate('processData.customer()')).toThrow();
+      expect(() => evaluate('eval("1 + 1")')).toThrow();
+      expect(() => evaluate('require("fs")')).toThrow();
+    });
+
+    test('does not pollute Object.prototype', () => {
+      expect(() => evaluate('customer.__proto__.polluted = 1')).toThrow();
+      expect({}.polluted).toBeUndefined();
+    });
+
+    test('rejects oversized expressions', () => {
+      expect(() => expressionEvaluator.parse('1 + '.repeat(2000) + '1')).toThrow(expect.objectContaining({ code: 'EXPRESSION_SYNTAX' }));
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Job Queue: per-instance job files, ordering, failed jobs and instance-lock handoff between processes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const distributedLockManager = require('../DistributedLockManager');
+const jobQueue = require('../JobQueue');
+
+const INSTANCE_LOCK = 'instance_instance-1';
+
+describe('JobQueue', () => {
+  let dir;
+  let otherProcess;
+  let handled;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-test-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    distributedLockManager.lockDir = path.join(dir, 'locks');
+    fs.mkdirSync(distributedLockManager.lockDir);
+
+    // A second backend process: its own lock manager over the same lock directory
+    otherProcess = new distributedLockManager.constructor();
+    otherProcess.lockDir = distributedLockManager.lockDir;
+  });
+
+  afterAll(async () => {
+    await otherProcess.shutdown();
+    await distributedLockManager.shutdown();
+    jobQueue.shutdown();
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    jobQueue.jobDir = path.join(dir, `jobs-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    jobQueue.stats = { enqueued: 0, completed: 0, failed: 0, lockMisses: 0 };
+    handled = [];
+    jobQueue.setHandler(async job => {
+      handled.push(`${job.instanceId}:${job.nodeId}`);
+    });
+  });
+
+  describe('job files', () => {
+    test('are named by sequence, job and instance', async () => {
+      const job = await jobQueue.enqueue({ type: 'execute', instanceId: 'instance_1', tokenId: 't1', nodeId: 'a' });
+
+      expect(fs.readdirSync(jobQueue.jobDir)).toEqual([`${job.sequence}_${job.id}_instance_1.json`]);
+      await expect(jobQueue.listJobFiles()).resolves.toEqual([{ file: expect.any(String), instanceId: 'instance_1' }]);
+    });
+
+    test('only the jobs of the requested instance are read', async () => {
+      await jobQueue.enqueue({ type: 'execute', instanceId: 'instance-1', nodeId: 'a' });
+      await jobQueue.enqueue({ type: 'execute', instanceId: 'instance-2', nodeId: 'b' });
+      await jobQueue.enqueue({ type: 'execute', instanceId: 'instance-1', nodeId: 'c' });
+      const readFile = jest.spyOn(fs.promises, 'readFile');
+
+      const jobs = await jobQueue.listJobs('instance-1');
+      const files = await jobQueue.listJobFiles();
+
+      expect(jobs.map(j => j.nodeId)).toEqual(['a', 'c']);
+      expect(files.map(f => f.instanceId)).toEqual(['instance-1', 'instance-2', 'instance-1']);
+      expect(readFile).toHaveBeenCalledTimes(2);
+      readFile.mockRestore();
+    });
+
+    test('removes the jobs of one instance', async () => {
+      await jobQueue.enqueue({ type: 'execute', instanceId: 'instance-1', nodeId: 'a' });
+      await jobQueue.enqueue({ type: 'execute', instanceId: 'instance-2', nodeId: 'b' });
+
+      await expect(jobQueue.removeInstanceJobs('instance-1')).resolves.toBe(1);
+      expect((await jobQueue.listJobs()).map(j => j.instanceId)).toEqual(['instance-2']);
+    });
+  });
+
+  describe('workers', () => {
+    test('run the jobs of an instance in order, including follow-ups they queue', async () => {
+      jobQueue.setHandler(async job => {
+        handled.push(job.nodeId);
+        if (job.nodeId === 'a') {
+          await jobQueue.enqueue({ type: 'execute', instanceId: job.instanceId, nodeId: 'c' });
+        }
+      });
+      await jobQueue.enqueue({ type: 'execute', instanceId: 'instance-1', nodeId: 'a' });
+      await jobQueue.enqueue({ type: 'execute', instanceId: 'instance-1', nodeId: 'b' });
+
+      await jobQueue.processInstance('instance-1');
+
+      expect(handled).toEqual(['a', 'b', 'c']);
+      await expect(jobQueue.listJobs()).resolves.toEqual([]);
+      expect(distributedLockManager.activeLocks.has(INSTANCE_LOCK)).toBe(false);
+    });
+
+    test('drop a failed job instead of running it again', async () => {
+      jobQueue.setHandler(async job => {
+        handled.push(job.nodeId);
+        if (job.nodeId === 'a') {
+          throw new Error('connector failed');
+        }
+      });
+      await jobQueue.enqueue({ type: 'execute', instanceId: 'instance-1', nodeId: 'a' });
+      await jobQueue.enqueue({ type: 'execute', instanceId: 'instance-1', nodeId: 'b' });
+
+      await jobQueue.processInstance('instance-1');
+
+      expect(handled).toEqual(['a', 'b']);
+      expect(jobQueue.stats).toMatchObject({ completed: 1, failed: 1 });
+      await expect(jobQueue.listJobs()).resolves.toEqual([]);
+    });
+  });
+
+  describe('instance lock handoff', () => {
+    test('leaves the jobs to the process holding the instance lock', async () => {
+      await jobQueue.enqueue({ type: 'execute', instanceId: 'instance-1', nodeId: 'a' });
+      await otherProcess.acquireLock(INSTANCE_LOCK);
+
+      await jobQueue.processInstance('instance-1');
+
+      expect(handled).toEqual([]);
+      expect(jobQueue.stats.lockMisses).toBe(1);
+      await expect(jobQueue.listJobs('instance-1')).resolves.toHaveLength(1);
+
+      await otherProcess.releaseLock(INSTANCE_LOCK);
+      await jobQueue.processInstance('instance-1');
+
+      expect(handled).toEqual(['instance-1:a']);
+    });
+
+    test('takes over the lock of a process that died holding it', async () => {
+      await jobQueue.enqueue({ type: 'execute', instanceId: 'instance-1', nodeId: 'a' });
+      await otherProcess.acquireLock(INSTANCE_LOCK, { lockTTL: 1 });
+      otherProcess.stopHeartbeat(INSTANCE_LOCK);
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      await jobQueue.processInstance('instance-1');
+
+      expect(handled).toEqual(['instance-1:a']);
+    });
+
+    test('runs each job once when two processes work on the same instance', async () => {
+      const secondQueue = new jobQueue.constructor();
+      secondQueue.jobDir = jobQueue.jobDir;
+      const slowHandler = async job => {
+        handled.push(job.nodeId);
+        await new Promise(resolve => setTimeout(resolve, 20));
+      };
+      jobQueue.setHandler(slowHandler);
+      secondQueue.setHandler(slowHandler);
+      for (const nodeId of ['a', 'b', 'c']) {
+        await jobQueue.enqueue({ type: 'execute', instanceId: 'instance-1', nodeId });
+      }
+
+      await Promise.all([jobQueue.processInstance('instance-1'), secondQueue.processInstance('instance-1')]);
+      // The worker that missed the lock picks up whatever is left once it is free
+      await secondQueue.processInstance('instance-1');
+
+      expect(handled).toEqual(['a', 'b', 'c']);
+      expect(jobQueue.stats.lockMisses + secondQueue.stats.lockMisses).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,313 @@
+/**
+ * Notifications: send tasks rendering templates and delivering through the email,
+ * webhook, Slack and inbox channels, offline through the outbox file
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => require('./helpers/runtime').createMemoryDatabase());
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const express = require('express');
+const { createRuntime, workflow } = require('./helpers/runtime');
+const notificationDatabase = require('../../database/NotificationDatabase');
+
+/**
+ * Workflow sending one notification, with an error boundary for failOnError
+ */
+const sendFlow = (id, data) => workflow(id, [
+  { id: 'start', type: 'startProcess' },
+  { id: 'notify', type: 'sendTask', data },
+  { id: 'failed', type: 'boundaryEvent', data: { attachedTo: 'notify', eventType: 'error', errorVariable: 'notifyError' } },
+  { id: 'end', type: 'endEvent' },
+  { id: 'undelivered', type: 'endEvent' }
+], [['start', 'notify'], ['notify', 'end'], ['failed', 'undelivered']]);
+
+/**
+ * Minimal SMTP server recording each command and the mail data
+ */
+function startSmtpServer() {
+  const session = { commands: [], data: '' };
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 test ESMTP\r\n');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end < 0) return;
+        session.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 2.0.0 queued as 42\r\n');
+      }
+
+      let end;
+      while (!inData && (end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        session.commands.push(line);
+
+        if (line.startsWith('EHLO')) {
+          socket.write('250-test\r\n250 AUTH PLAIN\r\n');
+        } else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write(line.startsWith('AUTH') ? '235 ok\r\n' : '250 ok\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    session,
+    port: server.address().port,
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+describe('notifications', () => {
+  let runtime;
+  let notificationService;
+
+  const outbox = () => fs.readFileSync(path.join(runtime.dir, 'outbox.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+  beforeAll(() => {
+    runtime = createRuntime();
+    // Loaded after the runtime points the outbox file at its directory
+    notificationService = require('../NotificationService');
+  });
+
+  afterAll(async () => {
+    await runtime.cleanup();
+  });
+
+  describe('send tasks', () => {
+    test('render a template from process data and record the delivery on the instance', async () => {
+      await notificationDatabase.saveTemplate({
+        id: 'order-shipped',
+        name: 'Order shipped',
+        channel: 'email',
+        recipient: '${processData.customer.email}',
+        subject: 'Order ${processData.orderId} shipped',
+        body: 'Hi ${processData.customer.name}, your order is on its way.'
+      });
+
+      const instance = await runtime.run(sendFlow('shipped', { templateId: 'order-shipped' }), {
+        orderId: 'A-7',
+        customer: { name: 'Kim', email: 'kim@example.com' }
+      });
+
+      expect(instance.status).toBe('COMPLETED');
+      expect(instance.processData).toMatchObject({
+        notificationSent: true,
+        channel: 'email',
+        recipient: 'kim@example.com',
+        subject: 'Order A-7 shipped'
+      });
+      expect(instance.notifications).toEqual([expect.objectContaining({
+        id: instance.processData.notificationId,
+        status: 'SENT',
+        transport: 'file',
+        nodeId: 'notify'
+      })]);
+      expect(outbox().at(-1)).toMatchObject({
+        channel: 'email',
+        recipients: ['kim@example.com'],
+        subject: 'Order A-7 shipped',
+        body: 'Hi Kim, your order is on its way.',
+        instanceId: instance.id
+      });
+    });
+
+    test('deliver to each inbox recipient, even with an offline transport', async () => {
+      const instance = await runtime.run(sendFlow('inbox', {
+        channel: 'inbox',
+        recipient: 'ana; ${processData.approver}',
+        subject: 'Approve ${processData.orderId}',
+        message: 'Please review'
+      }), { orderId: 'B-1', approver: 'lee' });
+
+      expect(instance.notifications[0]).toMatchObject({ status: 'SENT', transport: 'inbox', recipients: ['ana', 'lee'] });
+      await expect(notificationDatabase.loadInbox({ recipient: 'lee' }))
+        .resolves.toEqual([expect.objectContaining({ subject: 'Approve B-1', body: 'Please review', instanceId: instance.id, read: false })]);
+    });
+
+    test('continue past a failed delivery unless failOnError is set', async () => {
+      const lenient = await runtime.run(sendFlow('lenient', { channel: 'pigeon', recipient: 'kim' }));
+
+      expect(lenient.status).toBe('COMPLETED');
+      expect(lenient.processData.notificationSent).toBe(false);
+      expect(lenient.notifications[0]).toMatchObject({ status: 'FAILED', errorCode: 'NOTIFICATION_CHANNEL_NOT_FOUND' });
+
+      const strict = await runtime.run(sendFlow('strict', { channel: 'pigeon', recipient: 'kim', failOnError: true }));
+
+      expect(strict.status).toBe('COMPLETED');
+      expect(strict.processData.notifyError).toMatchObject({ code: 'NOTIFICATION_CHANNEL_NOT_FOUND' });
+      expect(strict.executionHistory.map(h => h.nodeId)).toContain('undelivered');
+    });
+  });
+
+  describe('live channels', () => {
+    let receiver;
+    const received = [];
+    let smtp;
+
+    beforeAll(async () => {
+      const router = express.Router();
+      router.post('/hook', (req, res) => {
+        received.push({ body: req.body, token: req.headers['x-token'] });
+        res.status(204).end();
+      });
+      router.post('/broken', (req, res) => res.status(503).end());
+      receiver = await runtime.serve('/receiver', router);
+      smtp = await startSmtpServer();
+    });
+
+    beforeEach(() => {
+      process.env.NOTIFICATION_TRANSPORT = 'live';
+      received.length = 0;
+    });
+
+    afterEach(() => {
+      process.env.NOTIFICATION_TRANSPORT = 'file';
+      for (const name of ['SMTP_HOST', 'SMTP_PORT', 'SMTP_FROM', 'SMTP_USER', 'SMTP_PASSWORD']) {
+        delete process.env[name];
+      }
+    });
+
+    afterAll(async () => {
+      await receiver.close();
+      await smtp.close();
+    });
+
+    test('webhooks post the notification as JSON with the configured headers', async () => {
+      const instance = await runtime.run(sendFlow('webhook', {
+        channel: 'webhook',
+        webhookUrl: `${receiver.url}/hook`,
+        webhookHeaders: { 'X-Token': 'order-{{ orderId }}' },
+        subject: 'Order ${processData.orderId}',
+        message: 'Created'
+      }), { orderId: 'C-3' });
+
+      expect(instance.notifications[0]).toMatchObject({ status: 'SENT', transport: 'http', details: { responseStatus: 204 } });
+      expect(received).toEqual([{
+        token: 'order-C-3',
+        body: expect.objectContaining({ subject: 'Order C-3', message: 'Created', instanceId: instance.id, nodeId: 'notify' })
+      }]);
+    });
+
+    test('Slack webhooks receive the subject in bold above the text', async () => {
+      const delivery = await notificationService.send({ channel: 'slack', url: `${receiver.url}/hook`, subject: 'Deploy', body: 'Done' });
+
+      expect(delivery.status).toBe('SENT');
+      expect(received[0].body).toEqual({ text: '*Deploy*\nDone' });
+    });
+
+    test('failing webhooks record the response status as the error code', async () => {
+      await expect(notificationService.send({ channel: 'webhook', url: `${receiver.url}/broken` }))
+        .resolves.toMatchObject({ status: 'FAILED', errorCode: 'HTTP_503' });
+      await expect(notificationService.send({ channel: 'webhook' }))
+        .resolves.toMatchObject({ status: 'FAILED', errorCode: 'INVALID_NOTIFICATION' });
+    });
+
+    test('email is sent over SMTP with the body base64-encoded', async () => {
+      Object.assign(process.env, {
+        SMTP_HOST: '127.0.0.1',
+        SMTP_PORT: String(smtp.port),
+        SMTP_FROM: 'workflows@example.com',
+        SMTP_USER: 'mailer',
+        SMTP_PASSWORD: 'hunter2'
+      });
+
+      const delivery = await notificationService.send({
+        channel: 'email',
+        recipients: 'kim@example.com, lee@example.com',
+        subject: 'Größe\r\nBcc: evil@example.com',
+        body: 'Hello'
+      });
+
+      expect(delivery).toMatchObject({ status: 'SENT', transport: 'smtp', details: { response: '250 2.0.0 queued as 42' } });
+      // QUIT is sent without waiting for the reply, so it may not have arrived yet
+      expect(smtp.session.commands.slice(0, 6)).toEqual([
+        expect.stringMatching(/^EHLO /),
+        `AUTH PLAIN ${Buffer.from('\0mailer\0hunter2').toString('base64')}`,
+        'MAIL FROM:<workflows@example.com>',
+        'RCPT TO:<kim@example.com>',
+        'RCPT TO:<lee@example.com>',
+        'DATA'
+      ]);
+      expect(smtp.session.data).toContain('To: kim@example.com, lee@example.com\r\n');
+      expect(smtp.session.data).toContain(`Subject: =?UTF-8?B?${Buffer.from('Größe Bcc: evil@example.com').toString('base64')}?=\r\n`);
+      expect(smtp.session.data).not.toMatch(/^Bcc:/m);
+      expect(smtp.session.data.endsWith(`\r\n\r\n${Buffer.from('Hello').toString('base64')}`)).toBe(true);
+    });
+
+    test('email without an SMTP host is not configured', async () => {
+      await expect(notificationService.send({ channel: 'email', recipients: 'kim@example.com' }))
+        .resolves.toMatchObject({ status: 'FAILED', errorCode: 'NOTIFICATION_NOT_CONFIGURED' });
+    });
+  });
+
+  describe('API', () => {
+    let api;
+
+    beforeAll(async () => {
+      api = await runtime.serve('/api/notifications', require('../../routes/notification.routes'));
+    });
+
+    afterAll(async () => {
+      await api.close();
+    });
+
+    /**
+     * Call the notifications API with a JSON body
+     */
+    async function request(method, route, body) {
+      const response = await fetch(`${api.url}${route}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    }
+
+    test('lists the channels and the transport in use', async () => {
+      const { body } = await request('GET', '/channels');
+
+      expect(body.transport).toBe('file');
+      expect(body.channels.map(channel => [channel.type, channel.outbound]))
+        .toEqual([['email', true], ['webhook', true], ['slack', true], ['inbox', false]]);
+    });
+
+    test('validates templates and refuses duplicate IDs', async () => {
+      const template = { id: 'reminder', name: 'Reminder', channel: 'inbox', body: 'Task ${processData.taskName} is due' };
+
+      await expect(request('POST', '/templates', template)).resolves.toMatchObject({ status: 201, body: { template: { id: 'reminder' } } });
+      await expect(request('POST', '/templates', template)).resolves.toMatchObject({ status: 409, body: { code: 'NOTIFICATION_TEMPLATE_CONFLICT' } });
+      await expect(request('PUT', '/templates/reminder', { channel: 'fax' }))
+        .resolves.toMatchObject({ status: 400, body: { code: 'INVALID_NOTIFICATION_TEMPLATE' } });
+      await expect(request('GET', '/templates/missing')).resolves.toMatchObject({ status: 404 });
+    });
+
+    test('sends to an inbox that recipients read and mark as read', async () => {
+      await expect(request('POST', '/send', { channel: 'inbox', recipients: ['jo'], subject: 'Welcome', body: 'Hi' }))
+        .resolves.toMatchObject({ status: 200, body: { success: true, delivery: { status: 'SENT' } } });
+      await expect(request('POST', '/send', { channel: 'fax' })).resolves.toMatchObject({ status: 404 });
+
+      const { body: inbox } = await request('GET', '/inbox?recipient=jo');
+      expect(inbox).toMatchObject({ count: 1, unread: 1, messages: [{ subject: 'Welcome' }] });
+
+      await expect(request('POST', `/inbox/${inbox.messages[0].id}/read`)).resolves.toMatchObject({ status: 200, body: { message: { read: true } } });
+      await expect(request('GET', '/inbox?recipient=jo&unread=true')).resolves.toMatchObject({ body: { count: 0 } });
+      await expect(request('POST', '/inbox/missing/read')).resolves.toMatchObject({ status: 404, body: { code: 'NOTIFICATION_NOT_FOUND' } });
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Retention runs: archived instances are purged only when unchanged since they were archived
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+jest.mock('../../database/WorkflowDatabase', () => ({
+  loadWorkflows: jest.fn(),
+  queryInstances: jest.fn(),
+  getInstance: jest.fn(),
+  getTasksByInstance: jest.fn(),
+  getTimersByInstance: jest.fn(),
+  getSubscriptionsByInstance: jest.fn(),
+  deleteTask: jest.fn(),
+  deleteTimer: jest.fn(),
+  deleteSubscription: jest.fn(),
+  deleteInstance: jest.fn()
+}));
+jest.mock('../StateManager', () => ({
+  listSnapshotFiles: jest.fn(),
+  loadSnapshotFromDisk: jest.fn(),
+  deleteSnapshot: jest.fn()
+}));
+jest.mock('../EventManager', () => ({
+  getHistory: jest.fn(),
+  getHistorySummaries: jest.fn(),
+  clearHistory: jest.fn()
+}));
+jest.mock('../DistributedLockManager', () => ({
+  acquireLock: jest.fn(),
+  releaseLock: jest.fn(),
+  executeWithLock: jest.fn(),
+  listExpiredLocks: jest.fn(),
+  cleanupExpiredLocks: jest.fn()
+}));
+
+const workflowDatabase = require('../../database/WorkflowDatabase');
+const stateManager = require('../StateManager');
+const eventManager = require('../EventManager');
+const distributedLockManager = require('../DistributedLockManager');
+const retentionManager = require('../RetentionManager');
+
+const NOW = new Date('2026-06-01T00:00:00.000Z');
+
+function instance(id, fields = {}) {
+  const data = {
+    id,
+    workflowId: 'order-flow',
+    status: 'COMPLETED',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-02T00:00:00.000Z',
+    completedAt: '2026-01-02T00:00:00.000Z',
+    ...fields
+  };
+  return { ...data, toJSON: () => ({ ...data }) };
+}
+
+function snapshot(id, instanceId) {
+  return { id, instanceId, workflowId: 'order-flow', timestamp: '2026-01-02T00:00:00.000Z' };
+}
+
+describe('RetentionManager', () => {
+  let archiveDir;
+  let instances;
+
+  beforeAll(() => {
+    archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-test-'));
+    retentionManager.archiveDir = archiveDir;
+    retentionManager.defaults = { completedInstanceDays: 30, failedInstanceDays: null, snapshotDays: null, eventDays: null };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    fs.rmSync(archiveDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    instances = new Map([
+      ['unchanged', instance('unchanged')],
+      ['resumed', instance('resumed')]
+    ]);
+    const expired = ['unchanged', 'resumed', 'removed'].map(id => ({ ...instance(id), toJSON: undefined }));
+
+    workflowDatabase.loadWorkflows.mockResolvedValue([]);
+    workflowDatabase.queryInstances.mockImplementation(async params =>
+      ({ instances: params.status.includes('COMPLETED') ? expired : [], nextCursor: null }));
+    workflowDatabase.getInstance.mockImplementation(async id => instances.get(id) || null);
+    workflowDatabase.getTasksByInstance.mockImplementation(async id => [{ id: `task-${id}`, instanceId: id }]);
+    workflowDatabase.getTimersByInstance.mockImplementation(async id => [{ id: `timer-${id}`, instanceId: id }]);
+    workflowDatabase.getSubscriptionsByInstance.mockResolvedValue([]);
+
+    stateManager.listSnapshotFiles.mockResolvedValue([snapshot('snap-unchanged', 'unchanged'), snapshot('snap-resumed', 'resumed')]);
+    stateManager.loadSnapshotFromDisk.mockImplementation(async id => ({ id }));
+    eventManager.getHistory.mockReturnValue([]);
+    eventManager.getHistorySummaries.mockReturnValue([]);
+
+    distributedLockManager.acquireLock.mockResolvedValue({ success: true });
+    distributedLockManager.listExpiredLocks.mockResolvedValue([]);
+    distributedLockManager.executeWithLock.mockImplementation(async (key, operation) => {
+      // Another node resumes this instance between the archive write and the purge
+      if (key === 'instance_resumed') {
+        instances.set('resumed', instance('resumed', { status: 'RUNNING', updatedAt: '2026-06-01T00:00:01.000Z' }));
+      }
+      return operation();
+    });
+  });
+
+  test('purges only instances unchanged since they were archived', async () => {
+    const report = await retentionManager.run({ now: NOW });
+
+    expect(report.instances.items.map(item => item.id)).toEqual(['unchanged']);
+    expect(report.instances.skipped).toEqual(['resumed', 'removed']);
+
+    expect(workflowDatabase.deleteInstance.mock.calls).toEqual([['unchanged']]);
+    expect(workflowDatabase.deleteTask.mock.calls).toEqual([['task-unchanged']]);
+    expect(workflowDatabase.deleteTimer.mock.calls).toEqual([['timer-unchanged']]);
+    expect(eventManager.clearHistory.mock.calls).toEqual([['unchanged']]);
+    expect(instances.get('resumed').status).toBe('RUNNING');
+  });
+
+  test('keeps the snapshots of skipped instances', async () => {
+    const report = await retentionManager.run({ now: NOW });
+
+    expect(stateManager.deleteSnapshot.mock.calls).toEqual([['snap-unchanged', 'unchanged']]);
+    expect(report.snapshots.items.map(item => item.id)).toEqual(['snap-unchanged']);
+  });
+
+  test('checks the instance under its lock', async () => {
+    await retentionManager.run({ now: NOW });
+
+    expect(distributedLockManager.executeWithLock.mock.calls.map(([key]) => key)).toEqual(['instance_unchanged', 'instance_resumed']);
+    expect(distributedLockManager.releaseLock).toHaveBeenCalledWith('retention_run');
+  });
+
+  test('writes archived instances before purging them', async () => {
+    const report = await retentionManager.run({ now: NOW });
+
+    const content = zlib.gunzipSync(fs.readFileSync(path.join(archiveDir, report.archiveFile))).toString('utf8');
+    const lines = content.trim().split('\n').map(line => JSON.parse(line));
+
+    expect(lines.filter(line => line.type === 'instance').map(line => line.instance.id)).toEqual(['unchanged', 'resumed']);
+    expect(lines.find(line => line.type === 'instance').tasks).toEqual([{ id: 'task-unchanged', instanceId: 'unchanged' }]);
+  });
+
+  test('previews without deleting anything', async () => {
+    const report = await retentionManager.preview({ now: NOW });
+
+    expect(report.dryRun).toBe(true);
+    expect(report.instances.items.map(item => item.id)).toEqual(['unchanged', 'resumed', 'removed']);
+    expect(workflowDatabase.deleteInstance).not.toHaveBeenCalled();
+    expect(stateManager.deleteSnapshot).not.toHaveBeenCalled();
+  });
+});
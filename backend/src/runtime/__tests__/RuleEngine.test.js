@@ -0,0 +1,256 @@
+/**
+ * Business rules: builder conditions and actions, stored rules run by business rule
+ * tasks, and the rules API with its version history
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => require('./helpers/runtime').createMemoryDatabase());
+// No platform database here, so rules are kept in the rules file
+jest.mock('../../config/database', () => ({ query: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED')) }));
+
+const { createRuntime, workflow } = require('./helpers/runtime');
+const ruleEngine = require('../RuleEngine');
+const ruleDatabase = require('../../database/RuleDatabase');
+const workflowRepository = require('../../database/WorkflowRepository');
+
+// Orders over 1000 from new customers need a manual check
+const LARGE_ORDER_RULE = {
+  id: 'large-order',
+  name: 'Large order',
+  priority: 10,
+  conditions: [{ field: 'total', operator: 'greaterThan', value: 1000 }, { any: [
+    { field: 'customer.orders', operator: 'lessThan', value: 3 },
+    { field: 'customer.tags', operator: 'contains', value: 'watch' }
+  ] }],
+  actions: [{ type: 'setVariable', variable: 'manualCheck', value: true }]
+};
+
+// Runs after the large order rule and sees the variable it set
+const ROUTING_RULE = {
+  id: 'routing',
+  name: 'Routing',
+  priority: 1,
+  conditions: [{ expression: 'manualCheck == true' }],
+  actions: [{ type: 'setVariable', variable: 'queue', expression: '"review-" + customer.region' }]
+};
+
+// Blocked countries raise a business error
+const EMBARGO_RULE = {
+  id: 'embargo',
+  name: 'Embargo',
+  conditions: [{ field: 'customer.country', operator: 'in', value: 'XX, YY' }],
+  actions: [{ type: 'raiseError', errorCode: 'EMBARGOED', message: 'Country is embargoed' }]
+};
+
+const order = (total, customer = {}) => ({ total, customer: { orders: 1, tags: [], region: 'eu', country: 'DE', ...customer } });
+
+describe('RuleEngine', () => {
+  let runtime;
+
+  beforeAll(() => {
+    runtime = createRuntime();
+  });
+
+  afterAll(async () => {
+    await runtime.cleanup();
+  });
+
+  describe('conditions', () => {
+    const holds = (condition, processData) => ruleEngine.evaluateConditions(condition, { processData });
+
+    test.each([
+      [{ field: 'total', operator: 'equals', value: '1000' }, true],
+      [{ field: 'total', operator: 'greaterThanOrEqual', value: 1001 }, false],
+      [{ field: 'customer.country', operator: 'notIn', value: ['XX'] }, true],
+      [{ field: 'customer.tags', operator: 'isEmpty' }, true],
+      [{ field: 'customer.missing', operator: 'lessThan', value: 5 }, false],
+      [{ field: 'customer.region', operator: 'matches', value: '^e' }, true]
+    ])('%o is %s', (condition, expected) => {
+      expect(holds(condition, order(1000))).toBe(expected);
+    });
+
+    test('combine lists and all/any groups', () => {
+      expect(holds(LARGE_ORDER_RULE.conditions, order(1500))).toBe(true);
+      expect(holds(LARGE_ORDER_RULE.conditions, order(1500, { orders: 8 }))).toBe(false);
+      expect(holds(LARGE_ORDER_RULE.conditions, order(1500, { orders: 8, tags: ['watch'] }))).toBe(true);
+      expect(holds({ all: [] }, {})).toBe(true);
+    });
+  });
+
+  describe('evaluateRules', () => {
+    test('run rules by priority, each seeing the variables set before it', () => {
+      const evaluation = ruleEngine.evaluateRules([ROUTING_RULE, LARGE_ORDER_RULE], { processData: order(1500) });
+
+      expect(evaluation).toEqual({
+        validationPassed: true,
+        results: [
+          { ruleId: 'large-order', rule: 'Large order', passed: true },
+          { ruleId: 'routing', rule: 'Routing', passed: true }
+        ],
+        variables: { manualCheck: true, queue: 'review-eu' }
+      });
+    });
+
+    test('skip inactive rules and fail validation when a rule does not hold', () => {
+      const evaluation = ruleEngine.evaluateRules([
+        { ...LARGE_ORDER_RULE, isActive: false },
+        ROUTING_RULE
+      ], { processData: order(1500) });
+
+      expect(evaluation).toMatchObject({ validationPassed: false, results: [{ ruleId: 'routing', passed: false }], variables: {} });
+    });
+
+    test('throw the error code of a raiseError action', () => {
+      expect(() => ruleEngine.evaluateRules([EMBARGO_RULE], { processData: order(10, { country: 'XX' }) }))
+        .toThrow(expect.objectContaining({ code: 'EMBARGOED', message: 'Country is embargoed' }));
+    });
+
+    test('report a raised error when testing a rule', () => {
+      expect(ruleEngine.testRule(EMBARGO_RULE, order(10, { country: 'YY' }))).toEqual({
+        passed: true,
+        variables: {},
+        raisedError: { code: 'EMBARGOED', message: 'Country is embargoed' }
+      });
+    });
+  });
+
+  describe('validate', () => {
+    test.each([
+      ['a rule without a name', { conditions: [] }, /name is required/],
+      ['an unknown operator', { name: 'x', conditions: [{ field: 'a', operator: 'near' }] }, /unknown operator "near"/],
+      ['a condition without a field', { name: 'x', conditions: [{ any: [{ operator: 'equals' }] }] }, /condition\.1\.1 needs a field/],
+      ['a bad regular expression', { name: 'x', conditions: [{ field: 'a', operator: 'matches', value: '(' }] }, /condition\.1/],
+      ['an unknown action', { name: 'x', actions: [{ type: 'sendEmail' }] }, /action 1 type/],
+      ['a setVariable without a variable', { name: 'x', actions: [{ type: 'setVariable' }] }, /action 1 needs a variable/]
+    ])('rejects %s', (_, rule, message) => {
+      expect(() => ruleEngine.validate(rule)).toThrow(expect.objectContaining({ code: 'INVALID_RULE', message: expect.stringMatching(message) }));
+    });
+  });
+
+  describe('business rule tasks', () => {
+    /**
+     * Workflow checking an order with rules, an embargo error ending on its own path
+     */
+    const checkFlow = (id, rules) => workflow(id, [
+      { id: 'start', type: 'startProcess' },
+      { id: 'check', type: 'businessRuleTask', data: { rules } },
+      { id: 'embargoed', type: 'boundaryEvent', data: { attachedTo: 'check', eventType: 'error', errorCode: 'EMBARGOED' } },
+      { id: 'end', type: 'endEvent' },
+      { id: 'blocked', type: 'endEvent' }
+    ], [['start', 'check'], ['check', 'end'], ['embargoed', 'blocked']]);
+
+    beforeAll(async () => {
+      for (const rule of [LARGE_ORDER_RULE, ROUTING_RULE, EMBARGO_RULE]) {
+        await ruleDatabase.saveRule(rule);
+      }
+    });
+
+    test('run stored rules by ID and write the variables their actions set', async () => {
+      const instance = await runtime.run(checkFlow('order-check', ['routing', { id: 'large-order' }, 'missing']), order(2000));
+
+      expect(instance.status).toBe('COMPLETED');
+      expect(instance.processData).toMatchObject({
+        manualCheck: true,
+        queue: 'review-eu',
+        validationPassed: true,
+        results: [
+          { ruleId: 'large-order', passed: true },
+          { ruleId: 'routing', passed: true },
+          { ruleId: 'missing', passed: null, skipped: true }
+        ]
+      });
+    });
+
+    test('mix inline rules with stored ones', async () => {
+      const instance = await runtime.run(checkFlow('inline-check', [{ name: 'Has items', condition: 'total > 0' }, 'large-order']), order(5));
+
+      expect(instance.processData).toMatchObject({
+        validationPassed: false,
+        results: [{ ruleId: 'large-order', passed: false }, { ruleId: null, rule: 'Has items', passed: true }]
+      });
+    });
+
+    test('route a raised error to the matching error boundary', async () => {
+      const instance = await runtime.run(checkFlow('embargo-check', ['embargo']), order(5, { country: 'XX' }));
+
+      expect(instance.status).toBe('COMPLETED');
+      expect(instance.executionHistory.map(h => h.nodeId)).toContain('blocked');
+      expect(instance.executionHistory.find(h => h.action === 'BOUNDARY_ERROR').result).toMatchObject({ errorCode: 'EMBARGOED' });
+    });
+  });
+
+  describe('API', () => {
+    let api;
+
+    beforeAll(async () => {
+      api = await runtime.serve('/api/rules', require('../../routes/rule.routes'));
+    });
+
+    afterAll(async () => {
+      await api.close();
+    });
+
+    /**
+     * Call the rules API with a JSON body
+     */
+    async function request(method, route, body) {
+      const response = await fetch(`${api.url}${route}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    }
+
+    test('creates rules, refusing duplicates and invalid definitions', async () => {
+      const rule = { id: 'vip', name: 'VIP', conditions: [{ field: 'customer.orders', operator: 'greaterThan', value: 10 }], author: 'ana' };
+
+      await expect(request('POST', '/', rule)).resolves.toMatchObject({
+        status: 201,
+        body: { rule: { id: 'vip', version: 1, versions: [{ version: 1, author: 'ana' }] } }
+      });
+      await expect(request('POST', '/', rule)).resolves.toMatchObject({ status: 409, body: { code: 'RULE_CONFLICT' } });
+      await expect(request('POST', '/', { name: 'Broken', conditions: [{ field: 'a', operator: 'near' }] }))
+        .resolves.toMatchObject({ status: 400, body: { code: 'INVALID_RULE' } });
+      await expect(request('GET', '/vip')).resolves.toMatchObject({ status: 200, body: { rule: { name: 'VIP' } } });
+      await expect(request('GET', '/missing')).resolves.toMatchObject({ status: 404, body: { code: 'RULE_NOT_FOUND' } });
+    });
+
+    test('saves each update as a version that can be restored', async () => {
+      await request('POST', '/', { id: 'threshold', name: 'Threshold', conditions: [{ field: 'total', operator: 'greaterThan', value: 100 }] });
+      await request('PUT', '/threshold', { conditions: [{ field: 'total', operator: 'greaterThan', value: 500 }], changeDescription: 'Raise limit' });
+
+      const { body: history } = await request('GET', '/threshold/versions');
+      expect(history).toMatchObject({ currentVersion: 2, count: 2 });
+      expect(history.versions.map(v => [v.version, v.changeDescription])).toEqual([[2, 'Raise limit'], [1, '']]);
+
+      const { body: restored } = await request('POST', '/threshold/versions/1/restore');
+      expect(restored.rule).toMatchObject({ version: 3, conditions: [{ value: 100 }] });
+      expect(restored.rule.versions[0].changeDescription).toBe('Restored version 1');
+      await expect(request('POST', '/threshold/versions/9/restore')).resolves.toMatchObject({ status: 404 });
+    });
+
+    test('tests stored and unsaved rules against sample data', async () => {
+      await expect(request('POST', '/large-order/test', { data: order(1500) }))
+        .resolves.toMatchObject({ status: 200, body: { passed: true, variables: { manualCheck: true }, raisedError: null } });
+      await expect(request('POST', '/test', { rule: EMBARGO_RULE, data: order(1, { country: 'XX' }) }))
+        .resolves.toMatchObject({ status: 200, body: { raisedError: { code: 'EMBARGOED' } } });
+      await expect(request('POST', '/test', { rule: { name: 'Bad', conditions: [{ expression: 'total >' }] } }))
+        .resolves.toMatchObject({ status: 400 });
+    });
+
+    test('lists the workflows that use a rule and refuses to delete it unless forced', async () => {
+      await request('POST', '/', { id: 'priority-queue', name: 'Priority queue', conditions: [{ field: 'total', operator: 'greaterThan', value: 50 }] });
+      await workflowRepository.create(workflow('uses-priority-queue', [
+        { id: 'start', type: 'startProcess' },
+        { id: 'route', type: 'businessRuleTask', data: { label: 'Route order', rules: ['priority-queue'] } }
+      ], [['start', 'route']]));
+      const reference = { workflowId: 'uses-priority-queue', nodeId: 'route', nodeLabel: 'Route order' };
+
+      await expect(request('GET', '/priority-queue/references')).resolves.toMatchObject({ body: { references: [reference], count: 1 } });
+      await expect(request('DELETE', '/priority-queue'))
+        .resolves.toMatchObject({ status: 409, body: { code: 'RULE_IN_USE', references: [reference] } });
+      await expect(request('DELETE', '/priority-queue?force=true')).resolves.toMatchObject({ status: 200 });
+      await expect(ruleDatabase.getRule('priority-queue')).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Script task sandbox: results, isolation from the host (no code generation,
+ * no Node globals) and the time and memory limits
+ */
+
+const scriptSandbox = require('../ScriptSandbox');
+
+describe('ScriptSandbox', () => {
+  test('returns the script result', async () => {
+    await expect(scriptSandbox.run('return { total: processData.a + processData.b }', { a: 2, b: 3 }))
+      .resolves.toEqual({ total: 5 });
+  });
+
+  test('works on a copy of process data', async () => {
+    const processData = { items: [1, 2] };
+    await scriptSandbox.run('processData.items.push(3); return processData.items.length', processData);
+    expect(processData.items).toEqual([1, 2]);
+  });
+
+  test('surfaces script errors with their code', async () => {
+    await expect(scriptSandbox.run('const e = new Error("boom"); e.code = "BAD_INPUT"; throw e;'))
+      .rejects.toMatchObject({ code: 'BAD_INPUT', message: 'boom' });
+  });
+
+  describe('escape attempts', () => {
+    test.each([
+      'return this.constructor.constructor("return process")()',
+      'return (function () {}).constructor("return process")()',
+      'return Function("return this")()',
+      'return eval("1 + 1")',
+      'return processData.constructor.constructor("return process")()',
+      'return console.log.constructor("return require")()',
+      'return new (Object.getPrototypeOf(async function () {}).constructor)("return process")()'
+    ])('blocks code generation: %s', async script => {
+      await expect(scriptSandbox.run(script, { a: 1 })).rejects.toMatchObject({ code: 'SCRIPT_ERROR' });
+    });
+
+    test('has no Node globals', async () => {
+      await expect(scriptSandbox.run(
+        'return [typeof require, typeof process, typeof module, typeof globalThis.process, typeof setTimeout]'
+      )).resolves.toEqual(['undefined', 'undefined', 'undefined', 'undefined', 'undefined']);
+    });
+
+    test('cannot reach the host through __proto__', async () => {
+      await expect(scriptSandbox.run('processData.__proto__.polluted = true; return ({}).polluted', {}))
+        .resolves.toBe(true);
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+
+  describe('limits', () => {
+    test('stops scripts that run past the timeout', async () => {
+      await expect(scriptSandbox.run('while (true) {}', {}, { timeout: 200 }))
+        .rejects.toMatchObject({ code: 'SCRIPT_TIMEOUT' });
+    });
+
+    test('stops scripts that exceed the memory limit', async () => {
+      await expect(scriptSandbox.run('const chunks = []; while (true) { chunks.push(new Array(1e5).fill("x")); }', {}, {
+        timeout: 10000,
+        memoryLimitMb: 16
+      })).rejects.toMatchObject({ code: expect.stringMatching(/^SCRIPT_(MEMORY_LIMIT|ERROR)$/) });
+    }, 20000);
+  });
+});
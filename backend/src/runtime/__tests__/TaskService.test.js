@@ -0,0 +1,250 @@
+/**
+ * Task Service: inbox filters, claiming, delegation, assignment and completion rules
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => {
+  const tasks = new Map();
+  const copy = task => JSON.parse(JSON.stringify(task));
+  return {
+    tasks,
+    saveTask: jest.fn(async task => { tasks.set(task.id, copy(task)); }),
+    getTask: jest.fn(async id => (tasks.has(id) ? copy(tasks.get(id)) : null)),
+    loadTasks: jest.fn(async () => [...tasks.values()].map(copy)),
+    getTasksByInstance: jest.fn(async id => [...tasks.values()].filter(t => t.instanceId === id).map(copy))
+  };
+});
+jest.mock('../DistributedLockManager', () => {
+  // Operations on one key run one after another, as under the file lock
+  const queues = new Map();
+  return {
+    executeWithLock: jest.fn((key, operation) => {
+      const run = (queues.get(key) || Promise.resolve()).then(operation);
+      queues.set(key, run.catch(() => {}));
+      return run;
+    })
+  };
+});
+
+const workflowDatabase = require('../../database/WorkflowDatabase');
+const taskService = require('../TaskService');
+
+const INSTANCE = { id: 'instance-1', workflowId: 'order-flow', workflowName: 'Orders' };
+
+function userTask(id, data = {}) {
+  return { id, type: 'userTask', data: { label: id, ...data } };
+}
+
+async function createTask(id, data, token = { id: `token-${id}` }) {
+  return taskService.createTask(INSTANCE, userTask(id, data), token, { taskId: id });
+}
+
+const alice = { id: 'alice', groups: ['sales'] };
+const bob = { id: 'bob', groups: [] };
+const admin = { id: 'root', groups: ['admin'] };
+
+describe('TaskService', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    workflowDatabase.tasks.clear();
+  });
+
+  describe('inbox', () => {
+    test('creates open tasks, or claimed tasks for a configured assignee', async () => {
+      const open = await createTask('open', { candidateGroups: 'sales, managers', priority: 'HIGH' });
+      const assigned = await createTask('assigned', { assignee: 'bob' });
+
+      expect(open).toMatchObject({ status: 'OPEN', assignee: null, candidateGroups: ['sales', 'managers'], priority: 'high' });
+      expect(assigned).toMatchObject({ status: 'CLAIMED', assignee: 'bob', priority: 'medium' });
+      expect(assigned.claimedAt).not.toBeNull();
+    });
+
+    test('resolves durations into due dates', async () => {
+      const task = await createTask('due', { dueDate: 'P2D' });
+
+      expect(new Date(task.dueDate) - new Date(task.createdAt)).toBe(2 * 24 * 60 * 60 * 1000);
+    });
+
+    test('lists the most urgent tasks first', async () => {
+      await createTask('low', { priority: 'low' });
+      await createTask('later', { priority: 'high', dueDate: 'P2D' });
+      await createTask('sooner', { priority: 'high', dueDate: 'P1D' });
+      await createTask('urgent', { priority: 'urgent' });
+
+      expect((await taskService.listTasks()).map(t => t.id)).toEqual(['urgent', 'sooner', 'later', 'low']);
+    });
+
+    test('lists the open tasks a user may claim', async () => {
+      await createTask('anyone');
+      await createTask('sales', { candidateGroups: 'sales' });
+      await createTask('bob-only', { candidateUsers: 'bob' });
+      await createTask('taken', { candidateGroups: 'sales', assignee: 'carol' });
+
+      const claimable = await taskService.listTasks({ candidateUser: 'alice', candidateGroups: ['sales'] });
+
+      expect(claimable.map(t => t.id).sort()).toEqual(['anyone', 'sales']);
+    });
+
+    test('filters by assignee and status', async () => {
+      await createTask('mine', { assignee: 'alice' });
+      await createTask('other', { assignee: 'bob' });
+      await taskService.markCompleted(await taskService.getTask('other'), bob);
+
+      expect((await taskService.listTasks({ assignee: 'alice' })).map(t => t.id)).toEqual(['mine']);
+      expect((await taskService.listTasks({ status: 'completed' })).map(t => t.id)).toEqual(['other']);
+      expect(await taskService.listTasks({ status: 'all' })).toHaveLength(2);
+    });
+  });
+
+  describe('claiming', () => {
+    test('claims an open task for a candidate and records it', async () => {
+      await createTask('t1', { candidateGroups: 'sales' });
+
+      const task = await taskService.claim('t1', alice);
+
+      expect(task).toMatchObject({ status: 'CLAIMED', assignee: 'alice' });
+      expect(task.history.map(h => [h.action, h.userId])).toEqual([['CREATED', null], ['CLAIMED', 'alice']]);
+    });
+
+    test('rejects users who are not candidates', async () => {
+      await createTask('t1', { candidateGroups: 'sales' });
+
+      await expect(taskService.claim('t1', bob)).rejects.toMatchObject({ code: 'TASK_FORBIDDEN' });
+    });
+
+    test('lets only one of two concurrent claims succeed', async () => {
+      await createTask('t1');
+
+      const results = await Promise.allSettled([taskService.claim('t1', alice), taskService.claim('t1', bob)]);
+
+      expect(results.map(r => r.status)).toEqual(['fulfilled', 'rejected']);
+      expect(results[1].reason.code).toBe('TASK_CONFLICT');
+      expect((await taskService.getTask('t1')).assignee).toBe('alice');
+    });
+
+    test('is idempotent for the assignee', async () => {
+      await createTask('t1');
+      await taskService.claim('t1', alice);
+
+      const task = await taskService.claim('t1', alice);
+
+      expect(task.history.filter(h => h.action === 'CLAIMED')).toHaveLength(1);
+    });
+
+    test('unclaims back to the open pool, for the assignee only', async () => {
+      await createTask('t1');
+      await taskService.claim('t1', alice);
+
+      await expect(taskService.unclaim('t1', bob)).rejects.toMatchObject({ code: 'TASK_FORBIDDEN' });
+      await expect(taskService.unclaim('t1', alice)).resolves.toMatchObject({ status: 'OPEN', assignee: null });
+    });
+
+    test('requires a user', async () => {
+      await createTask('t1');
+
+      await expect(taskService.claim('t1', null)).rejects.toMatchObject({ code: 'USER_REQUIRED' });
+      await expect(taskService.claim('missing', alice)).rejects.toMatchObject({ code: 'TASK_NOT_FOUND' });
+    });
+  });
+
+  describe('delegation', () => {
+    test('hands a claimed task over and keeps the delegating user as owner', async () => {
+      await createTask('t1', { assignee: 'alice' });
+
+      const task = await taskService.delegate('t1', alice, 'bob');
+
+      expect(task).toMatchObject({ assignee: 'bob', owner: 'alice', status: 'CLAIMED' });
+      expect(task.history[task.history.length - 1]).toMatchObject({ action: 'DELEGATED', userId: 'alice', to: 'bob' });
+    });
+
+    test('only the assignee may delegate', async () => {
+      await createTask('t1', { assignee: 'alice' });
+
+      await expect(taskService.delegate('t1', bob, 'bob')).rejects.toMatchObject({ code: 'TASK_FORBIDDEN' });
+      await expect(taskService.delegate('t1', alice, '')).rejects.toMatchObject({ code: 'INVALID_TASK_UPDATE' });
+    });
+
+    test('keeps the first owner across repeated delegations', async () => {
+      await createTask('t1', { assignee: 'alice' });
+      await taskService.delegate('t1', alice, 'bob');
+
+      await expect(taskService.delegate('t1', bob, 'carol')).resolves.toMatchObject({ assignee: 'carol', owner: 'alice' });
+    });
+  });
+
+  describe('assignment', () => {
+    test('admins assign any task, bypassing candidates', async () => {
+      await createTask('t1', { candidateUsers: 'alice' });
+
+      const task = await taskService.assign('t1', admin, 'bob');
+
+      expect(task).toMatchObject({ status: 'CLAIMED', assignee: 'bob', owner: null });
+      expect(task.history[task.history.length - 1]).toMatchObject({ action: 'ASSIGNED', from: null, to: 'bob' });
+    });
+
+    test('the owner of a delegated task may take it back', async () => {
+      await createTask('t1', { assignee: 'alice' });
+      await taskService.delegate('t1', alice, 'bob');
+
+      await expect(taskService.assign('t1', alice, 'alice')).resolves.toMatchObject({ assignee: 'alice', owner: null });
+    });
+
+    test('other users may not assign', async () => {
+      await createTask('t1', { assignee: 'alice' });
+
+      await expect(taskService.assign('t1', bob, 'bob')).rejects.toMatchObject({ code: 'TASK_FORBIDDEN' });
+    });
+
+    test('a null assignee returns the task to the open pool', async () => {
+      await createTask('t1', { assignee: 'alice' });
+
+      await expect(taskService.assign('t1', admin, null)).resolves.toMatchObject({ status: 'OPEN', assignee: null });
+    });
+
+    test('does not assign completed tasks', async () => {
+      await createTask('t1', { assignee: 'alice' });
+      await taskService.markCompleted(await taskService.getTask('t1'), alice);
+
+      await expect(taskService.assign('t1', admin, 'bob')).rejects.toMatchObject({ code: 'TASK_CONFLICT' });
+    });
+  });
+
+  describe('completion', () => {
+    test('requires the task to be claimed by the user', async () => {
+      const open = await createTask('open');
+      const claimed = await createTask('claimed', { assignee: 'alice' });
+
+      expect(() => taskService.assertCanComplete(open, alice)).toThrow(expect.objectContaining({ code: 'TASK_CONFLICT' }));
+      expect(() => taskService.assertCanComplete(claimed, bob)).toThrow(expect.objectContaining({ code: 'TASK_FORBIDDEN' }));
+      expect(() => taskService.assertCanComplete(claimed, alice)).not.toThrow();
+    });
+
+    test('cancels and reopens the tasks of a token', async () => {
+      await createTask('t1', { assignee: 'alice' }, { id: 'token-a' });
+      await createTask('t2', {}, { id: 'token-b' });
+
+      await expect(taskService.cancelInstanceTasks(INSTANCE.id, 'Instance failed', 'token-a')).resolves.toBe(1);
+      expect((await taskService.getTask('t1')).status).toBe('CANCELLED');
+      expect((await taskService.getTask('t2')).status).toBe('OPEN');
+
+      await expect(taskService.reopenTokenTasks(INSTANCE.id, ['token-a'])).resolves.toBe(1);
+      expect((await taskService.getTask('t1')).status).toBe('CLAIMED');
+    });
+  });
+
+  describe('users', () => {
+    test('resolves groups from the configured directory, not from the caller', () => {
+      taskService.userGroups = { alice: ['sales'] };
+
+      expect(taskService.resolveUser('alice')).toEqual({ id: 'alice', groups: ['sales'] });
+      expect(taskService.resolveUser('mallory')).toEqual({ id: 'mallory', groups: [] });
+      expect(taskService.resolveUser(undefined)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Timer Scheduler: expression parsing, firing and timers shared through the storage
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => {
+  const timers = new Map();
+  const copy = timer => JSON.parse(JSON.stringify(timer));
+  return {
+    timers,
+    saveTimer: jest.fn(async timer => { timers.set(timer.id, copy(timer)); }),
+    getTimer: jest.fn(async id => (timers.has(id) ? copy(timers.get(id)) : null)),
+    loadTimers: jest.fn(async () => [...timers.values()].map(copy)),
+    getTimersByInstance: jest.fn(async id => [...timers.values()].filter(t => t.instanceId === id).map(copy)),
+    deleteTimer: jest.fn(async id => timers.delete(id))
+  };
+});
+jest.mock('../DistributedLockManager', () => ({
+  acquireLock: jest.fn(async () => ({ success: true })),
+  releaseLock: jest.fn(async () => ({ success: true }))
+}));
+
+const workflowDatabase = require('../../database/WorkflowDatabase');
+const distributedLockManager = require('../DistributedLockManager');
+const timerScheduler = require('../TimerScheduler');
+
+const FROM = new Date('2026-01-31T10:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Store a timer as another process would have scheduled it
+ */
+function storeTimer(id, fields = {}) {
+  const timer = {
+    id,
+    instanceId: 'instance-1',
+    tokenId: 'token-1',
+    nodeId: 'wait',
+    kind: 'catch',
+    expression: 'PT1H',
+    type: 'duration',
+    interval: null,
+    repeat: null,
+    dueAt: new Date(Date.now() + HOUR).toISOString(),
+    fireCount: 0,
+    status: 'SCHEDULED',
+    payload: {},
+    ...fields
+  };
+  workflowDatabase.timers.set(id, timer);
+  return timer;
+}
+
+describe('TimerScheduler', () => {
+  let handler;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    workflowDatabase.timers.clear();
+    timerScheduler.timers.clear();
+    handler = jest.fn();
+    timerScheduler.setHandler(handler);
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    timerScheduler.shutdown();
+  });
+
+  describe('parseExpression', () => {
+    test.each([
+      ['PT1H30M', '2026-01-31T11:30:00.000Z'],
+      ['P1D', '2026-02-01T10:00:00.000Z'],
+      ['P1W', '2026-02-07T10:00:00.000Z'],
+      ['PT0.5S', '2026-01-31T10:00:00.500Z'],
+      ['30s', '2026-01-31T10:00:30.000Z'],
+      ['2h', '2026-01-31T12:00:00.000Z']
+    ])('reads the duration %s', (expression, dueAt) => {
+      const parsed = timerScheduler.parseExpression(expression, FROM);
+
+      expect(parsed).toEqual({ type: 'duration', dueAt: new Date(dueAt), interval: null, repeat: null });
+    });
+
+    test('adds calendar months', () => {
+      const from = new Date('2026-01-15T10:00:00.000Z');
+
+      expect(timerScheduler.parseExpression('P1M', from).dueAt).toEqual(new Date('2026-02-15T10:00:00.000Z'));
+      expect(timerScheduler.parseExpression('P1Y', from).dueAt).toEqual(new Date('2027-01-15T10:00:00.000Z'));
+    });
+
+    test('reads dates', () => {
+      expect(timerScheduler.parseExpression('2026-06-01T09:00:00Z', FROM))
+        .toEqual({ type: 'date', dueAt: new Date('2026-06-01T09:00:00Z'), interval: null, repeat: null });
+    });
+
+    test('reads cycles with and without a start', () => {
+      expect(timerScheduler.parseExpression('R3/PT10M', FROM))
+        .toEqual({ type: 'cycle', dueAt: new Date('2026-01-31T10:10:00.000Z'), interval: 'PT10M', repeat: 3 });
+      expect(timerScheduler.parseExpression('R/2026-02-01T08:00:00Z/P1D', FROM))
+        .toEqual({ type: 'cycle', dueAt: new Date('2026-02-01T08:00:00Z'), interval: 'P1D', repeat: null });
+    });
+
+    test.each(['R/PT0S', 'R/PT0.5S', 'R5/500ms', 'R/0s'])('rejects the sub-second cycle %s', expression => {
+      expect(() => timerScheduler.parseExpression(expression, FROM)).toThrow('at least 1s');
+    });
+
+    test.each(['', 'soon', 'P', 'PT', 'R0/PT1H', 'R/x/PT1H', '1 hour'])('rejects %j', expression => {
+      expect(() => timerScheduler.parseExpression(expression, FROM)).toThrow();
+    });
+  });
+
+  describe('firing', () => {
+    test('runs the handler and removes a one-off timer', async () => {
+      const timer = await timerScheduler.schedule({ instanceId: 'instance-1', tokenId: 'token-1', nodeId: 'wait', expression: 'PT1H' });
+
+      await timerScheduler.fire(timer.id);
+
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({ id: timer.id, fireCount: 1, nodeId: 'wait' }));
+      expect(workflowDatabase.timers.has(timer.id)).toBe(false);
+      expect(distributedLockManager.releaseLock).toHaveBeenCalledWith(`timer_${timer.id}`);
+    });
+
+    test('reschedules cycles until their repetitions are used up', async () => {
+      const timer = await timerScheduler.schedule({ instanceId: 'instance-1', tokenId: 'token-1', nodeId: 'wait', expression: 'R2/PT1H' });
+
+      await timerScheduler.fire(timer.id);
+      const stored = workflowDatabase.timers.get(timer.id);
+      expect(stored.fireCount).toBe(1);
+      expect(new Date(stored.dueAt).getTime()).toBeGreaterThan(Date.now());
+
+      await timerScheduler.fire(timer.id);
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(workflowDatabase.timers.has(timer.id)).toBe(false);
+    });
+
+    test('stops a cycle the handler cancelled', async () => {
+      const timer = await timerScheduler.schedule({ instanceId: 'instance-1', tokenId: 'token-1', nodeId: 'wait', expression: 'R/PT1H' });
+      handler.mockImplementation(fired => timerScheduler.cancelTimer(fired.id));
+
+      await timerScheduler.fire(timer.id);
+
+      expect(workflowDatabase.timers.has(timer.id)).toBe(false);
+      expect(timerScheduler.handles.has(timer.id)).toBe(false);
+    });
+
+    test('does not fire a timer another process cancelled', async () => {
+      const timer = await timerScheduler.schedule({ instanceId: 'instance-1', tokenId: 'token-1', nodeId: 'wait', expression: 'PT1H' });
+      workflowDatabase.timers.delete(timer.id);
+
+      await timerScheduler.fire(timer.id);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(timerScheduler.timers.has(timer.id)).toBe(false);
+    });
+
+    test('does not fire a repetition another process already fired', async () => {
+      const timer = await timerScheduler.schedule({ instanceId: 'instance-1', tokenId: 'token-1', nodeId: 'wait', expression: 'R/PT1H' });
+      workflowDatabase.timers.get(timer.id).fireCount = 1;
+
+      await timerScheduler.fire(timer.id);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(timerScheduler.handles.has(timer.id)).toBe(true);
+    });
+
+    test('re-arms instead of firing while another process holds the timer lock', async () => {
+      const timer = await timerScheduler.schedule({ instanceId: 'instance-1', tokenId: 'token-1', nodeId: 'wait', expression: 'PT1H' });
+      distributedLockManager.acquireLock.mockResolvedValueOnce({ success: false });
+
+      await timerScheduler.fire(timer.id);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(workflowDatabase.timers.has(timer.id)).toBe(true);
+    });
+  });
+
+  describe('shared storage', () => {
+    test('arms timers other processes scheduled and drops those they removed', async () => {
+      const local = await timerScheduler.schedule({ instanceId: 'instance-1', tokenId: 'token-1', nodeId: 'wait', expression: 'PT1H' });
+      storeTimer('remote');
+
+      await timerScheduler.sync();
+      expect([...timerScheduler.handles.keys()].sort()).toEqual([local.id, 'remote'].sort());
+
+      workflowDatabase.timers.delete(local.id);
+      await timerScheduler.sync();
+      expect([...timerScheduler.timers.keys()]).toEqual(['remote']);
+      expect(timerScheduler.handles.has(local.id)).toBe(false);
+    });
+
+    test('re-arms timers another process rescheduled', async () => {
+      storeTimer('remote');
+      await timerScheduler.sync();
+
+      const dueAt = new Date(Date.now() + 2 * HOUR).toISOString();
+      Object.assign(workflowDatabase.timers.get('remote'), { dueAt, fireCount: 1 });
+      await timerScheduler.sync();
+
+      expect(timerScheduler.timers.get('remote')).toMatchObject({ dueAt, fireCount: 1 });
+    });
+
+    test('fires timers armed by a sync', async () => {
+      storeTimer('remote', { dueAt: new Date(Date.now() - 1000).toISOString() });
+
+      await timerScheduler.sync();
+      await timerScheduler.fire('remote');
+
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({ id: 'remote' }));
+    });
+
+    test('lists and cancels timers this process never armed', async () => {
+      storeTimer('later', { dueAt: new Date(Date.now() + 2 * HOUR).toISOString() });
+      storeTimer('sooner');
+      storeTimer('other', { instanceId: 'instance-2' });
+
+      expect((await timerScheduler.getInstanceTimers('instance-1')).map(t => t.id)).toEqual(['sooner', 'later']);
+      await expect(timerScheduler.getTimer('sooner')).resolves.toMatchObject({ id: 'sooner' });
+
+      await expect(timerScheduler.cancelTimer('sooner')).resolves.toMatchObject({ id: 'sooner', status: 'CANCELLED' });
+      await expect(timerScheduler.cancelInstanceTimers('instance-1')).resolves.toBe(1);
+      expect([...workflowDatabase.timers.keys()]).toEqual(['other']);
+      await expect(timerScheduler.cancelTimer('missing')).resolves.toBeNull();
+    });
+
+    test('points timers at remapped nodes', async () => {
+      storeTimer('boundary', { kind: 'boundary', nodeId: 'reminder', payload: { attachedTo: 'review' } });
+
+      await timerScheduler.remapInstanceTimers('instance-1', nodeId => `${nodeId}-v2`);
+
+      expect(workflowDatabase.timers.get('boundary')).toMatchObject({ nodeId: 'reminder-v2', payload: { attachedTo: 'review-v2' } });
+    });
+  });
+});
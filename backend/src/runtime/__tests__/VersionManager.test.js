@@ -0,0 +1,155 @@
+/**
+ * Workflow versions: persisted to the workflow store and loaded after a restart,
+ * published content sealed with a hash that instances are checked against
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => require('./helpers/runtime').createMemoryDatabase());
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRuntime, workflow } = require('./helpers/runtime');
+const { createWorkflowStore } = require('../../database/storage');
+const versionManager = require('../VersionManager');
+
+const invoice = amount => workflow('invoice', [
+  { id: 'start', type: 'startProcess' },
+  { id: 'bill', type: 'scriptTask', data: { script: `return { amount: ${amount} };` } },
+  { id: 'end', type: 'endEvent' }
+], [['start', 'bill'], ['bill', 'end']]);
+
+/**
+ * A version manager as a restarted server has it: empty, then loaded from the store
+ */
+async function restart(store) {
+  const restarted = new versionManager.constructor();
+  await restarted.load(store);
+  return restarted;
+}
+
+describe('VersionManager', () => {
+  let dir;
+  let store;
+  let versions;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'versions-test-'));
+    store = createWorkflowStore('json', { dbPath: dir });
+    await store.init();
+    versions = await restart(store);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('keeps versions, markers and instance bindings across a restart', async () => {
+    await versions.createVersion('invoice', invoice(1), { author: 'ana' });
+    await versions.createVersion('invoice', invoice(2), { author: 'ana' });
+    await versions.publishVersion('invoice', 2, { setAsDefault: true, author: 'lee' });
+    versions.bindInstanceToVersion('instance-1', 'invoice', 2);
+    await versions.flush();
+
+    const restarted = await restart(store);
+
+    expect(restarted.getAllVersions('invoice').map(v => [v.version, v.status])).toEqual([[2, 'PUBLISHED'], [1, 'DRAFT']]);
+    expect(restarted.getDefaultVersion('invoice').version).toBe(2);
+    expect(restarted.getPublishedVersions('invoice').map(v => v.version)).toEqual([2]);
+    expect(restarted.getVersion('invoice', 2)).toMatchObject({
+      workflow: invoice(2),
+      contentHash: versions.computeContentHash(invoice(2)),
+      metadata: { author: 'ana', publishedBy: 'lee' }
+    });
+    expect(restarted.getInstanceVersion('instance-1')).toMatchObject({ workflowId: 'invoice', version: 2 });
+
+    restarted.unbindInstance('instance-1');
+    await restarted.flush();
+    expect((await restart(store)).getInstanceVersion('instance-1')).toBeUndefined();
+  });
+
+  test('seal published content with its hash, author and time', async () => {
+    await versions.createVersion('invoice', invoice(1));
+    const draft = versions.getVersion('invoice', 1);
+    expect(versions.verifyVersion(draft)).toEqual({ valid: true, expectedHash: null, actualHash: null });
+
+    const published = await versions.publishVersion('invoice', 1, { author: 'lee' });
+
+    expect(published.contentHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(published.metadata).toMatchObject({ publishedBy: 'lee', publishedAt: expect.any(Date) });
+    expect(versions.verifyVersion(published).valid).toBe(true);
+
+    published.workflow.nodes[1].data.script = 'return { amount: 1000 };';
+    expect(versions.verifyVersion(published)).toMatchObject({ valid: false, expectedHash: published.contentHash });
+    expect(() => versions.assertVersionIntegrity(published)).toThrow(expect.objectContaining({ code: 'VERSION_INTEGRITY_FAILED' }));
+
+    delete published.contentHash;
+    published.workflow = invoice(1);
+    expect(versions.verifyVersion(published).valid).toBe(false);
+  });
+
+  test('leave a version unpublished when its write fails', async () => {
+    await versions.createVersion('invoice', invoice(1));
+    jest.spyOn(store, 'saveVersion').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(versions.publishVersion('invoice', 1)).rejects.toThrow('Version 1 of workflow invoice was not published: disk full');
+
+    const version = versions.getVersion('invoice', 1);
+    expect(version.status).toBe('DRAFT');
+    expect(version.contentHash).toBeUndefined();
+    expect(version.metadata.publishedAt).toBeNull();
+    expect(versions.getPublishedVersions('invoice')).toEqual([]);
+  });
+
+  test('warn about a stored published version whose content changed', async () => {
+    await versions.createVersion('invoice', invoice(1));
+    const published = await versions.publishVersion('invoice', 1);
+    await store.saveVersion({ ...JSON.parse(JSON.stringify(published)), workflow: invoice(1000) });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const restarted = await restart(store);
+
+    expect(warn).toHaveBeenCalledWith('[VersionManager] Version 1 of workflow invoice does not match its content hash');
+    expect(restarted.verifyVersion(restarted.getVersion('invoice', 1)).valid).toBe(false);
+  });
+});
+
+describe('starting instances on a published version', () => {
+  let runtime;
+  let api;
+
+  beforeAll(async () => {
+    runtime = createRuntime();
+    api = await runtime.serve('/api/runtime', require('../../routes/runtime.routes'));
+
+    await versionManager.createVersion('invoice', invoice(5));
+    await versionManager.publishVersion('invoice', 1, { setAsDefault: true });
+  });
+
+  afterAll(async () => {
+    await api.close();
+    await runtime.cleanup();
+  });
+
+  test('runs the published content while it matches its hash', async () => {
+    const instance = await runtime.run(invoice(0));
+
+    expect(instance).toMatchObject({ status: 'COMPLETED', workflowVersion: 1, processData: { amount: 5 } });
+  });
+
+  test('refuses a version that was changed after publishing', async () => {
+    versionManager.getVersion('invoice', 1).workflow.nodes[1].data.script = 'return { amount: 500 };';
+
+    await expect(runtime.engine.startWorkflow(invoice(0), {}, 'test', 1))
+      .rejects.toMatchObject({ code: 'VERSION_INTEGRITY_FAILED' });
+
+    const response = await fetch(`${api.url}/start`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ workflowDef: invoice(0) })
+    });
+    expect(response.status).toBe(409);
+    expect(await response.json()).toMatchObject({ code: 'VERSION_INTEGRITY_FAILED', error: 'Version 1 of workflow invoice was modified after publishing' });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Boundary events: timers that interrupt a task or start a reminder path next to it,
+ * and error boundaries that route a task's error code to a recovery path
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => require('./helpers/runtime').createMemoryDatabase());
+
+const { createRuntime, workflow } = require('./helpers/runtime');
+const connectorRegistry = require('../ConnectorRegistry');
+
+/**
+ * Review task with one boundary event, each path ending on its own
+ */
+function reviewFlow(id, boundaryData) {
+  return workflow(id, [
+    { id: 'start', type: 'startProcess' },
+    { id: 'review', type: 'userTask', data: { formFields: [] } },
+    { id: 'boundary', type: 'boundaryEvent', data: { attachedTo: 'review', ...boundaryData } },
+    { id: 'escalate', type: 'scriptTask', data: { script: 'return { escalated: (processData.escalated || 0) + 1 };' } },
+    { id: 'done', type: 'endEvent' },
+    { id: 'escalated', type: 'endEvent' }
+  ], [['start', 'review'], ['review', 'done'], ['boundary', 'escalate'], ['escalate', 'escalated']]);
+}
+
+/**
+ * Service task calling the failing connector, with an error boundary catching `errorCode`
+ */
+function chargeFlow(id, errorCode, connectorCode = 'CREDIT_DENIED') {
+  return workflow(id, [
+    { id: 'start', type: 'startProcess' },
+    { id: 'charge', type: 'serviceTask', data: { connector: 'payments', connectorConfig: { code: connectorCode } } },
+    { id: 'declined', type: 'boundaryEvent', data: { attachedTo: 'charge', eventType: 'error', errorCode, errorVariable: 'chargeError' } },
+    { id: 'notify', type: 'scriptTask', data: { script: 'return { notified: true };' } },
+    { id: 'end', type: 'endEvent' }
+  ], [['start', 'charge'], ['charge', 'end'], ['declined', 'notify'], ['notify', 'end']]);
+}
+
+describe('boundary events', () => {
+  let runtime;
+
+  const tasksOf = async instanceId => runtime.engine.taskService.listTasks({ instanceId, status: 'all' });
+
+  beforeAll(() => {
+    runtime = createRuntime();
+    connectorRegistry.register({
+      type: 'payments',
+      execute: async config => {
+        throw Object.assign(new Error('Card declined'), { code: config.code });
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await runtime.cleanup();
+  });
+
+  describe('timers', () => {
+    test('an interrupting timer cancels the task and takes the escalation path', async () => {
+      const instance = await runtime.run(reviewFlow('escalation', { eventType: 'timer', duration: 'PT4H' }));
+
+      const [timer] = await runtime.timerScheduler.getInstanceTimers(instance.id);
+      expect(timer).toMatchObject({ nodeId: 'boundary', kind: 'boundary', tokenId: instance.tokens[0].id });
+
+      await runtime.fireTimers(instance.id, 'boundary');
+
+      const completed = await runtime.workflowDatabase.getInstance(instance.id);
+      expect(completed.status).toBe('COMPLETED');
+      expect(completed.processData.escalated).toBe(1);
+      expect(completed.executionHistory.find(h => h.action === 'BOUNDARY_TIMER_FIRED').result)
+        .toMatchObject({ attachedTo: 'review', interrupting: true });
+      expect((await tasksOf(instance.id)).map(t => t.status)).toEqual(['CANCELLED']);
+    });
+
+    test('a non-interrupting timer runs a reminder next to the open task, each time it fires', async () => {
+      const instance = await runtime.run(reviewFlow('reminder', { eventType: 'timer', duration: 'R2/PT1H', cancelActivity: false }));
+
+      await runtime.fireTimers(instance.id, 'boundary');
+      await runtime.fireTimers(instance.id, 'boundary');
+
+      const reminded = await runtime.workflowDatabase.getInstance(instance.id);
+      expect(reminded.status).toBe('PAUSED');
+      expect(reminded.processData.escalated).toBe(2);
+      expect(reminded.executionHistory.filter(h => h.action === 'BOUNDARY_TIMER_FIRED').map(h => h.result.interrupting))
+        .toEqual([false, false]);
+      expect((await tasksOf(instance.id)).map(t => t.status)).toEqual(['OPEN']);
+
+      const completed = await runtime.completeTask(instance.id, 'review');
+      expect(completed.status).toBe('COMPLETED');
+      expect(completed.executionHistory.filter(h => h.nodeId === 'done')).toHaveLength(1);
+      await expect(runtime.timerScheduler.getInstanceTimers(instance.id)).resolves.toEqual([]);
+    });
+
+    test('completing the task first cancels its boundary timer', async () => {
+      const instance = await runtime.run(reviewFlow('in-time', { eventType: 'timer', duration: 'PT4H' }));
+
+      const completed = await runtime.completeTask(instance.id, 'review');
+
+      expect(completed.status).toBe('COMPLETED');
+      expect(completed.processData).not.toHaveProperty('escalated');
+      await expect(runtime.timerScheduler.getInstanceTimers(instance.id)).resolves.toEqual([]);
+    });
+  });
+
+  describe('errors', () => {
+    test('an error boundary catches its code and keeps the error in a variable', async () => {
+      const instance = await runtime.run(chargeFlow('declined-charge', 'CREDIT_DENIED'));
+
+      expect(instance.status).toBe('COMPLETED');
+      expect(instance.processData).toMatchObject({
+        notified: true,
+        chargeError: { code: 'CREDIT_DENIED', nodeId: 'charge', message: expect.stringContaining('Card declined') }
+      });
+      expect(instance.executionHistory.find(h => h.action === 'BOUNDARY_ERROR').result)
+        .toMatchObject({ errorCode: 'CREDIT_DENIED', attachedTo: 'charge', interrupting: true });
+    });
+
+    test('an error boundary without a code catches every error', async () => {
+      const instance = await runtime.run(chargeFlow('any-error', undefined, 'GATEWAY_DOWN'));
+
+      expect(instance.status).toBe('COMPLETED');
+      expect(instance.processData.chargeError.code).toBe('GATEWAY_DOWN');
+    });
+
+    test('other error codes fail the instance', async () => {
+      const instance = await runtime.run(chargeFlow('unhandled', 'CREDIT_DENIED', 'GATEWAY_DOWN'));
+
+      expect(instance.status).toBe('FAILED');
+      expect(instance.error).toContain('Card declined');
+    });
+
+    test('a business error raised from a user task takes its error boundary', async () => {
+      const instance = await runtime.run(reviewFlow('rejected', { eventType: 'error', errorCode: 'REJECTED' }));
+      const [task] = await tasksOf(instance.id);
+      const user = { id: 'tester', groups: [] };
+      await runtime.engine.taskService.claim(task.id, user);
+
+      await expect(runtime.engine.throwTaskError(task.id, { errorCode: 'OTHER' }, user))
+        .rejects.toMatchObject({ code: 'INVALID_TASK_UPDATE' });
+      await runtime.engine.throwTaskError(task.id, { errorCode: 'REJECTED', message: 'Out of policy' }, user);
+      await runtime.drain();
+
+      const completed = await runtime.workflowDatabase.getInstance(instance.id);
+      expect(completed.status).toBe('COMPLETED');
+      expect(completed.processData.escalated).toBe(1);
+      expect((await tasksOf(instance.id)).map(t => t.status)).toEqual(['CANCELLED']);
+    });
+  });
+});
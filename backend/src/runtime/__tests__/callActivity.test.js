@@ -0,0 +1,149 @@
+/**
+ * Call activities: a parent token waits on a child instance, with variables mapped
+ * in and out, and failure and cancellation propagated between them
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => require('./helpers/runtime').createMemoryDatabase());
+
+const { createRuntime, workflow } = require('./helpers/runtime');
+const workflowRepository = require('../../database/WorkflowRepository');
+const versionManager = require('../VersionManager');
+
+// Called workflows: a human approval, and a script that always fails
+const APPROVAL_FLOW = workflow('approval', [
+  { id: 'start', type: 'startProcess' },
+  { id: 'approve', type: 'userTask', data: { formFields: [{ name: 'approved', type: 'boolean', required: true }] } },
+  { id: 'end', type: 'endEvent' }
+], [['start', 'approve'], ['approve', 'end']]);
+
+const FAILING_FLOW = workflow('failing', [
+  { id: 'start', type: 'startProcess' },
+  { id: 'boom', type: 'scriptTask', data: { script: 'throw new Error("child broke")' } },
+  { id: 'end', type: 'endEvent' }
+], [['start', 'boom'], ['boom', 'end']]);
+
+/**
+ * Parent workflow calling `calledWorkflowId` from its call node
+ */
+function parentFlow(id, callData) {
+  return workflow(id, [
+    { id: 'start', type: 'startProcess' },
+    { id: 'call', type: 'callActivity', data: callData },
+    { id: 'end', type: 'endEvent' }
+  ], [['start', 'call'], ['call', 'end']]);
+}
+
+describe('call activities', () => {
+  let runtime;
+
+  const childOf = async parent => runtime.workflowDatabase.getInstance(parent.children[0].instanceId);
+
+  beforeAll(async () => {
+    runtime = createRuntime();
+    await workflowRepository.create(APPROVAL_FLOW);
+    await workflowRepository.create(FAILING_FLOW);
+  });
+
+  afterAll(async () => {
+    await runtime.cleanup();
+  });
+
+  test('start a child with mapped inputs and continue with its mapped outputs', async () => {
+    const parent = await runtime.run(parentFlow('order', {
+      calledWorkflowId: 'approval',
+      inputMapping: { amount: 'requested' },
+      outputMapping: { approved: 'orderApproved' }
+    }), { amount: 250, secret: 'x' });
+
+    expect(parent.status).toBe('PAUSED');
+    const child = await childOf(parent);
+    expect(child).toMatchObject({
+      status: 'PAUSED',
+      workflowId: 'approval',
+      processData: { requested: 250 },
+      parent: { instanceId: parent.id, nodeId: 'call', depth: 1 }
+    });
+    expect(child.processData).not.toHaveProperty('secret');
+
+    const status = await runtime.engine.getInstanceStatus(parent.id);
+    expect(status.children).toEqual([expect.objectContaining({ instanceId: child.id, nodeId: 'call', status: 'PAUSED' })]);
+
+    await runtime.completeTask(child.id, 'approve', { approved: true });
+
+    const completed = await runtime.workflowDatabase.getInstance(parent.id);
+    expect(completed.status).toBe('COMPLETED');
+    expect(completed.processData).toMatchObject({ amount: 250, orderApproved: true });
+    expect(completed.processData).not.toHaveProperty('approved');
+    expect(completed.executionHistory.map(h => h.action))
+      .toEqual(expect.arrayContaining(['CALL_ACTIVITY_STARTED', 'CALL_ACTIVITY_COMPLETED']));
+  });
+
+  test('run the called version when the call activity names one', async () => {
+    const quote = value => workflow('quote', [
+      { id: 'start', type: 'startProcess' },
+      { id: 'price', type: 'scriptTask', data: { script: `return { quote: ${value} };` } },
+      { id: 'end', type: 'endEvent' }
+    ], [['start', 'price'], ['price', 'end']]);
+    await workflowRepository.create(quote(3));
+    await versionManager.createVersion('quote', quote(1));
+    await versionManager.createVersion('quote', quote(2));
+
+    const parent = await runtime.run(parentFlow('quoting', { calledWorkflowId: 'quote', calledVersion: '2' }));
+
+    expect(parent.status).toBe('COMPLETED');
+    expect(parent.processData.quote).toBe(2);
+    expect((await childOf(parent)).workflowVersion).toBe(2);
+  });
+
+  test('fail the parent when its child fails', async () => {
+    const parent = await runtime.run(parentFlow('strict', { calledWorkflowId: 'failing' }));
+
+    expect(parent.status).toBe('FAILED');
+    expect(parent.error).toContain('child broke');
+    expect((await childOf(parent)).status).toBe('FAILED');
+  });
+
+  test('continue past a failed child when configured, with its error in a variable', async () => {
+    const parent = await runtime.run(parentFlow('lenient', {
+      calledWorkflowId: 'failing',
+      onChildFailure: 'continue',
+      errorVariable: 'callError'
+    }));
+
+    expect(parent.status).toBe('COMPLETED');
+    expect(parent.processData.callError).toContain('child broke');
+  });
+
+  test('cancel the child with its parent unless it outlives the parent', async () => {
+    const linked = await runtime.run(parentFlow('linked', { calledWorkflowId: 'approval' }));
+    const detached = await runtime.run(parentFlow('detached', { calledWorkflowId: 'approval', terminateWithParent: false }));
+
+    await runtime.engine.cancelInstance(linked.id, 'Order withdrawn');
+    await runtime.engine.cancelInstance(detached.id, 'Order withdrawn');
+    await runtime.drain();
+
+    expect((await childOf(linked)).status).toBe('CANCELLED');
+    expect((await childOf(detached)).status).toBe('PAUSED');
+  });
+
+  test('fail the parent when its child is cancelled', async () => {
+    const parent = await runtime.run(parentFlow('abandoned', { calledWorkflowId: 'approval' }));
+
+    await runtime.engine.cancelInstance((await childOf(parent)).id, 'Not needed');
+    await runtime.drain();
+
+    const failed = await runtime.workflowDatabase.getInstance(parent.id);
+    expect(failed.status).toBe('FAILED');
+    expect(failed.error).toContain('cancelled');
+  });
+
+  test('stop a workflow that keeps calling itself', async () => {
+    await workflowRepository.create(parentFlow('recursive', { calledWorkflowId: 'recursive' }));
+
+    const root = await runtime.run(await workflowRepository.get('recursive'));
+
+    expect(root.status).toBe('FAILED');
+    const depths = (await runtime.workflowDatabase.getInstancesByWorkflow('recursive')).map(i => i.parent?.depth || 0);
+    expect(Math.max(...depths)).toBe(10);
+  });
+});
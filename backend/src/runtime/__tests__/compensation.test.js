@@ -0,0 +1,140 @@
+/**
+ * Compensation: completed activities are undone by their handlers in reverse order,
+ * from a compensation throw event or the compensate API
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => require('./helpers/runtime').createMemoryDatabase());
+
+const { createRuntime, workflow } = require('./helpers/runtime');
+const eventManager = require('../EventManager');
+
+// Each handler appends the activity it undoes to processData.undone
+const undo = activity => ({ type: 'scriptTask', data: { script: `return { undone: [...(processData.undone || []), '${activity}'] };` } });
+
+/**
+ * Order saga: reserve stock, charge the card, then `last` - both steps have a handler
+ */
+const orderFlow = (id, last) => workflow(id, [
+  { id: 'start', type: 'startProcess' },
+  { id: 'reserve', type: 'scriptTask', data: { script: 'return { reserved: true };' } },
+  { id: 'charge', type: 'scriptTask', data: { script: 'return { charged: true };' } },
+  { id: 'last', ...last },
+  { id: 'end', type: 'endEvent' },
+  { id: 'onReserve', type: 'boundaryEvent', data: { attachedTo: 'reserve', eventType: 'compensation' } },
+  { id: 'release', ...undo('reserve') },
+  { id: 'onCharge', type: 'boundaryEvent', data: { attachedTo: 'charge', eventType: 'compensation' } },
+  { id: 'refund', ...undo('charge') }
+], [
+  ['start', 'reserve'], ['reserve', 'charge'], ['charge', 'last'], ['last', 'end'],
+  ['onReserve', 'release'], ['onCharge', 'refund']
+]);
+
+describe('compensation', () => {
+  let runtime;
+  let api;
+
+  const load = id => runtime.workflowDatabase.getInstance(id);
+  const historyOf = (instance, action) => instance.executionHistory.filter(h => h.action === action);
+
+  beforeAll(async () => {
+    runtime = createRuntime();
+    api = await runtime.serve('/api/runtime', require('../../routes/runtime.routes'));
+  });
+
+  afterAll(async () => {
+    await api.close();
+    await runtime.cleanup();
+  });
+
+  test('a throw event undoes every completed activity in reverse order, then continues', async () => {
+    const instance = await runtime.run(orderFlow('rollback-all', { type: 'compensationEvent' }));
+
+    expect(instance.status).toBe('COMPLETED');
+    expect(instance.processData.undone).toEqual(['charge', 'reserve']);
+    expect(historyOf(instance, 'ACTIVITY_COMPENSATED').map(h => [h.nodeId, h.result.handlerId]))
+      .toEqual([['charge', 'refund'], ['reserve', 'release']]);
+    expect(historyOf(instance, 'COMPENSATION_COMPLETED')).toEqual([
+      expect.objectContaining({ nodeId: 'last', result: expect.objectContaining({ compensated: ['charge', 'reserve'] }) })
+    ]);
+    expect(instance.compensations.map(r => r.status)).toEqual(['COMPENSATED', 'COMPENSATED']);
+    expect(instance.compensation).toBeNull();
+    expect(eventManager.getHistory(instance.id).map(e => e.type).filter(type => type.startsWith('compensation.'))).toEqual([
+      'compensation.started', 'compensation.activity_compensated', 'compensation.activity_compensated', 'compensation.completed'
+    ]);
+  });
+
+  test('a throw event with an activityRef undoes only that activity', async () => {
+    const instance = await runtime.run(orderFlow('refund-only', { type: 'compensationEvent', data: { activityRef: 'charge' } }));
+
+    expect(instance.status).toBe('COMPLETED');
+    expect(instance.processData.undone).toEqual(['charge']);
+    expect(instance.compensations.map(r => [r.nodeId, r.status]))
+      .toEqual([['reserve', 'COMPLETED'], ['charge', 'COMPENSATED']]);
+  });
+
+  test('handlers of a multi-instance activity see the variables of the iteration they undo', async () => {
+    const instance = await runtime.run(workflow('release-each', [
+      { id: 'start', type: 'startProcess' },
+      { id: 'reserve', type: 'scriptTask', data: {
+        script: 'return { sku: processData.item };',
+        multiInstance: { mode: 'sequential', collection: 'items', elementVariable: 'item' }
+      } },
+      { id: 'rollback', type: 'compensationEvent' },
+      { id: 'end', type: 'endEvent' },
+      { id: 'onReserve', type: 'boundaryEvent', data: { attachedTo: 'reserve', eventType: 'compensation' } },
+      { id: 'release', type: 'scriptTask', data: { script: 'return { released: [...(processData.released || []), processData.item] };' } }
+    ], [['start', 'reserve'], ['reserve', 'rollback'], ['rollback', 'end'], ['onReserve', 'release']]), { items: ['A', 'B'] });
+
+    expect(instance.status).toBe('COMPLETED');
+    expect(instance.processData.released).toEqual(['B', 'A']);
+    expect(instance.processData).not.toHaveProperty('item');
+  });
+
+  test('rolling back a failed instance ends it as cancelled', async () => {
+    const instance = await runtime.run(orderFlow('declined', { type: 'scriptTask', data: { script: 'throw new Error("Shipping unavailable");' } }));
+    expect(instance.status).toBe('FAILED');
+
+    await runtime.engine.compensateInstance(instance.id, { reason: 'Order failed' }, { id: 'admin', groups: [] });
+    await runtime.drain();
+
+    const rolledBack = await load(instance.id);
+    expect(rolledBack.status).toBe('CANCELLED');
+    expect(rolledBack.processData.undone).toEqual(['charge', 'reserve']);
+    expect(historyOf(rolledBack, 'COMPENSATION_STARTED')[0].result)
+      .toMatchObject({ activities: ['charge', 'reserve'], reason: 'Order failed' });
+    expect(rolledBack.executionHistory.at(-1)).toMatchObject({ action: 'CANCELLED', result: { reason: 'Order failed' } });
+  });
+
+  describe('API', () => {
+    const compensate = (id, body) => fetch(`${api.url}/instance/${id}/compensate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    test('compensates one activity of a waiting instance', async () => {
+      const instance = await runtime.run(orderFlow('refund-by-hand', { type: 'userTask', data: { formFields: [] } }));
+
+      const response = await compensate(instance.id, { activityId: 'charge' });
+      expect(response.status).toBe(200);
+      await runtime.drain();
+
+      const refunded = await load(instance.id);
+      expect(refunded.status).toBe('PAUSED');
+      expect(refunded.processData.undone).toEqual(['charge']);
+      expect(historyOf(refunded, 'COMPENSATION_COMPLETED')[0].result)
+        .toMatchObject({ activityId: 'charge', compensated: ['charge'] });
+    });
+
+    test('rejects activities without a handler and instances that have ended', async () => {
+      const waiting = await runtime.run(orderFlow('wrong-activity', { type: 'userTask', data: { formFields: [] } }));
+      const response = await compensate(waiting.id, { activityId: 'last' });
+      expect(response.status).toBe(400);
+      expect((await response.json()).code).toBe('INVALID_COMPENSATION');
+
+      const completed = await runtime.run(orderFlow('already-done', { type: 'scriptTask', data: { script: 'return {};' } }));
+      expect((await compensate(completed.id, {})).status).toBe(409);
+      expect((await compensate('missing', {})).status).toBe(404);
+    });
+  });
+});
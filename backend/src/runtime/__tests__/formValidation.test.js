@@ -0,0 +1,145 @@
+/**
+ * Task form validation: submissions are checked against the task's form and only
+ * declared fields reach process data
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => require('./helpers/runtime').createMemoryDatabase());
+
+const { createRuntime, workflow } = require('./helpers/runtime');
+const formValidator = require('../FormValidator');
+
+const ORDER_FORM = {
+  id: 'order-form',
+  name: 'Order',
+  fields: [
+    { name: 'quantity', type: 'number', label: 'Quantity', required: true, min: 1, max: 10 },
+    { name: 'email', type: 'email', label: 'Email' },
+    { name: 'size', type: 'select', label: 'Size', options: [{ value: 's' }, { value: 'm' }] },
+    { name: 'code', type: 'text', label: 'Code', validation: { rules: ['pattern:^[A-Z]{3}$'] } },
+    { name: 'total', type: 'calculated', label: 'Total' }
+  ]
+};
+
+describe('form validation', () => {
+  describe('FormValidator', () => {
+    test('coerces submitted strings to the field types', () => {
+      const result = formValidator.validate(ORDER_FORM.fields, { quantity: '3', size: 'm', code: 'ABC' });
+
+      expect(result).toEqual({ valid: true, errors: [], values: { quantity: 3, size: 'm', code: 'ABC' } });
+    });
+
+    test('reports one error per invalid field', () => {
+      const result = formValidator.validate(ORDER_FORM.fields, { quantity: 11, email: 'nope', size: 'xl', code: 'abc' });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.map(e => [e.field, e.rule])).toEqual([
+        ['quantity', 'max'],
+        ['email', 'type'],
+        ['size', 'options'],
+        ['code', 'pattern']
+      ]);
+    });
+
+    test('requires required fields and skips display-only, read-only and inactive conditional fields', () => {
+      const fields = [
+        { name: 'reason', type: 'text', required: true },
+        { name: 'note', type: 'text', required: true, readonly: true },
+        { name: 'detail', type: 'text', required: true, conditional: { field: 'kind', value: 'other' } },
+        { name: 'heading', type: 'label' }
+      ];
+
+      expect(formValidator.validate(fields, { kind: 'standard', heading: 'x' }).errors)
+        .toEqual([{ field: 'reason', label: 'reason', rule: 'required', message: 'reason is required' }]);
+      expect(formValidator.validate(fields, { kind: 'other', reason: 'r' }).errors.map(e => e.field)).toEqual(['detail']);
+    });
+
+    test('uses the message the form defines', () => {
+      const fields = [{ name: 'age', type: 'number', validation: { min: 18, errorMessage: 'Adults only' } }];
+
+      expect(formValidator.validate(fields, { age: 12 }).errors[0].message).toBe('Adults only');
+    });
+
+    test('maps declared fields through the output mapping', () => {
+      expect(formValidator.mapOutput({ quantity: 3, size: 'm' })).toEqual({ quantity: 3, size: 'm' });
+      expect(formValidator.mapOutput({ quantity: 3, size: 'm' }, { quantity: 'orderQuantity' })).toEqual({ orderQuantity: 3 });
+    });
+  });
+
+  describe('task completion', () => {
+    let runtime;
+    let api;
+
+    const flow = (id, data = {}) => workflow(id, [
+      { id: 'start', type: 'startProcess' },
+      { id: 'order', type: 'userTask', data: { label: 'Order', formId: 'order-form', assignee: 'tester', ...data } },
+      { id: 'end', type: 'endEvent' }
+    ], [['start', 'order'], ['order', 'end']]);
+
+    const taskOf = async instance => (await runtime.engine.taskService.listTasks({ instanceId: instance.id }))[0];
+
+    beforeAll(async () => {
+      runtime = createRuntime();
+      await require('../../database/FormDatabase').saveForm(ORDER_FORM);
+      api = await runtime.serve('/api/runtime', require('../../routes/runtime.routes'));
+    });
+
+    afterAll(async () => {
+      await api.close();
+      await runtime.cleanup();
+    });
+
+    test('refuses an invalid submission and leaves the task open', async () => {
+      const instance = await runtime.run(flow('form-invalid'));
+      const task = await taskOf(instance);
+
+      await expect(runtime.engine.completeUserTask(task.id, { quantity: 0 }, { id: 'tester', groups: [] }))
+        .rejects.toMatchObject({ code: 'VALIDATION_FAILED', fieldErrors: [expect.objectContaining({ field: 'quantity', rule: 'min' })] });
+
+      await runtime.drain();
+      await expect(taskOf(instance)).resolves.toMatchObject({ id: task.id, status: 'CLAIMED' });
+      expect((await runtime.workflowDatabase.getInstance(instance.id)).status).toBe('PAUSED');
+    });
+
+    test('writes only the declared fields to process data', async () => {
+      const instance = await runtime.run(flow('form-valid'));
+
+      const completed = await runtime.completeTask(instance.id, 'order', { quantity: '2', size: 's', total: 99, isAdmin: true });
+
+      expect(completed.status).toBe('COMPLETED');
+      expect(completed.processData).toMatchObject({ quantity: 2, size: 's' });
+      expect(completed.processData).not.toHaveProperty('total');
+      expect(completed.processData).not.toHaveProperty('isAdmin');
+    });
+
+    test('writes mapped fields under their process variables', async () => {
+      const instance = await runtime.run(flow('form-mapped', { outputMapping: { quantity: 'orderQuantity' } }));
+
+      const completed = await runtime.completeTask(instance.id, 'order', { quantity: 4, size: 'm' });
+
+      expect(completed.processData.orderQuantity).toBe(4);
+      expect(completed.processData).not.toHaveProperty('quantity');
+      expect(completed.processData).not.toHaveProperty('size');
+    });
+
+    test('answers an invalid submission with 422 and the field errors', async () => {
+      const instance = await runtime.run(flow('form-api'));
+      const task = await taskOf(instance);
+
+      const response = await fetch(`${api.url}/tasks/${task.id}/complete`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-user-id': 'tester' },
+        body: JSON.stringify({ data: { email: 'nope' } })
+      });
+
+      expect(response.status).toBe(422);
+      expect(await response.json()).toMatchObject({
+        success: false,
+        code: 'VALIDATION_FAILED',
+        fieldErrors: [
+          { field: 'quantity', label: 'Quantity', rule: 'required', message: 'Quantity is required' },
+          { field: 'email', label: 'Email', rule: 'type', message: 'Email must be a valid email address' }
+        ]
+      });
+    });
+  });
+});
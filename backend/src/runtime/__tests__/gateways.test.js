@@ -0,0 +1,163 @@
+/**
+ * Event-based and complex gateways: the first of several events picks the path,
+ * and a join that fires once its activation condition holds
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => require('./helpers/runtime').createMemoryDatabase());
+
+const { createRuntime, workflow } = require('./helpers/runtime');
+
+// Waits for a payment, a cancellation signal or a one-day timeout
+const PAYMENT_FLOW = workflow('await-payment', [
+  { id: 'start', type: 'startProcess' },
+  { id: 'wait', type: 'eventGateway' },
+  { id: 'paid', type: 'messageEvent', data: { messageName: 'Paid', correlationKeys: ['orderId'] } },
+  { id: 'cancelled', type: 'signalEvent', data: { signalName: 'CancelAll' } },
+  { id: 'timeout', type: 'timerEvent', data: { duration: 'P1D' } },
+  { id: 'ship', type: 'scriptTask', data: { script: 'return { outcome: "shipped" };' } },
+  { id: 'refund', type: 'scriptTask', data: { script: 'return { outcome: "refunded" };' } },
+  { id: 'remind', type: 'scriptTask', data: { script: 'return { outcome: "reminded" };' } },
+  { id: 'end', type: 'endEvent' }
+], [
+  ['start', 'wait'], ['wait', 'paid'], ['wait', 'cancelled'], ['wait', 'timeout'],
+  ['paid', 'ship'], ['cancelled', 'refund'], ['timeout', 'remind'],
+  ['ship', 'end'], ['refund', 'end'], ['remind', 'end']
+]);
+
+/**
+ * Three reviews in parallel, joined by a complex gateway
+ */
+const reviewFlow = (id, joinData) => workflow(id, [
+  { id: 'start', type: 'startProcess' },
+  { id: 'split', type: 'parallelGateway' },
+  { id: 'legal', type: 'userTask', data: { formFields: [] } },
+  { id: 'finance', type: 'userTask', data: { formFields: [] } },
+  { id: 'security', type: 'userTask', data: { formFields: [] } },
+  { id: 'join', type: 'complexGateway', data: joinData },
+  { id: 'decide', type: 'scriptTask', data: { script: 'return { decisions: (processData.decisions || 0) + 1 };' } },
+  { id: 'end', type: 'endEvent' }
+], [
+  ['start', 'split'], ['split', 'legal'], ['split', 'finance'], ['split', 'security'],
+  ['legal', 'join'], ['finance', 'join'], ['security', 'join'], ['join', 'decide'], ['decide', 'end']
+]);
+
+describe('gateways', () => {
+  let runtime;
+
+  const load = id => runtime.workflowDatabase.getInstance(id);
+  const historyOf = (instance, action) => instance.executionHistory.filter(h => h.action === action);
+
+  beforeAll(() => {
+    runtime = createRuntime();
+  });
+
+  afterAll(async () => {
+    await runtime.cleanup();
+  });
+
+  describe('event-based', () => {
+    test('wait for all of their events at once', async () => {
+      const instance = await runtime.run(PAYMENT_FLOW, { orderId: 'A-1' });
+
+      expect(instance.status).toBe('PAUSED');
+      expect(instance.tokens[0]).toMatchObject({ position: 'wait', status: 'waiting' });
+      expect((await runtime.engine.messageCorrelator.listSubscriptions({ instanceId: instance.id })).map(s => s.nodeId).sort())
+        .toEqual(['cancelled', 'paid']);
+      expect((await runtime.timerScheduler.getInstanceTimers(instance.id)).map(t => t.nodeId)).toEqual(['timeout']);
+    });
+
+    test('take the path of the first event and disarm the others', async () => {
+      const instance = await runtime.run(PAYMENT_FLOW, { orderId: 'A-2' });
+
+      await runtime.engine.correlateMessage('Paid', { correlationKeys: { orderId: 'A-2' } });
+      await runtime.drain();
+
+      const completed = await load(instance.id);
+      expect(completed).toMatchObject({ status: 'COMPLETED', processData: { outcome: 'shipped' } });
+      expect(historyOf(completed, 'EVENT_GATEWAY_TRIGGERED').map(h => h.result)).toEqual([{ eventNodeId: 'paid' }]);
+      await expect(runtime.timerScheduler.getInstanceTimers(instance.id)).resolves.toEqual([]);
+      await expect(runtime.engine.messageCorrelator.listSubscriptions({ instanceId: instance.id })).resolves.toEqual([]);
+    });
+
+    test('take the timer path when nothing else arrives in time', async () => {
+      const instance = await runtime.run(PAYMENT_FLOW, { orderId: 'A-3' });
+
+      await runtime.fireTimers(instance.id, 'timeout');
+
+      expect(await load(instance.id)).toMatchObject({ status: 'COMPLETED', processData: { outcome: 'reminded' } });
+      await expect(runtime.engine.correlateMessage('Paid', { correlationKeys: { orderId: 'A-3' } }))
+        .rejects.toMatchObject({ code: 'MESSAGE_NOT_CORRELATED' });
+    });
+
+    test('take the signal path when the signal arrives first', async () => {
+      const instance = await runtime.run(PAYMENT_FLOW, { orderId: 'A-4' });
+
+      await runtime.engine.broadcastSignal('CancelAll');
+      await runtime.drain();
+
+      expect(await load(instance.id)).toMatchObject({ status: 'COMPLETED', processData: { outcome: 'refunded' } });
+      expect(historyOf(await load(instance.id), 'EXECUTE').map(h => h.nodeId)).not.toContain('ship');
+    });
+
+    test('fail the instance when a path does not start with a catch event', async () => {
+      const instance = await runtime.run(workflow('bad-event-gateway', [
+        { id: 'start', type: 'startProcess' },
+        { id: 'wait', type: 'eventGateway' },
+        { id: 'paid', type: 'messageEvent', data: { messageName: 'Paid' } },
+        { id: 'work', type: 'scriptTask', data: { script: 'return {};' } }
+      ], [['start', 'wait'], ['wait', 'paid'], ['wait', 'work']]));
+
+      expect(instance.status).toBe('FAILED');
+      expect(instance.error).toContain('must lead to message, signal or timer events');
+    });
+  });
+
+  describe('complex', () => {
+    test('join once the activation condition holds and consume the late tokens', async () => {
+      const instance = await runtime.run(reviewFlow('two-reviews', { activationCondition: 'nrOfArrivedTokens >= 2' }));
+
+      await runtime.completeTask(instance.id, 'legal');
+      expect(historyOf(await load(instance.id), 'EXECUTE').map(h => h.nodeId)).not.toContain('decide');
+
+      const decided = await runtime.completeTask(instance.id, 'security');
+      expect(decided.processData.decisions).toBe(1);
+      expect(decided.status).toBe('PAUSED');
+
+      const completed = await runtime.completeTask(instance.id, 'finance');
+      expect(completed.status).toBe('COMPLETED');
+      expect(completed.processData.decisions).toBe(1);
+    });
+
+    test('wait for every path without an activation condition', async () => {
+      const instance = await runtime.run(reviewFlow('all-reviews', {}));
+
+      await runtime.completeTask(instance.id, 'legal');
+      await runtime.completeTask(instance.id, 'finance');
+      expect((await load(instance.id)).processData).not.toHaveProperty('decisions');
+
+      const completed = await runtime.completeTask(instance.id, 'security');
+      expect(completed).toMatchObject({ status: 'COMPLETED', processData: { decisions: 1 } });
+    });
+
+    test('split like an inclusive gateway, taking every path whose condition holds', async () => {
+      const instance = await runtime.run(workflow('complex-split', [
+        { id: 'start', type: 'startProcess' },
+        { id: 'split', type: 'complexGateway' },
+        { id: 'small', type: 'scriptTask', data: { script: 'return { small: true };' } },
+        { id: 'large', type: 'scriptTask', data: { script: 'return { large: true };' } },
+        { id: 'any', type: 'scriptTask', data: { script: 'return { any: true };' } },
+        { id: 'end', type: 'endEvent' }
+      ], [
+        ['start', 'split'],
+        ['split', 'small', { condition: 'amount < 100' }],
+        ['split', 'large', { condition: 'amount >= 100' }],
+        ['split', 'any', { condition: 'amount > 0' }],
+        ['small', 'end'], ['large', 'end'], ['any', 'end']
+      ]), { amount: 250 });
+
+      expect(instance.status).toBe('COMPLETED');
+      expect(instance.processData).toMatchObject({ large: true, any: true });
+      expect(instance.processData).not.toHaveProperty('small');
+    });
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Runtime test harness
+ * Runs the engine on an in-memory workflow database, with jobs, locks and snapshots
+ * under a temporary directory. Test files mock the database before requiring anything:
+ *
+ *   jest.mock('../../database/WorkflowDatabase', () => require('./helpers/runtime').createMemoryDatabase());
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Environment of the modules that read it when they are loaded
+const TEST_ENV = ['ANTHROPIC_API_KEY', 'NOTIFICATION_TRANSPORT', 'NOTIFICATION_OUTBOX_FILE', 'CONNECTOR_FILES_DIR', 'CONNECTORS_DIR'];
+
+// Rounds of queued jobs drain() runs before it gives up on a workflow that keeps enqueueing
+const MAX_DRAIN_ROUNDS = 200;
+
+/**
+ * Workflow database keeping every collection in memory (same methods as WorkflowDatabase)
+ */
+function createMemoryDatabase() {
+  const WorkflowInstance = require('../../../models/WorkflowInstance');
+
+  const copy = value => JSON.parse(JSON.stringify(value));
+  const collections = {
+    workflows: new Map(),
+    instances: new Map(),
+    timers: new Map(),
+    tasks: new Map(),
+    subscriptions: new Map()
+  };
+
+  const save = name => async record => {
+    const data = typeof record.toJSON === 'function' ? record.toJSON() : record;
+    collections[name].set(data.id, copy(data));
+    return record;
+  };
+  const get = name => async id => (collections[name].has(id) ? copy(collections[name].get(id)) : null);
+  const list = (name, filter = () => true) => [...collections[name].values()].filter(filter).map(copy);
+  const remove = name => async id => collections[name].delete(id);
+
+  return {
+    collections,
+
+    saveWorkflow: save('workflows'),
+    loadWorkflows: async () => list('workflows'),
+    getWorkflow: async id => (await get('workflows')(id)) || undefined,
+
+    saveInstance: async instance => {
+      await save('instances')(instance);
+      return typeof instance.toJSON === 'function' ? instance.toJSON() : instance;
+    },
+    loadInstances: async () => list('instances'),
+    getInstance: async id => {
+      const data = await get('instances')(id);
+      return data ? new WorkflowInstance(data) : null;
+    },
+    getInstancesByStatus: async status => list('instances', i => i.status === status),
+    getInstancesByWorkflow: async workflowId => list('instances', i => i.workflowId === workflowId),
+    deleteInstance: remove('instances'),
+
+    saveTimer: save('timers'),
+    loadTimers: async () => list('timers'),
+    getTimer: get('timers'),
+    getTimersByInstance: async instanceId => list('timers', t => t.instanceId === instanceId),
+    deleteTimer: remove('timers'),
+
+    saveTask: save('tasks'),
+    loadTasks: async () => list('tasks'),
+    getTask: get('tasks'),
+    getTasksByInstance: async instanceId => list('tasks', t => t.instanceId === instanceId),
+    deleteTask: remove('tasks'),
+
+    saveSubscription: save('subscriptions'),
+    loadSubscriptions: async () => list('subscriptions'),
+    getSubscriptionsByInstance: async instanceId => list('subscriptions', s => s.instanceId === instanceId),
+    deleteSubscription: remove('subscriptions'),
+
+    loadVersions: async () => {}
+  };
+}
+
+/**
+ * Load the engine with its files redirected to a temporary directory
+ * Call cleanup() in afterAll to stop its timers and remove the directory
+ */
+function createRuntime() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runtime-test-'));
+  const savedEnv = Object.fromEntries(TEST_ENV.map(name => [name, process.env[name]]));
+
+  delete process.env.ANTHROPIC_API_KEY;
+  process.env.NOTIFICATION_TRANSPORT = 'file';
+  process.env.NOTIFICATION_OUTBOX_FILE = path.join(dir, 'outbox.jsonl');
+  process.env.CONNECTOR_FILES_DIR = path.join(dir, 'files');
+  process.env.CONNECTORS_DIR = path.join(dir, 'connectors');
+
+  const consoleSpies = ['log', 'warn', 'error'].map(level => jest.spyOn(console, level).mockImplementation(() => {}));
+
+  const distributedLockManager = require('../../DistributedLockManager');
+  const stateManager = require('../../StateManager');
+  const jobQueue = require('../../JobQueue');
+  const timerScheduler = require('../../TimerScheduler');
+  const timeoutManager = require('../../TimeoutManager');
+  const engine = require('../../WorkflowRuntimeEngine');
+  const workflowDatabase = require('../../../database/WorkflowDatabase');
+  const formDatabase = require('../../../database/FormDatabase');
+  const decisionDatabase = require('../../../database/DecisionDatabase');
+  const ruleDatabase = require('../../../database/RuleDatabase');
+  const notificationDatabase = require('../../../database/NotificationDatabase');
+
+  distributedLockManager.lockDir = path.join(dir, 'locks');
+  stateManager.snapshotDir = path.join(dir, 'snapshots');
+  jobQueue.jobDir = path.join(dir, 'jobs');
+  formDatabase.dataDir = dir;
+  formDatabase.formsFile = path.join(dir, 'forms.json');
+  decisionDatabase.dataDir = dir;
+  decisionDatabase.decisionsFile = path.join(dir, 'decisions.json');
+  ruleDatabase.dataDir = dir;
+  ruleDatabase.rulesFile = path.join(dir, 'rules.json');
+  notificationDatabase.dataDir = dir;
+  notificationDatabase.templatesFile = path.join(dir, 'notification-templates.json');
+  notificationDatabase.inboxFile = path.join(dir, 'notifications.json');
+  for (const subdir of ['locks', 'snapshots', 'jobs']) {
+    fs.mkdirSync(path.join(dir, subdir));
+  }
+
+  /**
+   * Run queued jobs until none are left, as the workers would
+   */
+  async function drain() {
+    for (let round = 0; round < MAX_DRAIN_ROUNDS; round++) {
+      const jobs = await jobQueue.listJobs();
+      if (jobs.length === 0) {
+        return;
+      }
+
+      for (const instanceId of new Set(jobs.map(job => job.instanceId))) {
+        await jobQueue.processInstance(instanceId);
+      }
+    }
+    throw new Error(`Jobs still queued after ${MAX_DRAIN_ROUNDS} rounds`);
+  }
+
+  /**
+   * Start a workflow and run it until it waits or ends
+   */
+  async function run(workflow, input = {}, initiator = 'test', version = null) {
+    const started = await engine.startWorkflow(workflow, input, initiator, version);
+    await drain();
+    return workflowDatabase.getInstance(started.id);
+  }
+
+  /**
+   * Fire the scheduled timers of an instance (optionally only those at one node) and run the jobs they queue
+   */
+  async function fireTimers(instanceId, nodeId = null) {
+    const timers = (await timerScheduler.getInstanceTimers(instanceId)).filter(t => !nodeId || t.nodeId === nodeId);
+
+    for (const timer of timers) {
+      await timerScheduler.fire(timer.id);
+    }
+    await drain();
+    return timers;
+  }
+
+  /**
+   * Claim and complete the open task of an instance at a node, and run the jobs it queues
+   */
+  async function completeTask(instanceId, nodeId, data = {}, userId = 'tester') {
+    const taskService = require('../../TaskService');
+    const user = taskService.resolveUser(userId);
+    const task = (await taskService.listTasks({ instanceId })).find(t => t.nodeId === nodeId);
+
+    if (!task) {
+      throw new Error(`No open task at ${nodeId} of instance ${instanceId}`);
+    }
+    if (task.status === 'OPEN') {
+      await taskService.claim(task.id, user);
+    }
+
+    await engine.completeUserTask(task.id, data, user);
+    await drain();
+    return workflowDatabase.getInstance(instanceId);
+  }
+
+  /**
+   * Serve an API router on an ephemeral local port; returns its base URL and close()
+   */
+  async function serve(mountPath, router) {
+    const express = require('express');
+    const app = express();
+    app.use(express.json());
+    app.use(mountPath, router);
+
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    return {
+      url: `http://127.0.0.1:${server.address().port}${mountPath}`,
+      close: () => new Promise(resolve => server.close(resolve))
+    };
+  }
+
+  /**
+   * Stop the engine's timers and remove the temporary directory
+   */
+  async function cleanup() {
+    timerScheduler.shutdown();
+    jobQueue.shutdown();
+    timeoutManager.shutdown();
+    await distributedLockManager.shutdown();
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+    consoleSpies.forEach(spy => spy.mockRestore());
+  }
+
+  return { dir, engine, workflowDatabase, jobQueue, timerScheduler, drain, run, fireTimers, completeTask, serve, cleanup };
+}
+
+/**
+ * Workflow definition from nodes and [source, target, extra] connections
+ */
+function workflow(id, nodes, connections = [], fields = {}) {
+  return {
+    id,
+    name: id,
+    nodes: nodes.map(node => ({ data: { label: node.id }, ...node })),
+    connections: connections.map(([source, target, extra = {}], index) => ({
+      id: `c${index + 1}`,
+      source,
+      target,
+      ...extra
+    })),
+    ...fields
+  };
+}
+
+module.exports = {
+  createMemoryDatabase,
+  createRuntime,
+  workflow
+};
@@ -0,0 +1,190 @@
+/**
+ * Instance controls: cancelling releases everything an instance holds, suspending
+ * holds its steps until it is resumed
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => require('./helpers/runtime').createMemoryDatabase());
+
+const { createRuntime, workflow } = require('./helpers/runtime');
+const eventManager = require('../EventManager');
+const timeoutManager = require('../TimeoutManager');
+
+// A wait and a review one after another
+const SEQUENTIAL_FLOW = workflow('sequential-flow', [
+  { id: 'start', type: 'startProcess' },
+  { id: 'wait', type: 'timerEvent', data: { duration: 'PT1H' } },
+  { id: 'review', type: 'userTask', data: { formFields: [] } },
+  { id: 'end', type: 'endEvent' }
+], [['start', 'wait'], ['wait', 'review'], ['review', 'end']]);
+
+// A task, a message and a timer waiting side by side
+const WAITING_FLOW = workflow('waiting-flow', [
+  { id: 'start', type: 'startProcess' },
+  { id: 'split', type: 'parallelGateway' },
+  { id: 'review', type: 'userTask', data: { formFields: [] } },
+  { id: 'paid', type: 'messageEvent', data: { messageName: 'Paid' } },
+  { id: 'wait', type: 'timerEvent', data: { duration: 'PT1H' } },
+  { id: 'join', type: 'parallelGateway' },
+  { id: 'end', type: 'endEvent' }
+], [
+  ['start', 'split'], ['split', 'review'], ['split', 'paid'], ['split', 'wait'],
+  ['review', 'join'], ['paid', 'join'], ['wait', 'join'], ['join', 'end']
+]);
+
+describe('instance controls', () => {
+  let runtime;
+  let api;
+
+  const admin = { id: 'admin', groups: [] };
+  const load = id => runtime.workflowDatabase.getInstance(id);
+
+  beforeAll(async () => {
+    runtime = createRuntime();
+    api = await runtime.serve('/api/runtime', require('../../routes/runtime.routes'));
+  });
+
+  afterAll(async () => {
+    await api.close();
+    await runtime.cleanup();
+  });
+
+  describe('cancel', () => {
+    test('ends a waiting instance and releases its tasks, timers, subscriptions and timeouts', async () => {
+      const instance = await runtime.run(WAITING_FLOW);
+      expect(timeoutManager.getActiveTimeouts(instance.id)).toHaveLength(1);
+
+      const cancelled = await runtime.engine.cancelInstance(instance.id, 'Customer withdrew', admin);
+
+      expect(cancelled.status).toBe('CANCELLED');
+      expect(cancelled.executionHistory.at(-1)).toMatchObject({
+        action: 'CANCELLED',
+        result: { reason: 'Customer withdrew', cancelledBy: 'admin' }
+      });
+      expect((await runtime.engine.taskService.listTasks({ instanceId: instance.id, status: 'all' })).map(t => t.status))
+        .toEqual(['CANCELLED']);
+      await expect(runtime.timerScheduler.getInstanceTimers(instance.id)).resolves.toEqual([]);
+      await expect(runtime.engine.messageCorrelator.listSubscriptions({ instanceId: instance.id })).resolves.toEqual([]);
+      expect(timeoutManager.getActiveTimeouts(instance.id)).toEqual([]);
+      expect(runtime.engine.distributedLockManager.activeLocks.has(`instance_${instance.id}`)).toBe(false);
+      expect(eventManager.getHistory(instance.id, { type: 'workflow.cancelled' }))
+        .toEqual([expect.objectContaining({ data: expect.objectContaining({ reason: 'Customer withdrew' }) })]);
+    });
+
+    test('drops the steps an instance has queued', async () => {
+      const started = await runtime.engine.startWorkflow(SEQUENTIAL_FLOW, {}, 'test');
+
+      await runtime.engine.cancelInstance(started.id);
+      await expect(runtime.jobQueue.listJobs(started.id)).resolves.toEqual([]);
+      await runtime.drain();
+
+      const cancelled = await load(started.id);
+      expect(cancelled.status).toBe('CANCELLED');
+      expect(cancelled.executionHistory.map(h => h.action)).toEqual(['CANCELLED']);
+    });
+
+    test('stops the instance waiting for messages', async () => {
+      const instance = await runtime.run(WAITING_FLOW);
+
+      await runtime.engine.cancelInstance(instance.id);
+
+      await expect(runtime.engine.correlateMessage('Paid')).rejects.toMatchObject({ code: 'MESSAGE_NOT_CORRELATED' });
+    });
+  });
+
+  describe('suspend and resume', () => {
+    test('hold a timer that fires while suspended until the instance is resumed', async () => {
+      const instance = await runtime.run(SEQUENTIAL_FLOW);
+
+      const suspended = await runtime.engine.suspendInstance(instance.id, 'Audit', admin);
+      expect(suspended.status).toBe('SUSPENDED');
+      expect(timeoutManager.getActiveTimeouts(instance.id)).toEqual([]);
+
+      await runtime.fireTimers(instance.id);
+
+      const holding = await load(instance.id);
+      expect(holding.status).toBe('SUSPENDED');
+      expect(holding.suspendedJobs).toEqual([expect.objectContaining({ type: 'continue', nodeId: 'wait' })]);
+      expect(holding.tokens[0]).toMatchObject({ position: 'wait', status: 'waiting' });
+
+      await runtime.engine.resumeInstance(instance.id, 'Audit done', admin);
+      await runtime.drain();
+
+      const resumed = await load(instance.id);
+      expect(resumed).toMatchObject({ status: 'PAUSED', suspendedJobs: [] });
+      expect(resumed.tokens[0]).toMatchObject({ position: 'review', status: 'waiting' });
+      expect(resumed.executionHistory.filter(h => ['SUSPENDED', 'RESUMED'].includes(h.action)).map(h => h.result)).toEqual([
+        { reason: 'Audit', suspendedBy: 'admin', previousStatus: 'PAUSED' },
+        { reason: 'Audit done', resumedBy: 'admin', heldJobs: 1 }
+      ]);
+    });
+
+    test('hold steps that were queued before the instance was suspended', async () => {
+      const started = await runtime.engine.startWorkflow(SEQUENTIAL_FLOW, {}, 'test');
+
+      const suspended = await runtime.engine.suspendInstance(started.id);
+      await runtime.drain();
+
+      expect(suspended.suspendedJobs).toEqual([expect.objectContaining({ type: 'start' })]);
+      expect((await load(started.id)).tokens).toEqual([]);
+
+      await runtime.engine.resumeInstance(started.id);
+      await runtime.drain();
+
+      expect((await load(started.id)).tokens[0]).toMatchObject({ position: 'wait', status: 'waiting' });
+    });
+
+    test('keep tasks of a suspended instance from being completed', async () => {
+      const instance = await runtime.run(SEQUENTIAL_FLOW);
+      await runtime.fireTimers(instance.id);
+      await runtime.engine.suspendInstance(instance.id);
+
+      await expect(runtime.completeTask(instance.id, 'review')).rejects.toMatchObject({ code: 'INSTANCE_CONFLICT' });
+
+      await runtime.engine.resumeInstance(instance.id);
+      expect((await load(instance.id)).status).toBe('PAUSED');
+      await expect(runtime.completeTask(instance.id, 'review')).resolves.toMatchObject({ status: 'COMPLETED' });
+    });
+  });
+
+  describe('conflicts', () => {
+    test('refuse controls that do not apply to the instance status', async () => {
+      const instance = await runtime.run(SEQUENTIAL_FLOW);
+
+      await expect(runtime.engine.resumeInstance(instance.id)).rejects.toMatchObject({ code: 'INSTANCE_CONFLICT' });
+
+      await runtime.engine.cancelInstance(instance.id);
+
+      await expect(runtime.engine.cancelInstance(instance.id)).rejects.toMatchObject({ code: 'INSTANCE_CONFLICT' });
+      await expect(runtime.engine.suspendInstance(instance.id)).rejects.toMatchObject({ code: 'INSTANCE_CONFLICT' });
+      await expect(runtime.engine.cancelInstance('missing')).rejects.toMatchObject({ code: 'INSTANCE_NOT_FOUND' });
+    });
+  });
+
+  describe('API', () => {
+    /**
+     * POST an instance control with a reason
+     */
+    async function control(id, operation, reason) {
+      const response = await fetch(`${api.url}/instance/${id}/${operation}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-user-id': 'admin' },
+        body: JSON.stringify({ reason })
+      });
+      return { status: response.status, body: await response.json() };
+    }
+
+    test('suspends, resumes and cancels with the reason and caller in history', async () => {
+      const instance = await runtime.run(SEQUENTIAL_FLOW);
+
+      await expect(control(instance.id, 'suspend', 'Hold')).resolves.toMatchObject({ status: 200, body: { instance: { status: 'SUSPENDED' } } });
+      await expect(control(instance.id, 'suspend')).resolves.toMatchObject({ status: 409, body: { code: 'INSTANCE_CONFLICT' } });
+      await expect(control(instance.id, 'resume')).resolves.toMatchObject({ status: 200, body: { instance: { status: 'PAUSED' } } });
+
+      const { status, body } = await control(instance.id, 'cancel', 'Duplicate order');
+      expect(status).toBe(200);
+      expect(body.instance.executionHistory.at(-1).result).toEqual({ reason: 'Duplicate order', cancelledBy: 'admin' });
+
+      await expect(control('missing', 'cancel')).resolves.toMatchObject({ status: 404, body: { code: 'INSTANCE_NOT_FOUND' } });
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Message and signal events: correlating messages by name and correlation keys,
+ * broadcasting signals, and message start events
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => require('./helpers/runtime').createMemoryDatabase());
+
+const { createRuntime, workflow } = require('./helpers/runtime');
+const workflowRepository = require('../../database/WorkflowRepository');
+
+/**
+ * Workflow whose token waits at one catch event
+ */
+function waitingFlow(id, event) {
+  return workflow(id, [
+    { id: 'start', type: 'startProcess' },
+    { id: 'wait', ...event },
+    { id: 'end', type: 'endEvent' }
+  ], [['start', 'wait'], ['wait', 'end']]);
+}
+
+const PAYMENT_FLOW = waitingFlow('payment-flow', {
+  type: 'messageEvent',
+  data: { messageName: 'PaymentReceived', correlationKeys: ['orderId'], outputMapping: { amount: 'paidAmount' } }
+});
+const RESTOCK_FLOW = waitingFlow('restock-flow', { type: 'messageEvent', data: { messageName: 'Restock' } });
+const SHUTDOWN_FLOW = waitingFlow('shutdown-flow', { type: 'signalEvent', data: { signalName: 'Shutdown' } });
+
+describe('message and signal events', () => {
+  let runtime;
+  let api;
+
+  const statusOf = async instance => (await runtime.workflowDatabase.getInstance(instance.id)).status;
+
+  beforeAll(async () => {
+    runtime = createRuntime();
+    api = await runtime.serve('/api/runtime', require('../../routes/runtime.routes'));
+  });
+
+  afterAll(async () => {
+    await api.close();
+    await runtime.cleanup();
+  });
+
+  /**
+   * POST a JSON body to the runtime API
+   */
+  async function post(route, body) {
+    const response = await fetch(`${api.url}${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  describe('messages', () => {
+    test('continue the instance whose correlation keys match, with the mapped payload', async () => {
+      const first = await runtime.run(PAYMENT_FLOW, { orderId: 1 });
+      const second = await runtime.run(PAYMENT_FLOW, { orderId: 2 });
+      expect(await runtime.engine.messageCorrelator.listSubscriptions({ instanceId: second.id }))
+        .toEqual([expect.objectContaining({ type: 'message', name: 'PaymentReceived', correlationKeys: { orderId: 2 } })]);
+
+      const result = await runtime.engine.correlateMessage('PaymentReceived', {
+        correlationKeys: { orderId: '2' },
+        variables: { amount: 40, note: 'ignored' }
+      });
+      await runtime.drain();
+
+      expect(result.correlated).toEqual([{ instanceId: second.id, tokenId: expect.any(String), nodeId: 'wait' }]);
+      const completed = await runtime.workflowDatabase.getInstance(second.id);
+      expect(completed.status).toBe('COMPLETED');
+      expect(completed.processData).toEqual(expect.objectContaining({ orderId: 2, paidAmount: 40 }));
+      expect(completed.processData).not.toHaveProperty('note');
+      expect(await statusOf(first)).toBe('PAUSED');
+    });
+
+    test('are delivered once', async () => {
+      await runtime.run(PAYMENT_FLOW, { orderId: 3 });
+
+      await runtime.engine.correlateMessage('PaymentReceived', { correlationKeys: { orderId: 3 } });
+
+      await expect(runtime.engine.correlateMessage('PaymentReceived', { correlationKeys: { orderId: 3 } }))
+        .rejects.toMatchObject({ code: 'MESSAGE_NOT_CORRELATED' });
+    });
+
+    test('matching several instances are refused unless sent to all of them', async () => {
+      const first = await runtime.run(RESTOCK_FLOW);
+      const second = await runtime.run(RESTOCK_FLOW);
+
+      await expect(runtime.engine.correlateMessage('Restock')).rejects.toMatchObject({ code: 'MESSAGE_AMBIGUOUS' });
+
+      const result = await runtime.engine.correlateMessage('Restock', { all: true });
+      await runtime.drain();
+
+      expect(result.correlated.map(c => c.instanceId)).toEqual([first.id, second.id]);
+      expect([await statusOf(first), await statusOf(second)]).toEqual(['COMPLETED', 'COMPLETED']);
+    });
+
+    test('start instances of workflows with a matching message start event', async () => {
+      await workflowRepository.create(workflow('intake', [
+        { id: 'start', type: 'startProcess', data: { label: 'Order placed', trigger: 'message', messageName: 'OrderPlaced' } },
+        { id: 'end', type: 'endEvent' }
+      ], [['start', 'end']]));
+
+      const result = await runtime.engine.correlateMessage('OrderPlaced', { correlationKeys: { orderId: 9 }, variables: { total: 12 } });
+      await runtime.drain();
+
+      expect(result.correlated).toEqual([]);
+      expect(result.started).toEqual([{ instanceId: expect.any(String), workflowId: 'intake', workflowName: 'intake' }]);
+      const started = await runtime.workflowDatabase.getInstance(result.started[0].instanceId);
+      expect(started).toMatchObject({ status: 'COMPLETED', initiator: 'message:OrderPlaced', processData: { orderId: 9, total: 12 } });
+    });
+
+    test('are answered by the API with the status of their outcome', async () => {
+      const instance = await runtime.run(PAYMENT_FLOW, { orderId: 'api-1' });
+
+      await expect(post('/messages', { messageName: 'PaymentReceived', correlationKeys: { orderId: 'api-1' } }))
+        .resolves.toMatchObject({ status: 200, body: { success: true, correlated: [{ instanceId: instance.id }] } });
+      await expect(post('/messages', { messageName: 'PaymentReceived', correlationKeys: { orderId: 'api-1' } }))
+        .resolves.toMatchObject({ status: 404, body: { code: 'MESSAGE_NOT_CORRELATED' } });
+      await expect(post('/messages', {})).resolves.toMatchObject({ status: 400, body: { code: 'INVALID_MESSAGE' } });
+    });
+  });
+
+  describe('signals', () => {
+    test('continue every instance waiting for them', async () => {
+      const first = await runtime.run(SHUTDOWN_FLOW);
+      const second = await runtime.run(SHUTDOWN_FLOW);
+
+      const response = await post('/signals', { signalName: 'Shutdown', variables: { reason: 'maintenance' } });
+      await runtime.drain();
+
+      expect(response).toMatchObject({ status: 200, body: { count: 2 } });
+      for (const instance of [first, second]) {
+        const completed = await runtime.workflowDatabase.getInstance(instance.id);
+        expect(completed.status).toBe('COMPLETED');
+        expect(completed.processData.reason).toBe('maintenance');
+      }
+    });
+
+    test('without waiting instances reach nobody', async () => {
+      await expect(runtime.engine.broadcastSignal('Nobody')).resolves.toEqual({ signalName: 'Nobody', delivered: [] });
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Instance migration: waiting instances move from one workflow version to another,
+ * taking their tokens, gateway states, timers and tasks along a node mapping
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => require('./helpers/runtime').createMemoryDatabase());
+
+const { createRuntime, workflow } = require('./helpers/runtime');
+const versionManager = require('../VersionManager');
+const eventManager = require('../EventManager');
+
+// Version 1: a review with a daily reminder
+const REVIEW_V1 = workflow('claim', [
+  { id: 'start', type: 'startProcess' },
+  { id: 'review', type: 'userTask', data: { formFields: [] } },
+  { id: 'end', type: 'endEvent' },
+  { id: 'remind', type: 'boundaryEvent', data: { attachedTo: 'review', eventType: 'timer', duration: 'P1D', cancelActivity: false } },
+  { id: 'reminded', type: 'endEvent' }
+], [['start', 'review'], ['review', 'end'], ['remind', 'reminded']]);
+
+// Version 2: the review is renamed, the reminder is gone and a step follows it
+const REVIEW_V2 = workflow('claim', [
+  { id: 'start', type: 'startProcess' },
+  { id: 'approve', type: 'userTask', data: { formFields: [] } },
+  { id: 'notify', type: 'scriptTask', data: { script: 'return { notified: processData.channel || "email" };' } },
+  { id: 'end', type: 'endEvent' }
+], [['start', 'approve'], ['approve', 'notify'], ['notify', 'end']]);
+
+// Version 3: the review became a timer
+const REVIEW_V3 = workflow('claim', [
+  { id: 'start', type: 'startProcess' },
+  { id: 'review', type: 'timerEvent', data: { duration: 'PT1H' } },
+  { id: 'end', type: 'endEvent' }
+], [['start', 'review'], ['review', 'end']]);
+
+/**
+ * Two parallel checks joined at joinId
+ */
+const checksFlow = joinId => workflow('checks', [
+  { id: 'start', type: 'startProcess' },
+  { id: 'split', type: 'parallelGateway' },
+  { id: 'credit', type: 'userTask', data: { formFields: [] } },
+  { id: 'fraud', type: 'userTask', data: { formFields: [] } },
+  { id: joinId, type: 'parallelGateway' },
+  { id: 'end', type: 'endEvent' }
+], [
+  ['start', 'split'], ['split', 'credit'], ['split', 'fraud'],
+  ['credit', joinId], ['fraud', joinId], [joinId, 'end']
+]);
+
+describe('instance migration', () => {
+  let runtime;
+  let api;
+
+  const admin = { id: 'admin', groups: [] };
+  const load = id => runtime.workflowDatabase.getInstance(id);
+  const toV2 = instanceIds => ({ workflowId: 'claim', sourceVersion: 1, targetVersion: 2, nodeMapping: { review: 'approve' }, instanceIds });
+
+  beforeAll(async () => {
+    runtime = createRuntime();
+    api = await runtime.serve('/api/runtime', require('../../routes/runtime.routes'));
+
+    for (const definition of [REVIEW_V1, REVIEW_V2, REVIEW_V3, checksFlow('join'), checksFlow('merge')]) {
+      await versionManager.createVersion(definition.id, definition);
+    }
+  });
+
+  afterAll(async () => {
+    await api.close();
+    await runtime.cleanup();
+  });
+
+  test('preview where each token goes and which instances are blocked', async () => {
+    const instance = await runtime.run(REVIEW_V1, {}, 'test', 1);
+    const finished = await runtime.run(REVIEW_V1, {}, 'test', 1);
+    await runtime.completeTask(finished.id, 'review');
+
+    const preview = await runtime.engine.previewMigration(toV2([instance.id, finished.id]));
+
+    expect(preview.summary).toEqual({ total: 1, migratable: 1, blocked: 0 });
+    expect(preview.instances[0]).toMatchObject({
+      instanceId: instance.id,
+      migratable: true,
+      tokens: [expect.objectContaining({ status: 'waiting', from: 'review', to: 'approve' })]
+    });
+
+    const unmapped = await runtime.engine.previewMigration({ ...toV2([instance.id]), nodeMapping: {} });
+    expect(unmapped.instances[0].errors).toEqual([expect.stringMatching(/at review has no node review in version 2$/)]);
+    expect((await load(instance.id)).workflowVersion).toBe(1);
+  });
+
+  test('move tokens, tasks and variables to the target version and continue there', async () => {
+    const instance = await runtime.run(REVIEW_V1, {}, 'test', 1);
+
+    const migration = await runtime.engine.migrateInstances({ ...toV2([instance.id]), variables: { channel: 'sms' } }, admin);
+
+    expect(migration.summary).toEqual({ total: 1, migrated: 1, failed: 0 });
+    expect(migration.instances[0].warnings).toEqual([expect.stringContaining('of remind is cancelled: version 2 has no node remind')]);
+    await expect(runtime.timerScheduler.getInstanceTimers(instance.id)).resolves.toEqual([]);
+
+    const migrated = await load(instance.id);
+    expect(migrated.workflowVersion).toBe(2);
+    expect(versionManager.getInstanceVersion(instance.id)).toMatchObject({ version: 2 });
+    expect(migrated.executionHistory.at(-1)).toMatchObject({
+      action: 'MIGRATED',
+      result: { fromVersion: 1, toVersion: 2, variables: ['channel'], migratedBy: 'admin' }
+    });
+    expect(eventManager.getHistory(instance.id, { type: 'workflow.migrated' })).toHaveLength(1);
+
+    const completed = await runtime.completeTask(instance.id, 'approve');
+    expect(completed).toMatchObject({ status: 'COMPLETED', processData: { notified: 'sms' } });
+  });
+
+  test('carry the arrivals of a join over to its renamed node', async () => {
+    const instance = await runtime.run(checksFlow('join'), {}, 'test', 1);
+    await runtime.completeTask(instance.id, 'credit');
+
+    const migration = await runtime.engine.migrateInstances({
+      workflowId: 'checks', sourceVersion: 1, targetVersion: 2, nodeMapping: { join: 'merge' }, instanceIds: [instance.id]
+    });
+    expect(migration.instances[0].gateways).toEqual([{ from: 'join', to: 'merge' }]);
+
+    const completed = await runtime.completeTask(instance.id, 'fraud');
+    expect(completed.status).toBe('COMPLETED');
+    expect(completed.executionHistory.map(h => h.nodeId)).toContain('merge');
+  });
+
+  test('report an instance that cannot move and migrate the rest', async () => {
+    const waiting = await runtime.run(REVIEW_V2, {}, 'test', 2);
+    const running = await runtime.engine.startWorkflow(REVIEW_V2, {}, 'test', 2);
+
+    const migration = await runtime.engine.migrateInstances({
+      workflowId: 'claim', sourceVersion: 2, targetVersion: 3, nodeMapping: { approve: 'review' }, instanceIds: [waiting.id, running.id]
+    });
+
+    expect(migration.summary).toEqual({ total: 2, migrated: 0, failed: 2 });
+    const reports = Object.fromEntries(migration.instances.map(r => [r.instanceId, r]));
+    expect(reports[waiting.id].errors).toEqual([expect.stringContaining('waits at a userTask, but review is a timerEvent in version 3')]);
+    expect(reports[running.id].errors).toEqual([expect.stringContaining('Instance is RUNNING')]);
+    expect((await load(waiting.id)).workflowVersion).toBe(2);
+
+    await runtime.drain();
+  });
+
+  describe('API', () => {
+    const post = (path, body) => fetch(`${api.url}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    test('previews and migrates with a per-instance report', async () => {
+      const instance = await runtime.run(REVIEW_V1, {}, 'test', 1);
+
+      const preview = await post('/migrations/preview', toV2([instance.id]));
+      expect(preview.status).toBe(200);
+      expect((await preview.json()).summary).toMatchObject({ migratable: 1 });
+
+      const response = await post('/migrations', toV2([instance.id]));
+      expect(response.status).toBe(200);
+      expect(await response.json()).toMatchObject({ success: true, instances: [{ instanceId: instance.id, migrated: true }] });
+    });
+
+    test('rejects incomplete requests, unknown versions and unknown nodes', async () => {
+      const missing = await post('/migrations/preview', { workflowId: 'claim', sourceVersion: 1 });
+      expect(missing.status).toBe(400);
+      expect((await missing.json()).code).toBe('INVALID_MIGRATION');
+
+      expect((await post('/migrations', { ...toV2(), targetVersion: 9 })).status).toBe(404);
+      expect((await post('/migrations', { ...toV2(), targetVersion: 1 })).status).toBe(400);
+
+      const unknown = await post('/migrations', { ...toV2(), nodeMapping: { review: 'nowhere' } });
+      expect(unknown.status).toBe(400);
+      expect((await unknown.json()).error).toContain('unknown nodes: nowhere');
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Instance modification: tokens cancelled, moved or started by hand, nodes re-run
+ * and variables set, each step audited in the execution history
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => require('./helpers/runtime').createMemoryDatabase());
+
+const { createRuntime, workflow } = require('./helpers/runtime');
+
+// A check, a review, then shipping - or a rejection nobody reaches on their own
+const ORDER_FLOW = workflow('order-review', [
+  { id: 'start', type: 'startProcess' },
+  { id: 'check', type: 'scriptTask', data: { script: 'return { checks: (processData.checks || 0) + 1 };' } },
+  { id: 'review', type: 'userTask', data: { formFields: [] } },
+  { id: 'ship', type: 'scriptTask', data: { script: 'return { shipped: processData.carrier || true };' } },
+  { id: 'reject', type: 'scriptTask', data: { script: 'return { rejected: true };' } },
+  { id: 'end', type: 'endEvent' },
+  { id: 'deadline', type: 'boundaryEvent', data: { attachedTo: 'review', eventType: 'timer', duration: 'P7D' } }
+], [['start', 'check'], ['check', 'review'], ['review', 'ship'], ['ship', 'end'], ['reject', 'end'], ['deadline', 'reject']]);
+
+// A charge that always fails, and a manual fallback
+const CHARGE_FLOW = workflow('charge-card', [
+  { id: 'start', type: 'startProcess' },
+  { id: 'charge', type: 'scriptTask', data: { script: 'throw new Error("Gateway down");' } },
+  { id: 'manual', type: 'scriptTask', data: { script: 'return { chargedBy: "manual" };' } },
+  { id: 'end', type: 'endEvent' }
+], [['start', 'charge'], ['charge', 'end'], ['manual', 'end']]);
+
+describe('instance modification', () => {
+  let runtime;
+  let api;
+
+  const admin = { id: 'admin', groups: [] };
+  const load = id => runtime.workflowDatabase.getInstance(id);
+  const historyOf = (instance, action) => instance.executionHistory.filter(h => h.action === action);
+  const openTasks = instanceId => runtime.engine.taskService.listTasks({ instanceId });
+
+  /**
+   * Modify an instance and run the jobs it queues
+   */
+  async function modify(instanceId, operations, reason) {
+    const result = await runtime.engine.modifyInstance(instanceId, { operations, reason }, admin);
+    await runtime.drain();
+    return result;
+  }
+
+  beforeAll(async () => {
+    runtime = createRuntime();
+    api = await runtime.serve('/api/runtime', require('../../routes/runtime.routes'));
+  });
+
+  afterAll(async () => {
+    await api.close();
+    await runtime.cleanup();
+  });
+
+  test('move a waiting token to another node, releasing its task and timers', async () => {
+    const instance = await runtime.run(ORDER_FLOW);
+    const [token] = instance.tokens;
+
+    const { operations } = await modify(instance.id, [{ type: 'move', nodeId: 'review', toNodeId: 'reject' }], 'Customer withdrew');
+
+    expect(operations).toEqual([{ type: 'move', tokens: [{ tokenId: token.id, from: 'review', to: 'reject' }] }]);
+    const moved = await load(instance.id);
+    expect(moved).toMatchObject({ status: 'COMPLETED', processData: { rejected: true } });
+    expect(moved.processData).not.toHaveProperty('shipped');
+    expect(historyOf(moved, 'TOKEN_MOVED')).toEqual([expect.objectContaining({
+      nodeId: 'review',
+      tokenId: token.id,
+      result: { from: 'review', to: 'reject', reason: 'Customer withdrew', modifiedBy: 'admin' }
+    })]);
+    expect(await openTasks(instance.id)).toEqual([]);
+    await expect(runtime.timerScheduler.getInstanceTimers(instance.id)).resolves.toEqual([]);
+    expect(runtime.engine.distributedLockManager.activeLocks.has(`instance_${instance.id}`)).toBe(false);
+  });
+
+  test('cancel a token and re-run a node the instance already ran', async () => {
+    const instance = await runtime.run(ORDER_FLOW);
+    const [firstTask] = await openTasks(instance.id);
+
+    await modify(instance.id, [{ type: 'cancel', nodeId: 'review' }, { type: 'rerun', nodeId: 'check' }], 'Stock changed');
+
+    const rerun = await load(instance.id);
+    expect(rerun.status).toBe('PAUSED');
+    expect(rerun.processData.checks).toBe(2);
+    expect(historyOf(rerun, 'TOKEN_CANCELLED')).toHaveLength(1);
+    expect(historyOf(rerun, 'NODE_RERUN')).toEqual([expect.objectContaining({ nodeId: 'check', result: { reason: 'Stock changed', modifiedBy: 'admin' } })]);
+    const tasks = await openTasks(instance.id);
+    expect(tasks).toHaveLength(1);
+    expect(tasks[0].id).not.toBe(firstTask.id);
+  });
+
+  test('set variables and start a token at a node next to the waiting one', async () => {
+    const instance = await runtime.run(ORDER_FLOW);
+
+    await modify(instance.id, [{ type: 'setVariables', variables: { carrier: 'express' } }, { type: 'start', nodeId: 'ship' }]);
+
+    const started = await load(instance.id);
+    expect(started.status).toBe('PAUSED');
+    expect(started.processData).toMatchObject({ carrier: 'express', shipped: 'express' });
+    expect(historyOf(started, 'VARIABLES_SET')[0].result).toMatchObject({ variables: ['carrier'], modifiedBy: 'admin' });
+    expect(historyOf(started, 'TOKEN_STARTED').map(h => h.nodeId)).toEqual(['ship']);
+    expect(await openTasks(instance.id)).toHaveLength(1);
+  });
+
+  test('cancelling the last open token completes the instance', async () => {
+    const instance = await runtime.run(ORDER_FLOW);
+
+    await modify(instance.id, [{ type: 'cancel', tokenId: instance.tokens[0].id }]);
+
+    expect((await load(instance.id)).status).toBe('COMPLETED');
+  });
+
+  test('moving the failed token of a failed instance runs it again', async () => {
+    const instance = await runtime.run(CHARGE_FLOW);
+    expect(instance.status).toBe('FAILED');
+
+    await modify(instance.id, [{ type: 'move', nodeId: 'charge', toNodeId: 'manual' }]);
+
+    expect(await load(instance.id)).toMatchObject({ status: 'COMPLETED', error: null, processData: { chargedBy: 'manual' } });
+  });
+
+  test('check every operation before applying any', async () => {
+    const instance = await runtime.run(ORDER_FLOW);
+
+    const rejected = (operations, message) => expect(runtime.engine.modifyInstance(instance.id, { operations }))
+      .rejects.toMatchObject({ code: 'INVALID_MODIFICATION', message: expect.stringContaining(message) });
+
+    await rejected([], 'At least one operation is required');
+    await rejected([{ type: 'skip', nodeId: 'review' }], 'Unknown modification type: skip');
+    await rejected([{ type: 'setVariables', variables: { carrier: 'post' } }, { type: 'rerun', nodeId: 'ship' }], 'has not run');
+    await rejected([{ type: 'start', nodeId: 'deadline' }], 'Cannot start at boundary event deadline');
+    await rejected([{ type: 'move', nodeId: 'ship', toNodeId: 'reject' }], 'No open token at node ship');
+
+    const unchanged = await load(instance.id);
+    expect(unchanged.processData).not.toHaveProperty('carrier');
+    expect(unchanged.tokens[0]).toMatchObject({ position: 'review', status: 'waiting' });
+  });
+
+  describe('API', () => {
+    const post = (id, body) => fetch(`${api.url}/instance/${id}/modify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    test('applies operations and reports them', async () => {
+      const instance = await runtime.run(ORDER_FLOW);
+
+      const response = await post(instance.id, { operations: [{ type: 'setVariables', variables: { note: 'called' } }] });
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toMatchObject({
+        success: true,
+        instance: { processData: { note: 'called' } },
+        operations: [{ type: 'setVariables', variables: ['note'] }]
+      });
+    });
+
+    test('rejects invalid operations, ended instances and unknown instances', async () => {
+      const instance = await runtime.run(ORDER_FLOW);
+      const invalid = await post(instance.id, { operations: [{ type: 'start', nodeId: 'nowhere' }] });
+      expect(invalid.status).toBe(400);
+      expect((await invalid.json()).code).toBe('INVALID_MODIFICATION');
+
+      const failedCharge = await runtime.run(CHARGE_FLOW);
+      await modify(failedCharge.id, [{ type: 'move', nodeId: 'charge', toNodeId: 'manual' }]);
+      expect((await post(failedCharge.id, { operations: [{ type: 'start', nodeId: 'manual' }] })).status).toBe(409);
+
+      expect((await post('missing', { operations: [{ type: 'start', nodeId: 'ship' }] })).status).toBe(404);
+    });
+  });
+});
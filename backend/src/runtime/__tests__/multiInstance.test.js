@@ -0,0 +1,159 @@
+/**
+ * Multi-instance activities: one iteration per collection item, run in parallel or
+ * one after another, with their outputs collected and an optional completion condition
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => require('./helpers/runtime').createMemoryDatabase());
+
+const { createRuntime, workflow } = require('./helpers/runtime');
+
+/**
+ * Workflow running one multi-instance activity, then ending
+ */
+function loopFlow(id, node, extraNodes = [], extraConnections = []) {
+  return workflow(id, [
+    { id: 'start', type: 'startProcess' },
+    { id: 'each', ...node },
+    { id: 'end', type: 'endEvent' },
+    ...extraNodes
+  ], [['start', 'each'], ['each', 'end'], ...extraConnections]);
+}
+
+// Prices each line item
+const PRICE_SCRIPT = { type: 'scriptTask', data: { script: 'return { price: processData.line.qty * 2, seen: processData.loopCounter };' } };
+
+// Asks each reviewer for an approval
+const REVIEW_TASK = { type: 'userTask', data: { formFields: [{ name: 'approved', type: 'boolean', required: true }] } };
+
+describe('multi-instance activities', () => {
+  let runtime;
+
+  const user = { id: 'tester', groups: [] };
+  const openTasks = instanceId => runtime.engine.taskService.listTasks({ instanceId });
+
+  /**
+   * Complete an open task by its position in the open task list
+   */
+  async function complete(instanceId, position, data) {
+    const task = (await openTasks(instanceId))[position];
+    await runtime.engine.taskService.claim(task.id, user);
+    await runtime.engine.completeUserTask(task.id, data, user);
+    await runtime.drain();
+    return runtime.workflowDatabase.getInstance(instanceId);
+  }
+
+  beforeAll(() => {
+    runtime = createRuntime();
+  });
+
+  afterAll(async () => {
+    await runtime.cleanup();
+  });
+
+  test('run one parallel iteration per item and collect their outputs in item order', async () => {
+    const instance = await runtime.run(loopFlow('pricing', {
+      ...PRICE_SCRIPT,
+      data: { ...PRICE_SCRIPT.data, multiInstance: { collection: 'lines', elementVariable: 'line', outputVariable: 'price', resultVariable: 'prices' } }
+    }), { lines: [{ qty: 1 }, { qty: 5 }, { qty: 3 }] });
+
+    expect(instance.status).toBe('COMPLETED');
+    expect(instance.processData.prices).toEqual([2, 10, 6]);
+    expect(instance.processData).not.toHaveProperty('line');
+    expect(instance.processData).not.toHaveProperty('loopCounter');
+    expect(instance.executionHistory.filter(h => h.action === 'ITERATION_COMPLETED')).toHaveLength(3);
+    expect(instance.executionHistory.find(h => h.action === 'MULTI_INSTANCE_COMPLETED').result)
+      .toEqual({ instances: 3, completed: 3, cancelled: 0, conditionMet: false, resultVariable: 'prices' });
+  });
+
+  test('keep the whole output of each iteration without an output variable', async () => {
+    const instance = await runtime.run(loopFlow('counting', {
+      ...PRICE_SCRIPT,
+      data: { ...PRICE_SCRIPT.data, multiInstance: { loopCardinality: '2', elementVariable: 'n' } }
+    }), { line: { qty: 4 } });
+
+    expect(instance.processData.multiInstanceResults).toEqual([{ price: 8, seen: 0 }, { price: 8, seen: 1 }]);
+  });
+
+  test('continue at once when the collection is empty', async () => {
+    const instance = await runtime.run(loopFlow('nothing', {
+      ...PRICE_SCRIPT,
+      data: { ...PRICE_SCRIPT.data, multiInstance: { collection: 'lines', elementVariable: 'line' } }
+    }), { lines: [] });
+
+    expect(instance.status).toBe('COMPLETED');
+    expect(instance.processData.multiInstanceResults).toEqual([]);
+  });
+
+  test('fail the instance when the collection is not a list', async () => {
+    const instance = await runtime.run(loopFlow('not-a-list', {
+      ...PRICE_SCRIPT,
+      data: { ...PRICE_SCRIPT.data, multiInstance: { collection: 'lines', elementVariable: 'line' } }
+    }), { lines: 'a, b' });
+
+    expect(instance.status).toBe('FAILED');
+    expect(instance.error).toContain('is not a list');
+  });
+
+  test('open one task at a time when sequential', async () => {
+    const flow = loopFlow('sequential-review', {
+      ...REVIEW_TASK,
+      data: { ...REVIEW_TASK.data, multiInstance: { mode: 'sequential', collection: 'reviewers', elementVariable: 'reviewer', outputVariable: 'approved' } }
+    });
+    const instance = await runtime.run(flow, { reviewers: ['ana', 'lee'] });
+
+    expect(await openTasks(instance.id)).toHaveLength(1);
+    await complete(instance.id, 0, { approved: true });
+    expect(await openTasks(instance.id)).toHaveLength(1);
+
+    const completed = await complete(instance.id, 0, { approved: false });
+
+    expect(completed.status).toBe('COMPLETED');
+    expect(completed.processData.multiInstanceResults).toEqual([true, false]);
+  });
+
+  test('end parallel iterations early once the completion condition holds', async () => {
+    const flow = loopFlow('two-of-three', {
+      ...REVIEW_TASK,
+      data: {
+        ...REVIEW_TASK.data,
+        multiInstance: {
+          collection: 'reviewers',
+          elementVariable: 'reviewer',
+          outputVariable: 'approved',
+          resultVariable: 'approvals',
+          completionCondition: 'count(results, true) >= 2'
+        }
+      }
+    });
+    const instance = await runtime.run(flow, { reviewers: ['ana', 'lee', 'kim'] });
+    expect(await openTasks(instance.id)).toHaveLength(3);
+
+    await complete(instance.id, 2, { approved: true });
+    const completed = await complete(instance.id, 0, { approved: true });
+
+    expect(completed.status).toBe('COMPLETED');
+    expect(completed.processData.approvals).toEqual([true, null, true]);
+    expect(completed.executionHistory.find(h => h.action === 'MULTI_INSTANCE_COMPLETED').result)
+      .toMatchObject({ completed: 2, cancelled: 1, conditionMet: true });
+    expect((await runtime.engine.taskService.listTasks({ instanceId: instance.id, status: 'all' })).map(t => t.status).sort())
+      .toEqual(['CANCELLED', 'COMPLETED', 'COMPLETED']);
+  });
+
+  test('end every iteration when an interrupting boundary fires', async () => {
+    const flow = loopFlow('deadline', {
+      ...REVIEW_TASK,
+      data: { ...REVIEW_TASK.data, multiInstance: { collection: 'reviewers', elementVariable: 'reviewer' } }
+    }, [
+      { id: 'deadline', type: 'boundaryEvent', data: { attachedTo: 'each', eventType: 'timer', duration: 'P1D' } },
+      { id: 'expired', type: 'endEvent' }
+    ], [['deadline', 'expired']]);
+    const instance = await runtime.run(flow, { reviewers: ['ana', 'lee'] });
+
+    await runtime.fireTimers(instance.id, 'deadline');
+
+    const expired = await runtime.workflowDatabase.getInstance(instance.id);
+    expect(expired.status).toBe('COMPLETED');
+    expect(expired.executionHistory.map(h => h.nodeId)).toContain('expired');
+    expect(await openTasks(instance.id)).toEqual([]);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Timer catch events: tokens wait for their stored timer, and cancelling it moves them on
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => require('./helpers/runtime').createMemoryDatabase());
+
+const { createRuntime, workflow } = require('./helpers/runtime');
+
+const WAIT_FLOW = workflow('wait-flow', [
+  { id: 'start', type: 'startProcess' },
+  { id: 'wait', type: 'timerEvent', data: { label: 'Wait', duration: 'PT1H' } },
+  { id: 'end', type: 'endEvent' }
+], [['start', 'wait'], ['wait', 'end']]);
+
+describe('timer catch events', () => {
+  let runtime;
+
+  beforeAll(() => {
+    runtime = createRuntime();
+  });
+
+  afterAll(async () => {
+    await runtime.cleanup();
+  });
+
+  test('park the token until the timer fires', async () => {
+    const instance = await runtime.run(WAIT_FLOW);
+
+    expect(instance.status).toBe('PAUSED');
+    const timers = await runtime.timerScheduler.getInstanceTimers(instance.id);
+    expect(timers).toEqual([expect.objectContaining({ nodeId: 'wait', kind: 'catch', status: 'SCHEDULED' })]);
+
+    await runtime.fireTimers(instance.id);
+
+    const completed = await runtime.workflowDatabase.getInstance(instance.id);
+    expect(completed.status).toBe('COMPLETED');
+    expect(completed.executionHistory.map(h => h.action)).toContain('TIMER_FIRED');
+    await expect(runtime.timerScheduler.getInstanceTimers(instance.id)).resolves.toEqual([]);
+  });
+
+  test('move the token on when their timer is cancelled', async () => {
+    const instance = await runtime.run(WAIT_FLOW);
+    const [timer] = await runtime.timerScheduler.getInstanceTimers(instance.id);
+
+    const cancelled = await runtime.engine.cancelTimer(instance.id, timer.id, 'No need to wait', { id: 'alice' });
+    await runtime.drain();
+
+    expect(cancelled).toMatchObject({ id: timer.id, status: 'CANCELLED' });
+    const completed = await runtime.workflowDatabase.getInstance(instance.id);
+    expect(completed.status).toBe('COMPLETED');
+    expect(completed.executionHistory.find(h => h.action === 'TIMER_CANCELLED'))
+      .toMatchObject({ nodeId: 'wait', result: { timerId: timer.id, reason: 'No need to wait', cancelledBy: 'alice' } });
+    await expect(runtime.workflowDatabase.getTimer(timer.id)).resolves.toBeNull();
+  });
+
+  test('only cancel timers of the given instance', async () => {
+    const first = await runtime.run(WAIT_FLOW);
+    const second = await runtime.run(WAIT_FLOW);
+    const [timer] = await runtime.timerScheduler.getInstanceTimers(first.id);
+
+    await expect(runtime.engine.cancelTimer(second.id, timer.id)).resolves.toBeNull();
+    await expect(runtime.timerScheduler.getTimer(timer.id)).resolves.toMatchObject({ status: 'SCHEDULED' });
+  });
+});
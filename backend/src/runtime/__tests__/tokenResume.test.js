@@ -0,0 +1,92 @@
+/**
+ * Resuming parked tokens: task completion, timers and recovery continue the waiting
+ * token through the gateway-aware engine, so joins behind a pause still work
+ */
+
+jest.mock('../../database/WorkflowDatabase', () => require('./helpers/runtime').createMemoryDatabase());
+
+const { createRuntime, workflow } = require('./helpers/runtime');
+
+// A human task and a timer in parallel branches, joined before the end
+const PARALLEL_FLOW = workflow('parallel-flow', [
+  { id: 'start', type: 'startProcess' },
+  { id: 'split', type: 'parallelGateway' },
+  { id: 'review', type: 'userTask', data: { label: 'Review', formFields: [{ name: 'approved', type: 'boolean' }] } },
+  { id: 'wait', type: 'timerEvent', data: { label: 'Wait', duration: 'PT1H' } },
+  { id: 'join', type: 'parallelGateway' },
+  { id: 'end', type: 'endEvent' }
+], [['start', 'split'], ['split', 'review'], ['split', 'wait'], ['review', 'join'], ['wait', 'join'], ['join', 'end']]);
+
+describe('resuming parked tokens', () => {
+  let runtime;
+
+  beforeAll(() => {
+    runtime = createRuntime();
+  });
+
+  afterAll(async () => {
+    await runtime.cleanup();
+  });
+
+  test('a completed task continues its own token and waits at the join for the other branch', async () => {
+    const instance = await runtime.run(PARALLEL_FLOW);
+
+    expect(instance.status).toBe('PAUSED');
+    expect(instance.tokens.filter(t => t.status === 'waiting').map(t => t.position).sort()).toEqual(['review', 'wait']);
+
+    const afterTask = await runtime.completeTask(instance.id, 'review', { approved: true });
+
+    expect(afterTask.status).toBe('PAUSED');
+    expect(afterTask.processData.approved).toBe(true);
+    expect(afterTask.tokens.filter(t => t.status === 'waiting').map(t => `${t.waitingFor}@${t.position}`).sort())
+      .toEqual(['join@join', 'timerEvent@wait']);
+
+    await runtime.fireTimers(instance.id);
+
+    const completed = await runtime.workflowDatabase.getInstance(instance.id);
+    expect(completed.status).toBe('COMPLETED');
+    const joins = completed.executionHistory.filter(h => h.nodeId === 'join' && h.action === 'GATEWAY');
+    expect(joins.map(h => h.result.type)).toEqual(['wait', 'join']);
+    expect(completed.executionHistory.filter(h => h.nodeId === 'end')).toHaveLength(1);
+  });
+
+  test('the join completes the same way when the timer fires first', async () => {
+    const instance = await runtime.run(PARALLEL_FLOW);
+
+    await runtime.fireTimers(instance.id);
+    expect((await runtime.workflowDatabase.getInstance(instance.id)).status).toBe('PAUSED');
+
+    const completed = await runtime.completeTask(instance.id, 'review', { approved: false });
+
+    expect(completed.status).toBe('COMPLETED');
+    expect(completed.processData.approved).toBe(false);
+  });
+
+  test('a recovered instance continues its failed token through the join', async () => {
+    const flow = workflow('recover-flow', [
+      { id: 'start', type: 'startProcess' },
+      { id: 'split', type: 'parallelGateway' },
+      { id: 'check', type: 'scriptTask', data: { script: 'if (!processData.ready) { throw new Error("not ready"); } return { checked: true };' } },
+      { id: 'review', type: 'userTask', data: { formFields: [] } },
+      { id: 'join', type: 'parallelGateway' },
+      { id: 'end', type: 'endEvent' }
+    ], [['start', 'split'], ['split', 'check'], ['split', 'review'], ['check', 'join'], ['review', 'join'], ['join', 'end']]);
+
+    const instance = await runtime.run(flow);
+    expect(instance.status).toBe('FAILED');
+
+    // The operator fixes the data the script needs, then recovers the instance
+    instance.processData.ready = true;
+    await runtime.workflowDatabase.saveInstance(instance);
+    await runtime.engine.recoverInstance(instance.id);
+    await runtime.drain();
+
+    const recovered = await runtime.workflowDatabase.getInstance(instance.id);
+    expect(recovered.status).toBe('PAUSED');
+    expect(recovered.processData.checked).toBe(true);
+
+    const completed = await runtime.completeTask(instance.id, 'review');
+    expect(completed.status).toBe('COMPLETED');
+    expect(completed.executionHistory.filter(h => h.nodeId === 'end')).toHaveLength(1);
+  });
+});
@@ -4,8 +4,18 @@
  */
 
 const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
 const formDatabase = require('../../database/FormDatabase');
+const timerScheduler = require('../TimerScheduler');
+const scriptSandbox = require('../ScriptSandbox');
+const decisionEngine = require('../DecisionEngine');
+const ruleEngine = require('../RuleEngine');
+const ruleDatabase = require('../../database/RuleDatabase');
+const connectorRegistry = require('../ConnectorRegistry');
+const credentialVault = require('../CredentialVault');
+const notificationService = require('../NotificationService');
 const Anthropic = require('@anthropic-ai/sdk');
+const { codedError } = require('../errors');
 
 class ExecutionAgent {
   constructor() {
@@ -70,10 +80,30 @@ class ExecutionAgent {
           result.status = 'WAITING';
           break;
 
+        case 'messageEvent':
+          result.output = await this.executeMessageEvent(node, instance);
+          result.status = 'WAITING'; // Wait for a correlated message
+          break;
+
+        case 'signalEvent':
+          result.output = await this.executeSignalEvent(node, instance);
+          result.status = 'WAITING'; // Wait for a broadcast signal
+          break;
+
         case 'llmTask':
           result.output = await this.executeLLMTask(node, instance);
           break;
 
+        case 'callActivity':
+          result.output = await this.executeCallActivity(node, instance);
+          result.status = 'WAITING'; // Wait for the child instance
+          break;
+
+        case 'compensationEvent':
+          result.output = await this.executeCompensationEvent(node, instance);
+          result.status = 'WAITING'; // Wait for the compensation handlers
+          break;
+
         case 'endEvent':
           result.output = await this.executeEndEvent(node, instance);
           break;
@@ -82,13 +112,17 @@ class ExecutionAgent {
           result.output = { message: `No handler for node type: ${node.type}` };
       }
 
+      // Resolved credentials never reach process data, history or events
+      result.output = credentialVault.redact(result.output);
+
       console.log(`[ExecutionAgent] ${node.id} completed with status: ${result.status}`);
       return result;
 
     } catch (error) {
-      console.error(`[ExecutionAgent] Error executing ${node.id}:`, error);
+      console.error(`[ExecutionAgent] Error executing ${node.id}:`, credentialVault.redact(error.message));
       result.status = 'FAILED';
-      result.error = error.message;
+      result.error = credentialVault.redact(error.message);
+      result.errorCode = error.code || null; // Matched by error boundary events
       return result;
     }
   }
@@ -128,6 +162,26 @@ class ExecutionAgent {
    */
   async executeUserTask(node, instance) {
     const taskData = node.data || {};
+    const { formMetadata, fields } = await this.resolveTaskForm(node);
+
+    return {
+      taskId: uuidv4(),
+      taskName: taskData.label || taskData.taskName || 'User Task',
+      assignedTo: taskData.assignedTo || 'unassigned',
+      priority: taskData.priority || 'medium',
+      instructions: taskData.instructions || taskData.description,
+      formRequired: true,
+      formMetadata: formMetadata, // Include form metadata for UI rendering
+      fields,
+      status: 'PENDING'
+    };
+  }
+
+  /**
+   * Resolve the form of a user task and the fields a submission is validated against
+   */
+  async resolveTaskForm(node) {
+    const taskData = node.data || {};
 
     // Try to fetch form metadata if formId is attached
     let formMetadata = null;
@@ -146,15 +200,8 @@ class ExecutionAgent {
     }
 
     return {
-      taskId: `task_${Date.now()}`,
-      taskName: taskData.label || taskData.taskName || 'User Task',
-      assignedTo: taskData.assignedTo || 'unassigned',
-      priority: taskData.priority || 'medium',
-      instructions: taskData.instructions || taskData.description,
-      formRequired: true,
-      formMetadata: formMetadata, // Include form metadata for UI rendering
-      fields: formMetadata?.fields || this.generateFormFields(taskData),
-      status: 'PENDING'
+      formMetadata,
+      fields: formMetadata?.fields || this.generateFormFields(taskData)
     };
   }
 
@@ -177,14 +224,15 @@ class ExecutionAgent {
     const scriptType = taskData.scriptType || 'javascript';
 
     if (scriptType.toLowerCase() === 'javascript') {
-      // Sandboxed execution (in production, use vm2 or workers)
+      // Isolated vm context in a worker thread with CPU-time and memory limits
       try {
         const script = taskData.script || 'return { executed: true };';
-        const fn = new Function('processData', script);
-        const result = fn(instance.processData);
-        return result;
+        return await scriptSandbox.run(script, instance.processData, {
+          timeout: taskData.scriptTimeout,
+          memoryLimitMb: taskData.scriptMemoryLimit
+        });
       } catch (error) {
-        throw new Error(`Script execution failed: ${error.message}`);
+        throw codedError(`Script execution failed: ${error.message}`, error.code);
       }
     }
 
@@ -192,11 +240,26 @@ class ExecutionAgent {
   }
 
   /**
-   * Execute service task - calls external API
+   * Execute service task - runs its connector, or calls the legacy apiConfig endpoint
+   * {{ secrets.name }} references are resolved from the credential vault only here
    */
   async executeServiceTask(node, instance) {
     const taskData = node.data || {};
-    const apiConfig = taskData.apiConfig || {};
+
+    if (taskData.connector) {
+      const secrets = await credentialVault.resolveReferences(taskData.connectorConfig);
+      return await connectorRegistry.execute(node, instance, secrets);
+    }
+
+    let apiConfig = taskData.apiConfig || {};
+
+    const secrets = await credentialVault.resolveReferences(apiConfig);
+    if (Object.keys(secrets).length > 0) {
+      apiConfig = connectorRegistry.renderTemplate(apiConfig, {
+        processData: instance.processData,
+        variables: { secrets }
+      });
+    }
 
     if (apiConfig.url) {
       try {
@@ -213,7 +276,8 @@ class ExecutionAgent {
           status: response.status
         };
       } catch (error) {
-        throw new Error(`API call failed: ${error.message}`);
+        // HTTP_404, HTTP_500, ... or the network error code (ECONNREFUSED)
+        throw codedError(`API call failed: ${error.message}`, error.response ? `HTTP_${error.response.status}` : error.code);
       }
     }
 
@@ -221,35 +285,102 @@ class ExecutionAgent {
   }
 
   /**
-   * Execute send task - sends notification
+   * Execute send task - delivers the notification through its channel
+   * Subject, message and recipient use ${...} substitution; a stored template fills in what the node leaves empty
+   * Delivery failures are recorded and only fail the step when failOnError is set
    */
   async executeSendTask(node, instance) {
     const taskData = node.data || {};
+    const template = taskData.templateId ? await notificationService.getTemplate(taskData.templateId) : null;
+    const render = text => this.substituteVariables(String(text ?? ''), instance.processData);
+
+    // Webhook targets may hold credentials ({{ secrets.slackWebhook }})
+    const secrets = await credentialVault.resolveReferences({ url: taskData.webhookUrl, headers: taskData.webhookHeaders });
+    const target = connectorRegistry.renderTemplate(
+      { url: taskData.webhookUrl, headers: taskData.webhookHeaders },
+      { processData: instance.processData, variables: { secrets } }
+    );
+
+    const body = render(taskData.message || template?.body || taskData.description || '');
+
+    const delivery = await notificationService.send({
+      channel: taskData.channel || template?.channel || 'email',
+      recipients: render(taskData.recipient || template?.recipient || instance.initiator),
+      subject: render(taskData.subject || template?.subject || 'Workflow Notification'),
+      body,
+      format: taskData.format || template?.format || 'text',
+      url: target.url,
+      headers: target.headers,
+      instanceId: instance.id,
+      nodeId: node.id
+    });
+
+    // Delivery status is kept on the instance (latest 100)
+    instance.notifications = [...(instance.notifications || []), delivery].slice(-100);
+
+    if (delivery.status === 'FAILED' && taskData.failOnError) {
+      throw codedError(`Notification failed: ${delivery.error}`, delivery.errorCode);
+    }
 
     return {
-      notificationSent: true,
-      channel: taskData.channel || 'email',
-      recipient: taskData.recipient || instance.initiator,
-      subject: taskData.subject || 'Workflow Notification',
-      message: taskData.message || taskData.description
+      notificationSent: delivery.status === 'SENT',
+      notificationId: delivery.id,
+      channel: delivery.channel,
+      recipient: delivery.recipients.join(', '),
+      subject: delivery.subject,
+      message: body
     };
   }
 
   /**
    * Execute business rule task
+   * A referenced decision table (decisionId) writes its outputs back as variables -
+   * under resultVariable when set, otherwise one variable per output. Otherwise
+   * data.rules (inline or stored rules) are evaluated and their actions set variables.
    */
   async executeBusinessRuleTask(node, instance) {
     const taskData = node.data || {};
-    const rules = taskData.rules || [];
+    const decisionId = taskData.decisionId || taskData.decisionRef;
+    const context = { processData: instance.processData };
+
+    if (decisionId) {
+      const decision = await decisionEngine.getDecision(decisionId);
+      const evaluation = decisionEngine.evaluate(decision, context);
+      const output = taskData.resultVariable
+        ? { [taskData.resultVariable]: evaluation.result }
+        : decisionEngine.toVariables(decision, evaluation);
+
+      // Validation steps pass when a rule of their table matched
+      return node.type === 'validation'
+        ? { ...output, validationPassed: evaluation.matchedRules.length > 0 }
+        : output;
+    }
+
+    // Rules are inline ({ name, condition }) or references to stored rules by ID
+    const rules = [];
+    const skipped = [];
+    for (const entry of taskData.rules || []) {
+      if (entry.condition || entry.expression || entry.conditions) {
+        rules.push(entry);
+        continue;
+      }
 
-    const validationResults = rules.map(rule => ({
-      rule: rule.name || rule,
-      passed: true // Simplified - should evaluate actual rules
-    }));
+      const ruleId = typeof entry === 'string' ? entry : entry.id;
+      const stored = await ruleDatabase.getRule(ruleId);
+      if (stored) {
+        rules.push(stored);
+      } else {
+        console.warn(`[ExecutionAgent] Rule ${ruleId} on ${node.id} not found - skipped`);
+        skipped.push({ ruleId, rule: entry.name || ruleId, passed: null, skipped: true });
+      }
+    }
+
+    const evaluation = ruleEngine.evaluateRules(rules, context);
 
     return {
-      validationPassed: validationResults.every(r => r.passed),
-      results: validationResults
+      ...evaluation.variables,
+      validationPassed: evaluation.validationPassed,
+      results: [...evaluation.results, ...skipped]
     };
   }
 
@@ -272,11 +403,73 @@ class ExecutionAgent {
    */
   async executeTimerEvent(node, instance) {
     const taskData = node.data || {};
+    const expression = taskData.duration || taskData.timerDefinition || '1h';
+
+    // Validates the expression; the engine schedules the durable timer
+    const schedule = timerScheduler.parseExpression(expression);
 
     return {
       timerSet: true,
-      duration: taskData.duration || '1h',
-      waitUntil: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      timerType: schedule.type,
+      duration: expression,
+      waitUntil: schedule.dueAt.toISOString()
+    };
+  }
+
+  /**
+   * Execute intermediate message catch event
+   */
+  async executeMessageEvent(node, instance) {
+    const messageName = node.data?.messageName;
+
+    if (!messageName) {
+      throw new Error('Message event has no message name (messageName)');
+    }
+
+    // The engine subscribes the parked token with its resolved correlation keys
+    return { messageName };
+  }
+
+  /**
+   * Execute intermediate signal catch event
+   */
+  async executeSignalEvent(node, instance) {
+    const signalName = node.data?.signalName;
+
+    if (!signalName) {
+      throw new Error('Signal event has no signal name (signalName)');
+    }
+
+    return { signalName };
+  }
+
+  /**
+   * Execute call activity
+   */
+  async executeCallActivity(node, instance) {
+    const taskData = node.data || {};
+    const calledWorkflowId = taskData.calledWorkflowId || taskData.calledElement;
+
+    if (!calledWorkflowId) {
+      throw new Error('Call activity has no called workflow (calledWorkflowId)');
+    }
+
+    const version = parseInt(taskData.calledVersion ?? taskData.version, 10);
+
+    // The engine starts the child instance and parks the token until it ends
+    return {
+      calledWorkflowId,
+      calledVersion: Number.isNaN(version) ? null : version
+    };
+  }
+
+  /**
+   * Execute compensation throw event
+   */
+  async executeCompensationEvent(node, instance) {
+    // The engine runs the handlers of completed activities (all, or only activityRef)
+    return {
+      activityRef: node.data?.activityRef || null
     };
   }
 
@@ -331,7 +524,7 @@ class ExecutionAgent {
 
     } catch (error) {
       console.error('[ExecutionAgent] LLM task failed:', error);
-      throw new Error(`LLM task failed: ${error.message}`);
+      throw codedError(`LLM task failed: ${error.message}`, error.code || 'LLM_ERROR');
     }
   }
 
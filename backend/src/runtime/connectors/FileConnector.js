@@ -0,0 +1,150 @@
+/**
+ * File Connector
+ * Reads and writes files under a base directory (CONNECTOR_FILES_DIR, default data/files)
+ * Paths are resolved inside the base directory - anything escaping it, also through
+ * a symlink, is refused
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { codedError } = require('../errors');
+
+const FILES_DIR = path.resolve(process.env.CONNECTOR_FILES_DIR || path.join(__dirname, '../../../data/files'));
+const OPERATIONS = ['read', 'write', 'append', 'delete', 'exists', 'list'];
+
+/**
+ * Whether a path is the directory or inside it
+ */
+function isInside(directory, target) {
+  return target === directory || target.startsWith(directory + path.sep);
+}
+
+class FileConnector {
+  constructor() {
+    this.type = 'file';
+    this.name = 'Local File';
+    this.description = 'Read, write or list files in the connector files directory';
+    this.configSchema = [
+      { name: 'operation', label: 'Operation', type: 'select', options: OPERATIONS, default: 'read' },
+      { name: 'path', label: 'Path', type: 'text', required: true, placeholder: 'exports/{{ orderId }}.json' },
+      { name: 'format', label: 'Format', type: 'select', options: ['text', 'json'], default: 'text' },
+      { name: 'content', label: 'Content (write/append)', type: 'json' },
+      { name: 'encoding', label: 'Encoding', type: 'text', default: 'utf8' }
+    ];
+  }
+
+  /**
+   * Run a file operation
+   * @returns {Object} path plus content (read), bytes (write/append), exists or files (list)
+   */
+  async execute(config) {
+    const operation = config.operation || 'read';
+    if (!OPERATIONS.includes(operation)) {
+      throw codedError(`Unsupported operation ${operation} (one of: ${OPERATIONS.join(', ')})`, 'INVALID_CONNECTOR_CONFIG');
+    }
+
+    const filePath = await this.resolvePath(config.path);
+    const relativePath = path.relative(FILES_DIR, filePath);
+    const encoding = config.encoding || 'utf8';
+
+    try {
+      switch (operation) {
+        case 'read': {
+          const text = await fs.readFile(filePath, encoding);
+          return { path: relativePath, content: config.format === 'json' ? JSON.parse(text) : text };
+        }
+
+        case 'write':
+        case 'append': {
+          const text = this.serialize(config.content, config.format);
+          await fs.mkdir(path.dirname(filePath), { recursive: true });
+          await (operation === 'write' ? fs.writeFile : fs.appendFile)(filePath, text, encoding);
+          return { path: relativePath, bytes: Buffer.byteLength(text, encoding) };
+        }
+
+        case 'delete':
+          await fs.unlink(filePath);
+          return { path: relativePath, deleted: true };
+
+        case 'exists':
+          try {
+            await fs.access(filePath);
+            return { path: relativePath, exists: true };
+          } catch (error) {
+            return { path: relativePath, exists: false };
+          }
+
+        case 'list': {
+          const entries = await fs.readdir(filePath, { withFileTypes: true });
+          return {
+            path: relativePath,
+            files: entries.map(entry => ({ name: entry.name, directory: entry.isDirectory() }))
+          };
+        }
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw codedError(`File ${relativePath} not found`, 'FILE_NOT_FOUND');
+      }
+      if (error instanceof SyntaxError) {
+        throw codedError(`File ${relativePath} is not valid JSON: ${error.message}`, 'FILE_INVALID_JSON');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a path inside the files directory (throws FILE_ACCESS_DENIED outside it)
+   * Symlinks are followed: the real path of the file, or of its closest existing
+   * parent when it does not exist yet, must be inside the directory as well
+   */
+  async resolvePath(relativePath) {
+    if (relativePath === undefined || relativePath === null || relativePath === '') {
+      throw codedError('path is required', 'INVALID_CONNECTOR_CONFIG');
+    }
+
+    const resolved = path.resolve(FILES_DIR, String(relativePath));
+    const denied = () => codedError(`Path ${relativePath} is outside the connector files directory`, 'FILE_ACCESS_DENIED');
+    if (!isInside(FILES_DIR, resolved)) {
+      throw denied();
+    }
+
+    const realTarget = await this.realpathOfExisting(resolved);
+    if (realTarget && !isInside(await fs.realpath(FILES_DIR), realTarget)) {
+      throw denied();
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Real path of a file or of its closest existing parent inside the files directory
+   * (null when not even the files directory exists yet)
+   */
+  async realpathOfExisting(filePath) {
+    for (let current = filePath; isInside(FILES_DIR, current); current = path.dirname(current)) {
+      try {
+        return await fs.realpath(current);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * File text for content - JSON format (or non-string content) is pretty-printed JSON
+   */
+  serialize(content, format) {
+    if (format === 'json' || (content !== null && typeof content === 'object')) {
+      return JSON.stringify(content ?? null, null, 2);
+    }
+
+    return content === undefined || content === null ? '' : String(content);
+  }
+}
+
+module.exports = new FileConnector();
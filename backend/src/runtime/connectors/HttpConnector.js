@@ -0,0 +1,152 @@
+/**
+ * HTTP Connector
+ * Calls a REST endpoint with templated URL, query, headers and body, and optional auth
+ * With CONNECTOR_HTTP_ALLOWED_HOSTS set, only those hosts can be called (redirects included)
+ */
+
+const axios = require('axios');
+const { codedError } = require('../errors');
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'];
+
+/**
+ * Parse the host allowlist: comma-separated host names, "*.example.com" for subdomains
+ * Returns null (any host) when it is not configured
+ */
+function parseAllowedHosts(value) {
+  const hosts = (value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+  return hosts.length > 0 ? hosts : null;
+}
+
+const ALLOWED_HOSTS = parseAllowedHosts(process.env.CONNECTOR_HTTP_ALLOWED_HOSTS);
+
+class HttpConnector {
+  constructor() {
+    this.type = 'http';
+    this.name = 'REST / HTTP';
+    this.description = 'Call an HTTP endpoint and return its status, headers and body';
+    this.configSchema = [
+      { name: 'method', label: 'Method', type: 'select', options: METHODS, default: 'GET' },
+      { name: 'url', label: 'URL', type: 'text', required: true, placeholder: 'https://api.example.com/orders/{{ orderId }}' },
+      { name: 'query', label: 'Query Parameters', type: 'json' },
+      { name: 'headers', label: 'Headers', type: 'json' },
+      { name: 'body', label: 'Body', type: 'json' },
+      { name: 'auth', label: 'Auth', type: 'json', placeholder: '{ "type": "bearer", "token": "..." }' },
+      { name: 'timeout', label: 'Timeout (ms)', type: 'number', default: 5000 },
+      { name: 'failOnError', label: 'Fail on 4xx/5xx', type: 'boolean', default: true }
+    ];
+
+    // Hosts requests may go to (null: any host)
+    this.allowedHosts = ALLOWED_HOSTS;
+  }
+
+  /**
+   * Send the request
+   * A 4xx/5xx response fails with code HTTP_<status> unless failOnError is false
+   * @returns {Object} status, headers and body
+   */
+  async execute(config) {
+    if (!config.url) {
+      throw codedError('url is required', 'INVALID_CONNECTOR_CONFIG');
+    }
+
+    const method = String(config.method || 'GET').toUpperCase();
+    if (!METHODS.includes(method)) {
+      throw codedError(`Unsupported method ${method}`, 'INVALID_CONNECTOR_CONFIG');
+    }
+
+    this.assertHostAllowed(config.url);
+
+    // A redirect off the allowlist surfaces from axios as a generic redirect failure
+    let refusedRedirect = null;
+    const checkRedirect = options => {
+      try {
+        this.assertHostAllowed(options.href);
+      } catch (error) {
+        refusedRedirect = error;
+        throw error;
+      }
+    };
+
+    let response;
+    try {
+      response = await axios({
+        method,
+        url: config.url,
+        params: config.query || undefined,
+        headers: { ...(config.headers || {}), ...this.getAuthHeaders(config.auth) },
+        auth: config.auth?.type === 'basic'
+          ? { username: config.auth.username, password: config.auth.password }
+          : undefined,
+        data: config.body,
+        timeout: Number(config.timeout) || 5000,
+        validateStatus: () => true,
+        beforeRedirect: checkRedirect
+      });
+    } catch (error) {
+      if (refusedRedirect) {
+        throw refusedRedirect;
+      }
+
+      // Network errors keep their code (ECONNREFUSED, ECONNABORTED, ...)
+      throw codedError(`Request to ${config.url} failed: ${error.message}`, error.code || 'CONNECTOR_ERROR');
+    }
+
+    const result = {
+      status: response.status,
+      headers: { ...response.headers },
+      body: response.data
+    };
+
+    if (response.status >= 400 && config.failOnError !== false) {
+      const error = codedError(`${method} ${config.url} returned ${response.status}`, `HTTP_${response.status}`);
+      error.details = result;
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Refuse URLs whose host is not on the allowlist (HOST_NOT_ALLOWED)
+   */
+  assertHostAllowed(url) {
+    let host;
+    try {
+      host = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      throw codedError(`Invalid URL ${url}`, 'INVALID_CONNECTOR_CONFIG');
+    }
+
+    if (!this.allowedHosts) {
+      return;
+    }
+
+    const allowed = this.allowedHosts.some(pattern => pattern.startsWith('*.')
+      ? host.endsWith(pattern.slice(1))
+      : host === pattern);
+    if (!allowed) {
+      throw codedError(`Host ${host} is not in CONNECTOR_HTTP_ALLOWED_HOSTS`, 'HOST_NOT_ALLOWED');
+    }
+  }
+
+  /**
+   * Headers for bearer and API key auth (basic auth goes through axios)
+   */
+  getAuthHeaders(auth) {
+    if (!auth || !auth.type) return {};
+
+    switch (auth.type) {
+      case 'basic':
+        return {};
+      case 'bearer':
+        return { Authorization: `Bearer ${auth.token}` };
+      case 'apiKey':
+        return { [auth.header || 'X-API-Key']: auth.value ?? auth.key };
+      default:
+        throw codedError(`Unsupported auth type ${auth.type} (basic, bearer, apiKey)`, 'INVALID_CONNECTOR_CONFIG');
+    }
+  }
+}
+
+module.exports = new HttpConnector();
@@ -0,0 +1,74 @@
+/**
+ * SQL Connector
+ * Runs a parameterized query on the platform PostgreSQL pool
+ * The query text is never templated - values are passed as $1, $2, ... parameters
+ * Queries use the extended protocol (one statement per query) and, unless allowWrite is set,
+ * run in a READ ONLY transaction - the SELECT/WITH check alone would let
+ * "SELECT 1; DROP ..." or a data-modifying CTE through
+ */
+
+const { codedError } = require('../errors');
+
+const READ_ONLY_PATTERN = /^\s*(select|with)\b/i;
+
+class SqlConnector {
+  constructor() {
+    this.type = 'sql';
+    this.name = 'PostgreSQL Query';
+    this.description = 'Run a parameterized query and return its rows';
+    this.rawFields = ['query'];
+    this.configSchema = [
+      { name: 'query', label: 'Query', type: 'textarea', required: true, placeholder: 'SELECT * FROM customers WHERE id = $1' },
+      { name: 'params', label: 'Parameters', type: 'json', placeholder: '["{{ customerId }}"]' },
+      { name: 'allowWrite', label: 'Allow INSERT / UPDATE / DELETE', type: 'boolean', default: false }
+    ];
+  }
+
+  /**
+   * Run the query - a single statement, read-only unless allowWrite is set
+   * @returns {Object} rows, rowCount and the first row
+   */
+  async execute(config) {
+    const query = typeof config.query === 'string' ? config.query.trim() : '';
+    if (!query) {
+      throw codedError('query is required', 'INVALID_CONNECTOR_CONFIG');
+    }
+
+    if (!config.allowWrite && !READ_ONLY_PATTERN.test(query)) {
+      throw codedError('Only SELECT queries are allowed unless allowWrite is set', 'INVALID_CONNECTOR_CONFIG');
+    }
+
+    const params = config.params ?? [];
+    if (!Array.isArray(params)) {
+      throw codedError('params must be a list', 'INVALID_CONNECTOR_CONFIG');
+    }
+
+    // Loaded on first use so workflows without SQL steps never open the pool
+    const db = require('../../config/database');
+    let client = null;
+
+    try {
+      client = await db.pool.connect();
+      await client.query(config.allowWrite ? 'BEGIN' : 'BEGIN READ ONLY');
+      const result = await client.query({ text: query, values: params, queryMode: 'extended' });
+      await client.query('COMMIT');
+
+      return {
+        rows: result.rows,
+        rowCount: result.rowCount,
+        firstRow: result.rows[0] || null
+      };
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK').catch(() => {});
+      }
+      throw codedError(`Query failed: ${error.message}`, error.code ? `SQL_${error.code}` : 'SQL_ERROR');
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  }
+}
+
+module.exports = new SqlConnector();
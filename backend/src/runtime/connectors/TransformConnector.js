@@ -0,0 +1,31 @@
+/**
+ * Transform Connector
+ * Builds a JSON document from process data - the output template is rendered with
+ * {{ expression }} placeholders and returned as the result
+ */
+
+class TransformConnector {
+  constructor() {
+    this.type = 'transform';
+    this.name = 'JSON Transform';
+    this.description = 'Reshape process data into a new JSON value';
+    this.configSchema = [
+      {
+        name: 'output',
+        label: 'Output Template',
+        type: 'json',
+        required: true,
+        placeholder: '{ "fullName": "{{ firstName }} {{ lastName }}", "total": "{{ sum(items) }}" }'
+      }
+    ];
+  }
+
+  /**
+   * The registry renders the templates, so the result is the rendered output
+   */
+  async execute(config) {
+    return config.output ?? null;
+  }
+}
+
+module.exports = new TransformConnector();
@@ -0,0 +1,98 @@
+/**
+ * File connector: operations inside the files directory, and paths escaping it
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'file-connector-test-'));
+const filesDir = path.join(root, 'files');
+const outsideDir = path.join(root, 'outside');
+process.env.CONNECTOR_FILES_DIR = filesDir;
+
+const fileConnector = require('../FileConnector');
+
+describe('FileConnector', () => {
+  beforeEach(() => {
+    fs.rmSync(filesDir, { recursive: true, force: true });
+    fs.rmSync(outsideDir, { recursive: true, force: true });
+    fs.mkdirSync(outsideDir);
+    fs.writeFileSync(path.join(outsideDir, 'secret.txt'), 'secret');
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('operations', () => {
+    test('write creates directories and read returns the content', async () => {
+      await expect(fileConnector.execute({ operation: 'write', path: 'exports/order.json', content: { id: 7 } }))
+        .resolves.toMatchObject({ path: path.join('exports', 'order.json') });
+
+      await expect(fileConnector.execute({ path: 'exports/order.json', format: 'json' }))
+        .resolves.toEqual({ path: path.join('exports', 'order.json'), content: { id: 7 } });
+    });
+
+    test('append adds text and reports the bytes written', async () => {
+      await fileConnector.execute({ operation: 'append', path: 'log.txt', content: 'a' });
+
+      await expect(fileConnector.execute({ operation: 'append', path: 'log.txt', content: 'bc' })).resolves.toMatchObject({ bytes: 2 });
+      await expect(fileConnector.execute({ path: 'log.txt' })).resolves.toMatchObject({ content: 'abc' });
+    });
+
+    test('lists, checks and deletes files', async () => {
+      await fileConnector.execute({ operation: 'write', path: 'in/a.txt', content: 'a' });
+      fs.mkdirSync(path.join(filesDir, 'in', 'sub'));
+
+      await expect(fileConnector.execute({ operation: 'list', path: 'in' })).resolves.toEqual({
+        path: 'in',
+        files: expect.arrayContaining([{ name: 'a.txt', directory: false }, { name: 'sub', directory: true }])
+      });
+      await expect(fileConnector.execute({ operation: 'exists', path: 'in/a.txt' })).resolves.toMatchObject({ exists: true });
+      await expect(fileConnector.execute({ operation: 'delete', path: 'in/a.txt' })).resolves.toMatchObject({ deleted: true });
+      await expect(fileConnector.execute({ operation: 'exists', path: 'in/a.txt' })).resolves.toMatchObject({ exists: false });
+    });
+
+    test('reports missing files and invalid JSON with their codes', async () => {
+      await fileConnector.execute({ operation: 'write', path: 'bad.json', content: 'not json' });
+
+      await expect(fileConnector.execute({ path: 'missing.txt' })).rejects.toMatchObject({ code: 'FILE_NOT_FOUND' });
+      await expect(fileConnector.execute({ path: 'bad.json', format: 'json' })).rejects.toMatchObject({ code: 'FILE_INVALID_JSON' });
+    });
+
+    test('rejects unknown operations and a missing path', async () => {
+      await expect(fileConnector.execute({ operation: 'chmod', path: 'a' })).rejects.toMatchObject({ code: 'INVALID_CONNECTOR_CONFIG' });
+      await expect(fileConnector.execute({ operation: 'read' })).rejects.toMatchObject({ code: 'INVALID_CONNECTOR_CONFIG' });
+    });
+  });
+
+  describe('containment', () => {
+    test.each(['../outside/secret.txt', path.join(outsideDir, 'secret.txt'), 'in/../../outside/secret.txt'])('refuses %s', async filePath => {
+      await expect(fileConnector.execute({ path: filePath })).rejects.toMatchObject({ code: 'FILE_ACCESS_DENIED' });
+    });
+
+    test('refuses to read through a symlink leaving the directory', async () => {
+      fs.mkdirSync(filesDir);
+      fs.symlinkSync(path.join(outsideDir, 'secret.txt'), path.join(filesDir, 'link.txt'));
+
+      await expect(fileConnector.execute({ path: 'link.txt' })).rejects.toMatchObject({ code: 'FILE_ACCESS_DENIED' });
+    });
+
+    test('refuses to write below a symlinked directory leaving the directory', async () => {
+      fs.mkdirSync(filesDir);
+      fs.symlinkSync(outsideDir, path.join(filesDir, 'out'));
+
+      await expect(fileConnector.execute({ operation: 'write', path: 'out/new/planted.txt', content: 'x' }))
+        .rejects.toMatchObject({ code: 'FILE_ACCESS_DENIED' });
+      expect(fs.existsSync(path.join(outsideDir, 'new'))).toBe(false);
+    });
+
+    test('follows symlinks that stay inside the directory', async () => {
+      await fileConnector.execute({ operation: 'write', path: 'data/a.txt', content: 'a' });
+      fs.symlinkSync(path.join(filesDir, 'data'), path.join(filesDir, 'alias'));
+
+      await expect(fileConnector.execute({ path: 'alias/a.txt' })).resolves.toMatchObject({ content: 'a' });
+    });
+  });
+});
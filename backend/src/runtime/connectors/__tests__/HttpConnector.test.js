@@ -0,0 +1,130 @@
+/**
+ * HTTP connector: requests, auth, error statuses and the host allowlist
+ */
+
+const http = require('http');
+const httpConnector = require('../HttpConnector');
+
+describe('HttpConnector', () => {
+  let server;
+  let base;
+  let requests;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+        if (req.url.startsWith('/redirect')) {
+          res.writeHead(302, { Location: `http://localhost:${server.address().port}/echo` });
+          return res.end();
+        }
+        if (req.url.startsWith('/missing')) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          return res.end(JSON.stringify({ error: 'not found' }));
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    httpConnector.allowedHosts = null;
+  });
+
+  describe('requests', () => {
+    test('sends method, query, headers and JSON body', async () => {
+      const result = await httpConnector.execute({
+        method: 'post',
+        url: `${base}/echo`,
+        query: { page: 2 },
+        headers: { 'X-Trace': 'abc' },
+        body: { total: 10 }
+      });
+
+      expect(result).toMatchObject({ status: 200, body: { ok: true } });
+      expect(requests[0]).toMatchObject({ method: 'POST', url: '/echo?page=2', body: '{"total":10}' });
+      expect(requests[0].headers['x-trace']).toBe('abc');
+    });
+
+    test.each([
+      [{ type: 'bearer', token: 't0k' }, 'authorization', 'Bearer t0k'],
+      [{ type: 'basic', username: 'ann', password: 'pw' }, 'authorization', `Basic ${Buffer.from('ann:pw').toString('base64')}`],
+      [{ type: 'apiKey', header: 'X-Key', value: 'k1' }, 'x-key', 'k1']
+    ])('adds %j auth', async (auth, header, value) => {
+      await httpConnector.execute({ url: `${base}/echo`, auth });
+
+      expect(requests[0].headers[header]).toBe(value);
+    });
+
+    test('fails on error statuses unless failOnError is false', async () => {
+      await expect(httpConnector.execute({ url: `${base}/missing` }))
+        .rejects.toMatchObject({ code: 'HTTP_404', details: { status: 404, body: { error: 'not found' } } });
+
+      await expect(httpConnector.execute({ url: `${base}/missing`, failOnError: false }))
+        .resolves.toMatchObject({ status: 404 });
+    });
+
+    test('keeps the code of network errors', async () => {
+      const closed = http.createServer();
+      await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+      const url = `http://127.0.0.1:${closed.address().port}/`;
+      await new Promise(resolve => closed.close(resolve));
+
+      await expect(httpConnector.execute({ url })).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+    });
+
+    test('rejects invalid configs', async () => {
+      await expect(httpConnector.execute({})).rejects.toMatchObject({ code: 'INVALID_CONNECTOR_CONFIG' });
+      await expect(httpConnector.execute({ url: 'not a url' })).rejects.toMatchObject({ code: 'INVALID_CONNECTOR_CONFIG' });
+      await expect(httpConnector.execute({ url: base, method: 'TRACE' })).rejects.toMatchObject({ code: 'INVALID_CONNECTOR_CONFIG' });
+      await expect(httpConnector.execute({ url: base, auth: { type: 'digest' } })).rejects.toMatchObject({ code: 'INVALID_CONNECTOR_CONFIG' });
+    });
+  });
+
+  describe('host allowlist', () => {
+    test('calls any host when no allowlist is configured', async () => {
+      await expect(httpConnector.execute({ url: `${base}/redirect` })).resolves.toMatchObject({ status: 200 });
+      expect(requests.map(r => r.url)).toEqual(['/redirect', '/echo']);
+    });
+
+    test('calls listed hosts', async () => {
+      httpConnector.allowedHosts = ['127.0.0.1'];
+
+      await expect(httpConnector.execute({ url: `${base}/echo` })).resolves.toMatchObject({ status: 200 });
+    });
+
+    test('refuses other hosts without sending the request', async () => {
+      httpConnector.allowedHosts = ['api.example.com'];
+
+      await expect(httpConnector.execute({ url: `${base}/echo` })).rejects.toMatchObject({ code: 'HOST_NOT_ALLOWED' });
+      expect(requests).toEqual([]);
+    });
+
+    test('refuses redirects to other hosts', async () => {
+      httpConnector.allowedHosts = ['127.0.0.1'];
+
+      await expect(httpConnector.execute({ url: `${base}/redirect` })).rejects.toMatchObject({ code: 'HOST_NOT_ALLOWED' });
+      expect(requests.map(r => r.url)).toEqual(['/redirect']);
+    });
+
+    test('matches subdomains of wildcard entries only', () => {
+      httpConnector.allowedHosts = ['*.example.com'];
+
+      expect(() => httpConnector.assertHostAllowed('https://api.example.com/x')).not.toThrow();
+      expect(() => httpConnector.assertHostAllowed('https://a.b.example.com/x')).not.toThrow();
+      expect(() => httpConnector.assertHostAllowed('https://example.com/x')).toThrow(expect.objectContaining({ code: 'HOST_NOT_ALLOWED' }));
+      expect(() => httpConnector.assertHostAllowed('https://evilexample.com/x')).toThrow(expect.objectContaining({ code: 'HOST_NOT_ALLOWED' }));
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * SQL connector: single parameterized statements in read-only transactions
+ */
+
+jest.mock('../../../config/database', () => ({
+  pool: { connect: jest.fn() }
+}));
+
+const db = require('../../../config/database');
+const sqlConnector = require('../SqlConnector');
+
+describe('SqlConnector', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = {
+      query: jest.fn(async query => (typeof query === 'string' ? {} : { rows: [{ id: 1 }, { id: 2 }], rowCount: 2 })),
+      release: jest.fn()
+    };
+    db.pool.connect.mockResolvedValue(client);
+  });
+
+  test('runs a SELECT on the extended protocol in a read-only transaction', async () => {
+    const result = await sqlConnector.execute({ query: 'SELECT * FROM orders WHERE id = $1', params: [7] });
+
+    expect(result).toEqual({ rows: [{ id: 1 }, { id: 2 }], rowCount: 2, firstRow: { id: 1 } });
+    expect(client.query.mock.calls.map(([query]) => query)).toEqual([
+      'BEGIN READ ONLY',
+      { text: 'SELECT * FROM orders WHERE id = $1', values: [7], queryMode: 'extended' },
+      'COMMIT'
+    ]);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('runs writes in a normal transaction only with allowWrite', async () => {
+    await expect(sqlConnector.execute({ query: 'DELETE FROM orders' })).rejects.toMatchObject({ code: 'INVALID_CONNECTOR_CONFIG' });
+    expect(db.pool.connect).not.toHaveBeenCalled();
+
+    await sqlConnector.execute({ query: 'DELETE FROM orders', allowWrite: true });
+    expect(client.query).toHaveBeenCalledWith('BEGIN');
+  });
+
+  test('rolls back and reports the database error code', async () => {
+    client.query.mockImplementation(async query => {
+      if (typeof query !== 'string') {
+        throw Object.assign(new Error('cannot execute UPDATE in a read-only transaction'), { code: '25006' });
+      }
+      return {};
+    });
+
+    await expect(sqlConnector.execute({ query: 'WITH x AS (UPDATE orders SET a = 1 RETURNING *) SELECT * FROM x' }))
+      .rejects.toMatchObject({ code: 'SQL_25006' });
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('rejects a missing query and params that are not a list', async () => {
+    await expect(sqlConnector.execute({ query: ' ' })).rejects.toMatchObject({ code: 'INVALID_CONNECTOR_CONFIG' });
+    await expect(sqlConnector.execute({ query: 'SELECT 1', params: { id: 1 } })).rejects.toMatchObject({ code: 'INVALID_CONNECTOR_CONFIG' });
+  });
+});
@@ -0,0 +1,17 @@
+/**
+ * Runtime Errors
+ * Errors carrying a code: the API routes map it to an HTTP status and error boundary events catch it
+ */
+
+/**
+ * Create an error carrying a code
+ */
+function codedError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = {
+  codedError
+};
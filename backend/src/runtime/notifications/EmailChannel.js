@@ -0,0 +1,238 @@
+/**
+ * Email Channel
+ * Sends plain text or HTML mail through an SMTP relay (SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+ * SMTP_USER, SMTP_PASSWORD, SMTP_FROM). Upgrades with STARTTLS when the server offers it.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { codedError } = require('../errors');
+
+// Header values come from process data - line breaks would inject headers
+const headerValue = value => String(value ?? '').replace(/[\r\n]+/g, ' ').trim();
+
+/**
+ * Encode a header as RFC 2047 UTF-8 when it is not plain ASCII
+ */
+const encodeHeader = value => (/^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+/**
+ * Line-based SMTP conversation over a socket that can be upgraded to TLS
+ */
+class SmtpConnection {
+  constructor(timeout) {
+    this.timeout = timeout;
+    this.buffer = '';
+    this.lines = [];
+    this.responses = [];
+    this.waiting = null;
+    this.error = null;
+  }
+
+  /**
+   * Listen to a (new) socket
+   */
+  attach(socket) {
+    if (this.socket) {
+      for (const event of ['data', 'timeout', 'error', 'close']) {
+        this.socket.removeAllListeners(event);
+      }
+    }
+
+    this.socket = socket;
+    socket.setTimeout(this.timeout);
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('timeout', () => {
+      this.fail(codedError('SMTP server timed out', 'ETIMEDOUT'));
+      socket.destroy();
+    });
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(codedError('SMTP connection closed', 'ECONNRESET')));
+  }
+
+  /**
+   * Collect reply lines; "250-..." continues a reply, "250 ..." ends it
+   */
+  receive(chunk) {
+    this.buffer += chunk.toString('utf8');
+
+    let end;
+    while ((end = this.buffer.indexOf('\r\n')) >= 0) {
+      const line = this.buffer.slice(0, end);
+      this.buffer = this.buffer.slice(end + 2);
+      this.lines.push(line);
+
+      if (/^\d{3}(?: |$)/.test(line)) {
+        this.responses.push({ code: parseInt(line.slice(0, 3)), text: this.lines.join('\n') });
+        this.lines = [];
+      }
+    }
+
+    if (this.waiting && this.responses.length > 0) {
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve(this.responses.shift());
+    }
+  }
+
+  /**
+   * Fail the pending read (later reads fail too)
+   */
+  fail(error) {
+    this.error = this.error || error;
+
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(error);
+    }
+  }
+
+  /**
+   * Next server reply
+   */
+  read() {
+    return new Promise((resolve, reject) => {
+      if (this.responses.length > 0) return resolve(this.responses.shift());
+      if (this.error) return reject(this.error);
+      this.waiting = { resolve, reject };
+    });
+  }
+
+  /**
+   * Send a command (null only reads) and check the reply code
+   */
+  async command(line, expected, label = line) {
+    if (line !== null) {
+      this.socket.write(`${line}\r\n`);
+    }
+
+    const response = await this.read();
+    if (!expected.includes(response.code)) {
+      throw codedError(`SMTP ${label} failed: ${response.text}`, `SMTP_${response.code}`);
+    }
+
+    return response;
+  }
+}
+
+class EmailChannel {
+  constructor() {
+    this.type = 'email';
+    this.name = 'Email (SMTP)';
+    this.outbound = true;
+  }
+
+  /**
+   * SMTP settings from the environment
+   */
+  getConfig() {
+    const secure = process.env.SMTP_SECURE === 'true';
+
+    return {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || (secure ? 465 : 587),
+      secure,
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      timeout: parseInt(process.env.SMTP_TIMEOUT) || 10000
+    };
+  }
+
+  /**
+   * Send the message to all recipients in one mail
+   * @returns {Object} messageId and the server's reply
+   */
+  async deliver(message, config = this.getConfig()) {
+    if (!config.host) {
+      throw codedError('Email is not configured: SMTP_HOST is not set', 'NOTIFICATION_NOT_CONFIGURED');
+    }
+    if (!config.from) {
+      throw codedError('Email is not configured: SMTP_FROM is not set', 'NOTIFICATION_NOT_CONFIGURED');
+    }
+    if (message.recipients.length === 0) {
+      throw codedError('Email needs at least one recipient', 'INVALID_NOTIFICATION');
+    }
+
+    const messageId = `<${uuidv4()}@${config.from.split('@')[1] || os.hostname()}>`;
+    const connection = new SmtpConnection(config.timeout);
+
+    connection.attach(config.secure
+      ? tls.connect({ host: config.host, port: config.port, servername: config.host })
+      : net.connect({ host: config.host, port: config.port }));
+
+    try {
+      await connection.command(null, [220], 'greeting');
+      let hello = await connection.command(`EHLO ${os.hostname()}`, [250], 'EHLO');
+
+      if (!config.secure && /STARTTLS/i.test(hello.text)) {
+        await connection.command('STARTTLS', [220]);
+        connection.attach(tls.connect({ socket: connection.socket, servername: config.host }));
+        hello = await connection.command(`EHLO ${os.hostname()}`, [250], 'EHLO');
+      }
+
+      if (config.user) {
+        await this.authenticate(connection, hello.text, config);
+      }
+
+      await connection.command(`MAIL FROM:<${headerValue(config.from)}>`, [250], 'MAIL FROM');
+      for (const recipient of message.recipients) {
+        await connection.command(`RCPT TO:<${headerValue(recipient)}>`, [250, 251], 'RCPT TO');
+      }
+
+      await connection.command('DATA', [354]);
+      const reply = await connection.command(`${this.compose(message, config.from, messageId)}\r\n.`, [250], 'DATA');
+
+      connection.socket.end('QUIT\r\n');
+
+      return { transport: 'smtp', messageId, response: reply.text };
+    } catch (error) {
+      connection.socket.destroy();
+      throw error;
+    }
+  }
+
+  /**
+   * AUTH PLAIN, or AUTH LOGIN when that is all the server offers
+   */
+  async authenticate(connection, capabilities, config) {
+    const auth = (capabilities.match(/AUTH[ =](.*)/i) || [])[1] || '';
+
+    if (!/PLAIN/i.test(auth) && /LOGIN/i.test(auth)) {
+      await connection.command('AUTH LOGIN', [334]);
+      await connection.command(Buffer.from(config.user).toString('base64'), [334], 'AUTH LOGIN');
+      await connection.command(Buffer.from(config.password || '').toString('base64'), [235], 'AUTH LOGIN');
+      return;
+    }
+
+    const token = Buffer.from(`\0${config.user}\0${config.password || ''}`).toString('base64');
+    await connection.command(`AUTH PLAIN ${token}`, [235], 'AUTH PLAIN');
+  }
+
+  /**
+   * RFC 5322 message - the body is base64 so long lines and non-ASCII text survive
+   */
+  compose(message, from, messageId) {
+    const headers = [
+      `From: ${headerValue(from)}`,
+      `To: ${message.recipients.map(headerValue).join(', ')}`,
+      `Subject: ${encodeHeader(headerValue(message.subject))}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: ${messageId}`,
+      'MIME-Version: 1.0',
+      `Content-Type: ${message.format === 'html' ? 'text/html' : 'text/plain'}; charset=utf-8`,
+      'Content-Transfer-Encoding: base64'
+    ];
+
+    const body = Buffer.from(message.body || '', 'utf8').toString('base64').match(/.{1,76}/g) || [];
+
+    return [...headers, '', ...body].join('\r\n');
+  }
+}
+
+module.exports = new EmailChannel();
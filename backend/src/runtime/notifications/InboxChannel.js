@@ -0,0 +1,37 @@
+/**
+ * Inbox Channel
+ * Stores in-app messages locally, one per recipient, read through /api/notifications/inbox
+ */
+
+const notificationDatabase = require('../../database/NotificationDatabase');
+const { codedError } = require('../errors');
+
+class InboxChannel {
+  constructor() {
+    this.type = 'inbox';
+    this.name = 'In-App Inbox';
+    this.outbound = false;
+  }
+
+  /**
+   * Add the message to each recipient's inbox
+   * @returns {Object} the inbox message IDs
+   */
+  async deliver(message) {
+    if (message.recipients.length === 0) {
+      throw codedError('Inbox message needs at least one recipient', 'INVALID_NOTIFICATION');
+    }
+
+    const saved = await notificationDatabase.addInboxMessages(message.recipients.map(recipient => ({
+      recipient,
+      subject: message.subject,
+      body: message.body,
+      instanceId: message.instanceId || null,
+      nodeId: message.nodeId || null
+    })));
+
+    return { transport: 'inbox', inboxMessageIds: saved.map(item => item.id) };
+  }
+}
+
+module.exports = new InboxChannel();
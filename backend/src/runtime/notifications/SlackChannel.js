@@ -0,0 +1,25 @@
+/**
+ * Slack Channel
+ * Posts to a Slack-style incoming webhook ({ text } body, data.webhookUrl)
+ */
+
+const webhookChannel = require('./WebhookChannel');
+
+class SlackChannel {
+  constructor() {
+    this.type = 'slack';
+    this.name = 'Slack';
+    this.outbound = true;
+  }
+
+  /**
+   * Post the message as text - the subject is shown in bold
+   * @returns {Object} the response status
+   */
+  async deliver(message) {
+    const text = message.subject ? `*${message.subject}*\n${message.body || ''}` : message.body || '';
+    return await webhookChannel.post(message, { text }, this.name);
+  }
+}
+
+module.exports = new SlackChannel();
@@ -0,0 +1,58 @@
+/**
+ * Webhook Channel
+ * POSTs the notification as JSON to a URL (data.webhookUrl)
+ */
+
+const axios = require('axios');
+const { codedError } = require('../errors');
+
+class WebhookChannel {
+  constructor() {
+    this.type = 'webhook';
+    this.name = 'Webhook';
+    this.outbound = true;
+  }
+
+  /**
+   * POST the notification as JSON
+   * @returns {Object} the response status
+   */
+  async deliver(message) {
+    return await this.post(message, {
+      subject: message.subject,
+      message: message.body,
+      recipients: message.recipients,
+      instanceId: message.instanceId,
+      nodeId: message.nodeId,
+      sentAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * POST a payload to the message URL - a 4xx/5xx response fails with HTTP_<status>
+   */
+  async post(message, payload, label = this.name) {
+    if (!message.url) {
+      throw codedError(`${label} needs a webhook URL`, 'INVALID_NOTIFICATION');
+    }
+
+    let response;
+    try {
+      response = await axios.post(message.url, payload, {
+        headers: message.headers || {},
+        timeout: 10000,
+        validateStatus: () => true
+      });
+    } catch (error) {
+      throw codedError(`${label} request failed: ${error.message}`, error.code || 'NOTIFICATION_FAILED');
+    }
+
+    if (response.status >= 400) {
+      throw codedError(`${label} returned ${response.status}`, `HTTP_${response.status}`);
+    }
+
+    return { transport: 'http', responseStatus: response.status };
+  }
+}
+
+module.exports = new WebhookChannel();
@@ -16,6 +16,10 @@ const pageRoutes = require('./routes/page.routes');
 const productionRoutes = require('./routes/production.routes');
 const versionRoutes = require('./routes/version.routes');
 const applicationRoutes = require('./routes/applications');
+const decisionRoutes = require('./routes/decision.routes');
+const ruleRoutes = require('./routes/rule.routes');
+const credentialRoutes = require('./routes/credential.routes');
+const notificationRoutes = require('./routes/notification.routes');
 
 const app = express();
 const server = http.createServer(app);
@@ -54,11 +58,44 @@ app.use('/api/pages', pageRoutes);
 app.use('/api/production', productionRoutes);
 app.use('/api/versions', versionRoutes);
 app.use('/api/applications', applicationRoutes);
+app.use('/api/decisions', decisionRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/credentials', credentialRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Initialize Event Manager for real-time workflow monitoring
 const eventManager = require('./runtime/EventManager');
 eventManager.setSocketIO(io);
 
+// Restore durable timers so parked timer events resume after a restart
+const timerScheduler = require('./runtime/TimerScheduler');
+timerScheduler.start().catch(error => {
+  console.error('[TimerScheduler] Failed to start:', error);
+});
+
+// Load persisted workflow versions, then start job workers that execute queued token steps
+// (resumed instances run on their bound version)
+const workflowDatabase = require('./database/WorkflowDatabase');
+const runtimeEngine = require('./runtime/WorkflowRuntimeEngine');
+workflowDatabase.loadVersions()
+  .catch(error => {
+    console.error('[VersionManager] Failed to load versions:', error);
+  })
+  .then(() => runtimeEngine.startWorkers())
+  .catch(error => {
+    console.error('[JobQueue] Failed to start workers:', error);
+  });
+
+// Archive expired instances, snapshots and event history in the background (RETENTION_* settings)
+const retentionManager = require('./runtime/RetentionManager');
+retentionManager.start();
+
+// Load third-party connectors so manifest errors show up at startup
+const connectorRegistry = require('./runtime/ConnectorRegistry');
+connectorRegistry.initialize().catch(error => {
+  console.error('[ConnectorRegistry] Failed to load connectors:', error);
+});
+
 // WebSocket connection handling
 const aiWorkflowGenerator = require('./services/ai-workflow-generator');
 
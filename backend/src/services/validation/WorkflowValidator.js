@@ -2,6 +2,8 @@
  * WorkflowValidator - Validates workflow structure to prevent runtime errors
  */
 
+const expressionEvaluator = require('../../runtime/ExpressionEvaluator');
+
 class WorkflowValidator {
   constructor() {
     this.errors = [];
@@ -41,6 +43,16 @@ class WorkflowValidator {
     // Validate gateway conditions
     this.validateGatewayConditions(workflow.nodes, workflow.connections);
 
+    // Validate event-based and complex gateways
+    this.validateEventBasedGateways(workflow.nodes, workflow.connections);
+    this.validateComplexGateways(workflow.nodes, workflow.connections);
+
+    // Validate multi-instance expressions
+    this.validateMultiInstance(workflow.nodes);
+
+    // Validate compensation handlers and compensation events
+    this.validateCompensation(workflow.nodes, workflow.connections);
+
     // Validate that all paths lead to end
     this.validateAllPathsEnd(workflow.nodes, workflow.connections);
 
@@ -235,41 +247,147 @@ class WorkflowValidator {
           if (!conn.isDefault && !conn.condition) {
             this.warnings.push(`Connection ${conn.id} from decision ${node.id} has no condition and is not marked as default`);
           }
-
-          // Check for invalid variable references in conditions
-          if (conn.condition) {
-            this.validateConditionSyntax(conn.condition, conn.id, node.id);
-          }
         });
       }
     });
+
+    // Conditions are evaluated at runtime on any connection, not only gateways
+    connections.forEach(conn => {
+      if (conn.condition) {
+        this.validateConditionSyntax(conn.condition, conn.id, conn.source);
+      }
+    });
+  }
+
+  /**
+   * Validate event-based gateways - each path must start with a catch event
+   */
+  validateEventBasedGateways(nodes, connections) {
+    const eventTypes = ['messageEvent', 'signalEvent', 'timerEvent'];
+
+    nodes.filter(n => n.type === 'eventGateway').forEach(node => {
+      const outgoingConnections = connections.filter(c => c.source === node.id);
+
+      if (outgoingConnections.length < 2) {
+        this.errors.push(`Event-based gateway ${node.id} needs at least two outgoing paths to choose between`);
+      }
+
+      outgoingConnections.forEach(conn => {
+        const target = nodes.find(n => n.id === conn.target);
+
+        if (target && !eventTypes.includes(target.type)) {
+          this.errors.push(`Event-based gateway ${node.id} must lead to message, signal or timer events, not ${target.type} (${target.id})`);
+        }
+
+        if (conn.condition) {
+          this.warnings.push(`Connection ${conn.id} from event-based gateway ${node.id} has a condition that is ignored - the first event decides the path`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Validate complex gateways - the activation condition of a join
+   */
+  validateComplexGateways(nodes, connections) {
+    nodes.filter(n => n.type === 'complexGateway').forEach(node => {
+      const condition = node.data?.activationCondition;
+      const incomingCount = connections.filter(c => c.target === node.id).length;
+
+      if (!condition) {
+        if (incomingCount > 1) {
+          this.warnings.push(`Complex gateway ${node.id} has no activation condition and waits for all incoming paths`);
+        }
+        return;
+      }
+
+      if (incomingCount < 2) {
+        this.warnings.push(`Complex gateway ${node.id} has an activation condition but only joins one path`);
+      }
+
+      const result = expressionEvaluator.validate(String(condition));
+      if (!result.valid) {
+        this.errors.push(`Complex gateway ${node.id} has an invalid activation condition "${condition}": ${result.error}`);
+      }
+    });
+  }
+
+  /**
+   * Validate the expressions of multi-instance activities
+   */
+  validateMultiInstance(nodes) {
+    nodes.forEach(node => {
+      const config = node.data?.multiInstance;
+      if (!config) {
+        return;
+      }
+
+      if (!config.collection && !config.loopCardinality) {
+        this.warnings.push(`Multi-instance node ${node.id} has no collection or loop cardinality and runs once`);
+      }
+
+      for (const field of ['collection', 'loopCardinality', 'completionCondition']) {
+        if (!config[field]) {
+          continue;
+        }
+
+        const result = expressionEvaluator.validate(String(config[field]));
+        if (!result.valid) {
+          this.errors.push(`Multi-instance node ${node.id} has an invalid ${field} "${config[field]}": ${result.error}`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Validate compensation - each compensation boundary leads to one handler,
+   * and a compensation event only names activities that can be compensated
+   */
+  validateCompensation(nodes, connections) {
+    const boundaries = nodes.filter(n => n.type === 'boundaryEvent' && n.data?.eventType === 'compensation');
+
+    boundaries.forEach(boundary => {
+      const outgoingConnections = connections.filter(c => c.source === boundary.id);
+
+      if (outgoingConnections.length !== 1) {
+        this.errors.push(`Compensation boundary ${boundary.id} must connect to exactly one compensation handler`);
+        return;
+      }
+
+      const handlerId = outgoingConnections[0].target;
+      if (connections.some(c => c.source === handlerId)) {
+        this.warnings.push(`Compensation handler ${handlerId} has outgoing connections that are ignored - a handler runs on its own`);
+      }
+    });
+
+    nodes.filter(n => n.type === 'compensationEvent' && n.data?.activityRef).forEach(node => {
+      const activityRef = node.data.activityRef;
+
+      if (!boundaries.some(b => b.data?.attachedTo === activityRef)) {
+        this.errors.push(`Compensation event ${node.id} references ${activityRef}, which has no compensation boundary`);
+      }
+    });
   }
 
   /**
    * Validate condition syntax
    */
   validateConditionSyntax(condition, connId, nodeId) {
-    // Check for common undefined variable patterns
-    const problematicPatterns = [
-      /\bprocessData\b/,  // Good - should reference processData
-      /\bvalid\b(?!\s*===|\s*!==|\s*=)/,  // Bad - standalone "valid"
-      /\binvalid\b(?!\s*===|\s*!==|\s*=)/,  // Bad - standalone "invalid"
-      /\btrue\b(?!\s*===|\s*!==)/,  // Bad - standalone "true" without comparison
-      /\bfalse\b(?!\s*===|\s*!==)/,  // Bad - standalone "false" without comparison
-    ];
-
-    // Check if condition references processData (good practice)
-    if (!condition.includes('processData')) {
+    // Parse with the same expression language the runtime evaluates
+    const result = expressionEvaluator.validate(condition);
+
+    if (!result.valid) {
+      this.errors.push(`Connection ${connId} from ${nodeId} has an invalid condition "${condition}": ${result.error}`);
+      return;
+    }
+
+    // A condition that reads no variables always takes (or never takes) its path
+    if (result.references.length === 0) {
       this.warnings.push(
-        `Connection ${connId} from ${nodeId} condition does not reference processData: "${condition}". ` +
+        `Connection ${connId} from ${nodeId} condition does not reference any variables: "${condition}". ` +
         `Consider using: processData.fieldName === "value"`
       );
     }
-
-    // Check for dangerous eval patterns
-    if (condition.includes('__proto__') || condition.includes('constructor') || condition.includes('prototype')) {
-      this.errors.push(`Connection ${connId} condition contains potentially dangerous code: "${condition}"`);
-    }
   }
 
   /**
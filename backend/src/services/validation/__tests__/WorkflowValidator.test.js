@@ -0,0 +1,94 @@
+/**
+ * Workflow validation of event-based and complex gateways and of compensation
+ */
+
+const WorkflowValidator = require('../WorkflowValidator');
+const { workflow } = require('../../../runtime/__tests__/helpers/runtime');
+
+const validate = (nodes, connections) => new WorkflowValidator().validate(workflow('validated', nodes, connections));
+
+describe('WorkflowValidator', () => {
+  describe('event-based gateways', () => {
+    const events = [
+      { id: 'start', type: 'startProcess' },
+      { id: 'wait', type: 'eventGateway' },
+      { id: 'paid', type: 'messageEvent', data: { messageName: 'Paid' } },
+      { id: 'timeout', type: 'timerEvent', data: { duration: 'P1D' } },
+      { id: 'work', type: 'scriptTask' },
+      { id: 'end', type: 'endEvent' }
+    ];
+
+    test('accept paths that each start with a catch event', () => {
+      const result = validate(events, [['start', 'wait'], ['wait', 'paid'], ['wait', 'timeout'], ['paid', 'end'], ['timeout', 'end']]);
+
+      expect(result).toMatchObject({ valid: true, errors: [] });
+    });
+
+    test('reject a single path and paths into other nodes, and warn about conditions', () => {
+      const single = validate(events, [['start', 'wait'], ['wait', 'paid'], ['paid', 'end']]);
+      expect(single.errors).toContain('Event-based gateway wait needs at least two outgoing paths to choose between');
+
+      const mixed = validate(events, [
+        ['start', 'wait'], ['wait', 'paid', { condition: 'amount > 0' }], ['wait', 'work'], ['paid', 'end'], ['work', 'end']
+      ]);
+      expect(mixed.errors).toContain('Event-based gateway wait must lead to message, signal or timer events, not scriptTask (work)');
+      expect(mixed.warnings).toEqual(expect.arrayContaining([expect.stringContaining('has a condition that is ignored')]));
+    });
+  });
+
+  describe('complex gateways', () => {
+    const join = data => [
+      { id: 'start', type: 'startProcess' },
+      { id: 'split', type: 'parallelGateway' },
+      { id: 'a', type: 'scriptTask' },
+      { id: 'b', type: 'scriptTask' },
+      { id: 'join', type: 'complexGateway', data },
+      { id: 'end', type: 'endEvent' }
+    ];
+    const paths = [['start', 'split'], ['split', 'a'], ['split', 'b'], ['a', 'join'], ['b', 'join'], ['join', 'end']];
+
+    test('check the activation condition of a join', () => {
+      expect(validate(join({ activationCondition: 'nrOfArrivedTokens >= 1' }), paths).valid).toBe(true);
+
+      const invalid = validate(join({ activationCondition: 'nrOfArrivedTokens >=' }), paths);
+      expect(invalid.valid).toBe(false);
+      expect(invalid.errors).toEqual([expect.stringContaining('Complex gateway join has an invalid activation condition')]);
+    });
+
+    test('warn when a join waits for every path, or a condition has nothing to join', () => {
+      expect(validate(join({}), paths).warnings)
+        .toContain('Complex gateway join has no activation condition and waits for all incoming paths');
+
+      const single = validate(join({ activationCondition: 'true' }), [['start', 'join'], ['join', 'end']]);
+      expect(single.warnings).toContain('Complex gateway join has an activation condition but only joins one path');
+    });
+  });
+  describe('compensation', () => {
+    const saga = [
+      { id: 'start', type: 'startProcess' },
+      { id: 'charge', type: 'scriptTask' },
+      { id: 'rollback', type: 'compensationEvent', data: { activityRef: 'charge' } },
+      { id: 'end', type: 'endEvent' },
+      { id: 'onCharge', type: 'boundaryEvent', data: { attachedTo: 'charge', eventType: 'compensation' } },
+      { id: 'refund', type: 'scriptTask' }
+    ];
+    const flow = [['start', 'charge'], ['charge', 'rollback'], ['rollback', 'end']];
+
+    test('accept a boundary leading to one handler that a throw event references', () => {
+      expect(validate(saga, [...flow, ['onCharge', 'refund']]).errors).toEqual([]);
+    });
+
+    test('reject a boundary without a handler and a reference to an activity without one', () => {
+      const noHandler = validate(saga, flow);
+      expect(noHandler.errors).toContain('Compensation boundary onCharge must connect to exactly one compensation handler');
+
+      const unknown = validate(saga.map(n => (n.id === 'rollback' ? { ...n, data: { activityRef: 'start' } } : n)), [...flow, ['onCharge', 'refund']]);
+      expect(unknown.errors).toContain('Compensation event rollback references start, which has no compensation boundary');
+    });
+
+    test('warn that the outgoing connections of a handler are ignored', () => {
+      expect(validate(saga, [...flow, ['onCharge', 'refund'], ['refund', 'end']]).warnings)
+        .toContain('Compensation handler refund has outgoing connections that are ignored - a handler runs on its own');
+    });
+  });
+});
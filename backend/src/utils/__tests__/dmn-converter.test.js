@@ -0,0 +1,81 @@
+/**
+ * DMN XML: exporting decision tables and importing them back
+ */
+
+const { convertToDMN, parseDMN } = require('../dmn-converter');
+const decisionEngine = require('../../runtime/DecisionEngine');
+
+// Shipping cost by region and weight, with quotes and ranges that need escaping
+const SHIPPING_DECISION = {
+  id: 'shipping',
+  name: 'Shipping & handling',
+  description: 'Cost per parcel',
+  hitPolicy: 'PRIORITY',
+  inputs: [
+    { id: 'region', label: 'Region', expression: 'region', typeRef: 'string' },
+    { id: 'weight', label: 'Weight', expression: 'weight', typeRef: 'number' }
+  ],
+  outputs: [{ id: 'cost', label: 'Cost', name: 'cost', typeRef: 'number', outputValues: [0, 5, 12] }],
+  rules: [
+    { id: 'free', description: 'Local & light', inputEntries: ['"local"', '< 1'], outputEntries: ['0'] },
+    { id: 'standard', description: 'Up to 20 kg', inputEntries: ['-', '[1..20]'], outputEntries: ['5'] },
+    { id: 'heavy', description: 'Heavy, abroad', inputEntries: ['not("local")', '> 20'], outputEntries: ['12'] }
+  ]
+};
+
+describe('dmn-converter', () => {
+  test('exports a DMN 1.3 decision table', () => {
+    const xml = convertToDMN(SHIPPING_DECISION);
+
+    expect(xml).toContain('<definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/"');
+    expect(xml).toContain('<decision id="shipping" name="Shipping &amp; handling">');
+    expect(xml).toContain('<decisionTable id="DecisionTable_shipping" hitPolicy="PRIORITY">');
+    expect(xml).toContain('<text>&quot;local&quot;</text>');
+    expect(xml).toContain('<text>&lt; 1</text>');
+    expect(xml).toContain('<outputValues>\n          <text>0,5,12</text>');
+  });
+
+  test('imports what it exports', () => {
+    const [imported] = parseDMN(convertToDMN(SHIPPING_DECISION));
+
+    expect(imported).toEqual({ ...SHIPPING_DECISION, aggregation: null });
+    expect(decisionEngine.evaluate(imported, { processData: { region: 'abroad', weight: 30 } }).result).toEqual({ cost: 12 });
+  });
+
+  test('imports prefixed documents and skips decisions without a table', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const decisions = parseDMN(`<?xml version="1.0" encoding="UTF-8"?>
+      <dmn:definitions xmlns:dmn="https://www.omg.org/spec/DMN/20191111/MODEL/" id="defs">
+        <dmn:decision id="literal"><dmn:literalExpression><dmn:text>1</dmn:text></dmn:literalExpression></dmn:decision>
+        <dmn:decision id="tiers" name="Tiers">
+          <dmn:decisionTable hitPolicy="COLLECT" aggregation="SUM">
+            <dmn:input label="Points"><dmn:inputExpression><dmn:text>points</dmn:text></dmn:inputExpression></dmn:input>
+            <dmn:output name="bonus" />
+            <dmn:rule><dmn:inputEntry><dmn:text><![CDATA[>= 10]]></dmn:text></dmn:inputEntry><dmn:outputEntry><dmn:text>1</dmn:text></dmn:outputEntry></dmn:rule>
+          </dmn:decisionTable>
+        </dmn:decision>
+      </dmn:definitions>`);
+
+    expect(decisions).toHaveLength(1);
+    expect(decisions[0]).toMatchObject({
+      id: 'tiers',
+      hitPolicy: 'COLLECT',
+      aggregation: 'SUM',
+      inputs: [{ id: 'input_1', label: 'Points', expression: 'points' }],
+      rules: [{ id: 'rule_1', inputEntries: ['>= 10'], outputEntries: ['1'] }]
+    });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Skipping decision literal'));
+
+    console.warn.mockRestore();
+  });
+
+  test.each([
+    ['an empty body', '', /an XML document is required/],
+    ['a document without definitions', '<decision id="x" />', /missing <definitions>/],
+    ['mismatched tags', '<definitions><decision></definitions>', /unexpected closing tag/],
+    ['entity declarations', '<!DOCTYPE x [<!ENTITY a "b">]><definitions />', /document type declarations/]
+  ])('rejects %s', (_, xml, message) => {
+    expect(() => parseDMN(xml)).toThrow(expect.objectContaining({ code: 'INVALID_DECISION', message: expect.stringMatching(message) }));
+  });
+});
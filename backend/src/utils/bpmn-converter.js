@@ -11,6 +11,8 @@ const nodeToBPMNType = (node) => {
     'userTask': 'bpmn:UserTask',
     'scriptTask': 'bpmn:ScriptTask',
     'decision': node.data?.gatewayType === 'parallel' ? 'bpmn:ParallelGateway' : 'bpmn:ExclusiveGateway',
+    'eventGateway': 'bpmn:EventBasedGateway',
+    'complexGateway': 'bpmn:ComplexGateway',
     'validation': 'bpmn:ServiceTask',
     'notification': 'bpmn:ServiceTask',
     'dataProcess': 'bpmn:ServiceTask',
@@ -0,0 +1,24 @@
+/**
+ * Canonical JSON Utility
+ * Serializes values with sorted object keys, so equal content compares and hashes the same
+ * after storage round trips (PostgreSQL JSONB does not keep key order)
+ */
+
+// Serialize a value with sorted object keys (undefined properties are dropped, as in JSON.stringify)
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && typeof value.toJSON !== 'function') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+module.exports = {
+  canonicalJson
+};
@@ -0,0 +1,31 @@
+/**
+ * CSV Utility
+ * Serializes rows to RFC 4180 CSV for exports opened in spreadsheets
+ */
+
+// Leading characters spreadsheets evaluate as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Serialize one cell: objects as JSON, formula-like text prefixed with ', quoted when needed
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize rows (objects) to CSV with a header line of the given columns
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(csvCell).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => csvCell(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  toCsv
+};
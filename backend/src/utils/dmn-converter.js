@@ -0,0 +1,247 @@
+/**
+ * DMN Converter Utility
+ * Converts decision tables to and from DMN 1.3 XML
+ */
+
+const expressionEvaluator = require('../runtime/ExpressionEvaluator');
+const decisionEngine = require('../runtime/DecisionEngine');
+const { codedError } = require('../runtime/errors');
+
+const DMN_NAMESPACE = 'https://www.omg.org/spec/DMN/20191111/MODEL/';
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// CDATA, comments, processing instructions, doctypes, closing tags, opening tags, text
+const XML_TOKEN = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[\s\S]*?>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const XML_ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+// Escape text for XML attributes and elements
+const escapeXML = (str) => {
+  if (str === undefined || str === null) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// Decode the predefined and numeric character entities
+const decodeXML = (str) => str.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(code);
+  }
+  return XML_ENTITIES[entity] ?? match;
+});
+
+// Drop the namespace prefix of a tag name (dmn:decision -> decision)
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+// Create an error the API maps to 400
+const dmnError = (message) => codedError(`Invalid DMN: ${message}`, 'INVALID_DECISION');
+
+// Parse XML into { name, attributes, children, text } elements
+// Entity declarations are rejected rather than expanded
+const parseXML = (xml) => {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let match;
+
+  XML_TOKEN.lastIndex = 0;
+  while ((match = XML_TOKEN.exec(xml)) !== null) {
+    const [token, cdata, closing, opening, attributeText, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+
+    if (token.startsWith('<!DOCTYPE')) {
+      throw dmnError('document type declarations are not supported');
+    } else if (cdata !== undefined) {
+      parent.text += cdata;
+    } else if (closing) {
+      if (stack.length === 1 || parent.name !== localName(closing)) {
+        throw dmnError(`unexpected closing tag </${closing}>`);
+      }
+      stack.pop();
+    } else if (opening) {
+      const element = { name: localName(opening), attributes: {}, children: [], text: '' };
+      let attribute;
+
+      XML_ATTRIBUTE.lastIndex = 0;
+      while ((attribute = XML_ATTRIBUTE.exec(attributeText)) !== null) {
+        element.attributes[localName(attribute[1])] = decodeXML(attribute[2] ?? attribute[3]);
+      }
+
+      parent.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    } else if (text !== undefined) {
+      parent.text += decodeXML(text);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw dmnError(`unclosed tag <${stack[stack.length - 1].name}>`);
+  }
+
+  return root;
+};
+
+// Child elements with a given local name
+const childrenNamed = (element, name) => element.children.filter(child => child.name === name);
+
+// Trimmed <text> content of an element's child (e.g. inputExpression/text)
+const childText = (element, name) => {
+  const child = childrenNamed(element, name)[0];
+  const text = child && childrenNamed(child, 'text')[0];
+  return text ? text.text.trim() : '';
+};
+
+// Convert a <decision> element holding a decisionTable into a decision table
+const decisionFromElement = (element) => {
+  const table = childrenNamed(element, 'decisionTable')[0];
+  const description = childrenNamed(element, 'description')[0];
+
+  const outputs = childrenNamed(table, 'output').map((output, index) => {
+    const allowed = childText(output, 'outputValues');
+    return {
+      id: output.attributes.id || `output_${index + 1}`,
+      label: output.attributes.label || output.attributes.name || '',
+      name: output.attributes.name || output.attributes.label || `output${index + 1}`,
+      typeRef: output.attributes.typeRef || null,
+      outputValues: allowed
+        ? decisionEngine.splitTests(allowed).map(value => expressionEvaluator.evaluate(value))
+        : null
+    };
+  });
+
+  return {
+    id: element.attributes.id,
+    name: element.attributes.name || element.attributes.id,
+    description: description ? description.text.trim() : '',
+    hitPolicy: table.attributes.hitPolicy || 'UNIQUE',
+    aggregation: table.attributes.aggregation || null,
+    inputs: childrenNamed(table, 'input').map((input, index) => {
+      const expression = childrenNamed(input, 'inputExpression')[0];
+      return {
+        id: input.attributes.id || `input_${index + 1}`,
+        label: input.attributes.label || '',
+        expression: childText(input, 'inputExpression'),
+        typeRef: expression?.attributes.typeRef || null
+      };
+    }),
+    outputs,
+    rules: childrenNamed(table, 'rule').map((rule, index) => {
+      const ruleDescription = childrenNamed(rule, 'description')[0];
+      const entries = name => childrenNamed(rule, name).map(entry => {
+        const text = childrenNamed(entry, 'text')[0];
+        return text ? text.text.trim() : '';
+      });
+
+      return {
+        id: rule.attributes.id || `rule_${index + 1}`,
+        description: ruleDescription ? ruleDescription.text.trim() : '',
+        inputEntries: entries('inputEntry'),
+        outputEntries: entries('outputEntry')
+      };
+    })
+  };
+};
+
+// Parse DMN XML into decision tables (decisions without a decision table are skipped)
+const parseDMN = (xml) => {
+  if (typeof xml !== 'string' || !xml.trim()) {
+    throw dmnError('an XML document is required');
+  }
+
+  const definitions = parseXML(xml).children.find(child => child.name === 'definitions');
+  if (!definitions) {
+    throw dmnError('missing <definitions> root element');
+  }
+
+  return childrenNamed(definitions, 'decision')
+    .filter(decision => {
+      if (childrenNamed(decision, 'decisionTable').length === 0) {
+        console.warn(`[DMN] Skipping decision ${decision.attributes.id}: only decision tables are supported`);
+        return false;
+      }
+      return true;
+    })
+    .map(decisionFromElement);
+};
+
+// Convert a decision table to DMN 1.3 XML
+const convertToDMN = (decision) => {
+  const id = escapeXML(decision.id);
+  const aggregation = decision.aggregation ? ` aggregation="${escapeXML(decision.aggregation)}"` : '';
+  const typeRef = (value) => (value ? ` typeRef="${escapeXML(value)}"` : '');
+
+  let dmnXML = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+  dmnXML += `<definitions xmlns="${DMN_NAMESPACE}" id="Definitions_${id}" name="${escapeXML(decision.name || decision.id)}" namespace="http://wfpp.io/dmn">\n`;
+  dmnXML += `  <decision id="${id}" name="${escapeXML(decision.name || decision.id)}">\n`;
+
+  if (decision.description) {
+    dmnXML += `    <description>${escapeXML(decision.description)}</description>\n`;
+  }
+
+  dmnXML += `    <decisionTable id="DecisionTable_${id}" hitPolicy="${escapeXML(decisionEngine.getHitPolicy(decision))}"${aggregation}>\n`;
+
+  (decision.inputs || []).forEach((input, index) => {
+    const inputId = escapeXML(input.id || `input_${index + 1}`);
+    dmnXML += `      <input id="${inputId}" label="${escapeXML(input.label)}">\n`;
+    dmnXML += `        <inputExpression id="${inputId}_expression"${typeRef(input.typeRef)}>\n`;
+    dmnXML += `          <text>${escapeXML(input.expression)}</text>\n`;
+    dmnXML += `        </inputExpression>\n`;
+    dmnXML += `      </input>\n`;
+  });
+
+  (decision.outputs || []).forEach((output, index) => {
+    const outputId = escapeXML(output.id || `output_${index + 1}`);
+    dmnXML += `      <output id="${outputId}" label="${escapeXML(output.label)}" name="${escapeXML(output.name)}"${typeRef(output.typeRef)}`;
+
+    if (Array.isArray(output.outputValues) && output.outputValues.length > 0) {
+      dmnXML += `>\n`;
+      dmnXML += `        <outputValues>\n`;
+      dmnXML += `          <text>${escapeXML(output.outputValues.map(value => JSON.stringify(value)).join(','))}</text>\n`;
+      dmnXML += `        </outputValues>\n`;
+      dmnXML += `      </output>\n`;
+    } else {
+      dmnXML += ` />\n`;
+    }
+  });
+
+  (decision.rules || []).forEach(rule => {
+    const ruleId = escapeXML(rule.id);
+    dmnXML += `      <rule id="${ruleId}">\n`;
+
+    if (rule.description) {
+      dmnXML += `        <description>${escapeXML(rule.description)}</description>\n`;
+    }
+
+    (rule.inputEntries || []).forEach((entry, index) => {
+      dmnXML += `        <inputEntry id="${ruleId}_input_${index + 1}">\n`;
+      dmnXML += `          <text>${escapeXML(entry ?? '-')}</text>\n`;
+      dmnXML += `        </inputEntry>\n`;
+    });
+
+    (rule.outputEntries || []).forEach((entry, index) => {
+      const text = typeof entry === 'string' ? entry : JSON.stringify(entry ?? null);
+      dmnXML += `        <outputEntry id="${ruleId}_output_${index + 1}">\n`;
+      dmnXML += `          <text>${escapeXML(text)}</text>\n`;
+      dmnXML += `        </outputEntry>\n`;
+    });
+
+    dmnXML += `      </rule>\n`;
+  });
+
+  dmnXML += `    </decisionTable>\n`;
+  dmnXML += `  </decision>\n`;
+  dmnXML += `</definitions>`;
+
+  return dmnXML;
+};
+
+module.exports = {
+  convertToDMN,
+  parseDMN
+};
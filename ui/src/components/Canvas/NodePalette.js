@@ -3,7 +3,7 @@ import './NodePalette.css';
 import {
   PlayCircle, CheckCircle, GitBranch, Mail, Database,
   ChevronLeft, ChevronRight, Circle, User,
-  FileCode, Clock, Sparkles
+  FileCode, Clock, Sparkles, Workflow, AlarmClock, MessageSquare, Radio, Hexagon, Asterisk, RotateCcw
 } from 'lucide-react';
 
 const NodePalette = () => {
@@ -16,6 +16,10 @@ const NodePalette = () => {
         { type: 'startProcess', label: 'Start Event', icon: PlayCircle, description: 'Workflow start' },
         { type: 'endEvent', label: 'End Event', icon: Circle, description: 'Workflow end' },
         { type: 'timerEvent', label: 'Timer Event', icon: Clock, description: 'Time-based trigger' },
+        { type: 'boundaryEvent', label: 'Boundary Event', icon: AlarmClock, description: 'Drop on a task: timeout, error or compensation' },
+        { type: 'messageEvent', label: 'Message Event', icon: MessageSquare, description: 'Wait for a correlated message' },
+        { type: 'signalEvent', label: 'Signal Event', icon: Radio, description: 'Wait for a broadcast signal' },
+        { type: 'compensationEvent', label: 'Compensation Event', icon: RotateCcw, description: 'Undo completed tasks' },
       ]
     },
     {
@@ -24,12 +28,15 @@ const NodePalette = () => {
         { type: 'userTask', label: 'Human Task', icon: User, description: 'Manual user task' },
         { type: 'scriptTask', label: 'Script', icon: FileCode, description: 'Execute script' },
         { type: 'llmTask', label: 'LLM Task', icon: Sparkles, description: 'AI-powered task' },
+        { type: 'callActivity', label: 'Call Activity', icon: Workflow, description: 'Run another workflow' },
       ]
     },
     {
       category: 'Gateways',
       nodes: [
         { type: 'decision', label: 'Decision Gateway', icon: GitBranch, description: 'Routing & branching' },
+        { type: 'eventGateway', label: 'Event Gateway', icon: Hexagon, description: 'First event decides the path' },
+        { type: 'complexGateway', label: 'Complex Gateway', icon: Asterisk, description: 'Join on a custom condition' },
       ]
     },
     {
@@ -0,0 +1,60 @@
+import React from 'react';
+import { Handle, Position } from 'reactflow';
+import { AlarmClock, AlertTriangle, RotateCcw, X } from 'lucide-react';
+import './NodeStyles.css';
+import { useWorkflow } from '../../../context/WorkflowContext';
+
+// Node types a boundary event can be attached to
+export const BOUNDARY_HOST_TYPES = ['userTask', 'serviceTask', 'dataProcess', 'llmTask', 'scriptTask', 'callActivity'];
+
+const BoundaryEventNode = ({ id, data = {}, selected }) => {
+  const { deleteNode, currentWorkflow } = useWorkflow();
+
+  const handleDelete = (e) => {
+    e.stopPropagation();
+    deleteNode(id);
+  };
+
+  const isError = data?.eventType === 'error';
+  const isCompensation = data?.eventType === 'compensation';
+  const interrupting = isError || isCompensation || data?.cancelActivity !== false;
+  const host = currentWorkflow?.nodes?.find(n => n.id === data?.attachedTo);
+
+  return (
+    <div className={`custom-node event-node boundary-event-node ${interrupting ? '' : 'non-interrupting'} ${selected ? 'selected' : ''}`}>
+      <button className="node-delete-btn nopan nodrag" onClick={handleDelete} title="Delete node">
+        <X size={14} />
+      </button>
+
+      <div className={`node-icon ${isError ? 'boundary-error-icon' : isCompensation ? 'compensation-icon' : 'timer-icon'}`}>
+        {isError ? <AlertTriangle size={24} /> : isCompensation ? <RotateCcw size={24} /> : <AlarmClock size={24} />}
+      </div>
+
+      <div className="node-content">
+        <div className="node-label">{data?.label || 'Boundary Event'}</div>
+        <div className="node-meta">
+          {host ? `On: ${host.data?.label || host.id}` : 'Not attached'}
+        </div>
+        {!isError && !isCompensation && data?.duration && (
+          <div className="node-meta">
+            After: {data?.duration}{interrupting ? '' : ' (non-interrupting)'}
+          </div>
+        )}
+        {isError && (
+          <div className="node-meta">Catches: {data?.errorCode || 'any error'}</div>
+        )}
+        {isCompensation && (
+          <div className="node-meta">Undone by the connected task</div>
+        )}
+      </div>
+
+      <Handle
+        type="source"
+        position={Position.Bottom}
+        className="node-handle"
+      />
+    </div>
+  );
+};
+
+export default BoundaryEventNode;
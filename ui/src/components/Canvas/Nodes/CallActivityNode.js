@@ -0,0 +1,53 @@
+import React from 'react';
+import { Handle, Position } from 'reactflow';
+import { Workflow, X } from 'lucide-react';
+import './NodeStyles.css';
+import { useWorkflow } from '../../../context/WorkflowContext';
+import MultiInstanceMarker from './MultiInstanceMarker';
+
+const CallActivityNode = ({ id, data = {}, selected }) => {
+  const { deleteNode } = useWorkflow();
+
+  const handleDelete = (e) => {
+    e.stopPropagation();
+    deleteNode(id);
+  };
+
+  return (
+    <div className={`custom-node subprocess-node ${selected ? 'selected' : ''}`}>
+      <button className="node-delete-btn nopan nodrag" onClick={handleDelete} title="Delete node">
+        <X size={14} />
+      </button>
+      <Handle
+        type="target"
+        position={Position.Top}
+        className="node-handle"
+      />
+
+      <div className="node-icon subprocess-icon">
+        <Workflow size={24} />
+      </div>
+
+      <div className="node-content">
+        <div className="node-label">{data?.label || 'Call Activity'}</div>
+        {data?.calledWorkflowId && (
+          <div className="node-meta">
+            Calls: {data?.calledWorkflowId}{data?.calledVersion ? ` (v${data?.calledVersion})` : ''}
+          </div>
+        )}
+        {data?.description && (
+          <div className="node-description">{data?.description}</div>
+        )}
+        <MultiInstanceMarker data={data} />
+      </div>
+
+      <Handle
+        type="source"
+        position={Position.Bottom}
+        className="node-handle"
+      />
+    </div>
+  );
+};
+
+export default CallActivityNode;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { Handle, Position } from 'reactflow';
+import { RotateCcw, X } from 'lucide-react';
+import './NodeStyles.css';
+import { useWorkflow } from '../../../context/WorkflowContext';
+
+const CompensationEventNode = ({ id, data = {}, selected }) => {
+  const { deleteNode, currentWorkflow } = useWorkflow();
+
+  const handleDelete = (e) => {
+    e.stopPropagation();
+    deleteNode(id);
+  };
+
+  const activity = currentWorkflow?.nodes?.find(n => n.id === data?.activityRef);
+
+  return (
+    <div className={`custom-node event-node compensation-event-node ${selected ? 'selected' : ''}`}>
+      <button className="node-delete-btn nopan nodrag" onClick={handleDelete} title="Delete node">
+        <X size={14} />
+      </button>
+      <Handle
+        type="target"
+        position={Position.Top}
+        className="node-handle"
+      />
+
+      <div className="node-icon compensation-icon">
+        <RotateCcw size={24} />
+      </div>
+
+      <div className="node-content">
+        <div className="node-label">{data?.label || 'Compensate'}</div>
+        <div className="node-meta">
+          Undo: {activity ? (activity.data?.label || activity.id) : 'all completed tasks'}
+        </div>
+        {data?.description && (
+          <div className="node-description">{data?.description}</div>
+        )}
+      </div>
+
+      <Handle
+        type="source"
+        position={Position.Bottom}
+        className="node-handle"
+      />
+    </div>
+  );
+};
+
+export default CompensationEventNode;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { Handle, Position } from 'reactflow';
+import { Asterisk, X } from 'lucide-react';
+import './NodeStyles.css';
+import { useWorkflow } from '../../../context/WorkflowContext';
+
+const ComplexGatewayNode = ({ id, data = {}, selected }) => {
+  const { deleteNode } = useWorkflow();
+
+  const handleDelete = (e) => {
+    e.stopPropagation();
+    deleteNode(id);
+  };
+
+  return (
+    <div className={`custom-node decision-node complex-gateway-node ${selected ? 'selected' : ''}`}>
+      <button className="node-delete-btn nopan nodrag" onClick={handleDelete} title="Delete node">
+        <X size={14} />
+      </button>
+      <Handle type="target" position={Position.Top} className="node-handle" />
+
+      <div className="node-icon complex-gateway-icon">
+        <Asterisk size={24} />
+      </div>
+
+      <div className="node-content">
+        <div className="node-label">{data?.label || 'Complex Gateway'}</div>
+        <div className="node-meta">Complex</div>
+        {data?.description && (
+          <div className="node-description">{data?.description}</div>
+        )}
+        {data?.activationCondition && (
+          <div className="node-tag">
+            <span className="tag-label">Activation:</span> {data.activationCondition}
+          </div>
+        )}
+      </div>
+
+      <Handle type="source" position={Position.Bottom} id="a" className="node-handle" />
+      <Handle type="source" position={Position.Right} id="b" className="node-handle" />
+    </div>
+  );
+};
+
+export default ComplexGatewayNode;
@@ -3,6 +3,7 @@ import { Handle, Position } from 'reactflow';
 import './NodeStyles.css';
 import { Database, X } from 'lucide-react';
 import { useWorkflow } from '../../../context/WorkflowContext';
+import MultiInstanceMarker from './MultiInstanceMarker';
 
 const DataProcessNode = ({ id, data = {}, selected }) => {
   const { deleteNode } = useWorkflow();
@@ -32,6 +33,7 @@ const DataProcessNode = ({ id, data = {}, selected }) => {
             <span className="tag-label">Data:</span> {data?.dataModel}
           </div>
         )}
+        <MultiInstanceMarker data={data} />
       </div>
       <Handle type="source" position={Position.Bottom} className="node-handle" />
     </div>
@@ -0,0 +1,40 @@
+import React from 'react';
+import { Handle, Position } from 'reactflow';
+import { Hexagon, X } from 'lucide-react';
+import './NodeStyles.css';
+import { useWorkflow } from '../../../context/WorkflowContext';
+
+const EventGatewayNode = ({ id, data = {}, selected }) => {
+  const { deleteNode } = useWorkflow();
+
+  const handleDelete = (e) => {
+    e.stopPropagation();
+    deleteNode(id);
+  };
+
+  return (
+    <div className={`custom-node decision-node event-gateway-node ${selected ? 'selected' : ''}`}>
+      <button className="node-delete-btn nopan nodrag" onClick={handleDelete} title="Delete node">
+        <X size={14} />
+      </button>
+      <Handle type="target" position={Position.Top} className="node-handle" />
+
+      <div className="node-icon event-gateway-icon">
+        <Hexagon size={24} />
+      </div>
+
+      <div className="node-content">
+        <div className="node-label">{data?.label || 'Event Gateway'}</div>
+        <div className="node-meta">Event-based: first event wins</div>
+        {data?.description && (
+          <div className="node-description">{data?.description}</div>
+        )}
+      </div>
+
+      <Handle type="source" position={Position.Bottom} id="a" className="node-handle" />
+      <Handle type="source" position={Position.Right} id="b" className="node-handle" />
+    </div>
+  );
+};
+
+export default EventGatewayNode;
@@ -3,6 +3,7 @@ import { Handle, Position } from 'reactflow';
 import { Sparkles, X } from 'lucide-react';
 import './NodeStyles.css';
 import { useWorkflow } from '../../../context/WorkflowContext';
+import MultiInstanceMarker from './MultiInstanceMarker';
 
 const LLMTaskNode = ({ id, data = {}, selected }) => {
   const { deleteNode } = useWorkflow();
@@ -40,6 +41,7 @@ const LLMTaskNode = ({ id, data = {}, selected }) => {
             {data.prompt.length > 50 ? data.prompt.substring(0, 50) + '...' : data.prompt}
           </div>
         )}
+        <MultiInstanceMarker data={data} />
       </div>
 
       <Handle
@@ -0,0 +1,56 @@
+import React from 'react';
+import { Handle, Position } from 'reactflow';
+import { MessageSquare, X } from 'lucide-react';
+import './NodeStyles.css';
+import { useWorkflow } from '../../../context/WorkflowContext';
+
+const MessageEventNode = ({ id, data = {}, selected }) => {
+  const { deleteNode } = useWorkflow();
+
+  const handleDelete = (e) => {
+    e.stopPropagation();
+    deleteNode(id);
+  };
+
+  const correlationKeys = Array.isArray(data?.correlationKeys)
+    ? data.correlationKeys.join(', ')
+    : data?.correlationKeys;
+
+  return (
+    <div className={`custom-node event-node message-event-node ${selected ? 'selected' : ''}`}>
+      <button className="node-delete-btn nopan nodrag" onClick={handleDelete} title="Delete node">
+        <X size={14} />
+      </button>
+      <Handle
+        type="target"
+        position={Position.Top}
+        className="node-handle"
+      />
+
+      <div className="node-icon message-icon">
+        <MessageSquare size={24} />
+      </div>
+
+      <div className="node-content">
+        <div className="node-label">{data?.label || 'Message Event'}</div>
+        {data?.messageName && (
+          <div className="node-meta">Message: {data?.messageName}</div>
+        )}
+        {correlationKeys && typeof correlationKeys === 'string' && (
+          <div className="node-meta">Correlate by: {correlationKeys}</div>
+        )}
+        {data?.description && (
+          <div className="node-description">{data?.description}</div>
+        )}
+      </div>
+
+      <Handle
+        type="source"
+        position={Position.Bottom}
+        className="node-handle"
+      />
+    </div>
+  );
+};
+
+export default MessageEventNode;
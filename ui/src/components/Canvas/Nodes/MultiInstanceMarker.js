@@ -0,0 +1,28 @@
+import React from 'react';
+import './NodeStyles.css';
+
+// Node types that can run as a multi-instance (for-each) activity
+export const MULTI_INSTANCE_TYPES = [
+  'userTask', 'serviceTask', 'dataProcess', 'scriptTask', 'llmTask',
+  'callActivity', 'sendTask', 'notification', 'businessRuleTask', 'validation'
+];
+
+// BPMN marker: three vertical bars for parallel, three horizontal for sequential
+const MultiInstanceMarker = ({ data = {} }) => {
+  const config = data?.multiInstance;
+
+  if (!config || (!config.collection && !config.loopCardinality)) {
+    return null;
+  }
+
+  const sequential = config.mode === 'sequential';
+
+  return (
+    <div className="node-tag multi-instance-tag" title={sequential ? 'Sequential multi-instance' : 'Parallel multi-instance'}>
+      <span className="tag-label">{sequential ? '≡' : '⦀'}</span>
+      <span>{config.collection ? `Each ${config.elementVariable || 'item'} in ${config.collection}` : `${config.loopCardinality} times`}</span>
+    </div>
+  );
+};
+
+export default MultiInstanceMarker;
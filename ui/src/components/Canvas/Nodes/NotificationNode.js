@@ -3,6 +3,7 @@ import { Handle, Position } from 'reactflow';
 import './NodeStyles.css';
 import { Mail, X } from 'lucide-react';
 import { useWorkflow } from '../../../context/WorkflowContext';
+import MultiInstanceMarker from './MultiInstanceMarker';
 
 const NotificationNode = ({ id, data = {}, selected }) => {
   const { deleteNode } = useWorkflow();
@@ -27,6 +28,7 @@ const NotificationNode = ({ id, data = {}, selected }) => {
         {data?.recipient && (
           <div className="node-meta">To: {data?.recipient}</div>
         )}
+        <MultiInstanceMarker data={data} />
       </div>
       <Handle type="source" position={Position.Bottom} className="node-handle" />
     </div>
@@ -3,6 +3,7 @@ import { Handle, Position } from 'reactflow';
 import { FileCode, X } from 'lucide-react';
 import './NodeStyles.css';
 import { useWorkflow } from '../../../context/WorkflowContext';
+import MultiInstanceMarker from './MultiInstanceMarker';
 
 const ScriptTaskNode = ({ id, data = {}, selected }) => {
   const { deleteNode } = useWorkflow();
@@ -35,6 +36,7 @@ const ScriptTaskNode = ({ id, data = {}, selected }) => {
         {data?.description && (
           <div className="node-description">{data?.description}</div>
         )}
+        <MultiInstanceMarker data={data} />
       </div>
 
       <Handle
@@ -3,6 +3,7 @@ import { Handle, Position } from 'reactflow';
 import { User, X } from 'lucide-react';
 import './NodeStyles.css';
 import { useWorkflow } from '../../../context/WorkflowContext';
+import MultiInstanceMarker from './MultiInstanceMarker';
 
 const UserTaskNode = ({ id, data = {}, selected }) => {
   const { deleteNode } = useWorkflow();
@@ -49,6 +50,7 @@ const UserTaskNode = ({ id, data = {}, selected }) => {
             )}
           </div>
         )}
+        <MultiInstanceMarker data={data} />
       </div>
 
       <Handle
@@ -3,6 +3,7 @@ import { Handle, Position } from 'reactflow';
 import './NodeStyles.css';
 import { CheckCircle, X } from 'lucide-react';
 import { useWorkflow } from '../../../context/WorkflowContext';
+import MultiInstanceMarker from './MultiInstanceMarker';
 
 const ValidationNode = ({ id, data = {}, selected }) => {
   const { deleteNode } = useWorkflow();
@@ -34,6 +35,7 @@ const ValidationNode = ({ id, data = {}, selected }) => {
             ))}
           </div>
         )}
+        <MultiInstanceMarker data={data} />
       </div>
       <Handle type="source" position={Position.Bottom} className="node-handle" />
     </div>
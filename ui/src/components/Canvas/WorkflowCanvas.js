@@ -23,6 +23,13 @@ import UserTaskNode from './Nodes/UserTaskNode';
 import ScriptTaskNode from './Nodes/ScriptTaskNode';
 import TimerEventNode from './Nodes/TimerEventNode';
 import LLMTaskNode from './Nodes/LLMTaskNode';
+import CallActivityNode from './Nodes/CallActivityNode';
+import BoundaryEventNode, { BOUNDARY_HOST_TYPES } from './Nodes/BoundaryEventNode';
+import MessageEventNode from './Nodes/MessageEventNode';
+import SignalEventNode from './Nodes/SignalEventNode';
+import EventGatewayNode from './Nodes/EventGatewayNode';
+import ComplexGatewayNode from './Nodes/ComplexGatewayNode';
+import CompensationEventNode from './Nodes/CompensationEventNode';
 import { Grid3x3, Upload, Save, Download, Rocket, CheckCircle } from 'lucide-react';
 
 const nodeTypes = {
@@ -36,6 +43,13 @@ const nodeTypes = {
   scriptTask: ScriptTaskNode,
   timerEvent: TimerEventNode,
   llmTask: LLMTaskNode,
+  callActivity: CallActivityNode,
+  boundaryEvent: BoundaryEventNode,
+  messageEvent: MessageEventNode,
+  signalEvent: SignalEventNode,
+  eventGateway: EventGatewayNode,
+  complexGateway: ComplexGatewayNode,
+  compensationEvent: CompensationEventNode,
 };
 
 let id = 0;
@@ -183,6 +197,29 @@ const WorkflowCanvas = () => {
         draggable: true
       };
 
+      // Boundary events attach to the task they are dropped on
+      if (type === 'boundaryEvent') {
+        const host = reactFlowInstance
+          .getIntersectingNodes({ x: position.x, y: position.y, width: 1, height: 1 })
+          .find(node => BOUNDARY_HOST_TYPES.includes(node.type));
+
+        newNode.data = {
+          ...newNode.data,
+          label: 'Timeout',
+          eventType: 'timer',
+          duration: 'PT24H',
+          cancelActivity: true,
+          attachedTo: host?.id || null
+        };
+
+        if (host) {
+          // Place it just below the task it is attached to
+          newNode.position = { x: position.x, y: host.position.y + (host.height || 80) + 40 };
+        } else {
+          showToast('Drop the boundary event on a task, or pick its task in Properties', 'warning');
+        }
+      }
+
       console.log('Creating new node:', newNode);
 
       setNodes((nds) => nds.concat(newNode));
@@ -191,7 +228,7 @@ const WorkflowCanvas = () => {
         nodes: [...prev.nodes, newNode]
       }));
     },
-    [reactFlowInstance, setNodes, setCurrentWorkflow]
+    [reactFlowInstance, setNodes, setCurrentWorkflow, showToast]
   );
 
   const onNodesDelete = useCallback(
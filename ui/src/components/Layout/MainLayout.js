@@ -6,6 +6,7 @@ import WorkflowCanvas from '../Canvas/WorkflowCanvas';
 import PropertiesPanel from './PropertiesPanel';
 import AIPromptPanel from '../AIPrompt/AIPromptPanel';
 import RuleEnginePanel from '../Panels/RuleEnginePanel';
+import CredentialsPanel from '../Panels/CredentialsPanel';
 import OrchestrationPanel from '../Panels/OrchestrationPanel';
 import MobileScreensPanel from '../Panels/MobileScreensPanel';
 import FormsPanel from '../Panels/FormsPanel';
@@ -164,6 +165,8 @@ const MainLayout = () => {
         return <PagesPanel />;
       case 'rule-engine':
         return <RuleEnginePanel />;
+      case 'credentials':
+        return <CredentialsPanel />;
       case 'orchestration':
         return <OrchestrationPanel />;
       case 'mobile-screens':
@@ -1,9 +1,11 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import './PropertiesPanel.css';
 import { useWorkflow } from '../../context/WorkflowContext';
 import { useNotification } from '../../context/NotificationContext';
 import { X, ExternalLink, Plus, GitBranch, Trash2 } from 'lucide-react';
 import DataModelViewer from '../DataModels/DataModelViewer';
+import { BOUNDARY_HOST_TYPES } from '../Canvas/Nodes/BoundaryEventNode';
+import { MULTI_INSTANCE_TYPES } from '../Canvas/Nodes/MultiInstanceMarker';
 
 const PropertiesPanel = () => {
   const {
@@ -21,6 +23,50 @@ const PropertiesPanel = () => {
   const { confirm } = useNotification();
   const [showDataModelModal, setShowDataModelModal] = useState(false);
   const [selectedDataModel, setSelectedDataModel] = useState(null);
+  const [connectors, setConnectors] = useState([]);
+  const [notificationChannels, setNotificationChannels] = useState([]);
+  const [notificationTemplates, setNotificationTemplates] = useState([]);
+
+  // Connectors service tasks can use (built-in and manifest-loaded)
+  useEffect(() => {
+    const loadConnectors = async () => {
+      try {
+        const response = await fetch('http://localhost:5000/api/runtime/connectors');
+        const data = await response.json();
+        if (data.success) {
+          setConnectors(data.connectors);
+        }
+      } catch (error) {
+        console.error('Failed to load connectors:', error);
+      }
+    };
+
+    loadConnectors();
+  }, []);
+
+  // Channels and message templates for send task / notification nodes
+  useEffect(() => {
+    const loadNotificationOptions = async () => {
+      try {
+        const [channelsResponse, templatesResponse] = await Promise.all([
+          fetch('http://localhost:5000/api/notifications/channels'),
+          fetch('http://localhost:5000/api/notifications/templates')
+        ]);
+        const channelsData = await channelsResponse.json();
+        const templatesData = await templatesResponse.json();
+        if (channelsData.success) {
+          setNotificationChannels(channelsData.channels);
+        }
+        if (templatesData.success) {
+          setNotificationTemplates(templatesData.templates);
+        }
+      } catch (error) {
+        console.error('Failed to load notification options:', error);
+      }
+    };
+
+    loadNotificationOptions();
+  }, []);
 
   const handleClose = () => {
     setPropertiesPanelOpen(false);
@@ -47,6 +93,114 @@ const PropertiesPanel = () => {
     setSelectedDataModel(null);
   };
 
+  // Variable mappings are edited as JSON; invalid JSON keeps the previous mapping
+  const updateMapping = (key, text) => {
+    if (!text.trim()) {
+      updateNodeData(selectedNode, { [key]: null });
+      return;
+    }
+
+    try {
+      updateNodeData(selectedNode, { [key]: JSON.parse(text) });
+    } catch (error) {
+      console.warn(`Invalid ${key} JSON:`, error.message);
+    }
+  };
+
+  // Connector fields are stored in connectorConfig; JSON fields keep their previous value when invalid
+  const updateConnectorConfig = (field, value) => {
+    const current = currentWorkflow.nodes.find(n => n.id === selectedNode)?.data.connectorConfig || {};
+    updateNodeData(selectedNode, { connectorConfig: { ...current, [field]: value } });
+  };
+
+  // Multi-instance settings live in node.data.multiInstance (null runs the activity once)
+  const updateMultiInstance = (changes) => {
+    const current = currentWorkflow.nodes.find(n => n.id === selectedNode)?.data.multiInstance || {};
+    updateNodeData(selectedNode, { multiInstance: { ...current, ...changes } });
+  };
+
+  const updateConnectorJson = (field, text) => {
+    if (!text.trim()) {
+      updateConnectorConfig(field, undefined);
+      return;
+    }
+
+    try {
+      updateConnectorConfig(field, JSON.parse(text));
+    } catch (error) {
+      console.warn(`Invalid ${field} JSON:`, error.message);
+    }
+  };
+
+  const renderConnectorField = (node, field) => {
+    const config = node.data.connectorConfig || {};
+    const value = config[field.name] ?? field.default ?? '';
+
+    switch (field.type) {
+      case 'select':
+        return (
+          <select
+            className="config-select"
+            value={value}
+            onChange={(e) => updateConnectorConfig(field.name, e.target.value)}
+          >
+            {(field.options || []).map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        );
+
+      case 'boolean':
+        return (
+          <select
+            className="config-select"
+            value={String(value === '' ? false : value)}
+            onChange={(e) => updateConnectorConfig(field.name, e.target.value === 'true')}
+          >
+            <option value="true">Yes</option>
+            <option value="false">No</option>
+          </select>
+        );
+
+      case 'json':
+        return (
+          <textarea
+            key={`${node.id}-${node.data.connector}-${field.name}`}
+            className="config-input script-editor"
+            placeholder={field.placeholder || '{ }'}
+            rows="4"
+            defaultValue={config[field.name] !== undefined ? JSON.stringify(config[field.name], null, 2) : ''}
+            onBlur={(e) => updateConnectorJson(field.name, e.target.value)}
+            style={{ resize: 'vertical', fontFamily: 'monospace', fontSize: '13px' }}
+          />
+        );
+
+      case 'textarea':
+        return (
+          <textarea
+            className="config-input script-editor"
+            placeholder={field.placeholder}
+            rows="5"
+            value={value}
+            onChange={(e) => updateConnectorConfig(field.name, e.target.value)}
+            style={{ resize: 'vertical', fontFamily: 'monospace', fontSize: '13px' }}
+          />
+        );
+
+      default:
+        return (
+          <input
+            type={field.type === 'number' ? 'number' : 'text'}
+            className="config-input"
+            placeholder={field.placeholder}
+            value={value}
+            onChange={(e) => updateConnectorConfig(
+              field.name,
+              field.type === 'number' && e.target.value !== '' ? Number(e.target.value) : e.target.value
+            )}
+          />
+        );
+    }
+  };
+
   if (!selectedNode) {
     return (
       <div className="properties-panel">
@@ -71,6 +225,20 @@ const PropertiesPanel = () => {
     return null;
   }
 
+  const serviceConnector = connectors.find(c => c.type === node.data.connector);
+
+  // Events an event gateway waits for
+  const gatewayEvents = (currentWorkflow.edges || currentWorkflow.connections || [])
+    .filter(edge => edge.source === node.id)
+    .map(edge => currentWorkflow.nodes.find(n => n.id === edge.target))
+    .filter(Boolean);
+
+  // Activities a compensation event can undo - those with a compensation boundary
+  const compensableActivities = currentWorkflow.nodes
+    .filter(n => n.type === 'boundaryEvent' && n.data?.eventType === 'compensation' && n.data?.attachedTo)
+    .map(b => currentWorkflow.nodes.find(n => n.id === b.data.attachedTo))
+    .filter(Boolean);
+
   return (
     <div className="properties-panel">
       <div className="properties-header">
@@ -94,31 +262,80 @@ const PropertiesPanel = () => {
         </div>
 
         {/* Mapped Rules */}
-        {node.data.rules && (
+        {(node.data.rules || node.type === 'validation' || node.type === 'businessRuleTask') && (
           <div className="property-section">
             <div className="section-header">
               <h4>Mapped Rules</h4>
             </div>
             <div className="rules-list">
-              {node.data.rules.map(rule => {
-                const ruleDetails = mappedRules.find(r => r.id === rule.id);
+              {(node.data.rules || []).map(rule => {
+                const ruleId = typeof rule === 'string' ? rule : rule.id;
+                const ruleDetails = mappedRules.find(r => r.id === ruleId);
                 return (
-                  <div key={rule.id} className="rule-item">
+                  <div key={ruleId || rule.name} className="rule-item">
                     <div className="rule-info">
-                      <div className="rule-name">{ruleDetails?.name}</div>
-                      <div className="rule-description">{ruleDetails?.description}</div>
+                      <div className="rule-name">{ruleDetails?.name || rule.name || ruleId}</div>
+                      <div className="rule-description">{ruleDetails?.description || rule.condition}</div>
                     </div>
-                    <button className="rule-link-btn">
-                      <ExternalLink size={14} />
+                    <button
+                      className="rule-link-btn"
+                      onClick={() => updateNodeData(node.id, { rules: node.data.rules.filter(r => r !== rule) })}
+                    >
+                      <Trash2 size={14} />
                     </button>
                   </div>
                 );
               })}
             </div>
-            <button className="add-btn">
-              <Plus size={16} />
-              Add Rule
-            </button>
+            <select
+              className="config-select"
+              value=""
+              onChange={(e) => e.target.value && updateNodeData(node.id, { rules: [...(node.data.rules || []), { id: e.target.value }] })}
+            >
+              <option value="">+ Add Rule</option>
+              {mappedRules
+                .filter(r => !(node.data.rules || []).some(rule => (typeof rule === 'string' ? rule : rule.id) === r.id))
+                .map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+            </select>
+          </div>
+        )}
+
+        {/* Decision Table Configuration */}
+        {(node.type === 'businessRuleTask' || node.type === 'validation') && (
+          <div className="property-section">
+            <div className="section-header">
+              <h4>Decision Table</h4>
+            </div>
+
+            <div className="gateway-config-section">
+              <div className="config-field">
+                <label className="config-field-label">Decision ID</label>
+                <input
+                  type="text"
+                  className="config-input"
+                  placeholder="e.g., loan-eligibility"
+                  value={node.data.decisionId || ''}
+                  onChange={(e) => updateNodeData(node.id, { decisionId: e.target.value })}
+                />
+                <div className="config-field-hint">
+                  Decision table evaluated against process data. Its outputs become process variables.
+                </div>
+              </div>
+
+              <div className="config-field">
+                <label className="config-field-label">Result Variable</label>
+                <input
+                  type="text"
+                  className="config-input"
+                  placeholder="One variable per output"
+                  value={node.data.resultVariable || ''}
+                  onChange={(e) => updateNodeData(node.id, { resultVariable: e.target.value })}
+                />
+                <div className="config-field-hint">
+                  Optional - store the whole decision result under this name instead
+                </div>
+              </div>
+            </div>
           </div>
         )}
 
@@ -250,6 +467,61 @@ const PropertiesPanel = () => {
           </div>
         )}
 
+        {/* Event Gateway Configuration */}
+        {node.type === 'eventGateway' && (
+          <div className="property-section">
+            <div className="section-header">
+              <h4>
+                <GitBranch size={16} style={{ marginRight: '6px' }} />
+                Event Gateway Configuration
+              </h4>
+            </div>
+
+            <div className="gateway-config-section">
+              <div className="config-field">
+                <label className="config-field-label">Waits For</label>
+                <div className="config-field-hint">
+                  {gatewayEvents.length > 0
+                    ? gatewayEvents.map(n => n.data?.label || n.id).join(', ')
+                    : 'Connect this gateway to message, signal or timer events'}
+                </div>
+                <div className="config-field-hint">
+                  The token waits here and takes the path of whichever event occurs first; the other events are cancelled
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Complex Gateway Configuration */}
+        {node.type === 'complexGateway' && (
+          <div className="property-section">
+            <div className="section-header">
+              <h4>
+                <GitBranch size={16} style={{ marginRight: '6px' }} />
+                Complex Gateway Configuration
+              </h4>
+            </div>
+
+            <div className="gateway-config-section">
+              <div className="config-field">
+                <label className="config-field-label">Activation Condition</label>
+                <input
+                  type="text"
+                  className="config-input"
+                  placeholder="e.g., nrOfArrivedTokens >= 2"
+                  value={node.data.activationCondition || ''}
+                  onChange={(e) => updateNodeData(node.id, { activationCondition: e.target.value })}
+                />
+                <div className="config-field-hint">
+                  As a join, continues once this holds (at the latest when all paths arrived); later tokens are consumed.
+                  Available: nrOfArrivedTokens, nrOfExpectedTokens and process data. As a split, every outgoing condition that holds is taken.
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* User Task Configuration */}
         {node.type === 'userTask' && (
           <div className="property-section">
@@ -414,6 +686,224 @@ const PropertiesPanel = () => {
           </div>
         )}
 
+        {/* Service Task Configuration */}
+        {(node.type === 'serviceTask' || node.type === 'dataProcess') && (
+          <div className="property-section">
+            <div className="section-header">
+              <h4>Service Task Configuration</h4>
+            </div>
+
+            <div className="gateway-config-section">
+              <div className="config-field">
+                <label className="config-field-label">Connector</label>
+                <select
+                  className="config-select"
+                  value={node.data.connector || ''}
+                  onChange={(e) => updateNodeData(node.id, { connector: e.target.value || null, connectorConfig: {} })}
+                >
+                  <option value="">None (legacy API call)</option>
+                  {connectors.map(c => (
+                    <option key={c.type} value={c.type}>{c.name}{c.builtIn ? '' : ' (custom)'}</option>
+                  ))}
+                </select>
+                <div className="config-field-hint">
+                  {serviceConnector?.description || 'System the task calls. Use {{ expression }} in fields to insert process data and {{ secrets.name }} for credentials.'}
+                </div>
+              </div>
+
+              {serviceConnector && serviceConnector.configSchema.map(field => (
+                <div key={field.name} className="config-field">
+                  <label className="config-field-label">
+                    {field.label || field.name}{field.required ? ' *' : ''}
+                  </label>
+                  {renderConnectorField(node, field)}
+                </div>
+              ))}
+
+              {node.data.connector && (
+                <>
+                  <div className="config-field">
+                    <label className="config-field-label">Input Mapping</label>
+                    <textarea
+                      key={`${node.id}-connector-input`}
+                      className="config-input script-editor"
+                      placeholder={'{\n  "customer.email": "email"\n}'}
+                      rows="4"
+                      defaultValue={node.data.inputMapping ? JSON.stringify(node.data.inputMapping, null, 2) : ''}
+                      onBlur={(e) => updateMapping('inputMapping', e.target.value)}
+                      style={{ resize: 'vertical', fontFamily: 'monospace', fontSize: '13px' }}
+                    />
+                    <div className="config-field-hint">
+                      Process data expressions passed to the connector. Leave empty to pass all process data.
+                    </div>
+                  </div>
+
+                  <div className="config-field">
+                    <label className="config-field-label">Output Mapping</label>
+                    <textarea
+                      key={`${node.id}-connector-output`}
+                      className="config-input script-editor"
+                      placeholder={'{\n  "body.id": "customerId"\n}'}
+                      rows="4"
+                      defaultValue={node.data.outputMapping ? JSON.stringify(node.data.outputMapping, null, 2) : ''}
+                      onBlur={(e) => updateMapping('outputMapping', e.target.value)}
+                      style={{ resize: 'vertical', fontFamily: 'monospace', fontSize: '13px' }}
+                    />
+                    <div className="config-field-hint">
+                      Result expressions copied into process data
+                    </div>
+                  </div>
+
+                  {!node.data.outputMapping && (
+                    <div className="config-field">
+                      <label className="config-field-label">Result Variable</label>
+                      <input
+                        type="text"
+                        className="config-input"
+                        placeholder="connectorResult"
+                        value={node.data.resultVariable || ''}
+                        onChange={(e) => updateNodeData(node.id, { resultVariable: e.target.value })}
+                      />
+                      <div className="config-field-hint">
+                        Without an output mapping the whole result is stored under this name
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Notification Configuration */}
+        {(node.type === 'sendTask' || node.type === 'notification') && (
+          <div className="property-section">
+            <div className="section-header">
+              <h4>Notification Configuration</h4>
+            </div>
+
+            <div className="gateway-config-section">
+              <div className="config-field">
+                <label className="config-field-label">Template</label>
+                <select
+                  className="config-select"
+                  value={node.data.templateId || ''}
+                  onChange={(e) => updateNodeData(node.id, { templateId: e.target.value || null })}
+                >
+                  <option value="">None (write the message below)</option>
+                  {notificationTemplates.map(t => (
+                    <option key={t.id} value={t.id}>{t.name}</option>
+                  ))}
+                </select>
+                <div className="config-field-hint">
+                  Fields left empty below are taken from the template
+                </div>
+              </div>
+
+              <div className="config-field">
+                <label className="config-field-label">Channel</label>
+                <select
+                  className="config-select"
+                  value={node.data.channel || ''}
+                  onChange={(e) => updateNodeData(node.id, { channel: e.target.value || null })}
+                >
+                  <option value="">{node.data.templateId ? 'From template' : 'Email (default)'}</option>
+                  {notificationChannels.map(c => (
+                    <option key={c.type} value={c.type}>{c.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              {(node.data.channel === 'webhook' || node.data.channel === 'slack') && (
+                <div className="config-field">
+                  <label className="config-field-label">Webhook URL</label>
+                  <input
+                    type="text"
+                    className="config-input"
+                    placeholder="{{ secrets.slackWebhook }}"
+                    value={node.data.webhookUrl || ''}
+                    onChange={(e) => updateNodeData(node.id, { webhookUrl: e.target.value })}
+                  />
+                  <div className="config-field-hint">
+                    Use {'{{ secrets.name }}'} to keep the URL in the credential vault
+                  </div>
+                </div>
+              )}
+
+              <div className="config-field">
+                <label className="config-field-label">Recipients</label>
+                <input
+                  type="text"
+                  className="config-input"
+                  placeholder="${processData.customer.email}, ops@example.com"
+                  value={node.data.recipient || ''}
+                  onChange={(e) => updateNodeData(node.id, { recipient: e.target.value })}
+                />
+                <div className="config-field-hint">
+                  Email addresses or inbox user IDs, separated by commas
+                </div>
+              </div>
+
+              <div className="config-field">
+                <label className="config-field-label">Subject</label>
+                <input
+                  type="text"
+                  className="config-input"
+                  placeholder="Order ${processData.orderId} confirmed"
+                  value={node.data.subject || ''}
+                  onChange={(e) => updateNodeData(node.id, { subject: e.target.value })}
+                />
+              </div>
+
+              <div className="config-field">
+                <label className="config-field-label">Message</label>
+                <textarea
+                  className="config-input script-editor"
+                  placeholder="Hi ${processData.customer.name}, ..."
+                  rows="6"
+                  value={node.data.message || ''}
+                  onChange={(e) => updateNodeData(node.id, { message: e.target.value })}
+                  style={{
+                    resize: 'vertical',
+                    fontFamily: 'system-ui',
+                    fontSize: '13px'
+                  }}
+                />
+                <div className="config-field-hint">
+                  Use ${'{processData.field}'} to insert workflow data
+                </div>
+              </div>
+
+              <div className="config-field">
+                <label className="config-field-label">Format</label>
+                <select
+                  className="config-select"
+                  value={node.data.format || 'text'}
+                  onChange={(e) => updateNodeData(node.id, { format: e.target.value })}
+                >
+                  <option value="text">Plain text</option>
+                  <option value="html">HTML</option>
+                </select>
+              </div>
+
+              <div className="config-field">
+                <label className="config-field-label">On Delivery Failure</label>
+                <select
+                  className="config-select"
+                  value={String(!!node.data.failOnError)}
+                  onChange={(e) => updateNodeData(node.id, { failOnError: e.target.value === 'true' })}
+                >
+                  <option value="false">Record and continue</option>
+                  <option value="true">Fail the workflow</option>
+                </select>
+                <div className="config-field-hint">
+                  Delivery status is recorded on the instance either way
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* LLM Task Configuration */}
         {node.type === 'llmTask' && (
           <div className="property-section">
@@ -507,6 +997,487 @@ const PropertiesPanel = () => {
             </div>
           </div>
         )}
+
+        {/* Call Activity Configuration */}
+        {node.type === 'callActivity' && (
+          <div className="property-section">
+            <div className="section-header">
+              <h4>Call Activity Configuration</h4>
+            </div>
+
+            <div className="gateway-config-section">
+              <div className="config-field">
+                <label className="config-field-label">Called Workflow ID</label>
+                <input
+                  type="text"
+                  className="config-input"
+                  placeholder="e.g., workflow_1700000000000"
+                  value={node.data.calledWorkflowId || ''}
+                  onChange={(e) => updateNodeData(node.id, { calledWorkflowId: e.target.value })}
+                />
+                <div className="config-field-hint">
+                  Workflow started as a child instance
+                </div>
+              </div>
+
+              <div className="config-field">
+                <label className="config-field-label">Version</label>
+                <input
+                  type="number"
+                  className="config-input"
+                  placeholder="Default version"
+                  min="1"
+                  value={node.data.calledVersion || ''}
+                  onChange={(e) => updateNodeData(node.id, { calledVersion: e.target.value ? parseInt(e.target.value) : null })}
+                />
+                <div className="config-field-hint">
+                  Leave empty to use the default version
+                </div>
+              </div>
+
+              <div className="config-field">
+                <label className="config-field-label">Input Mapping</label>
+                <textarea
+                  key={`${node.id}-input`}
+                  className="config-input script-editor"
+                  placeholder={'{\n  "parentVariable": "childVariable"\n}'}
+                  rows="4"
+                  defaultValue={node.data.inputMapping ? JSON.stringify(node.data.inputMapping, null, 2) : ''}
+                  onBlur={(e) => updateMapping('inputMapping', e.target.value)}
+                  style={{ resize: 'vertical', fontFamily: 'monospace', fontSize: '13px' }}
+                />
+                <div className="config-field-hint">
+                  Variables passed to the child. Leave empty to pass all process data.
+                </div>
+              </div>
+
+              <div className="config-field">
+                <label className="config-field-label">Output Mapping</label>
+                <textarea
+                  key={`${node.id}-output`}
+                  className="config-input script-editor"
+                  placeholder={'{\n  "childVariable": "parentVariable"\n}'}
+                  rows="4"
+                  defaultValue={node.data.outputMapping ? JSON.stringify(node.data.outputMapping, null, 2) : ''}
+                  onBlur={(e) => updateMapping('outputMapping', e.target.value)}
+                  style={{ resize: 'vertical', fontFamily: 'monospace', fontSize: '13px' }}
+                />
+                <div className="config-field-hint">
+                  Child variables copied back when it completes. Leave empty to copy all.
+                </div>
+              </div>
+
+              <div className="config-field">
+                <label className="config-field-label">If the Child Fails</label>
+                <select
+                  className="config-select"
+                  value={node.data.onChildFailure || 'fail'}
+                  onChange={(e) => updateNodeData(node.id, { onChildFailure: e.target.value })}
+                >
+                  <option value="fail">Fail this workflow</option>
+                  <option value="continue">Continue</option>
+                </select>
+              </div>
+
+              {node.data.onChildFailure === 'continue' && (
+                <div className="config-field">
+                  <label className="config-field-label">Error Variable</label>
+                  <input
+                    type="text"
+                    className="config-input"
+                    placeholder="e.g., childError"
+                    value={node.data.errorVariable || ''}
+                    onChange={(e) => updateNodeData(node.id, { errorVariable: e.target.value })}
+                  />
+                  <div className="config-field-hint">
+                    Variable that receives the child's error message
+                  </div>
+                </div>
+              )}
+
+              <div className="config-field">
+                <label className="config-field-label">If This Workflow Fails</label>
+                <select
+                  className="config-select"
+                  value={node.data.terminateWithParent === false ? 'keep' : 'terminate'}
+                  onChange={(e) => updateNodeData(node.id, { terminateWithParent: e.target.value === 'terminate' })}
+                >
+                  <option value="terminate">Terminate the child</option>
+                  <option value="keep">Keep the child running</option>
+                </select>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Multi-Instance Configuration */}
+        {MULTI_INSTANCE_TYPES.includes(node.type) && (
+          <div className="property-section">
+            <div className="section-header">
+              <h4>Multi-Instance</h4>
+            </div>
+
+            <div className="gateway-config-section">
+              <div className="config-field">
+                <label className="config-field-label">Run</label>
+                <select
+                  className="config-select"
+                  value={node.data.multiInstance ? (node.data.multiInstance.mode || 'parallel') : ''}
+                  onChange={(e) => updateNodeData(node.id, {
+                    multiInstance: e.target.value
+                      ? { ...(node.data.multiInstance || { collection: '', elementVariable: 'item' }), mode: e.target.value }
+                      : null
+                  })}
+                >
+                  <option value="">Once</option>
+                  <option value="parallel">For each item, in parallel</option>
+                  <option value="sequential">For each item, one after another</option>
+                </select>
+              </div>
+
+              {node.data.multiInstance && (
+                <>
+                  <div className="config-field">
+                    <label className="config-field-label">Collection</label>
+                    <input
+                      type="text"
+                      className="config-input"
+                      placeholder="processData.lineItems"
+                      value={node.data.multiInstance.collection || ''}
+                      onChange={(e) => updateMultiInstance({ collection: e.target.value })}
+                    />
+                    <div className="config-field-hint">
+                      Expression for the list to iterate. Leave empty to repeat a fixed number of times.
+                    </div>
+                  </div>
+
+                  {!node.data.multiInstance.collection && (
+                    <div className="config-field">
+                      <label className="config-field-label">Repeat</label>
+                      <input
+                        type="text"
+                        className="config-input"
+                        placeholder="3"
+                        value={node.data.multiInstance.loopCardinality || ''}
+                        onChange={(e) => updateMultiInstance({ loopCardinality: e.target.value })}
+                      />
+                      <div className="config-field-hint">
+                        Number of iterations (or an expression)
+                      </div>
+                    </div>
+                  )}
+
+                  <div className="config-field">
+                    <label className="config-field-label">Element Variable</label>
+                    <input
+                      type="text"
+                      className="config-input"
+                      placeholder="item"
+                      value={node.data.multiInstance.elementVariable || ''}
+                      onChange={(e) => updateMultiInstance({ elementVariable: e.target.value })}
+                    />
+                    <div className="config-field-hint">
+                      Each iteration sees its item as processData.{node.data.multiInstance.elementVariable || 'item'} and its index as processData.loopCounter
+                    </div>
+                  </div>
+
+                  <div className="config-field">
+                    <label className="config-field-label">Output Variable</label>
+                    <input
+                      type="text"
+                      className="config-input"
+                      placeholder="approved"
+                      value={node.data.multiInstance.outputVariable || ''}
+                      onChange={(e) => updateMultiInstance({ outputVariable: e.target.value })}
+                    />
+                    <div className="config-field-hint">
+                      Value collected from each iteration. Leave empty to collect all of its output.
+                    </div>
+                  </div>
+
+                  <div className="config-field">
+                    <label className="config-field-label">Result Variable</label>
+                    <input
+                      type="text"
+                      className="config-input"
+                      placeholder="multiInstanceResults"
+                      value={node.data.multiInstance.resultVariable || ''}
+                      onChange={(e) => updateMultiInstance({ resultVariable: e.target.value })}
+                    />
+                    <div className="config-field-hint">
+                      List of the iterations' results, in item order
+                    </div>
+                  </div>
+
+                  <div className="config-field">
+                    <label className="config-field-label">Completion Condition</label>
+                    <input
+                      type="text"
+                      className="config-input"
+                      placeholder="count(results, true) >= 2"
+                      value={node.data.multiInstance.completionCondition || ''}
+                      onChange={(e) => updateMultiInstance({ completionCondition: e.target.value })}
+                    />
+                    <div className="config-field-hint">
+                      Ends early when true; unfinished iterations are cancelled. Can use results, nrOfInstances, nrOfCompletedInstances and nrOfActiveInstances.
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Start Event Configuration */}
+        {node.type === 'startProcess' && (
+          <div className="property-section">
+            <div className="section-header">
+              <h4>Start Event Configuration</h4>
+            </div>
+
+            <div className="gateway-config-section">
+              <div className="config-field">
+                <label className="config-field-label">Started By</label>
+                <select
+                  className="config-select"
+                  value={node.data.trigger || 'none'}
+                  onChange={(e) => updateNodeData(node.id, { trigger: e.target.value === 'none' ? null : e.target.value })}
+                >
+                  <option value="none">Start request or test run</option>
+                  <option value="message">Incoming message</option>
+                </select>
+              </div>
+
+              {node.data.trigger === 'message' && (
+                <div className="config-field">
+                  <label className="config-field-label">Message Name</label>
+                  <input
+                    type="text"
+                    className="config-input"
+                    placeholder="e.g., OrderPlaced"
+                    value={node.data.messageName || ''}
+                    onChange={(e) => updateNodeData(node.id, { messageName: e.target.value })}
+                  />
+                  <div className="config-field-hint">
+                    A message no waiting instance correlates to starts a new instance
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Message Event Configuration */}
+        {node.type === 'messageEvent' && (
+          <div className="property-section">
+            <div className="section-header">
+              <h4>Message Event Configuration</h4>
+            </div>
+
+            <div className="gateway-config-section">
+              <div className="config-field">
+                <label className="config-field-label">Message Name</label>
+                <input
+                  type="text"
+                  className="config-input"
+                  placeholder="e.g., PaymentReceived"
+                  value={node.data.messageName || ''}
+                  onChange={(e) => updateNodeData(node.id, { messageName: e.target.value })}
+                />
+              </div>
+
+              <div className="config-field">
+                <label className="config-field-label">Correlation Keys</label>
+                <input
+                  type="text"
+                  className="config-input"
+                  placeholder="e.g., orderId, customerId"
+                  value={Array.isArray(node.data.correlationKeys) ? node.data.correlationKeys.join(', ') : (node.data.correlationKeys || '')}
+                  onChange={(e) => updateNodeData(node.id, { correlationKeys: e.target.value })}
+                />
+                <div className="config-field-hint">
+                  Process variables a message must match to reach this instance
+                </div>
+              </div>
+
+              <div className="config-field">
+                <label className="config-field-label">Output Mapping</label>
+                <textarea
+                  key={`${node.id}-output`}
+                  className="config-input script-editor"
+                  placeholder={'{\n  "messageVariable": "processVariable"\n}'}
+                  rows="4"
+                  defaultValue={node.data.outputMapping ? JSON.stringify(node.data.outputMapping, null, 2) : ''}
+                  onBlur={(e) => updateMapping('outputMapping', e.target.value)}
+                  style={{ resize: 'vertical', fontFamily: 'monospace', fontSize: '13px' }}
+                />
+                <div className="config-field-hint">
+                  Message variables copied into process data. Leave empty to copy all.
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Signal Event Configuration */}
+        {node.type === 'signalEvent' && (
+          <div className="property-section">
+            <div className="section-header">
+              <h4>Signal Event Configuration</h4>
+            </div>
+
+            <div className="gateway-config-section">
+              <div className="config-field">
+                <label className="config-field-label">Signal Name</label>
+                <input
+                  type="text"
+                  className="config-input"
+                  placeholder="e.g., MarketClosed"
+                  value={node.data.signalName || ''}
+                  onChange={(e) => updateNodeData(node.id, { signalName: e.target.value })}
+                />
+                <div className="config-field-hint">
+                  Every instance waiting here continues when the signal is broadcast
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Compensation Event Configuration */}
+        {node.type === 'compensationEvent' && (
+          <div className="property-section">
+            <div className="section-header">
+              <h4>Compensation Event Configuration</h4>
+            </div>
+
+            <div className="gateway-config-section">
+              <div className="config-field">
+                <label className="config-field-label">Compensate</label>
+                <select
+                  className="config-select"
+                  value={node.data.activityRef || ''}
+                  onChange={(e) => updateNodeData(node.id, { activityRef: e.target.value || null })}
+                >
+                  <option value="">All completed tasks</option>
+                  {compensableActivities.map(n => (
+                    <option key={n.id} value={n.id}>{n.data?.label || n.id}</option>
+                  ))}
+                </select>
+                <div className="config-field-hint">
+                  Handlers run in reverse completion order, then the flow continues
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Boundary Event Configuration */}
+        {node.type === 'boundaryEvent' && (
+          <div className="property-section">
+            <div className="section-header">
+              <h4>Boundary Event Configuration</h4>
+            </div>
+
+            <div className="gateway-config-section">
+              <div className="config-field">
+                <label className="config-field-label">Attached To</label>
+                <select
+                  className="config-select"
+                  value={node.data.attachedTo || ''}
+                  onChange={(e) => updateNodeData(node.id, { attachedTo: e.target.value || null })}
+                >
+                  <option value="">Select a task...</option>
+                  {currentWorkflow.nodes
+                    .filter(n => BOUNDARY_HOST_TYPES.includes(n.type))
+                    .map(n => (
+                      <option key={n.id} value={n.id}>{n.data?.label || n.id}</option>
+                    ))}
+                </select>
+                <div className="config-field-hint">
+                  Task this event watches. Connect its outgoing path on the canvas.
+                </div>
+              </div>
+
+              <div className="config-field">
+                <label className="config-field-label">Event Type</label>
+                <select
+                  className="config-select"
+                  value={node.data.eventType || 'timer'}
+                  onChange={(e) => updateNodeData(node.id, { eventType: e.target.value })}
+                >
+                  <option value="timer">Timer</option>
+                  <option value="error">Error</option>
+                  <option value="compensation">Compensation</option>
+                </select>
+              </div>
+
+              {node.data.eventType === 'compensation' ? (
+                <div className="config-field-hint">
+                  Connect this event to the task that undoes the one it is attached to
+                </div>
+              ) : (node.data.eventType || 'timer') === 'timer' ? (
+                <>
+                  <div className="config-field">
+                    <label className="config-field-label">Fires After</label>
+                    <input
+                      type="text"
+                      className="config-input"
+                      placeholder="e.g., PT4H, P2D, R3/PT1H"
+                      value={node.data.duration || ''}
+                      onChange={(e) => updateNodeData(node.id, { duration: e.target.value })}
+                    />
+                    <div className="config-field-hint">
+                      ISO-8601 duration, date, or repeating interval (R3/PT1H) for reminders
+                    </div>
+                  </div>
+
+                  <div className="config-field">
+                    <label className="config-field-label">When It Fires</label>
+                    <select
+                      className="config-select"
+                      value={node.data.cancelActivity === false ? 'continue' : 'interrupt'}
+                      onChange={(e) => updateNodeData(node.id, { cancelActivity: e.target.value === 'interrupt' })}
+                    >
+                      <option value="interrupt">Cancel the task (escalate)</option>
+                      <option value="continue">Keep the task open (reminder)</option>
+                    </select>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div className="config-field">
+                    <label className="config-field-label">Error Code</label>
+                    <input
+                      type="text"
+                      className="config-input"
+                      placeholder="e.g., REJECTED, HTTP_500 (empty catches all)"
+                      value={node.data.errorCode || ''}
+                      onChange={(e) => updateNodeData(node.id, { errorCode: e.target.value })}
+                    />
+                    <div className="config-field-hint">
+                      Error code raised by the task
+                    </div>
+                  </div>
+
+                  <div className="config-field">
+                    <label className="config-field-label">Error Variable</label>
+                    <input
+                      type="text"
+                      className="config-input"
+                      placeholder="e.g., paymentError"
+                      value={node.data.errorVariable || ''}
+                      onChange={(e) => updateNodeData(node.id, { errorVariable: e.target.value })}
+                    />
+                    <div className="config-field-hint">
+                      Variable that receives the error code and message
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Data Model Viewer Modal */}
@@ -15,7 +15,8 @@ import {
   HelpCircle,
   ChevronDown,
   History,
-  Package
+  Package,
+  Key
 } from 'lucide-react';
 
 const Sidebar = () => {
@@ -47,6 +48,7 @@ const Sidebar = () => {
       title: 'Advanced',
       items: [
         { id: 'rule-engine', label: 'Rule Engine', icon: GitBranch },
+        { id: 'credentials', label: 'Credentials', icon: Key },
         { id: 'orchestration', label: 'Orchestration', icon: Play },
         { id: 'version-history', label: 'Version History', icon: History }
       ]
@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './PanelStyles.css';
+import { Key, Plus, Trash2, Save, X } from 'lucide-react';
+import { useNotification } from '../../context/NotificationContext';
+
+const CREDENTIALS_API = 'http://localhost:5000/api/credentials';
+
+const CREDENTIAL_TYPES = ['secret', 'apiKey', 'token', 'basic'];
+
+const emptyDraft = () => ({
+  name: '',
+  type: 'secret',
+  description: '',
+  value: '',
+  username: '',
+  password: '',
+  isNew: true
+});
+
+const CredentialsPanel = () => {
+  const { showSuccess, showError, confirm } = useNotification();
+
+  const [credentials, setCredentials] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [draft, setDraft] = useState(null);
+
+  const loadCredentials = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(CREDENTIALS_API);
+      const data = await response.json();
+
+      if (data.success) {
+        setCredentials(data.credentials);
+      }
+    } catch (error) {
+      console.error('Failed to load credentials:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCredentials();
+  }, [loadCredentials]);
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  // Secret values are write-only: editing starts empty and an empty value keeps the stored one
+  const openEditor = (credential) => {
+    setDraft({ ...emptyDraft(), ...credential, isNew: false });
+  };
+
+  const handleSave = async () => {
+    const value = draft.type === 'basic'
+      ? (draft.username || draft.password ? { username: draft.username, password: draft.password } : undefined)
+      : draft.value || undefined;
+
+    try {
+      const response = await fetch(draft.isNew ? CREDENTIALS_API : `${CREDENTIALS_API}/${draft.name}`, {
+        method: draft.isNew ? 'POST' : 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: draft.name,
+          type: draft.type,
+          description: draft.description,
+          value
+        })
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        showError(data.error);
+        return;
+      }
+
+      showSuccess(`Credential ${data.credential.name} saved`);
+      setDraft(null);
+      loadCredentials();
+    } catch (error) {
+      showError(`Failed to save credential: ${error.message}`);
+    }
+  };
+
+  const handleDelete = async (credential) => {
+    const confirmed = await confirm(
+      `Delete credential "${credential.name}"? Steps that reference it will fail.`,
+      'Delete Credential'
+    );
+    if (!confirmed) return;
+
+    try {
+      const response = await fetch(`${CREDENTIALS_API}/${credential.name}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!data.success) {
+        showError(data.error);
+        return;
+      }
+
+      showSuccess('Credential deleted');
+      loadCredentials();
+    } catch (error) {
+      showError(`Failed to delete credential: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="panel-container">
+      <div className="panel-header">
+        <div className="panel-title">
+          <Key size={24} />
+          <div>
+            <h2>Credentials</h2>
+            <p>Encrypted secrets used by service tasks as {'{{ secrets.name }}'}</p>
+          </div>
+        </div>
+        <button className="primary-btn" onClick={() => setDraft(emptyDraft())}>
+          <Plus size={16} />
+          Add Credential
+        </button>
+      </div>
+
+      <div className="panel-content">
+        {draft && (
+          <div className="test-section">
+            <div className="rule-toolbar">
+              <h3 className="section-title">{draft.isNew ? 'New Credential' : `Update ${draft.name}`}</h3>
+              <button className="action-btn" onClick={() => setDraft(null)}>
+                <X size={14} />
+              </button>
+            </div>
+            <div className="form-grid">
+              <div className="form-field">
+                <label>Name</label>
+                <input
+                  value={draft.name}
+                  disabled={!draft.isNew}
+                  onChange={(e) => updateDraft({ name: e.target.value })}
+                  placeholder="e.g., crmToken"
+                />
+              </div>
+              <div className="form-field">
+                <label>Type</label>
+                <select className="rule-input" value={draft.type} onChange={(e) => updateDraft({ type: e.target.value })}>
+                  {CREDENTIAL_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                </select>
+              </div>
+              {draft.type === 'basic' ? (
+                <>
+                  <div className="form-field">
+                    <label>Username</label>
+                    <input value={draft.username} onChange={(e) => updateDraft({ username: e.target.value })} autoComplete="off" />
+                  </div>
+                  <div className="form-field">
+                    <label>Password</label>
+                    <input type="password" value={draft.password} onChange={(e) => updateDraft({ password: e.target.value })} autoComplete="new-password" />
+                  </div>
+                </>
+              ) : (
+                <div className="form-field">
+                  <label>Value</label>
+                  <input
+                    type="password"
+                    value={draft.value}
+                    onChange={(e) => updateDraft({ value: e.target.value })}
+                    placeholder={draft.isNew ? '' : 'Leave empty to keep the current value'}
+                    autoComplete="new-password"
+                  />
+                </div>
+              )}
+            </div>
+            <div className="form-field rule-description">
+              <label>Description</label>
+              <input value={draft.description} onChange={(e) => updateDraft({ description: e.target.value })} />
+            </div>
+            <button className="primary-btn" onClick={handleSave}>
+              <Save size={16} />
+              Save Credential
+            </button>
+          </div>
+        )}
+
+        {loading && <p className="item-description">Loading credentials...</p>}
+        {!loading && credentials.length === 0 && (
+          <p className="item-description">No credentials yet. Add one and reference it from a service task as {'{{ secrets.name }}'}.</p>
+        )}
+
+        <div className="items-grid">
+          {credentials.map(credential => (
+            <div key={credential.name} className="item-card">
+              <div className="item-header">
+                <div className="item-icon rule-icon">
+                  <Key size={18} />
+                </div>
+                <span className="item-badge">{credential.type}</span>
+              </div>
+              <h3 className="item-title">{credential.name}</h3>
+              <p className="item-description">{credential.description}</p>
+              <div className="item-meta">
+                Updated {new Date(credential.updatedAt).toLocaleString()}
+              </div>
+              <div className="item-actions">
+                <button className="action-btn" onClick={() => openEditor(credential)}>Update</button>
+                <button className="action-btn" onClick={() => handleDelete(credential)}>
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CredentialsPanel;
@@ -1,13 +1,472 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import './PanelStyles.css';
-import { GitBranch, Plus, ExternalLink } from 'lucide-react';
+import { GitBranch, Plus, ArrowLeft, Trash2, Play, Save, RotateCcw, ExternalLink } from 'lucide-react';
+import { useWorkflow } from '../../context/WorkflowContext';
+import { useNotification } from '../../context/NotificationContext';
+
+const RULES_API = 'http://localhost:5000/api/rules';
+
+const RULE_TYPES = ['validation', 'decision', 'calculation'];
+
+const OPERATOR_LABELS = {
+  equals: 'equals',
+  notEquals: 'does not equal',
+  greaterThan: '>',
+  greaterThanOrEqual: '>=',
+  lessThan: '<',
+  lessThanOrEqual: '<=',
+  contains: 'contains',
+  notContains: 'does not contain',
+  in: 'is one of',
+  notIn: 'is not one of',
+  isEmpty: 'is empty',
+  isNotEmpty: 'is not empty',
+  matches: 'matches regex'
+};
+
+const VALUELESS_OPERATORS = ['isEmpty', 'isNotEmpty'];
+
+const emptyRule = () => ({
+  name: '',
+  description: '',
+  type: 'validation',
+  priority: 0,
+  isActive: true,
+  conditions: [],
+  actions: []
+});
+
+// Builder values are typed as text; numbers, booleans, null and JSON lists keep their type
+const parseValue = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+const formatValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value ?? ''));
+
+// The builder edits a flat list of field conditions matched with all (AND) or any (OR).
+// Anything else (nested groups, expressions) is edited as JSON.
+const toBuilder = (conditions = []) => {
+  const rows = conditions.length === 1 && conditions[0].any ? conditions[0].any : conditions;
+  const simple = rows.every(row => row && row.field && row.operator);
+
+  return simple
+    ? { match: conditions.length === 1 && conditions[0].any ? 'any' : 'all', rows, json: null }
+    : { match: 'all', rows: [], json: JSON.stringify(conditions, null, 2) };
+};
+
+const fromBuilder = ({ match, rows }) => (match === 'any' && rows.length > 0 ? [{ any: rows }] : rows);
 
 const RuleEnginePanel = () => {
-  const rules = [
-    { id: 1, name: 'Email Format Validation', type: 'Validation', description: 'Validates email format using regex pattern' },
-    { id: 2, name: 'Phone Number Validation', type: 'Validation', description: 'Checks phone number format and country code' },
-    { id: 3, name: 'Credit Score Evaluation', type: 'Decision', description: 'Evaluates customer credit worthiness' }
-  ];
+  const { currentApplication, setMappedRules } = useWorkflow();
+  const { showSuccess, showError, confirm } = useNotification();
+
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [search, setSearch] = useState('');
+  const [draft, setDraft] = useState(null);
+  const [builder, setBuilder] = useState(toBuilder());
+  const [changeDescription, setChangeDescription] = useState('');
+  const [sampleInput, setSampleInput] = useState('{\n  \n}');
+  const [testResult, setTestResult] = useState(null);
+  const [references, setReferences] = useState([]);
+  const [versions, setVersions] = useState([]);
+
+  const loadRules = useCallback(async () => {
+    setLoading(true);
+    try {
+      const query = currentApplication?.id ? `?applicationId=${encodeURIComponent(currentApplication.id)}` : '';
+      const response = await fetch(`${RULES_API}${query}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setRules(data.rules);
+        setMappedRules(data.rules);
+      }
+    } catch (error) {
+      console.error('Failed to load rules:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentApplication, setMappedRules]);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  const openEditor = async (rule) => {
+    setDraft(rule);
+    setBuilder(toBuilder(rule.conditions));
+    setChangeDescription('');
+    setTestResult(null);
+    setReferences([]);
+    setVersions([]);
+
+    if (!rule.id) return;
+
+    try {
+      const [refResponse, versionResponse] = await Promise.all([
+        fetch(`${RULES_API}/${rule.id}/references`),
+        fetch(`${RULES_API}/${rule.id}/versions`)
+      ]);
+      const refData = await refResponse.json();
+      const versionData = await versionResponse.json();
+
+      if (refData.success) setReferences(refData.references);
+      if (versionData.success) setVersions(versionData.versions);
+    } catch (error) {
+      console.error('Failed to load rule details:', error);
+    }
+  };
+
+  const closeEditor = () => {
+    setDraft(null);
+    loadRules();
+  };
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const updateRow = (index, changes) => {
+    setBuilder(prev => ({
+      ...prev,
+      rows: prev.rows.map((row, i) => (i === index ? { ...row, ...changes } : row))
+    }));
+  };
+
+  const updateAction = (index, changes) => {
+    updateDraft({ actions: draft.actions.map((action, i) => (i === index ? { ...action, ...changes } : action)) });
+  };
+
+  const toggleJsonEditor = () => {
+    if (builder.json === null) {
+      setBuilder({ ...builder, json: JSON.stringify(fromBuilder(builder), null, 2) });
+      return;
+    }
+
+    try {
+      setBuilder(toBuilder(JSON.parse(builder.json || '[]')));
+    } catch (error) {
+      showError(`Conditions are not valid JSON: ${error.message}`);
+    }
+  };
+
+  // Current draft with conditions taken from the builder (or its JSON editor)
+  const buildRule = () => {
+    const conditions = builder.json !== null ? JSON.parse(builder.json || '[]') : fromBuilder(builder);
+    return { ...draft, conditions };
+  };
+
+  const handleSave = async () => {
+    let rule;
+    try {
+      rule = buildRule();
+    } catch (error) {
+      showError(`Conditions are not valid JSON: ${error.message}`);
+      return;
+    }
+
+    try {
+      const response = await fetch(rule.id ? `${RULES_API}/${rule.id}` : RULES_API, {
+        method: rule.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...rule,
+          applicationId: rule.applicationId || currentApplication?.id,
+          applicationVersion: currentApplication?.version,
+          changeDescription
+        })
+      });
+      const data = await response.json();
+
+      if (!data.success) {
+        showError(data.error);
+        return;
+      }
+
+      showSuccess(`Rule saved (version ${data.rule.version})`);
+      openEditor(data.rule);
+      loadRules();
+    } catch (error) {
+      showError(`Failed to save rule: ${error.message}`);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    const confirmed = await confirm(`Delete rule "${rule.name}"?`, 'Delete Rule');
+    if (!confirmed) return;
+
+    try {
+      let response = await fetch(`${RULES_API}/${rule.id}`, { method: 'DELETE' });
+      let data = await response.json();
+
+      if (data.code === 'RULE_IN_USE') {
+        const workflows = [...new Set(data.references.map(ref => ref.workflowName || ref.workflowId))].join(', ');
+        const force = await confirm(`This rule is used by: ${workflows}. Delete it anyway?`, 'Rule In Use');
+        if (!force) return;
+
+        response = await fetch(`${RULES_API}/${rule.id}?force=true`, { method: 'DELETE' });
+        data = await response.json();
+      }
+
+      if (!data.success) {
+        showError(data.error);
+        return;
+      }
+
+      showSuccess('Rule deleted');
+      if (draft?.id === rule.id) setDraft(null);
+      loadRules();
+    } catch (error) {
+      showError(`Failed to delete rule: ${error.message}`);
+    }
+  };
+
+  const handleTest = async () => {
+    let rule;
+    let data;
+    try {
+      rule = buildRule();
+      data = JSON.parse(sampleInput || '{}');
+    } catch (error) {
+      showError(`Invalid JSON: ${error.message}`);
+      return;
+    }
+
+    try {
+      const response = await fetch(`${RULES_API}/test`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rule, data })
+      });
+      setTestResult(await response.json());
+    } catch (error) {
+      showError(`Failed to test rule: ${error.message}`);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    const confirmed = await confirm(`Restore version ${version}? It is saved as a new version.`, 'Restore Version');
+    if (!confirmed) return;
+
+    try {
+      const response = await fetch(`${RULES_API}/${draft.id}/versions/${version}/restore`, { method: 'POST' });
+      const data = await response.json();
+
+      if (!data.success) {
+        showError(data.error);
+        return;
+      }
+
+      showSuccess(`Version ${version} restored`);
+      openEditor(data.rule);
+    } catch (error) {
+      showError(`Failed to restore version: ${error.message}`);
+    }
+  };
+
+  if (draft) {
+    return (
+      <div className="panel-container">
+        <div className="panel-header">
+          <div className="panel-title">
+            <button className="action-btn" onClick={closeEditor}>
+              <ArrowLeft size={14} />
+            </button>
+            <div>
+              <h2>{draft.id ? draft.name : 'New Rule'}</h2>
+              <p>{draft.id ? `Version ${draft.version}${draft.applicationVersion ? ` · app ${draft.applicationVersion}` : ''}` : 'Define conditions and the actions they trigger'}</p>
+            </div>
+          </div>
+          <button className="primary-btn" onClick={handleSave}>
+            <Save size={16} />
+            Save Rule
+          </button>
+        </div>
+
+        <div className="panel-content">
+          <div className="test-section">
+            <h3 className="section-title">Details</h3>
+            <div className="form-grid">
+              <div className="form-field">
+                <label>Name</label>
+                <input value={draft.name} onChange={(e) => updateDraft({ name: e.target.value })} placeholder="e.g., Credit Score Evaluation" />
+              </div>
+              <div className="form-field">
+                <label>Type</label>
+                <select className="rule-input" value={draft.type} onChange={(e) => updateDraft({ type: e.target.value })}>
+                  {RULE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                </select>
+              </div>
+              <div className="form-field">
+                <label>Priority</label>
+                <input type="number" value={draft.priority} onChange={(e) => updateDraft({ priority: parseInt(e.target.value) || 0 })} />
+              </div>
+              <div className="form-field">
+                <label>Active</label>
+                <input type="checkbox" checked={draft.isActive !== false} onChange={(e) => updateDraft({ isActive: e.target.checked })} />
+              </div>
+            </div>
+            <div className="form-field rule-description">
+              <label>Description</label>
+              <input value={draft.description} onChange={(e) => updateDraft({ description: e.target.value })} />
+            </div>
+          </div>
+
+          <div className="test-section">
+            <h3 className="section-title">Conditions</h3>
+            {builder.json !== null ? (
+              <textarea
+                className="rule-json"
+                rows="8"
+                value={builder.json}
+                onChange={(e) => setBuilder(prev => ({ ...prev, json: e.target.value }))}
+              />
+            ) : (
+              <>
+                <div className="rule-match">
+                  Match
+                  <select className="rule-input" value={builder.match} onChange={(e) => setBuilder(prev => ({ ...prev, match: e.target.value }))}>
+                    <option value="all">all conditions</option>
+                    <option value="any">any condition</option>
+                  </select>
+                </div>
+                {builder.rows.map((row, index) => (
+                  <div key={index} className="rule-row">
+                    <input className="rule-input" placeholder="field, e.g. customer.email" value={row.field} onChange={(e) => updateRow(index, { field: e.target.value })} />
+                    <select className="rule-input" value={row.operator} onChange={(e) => updateRow(index, { operator: e.target.value })}>
+                      {Object.entries(OPERATOR_LABELS).map(([operator, label]) => <option key={operator} value={operator}>{label}</option>)}
+                    </select>
+                    {!VALUELESS_OPERATORS.includes(row.operator) && (
+                      <input className="rule-input" placeholder="value" value={formatValue(row.value)} onChange={(e) => updateRow(index, { value: parseValue(e.target.value) })} />
+                    )}
+                    <button className="action-btn" onClick={() => setBuilder(prev => ({ ...prev, rows: prev.rows.filter((_, i) => i !== index) }))}>
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                ))}
+              </>
+            )}
+            <div className="rule-toolbar">
+              {builder.json === null && (
+                <button className="action-btn" onClick={() => setBuilder(prev => ({ ...prev, rows: [...prev.rows, { field: '', operator: 'equals', value: '' }] }))}>
+                  <Plus size={14} /> Add Condition
+                </button>
+              )}
+              <button className="action-btn" onClick={toggleJsonEditor}>
+                {builder.json === null ? 'Edit as JSON' : 'Visual Builder'}
+              </button>
+            </div>
+          </div>
+
+          <div className="test-section">
+            <h3 className="section-title">Actions</h3>
+            {draft.actions.map((action, index) => (
+              <div key={index} className="rule-row">
+                <select className="rule-input" value={action.type} onChange={(e) => updateAction(index, { type: e.target.value })}>
+                  <option value="setVariable">Set variable</option>
+                  <option value="raiseError">Raise error</option>
+                </select>
+                {action.type === 'raiseError' ? (
+                  <>
+                    <input className="rule-input" placeholder="error code" value={action.errorCode || ''} onChange={(e) => updateAction(index, { errorCode: e.target.value })} />
+                    <input className="rule-input" placeholder="message" value={action.message || ''} onChange={(e) => updateAction(index, { message: e.target.value })} />
+                  </>
+                ) : (
+                  <>
+                    <input className="rule-input" placeholder="variable" value={action.variable || ''} onChange={(e) => updateAction(index, { variable: e.target.value })} />
+                    <input
+                      className="rule-input"
+                      placeholder='value, or =expression'
+                      value={action.expression ? `=${action.expression}` : formatValue(action.value)}
+                      onChange={(e) => updateAction(index, e.target.value.startsWith('=')
+                        ? { expression: e.target.value.slice(1), value: undefined }
+                        : { expression: undefined, value: parseValue(e.target.value) })}
+                    />
+                  </>
+                )}
+                <button className="action-btn" onClick={() => updateDraft({ actions: draft.actions.filter((_, i) => i !== index) })}>
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            ))}
+            <div className="rule-toolbar">
+              <button className="action-btn" onClick={() => updateDraft({ actions: [...draft.actions, { type: 'setVariable', variable: '', value: '' }] })}>
+                <Plus size={14} /> Add Action
+              </button>
+            </div>
+          </div>
+
+          <div className="test-section">
+            <h3 className="section-title">Test</h3>
+            <textarea className="rule-json" rows="6" value={sampleInput} onChange={(e) => setSampleInput(e.target.value)} />
+            <div className="rule-toolbar">
+              <button className="action-btn" onClick={handleTest}>
+                <Play size={14} /> Run Test
+              </button>
+            </div>
+            {testResult && (
+              <div className={`result-banner ${testResult.success && testResult.passed && !testResult.raisedError ? 'success' : 'error'}`}>
+                {!testResult.success && testResult.error}
+                {testResult.success && testResult.raisedError && `Raised ${testResult.raisedError.code}: ${testResult.raisedError.message}`}
+                {testResult.success && !testResult.raisedError && (testResult.passed
+                  ? `Conditions passed. Variables: ${JSON.stringify(testResult.variables)}`
+                  : 'Conditions did not pass')}
+              </div>
+            )}
+          </div>
+
+          {draft.id && (
+            <div className="test-section">
+              <h3 className="section-title">Used By</h3>
+              {references.length === 0 && <p className="item-description">No workflow references this rule yet.</p>}
+              {references.map(ref => (
+                <div key={`${ref.workflowId}-${ref.nodeId}`} className="execution-item">
+                  <div className="execution-info">
+                    <div className="execution-name"><ExternalLink size={14} /> {ref.workflowName || ref.workflowId}</div>
+                    <div className="execution-time">{ref.nodeLabel}</div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {draft.id && (
+            <div className="test-section">
+              <h3 className="section-title">Versions</h3>
+              <div className="form-field rule-description">
+                <label>Change description for the next save</label>
+                <input value={changeDescription} onChange={(e) => setChangeDescription(e.target.value)} placeholder="What changed?" />
+              </div>
+              {versions.map(version => (
+                <div key={version.version} className="execution-item">
+                  <div className="execution-info">
+                    <div className="execution-name">
+                      Version {version.version}{version.applicationVersion ? ` (app ${version.applicationVersion})` : ''}
+                    </div>
+                    <div className="execution-time">
+                      {new Date(version.savedAt).toLocaleString()} · {version.author}{version.changeDescription ? ` · ${version.changeDescription}` : ''}
+                    </div>
+                  </div>
+                  {version.version !== draft.version && (
+                    <button className="action-btn" onClick={() => handleRestore(version.version)}>
+                      <RotateCcw size={14} /> Restore
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const visibleRules = rules.filter(rule =>
+    `${rule.name} ${rule.description} ${rule.type}`.toLowerCase().includes(search.toLowerCase())
+  );
 
   return (
     <div className="panel-container">
@@ -19,7 +478,7 @@ const RuleEnginePanel = () => {
             <p>Create and manage business rules and validation logic</p>
           </div>
         </div>
-        <button className="primary-btn">
+        <button className="primary-btn" onClick={() => openEditor(emptyRule())}>
           <Plus size={16} />
           Create New Rule
         </button>
@@ -27,11 +486,16 @@ const RuleEnginePanel = () => {
 
       <div className="panel-content">
         <div className="search-bar">
-          <input type="text" placeholder="Search rules..." />
+          <input type="text" placeholder="Search rules..." value={search} onChange={(e) => setSearch(e.target.value)} />
         </div>
 
+        {loading && <p className="item-description">Loading rules...</p>}
+        {!loading && visibleRules.length === 0 && (
+          <p className="item-description">No rules yet. Create one to use it in validation and business rule steps.</p>
+        )}
+
         <div className="items-grid">
-          {rules.map(rule => (
+          {visibleRules.map(rule => (
             <div key={rule.id} className="item-card">
               <div className="item-header">
                 <div className="item-icon rule-icon">
@@ -41,10 +505,13 @@ const RuleEnginePanel = () => {
               </div>
               <h3 className="item-title">{rule.name}</h3>
               <p className="item-description">{rule.description}</p>
+              <div className="item-meta">
+                v{rule.version} · priority {rule.priority}{rule.isActive === false ? ' · inactive' : ''}
+              </div>
               <div className="item-actions">
-                <button className="action-btn">Edit</button>
-                <button className="action-btn">
-                  <ExternalLink size={14} />
+                <button className="action-btn" onClick={() => openEditor(rule)}>Edit</button>
+                <button className="action-btn" onClick={() => handleDelete(rule)}>
+                  <Trash2 size={14} />
                 </button>
               </div>
             </div>
@@ -319,7 +319,16 @@ const VersionHistoryPanel = ({ workflowId, onVersionRestore }) => {
                     {version.metadata.publishedAt && (
                       <div className="metadata-item">
                         <CheckCircle size={14} />
-                        <span>Published: {formatDate(version.metadata.publishedAt)}</span>
+                        <span>
+                          Published: {formatDate(version.metadata.publishedAt)}
+                          {version.metadata.publishedBy && ` by ${version.metadata.publishedBy}`}
+                        </span>
+                      </div>
+                    )}
+                    {version.contentHash && (
+                      <div className="metadata-item" title={version.contentHash}>
+                        <Check size={14} />
+                        <span>Hash: {version.contentHash.slice(0, 12)}</span>
                       </div>
                     )}
                   </div>
@@ -398,7 +407,7 @@ const VersionHistoryPanel = ({ workflowId, onVersionRestore }) => {
                       </button>
                     )}
 
-                    {!version.metadata.isDefault && version.stats.instanceCount === 0 && (
+                    {!version.metadata.isDefault && !version.metadata.publishedAt && version.stats.instanceCount === 0 && (
                       <button
                         className="action-btn delete"
                         onClick={() => handleDelete(version.version)}
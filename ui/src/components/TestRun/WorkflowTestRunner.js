@@ -2,7 +2,7 @@ import React, { useState, useCallback, useEffect, useRef } from 'react';
 import ReactFlow, { Background, Controls } from 'reactflow';
 import 'reactflow/dist/style.css';
 import './WorkflowTestRunner.css';
-import { Play, Pause, RotateCcw, CheckCircle, Clock, AlertCircle, Loader } from 'lucide-react';
+import { Play, Pause, RotateCcw, CheckCircle, Clock, AlertCircle, Loader, XCircle } from 'lucide-react';
 
 // Custom node components with status styling
 const TestRunNode = ({ data, id }) => {
@@ -83,8 +83,19 @@ const nodeTypes = {
   serviceTask: TestRunNode,
   sendTask: TestRunNode,
   businessRuleTask: TestRunNode,
+  callActivity: TestRunNode,
+  boundaryEvent: TestRunNode,
+  messageEvent: TestRunNode,
+  signalEvent: TestRunNode,
+  eventGateway: TestRunNode,
+  complexGateway: TestRunNode,
+  compensationEvent: TestRunNode,
 };
 
+// Saved revision of each workflow after its last test run - the next run sends it, so the
+// runtime saves edits made since then instead of rejecting them as a stale copy
+const savedRevisions = new Map();
+
 const WorkflowTestRunner = ({ workflow, onClose }) => {
   const [nodes, setNodes] = useState([]);
   const [edges, setEdges] = useState([]);
@@ -93,6 +104,7 @@ const WorkflowTestRunner = ({ workflow, onClose }) => {
   const [isRunning, setIsRunning] = useState(false);
   const [showUserTaskForm, setShowUserTaskForm] = useState(false);
   const [formData, setFormData] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
   const [inputData, setInputData] = useState({});
   const [startForm, setStartForm] = useState(null);
   const [error, setError] = useState(null);
@@ -233,8 +245,8 @@ const WorkflowTestRunner = ({ workflow, onClose }) => {
           }
         }
 
-        // Stop polling if completed or failed
-        if (result.instance.status === 'COMPLETED' || result.instance.status === 'FAILED') {
+        // Stop polling once the instance has ended
+        if (['COMPLETED', 'FAILED', 'CANCELLED'].includes(result.instance.status)) {
           setIsRunning(false);
           if (pollInterval.current) {
             clearInterval(pollInterval.current);
@@ -260,7 +272,8 @@ const WorkflowTestRunner = ({ workflow, onClose }) => {
         id: workflow.id,
         name: workflow.name,
         nodes: workflow.nodes,
-        connections: workflow.connections || workflow.edges || []
+        connections: workflow.connections || workflow.edges || [],
+        revision: savedRevisions.get(workflow.id) ?? workflow.revision ?? null
       };
 
       const response = await fetch('http://localhost:5000/api/runtime/start', {
@@ -276,6 +289,7 @@ const WorkflowTestRunner = ({ workflow, onClose }) => {
       const result = await response.json();
 
       if (result.success) {
+        savedRevisions.set(workflow.id, result.workflowRevision);
         setInstance(result.instance);
 
         // Start polling for updates every 500ms
@@ -297,15 +311,28 @@ const WorkflowTestRunner = ({ workflow, onClose }) => {
   const handleCompleteTask = useCallback(async () => {
     if (!instance || !instance.processData?.taskId) return;
 
+    const taskUrl = `http://localhost:5000/api/runtime/tasks/${instance.processData.taskId}`;
+    // The test runner takes the task over, then completes it like any assignee
+    // (the backend needs test-runner in an admin group, see TASK_USER_GROUPS)
+    const headers = { 'Content-Type': 'application/json', 'x-user-id': 'test-runner' };
+
     try {
-      const response = await fetch(`http://localhost:5000/api/runtime/complete-task/${instance.id}`, {
+      const assignResponse = await fetch(`${taskUrl}/assign`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          taskId: instance.processData.taskId,
-          formData,
-          completedBy: 'test-runner'
-        })
+        headers,
+        body: JSON.stringify({ assignee: 'test-runner' })
+      });
+
+      const assigned = await assignResponse.json();
+      if (!assigned.success) {
+        setError(assigned.error || 'Failed to assign task');
+        return;
+      }
+
+      const response = await fetch(`${taskUrl}/complete`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ data: formData })
       });
 
       const result = await response.json();
@@ -313,7 +340,11 @@ const WorkflowTestRunner = ({ workflow, onClose }) => {
       if (result.success) {
         setShowUserTaskForm(false);
         setFormData({});
+        setFieldErrors({});
         // Continue polling to see workflow progress
+      } else if (result.fieldErrors) {
+        // Submission rejected by the form schema - show errors next to the fields
+        setFieldErrors(Object.fromEntries(result.fieldErrors.map(e => [e.field, e.message])));
       } else {
         setError(result.error || 'Failed to complete task');
       }
@@ -323,6 +354,34 @@ const WorkflowTestRunner = ({ workflow, onClose }) => {
     }
   }, [instance, formData]);
 
+  // Suspend, resume or cancel the running instance
+  const handleInstanceControl = useCallback(async (action) => {
+    if (!instance) return;
+
+    try {
+      const response = await fetch(`http://localhost:5000/api/runtime/instance/${instance.id}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-user-id': 'test-runner' },
+        body: JSON.stringify({ reason: `${action} from test runner` })
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        setInstance(result.instance);
+        setExecutionHistory(result.instance.executionHistory || []);
+        if (action === 'cancel') {
+          setShowUserTaskForm(false);
+        }
+      } else {
+        setError(result.error || `Failed to ${action} workflow`);
+      }
+    } catch (err) {
+      console.error(`Error during ${action}:`, err);
+      setError(`Failed to ${action} workflow: ${err.message}`);
+    }
+  }, [instance]);
+
   // Reset workflow
   const handleReset = useCallback(() => {
     if (pollInterval.current) {
@@ -333,6 +392,7 @@ const WorkflowTestRunner = ({ workflow, onClose }) => {
     setIsRunning(false);
     setShowUserTaskForm(false);
     setFormData({});
+    setFieldErrors({});
     setError(null);
     currentTaskId.current = null;
 
@@ -373,6 +433,24 @@ const WorkflowTestRunner = ({ workflow, onClose }) => {
               Start Test
             </button>
           )}
+          {instance && ['RUNNING', 'PAUSED'].includes(instance.status) && (
+            <button className="secondary-btn" onClick={() => handleInstanceControl('suspend')}>
+              <Pause size={16} />
+              Suspend
+            </button>
+          )}
+          {instance?.status === 'SUSPENDED' && (
+            <button className="secondary-btn" onClick={() => handleInstanceControl('resume')}>
+              <Play size={16} />
+              Resume
+            </button>
+          )}
+          {instance && ['PENDING', 'RUNNING', 'PAUSED', 'SUSPENDED'].includes(instance.status) && (
+            <button className="secondary-btn danger-btn" onClick={() => handleInstanceControl('cancel')}>
+              <XCircle size={16} />
+              Cancel
+            </button>
+          )}
           {instance && (
             <button className="secondary-btn" onClick={handleReset}>
               <RotateCcw size={16} />
@@ -532,6 +610,9 @@ const WorkflowTestRunner = ({ workflow, onClose }) => {
                               required={field.required}
                             />
                           )}
+                          {fieldErrors[fieldKey] && (
+                            <span className="field-error">{fieldErrors[fieldKey]}</span>
+                          )}
                         </>
                       );
                     })()}
@@ -69,6 +69,15 @@ export const WorkflowProvider = ({ children, currentApp }) => {
             // Load pages from application resources (not from global database)
             const appPages = data.application.resources?.pages || [];
             setConnectedPages(appPages);
+
+            // Load business rules of the application (mapped onto rule steps)
+            try {
+              const rulesResponse = await fetch(`http://localhost:5000/api/rules?applicationId=${encodeURIComponent(currentApp.id)}`);
+              const rulesData = await rulesResponse.json();
+              setMappedRules(rulesData.success ? rulesData.rules : []);
+            } catch (error) {
+              console.error('Failed to load rules:', error);
+            }
           }
         } catch (error) {
           console.error('Failed to load application data:', error);